@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'liku-agent-worktree-'));
+process.env.LIKU_HOME_OVERRIDE = path.join(tempRoot, '.liku');
+
+const agentsDir = path.join(__dirname, '..', 'src', 'main', 'agents');
+const { applyHunks, applyUnifiedDiff, parseUnifiedDiff } = require(path.join(agentsDir, 'patch-apply.js'));
+const { mergeAgentWorktree } = require(path.join(agentsDir, 'worktree.js'));
+const { BuilderAgent } = require(path.join(agentsDir, 'builder.js'));
+const { AgentStateManager } = require(path.join(agentsDir, 'state-manager.js'));
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+function git(args, cwd) {
+  return execFileSync('git', args, { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+}
+
+const MATH_SOURCE = [
+  '// math helpers',
+  '',
+  'function add(a, b) {',
+  '  return a + b;',
+  '}',
+  '',
+  'function sub(a, b) {',
+  '  return a - b;',
+  '}',
+  '',
+  'module.exports = { add, sub };',
+  ''
+].join('\n');
+
+const MATH_DIFF = [
+  '--- a/src/math.js',
+  '+++ b/src/math.js',
+  '@@ -X,Y +X,Y @@',
+  ' function sub(a, b) {',
+  '-  return a - b;',
+  '+  return Number(a) - Number(b);',
+  ' }'
+].join('\n');
+
+function createRepo(name) {
+  const repoRoot = path.join(tempRoot, name);
+  fs.mkdirSync(path.join(repoRoot, 'src'), { recursive: true });
+  fs.writeFileSync(path.join(repoRoot, 'src', 'math.js'), MATH_SOURCE);
+  git(['init', '-q'], repoRoot);
+  git(['config', 'user.email', 'test@example.com'], repoRoot);
+  git(['config', 'user.name', 'Test'], repoRoot);
+  git(['add', '-A'], repoRoot);
+  git(['commit', '-q', '-m', 'init'], repoRoot);
+  return repoRoot;
+}
+
+function createBuilder(repoRoot, responses, options = {}) {
+  const stateManager = new AgentStateManager(path.join(repoRoot, '.github', 'agent_state.json'));
+  const builder = new BuilderAgent({ stateManager, repoRoot });
+  const commands = [];
+  builder.chat = async () => ({ text: responses.shift() || '' });
+  builder.execute = async (command, executeOptions = {}) => {
+    commands.push({ command, cwd: executeOptions.cwd });
+    return options.failLint && command.includes('lint')
+      ? { stdout: '', stderr: '1 error', error: 'lint failed' }
+      : { stdout: 'ok', stderr: '', error: null };
+  };
+  return { builder, stateManager, commands };
+}
+
+function builderResponses(diff) {
+  return [
+    'Analysis: sub should coerce its inputs.',
+    'file: src/math.js\nCoerce inputs in sub',
+    '```diff\n' + diff + '\n```'
+  ];
+}
+
+(async () => {
+  await test('applyHunks finds shifted hunks and trims drifted context with fuzz', async () => {
+    const [patch] = parseUnifiedDiff([
+      '--- a/src/math.js',
+      '+++ b/src/math.js',
+      '@@ -2,4 +2,4 @@',
+      ' function sub(a, b) {',
+      '-  return a - b;',
+      '+  return b - a;',
+      ' }',
+      ' // context that drifted'
+    ].join('\n'));
+
+    const result = applyHunks(MATH_SOURCE, patch.hunks, { fuzz: 1 });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.hunks[0].line, 8);
+    assert.strictEqual(result.hunks[0].fuzz, 1);
+    assert.ok(result.content.includes('  return b - a;'));
+    assert.ok(result.content.includes('  return a + b;'));
+
+    const strict = applyHunks(MATH_SOURCE, patch.hunks, { fuzz: 0 });
+    assert.strictEqual(strict.success, false);
+  });
+
+  await test('applyHunks ignores whitespace drift but keeps file context lines', async () => {
+    const [patch] = parseUnifiedDiff([
+      '@@ -3,3 +3,3 @@',
+      ' function add(a,  b) {',
+      '-    return a + b;',
+      '+  return a + b + 0;',
+      ' }'
+    ].join('\n'), { defaultPath: 'src/math.js' });
+
+    assert.strictEqual(patch.newPath, 'src/math.js');
+    const result = applyHunks(MATH_SOURCE, patch.hunks, { fuzz: 0 });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.hunks[0].whitespaceInsensitive, true);
+    assert.ok(result.content.includes('function add(a, b) {\n  return a + b + 0;'));
+  });
+
+  await test('applyUnifiedDiff rejects escaping paths and leaves unmatched files untouched', async () => {
+    const root = path.join(tempRoot, 'plain');
+    fs.mkdirSync(root, { recursive: true });
+    fs.writeFileSync(path.join(root, 'a.txt'), 'one\ntwo\n');
+
+    const result = applyUnifiedDiff(root, [
+      '--- a/a.txt',
+      '+++ b/a.txt',
+      '@@ -1,2 +1,2 @@',
+      ' one',
+      '-four',
+      '+three',
+      '--- /dev/null',
+      '+++ b/../outside.txt',
+      '@@ -0,0 +1 @@',
+      '+escape'
+    ].join('\n'));
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.rejected, 2);
+    assert.match(result.files[1].error, /escapes the workspace/);
+    assert.strictEqual(fs.readFileSync(path.join(root, 'a.txt'), 'utf-8'), 'one\ntwo\n');
+    assert.strictEqual(fs.existsSync(path.join(tempRoot, 'outside.txt')), false);
+  });
+
+  await test('builder applies the patch in a session worktree and apply merges it', async () => {
+    const repoRoot = createRepo('repo-pass');
+    const { builder, stateManager, commands } = createBuilder(repoRoot, builderResponses(MATH_DIFF));
+    stateManager.startSession('session-pass', {});
+
+    const result = await builder.process({ description: 'Coerce inputs in src/math.js' }, { sessionId: 'session-pass' });
+
+    assert.strictEqual(result.success, true);
+    assert.ok(result.worktree.path.startsWith(path.join(repoRoot, '.git')));
+    assert.strictEqual(result.worktree.branch, 'liku/agent/session-pass');
+    assert.deepStrictEqual(result.worktree.changedFiles, ['src/math.js']);
+    assert.ok(commands.length > 0);
+    assert.ok(commands.every(entry => entry.cwd === result.worktree.path));
+    assert.ok(result.proofs.some(proof => proof.type === 'patch' && proof.passed));
+
+    // The user's checkout is untouched until apply
+    assert.strictEqual(fs.readFileSync(path.join(repoRoot, 'src', 'math.js'), 'utf-8'), MATH_SOURCE);
+    assert.strictEqual(git(['status', '--porcelain', '--untracked-files=no'], repoRoot), '');
+    assert.strictEqual(stateManager.getSession('session-pass').worktree.headCommit, result.worktree.headCommit);
+
+    const merged = mergeAgentWorktree(stateManager.getSession('session-pass').worktree);
+    assert.strictEqual(merged.success, true);
+    assert.deepStrictEqual(merged.changedFiles, ['src/math.js']);
+    assert.strictEqual(merged.removed, true);
+    assert.ok(fs.readFileSync(path.join(repoRoot, 'src', 'math.js'), 'utf-8').includes('Number(a) - Number(b)'));
+    assert.strictEqual(git(['diff', '--cached', '--name-only'], repoRoot), 'src/math.js');
+    assert.strictEqual(fs.existsSync(result.worktree.path), false);
+    assert.strictEqual(git(['branch', '--list', result.worktree.branch], repoRoot), '');
+  });
+
+  await test('failed local proofs roll the worktree back and leave nothing to apply', async () => {
+    const repoRoot = createRepo('repo-fail');
+    const { builder } = createBuilder(repoRoot, builderResponses(MATH_DIFF), { failLint: true });
+
+    const result = await builder.process({ description: 'Coerce inputs in src/math.js' }, { sessionId: 'session-fail' });
+
+    assert.strictEqual(result.success, false);
+    assert.deepStrictEqual(result.rolledBack.map(entry => [entry.file, entry.success]), [['src/math.js', true]]);
+    assert.strictEqual(fs.readFileSync(path.join(result.worktree.path, 'src', 'math.js'), 'utf-8'), MATH_SOURCE);
+
+    const merged = mergeAgentWorktree(result.worktree);
+    assert.strictEqual(merged.success, false);
+    assert.match(merged.error, /no changes to apply/);
+  });
+
+  await test('rejected hunks fail the patch proof', async () => {
+    const repoRoot = createRepo('repo-reject');
+    const badDiff = MATH_DIFF.replace('-  return a - b;', '-  return a * b;');
+    const { builder } = createBuilder(repoRoot, builderResponses(badDiff));
+
+    const result = await builder.process({ description: 'Coerce inputs in src/math.js' }, { sessionId: 'session-reject' });
+
+    assert.strictEqual(result.success, false);
+    const patchProof = result.proofs.find(proof => proof.type === 'patch');
+    assert.strictEqual(patchProof.passed, false);
+    assert.match(patchProof.output, /hunks failed to apply/);
+    assert.strictEqual(result.diffs[0].applied, false);
+  });
+
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+})();
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'liku-agent-model-routing-'));
+process.env.LIKU_HOME_OVERRIDE = path.join(tempRoot, '.liku');
+
+const agentsDir = path.join(__dirname, '..', 'src', 'main', 'agents');
+const { AgentModelRouter, loadAgentModelConfig } = require(path.join(agentsDir, 'model-routing.js'));
+const { ResearcherAgent } = require(path.join(agentsDir, 'researcher.js'));
+const { SupervisorAgent } = require(path.join(agentsDir, 'supervisor.js'));
+const { AgentOrchestrator } = require(path.join(agentsDir, 'orchestrator.js'));
+const { AgentStateManager } = require(path.join(agentsDir, 'state-manager.js'));
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+function writeConfig(name, document) {
+  const configPath = path.join(tempRoot, name);
+  fs.writeFileSync(configPath, typeof document === 'string' ? document : JSON.stringify(document));
+  return configPath;
+}
+
+const MODELS = [
+  { id: 'claude-opus-4.6', capabilities: { chat: true, planning: true }, premiumMultiplier: 1, recommendationTags: [] },
+  { id: 'gpt-4o-mini', capabilities: { chat: true }, premiumMultiplier: 1, recommendationTags: ['budget'] },
+  { id: 'o3-mini', capabilities: { chat: true, reasoning: true }, premiumMultiplier: 1, recommendationTags: ['budget'] }
+];
+
+const CONFIG = {
+  defaults: { provider: 'copilot', maxTokens: 4096 },
+  roles: {
+    supervisor: { model: 'claude-opus-4.6', fallbacks: ['gpt-4o-mini', { provider: 'openai', model: 'gpt-4.1', temperature: 0.3 }] },
+    researcher: { model: 'gpt-4o-mini', maxTokens: 1024 },
+    verifier: { model: 'o3-mini', temperature: 0.2 }
+  }
+};
+
+(async () => {
+  await test('loadAgentModelConfig reports invalid entries and keeps the valid ones', async () => {
+    const missing = loadAgentModelConfig({ configPath: path.join(tempRoot, 'missing.json') });
+    assert.deepStrictEqual([missing.exists, missing.errors, missing.roles], [false, [], {}]);
+
+    const broken = loadAgentModelConfig({ configPath: writeConfig('broken.json', '{ nope') });
+    assert.match(broken.errors[0], /could not parse agent-models.json/);
+
+    const config = loadAgentModelConfig({
+      configPath: writeConfig('mixed.json', {
+        defaults: { temperature: 3 },
+        roles: {
+          builder: { provider: 'nowhere', model: 'x' },
+          verifier: { model: 'gpt-4o-mini', fallbacks: [{ maxTokens: -1 }] },
+          researcher: 'gpt-4o-mini',
+          tester: { model: 'gpt-4o' },
+          supervisor: { model: 'claude-opus-4.6', phase: 'planning' }
+        }
+      })
+    });
+    assert.deepStrictEqual(Object.keys(config.roles).sort(), ['researcher', 'supervisor']);
+    assert.deepStrictEqual(config.roles.researcher, { model: 'gpt-4o-mini', fallbacks: [] });
+    assert.strictEqual(config.errors.length, 4);
+    assert.ok(config.errors.some(error => /^defaults: temperature must be a number between 0 and 2/.test(error)));
+    assert.ok(config.errors.some(error => /^builder: unknown provider "nowhere"/.test(error)));
+    assert.ok(config.errors.some(error => /^verifier: fallbacks\[0\]: maxTokens must be a positive integer/.test(error)));
+    assert.ok(config.errors.some(error => /^tester: unknown agent role/.test(error)));
+  });
+
+  await test('routes inherit defaults, take temperature from the role phase and drop it for reasoning models', async () => {
+    const router = new AgentModelRouter({
+      configPath: writeConfig('routes.json', CONFIG),
+      listModels: () => MODELS
+    });
+
+    const supervisor = router.resolve('supervisor');
+    assert.strictEqual(supervisor.phase, 'planning');
+    assert.deepStrictEqual(
+      supervisor.candidates.map(c => [c.provider, c.model, c.temperature, c.maxTokens]),
+      [
+        ['copilot', 'claude-opus-4.6', 0.4, 4096],
+        ['copilot', 'gpt-4o-mini', 0.4, 4096],
+        ['openai', 'gpt-4.1', 0.3, 4096]
+      ]
+    );
+    assert.deepStrictEqual(router.toChatOptions(supervisor, supervisor.candidates[2]), {
+      phase: 'planning',
+      provider: 'openai',
+      model: 'gpt-4.1',
+      providerFallback: false,
+      requestOptions: { temperature: 0.3, max_tokens: 4096 }
+    });
+
+    const researcher = router.resolve('researcher');
+    assert.deepStrictEqual([researcher.phase, researcher.candidates[0].temperature, researcher.candidates[0].maxTokens], ['reflection', 0.7, 1024]);
+    assert.deepStrictEqual(researcher.candidates[0].cost, { tier: 'budget', premiumMultiplier: 1 });
+
+    const verifier = router.resolve('verifier');
+    assert.strictEqual(verifier.candidates[0].temperature, null);
+    assert.deepStrictEqual(verifier.candidates[0].requestOptions, { max_tokens: 4096 });
+    assert.deepStrictEqual(verifier.warnings, ['verifier: temperature is ignored for reasoning model "o3-mini"']);
+
+    const builder = router.resolve('builder');
+    assert.deepStrictEqual([builder.source, builder.candidates[0].model, builder.candidates[0].temperature], ['defaults', null, 0.1]);
+    // Only pinned candidates turn off the service's provider fallback
+    assert.strictEqual(router.toChatOptions(builder, { ...builder.candidates[0], provider: null }).providerFallback, undefined);
+
+    // The Producer keeps its hardcoded per-phase models
+    assert.strictEqual(router.resolve('producer'), null);
+  });
+
+  await test('agents chat through their route and fall back when a model fails', async () => {
+    const router = new AgentModelRouter({
+      configPath: writeConfig('fallback.json', CONFIG),
+      listModels: () => MODELS
+    });
+    const calls = [];
+    const aiService = {
+      chat: async (message, options) => {
+        calls.push(options);
+        if (options.model === 'claude-opus-4.6') {
+          throw new Error('model unavailable');
+        }
+        return { text: `answer from ${options.model}` };
+      }
+    };
+
+    const supervisor = new SupervisorAgent({ aiService, modelRouter: router });
+    supervisor.log = () => {};
+    const response = await supervisor.chat('plan this');
+    assert.strictEqual(response.text, 'answer from gpt-4o-mini');
+    assert.deepStrictEqual(calls.map(call => [call.model, call.phase, call.requestOptions, call.providerFallback]), [
+      ['claude-opus-4.6', 'planning', { max_tokens: 4096 }, false],
+      ['gpt-4o-mini', 'planning', { max_tokens: 4096 }, false]
+    ]);
+    assert.deepStrictEqual(supervisor.getState().lastModelRoute, { provider: 'copilot', model: 'gpt-4o-mini', fallback: 1 });
+    assert.ok(calls[0].systemPrompt.includes('SUPERVISOR'));
+
+    // Explicit per-call options still win over the route
+    calls.length = 0;
+    const researcher = new ResearcherAgent({ aiService, modelRouter: router });
+    researcher.log = () => {};
+    await researcher.chat('summarize', { model: 'gpt-4.1' });
+    assert.deepStrictEqual([calls[0].model, calls[0].phase, calls[0].requestOptions], ['gpt-4.1', 'reflection', { max_tokens: 1024 }]);
+
+    const failing = new SupervisorAgent({ aiService: { chat: async () => { throw new Error('all down'); } }, modelRouter: router });
+    failing.log = () => {};
+    await assert.rejects(() => failing.chat('plan'), /all down/);
+  });
+
+  await test('a timed-out candidate is aborted before the next one starts', async () => {
+    const router = new AgentModelRouter({
+      configPath: writeConfig('timeout.json', CONFIG),
+      listModels: () => MODELS
+    });
+    const signals = [];
+    const aiService = {
+      chat: (message, options) => {
+        signals.push(options.signal);
+        if (options.model === 'claude-opus-4.6') {
+          // Never settles on its own, like a stalled provider request
+          return new Promise((_, reject) => {
+            options.signal.addEventListener('abort', () => reject(options.signal.reason));
+          });
+        }
+        return Promise.resolve({ text: `answer from ${options.model}` });
+      }
+    };
+
+    const supervisor = new SupervisorAgent({ aiService, modelRouter: router, chatTimeoutMs: 20 });
+    supervisor.log = () => {};
+    const response = await supervisor.chat('plan this');
+    assert.strictEqual(response.text, 'answer from gpt-4o-mini');
+    assert.strictEqual(signals.length, 2);
+    assert.strictEqual(signals[0].aborted, true);
+    assert.match(signals[0].reason.message, /timed out after 0.02s/);
+    assert.strictEqual(signals[1].aborted, false);
+  });
+
+  await test('orchestrator shares one router and reports the effective routing', async () => {
+    const configPath = writeConfig('orchestrator.json', CONFIG);
+    const orchestrator = new AgentOrchestrator({
+      stateManager: new AgentStateManager(path.join(tempRoot, 'agent_state.json')),
+      modelConfigPath: configPath,
+      aiService: {
+        chat: async () => ({ text: '' }),
+        getCopilotModels: () => MODELS,
+        getStatus: () => ({ provider: 'copilot' }),
+        getCurrentCopilotModel: () => 'gpt-4o'
+      }
+    });
+
+    assert.strictEqual(orchestrator.getBuilder().modelRouter, orchestrator.modelRouter);
+    const routing = orchestrator.getState().modelRouting;
+    assert.strictEqual(routing.configPath, configPath);
+    assert.deepStrictEqual(routing.routes.map(route => route.role), ['supervisor', 'builder', 'verifier', 'researcher']);
+    const builder = routing.routes.find(route => route.role === 'builder');
+    assert.deepStrictEqual([builder.candidates[0].model, builder.candidates[0].inherited], ['gpt-4o', true]);
+    assert.strictEqual(routing.routes[0].candidates.length, 3);
+  });
+
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+})();
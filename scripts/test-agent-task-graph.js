@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'liku-agent-task-graph-'));
+process.env.LIKU_HOME_OVERRIDE = path.join(tempRoot, '.liku');
+
+const agentsDir = path.join(__dirname, '..', 'src', 'main', 'agents');
+const {
+  createTaskGraph,
+  renderTaskGraphText,
+  renderTaskGraphDot
+} = require(path.join(agentsDir, 'task-graph.js'));
+const { SupervisorAgent } = require(path.join(agentsDir, 'supervisor.js'));
+const { AgentOrchestrator } = require(path.join(agentsDir, 'orchestrator.js'));
+const { AgentStateManager } = require(path.join(agentsDir, 'state-manager.js'));
+const { AgentCommandPolicy } = require(path.join(agentsDir, 'command-policy.js'));
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+const PLAN = [
+  'Plan:',
+  '1. Implement parser changes in src/parser.js',
+  '2. Add docs for the parser option (independent)',
+  '3. Verify the parser tests pass (depends on 1)',
+  '4. Summarize the outcome (depends on 2, 3)'
+].join('\n');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createOrchestrator(statePath, options = {}) {
+  const orchestrator = new AgentOrchestrator({
+    stateManager: new AgentStateManager(statePath),
+    commandPolicy: new AgentCommandPolicy({
+      projectRoot: tempRoot,
+      hookRunner: {
+        runPreToolUseHook: () => ({ denied: false, reason: 'test' }),
+        runPostToolUseHook: () => ({ logged: true })
+      }
+    }),
+    ...options
+  });
+  for (const role of ['supervisor', 'builder', 'verifier']) {
+    orchestrator.getAgent(role).log = () => {};
+  }
+  const supervisor = orchestrator.getSupervisor();
+  const responses = ['Analysis: parser work', PLAN];
+  supervisor.chat = async () => ({ text: responses.shift() || '' });
+  return orchestrator;
+}
+
+function stubAgents(orchestrator, handlers) {
+  const calls = [];
+  let active = 0;
+  let maxActive = 0;
+  for (const [role, handler] of Object.entries(handlers)) {
+    orchestrator.getAgent(role).process = async (task, context) => {
+      calls.push({ role, task: task.description, context });
+      active++;
+      maxActive = Math.max(maxActive, active);
+      try {
+        return await handler(task, context);
+      } finally {
+        active--;
+      }
+    };
+  }
+  return { calls, maxActive: () => maxActive };
+}
+
+(async () => {
+  await test('decomposeTasks reads step dependency annotations into a DAG', async () => {
+    const supervisor = new SupervisorAgent({});
+    const steps = supervisor.parseSteps(PLAN);
+    assert.deepStrictEqual(steps.map(step => step.dependsOn), [null, [], [1], [2, 3]]);
+    assert.strictEqual(steps[1].description, 'Add docs for the parser option');
+
+    const tasks = await supervisor.decomposeTasks({ steps });
+    assert.deepStrictEqual(tasks.map(task => task.dependencies), [
+      [],
+      [],
+      ['subtask-1'],
+      ['subtask-2', 'subtask-3']
+    ]);
+
+    // Forward references are dropped so the graph cannot cycle
+    const forward = await supervisor.decomposeTasks({ steps: supervisor.parseSteps('1. Fix a (depends on 2)\n2. Fix b') });
+    assert.deepStrictEqual(forward.map(task => task.dependencies), [[], ['subtask-1']]);
+
+    assert.throws(() => createTaskGraph([
+      { id: 'a', description: 'a', targetAgent: 'builder', dependencies: ['b'] },
+      { id: 'b', description: 'b', targetAgent: 'builder', dependencies: ['a'] }
+    ]), /dependency cycle: a -> b -> a/);
+    assert.throws(() => createTaskGraph([
+      { id: 'a', description: 'a', targetAgent: 'builder', dependencies: ['missing'] }
+    ]), /unknown task missing/);
+  });
+
+  await test('independent nodes run concurrently up to the limit and the graph is persisted', async () => {
+    const statePath = path.join(tempRoot, 'concurrent', 'agent_state.json');
+    const orchestrator = createOrchestrator(statePath, { maxConcurrency: 2 });
+    const snapshots = [];
+    const saveTaskGraph = orchestrator.stateManager.saveTaskGraph.bind(orchestrator.stateManager);
+    orchestrator.stateManager.saveTaskGraph = (sessionId, graph) => {
+      snapshots.push(graph.nodes.map(node => node.status));
+      return saveTaskGraph(sessionId, graph);
+    };
+    const worktree = { path: path.join(tempRoot, 'wt'), branch: 'liku/agent/x', changedFiles: ['src/parser.js'] };
+    const { calls, maxActive } = stubAgents(orchestrator, {
+      builder: async () => {
+        await delay(20);
+        return { success: true, worktree, diffs: [{ file: 'src/parser.js', diff: '...', applied: true }], proofs: [{ type: 'patch', passed: true }] };
+      },
+      verifier: async () => ({ success: true, results: [{ phase: 'unit', passed: true, testCounts: { passed: 3, failed: 0, skipped: 0, total: 3 } }] })
+    });
+
+    const result = await orchestrator.orchestrate('Add a parser option', { enableCheckpoints: false });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(maxActive(), 2);
+    assert.deepStrictEqual(calls.map(call => call.role), ['builder', 'builder', 'verifier']);
+    assert.ok(snapshots.some(statuses => statuses.filter(status => status === 'in-progress').length === 2));
+
+    const verifierCall = calls.find(call => call.role === 'verifier');
+    assert.deepStrictEqual(verifierCall.context.worktree, worktree);
+    assert.deepStrictEqual(verifierCall.context.diffs, [{ file: 'src/parser.js', applied: true }]);
+
+    const stored = new AgentStateManager(statePath).getTaskGraph(result.session);
+    assert.deepStrictEqual(stored.nodes.map(node => node.status), ['completed', 'completed', 'completed', 'completed']);
+    assert.deepStrictEqual(stored.nodes[2].inputs.dependencies, ['subtask-1']);
+    assert.deepStrictEqual(stored.nodes[2].proofs, [{ type: 'verify:unit', passed: true, testCounts: { passed: 3, failed: 0, skipped: 0, total: 3 } }]);
+    assert.strictEqual(stored.nodes[0].outputs.diffs[0].diff, undefined);
+    assert.deepStrictEqual(result.result.dependencyGraph.nodes.map(node => node.status), ['completed', 'completed', 'completed', 'completed']);
+  });
+
+  await test('resume continues from the last incomplete node after a crash', async () => {
+    const statePath = path.join(tempRoot, 'resume', 'agent_state.json');
+    const first = createOrchestrator(statePath, { maxConcurrency: 1 });
+    const worktree = { path: path.join(tempRoot, 'wt2'), branch: 'liku/agent/y', changedFiles: ['src/parser.js'] };
+    let crash;
+    const crashed = new Promise(resolve => { crash = resolve; });
+    stubAgents(first, {
+      builder: async task => {
+        if (task.description.includes('docs')) {
+          crash();
+          return new Promise(() => {});
+        }
+        return { success: true, worktree, diffs: [{ file: 'src/parser.js', applied: true }] };
+      },
+      verifier: async () => ({ success: true })
+    });
+
+    // The process "dies" while the second node is running
+    first.orchestrate('Add a parser option', { enableCheckpoints: false });
+    await crashed;
+    const sessionId = first.currentSession.id;
+    const interrupted = new AgentStateManager(statePath).getTaskGraph(sessionId);
+    assert.deepStrictEqual(interrupted.nodes.map(node => node.status), ['completed', 'in-progress', 'pending', 'pending']);
+
+    const second = createOrchestrator(statePath);
+    const { calls } = stubAgents(second, {
+      builder: async () => ({ success: true }),
+      verifier: async () => ({ success: false, error: 'unit tests failed' })
+    });
+
+    const resumed = await second.resume(sessionId, { enableCheckpoints: false });
+    assert.strictEqual(resumed.success, false);
+    assert.deepStrictEqual(resumed.result.resumed, ['subtask-2']);
+    assert.deepStrictEqual(calls.map(call => call.task), ['Implement: Add docs for the parser option', 'Verify: Verify the parser tests pass']);
+    assert.deepStrictEqual(calls[1].context.worktree, worktree);
+    assert.strictEqual(resumed.result.results[0].fromPreviousRun, true);
+
+    const afterFailure = second.stateManager.getTaskGraph(sessionId);
+    assert.deepStrictEqual(afterFailure.nodes.map(node => node.status), ['completed', 'completed', 'failed', 'skipped']);
+    assert.match(afterFailure.nodes[3].error, /subtask-3 failed/);
+    assert.strictEqual(second.stateManager.getSession(sessionId).status, 'active');
+
+    // A second resume retries the failed node and the one it blocked
+    const third = createOrchestrator(statePath);
+    const retry = stubAgents(third, {
+      builder: async () => ({ success: true }),
+      verifier: async () => ({ success: true })
+    });
+    const done = await third.resume(sessionId, { enableCheckpoints: false });
+    assert.strictEqual(done.success, true);
+    assert.deepStrictEqual(done.result.resumed, ['subtask-3', 'subtask-4']);
+    assert.deepStrictEqual(retry.calls.map(call => call.role), ['verifier']);
+    const final = third.stateManager.getTaskGraph(sessionId);
+    assert.deepStrictEqual(final.nodes.map(node => [node.status, node.attempts]), [
+      ['completed', 1],
+      ['completed', 2],
+      ['completed', 2],
+      ['completed', 1]
+    ]);
+
+    const missing = await third.resume('session-missing');
+    assert.match(missing.error, /Session not found/);
+  });
+
+  await test('task graphs render as text and DOT', async () => {
+    const graph = createTaskGraph([
+      { id: 'subtask-1', description: 'Implement "quoted" change', targetAgent: 'builder', dependencies: [] },
+      { id: 'subtask-2', description: 'Verify change', targetAgent: 'verifier', dependencies: ['subtask-1'] }
+    ], { sessionId: 'session-1', maxConcurrency: 3 });
+    graph.nodes[0].status = 'completed';
+    graph.nodes[0].proofs = [{ type: 'patch', passed: true }];
+    graph.nodes[1].status = 'failed';
+    graph.nodes[1].error = 'unit tests failed';
+
+    const text = renderTaskGraphText(graph);
+    assert.ok(text.includes('1/2 completed, 1 failed, 0 skipped, 0 remaining (max concurrency 3)'));
+    assert.ok(text.includes('[x] subtask-1 (builder) Implement "quoted" change'));
+    assert.ok(text.includes('      proofs: 1/1 passed'));
+    assert.ok(text.includes('[!] subtask-2 (verifier) Verify change\n      after: subtask-1\n      error: unit tests failed'));
+
+    const dot = renderTaskGraphDot(graph);
+    assert.ok(dot.startsWith('digraph "session-1" {'));
+    assert.ok(dot.includes('"subtask-1" [label="subtask-1 (builder)\\nImplement \\"quoted\\" change\\ncompleted", fillcolor="palegreen"];'));
+    assert.ok(dot.includes('"subtask-1" -> "subtask-2";'));
+    assert.ok(dot.trim().endsWith('}'));
+  });
+
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+})();
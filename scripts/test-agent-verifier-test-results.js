@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'liku-verifier-results-'));
+process.env.LIKU_HOME_OVERRIDE = path.join(tempRoot, '.liku');
+
+const agentsDir = path.join(__dirname, '..', 'src', 'main', 'agents');
+const {
+  detectTestRunner,
+  buildTestCommands,
+  parseTestReport
+} = require(path.join(agentsDir, 'test-results.js'));
+const { VerifierAgent } = require(path.join(agentsDir, 'verifier.js'));
+const { BuilderAgent } = require(path.join(agentsDir, 'builder.js'));
+const { AgentCommandPolicy } = require(path.join(agentsDir, 'command-policy.js'));
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+function writeProject(name, files) {
+  const root = path.join(tempRoot, name);
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return root;
+}
+
+(async () => {
+  await test('detectTestRunner prefers the test script over installed dependencies', async () => {
+    const nodeTest = writeProject('detect-node', {
+      'package.json': { scripts: { test: 'node --test test/' }, devDependencies: { jest: '^29.0.0' } }
+    });
+    const jest = writeProject('detect-jest', { 'package.json': { devDependencies: { jest: '^29.0.0' } } });
+    const scripts = writeProject('detect-scripts', {
+      'package.json': { scripts: { test: 'node scripts/test-grid.js' } },
+      'scripts/test-grid.js': ''
+    });
+    const pytest = writeProject('detect-pytest', { 'pyproject.toml': '[tool.pytest.ini_options]\n' });
+
+    assert.strictEqual(detectTestRunner(nodeTest).runner, 'node-test');
+    assert.strictEqual(detectTestRunner(jest).runner, 'jest');
+    assert.strictEqual(detectTestRunner(scripts).runner, 'scripts');
+    assert.strictEqual(detectTestRunner(pytest).runner, 'pytest');
+    assert.strictEqual(detectTestRunner(writeProject('detect-none', { 'README.md': '' })), null);
+
+    const [command] = buildTestCommands(detectTestRunner(nodeTest), { rootDir: nodeTest, reportDir: tempRoot });
+    assert.strictEqual(command.command, 'node --test --test-reporter=tap test/ 2>&1');
+    assert.strictEqual(command.format, 'tap');
+  });
+
+  await test('buildTestCommands runs only the scripts that load a changed module', async () => {
+    const root = writeProject('related-scripts', {
+      'package.json': { scripts: { test: 'node scripts/test-grid.js' } },
+      'scripts/test-grid.js': "require('../src/grid');\n",
+      'scripts/test-math.js': "const { add } = require(path.join(libDir, 'math.js'));\n",
+      'scripts/test-other.js': "require('../src/mathematics');\n"
+    });
+
+    const commands = buildTestCommands(detectTestRunner(root), {
+      rootDir: root,
+      reportDir: tempRoot,
+      changedFiles: ['src/lib/math.js']
+    });
+    assert.deepStrictEqual(commands.map(c => c.command), ['node "scripts/test-math.js" 2>&1']);
+    assert.strictEqual(commands[0].format, 'pass-fail');
+  });
+
+  await test('parseTestReport reads JUnit failures with file and line', async () => {
+    const xml = `<?xml version="1.0" encoding="utf-8"?>
+<testsuites><testsuite name="pytest" tests="3">
+  <testcase classname="tests.test_math" name="test_add" file="tests/test_math.py" line="4" time="0.001"/>
+  <testcase classname="tests.test_math" name="test_sub" time="0.002">
+    <failure message="assert 1 == 2">def test_sub():
+&gt;       assert sub(3, 1) == 1
+E       assert 2 == 1
+
+tests/test_math.py:9: AssertionError</failure>
+  </testcase>
+  <testcase classname="tests.test_math" name="test_skip"><skipped message="later"/></testcase>
+</testsuite></testsuites>`;
+
+    const report = parseTestReport(xml, 'auto');
+    assert.strictEqual(report.format, 'junit');
+    assert.deepStrictEqual(report.counts, { passed: 1, failed: 1, skipped: 1, total: 3 });
+    const failure = report.tests.find(t => t.status === 'failed');
+    assert.strictEqual(failure.name, 'test_sub');
+    assert.strictEqual(failure.message, 'assert 1 == 2');
+    assert.strictEqual(failure.file, 'tests/test_math.py');
+    assert.strictEqual(failure.line, 9);
+  });
+
+  await test('parseTestReport reads Jest JSON and locates failures in the test file', async () => {
+    const root = '/work/app';
+    const report = parseTestReport({
+      testResults: [{
+        name: '/work/app/src/math.test.js',
+        status: 'failed',
+        assertionResults: [
+          { fullName: 'math adds', title: 'adds', status: 'passed', ancestorTitles: ['math'], failureMessages: [] },
+          {
+            fullName: 'math subtracts',
+            title: 'subtracts',
+            status: 'failed',
+            ancestorTitles: ['math'],
+            failureMessages: [
+              'Error: expect(received).toBe(expected)\n\nExpected: 1\nReceived: 2\n    at Object.<anonymous> (/work/app/src/math.test.js:12:21)\n    at node_modules/jest-circus/build/utils.js:1:1'
+            ]
+          },
+          { fullName: 'math divides', title: 'divides', status: 'todo', ancestorTitles: ['math'], failureMessages: [] }
+        ]
+      }]
+    }, 'auto', { rootDir: root });
+
+    assert.deepStrictEqual(report.counts, { passed: 1, failed: 1, skipped: 1, total: 3 });
+    const failure = report.tests.find(t => t.status === 'failed');
+    assert.strictEqual(failure.file, 'src/math.test.js');
+    assert.strictEqual(failure.line, 12);
+    assert.strictEqual(failure.suite, 'math');
+    assert.strictEqual(failure.message, 'Error: expect(received).toBe(expected)');
+  });
+
+  await test('parseTestReport reads mocha TAP and repo PASS/FAIL script output', async () => {
+    const tap = [
+      '1..3',
+      'ok 1 math adds',
+      'not ok 2 math subtracts',
+      '  AssertionError [ERR_ASSERTION]: 2 == 1',
+      '      at Context.<anonymous> (test/math.spec.js:7:12)',
+      'ok 3 math divides # SKIP',
+      '# tests 3'
+    ].join('\n');
+    const mocha = parseTestReport(tap, 'auto');
+    assert.strictEqual(mocha.format, 'tap');
+    assert.deepStrictEqual(mocha.counts, { passed: 1, failed: 1, skipped: 1, total: 3 });
+    assert.deepStrictEqual(
+      [mocha.tests[1].file, mocha.tests[1].line, mocha.tests[1].message],
+      ['test/math.spec.js', 7, 'AssertionError [ERR_ASSERTION]: 2 == 1']
+    );
+
+    const scriptOutput = [
+      'PASS parses headers',
+      'FAIL rejects bad input',
+      'AssertionError [ERR_ASSERTION]: Expected values to be strictly equal:',
+      '',
+      'false !== true',
+      '',
+      '    at /repo/scripts/test-math.js:42:12',
+      '    at test (/repo/scripts/test-math.js:10:11)',
+      'PASS keeps order'
+    ].join('\n');
+    const lines = parseTestReport(scriptOutput, 'pass-fail', { rootDir: '/repo', file: 'scripts/test-math.js' });
+    assert.deepStrictEqual(lines.counts, { passed: 2, failed: 1, skipped: 0, total: 3 });
+    const failure = lines.tests.find(t => t.status === 'failed');
+    assert.strictEqual(failure.name, 'rejects bad input');
+    assert.strictEqual(failure.file, 'scripts/test-math.js');
+    assert.strictEqual(failure.line, 42);
+    assert.match(failure.message, /Expected values to be strictly equal/);
+
+    assert.deepStrictEqual(parseTestReport('Tests: all good', 'auto').counts, { passed: 0, failed: 0, skipped: 0, total: 0 });
+  });
+
+  await test('verifier runs node --test with TAP and hands failing tests back to the builder', async () => {
+    const root = writeProject('node-test-project', {
+      'package.json': { scripts: { test: 'node --test test/' } },
+      'test/math.test.js': [
+        "const test = require('node:test');",
+        "const assert = require('assert');",
+        "test('adds', () => { assert.strictEqual(1 + 1, 2); });",
+        "test('subtracts', () => { assert.strictEqual(3 - 1, 1); });",
+        ''
+      ].join('\n')
+    });
+
+    const commandPolicy = new AgentCommandPolicy({
+      projectRoot: root,
+      approvalMode: 'prompt',
+      hookRunner: {
+        runPreToolUseHook: () => ({ denied: false, reason: 'test' }),
+        runPostToolUseHook: () => ({ logged: true })
+      }
+    });
+    const verifier = new VerifierAgent({ commandPolicy });
+    verifier.runLint = async () => ({ phase: 'lint', passed: true });
+    verifier.runBuild = async () => ({ phase: 'build', passed: true });
+    verifier.runIntegrationTests = async () => ({ phase: 'integration', passed: true, skipped: true });
+
+    const result = await verifier.process({ description: 'Verify' }, {
+      worktree: { path: root, changedFiles: ['test/math.test.js'] }
+    });
+
+    assert.strictEqual(result.success, false);
+    const unit = result.results.find(r => r.phase === 'unit');
+    assert.strictEqual(unit.runner, 'node-test');
+    assert.deepStrictEqual(unit.testCounts, { passed: 1, failed: 1, skipped: 0, total: 2 });
+    assert.strictEqual(result.failingTests.length, 1);
+    assert.strictEqual(result.failingTests[0].name, 'subtracts');
+    assert.strictEqual(result.failingTests[0].file, 'test/math.test.js');
+    assert.strictEqual(result.failingTests[0].line, 4);
+    assert.deepStrictEqual([result.handoff.to, result.suggestedNext], ['builder', 'builder']);
+    assert.ok(result.suggestions.some(s => s.includes('"subtracts" (test/math.test.js:4)')));
+
+    const proof = verifier.proofChain.find(p => p.type === 'test-result');
+    assert.strictEqual(proof.name, 'subtracts');
+    assert.strictEqual(proof.line, 4);
+  });
+
+  await test('builder prompt includes the failing tests from the handoff', async () => {
+    const root = writeProject('builder-prompt', { 'test/math.test.js': "test('subtracts')\n" });
+    const builder = new BuilderAgent({ useWorktree: false });
+    builder.workingDirectory = root;
+    builder.getWorkspaceRoot = () => root;
+    const prompts = [];
+    builder.chat = async prompt => {
+      prompts.push(prompt);
+      return { text: 'analysis' };
+    };
+
+    const understanding = await builder.probeTarget({ description: 'Fix subtraction' }, {
+      failingTests: [{ name: 'subtracts', file: 'test/math.test.js', line: 4, message: '2 !== 1' }]
+    });
+
+    assert.deepStrictEqual(understanding.files, ['test/math.test.js']);
+    assert.ok(prompts[0].includes('- subtracts (test/math.test.js:4): 2 !== 1'));
+    assert.ok(prompts[0].includes("--- test/math.test.js ---\ntest('subtracts')"));
+  });
+
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+})();
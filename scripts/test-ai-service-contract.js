@@ -33,6 +33,7 @@ const EXPECTED_EXPORTS = [
   'getLatestVisualContext',
   'getModelMetadata',
   'getPendingAction',
+  'getProviderCassette',
   'getReflectionModel',
   'getSessionIntentState',
   'getStatus',
@@ -54,6 +55,7 @@ const EXPECTED_EXPORTS = [
   'preflightActions',
   'recordChatContinuityTurn',
   'rejectPendingAction',
+  'requestReflection',
   'resumeAfterConfirmation',
   'rewriteActionsForReliability',
   'saveSessionNote',
@@ -64,6 +66,7 @@ const EXPECTED_EXPORTS = [
   'setOAuthCallback',
   'setPendingAction',
   'setProvider',
+  'setProviderCassette',
   'setReflectionModel',
   'setSemanticDOMSnapshot',
   'setUIWatcher',
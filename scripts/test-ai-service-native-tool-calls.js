@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const http = require('http');
+const path = require('path');
+
+const aiServiceDir = path.join(__dirname, '..', 'src', 'main', 'ai-service');
+const {
+  buildToolCallActionPlan,
+  formatToolCallPlanMessage,
+  normalizeToolCalls,
+  resolveNativeToolDefinitions,
+  toAnthropicToolDefinitions
+} = require(path.join(aiServiceDir, 'actions', 'tool-calls.js'));
+const { parseActions } = require(path.join(aiServiceDir, 'actions', 'parse.js'));
+const { getToolDefinitions, LIKU_TOOLS } = require(path.join(aiServiceDir, 'providers', 'copilot', 'tools.js'));
+const { createStreamCollector, requestStreamingCompletion } = require(path.join(aiServiceDir, 'providers', 'streaming.js'));
+const { checkNegativePolicies } = require(path.join(aiServiceDir, 'policy-enforcement.js'));
+const {
+  executeGitHubCapabilityAction,
+  toGitHubToolName
+} = require(path.join(__dirname, '..', 'src', 'main', 'github', 'capability-tools.js'));
+const { getGitHubCapability } = require(path.join(__dirname, '..', 'src', 'main', 'github', 'capability-registry.js'));
+const { evaluateGitHubCapabilityPolicy } = require(path.join(__dirname, '..', 'src', 'main', 'github', 'capability-policy.js'));
+
+function test(name, fn) {
+  return Promise.resolve()
+    .then(fn)
+    .then(() => {
+      console.log(`PASS ${name}`);
+    })
+    .catch((error) => {
+      console.error(`FAIL ${name}`);
+      console.error(error.stack || error.message);
+      process.exitCode = 1;
+    });
+}
+
+function openAICall(name, args, id = `call-${name}`) {
+  return { id, type: 'function', function: { name, arguments: typeof args === 'string' ? args : JSON.stringify(args) } };
+}
+
+(async () => {
+  await test('tool calls become a fenced action plan that parseActions reads back unchanged', () => {
+    const { plan, errors } = buildToolCallActionPlan([
+      openAICall('focus_window', { title: 'TradingView' }),
+      openAICall('press_key', { key: 'ctrl+k', reason: 'open search' }),
+      openAICall('type_text', { text: 'AAPL' })
+    ], { content: 'Open the symbol search.', definitions: LIKU_TOOLS });
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(plan.source, 'tool_calls');
+    const parsed = parseActions(formatToolCallPlanMessage(plan));
+    assert.strictEqual(parsed.thought, 'Open the symbol search.');
+    assert.deepStrictEqual(parsed.actions.map((action) => action.type), ['bring_window_to_front', 'key', 'type']);
+    assert.strictEqual(parsed.actions[1].key, 'ctrl+k');
+  });
+
+  await test('OpenAI and Anthropic send tool schemas only when opted in', () => {
+    assert.strictEqual(resolveNativeToolDefinitions({}, {}), null);
+    assert.strictEqual(resolveNativeToolDefinitions({}, { LIKU_NATIVE_TOOL_CALLS: '0' }), null);
+    assert.strictEqual(resolveNativeToolDefinitions({ enableTools: false }, { LIKU_NATIVE_TOOL_CALLS: '1' }), null);
+    const definitions = resolveNativeToolDefinitions({}, { LIKU_NATIVE_TOOL_CALLS: '1' });
+    assert.deepStrictEqual(definitions.map((definition) => definition.function.name), getToolDefinitions().map((definition) => definition.function.name));
+  });
+
+  await test('a half-formed tool call rejects the whole batch', () => {
+    const { plan, errors } = buildToolCallActionPlan([
+      openAICall('focus_window', { title: 'Notepad' }),
+      openAICall('click', { x: 10 }),
+      openAICall('type_text', '{"text": "unterminated'),
+      openAICall('scroll', { direction: 'sideways' }),
+      openAICall('teleport', {})
+    ], { definitions: LIKU_TOOLS });
+    assert.deepStrictEqual(plan.actions, []);
+    assert.deepStrictEqual(plan.toolCallErrors, errors);
+    assert.ok(errors.includes('click: missing required argument "y"'));
+    assert.ok(errors.includes('type_text: arguments are not valid JSON'));
+    assert.ok(errors.some((entry) => /scroll: argument "direction" must be one of up, down/.test(entry)));
+    assert.ok(errors.includes('teleport: unknown tool'));
+    assert.strictEqual(parseActions(formatToolCallPlanMessage(plan)).actions.length, 0);
+  });
+
+  await test('argument types are checked against the schema', () => {
+    const { errors } = buildToolCallActionPlan([openAICall('wait', { ms: 'soon' })], { definitions: LIKU_TOOLS });
+    assert.deepStrictEqual(errors, ['wait: argument "ms" must be number']);
+  });
+
+  await test('Anthropic tool_use blocks normalize like OpenAI tool_calls', () => {
+    const calls = normalizeToolCalls([{ type: 'tool_use', id: 'toolu_1', name: 'run_command', input: { command: 'git status' } }]);
+    assert.deepStrictEqual(calls, [{ id: 'toolu_1', name: 'run_command', args: { command: 'git status' }, error: null }]);
+    const { plan } = buildToolCallActionPlan([{ type: 'tool_use', id: 'toolu_1', name: 'run_command', input: { command: 'git status' } }], { definitions: LIKU_TOOLS });
+    assert.deepStrictEqual(plan.actions, [{ type: 'run_command', command: 'git status' }]);
+
+    const anthropicTools = toAnthropicToolDefinitions(LIKU_TOOLS);
+    const click = anthropicTools.find((tool) => tool.name === 'click');
+    assert.deepStrictEqual(click.input_schema.required, ['x', 'y']);
+  });
+
+  await test('tool-call plans go through the same policy checks as parsed actions', () => {
+    const { plan } = buildToolCallActionPlan([openAICall('click', { x: 1, y: 2 })], { definitions: LIKU_TOOLS });
+    const check = checkNegativePolicies(parseActions(formatToolCallPlanMessage(plan)), [{ forbiddenMethod: 'click_coordinates' }]);
+    assert.strictEqual(check.ok, false);
+  });
+
+  await test('read-only GitHub capabilities are exposed as typed tools', () => {
+    const definitions = getToolDefinitions();
+    const names = definitions.map((definition) => definition.function.name);
+    assert.ok(names.includes('github_issues_list'));
+    assert.ok(names.includes('github_workflow_permissions_inspect'));
+    assert.ok(!names.includes(toGitHubToolName('pr.create.draft')));
+    assert.ok(!names.includes(toGitHubToolName('github.apply')));
+    assert.ok(!getToolDefinitions({ includeGitHub: false }).some((definition) => definition.function.name.startsWith('github_')));
+
+    const inspect = definitions.find((definition) => definition.function.name === 'github_pr_inspect');
+    assert.deepStrictEqual(inspect.function.parameters.required, ['number']);
+    assert.ok(!inspect.function.parameters.properties.api);
+
+    const { plan, errors } = buildToolCallActionPlan([openAICall('github_pr_inspect', { number: 42, slug: 'octo/repo' })], { definitions });
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(plan.actions, [{
+      type: 'github_capability',
+      capability: 'pr.inspect',
+      positionals: ['42'],
+      options: { slug: 'octo/repo' }
+    }]);
+  });
+
+  await test('GitHub tool actions execute with the tool source under capability policy', async () => {
+    const requests = [];
+    const result = await executeGitHubCapabilityAction({
+      type: 'github_capability',
+      capability: 'issues.inspect',
+      positionals: ['7'],
+      options: { slug: 'octo/repo' }
+    }, {
+      executor: { execute: async (request) => { requests.push(request); return { success: true, issue: { number: 7 } }; } }
+    });
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(requests[0].positionals, ['issues', 'inspect', '7']);
+    assert.strictEqual(requests[0].source, 'tool');
+
+    const denied = await executeGitHubCapabilityAction({ type: 'github_capability', capability: 'pr.create.draft' }, {
+      executor: { execute: async () => { throw new Error('should not run'); } }
+    });
+    assert.strictEqual(denied.success, false);
+
+    assert.strictEqual(evaluateGitHubCapabilityPolicy({ capability: getGitHubCapability('issues.list'), source: 'tool' }).allowed, true);
+    assert.strictEqual(evaluateGitHubCapabilityPolicy({ capability: getGitHubCapability('secret.list'), source: 'tool' }).reason, 'source-not-allowed');
+  });
+
+  await test('streamed OpenAI tool-call deltas are accumulated', () => {
+    const collector = createStreamCollector('openai');
+    collector.push('data: {"choices":[{"delta":{"tool_calls":[{"index":0,"id":"c1","type":"function","function":{"name":"press_key","arguments":""}}]}}]}\n\n');
+    collector.push('data: {"choices":[{"delta":{"tool_calls":[{"index":0,"function":{"arguments":"{\\"key\\":"}}]}}]}\n\n');
+    collector.push('data: {"choices":[{"delta":{"tool_calls":[{"index":0,"function":{"arguments":"\\"enter\\"}"}}]},"finish_reason":"tool_calls"}]}\n\n');
+    collector.end();
+    assert.deepStrictEqual(collector.getToolCalls(), [openAICall('press_key', { key: 'enter' }, 'c1')]);
+    assert.strictEqual(collector.hasTokens(), true);
+  });
+
+  await test('streamed Anthropic tool_use blocks resolve through finalize', async () => {
+    const events = [
+      { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Checking.' } },
+      { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_2', name: 'wait', input: {} } },
+      { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"ms":' } },
+      { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '250}' } },
+      { type: 'message_delta', delta: { stop_reason: 'tool_use' } }
+    ];
+    const server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.end(events.map((event) => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`).join(''));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const message = await requestStreamingCompletion({
+        transport: http,
+        httpOptions: { hostname: '127.0.0.1', port: server.address().port, path: '/', method: 'POST', headers: {} },
+        data: '{}',
+        format: 'anthropic',
+        requestOptions: { onToken: () => {} },
+        buildHttpError: (status) => new Error(`status ${status}`),
+        finalize: ({ content, toolCalls }) => formatToolCallPlanMessage(buildToolCallActionPlan(toolCalls, { content, definitions: LIKU_TOOLS }).plan)
+      });
+      const parsed = parseActions(message);
+      assert.strictEqual(parsed.thought, 'Checking.');
+      assert.deepStrictEqual(parsed.actions, [{ type: 'wait', ms: 250 }]);
+    } finally {
+      server.close();
+    }
+  });
+})();
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const providersDir = path.join(__dirname, '..', 'src', 'main', 'ai-service', 'providers');
+const {
+  CASSETTE_MISS,
+  computeCassetteKey,
+  createProviderCassette,
+  createProviderCassetteFromEnv,
+  normalizeCassetteMessages
+} = require(path.join(providersDir, 'cassette.js'));
+const { createProviderOrchestrator } = require(path.join(providersDir, 'orchestration.js'));
+const { createUsageTracker } = require(path.join(__dirname, '..', 'src', 'main', 'telemetry', 'usage-ledger.js'));
+
+function test(name, fn) {
+  return Promise.resolve()
+    .then(fn)
+    .then(() => {
+      console.log(`PASS ${name}`);
+    })
+    .catch((error) => {
+      console.error(`FAIL ${name}`);
+      console.error(error.stack || error.message);
+      process.exitCode = 1;
+    });
+}
+
+function tempCassettePath() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'liku-cassette-')), 'session.json');
+}
+
+function createOrchestrator(options = {}) {
+  const state = { cassette: options.cassette || null, calls: [] };
+  const authenticated = options.authenticated !== false;
+  const orchestrator = createProviderOrchestrator({
+    aiProviders: { copilot: {}, openai: { model: 'gpt-4o' } },
+    apiKeys: authenticated ? { copilot: 'token', openai: 'key' } : {},
+    callAnthropic: async () => { throw new Error('anthropic unavailable'); },
+    callCopilot: async (messages, model, requestOptions) => {
+      state.calls.push({ provider: 'copilot', requestOptions });
+      const reply = options.reply ? options.reply(messages) : `live reply ${state.calls.length}`;
+      if (requestOptions && typeof requestOptions.onToken === 'function') {
+        requestOptions.onToken(reply);
+        requestOptions.onStreamComplete({ finishReason: 'length' });
+      }
+      return { content: reply, effectiveModel: model };
+    },
+    callOllama: async () => { throw new Error('ollama unavailable'); },
+    callOpenAI: async () => { throw new Error('openai unavailable'); },
+    getCurrentCopilotModel: () => 'gpt-4o',
+    getCurrentProvider: () => 'copilot',
+    getProviderCassette: () => state.cassette,
+    loadCopilotToken: () => authenticated,
+    modelRegistry: () => ({ 'gpt-4o': { id: 'gpt-4o', vision: true } }),
+    providerFallbackOrder: ['copilot', 'openai'],
+    resolveCopilotModelKey: (model) => model || 'gpt-4o',
+    usageTracker: options.usageTracker || null
+  });
+  return { orchestrator, state };
+}
+
+function conversation(userText, systemText = 'You are Liku. cwd=/home/alice/project') {
+  return [
+    { role: 'system', content: systemText },
+    { role: 'user', content: userText }
+  ];
+}
+
+(async () => {
+  await test('cassette keys ignore system prompts, timestamps, whitespace and image payloads', () => {
+    const homeDir = '/home/alice';
+    const a = [
+      { role: 'system', content: 'Machine A' },
+      { role: 'user', content: [{ type: 'text', text: 'Open  ~/notes at 2026-03-01T10:00:00Z' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AAA' } }] }
+    ];
+    const b = [
+      { role: 'system', content: 'Machine B' },
+      { role: 'user', content: [{ type: 'text', text: 'Open /home/alice/notes at 2026-04-02T11:30:00.123Z ' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,BBB' } }] }
+    ];
+    assert.deepStrictEqual(normalizeCassetteMessages(a, { homeDir }), normalizeCassetteMessages(b, { homeDir }));
+    assert.strictEqual(computeCassetteKey(a, 'gpt-4o', { homeDir }), computeCassetteKey(b, 'gpt-4o', { homeDir }));
+    assert.notStrictEqual(computeCassetteKey(a, 'gpt-4o', { homeDir }), computeCassetteKey(a, 'gpt-4.1', { homeDir }));
+  });
+
+  await test('a recorded session replays offline without credentials, including stream callbacks', async () => {
+    const file = tempCassettePath();
+    const recorder = createOrchestrator({ cassette: createProviderCassette({ file, mode: 'record' }) });
+    const first = await recorder.orchestrator.requestWithFallback(conversation('hello'), null, { onToken: () => {} });
+    const second = await recorder.orchestrator.requestWithFallback(conversation('hello'), null, {});
+    assert.strictEqual(first.response, 'live reply 1');
+    assert.strictEqual(second.response, 'live reply 2');
+
+    const saved = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    assert.strictEqual(saved.interactions.length, 2);
+    assert.strictEqual(saved.interactions[0].request, 'hello');
+    assert.strictEqual(saved.interactions[0].finishReason, 'length');
+
+    const replayer = createOrchestrator({ cassette: createProviderCassette({ file }), authenticated: false });
+    assert.strictEqual(replayer.state.cassette.mode, 'replay');
+    const tokens = [];
+    const replayed = await replayer.orchestrator.requestWithFallback(conversation('hello', 'Different machine'), null, {
+      onToken: (delta) => tokens.push(delta)
+    });
+    assert.strictEqual(replayed.response, 'live reply 1');
+    assert.strictEqual(replayed.usedProvider, 'copilot');
+    assert.deepStrictEqual(tokens, ['live reply 1']);
+    assert.strictEqual(replayed.providerMetadata.stream.finishReason, 'length');
+    const again = await replayer.orchestrator.requestWithFallback(conversation('hello'), null, {});
+    assert.strictEqual(again.response, 'live reply 2');
+    assert.strictEqual(replayer.state.calls.length, 0);
+  });
+
+  await test('strict replay fails a miss with CASSETTE_MISS instead of calling a provider', async () => {
+    const file = tempCassettePath();
+    fs.writeFileSync(file, JSON.stringify({ version: 1, interactions: [] }));
+    const { orchestrator, state } = createOrchestrator({ cassette: createProviderCassette({ file, mode: 'replay' }) });
+    await assert.rejects(
+      orchestrator.callCurrentProvider(conversation('unrecorded question'), 'gpt-4o'),
+      (error) => error.code === CASSETTE_MISS && /unrecorded question/.test(error.message)
+    );
+    assert.strictEqual(state.calls.length, 0);
+    assert.strictEqual(state.cassette.getStats().misses, 1);
+  });
+
+  await test('passthrough mode replays hits and goes live only for misses', async () => {
+    const file = tempCassettePath();
+    const recorder = createOrchestrator({ cassette: createProviderCassette({ file, mode: 'record' }), reply: () => 'recorded' });
+    await recorder.orchestrator.callProvider('copilot', conversation('known'), 'gpt-4o');
+
+    const { orchestrator, state } = createOrchestrator({ cassette: createProviderCassette({ file, mode: 'passthrough' }), reply: () => 'live' });
+    assert.strictEqual((await orchestrator.callProvider('copilot', conversation('known'), 'gpt-4o')).content, 'recorded');
+    assert.strictEqual((await orchestrator.callProvider('copilot', conversation('new'), 'gpt-4o')).content, 'live');
+    assert.strictEqual(state.calls.length, 1);
+    assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf-8')).interactions.length, 1);
+  });
+
+  await test('passthrough misses still require provider credentials', async () => {
+    const file = tempCassettePath();
+    fs.writeFileSync(file, JSON.stringify({ version: 1, interactions: [] }));
+    const { orchestrator } = createOrchestrator({ cassette: createProviderCassette({ file, mode: 'passthrough' }), authenticated: false });
+    await assert.rejects(orchestrator.requestWithFallback(conversation('new'), null, {}), /Not authenticated with GitHub Copilot/);
+  });
+
+  await test('replayed responses are not counted as token usage', async () => {
+    const file = tempCassettePath();
+    const usageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'liku-cassette-usage-'));
+    const usageTracker = createUsageTracker({ usageDir, budget: { daily: null, session: null, warnAt: 0.8 } });
+    const recorder = createOrchestrator({ cassette: createProviderCassette({ file, mode: 'record' }), usageTracker });
+    await recorder.orchestrator.requestWithFallback(conversation('count me'), null, {});
+    assert.strictEqual(usageTracker.getSessionTotals().calls, 1);
+
+    const replayer = createOrchestrator({ cassette: createProviderCassette({ file, mode: 'replay' }), usageTracker });
+    await replayer.orchestrator.requestWithFallback(conversation('count me'), null, {});
+    assert.strictEqual(usageTracker.getSessionTotals().calls, 1);
+  });
+
+  await test('cassettes are configured from LIKU_CASSETTE and LIKU_CASSETTE_MODE', () => {
+    assert.strictEqual(createProviderCassetteFromEnv({}), null);
+    const file = tempCassettePath();
+    assert.strictEqual(createProviderCassetteFromEnv({ LIKU_CASSETTE: file }).mode, 'record');
+    assert.strictEqual(createProviderCassetteFromEnv({ LIKU_CASSETTE: file, LIKU_CASSETTE_MODE: 'passthrough' }).mode, 'passthrough');
+    assert.throws(() => createProviderCassetteFromEnv({ LIKU_CASSETTE: file, LIKU_CASSETTE_MODE: 'rewind' }), /Unknown cassette mode "rewind"/);
+  });
+})();
@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const providersDir = path.join(__dirname, '..', 'src', 'main', 'ai-service', 'providers');
+const {
+  loadProviderEndpointConfig,
+  normalizeEndpointConfig,
+  normalizeProviderConfigDocument
+} = require(path.join(providersDir, 'endpoint-config.js'));
+const {
+  createOpenAICompatibleAdapter,
+  toOpenAICompatibleMessages
+} = require(path.join(providersDir, 'openai-compatible.js'));
+const { createProviderRegistry } = require(path.join(providersDir, 'registry.js'));
+const { createProviderOrchestrator } = require(path.join(providersDir, 'orchestration.js'));
+
+function test(name, fn) {
+  return Promise.resolve()
+    .then(fn)
+    .then(() => {
+      console.log(`PASS ${name}`);
+    })
+    .catch((error) => {
+      console.error(`FAIL ${name}`);
+      console.error(error.stack || error.message);
+      process.exitCode = 1;
+    });
+}
+
+function startChatServer(handler) {
+  return new Promise((resolve) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => body += chunk);
+      req.on('end', () => {
+        const entry = { method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body || '{}') };
+        requests.push(entry);
+        const { status = 200, payload } = handler(entry);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, port: server.address().port }));
+  });
+}
+
+function buildOrchestrator(registry, overrides = {}) {
+  return createProviderOrchestrator({
+    aiProviders: registry.AI_PROVIDERS,
+    apiKeys: registry.apiKeys,
+    callAnthropic: async () => { throw new Error('anthropic down'); },
+    callCopilot: async () => { throw new Error('copilot down'); },
+    callOllama: async () => { throw new Error('Ollama not running'); },
+    callOpenAI: async () => { throw new Error('openai down'); },
+    getCurrentCopilotModel: () => 'gpt-4o',
+    getCurrentProvider: registry.getCurrentProvider,
+    loadCopilotToken: () => true,
+    modelRegistry: () => ({ 'gpt-4o': { id: 'gpt-4o', vision: true, capabilities: { chat: true, tools: true, vision: true } } }),
+    providerAdapters: registry.providerAdapters,
+    providerFallbackOrder: registry.getFallbackOrder(),
+    resolveCopilotModelKey: (value) => value || 'gpt-4o',
+    ...overrides
+  });
+}
+
+(async () => {
+  await test('endpoint config normalizes base URL, port, path and model roles', () => {
+    const endpoint = normalizeEndpointConfig('vllm', {
+      baseUrl: 'http://gpu-box:8000/v1',
+      models: { default: 'qwen2.5-coder', vision: 'qwen2-vl', map: { 'gpt-4o': 'qwen2.5-72b' } },
+      vision: true
+    });
+    assert.strictEqual(endpoint.kind, 'openai-compatible');
+    assert.strictEqual(endpoint.baseUrl, 'gpu-box');
+    assert.strictEqual(endpoint.port, 8000);
+    assert.strictEqual(endpoint.path, '/v1/chat/completions');
+    assert.strictEqual(endpoint.visionModel, 'qwen2-vl');
+    assert.strictEqual(endpoint.automationModel, 'qwen2-vl');
+    assert.strictEqual(endpoint.modelMap['gpt-4o'], 'qwen2.5-72b');
+    assert.strictEqual(endpoint.fallback, true);
+    assert.strictEqual(endpoint.auth.required, false);
+
+    const lmStudio = normalizeEndpointConfig('lmstudio', { baseUrl: 'localhost', port: 1234, models: 'local-model' });
+    assert.strictEqual(lmStudio.protocol, 'http');
+    assert.strictEqual(lmStudio.port, 1234);
+    assert.strictEqual(lmStudio.path, '/v1/chat/completions');
+  });
+
+  await test('endpoint config reports invalid entries without dropping valid ones', () => {
+    const result = normalizeProviderConfigDocument({
+      endpoints: {
+        openai: { baseUrl: 'http://localhost:1', models: 'x' },
+        nomodel: { baseUrl: 'http://localhost:2' },
+        'bad name!': { baseUrl: 'http://localhost:3', models: 'x' },
+        disabled: { enabled: false },
+        llamacpp: { baseUrl: 'http://127.0.0.1:8080', models: 'llama-3.1-8b' }
+      }
+    });
+    assert.deepStrictEqual(result.endpoints.map((entry) => entry.name), ['llamacpp']);
+    assert.strictEqual(result.errors.length, 3);
+    assert.ok(result.errors.some((entry) => /collides with a built-in provider/.test(entry)));
+    assert.ok(result.errors.some((entry) => /models.default is required/.test(entry)));
+  });
+
+  await test('loadProviderEndpointConfig reads providers.json from the Liku home', () => {
+    const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'liku-providers-'));
+    try {
+      assert.deepStrictEqual(loadProviderEndpointConfig({ likuHome: tempHome }).endpoints, []);
+      fs.writeFileSync(path.join(tempHome, 'providers.json'), '{ not json');
+      assert.ok(/could not parse/.test(loadProviderEndpointConfig({ likuHome: tempHome }).errors[0]));
+      fs.writeFileSync(path.join(tempHome, 'providers.json'), JSON.stringify({
+        endpoints: [{ name: 'vllm', baseUrl: 'http://127.0.0.1:8000/v1', models: 'm' }]
+      }));
+      const loaded = loadProviderEndpointConfig({ likuHome: tempHome });
+      assert.strictEqual(loaded.exists, true);
+      assert.deepStrictEqual(loaded.endpoints.map((entry) => entry.name), ['vllm']);
+    } finally {
+      fs.rmSync(tempHome, { recursive: true, force: true });
+    }
+  });
+
+  await test('non-vision endpoints receive text-only messages', () => {
+    const messages = [
+      { role: 'user', content: [{ type: 'text', text: 'what is on screen' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AAA' } }] },
+      { role: 'user', content: 'next', images: ['BBB'] }
+    ];
+    assert.deepStrictEqual(toOpenAICompatibleMessages(messages, { vision: false }), [
+      { role: 'user', content: 'what is on screen' },
+      { role: 'user', content: 'next' }
+    ]);
+    const withVision = toOpenAICompatibleMessages(messages, { vision: true });
+    assert.strictEqual(withVision[0].content[1].image_url.url, 'data:image/png;base64,AAA');
+    assert.strictEqual(withVision[1].content[1].image_url.url, 'data:image/png;base64,BBB');
+  });
+
+  await test('adapter posts chat-completions with configured auth header and mapped model', async () => {
+    const { server, requests, port } = await startChatServer(() => ({
+      payload: { choices: [{ message: { role: 'assistant', content: 'from vllm' } }] }
+    }));
+    try {
+      const endpoint = normalizeEndpointConfig('vllm', {
+        baseUrl: `http://127.0.0.1:${port}/v1`,
+        auth: { header: 'X-Api-Key', scheme: '', env: 'VLLM_TEST_KEY' },
+        models: { default: 'qwen', map: { 'gpt-4o': 'qwen-large' } }
+      });
+      const adapter = createOpenAICompatibleAdapter(endpoint, { apiKeys: {}, env: { VLLM_TEST_KEY: 'secret' } });
+      const result = await adapter.call([{ role: 'user', content: 'hi' }], 'gpt-4o', { temperature: 0.1 });
+      assert.strictEqual(result, 'from vllm');
+      assert.strictEqual(requests[0].url, '/v1/chat/completions');
+      assert.strictEqual(requests[0].headers['x-api-key'], 'secret');
+      assert.strictEqual(requests[0].body.model, 'qwen-large');
+      assert.strictEqual(requests[0].body.temperature, 0.1);
+      assert.strictEqual(adapter.describe().hasApiKey, true);
+    } finally {
+      server.close();
+    }
+  });
+
+  await test('adapter surfaces endpoint errors and missing keys', async () => {
+    const { server, port } = await startChatServer(() => ({ status: 500, payload: { error: { message: 'model not loaded' } } }));
+    try {
+      const endpoint = normalizeEndpointConfig('lmstudio', {
+        baseUrl: `http://127.0.0.1:${port}`,
+        auth: { env: 'LMSTUDIO_TEST_KEY' },
+        models: 'local'
+      });
+      const adapter = createOpenAICompatibleAdapter(endpoint, { apiKeys: {}, env: {} });
+      assert.throws(() => adapter.ensureReady({}), /API key for lmstudio not set \(set LMSTUDIO_TEST_KEY/);
+      assert.throws(
+        () => createOpenAICompatibleAdapter({ ...endpoint, auth: { ...endpoint.auth, required: false } }).ensureReady({ includeVisualContext: true }),
+        /does not accept image input/
+      );
+      await assert.rejects(() => adapter.call([{ role: 'user', content: 'hi' }], null, {}), /lmstudio endpoint error 500: model not loaded/);
+    } finally {
+      server.close();
+    }
+  });
+
+  await test('registry exposes endpoints as providers and appends them to the fallback chain', () => {
+    const registry = createProviderRegistry({}, {
+      endpoints: [
+        normalizeEndpointConfig('llamacpp', { baseUrl: 'http://127.0.0.1:8080', models: 'llama' }),
+        normalizeEndpointConfig('scratch', { baseUrl: 'http://127.0.0.1:8081', models: 'x', fallback: false })
+      ]
+    });
+    assert.ok(registry.AI_PROVIDERS.llamacpp);
+    assert.strictEqual(registry.setProvider('llamacpp'), true);
+    assert.strictEqual(registry.getCurrentProvider(), 'llamacpp');
+    assert.deepStrictEqual(registry.getFallbackOrder(), ['copilot', 'openai', 'anthropic', 'ollama', 'llamacpp']);
+    assert.strictEqual(registry.setApiKey('llamacpp', 'k'), true);
+    assert.strictEqual(registry.providerAdapters.llamacpp.describe().hasApiKey, true);
+    assert.deepStrictEqual(
+      registry.describeProviders().filter((entry) => entry.kind !== 'builtin').map((entry) => entry.name),
+      ['llamacpp', 'scratch']
+    );
+  });
+
+  await test('orchestrator falls back to a configured endpoint when built-ins fail', async () => {
+    const { server, port } = await startChatServer(() => ({
+      payload: { choices: [{ message: { content: 'local answer' } }] }
+    }));
+    try {
+      const registry = createProviderRegistry({}, {
+        endpoints: [normalizeEndpointConfig('llamacpp', { baseUrl: `http://127.0.0.1:${port}`, models: 'llama' })]
+      });
+      const result = await buildOrchestrator(registry).requestWithFallback([{ role: 'user', content: 'hi' }], null, false);
+      assert.strictEqual(result.usedProvider, 'llamacpp');
+      assert.strictEqual(result.response, 'local answer');
+    } finally {
+      server.close();
+    }
+  });
+
+  await test('orchestrator skips non-vision endpoints for visual requests', async () => {
+    const registry = createProviderRegistry({}, {
+      endpoints: [normalizeEndpointConfig('textonly', { baseUrl: 'http://127.0.0.1:9', models: 'llama' })]
+    });
+    registry.setProvider('textonly');
+    const orchestrator = buildOrchestrator(registry, {
+      callOpenAI: async () => 'openai vision',
+      providerFallbackOrder: ['textonly', 'openai']
+    });
+    registry.apiKeys.openai = 'key';
+    const result = await orchestrator.requestWithFallback([{ role: 'user', content: [] }], null, { includeVisualContext: true });
+    assert.strictEqual(result.usedProvider, 'openai');
+  });
+})();
@@ -154,4 +154,107 @@ test('structured copilot responses preserve actual runtime model metadata', asyn
   assert.strictEqual(result.effectiveModel, 'gpt-4o');
   assert.strictEqual(result.requestedModel, 'gpt-5.4');
   assert.strictEqual(result.providerMetadata.endpointHost, 'api.githubcopilot.com');
-});
\ No newline at end of file
+});
+
+test('a routed provider leads the fallback chain and receives the routed model and overrides', async () => {
+  const calls = [];
+  const orchestrator = createProviderOrchestrator({
+    aiProviders: { copilot: { visionModel: 'gpt-4o', chatModel: 'gpt-4o' } },
+    apiKeys: { copilot: 'token', openai: 'openai-key', anthropic: '' },
+    callAnthropic: async () => '',
+    callCopilot: async (_messages, effectiveModel, requestOptions) => {
+      calls.push({ provider: 'copilot', effectiveModel, requestOptions });
+      return 'copilot';
+    },
+    callOllama: async () => '',
+    callOpenAI: async (_messages, requestOptions) => {
+      calls.push({ provider: 'openai', requestOptions });
+      throw new Error('openai down');
+    },
+    getCurrentCopilotModel: () => 'gpt-4o',
+    getCurrentProvider: () => 'copilot',
+    loadCopilotToken: () => true,
+    modelRegistry: () => ({
+      'gpt-4o': { id: 'gpt-4o', vision: true, capabilities: { chat: true, tools: true, vision: true } },
+      'o3-mini': { id: 'o3-mini', vision: false, capabilities: { chat: true, reasoning: true } }
+    }),
+    providerFallbackOrder: ['copilot', 'openai'],
+    resolveCopilotModelKey: (value) => value || 'gpt-4o'
+  });
+
+  const result = await orchestrator.requestWithFallback([{ role: 'user', content: 'hi' }], 'gpt-4.1', {
+    provider: 'openai',
+    phase: 'planning',
+    requestOverrides: { temperature: 0.2, max_tokens: 1024 }
+  });
+
+  assert.strictEqual(result.usedProvider, 'copilot');
+  assert.deepStrictEqual(calls.map(call => call.provider), ['openai', 'copilot']);
+  assert.deepStrictEqual(calls[0].requestOptions, { temperature: 0.2, top_p: 0.6, max_tokens: 1024, model: 'gpt-4.1' });
+  // The routed model name is not forced onto the fallback provider
+  assert.strictEqual(calls[1].requestOptions.model, undefined);
+  assert.strictEqual(calls[1].requestOptions.max_tokens, 1024);
+
+  calls.length = 0;
+  await orchestrator.requestWithFallback([{ role: 'user', content: 'hi' }], 'o3-mini', {
+    phase: 'execution',
+    requestOverrides: { temperature: 0.9, max_tokens: 512 }
+  });
+  assert.deepStrictEqual(calls[0].requestOptions, { max_tokens: 512 });
+});
+
+test('pinned routes skip the provider fallback and pass the abort signal to the provider', async () => {
+  const calls = [];
+  const controller = new AbortController();
+  const orchestrator = createProviderOrchestrator({
+    aiProviders: { copilot: { visionModel: 'gpt-4o', chatModel: 'gpt-4o' } },
+    apiKeys: { copilot: 'token', openai: 'openai-key', anthropic: '' },
+    callAnthropic: async () => '',
+    callCopilot: async (_messages, effectiveModel, requestOptions) => {
+      calls.push({ provider: 'copilot', effectiveModel, signal: requestOptions && requestOptions.signal });
+      return 'copilot';
+    },
+    callOllama: async () => '',
+    callOpenAI: async (_messages, requestOptions) => {
+      calls.push({ provider: 'openai', signal: requestOptions.signal });
+      throw new Error('openai down');
+    },
+    getCurrentCopilotModel: () => 'gpt-4o',
+    getCurrentProvider: () => 'copilot',
+    loadCopilotToken: () => true,
+    modelRegistry: () => ({
+      'gpt-4o': { id: 'gpt-4o', vision: true, capabilities: { chat: true, tools: true, vision: true } }
+    }),
+    providerFallbackOrder: ['copilot', 'openai'],
+    resolveCopilotModelKey: (value) => value || 'gpt-4o'
+  });
+  const messages = [{ role: 'user', content: 'hi' }];
+
+  await assert.rejects(() => orchestrator.requestWithFallback(messages, 'gpt-4.1', {
+    provider: 'openai',
+    providerFallback: false,
+    signal: controller.signal
+  }), /openai down/);
+  assert.deepStrictEqual(calls.map(call => call.provider), ['openai']);
+  assert.strictEqual(calls[0].signal, controller.signal);
+
+  // An unknown Copilot model fails instead of switching to the default model
+  calls.length = 0;
+  await assert.rejects(() => orchestrator.requestWithFallback(messages, 'claude-opus-4.6', {
+    provider: 'copilot',
+    providerFallback: false
+  }), /Model claude-opus-4.6 is not available from copilot/);
+  assert.deepStrictEqual(calls, []);
+
+  const pinned = await orchestrator.requestWithFallback(messages, 'gpt-4o', {
+    provider: 'copilot',
+    providerFallback: false,
+    requiresAutomation: true
+  });
+  assert.deepStrictEqual([pinned.usedProvider, pinned.effectiveModel], ['copilot', 'gpt-4o']);
+
+  controller.abort();
+  calls.length = 0;
+  await assert.rejects(() => orchestrator.requestWithFallback(messages, null, { signal: controller.signal }));
+  assert.deepStrictEqual(calls, []);
+});
@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const http = require('http');
+const path = require('path');
+
+const providersDir = path.join(__dirname, '..', 'src', 'main', 'ai-service', 'providers');
+const {
+  createStreamCollector,
+  requestStreamingCompletion
+} = require(path.join(providersDir, 'streaming.js'));
+const { createOpenAICompatibleAdapter } = require(path.join(providersDir, 'openai-compatible.js'));
+const { normalizeEndpointConfig } = require(path.join(providersDir, 'endpoint-config.js'));
+const { createProviderOrchestrator } = require(path.join(providersDir, 'orchestration.js'));
+const { detectTruncation, shouldAutoContinueResponse } = require(path.join(__dirname, '..', 'src', 'main', 'ai-service', 'response-heuristics.js'));
+const { parseActions } = require(path.join(__dirname, '..', 'src', 'main', 'ai-service', 'actions', 'parse.js'));
+
+function test(name, fn) {
+  return Promise.resolve()
+    .then(fn)
+    .then(() => {
+      console.log(`PASS ${name}`);
+    })
+    .catch((error) => {
+      console.error(`FAIL ${name}`);
+      console.error(error.stack || error.message);
+      process.exitCode = 1;
+    });
+}
+
+function sse(payloads) {
+  return payloads.map((payload) => `data: ${JSON.stringify(payload)}\n\n`).join('') + 'data: [DONE]\n\n';
+}
+
+function startStreamingServer(chunks, { status = 200, contentType = 'text/event-stream' } = {}) {
+  return new Promise((resolve) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => body += chunk);
+      req.on('end', async () => {
+        requests.push(JSON.parse(body || '{}'));
+        res.writeHead(status, { 'Content-Type': contentType });
+        for (const chunk of chunks) {
+          res.write(chunk);
+          await new Promise((done) => setImmediate(done));
+        }
+        res.end();
+      });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, port: server.address().port }));
+  });
+}
+
+function buildOrchestrator(overrides = {}) {
+  return createProviderOrchestrator({
+    aiProviders: { copilot: { visionModel: 'gpt-4o', chatModel: 'gpt-4o' } },
+    apiKeys: { copilot: 'token', openai: 'openai-key', anthropic: '' },
+    callAnthropic: async () => '',
+    callCopilot: async () => '',
+    callOllama: async () => '',
+    callOpenAI: async () => '',
+    getCurrentCopilotModel: () => 'gpt-4o',
+    getCurrentProvider: () => 'copilot',
+    loadCopilotToken: () => true,
+    modelRegistry: () => ({ 'gpt-4o': { id: 'gpt-4o', vision: true, capabilities: { chat: true, tools: true, vision: true } } }),
+    providerFallbackOrder: ['copilot', 'openai'],
+    resolveCopilotModelKey: (value) => value || 'gpt-4o',
+    ...overrides
+  });
+}
+
+(async () => {
+  await test('SSE collector reassembles OpenAI deltas split across chunk boundaries', () => {
+    const tokens = [];
+    const collector = createStreamCollector('openai', { onToken: (delta) => tokens.push(delta) });
+    const body = sse([
+      { choices: [{ delta: { content: 'Hel' } }] },
+      { choices: [{ delta: { content: 'lo' } }] },
+      { choices: [{ delta: {}, finish_reason: 'length' }] }
+    ]);
+    for (let i = 0; i < body.length; i += 7) {
+      collector.push(body.slice(i, i + 7));
+    }
+    collector.end();
+    assert.deepStrictEqual(tokens, ['Hel', 'lo']);
+    assert.strictEqual(collector.getText(), 'Hello');
+    assert.strictEqual(collector.getFinishReason(), 'length');
+  });
+
+  await test('Anthropic event stream yields text deltas and stop reason', () => {
+    const collector = createStreamCollector('anthropic');
+    collector.push('event: message_start\ndata: {"type":"message_start","message":{}}\n\n');
+    collector.push('event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"Plan: "}}\n\n');
+    collector.push('event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"open Pine"}}\n\n');
+    collector.push('event: message_delta\ndata: {"type":"message_delta","delta":{"stop_reason":"max_tokens"}}\n\n');
+    collector.end();
+    assert.strictEqual(collector.getText(), 'Plan: open Pine');
+    assert.strictEqual(collector.getFinishReason(), 'max_tokens');
+  });
+
+  await test('Ollama NDJSON stream yields message content until done', () => {
+    const collector = createStreamCollector('ollama');
+    collector.push('{"message":{"content":"a"},"done":false}\n{"message":{"con');
+    collector.push('tent":"b"},"done":false}\n{"message":{"content":""},"done":true,"done_reason":"stop"}');
+    collector.end();
+    assert.strictEqual(collector.getText(), 'ab');
+    assert.strictEqual(collector.getFinishReason(), 'stop');
+  });
+
+  await test('requestStreamingCompletion resolves full text and reports finish reason', async () => {
+    const { server, port } = await startStreamingServer([
+      'data: {"choices":[{"delta":{"content":"```json\\n{\\"actions\\": "}}]}\n\n',
+      'data: {"choices":[{"delta":{"content":"[{\\"type\\":\\"wait\\",\\"ms\\":10}]}\\n```"}}]}\n\n',
+      'data: {"choices":[{"delta":{},"finish_reason":"stop"}]}\n\ndata: [DONE]\n\n'
+    ]);
+    try {
+      const tokens = [];
+      let summary = null;
+      const text = await requestStreamingCompletion({
+        transport: http,
+        httpOptions: { hostname: '127.0.0.1', port, path: '/v1/chat/completions', method: 'POST', headers: {} },
+        data: '{}',
+        format: 'openai',
+        requestOptions: { onToken: (delta) => tokens.push(delta), onStreamComplete: (value) => { summary = value; } },
+        buildHttpError: (status) => new Error(`status ${status}`)
+      });
+      assert.strictEqual(tokens.length, 2);
+      assert.strictEqual(summary.finishReason, 'stop');
+      // Action parsing runs on the finished text, exactly as for buffered responses.
+      const parsed = parseActions(text);
+      assert.strictEqual(parsed.actions[0].type, 'wait');
+    } finally {
+      server.close();
+    }
+  });
+
+  await test('requestStreamingCompletion rejects HTTP errors without emitting tokens', async () => {
+    const { server, port } = await startStreamingServer(['{"error":{"message":"bad key"}}'], { status: 401, contentType: 'application/json' });
+    try {
+      const tokens = [];
+      await assert.rejects(() => requestStreamingCompletion({
+        transport: http,
+        httpOptions: { hostname: '127.0.0.1', port, path: '/', method: 'POST', headers: {} },
+        data: '{}',
+        format: 'openai',
+        requestOptions: { onToken: (delta) => tokens.push(delta) },
+        buildHttpError: (status, body) => new Error(`status ${status}: ${JSON.parse(body).error.message}`)
+      }), /status 401: bad key/);
+      assert.deepStrictEqual(tokens, []);
+    } finally {
+      server.close();
+    }
+  });
+
+  await test('requestStreamingCompletion rejects when the server drops the socket mid-stream', async () => {
+    const server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write('data: {"choices":[{"delta":{"content":"Hel"}}]}\n\n', () => {
+          setTimeout(() => res.socket.destroy(), 20);
+        });
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const tokens = [];
+      const pending = requestStreamingCompletion({
+        transport: http,
+        httpOptions: { hostname: '127.0.0.1', port: server.address().port, path: '/', method: 'POST', headers: {} },
+        data: '{}',
+        format: 'openai',
+        requestOptions: { onToken: (delta) => tokens.push(delta) },
+        buildHttpError: (status) => new Error(`status ${status}`)
+      });
+      let timer;
+      const hung = new Promise((resolve) => { timer = setTimeout(() => resolve('hung'), 3000); });
+      const outcome = await Promise.race([pending.then(() => 'resolved', (err) => err), hung]);
+      clearTimeout(timer);
+      assert.ok(outcome instanceof Error, `expected a rejection, got ${outcome}`);
+      assert.ok(/^STREAM_INTERRUPTED/.test(outcome.message), outcome.message);
+      assert.deepStrictEqual(tokens, ['Hel']);
+    } finally {
+      server.close();
+    }
+  });
+
+  await test('OpenAI-compatible adapter streams when onToken is supplied', async () => {
+    const { server, requests, port } = await startStreamingServer([
+      sse([{ choices: [{ delta: { content: 'local ' } }] }, { choices: [{ delta: { content: 'stream' }, finish_reason: 'stop' }] }])
+    ]);
+    try {
+      const adapter = createOpenAICompatibleAdapter(normalizeEndpointConfig('vllm', { baseUrl: `http://127.0.0.1:${port}/v1`, models: 'm' }));
+      const tokens = [];
+      const text = await adapter.call([{ role: 'user', content: 'hi' }], null, { onToken: (delta) => tokens.push(delta) });
+      assert.strictEqual(text, 'local stream');
+      assert.deepStrictEqual(tokens, ['local ', 'stream']);
+      assert.strictEqual(requests[0].stream, true);
+    } finally {
+      server.close();
+    }
+  });
+
+  await test('orchestrator forwards tokens with provider and records stream metadata', async () => {
+    const seen = [];
+    const orchestrator = buildOrchestrator({
+      callCopilot: async (_messages, _model, requestOptions) => {
+        requestOptions.onToken('par');
+        requestOptions.onToken('tial');
+        requestOptions.onStreamComplete({ finishReason: 'length' });
+        return { content: 'partial', effectiveModel: 'gpt-4o', requestedModel: 'gpt-4o' };
+      }
+    });
+    const result = await orchestrator.requestWithFallback([{ role: 'user', content: 'hi' }], null, {
+      phase: 'execution',
+      onToken: (delta, meta) => seen.push(`${meta.provider}:${delta}`)
+    });
+    assert.deepStrictEqual(seen, ['copilot:par', 'copilot:tial']);
+    assert.deepStrictEqual(result.providerMetadata.stream, { streamed: true, finishReason: 'length' });
+    assert.strictEqual(shouldAutoContinueResponse(result.response, false, { finishReason: result.providerMetadata.stream.finishReason }), true);
+  });
+
+  await test('orchestrator resets the stream when a provider fails mid-response', async () => {
+    const events = [];
+    const orchestrator = buildOrchestrator({
+      callCopilot: async (_messages, _model, requestOptions) => {
+        requestOptions.onToken('half a ');
+        throw new Error('socket hang up');
+      },
+      callOpenAI: async (_messages, requestOptions) => {
+        requestOptions.onToken('full answer.');
+        return 'full answer.';
+      }
+    });
+    const result = await orchestrator.requestWithFallback([{ role: 'user', content: 'hi' }], null, {
+      onToken: (delta, meta) => events.push(`token:${meta.provider}:${delta}`),
+      onStreamReset: (meta) => events.push(`reset:${meta.provider}`)
+    });
+    assert.strictEqual(result.usedProvider, 'openai');
+    assert.deepStrictEqual(events, ['token:copilot:half a ', 'reset:copilot', 'token:openai:full answer.']);
+  });
+
+  await test('buffered requests carry no stream callbacks or metadata', async () => {
+    let received = 'unset';
+    const orchestrator = buildOrchestrator({
+      callCopilot: async (_messages, _model, requestOptions) => {
+        received = requestOptions;
+        return 'done.';
+      }
+    });
+    const result = await orchestrator.requestWithFallback([{ role: 'user', content: 'hi' }], null, false);
+    assert.strictEqual(received, undefined);
+    assert.strictEqual(result.providerMetadata.stream, null);
+  });
+
+  await test('detectTruncation treats length finish reasons as truncated', () => {
+    assert.strictEqual(detectTruncation('A complete sentence.'), false);
+    assert.strictEqual(detectTruncation('A complete sentence.', { finishReason: 'length' }), true);
+    assert.strictEqual(detectTruncation('A complete sentence.', { finishReason: 'max_tokens' }), true);
+    assert.strictEqual(detectTruncation('A complete sentence.', { finishReason: 'stop' }), false);
+  });
+})();
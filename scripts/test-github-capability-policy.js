@@ -91,7 +91,7 @@ async function test(name, fn) {
     assert.strictEqual(issueList.sideEffectClass, 'read');
     assert.strictEqual(issueList.approvalRequirement, 'none');
     assert.strictEqual(issueList.riskLevel, 'low');
-    assert.deepStrictEqual(issueList.allowedSources.slice().sort(), ['cli', 'slash']);
+    assert.deepStrictEqual(issueList.allowedSources.slice().sort(), ['cli', 'slash', 'tool']);
 
     const contextBundle = findGitHubCapability('context', 'bundle');
     assert.ok(contextBundle);
@@ -104,14 +104,14 @@ async function test(name, fn) {
     assert.strictEqual(prStatus.responseSchemaVersion, 'github.pr-status.v1');
     assert.strictEqual(prStatus.sideEffectClass, 'read');
     assert.strictEqual(prStatus.approvalRequirement, 'none');
-    assert.deepStrictEqual(prStatus.allowedSources.slice().sort(), ['cli', 'slash']);
+    assert.deepStrictEqual(prStatus.allowedSources.slice().sort(), ['cli', 'slash', 'tool']);
 
     const prFeedback = findGitHubCapability('pr', 'feedback');
     assert.ok(prFeedback);
     assert.strictEqual(prFeedback.responseSchemaVersion, 'github.pr-feedback.v1');
     assert.strictEqual(prFeedback.sideEffectClass, 'read');
     assert.strictEqual(prFeedback.approvalRequirement, 'none');
-    assert.deepStrictEqual(prFeedback.allowedSources.slice().sort(), ['cli', 'slash']);
+    assert.deepStrictEqual(prFeedback.allowedSources.slice().sort(), ['cli', 'slash', 'tool']);
 
     const prReviewDraft = findGitHubCapability('pr', 'review-draft');
     assert.ok(prReviewDraft);
@@ -225,7 +225,7 @@ async function test(name, fn) {
     assert.strictEqual(eventList.sideEffectClass, 'read');
     assert.strictEqual(eventList.approvalRequirement, 'none');
     assert.strictEqual(eventList.riskLevel, 'low');
-    assert.deepStrictEqual(eventList.allowedSources.slice().sort(), ['cli', 'slash']);
+    assert.deepStrictEqual(eventList.allowedSources.slice().sort(), ['cli', 'slash', 'tool']);
 
     const eventInspect = findGitHubCapability('event', 'inspect');
     assert.ok(eventInspect);
@@ -233,7 +233,7 @@ async function test(name, fn) {
     assert.strictEqual(eventInspect.sideEffectClass, 'read');
     assert.strictEqual(eventInspect.approvalRequirement, 'none');
     assert.strictEqual(eventInspect.riskLevel, 'low');
-    assert.deepStrictEqual(eventInspect.allowedSources.slice().sort(), ['cli', 'slash']);
+    assert.deepStrictEqual(eventInspect.allowedSources.slice().sort(), ['cli', 'slash', 'tool']);
 
     const planRuns = findGitHubCapability('plan', 'runs');
     assert.ok(planRuns);
@@ -255,7 +255,7 @@ async function test(name, fn) {
     assert.ok(rulesetList);
     assert.strictEqual(rulesetList.responseSchemaVersion, 'github.ruleset-list.v1');
     assert.strictEqual(rulesetList.sideEffectClass, 'read');
-    assert.deepStrictEqual(rulesetList.allowedSources.slice().sort(), ['cli', 'slash']);
+    assert.deepStrictEqual(rulesetList.allowedSources.slice().sort(), ['cli', 'slash', 'tool']);
 
     const codeownersInspect = findGitHubCapability('codeowners', 'inspect');
     assert.ok(codeownersInspect);
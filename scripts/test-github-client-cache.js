@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'liku-github-cache-'));
+process.env.LIKU_HOME_OVERRIDE = tempHome;
+delete process.env.LIKU_GITHUB_CACHE;
+
+const githubDir = path.join(__dirname, '..', 'src', 'main', 'github');
+const {
+  computeRateLimitBackoffMs,
+  parseLinkHeader,
+  requestGitHubJson,
+  requestGitHubPages,
+} = require(path.join(githubDir, 'client.js'));
+const responseCache = require(path.join(githubDir, 'response-cache.js'));
+const { listGitHubPullRequests } = require(path.join(githubDir, 'pr-list.js'));
+const { listGitHubWorkflowRuns } = require(path.join(githubDir, 'workflow-runs.js'));
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+function createHeaders(entries = {}) {
+  const normalized = {};
+  Object.keys(entries).forEach((key) => {
+    normalized[String(key).toLowerCase()] = entries[key];
+  });
+  return {
+    get(name) {
+      return normalized[String(name || '').toLowerCase()] || null;
+    },
+  };
+}
+
+function createResponse(status, body, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: createHeaders(headers),
+    async text() {
+      return body === undefined ? '' : JSON.stringify(body);
+    },
+  };
+}
+
+// A fake API that honors If-None-Match for URLs it has already served.
+function createConditionalApi(pages) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, headers: init.headers });
+    const page = pages[url];
+    if (!page) return createResponse(404, { message: 'Not Found' });
+    if (init.headers['If-None-Match'] === page.etag) {
+      return createResponse(304, undefined, { etag: page.etag, 'x-ratelimit-remaining': '4999' });
+    }
+    return createResponse(200, page.body, { etag: page.etag, ...(page.link ? { link: page.link } : {}) });
+  };
+  return { calls, fetchImpl };
+}
+
+function resolveProjectIdentity() {
+  return {
+    repoName: 'copilot-liku-cli',
+    normalizedRepoName: 'copilot-liku-cli',
+    projectRoot: tempHome,
+    gitRemote: 'https://github.com/TayDa64/copilot-Liku-cli.git',
+  };
+}
+
+(async () => {
+  await test('parseLinkHeader reads rel links', () => {
+    const links = parseLinkHeader('<https://api.github.com/x?page=2>; rel="next", <https://api.github.com/x?page=5>; rel="last"');
+    assert.deepStrictEqual(links, { next: 'https://api.github.com/x?page=2', last: 'https://api.github.com/x?page=5' });
+    assert.deepStrictEqual(parseLinkHeader(null), {});
+  });
+
+  await test('conditional GET revalidates from the on-disk cache', async () => {
+    const url = 'https://api.github.com/repos/o/r';
+    const api = createConditionalApi({ [url]: { etag: '"v1"', body: { full_name: 'o/r' } } });
+
+    const first = await requestGitHubJson({ apiPath: '/repos/o/r', token: 'token-a', fetchImpl: api.fetchImpl });
+    assert.deepStrictEqual([first.ok, first.fromCache, first.data.full_name], [true, false, 'o/r']);
+    assert.strictEqual(api.calls[0].headers['If-None-Match'], undefined);
+    assert.strictEqual(fs.readdirSync(responseCache.GITHUB_RESPONSE_CACHE_DIR).length, 1);
+
+    const second = await requestGitHubJson({ apiPath: '/repos/o/r', token: 'token-a', fetchImpl: api.fetchImpl });
+    assert.strictEqual(api.calls[1].headers['If-None-Match'], '"v1"');
+    assert.deepStrictEqual([second.ok, second.status, second.fromCache, second.data.full_name], [true, 200, true, 'o/r']);
+    assert.strictEqual(second.rateLimit.remaining, 4999);
+
+    // A different token never reuses another token's cache entry.
+    await requestGitHubJson({ apiPath: '/repos/o/r', token: 'token-b', fetchImpl: api.fetchImpl });
+    assert.strictEqual(api.calls[2].headers['If-None-Match'], undefined);
+
+    // Writes and disabled caching skip validators entirely.
+    await requestGitHubJson({ apiPath: '/repos/o/r', token: 'token-a', fetchImpl: api.fetchImpl, env: { LIKU_GITHUB_CACHE: '0' } });
+    assert.strictEqual(api.calls[3].headers['If-None-Match'], undefined);
+    await requestGitHubJson({ apiPath: '/repos/o/r', token: 'token-a', method: 'PATCH', body: {}, fetchImpl: api.fetchImpl });
+    assert.strictEqual(api.calls[4].headers['If-None-Match'], undefined);
+
+    assert.strictEqual(responseCache.clearGitHubResponseCache(), 2);
+  });
+
+  await test('secondary rate limits back off and retry; permission errors do not', async () => {
+    const waits = [];
+    const sleepImpl = async (ms) => { waits.push(ms); };
+    let attempts = 0;
+    const limited = await requestGitHubJson({
+      apiPath: '/repos/o/r',
+      cache: false,
+      sleepImpl,
+      fetchImpl: async () => {
+        attempts += 1;
+        return attempts === 1
+          ? createResponse(403, { message: 'You have exceeded a secondary rate limit.' }, { 'retry-after': '3' })
+          : createResponse(200, { ok: true });
+      },
+    });
+    assert.deepStrictEqual([limited.ok, limited.retries, limited.backoffMs, waits], [true, 1, 3000, [3000]]);
+
+    const denied = await requestGitHubJson({
+      apiPath: '/repos/o/r',
+      cache: false,
+      sleepImpl,
+      fetchImpl: async () => createResponse(403, { message: 'Resource not accessible by integration' }),
+    });
+    assert.deepStrictEqual([denied.ok, denied.retries, waits.length], [false, 0, 1]);
+
+    const tooLong = await requestGitHubJson({
+      apiPath: '/repos/o/r',
+      cache: false,
+      sleepImpl,
+      maxBackoffMs: 1000,
+      fetchImpl: async () => createResponse(429, { message: 'slow down' }, { 'retry-after': '30' }),
+    });
+    assert.deepStrictEqual([tooLong.status, tooLong.retries, waits.length], [429, 0, 1]);
+
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    const exhausted = createHeaders({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(now / 1000 + 20) });
+    assert.strictEqual(computeRateLimitBackoffMs(403, exhausted, {}, 0, now), 20000);
+    assert.strictEqual(computeRateLimitBackoffMs(403, createHeaders({}), { message: 'secondary rate limit' }, 1), 120000);
+    assert.strictEqual(computeRateLimitBackoffMs(404, createHeaders({ 'retry-after': '1' }), {}), null);
+  });
+
+  await test('pagination follows Link headers up to maxItems and merges envelopes', async () => {
+    const base = 'https://api.github.com/repos/o/r/items';
+    const api = createConditionalApi({
+      [`${base}?per_page=2`]: { etag: '"p1"', body: [1, 2], link: `<${base}?per_page=2&page=2>; rel="next"` },
+      [`${base}?per_page=2&page=2`]: { etag: '"p2"', body: [3, 4], link: `<${base}?per_page=2&page=3>; rel="next"` },
+      [`${base}?per_page=2&page=3`]: { etag: '"p3"', body: [5] },
+    });
+
+    const all = await requestGitHubPages({ apiPath: `${base}?per_page=2`, fetchImpl: api.fetchImpl, maxItems: 10 });
+    assert.deepStrictEqual([all.data, all.pages, all.truncated, all.fromCache], [[1, 2, 3, 4, 5], 3, false, false]);
+
+    const capped = await requestGitHubPages({ apiPath: `${base}?per_page=2`, fetchImpl: api.fetchImpl, maxItems: 3 });
+    assert.deepStrictEqual([capped.data, capped.pages, capped.truncated, capped.fromCache], [[1, 2, 3], 2, true, true]);
+
+    const again = await requestGitHubPages({ apiPath: `${base}?per_page=2`, fetchImpl: api.fetchImpl, maxItems: 10 });
+    assert.deepStrictEqual([again.data, again.fromCache], [[1, 2, 3, 4, 5], true]);
+
+    const runs = 'https://api.github.com/repos/o/r/actions/runs';
+    const envelopeApi = createConditionalApi({
+      [`${runs}?per_page=1`]: { etag: '"r1"', body: { total_count: 2, workflow_runs: [{ id: 1 }] }, link: `<${runs}?per_page=1&page=2>; rel="next"` },
+      [`${runs}?per_page=1&page=2`]: { etag: '"r2"', body: { total_count: 2, workflow_runs: [{ id: 2 }] } },
+    });
+    const merged = await requestGitHubPages({ apiPath: `${runs}?per_page=1`, fetchImpl: envelopeApi.fetchImpl, itemsKey: 'workflow_runs' });
+    assert.deepStrictEqual(merged.data, { total_count: 2, workflow_runs: [{ id: 1 }, { id: 2 }] });
+
+    const missing = await requestGitHubPages({ apiPath: `${base}/none`, fetchImpl: api.fetchImpl });
+    assert.deepStrictEqual([missing.ok, missing.status, missing.pages], [false, 404, 1]);
+  });
+
+  await test('list reports page past 100 items and report fromCache', async () => {
+    const base = 'https://api.github.com/repos/TayDa64/copilot-Liku-cli/pulls';
+    const pull = (number) => ({ number, title: `PR ${number}`, state: 'open', html_url: `https://github.com/TayDa64/copilot-Liku-cli/pull/${number}` });
+    const api = createConditionalApi({
+      [`${base}?state=open&per_page=100`]: {
+        etag: '"a"',
+        body: Array.from({ length: 100 }, (_, index) => pull(index + 1)),
+        link: `<${base}?state=open&per_page=100&page=2>; rel="next"`,
+      },
+      [`${base}?state=open&per_page=100&page=2`]: { etag: '"b"', body: Array.from({ length: 30 }, (_, index) => pull(index + 101)) },
+    });
+    const options = { env: { GITHUB_TOKEN: 'github_pat_cache' }, limit: 120, resolveProjectIdentity, fetchImpl: api.fetchImpl };
+
+    const first = await listGitHubPullRequests(options);
+    assert.strictEqual(first.filters.limit, 120);
+    assert.strictEqual(first.pullRequests.length, 120);
+    assert.deepStrictEqual([first.githubApi.pages, first.githubApi.truncated, first.githubApi.fromCache], [2, true, false]);
+
+    const second = await listGitHubPullRequests(options);
+    assert.strictEqual(second.pullRequests.length, 120);
+    assert.strictEqual(second.githubApi.fromCache, true);
+    assert.strictEqual(api.calls.length, 4);
+
+    const runs = await listGitHubWorkflowRuns({ ...options, limit: 5, fetchImpl: async () => createResponse(200, { total_count: 0, workflow_runs: [] }) });
+    assert.strictEqual(runs.githubApi.fromCache, false);
+  });
+})();
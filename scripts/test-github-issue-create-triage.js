@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'liku-github-issue-create-'));
+process.env.LIKU_HOME_OVERRIDE = path.join(tempRoot, '.liku');
+
+const githubDir = path.join(__dirname, '..', 'src', 'main', 'github');
+const { draftGitHubIssueCreate, renderIssueFormBody } = require(path.join(githubDir, 'issue-create-draft.js'));
+const { draftGitHubIssueTriage } = require(path.join(githubDir, 'issue-triage-draft.js'));
+const { applyGitHubWritePreview } = require(path.join(githubDir, 'write-apply.js'));
+const { readGitHubWritePreviewArtifact } = require(path.join(githubDir, 'write-artifacts.js'));
+const { createGitHubSlashCommandHandler } = require(path.join(githubDir, 'slash-command-handler.js'));
+
+const projectRoot = path.join(tempRoot, 'app');
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+function createResponse(status, payload) {
+  const body = JSON.stringify(payload);
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: () => null },
+    async text() {
+      return body;
+    },
+  };
+}
+
+function resolveProjectIdentity() {
+  return {
+    repoName: 'app',
+    normalizedRepoName: 'app',
+    projectRoot,
+    gitRemote: 'https://github.com/owner/app.git',
+  };
+}
+
+const LABELS = [{ name: 'bug' }, { name: 'documentation' }, { name: 'needs-info' }, { name: 'triaged' }];
+const MILESTONES = [
+  { number: 3, title: 'v0.1', state: 'open' },
+  { number: 4, title: 'v0.2', state: 'open' },
+];
+
+function createIssueApi(issue = {}) {
+  const calls = [];
+  const state = {
+    issue: {
+      number: 321,
+      title: 'Overlay flickers',
+      state: 'open',
+      html_url: 'https://github.com/owner/app/issues/321',
+      labels: [{ name: 'bug' }, { name: 'needs-info' }],
+      assignees: [],
+      milestone: null,
+      ...issue,
+    },
+  };
+  const fetchImpl = async (url, init = {}) => {
+    const method = init.method || 'GET';
+    const body = init.body ? JSON.parse(init.body) : null;
+    const route = new URL(url).pathname;
+    calls.push({ method, route, body });
+    if (route === '/repos/owner/app/labels') return createResponse(200, LABELS);
+    if (route === '/repos/owner/app/milestones') return createResponse(200, MILESTONES);
+    const assignee = route.match(/^\/repos\/owner\/app\/assignees\/(.+)$/);
+    if (assignee) return createResponse(assignee[1] === 'octocat' ? 204 : 404, assignee[1] === 'octocat' ? {} : { message: 'Not Found' });
+    if (route === '/repos/owner/app/issues' && method === 'POST') {
+      return createResponse(201, { number: 400, title: body.title, state: 'open', html_url: 'https://github.com/owner/app/issues/400', labels: body.labels || [] });
+    }
+    if (route === '/repos/owner/app/issues/321' && method === 'GET') return createResponse(200, state.issue);
+    if (route === '/repos/owner/app/issues/321' && method === 'PATCH') {
+      state.issue = {
+        ...state.issue,
+        ...(body.labels ? { labels: body.labels.map((name) => ({ name })) } : {}),
+        ...(body.assignees ? { assignees: body.assignees.map((login) => ({ login })) } : {}),
+        ...(Object.prototype.hasOwnProperty.call(body, 'milestone') ? { milestone: MILESTONES.find((entry) => entry.number === body.milestone) || null } : {}),
+      };
+      return createResponse(200, state.issue);
+    }
+    return createResponse(404, { message: 'Not Found' });
+  };
+  return { calls, fetchImpl, state };
+}
+
+async function applyPreview(report, fetchImpl) {
+  return applyGitHubWritePreview({
+    previewId: report.previewId,
+    approve: true,
+    applyToken: report.approval.applyToken,
+    approvalFile: report.approvalArtifact.filePath,
+    source: 'cli',
+    writeFeatureFlagEnabled: true,
+    env: { GITHUB_TOKEN: 'github_pat_issue_writes' },
+    fetchImpl,
+  });
+}
+
+(async () => {
+  const templateDir = path.join(projectRoot, '.github', 'ISSUE_TEMPLATE');
+  fs.mkdirSync(templateDir, { recursive: true });
+  fs.writeFileSync(path.join(templateDir, 'bug_report.yml'), [
+    'name: Bug report',
+    'title: "[Bug]: "',
+    'labels: ["bug"]',
+    'body:',
+    '  - type: markdown',
+    '    attributes:',
+    '      value: Thanks for reporting!',
+    '  - type: textarea',
+    '    id: what-happened',
+    '    attributes:',
+    '      label: What happened?',
+    '  - type: input',
+    '    id: version',
+    '    attributes:',
+    '      label: Version',
+    '  - type: checkboxes',
+    '    attributes:',
+    '      label: Checklist',
+    '      options:',
+    '        - label: I searched existing issues',
+    '',
+  ].join('\n'));
+  fs.writeFileSync(path.join(templateDir, 'docs.md'), [
+    '---',
+    'name: Docs change',
+    'about: Improve the docs',
+    'title: "docs: "',
+    'labels: documentation',
+    '---',
+    '',
+    '## Page',
+    '',
+    '## Suggested change',
+    '',
+  ].join('\n'));
+  fs.writeFileSync(path.join(templateDir, 'config.yml'), 'blank_issues_enabled: false\n');
+
+  await test('issue form templates render one section per field with the body in the first textarea', async () => {
+    const rendered = renderIssueFormBody([
+      { type: 'textarea', label: 'What happened?', value: null, options: [] },
+      { type: 'input', label: 'Version', value: null, options: [] },
+      { type: 'checkboxes', label: 'Checklist', value: null, options: ['I searched'] },
+    ], 'It flickers.');
+    assert.strictEqual(rendered.bodyPlacement, 'first-textarea');
+    assert.strictEqual(rendered.body, '### What happened?\n\nIt flickers.\n\n### Version\n\n_No response_\n\n### Checklist\n\n- [ ] I searched');
+  });
+
+  await test('create draft applies the template, validates metadata and posts the reviewed issue', async () => {
+    const api = createIssueApi();
+    const report = await draftGitHubIssueCreate({
+      source: 'cli',
+      env: {},
+      resolveProjectIdentity,
+      fetchImpl: api.fetchImpl,
+      title: 'Overlay flickers on resize',
+      body: 'It flickers when the window is resized.',
+      template: 'bug_report',
+      labels: 'Triaged',
+      assignees: '@octocat',
+      milestone: 'v0.1',
+    });
+
+    assert.strictEqual(report.success, true, report.message);
+    assert.strictEqual(report.schemaVersion, 'github.issue-create-draft.v1');
+    assert.deepStrictEqual([report.template.path, report.template.kind], ['.github/ISSUE_TEMPLATE/bug_report.yml', 'form']);
+    assert.strictEqual(report.draft.titlePreview, '[Bug]: Overlay flickers on resize');
+    assert.deepStrictEqual(report.draft.labels, ['triaged', 'bug']);
+    assert.deepStrictEqual(report.draft.assignees, ['octocat']);
+    assert.deepStrictEqual([report.draft.milestone.number, report.draft.milestone.title], [3, 'v0.1']);
+    const preview = readGitHubWritePreviewArtifact({ previewId: report.previewId });
+    assert.ok(preview.input.body.startsWith('### What happened?\n\nIt flickers when the window is resized.'));
+
+    const applied = await applyPreview(report, api.fetchImpl);
+    assert.strictEqual(applied.success, true, applied.message);
+    const post = api.calls.find((call) => call.method === 'POST');
+    assert.strictEqual(post.route, '/repos/owner/app/issues');
+    assert.deepStrictEqual(post.body.labels, ['triaged', 'bug']);
+    assert.deepStrictEqual([post.body.assignees, post.body.milestone], [['octocat'], 3]);
+    assert.strictEqual(applied.result.issueNumber, 400);
+    assert.strictEqual(applied.result.issue.htmlUrl, 'https://github.com/owner/app/issues/400');
+  });
+
+  await test('create draft rejects unknown labels with suggestions and keeps markdown template headings', async () => {
+    const api = createIssueApi();
+    const unknown = await draftGitHubIssueCreate({ source: 'cli', env: {}, resolveProjectIdentity, fetchImpl: api.fetchImpl, title: 'Typo', labels: 'bgu,documentation' });
+    assert.deepStrictEqual([unknown.success, unknown.error], [false, 'UNKNOWN_LABELS']);
+    assert.ok(unknown.message.includes('bgu (did you mean bug?)'));
+    assert.strictEqual(unknown.previewId, null);
+
+    const missingMilestone = await draftGitHubIssueCreate({ source: 'cli', env: {}, resolveProjectIdentity, fetchImpl: api.fetchImpl, title: 'Typo', milestone: 'v9' });
+    assert.strictEqual(missingMilestone.error, 'UNKNOWN_MILESTONE');
+
+    const titleFile = path.join(tempRoot, 'issue-title.md');
+    fs.writeFileSync(titleFile, '\n# Fix the install guide\n\nmore text\n');
+    const docs = await draftGitHubIssueCreate({ source: 'cli', env: {}, resolveProjectIdentity, fetchImpl: api.fetchImpl, titleFile, template: 'Docs change', body: '## Page\n\nREADME' });
+    assert.strictEqual(docs.success, true, docs.message);
+    assert.strictEqual(docs.draft.titlePreview, 'docs: Fix the install guide');
+    assert.deepStrictEqual(docs.draft.labels, ['documentation']);
+    assert.ok(docs.warnings.some((warning) => warning.includes('Suggested change')));
+
+    const noTemplate = await draftGitHubIssueCreate({ source: 'cli', env: {}, resolveProjectIdentity, fetchImpl: api.fetchImpl, title: 'x', template: 'config' });
+    assert.strictEqual(noTemplate.error, 'TEMPLATE_NOT_FOUND');
+  });
+
+  await test('triage apply re-reads the issue and patches only the reviewed changes', async () => {
+    const api = createIssueApi();
+    const report = await draftGitHubIssueTriage({
+      source: 'cli',
+      env: {},
+      resolveProjectIdentity,
+      fetchImpl: api.fetchImpl,
+      number: '321',
+      labels: 'triaged',
+      removeLabels: 'needs-info',
+      assignees: 'octocat',
+      milestone: '4',
+    });
+    assert.strictEqual(report.success, true, report.message);
+    assert.deepStrictEqual(report.draft.changes.labels.final, ['bug', 'triaged']);
+
+    // Someone adds a label between preview and apply; it must survive.
+    api.state.issue.labels.push({ name: 'documentation' });
+    const applied = await applyPreview(report, api.fetchImpl);
+    assert.strictEqual(applied.success, true, applied.message);
+    const patch = api.calls.find((call) => call.method === 'PATCH');
+    assert.deepStrictEqual(patch.body, { labels: ['bug', 'documentation', 'triaged'], assignees: ['octocat'], milestone: 4 });
+    assert.strictEqual(applied.result.changed, true);
+
+    const unchanged = await draftGitHubIssueTriage({ source: 'cli', env: {}, resolveProjectIdentity, fetchImpl: api.fetchImpl, number: 321, labels: 'bug' });
+    assert.deepStrictEqual([unchanged.success, unchanged.error], [false, 'NO_CHANGES']);
+
+    const unassignable = await draftGitHubIssueTriage({ source: 'cli', env: {}, resolveProjectIdentity, fetchImpl: api.fetchImpl, number: 321, assignees: 'ghost' });
+    assert.strictEqual(unassignable.error, 'UNASSIGNABLE_ASSIGNEES');
+
+    const cleared = await draftGitHubIssueTriage({ source: 'cli', env: {}, resolveProjectIdentity, fetchImpl: api.fetchImpl, number: 321, milestone: 'none' });
+    assert.strictEqual(cleared.success, true, cleared.message);
+    await applyPreview(cleared, api.fetchImpl);
+    assert.deepStrictEqual(api.calls.filter((call) => call.method === 'PATCH').pop().body, { milestone: null });
+  });
+
+  await test('slash issues triage draft previews without applying', async () => {
+    const api = createIssueApi();
+    const handler = createGitHubSlashCommandHandler({
+      env: { GITHUB_TOKEN: 'github_pat_issue_writes', LIKU_ENABLE_GITHUB: '1', LIKU_ENABLE_GITHUB_WRITES: '1' },
+      draftGitHubIssueTriage: (input) => draftGitHubIssueTriage({ ...input, resolveProjectIdentity, fetchImpl: api.fetchImpl }),
+    });
+    const result = await handler.executeSlashCommand('/github issues triage draft 321 --labels triaged --remove-labels needs-info');
+    assert.strictEqual(result.data.capability.key, 'issues.triage.draft');
+    assert.ok(result.message.includes('Labels: +triaged -needs-info'), result.message);
+    assert.ok(!api.calls.some((call) => call.method === 'PATCH'));
+    assert.ok(handler.formatHelp().includes('/github issues create draft'));
+  });
+})();
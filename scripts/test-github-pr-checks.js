@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'liku-github-pr-checks-'));
+process.env.LIKU_HOME_OVERRIDE = tempHome;
+
+const githubDir = path.join(__dirname, '..', 'src', 'main', 'github');
+const { inspectGitHubCommitStatus } = require(path.join(githubDir, 'commit-status.js'));
+const { inspectGitHubPullRequestChecks } = require(path.join(githubDir, 'pr-checks.js'));
+const { createGitHubSlashCommandHandler } = require(path.join(githubDir, 'slash-command-handler.js'));
+
+const HEAD_SHA = 'a1b2c3d4e5f60718293a4b5c6d7e8f9012345678';
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+function createResponse(status, payload) {
+  const body = JSON.stringify(payload);
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: () => null },
+    async text() {
+      return body;
+    },
+  };
+}
+
+function resolveProjectIdentity() {
+  return {
+    repoName: 'app',
+    normalizedRepoName: 'app',
+    projectRoot: tempHome,
+    gitRemote: 'https://github.com/owner/app.git',
+  };
+}
+
+const CHECK_SUITES = {
+  total_count: 1,
+  check_suites: [{ id: 70, app: { slug: 'github-actions' }, status: 'completed', conclusion: 'failure', head_sha: HEAD_SHA }],
+};
+
+const CHECK_RUNS = {
+  total_count: 3,
+  check_runs: [
+    { id: 501, name: 'lint', status: 'completed', conclusion: 'success', check_suite: { id: 70 }, output: { annotations_count: 1 } },
+    { id: 502, name: 'test', status: 'completed', conclusion: 'failure', check_suite: { id: 70 }, html_url: 'https://github.com/owner/app/runs/502', output: { title: '1 failed', annotations_count: 2 } },
+    { id: 503, name: 'deploy-preview', status: 'in_progress', conclusion: null, check_suite: { id: 70 }, output: { annotations_count: 0 } },
+  ],
+};
+
+const COMBINED_STATUS = {
+  state: 'success',
+  sha: HEAD_SHA,
+  total_count: 1,
+  statuses: [{ id: 9, context: 'ci/legacy', state: 'success', description: 'Build passed' }],
+};
+
+const ANNOTATIONS = {
+  501: [{ path: 'README.md', start_line: 4, end_line: 4, annotation_level: 'notice', message: 'Line is long' }],
+  502: [
+    { path: 'src/y.js', start_line: 40, end_line: 40, annotation_level: 'warning', message: 'Unused variable' },
+    { path: 'src/x.js', start_line: 12, end_line: 12, start_column: 3, end_column: 9, annotation_level: 'failure', title: 'adds numbers', message: 'Expected 3, received 4' },
+  ],
+};
+
+function createChecksApi(overrides = {}) {
+  const calls = [];
+  const fetchImpl = async (url) => {
+    calls.push(url);
+    const route = new URL(url).pathname;
+    if (overrides[route]) return overrides[route]();
+    if (route === '/repos/owner/app/pulls/123') {
+      return createResponse(200, { number: 123, title: 'Fix math', state: 'open', head: { ref: 'fix-math', sha: HEAD_SHA }, base: { ref: 'main', sha: 'b'.repeat(40) } });
+    }
+    if (route.endsWith('/check-suites')) return createResponse(200, CHECK_SUITES);
+    if (route.endsWith('/check-runs')) return createResponse(200, CHECK_RUNS);
+    if (route.endsWith('/status')) return createResponse(200, COMBINED_STATUS);
+    const annotations = route.match(/\/check-runs\/(\d+)\/annotations$/);
+    if (annotations) return createResponse(200, ANNOTATIONS[annotations[1]] || []);
+    return createResponse(404, { message: 'Not Found' });
+  };
+  return { calls, fetchImpl };
+}
+
+(async () => {
+  fs.mkdirSync(path.join(tempHome, 'src'), { recursive: true });
+  fs.writeFileSync(path.join(tempHome, 'src', 'x.js'), 'module.exports = 1;\n');
+
+  await test('commit status combines check runs, statuses and located annotations', async () => {
+    const api = createChecksApi();
+    const report = await inspectGitHubCommitStatus({
+      ref: 'main',
+      env: { GITHUB_TOKEN: 'github_pat_checks' },
+      resolveProjectIdentity,
+      fetchImpl: api.fetchImpl,
+    });
+
+    assert.strictEqual(report.success, true);
+    assert.strictEqual(report.schemaVersion, 'github.commit-status.v1');
+    assert.ok(api.calls.some((url) => url.includes('/repos/owner/app/commits/main/check-suites')));
+    assert.deepStrictEqual(report.summary, { state: 'failure', total: 4, failing: 1, pending: 1, passing: 2, cancelled: 0 });
+    assert.deepStrictEqual(report.checkRuns.map((run) => [run.name, run.outcome]), [['lint', 'passing'], ['test', 'failing'], ['deploy-preview', 'pending']]);
+    assert.deepStrictEqual(report.checkSuites.map((suite) => [suite.id, suite.app, suite.conclusion]), [[70, 'github-actions', 'failure']]);
+    assert.strictEqual(report.combinedStatus.statuses[0].context, 'ci/legacy');
+
+    // The failing run's annotations are fetched first and sorted by severity.
+    assert.strictEqual(report.githubApi.annotationRequests, 2);
+    assert.ok(api.calls.findIndex((url) => url.includes('/check-runs/502/')) < api.calls.findIndex((url) => url.includes('/check-runs/501/')));
+    assert.deepStrictEqual(report.annotations.map((annotation) => [annotation.location, annotation.level]), [
+      ['src/x.js:12:3', 'failure'],
+      ['src/y.js:40', 'warning'],
+      ['README.md:4', 'notice'],
+    ]);
+    assert.strictEqual(report.annotations[0].checkRunName, 'test');
+    assert.strictEqual(report.annotations[0].localPath, path.join(tempHome, 'src', 'x.js'));
+    assert.strictEqual(report.annotations[1].localPath, null);
+  });
+
+  await test('annotation limit and failed lookups degrade with warnings', async () => {
+    const limited = await inspectGitHubCommitStatus({ ref: HEAD_SHA, limit: 1, env: {}, resolveProjectIdentity, fetchImpl: createChecksApi().fetchImpl });
+    assert.deepStrictEqual(limited.annotations.map((annotation) => annotation.location), ['src/x.js:12:3']);
+    assert.strictEqual(limited.githubApi.annotationRequests, 1);
+
+    const statusesOnly = await inspectGitHubCommitStatus({
+      ref: HEAD_SHA,
+      env: {},
+      resolveProjectIdentity,
+      fetchImpl: createChecksApi({ [`/repos/owner/app/commits/${HEAD_SHA}/check-runs`]: () => createResponse(403, { message: 'Forbidden' }) }).fetchImpl,
+    });
+    assert.strictEqual(statusesOnly.githubApi.error, null);
+    assert.deepStrictEqual(statusesOnly.summary, { state: 'success', total: 1, failing: 0, pending: 0, passing: 1, cancelled: 0 });
+    assert.ok(statusesOnly.warnings.some((warning) => warning.includes('showing commit statuses only')));
+
+    const missing = await inspectGitHubCommitStatus({
+      ref: 'deleted-branch',
+      env: {},
+      resolveProjectIdentity,
+      fetchImpl: async () => createResponse(422, { message: 'No commit found for SHA: deleted-branch' }),
+    });
+    assert.ok(missing.githubApi.error);
+    assert.deepStrictEqual(missing.checkRuns, []);
+    assert.ok(missing.warnings.some((warning) => warning.includes('GH_TOKEN')));
+
+    const usage = await inspectGitHubCommitStatus({ ref: '--bad', resolveProjectIdentity });
+    assert.deepStrictEqual([usage.success, usage.error], [false, 'USAGE']);
+  });
+
+  await test('pr checks resolve the head sha by number or from the current branch', async () => {
+    const api = createChecksApi();
+    const byNumber = await inspectGitHubPullRequestChecks({ number: '123', env: {}, resolveProjectIdentity, fetchImpl: api.fetchImpl });
+    assert.strictEqual(byNumber.schemaVersion, 'github.pr-checks.v1');
+    assert.deepStrictEqual([byNumber.lookup.mode, byNumber.lookup.status], ['explicit-number', 'matched']);
+    assert.strictEqual(byNumber.headSha, HEAD_SHA);
+    assert.ok(api.calls.some((url) => url.includes(`/commits/${HEAD_SHA}/check-runs`)));
+    assert.strictEqual(byNumber.summary.state, 'failure');
+    assert.strictEqual(byNumber.annotations[0].location, 'src/x.js:12:3');
+
+    const statusCalls = [];
+    const byBranch = await inspectGitHubPullRequestChecks({
+      env: {},
+      resolveProjectIdentity,
+      fetchImpl: api.fetchImpl,
+      inspectGitHubPullRequestStatus: async (input) => {
+        statusCalls.push(input);
+        return {
+          success: true,
+          branchContext: { currentBranch: 'fix-math' },
+          lookup: { status: 'matched', headQuery: 'owner:fix-math', matchedCount: 1, selectedPullRequestNumber: 123 },
+          githubApi: { attempted: true, status: 200 },
+          pullRequest: { number: 123, head: { ref: 'fix-math', sha: HEAD_SHA } },
+          warnings: [],
+        };
+      },
+    });
+    assert.strictEqual(statusCalls[0].slug, 'owner/app');
+    assert.deepStrictEqual([byBranch.lookup.mode, byBranch.lookup.headQuery], ['branch-associated', 'owner:fix-math']);
+    assert.strictEqual(byBranch.summary.failing, 1);
+
+    const notFound = await inspectGitHubPullRequestChecks({ number: 999, env: {}, resolveProjectIdentity, fetchImpl: api.fetchImpl });
+    assert.strictEqual(notFound.lookup.status, 'not-found');
+    assert.strictEqual(notFound.summary, null);
+
+    const usage = await inspectGitHubPullRequestChecks({ number: 'abc', env: {}, resolveProjectIdentity, fetchImpl: api.fetchImpl });
+    assert.deepStrictEqual([usage.success, usage.error], [false, 'USAGE']);
+  });
+
+  await test('slash pr checks and commit status print annotation locations', async () => {
+    const api = createChecksApi();
+    const handler = createGitHubSlashCommandHandler({
+      env: { GITHUB_TOKEN: 'github_pat_checks' },
+      inspectGitHubPullRequestChecks: (input) => inspectGitHubPullRequestChecks({ ...input, resolveProjectIdentity, fetchImpl: api.fetchImpl }),
+      inspectGitHubCommitStatus: (input) => inspectGitHubCommitStatus({ ...input, resolveProjectIdentity, fetchImpl: api.fetchImpl }),
+    });
+
+    const checks = await handler.executeSlashCommand('/github pr checks 123');
+    assert.strictEqual(checks.type, 'info');
+    assert.strictEqual(checks.data.capability.key, 'pr.checks');
+    assert.ok(checks.message.includes('PR: #123 Fix math'));
+    assert.ok(checks.message.includes('Checks: failure (failing=1 pending=1 passing=2)'));
+    assert.ok(checks.message.includes('- test [failure] https://github.com/owner/app/runs/502'));
+    assert.ok(checks.message.includes('- src/x.js:12:3 failure [test] adds numbers'));
+
+    const status = await handler.executeSlashCommand(`/github commits status ${HEAD_SHA}`);
+    assert.strictEqual(status.data.capability.key, 'commit.status');
+    assert.ok(status.message.includes(`Ref: ${HEAD_SHA}`));
+    assert.ok(status.message.includes('- deploy-preview [in_progress]'));
+
+    const help = handler.formatHelp();
+    assert.ok(help.includes('/github pr checks'));
+    assert.ok(help.includes('/github commit status'));
+  });
+})();
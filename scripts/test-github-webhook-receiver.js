@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'liku-github-receiver-'));
+process.env.LIKU_HOME_OVERRIDE = tempHome;
+
+const githubDir = path.join(__dirname, '..', 'src', 'main', 'github');
+const {
+  createGitHubWebhookReceiver,
+  matchGitHubNotifyRule,
+  parseGitHubNotifyRules,
+  verifyGitHubWebhookSignature,
+} = require(path.join(githubDir, 'webhook-receiver.js'));
+const { readGitHubEventLog } = require(path.join(githubDir, 'event-artifacts.js'));
+const githubCommand = require(path.join(__dirname, '..', 'src', 'cli', 'commands', 'github.js'));
+
+const SECRET = 'receiver-test-secret';
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+function sign(body, secret = SECRET) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function post(url, body, headers = {}, method = 'POST') {
+  return new Promise((resolve, reject) => {
+    const request = http.request(url, { method, headers: { 'Content-Type': 'application/json', ...headers } }, (response) => {
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}') }));
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+function checkSuitePayload(conclusion, pullRequests = [{ number: 42, base: { repo: { id: 7 } } }]) {
+  return {
+    action: 'completed',
+    check_suite: { id: 1, conclusion, pull_requests: pullRequests },
+    repository: { id: 7, full_name: 'owner/repo' },
+    sender: { login: 'github-actions[bot]' },
+  };
+}
+
+(async () => {
+  await test('signature verification accepts only the matching HMAC', () => {
+    const body = Buffer.from('{"zen":"hi"}');
+    assert.deepStrictEqual(verifyGitHubWebhookSignature(body, sign(body), SECRET), { valid: true, reason: null });
+    assert.strictEqual(verifyGitHubWebhookSignature(body, sign(body, 'other'), SECRET).reason, 'signature-mismatch');
+    assert.strictEqual(verifyGitHubWebhookSignature(body, '', SECRET).reason, 'missing-signature');
+    assert.strictEqual(verifyGitHubWebhookSignature(body, 'sha1=abc', SECRET).reason, 'unsupported-signature');
+    assert.strictEqual(verifyGitHubWebhookSignature(body, 'sha256=short', SECRET).reason, 'signature-mismatch');
+  });
+
+  await test('notify rules match actions, failed conclusions and own pull requests', () => {
+    const rules = parseGitHubNotifyRules('check_suite:failure@pr, pull_request:opened');
+    assert.deepStrictEqual(rules, [
+      { eventName: 'check_suite', state: 'failure', pullRequestsOnly: true },
+      { eventName: 'pull_request', state: 'opened', pullRequestsOnly: false },
+    ]);
+    assert.ok(matchGitHubNotifyRule(rules, 'check_suite', checkSuitePayload('failure')));
+    assert.ok(matchGitHubNotifyRule(rules, 'check_suite', checkSuitePayload('timed_out')));
+    assert.strictEqual(matchGitHubNotifyRule(rules, 'check_suite', checkSuitePayload('success')), null);
+    assert.strictEqual(matchGitHubNotifyRule(rules, 'check_suite', checkSuitePayload('failure', [])), null);
+    // A fork PR has a different base repository.
+    assert.strictEqual(matchGitHubNotifyRule(rules, 'check_suite', checkSuitePayload('failure', [{ number: 9, base: { repo: { id: 99 } } }])), null);
+    assert.ok(matchGitHubNotifyRule(rules, 'pull_request', { action: 'opened', pull_request: { number: 5 } }));
+    assert.strictEqual(matchGitHubNotifyRule(rules, 'pull_request', { action: 'closed', pull_request: { number: 5 } }), null);
+  });
+
+  await test('receiver requires a secret', () => {
+    assert.throws(() => createGitHubWebhookReceiver({}), (error) => error.code === 'GITHUB_WEBHOOK_SECRET_REQUIRED');
+  });
+
+  await test('receiver verifies, journals, dedupes and raises notifications', async () => {
+    const orchestrator = new EventEmitter();
+    const inbox = [];
+    orchestrator.agents = new Map([['supervisor', { receiveNotification: (entry) => { inbox.push(entry); return { ...entry, receivedAt: 'now' }; } }]]);
+    const emitted = [];
+    orchestrator.on('github:notification', (entry) => emitted.push(entry));
+
+    const receiver = createGitHubWebhookReceiver({ secret: SECRET, notify: 'check_suite:failure@pr', orchestrator });
+    const listening = await receiver.listen();
+    assert.strictEqual(listening.host, '127.0.0.1');
+    assert.deepStrictEqual(listening.notify, ['check_suite:failure@pr']);
+
+    try {
+      const body = JSON.stringify(checkSuitePayload('failure'));
+      const headers = { 'X-GitHub-Event': 'check_suite', 'X-GitHub-Delivery': 'delivery-1', 'X-Hub-Signature-256': sign(body) };
+
+      const accepted = await post(listening.url, body, headers);
+      assert.strictEqual(accepted.status, 202);
+      assert.deepStrictEqual([accepted.body.accepted, accepted.body.notified], [true, true]);
+
+      const log = readGitHubEventLog({ limit: 10 });
+      assert.strictEqual(log.totalCount, 1);
+      assert.deepStrictEqual([log.events[0].eventName, log.events[0].deliveryId, log.events[0].slug], ['check_suite', 'delivery-1', 'owner/repo']);
+
+      assert.strictEqual(inbox.length, 1);
+      assert.strictEqual(inbox[0].severity, 'warning');
+      assert.deepStrictEqual(inbox[0].github.pullRequests, [42]);
+      assert.strictEqual(inbox[0].autonomousAction, false);
+      assert.strictEqual(emitted[0].receivedAt, 'now');
+
+      const duplicate = await post(listening.url, body, headers);
+      assert.deepStrictEqual([duplicate.status, duplicate.body.duplicate], [200, true]);
+
+      const forged = await post(listening.url, body, { ...headers, 'X-GitHub-Delivery': 'delivery-2', 'X-Hub-Signature-256': sign(body, 'wrong') });
+      assert.deepStrictEqual([forged.status, forged.body.reason], [401, 'signature-mismatch']);
+
+      const passing = JSON.stringify(checkSuitePayload('success'));
+      const quiet = await post(listening.url, passing, { ...headers, 'X-GitHub-Delivery': 'delivery-3', 'X-Hub-Signature-256': sign(passing) });
+      assert.deepStrictEqual([quiet.status, quiet.body.notified], [202, false]);
+
+      assert.strictEqual((await post(`http://127.0.0.1:${listening.port}/other`, body, headers)).status, 404);
+      assert.strictEqual((await post(listening.url, '', {}, 'GET')).status, 405);
+
+      const missing = await post(listening.url, body, { 'X-Hub-Signature-256': sign(body) });
+      assert.deepStrictEqual([missing.status, missing.body.reason], [400, 'missing-event-headers']);
+
+      assert.deepStrictEqual(receiver.stats(), { received: 5, accepted: 2, duplicates: 1, rejected: 2, notifications: 1, seenDeliveries: 2 });
+      assert.strictEqual(readGitHubEventLog({ limit: 10 }).totalCount, 2);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  await test('a restarted receiver still drops journaled deliveries', async () => {
+    const receiver = createGitHubWebhookReceiver({ secret: SECRET });
+    const body = Buffer.from(JSON.stringify(checkSuitePayload('failure')));
+    const result = await receiver.handleDelivery({
+      headers: { 'x-github-event': 'check_suite', 'x-github-delivery': 'delivery-1', 'x-hub-signature-256': sign(body) },
+      rawBody: body,
+    });
+    assert.deepStrictEqual([result.statusCode, result.body.duplicate], [200, true]);
+  });
+
+  await test('concurrent copies of one delivery are journaled once', async () => {
+    let release;
+    const gate = new Promise((resolve) => { release = resolve; });
+    const ingested = [];
+    let failNext = true;
+    const receiver = createGitHubWebhookReceiver({
+      secret: SECRET,
+      seedDeliveryIds: false,
+      notify: 'check_suite',
+      ingest: async ({ headers }) => {
+        ingested.push(headers['x-github-delivery']);
+        await gate;
+        if (headers['x-github-delivery'] === 'delivery-flaky' && failNext) {
+          failNext = false;
+          throw new Error('journal unavailable');
+        }
+        return { success: true, eventId: `event-${ingested.length}`, delivery: { eventName: 'check_suite' }, target: { slug: 'owner/repo' } };
+      },
+    });
+    const body = Buffer.from(JSON.stringify(checkSuitePayload('failure')));
+    const deliver = (deliveryId) => receiver.handleDelivery({
+      headers: { 'x-github-event': 'check_suite', 'x-github-delivery': deliveryId, 'x-hub-signature-256': sign(body) },
+      rawBody: body,
+    });
+
+    const pending = [deliver('delivery-race'), deliver('delivery-race')];
+    release();
+    const results = await Promise.all(pending);
+    assert.deepStrictEqual(results.map((result) => result.statusCode).sort(), [200, 202]);
+    assert.deepStrictEqual(ingested, ['delivery-race']);
+    assert.strictEqual(receiver.stats().notifications, 1);
+
+    // A failed ingest releases the id so GitHub's redelivery is accepted.
+    await assert.rejects(() => deliver('delivery-flaky'), /journal unavailable/);
+    assert.strictEqual((await deliver('delivery-flaky')).statusCode, 202);
+    assert.deepStrictEqual(receiver.stats().accepted, 2);
+  });
+
+  await test('event serve goes through the capability policy', async () => {
+    delete process.env.LIKU_TEST_MISSING_SECRET;
+    const denied = await githubCommand.run(['events', 'serve'], { quiet: true, 'secret-env': 'LIKU_TEST_MISSING_SECRET' });
+    assert.strictEqual(denied.success, false);
+    assert.strictEqual(denied.capability.key, 'event.serve');
+    assert.strictEqual(denied.policy.reason, 'github-capability-disabled');
+
+    const report = await githubCommand.run(['events', 'serve'], {
+      quiet: true,
+      'secret-env': 'LIKU_TEST_MISSING_SECRET',
+      featureFlags: { enableGitHub: true },
+    });
+    assert.strictEqual(report.success, false);
+    assert.ok(report.message.includes('LIKU_TEST_MISSING_SECRET'));
+  });
+
+  await test('event serve delivers notifications to the orchestrator it creates', async () => {
+    process.env.LIKU_TEST_SERVE_SECRET = SECRET;
+    const orchestrator = new EventEmitter();
+    const inbox = [];
+    orchestrator.agents = new Map([['supervisor', { receiveNotification: (entry) => { inbox.push(entry); return entry; } }]]);
+
+    const report = await githubCommand.run(['event', 'serve'], {
+      quiet: true,
+      'secret-env': 'LIKU_TEST_SERVE_SECRET',
+      notify: 'check_suite:failure',
+      featureFlags: { enableGitHub: true },
+      createOrchestrator: () => orchestrator,
+      waitForStop: async (listening) => {
+        const body = JSON.stringify(checkSuitePayload('cancelled'));
+        const headers = { 'X-GitHub-Event': 'check_suite', 'X-GitHub-Delivery': 'delivery-serve', 'X-Hub-Signature-256': sign(body) };
+        assert.strictEqual((await post(listening.url, body, headers)).status, 202);
+      },
+    });
+    delete process.env.LIKU_TEST_SERVE_SECRET;
+
+    assert.strictEqual(report.success, true);
+    assert.strictEqual(report.schemaVersion, 'github.event-serve.v1');
+    assert.deepStrictEqual([report.capability.key, report.policy.state], ['event.serve', 'listen-allowed']);
+    assert.strictEqual(report.orchestratorAttached, true);
+    assert.deepStrictEqual([report.stats.accepted, report.stats.notifications], [1, 1]);
+    assert.strictEqual(inbox.length, 1);
+    assert.strictEqual(inbox[0].github.deliveryId, 'delivery-serve');
+  });
+})();
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'liku-github-workflow-yaml-'));
+process.env.LIKU_HOME_OVERRIDE = path.join(tempRoot, '.liku');
+
+const {
+  parseYamlDocument,
+  yamlNodeToValue,
+} = require(path.join(__dirname, '..', 'src', 'main', 'github', 'yaml-ast.js'));
+const {
+  analyzeWorkflowDefinition,
+} = require(path.join(__dirname, '..', 'src', 'main', 'github', 'workflow-analyzer.js'));
+const {
+  collectWorkflowPolicyViolations,
+} = require(path.join(__dirname, '..', 'src', 'main', 'github', 'workflow-policy.js'));
+
+const CHECKOUT_PIN = '34e114876b0b11c390a56381ad16ebd13914f8d5';
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}`);
+    console.error(error.stack || error.message);
+    process.exitCode = 1;
+  }
+}
+
+function findingsByRule(analysis, rule) {
+  return analysis.policy.findings.filter((finding) => finding.rule === rule);
+}
+
+(async () => {
+  await test('yaml reader resolves anchors, merge keys, flow mappings and block scalars', async () => {
+    const document = parseYamlDocument([
+      'defaults: &defaults',
+      '  shell: bash',
+      '  retries: 1',
+      'job:',
+      '  <<: *defaults',
+      '  retries: 2',
+      '  matrix: {os: [ubuntu-latest, "windows-latest"], node: 20}',
+      '  literal: |',
+      '    one',
+      '      two',
+      '',
+      '  folded: >-',
+      '    alpha',
+      '    beta',
+      "  quoted: 'it''s",
+      "    folded'",
+      '',
+    ].join('\n'));
+    const value = yamlNodeToValue(document);
+
+    assert.deepStrictEqual(value.job, {
+      retries: '2',
+      matrix: { os: ['ubuntu-latest', 'windows-latest'], node: '20' },
+      literal: 'one\n  two\n',
+      folded: 'alpha beta',
+      quoted: "it's folded",
+      shell: 'bash',
+    });
+  });
+
+  await test('yaml reader reports syntax errors with line and column', async () => {
+    assert.throws(() => parseYamlDocument('jobs:\n  build:\n    steps: [a, b\n'), (error) => {
+      assert.strictEqual(error.code, 'YAML_PARSE_ERROR');
+      assert.strictEqual(error.line, 4);
+      return true;
+    });
+    assert.throws(() => parseYamlDocument('name: a\nname: b\n'), (error) => error.line === 2 && /Duplicate mapping key/.test(error.reason));
+    assert.throws(() => parseYamlDocument('on: push\n\tjobs: {}\n'), (error) => error.line === 2 && /Tabs/.test(error.reason));
+  });
+
+  await test('workflow analysis reads structure the line heuristics misread', async () => {
+    const analysis = analyzeWorkflowDefinition({
+      workflowPath: '.github/workflows/ci.yml',
+      text: [
+        'name: "CI"',
+        'on: [push, pull_request]',
+        'permissions: {contents: read}',
+        'x-env: &node-env',
+        '    name: staging',
+        'jobs:',
+        '    build:',
+        '        name: Build',
+        '        environment: *node-env',
+        '        permissions:',
+        '            contents: read',
+        '            pull-requests: write',
+        '        steps:',
+        `        - uses: actions/checkout@${CHECKOUT_PIN}`,
+        '          with: {persist-credentials: false}',
+        '',
+      ].join('\n'),
+    });
+
+    assert.strictEqual(analysis.validation.valid, true);
+    assert.strictEqual(analysis.validation.checks.yamlParsed, true);
+    assert.strictEqual(analysis.summary.name, 'CI');
+    assert.deepStrictEqual(analysis.summary.triggers, ['pull_request', 'push']);
+    assert.deepStrictEqual(analysis.summary.jobs, [{ id: 'build', name: 'Build', environment: 'staging' }]);
+    assert.deepStrictEqual(analysis.permissions.topLevelPermissions, { contents: 'read' });
+    assert.strictEqual(analysis.permissions.topLevelMode, 'inline');
+    assert.deepStrictEqual(analysis.permissions.writeScopes, ['build:pull-requests']);
+    assert.deepStrictEqual(analysis.requirements.actionReferences, [`actions/checkout@${CHECKOUT_PIN}`]);
+    assert.deepStrictEqual(analysis.requirements.environments, ['staging']);
+    assert.strictEqual(analysis.policy.violationCount, 0);
+    assert.strictEqual(analysis.policy.findingCount, 0);
+  });
+
+  await test('untrusted event fields interpolated into run scripts are located', async () => {
+    const analysis = analyzeWorkflowDefinition({
+      workflowPath: '.github/workflows/greet.yml',
+      text: [
+        'name: Greet',
+        'on:',
+        '  issues:',
+        'permissions: {}',
+        'jobs:',
+        '  greet:',
+        '    steps:',
+        '      - name: Echo title',
+        '        run: |',
+        '          echo "new issue"',
+        '          echo "${{ github.event.issue.title }}"',
+        '      - run: echo "${{ github.event.issue.labels[0].name }} ${{ github.event.issue.number }}"',
+        '      - env:',
+        '          TITLE: ${{ github.event.issue.title }}',
+        '        run: echo "$TITLE"',
+        '',
+      ].join('\n'),
+    });
+
+    const findings = findingsByRule(analysis, 'expression-injection');
+    assert.strictEqual(findings.length, 2);
+    assert.deepStrictEqual(
+      { file: findings[0].file, line: findings[0].line, column: findings[0].column, severity: findings[0].severity, jobId: findings[0].jobId },
+      { file: '.github/workflows/greet.yml', line: 11, column: 17, severity: 'error', jobId: 'greet' },
+    );
+    assert.deepStrictEqual(findings[0].step, { index: 0, name: 'Echo title' });
+    assert.match(findings[0].message, /github\.event\.issue\.title/);
+    assert.strictEqual(findings[1].line, 12);
+    assert.strictEqual(findings[1].severity, 'warning');
+    assert.match(findings[1].message, /github\.event\.issue\.labels/);
+  });
+
+  await test('pull_request_target with a head checkout and unpinned actions are flagged', async () => {
+    const analysis = analyzeWorkflowDefinition({
+      workflowPath: '.github/workflows/pr.yml',
+      text: [
+        'name: PR',
+        'on: [pull_request_target]',
+        'permissions: {}',
+        'jobs:',
+        '  test:',
+        '    steps:',
+        '      - uses: actions/checkout@v4',
+        '        with:',
+        '          ref: ${{ github.event.pull_request.head.sha }}',
+        '      - uses: some-org/setup-tool@main',
+        '      - uses: ./local-action',
+        '  reuse:',
+        '    uses: some-org/workflows/.github/workflows/ci.yml@v1',
+        '',
+      ].join('\n'),
+    });
+
+    const checkout = findingsByRule(analysis, 'pull-request-target-checkout');
+    assert.strictEqual(checkout.length, 1);
+    assert.strictEqual(checkout[0].line, 9);
+    assert.strictEqual(checkout[0].column, 16);
+    assert.strictEqual(checkout[0].severity, 'error');
+
+    const unpinned = findingsByRule(analysis, 'unpinned-action');
+    assert.deepStrictEqual(unpinned.map((finding) => [finding.line, finding.severity, finding.jobId]), [
+      [7, 'warning', 'test'],
+      [10, 'error', 'test'],
+      [13, 'error', 'reuse'],
+    ]);
+    assert.strictEqual(analysis.policy.errorFindingCount, 3);
+    assert.ok(analysis.policy.violations.includes('pr.yml: pull_request_target is not allowed; use pull_request or another safer trigger'));
+  });
+
+  await test('unparseable workflows fail validation with a located syntax finding', async () => {
+    const analysis = analyzeWorkflowDefinition({
+      workflowPath: '.github/workflows/broken.yml',
+      text: 'name: Broken\non: push\njobs:\n  build:\n    steps:\n      - run: "unterminated\n',
+    });
+
+    assert.strictEqual(analysis.validation.valid, false);
+    assert.strictEqual(analysis.validation.checks.yamlParsed, false);
+    assert.ok(analysis.validation.errors.some((entry) => /could not be parsed: Unterminated double-quoted scalar \(line 6, column 14\)/.test(entry)));
+    assert.deepStrictEqual(analysis.policy.findings.map((finding) => [finding.rule, finding.line, finding.column]), [['yaml-syntax', 6, 14]]);
+    assert.strictEqual(analysis.summary.name, 'Broken');
+  });
+
+  await test('policy checks follow the parsed document for checkout credentials', async () => {
+    const base = {
+      'validate.yml': [
+        'name: Validate',
+        'permissions: {}',
+        'x-checkout: &checkout',
+        `  uses: actions/checkout@${CHECKOUT_PIN}`,
+        '  with:',
+        '    persist-credentials: false',
+        'jobs:',
+        '  validate:',
+        '    permissions: {contents: read}',
+        '    steps:',
+        '      - *checkout',
+        '',
+      ].join('\n'),
+    };
+
+    assert.deepStrictEqual(collectWorkflowPolicyViolations(base).violations, []);
+    const leaky = { 'validate.yml': base['validate.yml'].replace('persist-credentials: false', 'persist-credentials: true') };
+    assert.deepStrictEqual(collectWorkflowPolicyViolations(leaky).violations, ['validate.yml: checkout steps must set persist-credentials: false']);
+  });
+})();
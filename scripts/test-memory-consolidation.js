@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'liku-memory-consolidation-'));
+process.env.LIKU_HOME_OVERRIDE = tempHome;
+
+const memoryDir = path.join(__dirname, '..', 'src', 'main', 'memory');
+const memoryStore = require(path.join(memoryDir, 'memory-store.js'));
+const consolidator = require(path.join(memoryDir, 'memory-consolidator.js'));
+const reflectionTrigger = require(path.join(__dirname, '..', 'src', 'main', 'telemetry', 'reflection-trigger.js'));
+const memoryCommand = require(path.join(__dirname, '..', 'src', 'cli', 'commands', 'memory.js'));
+
+function test(name, fn) {
+  return Promise.resolve()
+    .then(fn)
+    .then(() => {
+      console.log(`PASS ${name}`);
+    })
+    .catch((error) => {
+      console.error(`FAIL ${name}`);
+      console.error(error.stack || error.message);
+      process.exitCode = 1;
+    });
+}
+
+function resetMemory() {
+  fs.rmSync(path.join(tempHome, 'memory'), { recursive: true, force: true });
+}
+
+function seedPineNotes() {
+  const first = memoryStore.addNote({
+    type: 'episodic',
+    content: 'Opened TradingView and clicked the Pine Editor tab at the bottom of the chart.',
+    keywords: ['tradingview', 'pine'],
+    source: { type: 'session', sessionId: 's1' }
+  });
+  const second = memoryStore.addNote({
+    type: 'episodic',
+    content: 'Opened TradingView, clicked the Pine Editor tab at the bottom of the chart.',
+    keywords: ['tradingview', 'pine', 'editor'],
+    source: { type: 'session', sessionId: 's2' }
+  });
+  const altP = memoryStore.addNote({
+    type: 'procedural',
+    content: 'The correct way to open the Pine editor in TradingView is pressing Alt+P.',
+    keywords: ['tradingview', 'pine']
+  });
+  const tab = memoryStore.addNote({
+    type: 'procedural',
+    content: 'The correct way to open the Pine editor in TradingView is the bottom Pine Editor tab.',
+    keywords: ['tradingview', 'pine']
+  });
+  const unrelated = memoryStore.addNote({ type: 'semantic', content: 'Weather widgets refresh hourly.', keywords: ['weather'] });
+  return { first, second, altP, tab, unrelated };
+}
+
+(async () => {
+  await test('heuristic pass merges duplicates with provenance and flags contradictions', async () => {
+    resetMemory();
+    const { first, second, altP, tab, unrelated } = seedPineNotes();
+
+    const dryRun = await consolidator.consolidateMemory({ dryRun: true });
+    assert.strictEqual(dryRun.mode, 'heuristic');
+    assert.deepStrictEqual(dryRun.merged.map((merge) => [merge.noteId, merge.mergedFrom]), [[null, [first.id, second.id]]]);
+    assert.strictEqual(Object.keys(memoryStore.listNotes()).length, 5);
+    assert.strictEqual(fs.existsSync(consolidator.REVIEW_FILE), false);
+
+    const result = await consolidator.consolidateMemory();
+    assert.strictEqual(result.notesScanned, 5);
+    assert.deepStrictEqual(result.clusters, [[first.id, second.id, altP.id, tab.id]]);
+    const [merge] = result.merged;
+    assert.deepStrictEqual(merge.mergedFrom, [first.id, second.id]);
+
+    const merged = memoryStore.getNote(merge.noteId);
+    assert.strictEqual(merged.type, 'semantic');
+    assert.deepStrictEqual(merged.keywords, ['tradingview', 'pine', 'editor']);
+    assert.ok(merged.tags.includes('consolidated'));
+    assert.strictEqual(merged.source.type, 'consolidation');
+    assert.deepStrictEqual(merged.source.mergedFrom.map((entry) => [entry.id, entry.type, entry.source.sessionId]), [
+      [first.id, 'episodic', 's1'],
+      [second.id, 'episodic', 's2']
+    ]);
+    assert.strictEqual(memoryStore.getNote(first.id), null);
+    assert.strictEqual(memoryStore.getNote(second.id), null);
+    // Links to the rest of the cluster move to the merged note, both ways.
+    assert.ok(merged.links.includes(altP.id));
+    assert.ok(!merged.links.includes(first.id));
+    assert.ok(memoryStore.getNote(altP.id).links.includes(merge.noteId));
+    assert.ok(!memoryStore.getNote(altP.id).links.includes(first.id));
+    assert.ok(memoryStore.getNote(unrelated.id));
+
+    const altTabFlag = result.flagged.find((flag) => flag.noteIds.includes(altP.id) && flag.noteIds.includes(tab.id));
+    assert.ok(altTabFlag);
+    assert.strictEqual(altTabFlag.reason, 'Both notes claim to be the correct approach');
+    assert.strictEqual(altTabFlag.status, 'open');
+    assert.deepStrictEqual(consolidator.listReviewFlags().map((flag) => flag.id), result.flagged.map((flag) => flag.id));
+
+    // A second pass finds nothing new to merge or flag.
+    const again = await consolidator.consolidateMemory();
+    assert.deepStrictEqual([again.merged.length, again.flagged.length], [0, 0]);
+  });
+
+  await test('duplicates must share scope and polarity', () => {
+    const note = (id, content, scope) => ({ id, content, scope, keywords: [] });
+    const cluster = [
+      note('a', 'Use the keyboard shortcut to open the Pine editor.'),
+      note('b', 'Do not use the keyboard shortcut to open the Pine editor.'),
+      note('c', 'Use the keyboard shortcut to open the Pine editor.', { appIds: ['tradingview'] })
+    ];
+    const { similarity } = consolidator.clusterNotes(cluster);
+    const review = consolidator.reviewClusterHeuristically(cluster, similarity);
+    assert.deepStrictEqual(review.duplicates, []);
+    assert.deepStrictEqual(review.contradictions.map((entry) => entry.noteIds), [['a', 'b'], ['b', 'c']]);
+    assert.strictEqual(review.contradictions[0].reason, 'One note negates what the other asserts');
+  });
+
+  await test('review flags are resolved by keeping one note or dismissed', async () => {
+    const [flag] = consolidator.listReviewFlags();
+    const [keep, drop] = flag.noteIds;
+    assert.strictEqual(consolidator.resolveReviewFlag(flag.id, { keep: 'note-missing' }).success, false);
+
+    const listed = await memoryCommand.run(['review'], { json: true });
+    assert.strictEqual(listed.count, consolidator.listReviewFlags().length);
+
+    const kept = await memoryCommand.run(['review', 'keep', flag.id, keep], { json: true });
+    assert.strictEqual(kept.success, true);
+    assert.deepStrictEqual(kept.removed, [drop]);
+    assert.strictEqual(memoryStore.getNote(drop), null);
+    assert.ok(memoryStore.getNote(keep));
+    assert.ok(/already resolved/.test(consolidator.resolveReviewFlag(flag.id).error));
+
+    for (const open of consolidator.listReviewFlags()) {
+      assert.strictEqual(consolidator.resolveReviewFlag(open.id).flag.status, 'dismissed');
+    }
+    assert.deepStrictEqual(consolidator.listReviewFlags(), []);
+    assert.ok(consolidator.listReviewFlags({ status: 'all' }).length >= 1);
+  });
+
+  await test('model mode uses the reflection prompt and falls back to the heuristic on failure', async () => {
+    resetMemory();
+    const { first, second, altP, tab } = seedPineNotes();
+    const prompts = [];
+    const result = await consolidator.consolidateMemory({
+      requestModel: async (messages) => {
+        prompts.push(messages);
+        return '```json\n' + JSON.stringify({
+          duplicates: [{ noteIds: [first.id, second.id, 'note-unknown'], content: 'Open the Pine editor from the bottom tab.', keywords: ['pine'] }],
+          contradictions: [{ noteIds: [altP.id, tab.id], reason: 'Alt+P versus the bottom tab' }]
+        }) + '\n```';
+      }
+    });
+    assert.strictEqual(result.mode, 'model');
+    assert.strictEqual(prompts.length, 1);
+    assert.ok(/Reflection Agent/.test(prompts[0][0].content));
+    assert.ok(prompts[0][1].content.includes(`Note ${altP.id} (procedural`));
+    assert.strictEqual(memoryStore.getNote(result.merged[0].noteId).content, 'Open the Pine editor from the bottom tab.');
+    assert.strictEqual(memoryStore.getNote(result.merged[0].noteId).source.detectedBy, 'model');
+    assert.deepStrictEqual(result.flagged.map((flag) => [flag.noteIds, flag.reason, flag.detectedBy]), [
+      [[altP.id, tab.id], 'Alt+P versus the bottom tab', 'model']
+    ]);
+
+    resetMemory();
+    seedPineNotes();
+    const fallback = await consolidator.consolidateMemory({ requestModel: async () => { throw new Error('No provider configured'); } });
+    assert.strictEqual(fallback.mode, 'heuristic');
+    assert.strictEqual(fallback.modelError, 'No provider configured');
+    assert.strictEqual(fallback.merged.length, 1);
+
+    assert.deepStrictEqual(reflectionTrigger.parseConsolidationResult('no json here', []).ok, false);
+  });
+
+  await test('liku memory consolidate --heuristic --dry-run reports without writing', async () => {
+    resetMemory();
+    seedPineNotes();
+    const result = await memoryCommand.run(['consolidate'], { heuristic: true, 'dry-run': true, json: true });
+    assert.strictEqual(result.dryRun, true);
+    assert.strictEqual(result.merged.length, 1);
+    assert.ok(result.flagged.length >= 1);
+    assert.strictEqual(Object.keys(memoryStore.listNotes()).length, 5);
+    assert.deepStrictEqual(consolidator.listReviewFlags(), []);
+  });
+})();
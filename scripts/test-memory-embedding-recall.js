@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'liku-embedding-recall-'));
+process.env.LIKU_HOME_OVERRIDE = tempHome;
+delete process.env.LIKU_EMBEDDING_PROVIDER;
+
+const memoryDir = path.join(__dirname, '..', 'src', 'main', 'memory');
+const embeddingIndex = require(path.join(memoryDir, 'embedding-index.js'));
+const memoryStore = require(path.join(memoryDir, 'memory-store.js'));
+const skillRouter = require(path.join(memoryDir, 'skill-router.js'));
+const memoryCommand = require(path.join(__dirname, '..', 'src', 'cli', 'commands', 'memory.js'));
+
+function test(name, fn) {
+  return Promise.resolve()
+    .then(fn)
+    .then(() => {
+      console.log(`PASS ${name}`);
+    })
+    .catch((error) => {
+      console.error(`FAIL ${name}`);
+      console.error(error.stack || error.message);
+      process.exitCode = 1;
+    });
+}
+
+function similarity(a, b) {
+  const left = embeddingIndex.hashingEmbed(a);
+  const right = embeddingIndex.hashingEmbed(b);
+  return left.reduce((sum, value, i) => sum + value * right[i], 0);
+}
+
+function fakeOllama(calls, options = {}) {
+  return async (url, request) => {
+    const body = JSON.parse(request.body);
+    calls.push({ url, model: body.model, input: body.input });
+    if (options.fail) return { ok: false, status: 503 };
+    return { ok: true, json: async () => ({ embeddings: body.input.map((text) => embeddingIndex.hashingEmbed(text)) }) };
+  };
+}
+
+const PINE_QUERY = 'how do I open the editor panel in trading view';
+
+(async () => {
+  let pineNote;
+
+  await test('hashing embeddings are deterministic and paraphrase-tolerant', () => {
+    const vector = embeddingIndex.hashingEmbed('Deploying the service');
+    assert.strictEqual(vector.length, 256);
+    assert.deepStrictEqual(vector, embeddingIndex.hashingEmbed('Deploying the service'));
+    assert.ok(Math.abs(vector.reduce((sum, value) => sum + value * value, 0) - 1) < 1e-9);
+    assert.ok(similarity('deploying the service to aws', 'deployment of services on aws lambda') > 0.5);
+    assert.ok(similarity('what is the weather today', 'open a new tab in edge browser') < 0.1);
+    assert.strictEqual(embeddingIndex.resolveEmbeddingProvider({}).name, 'hashing');
+    assert.strictEqual(embeddingIndex.resolveEmbeddingProvider({ LIKU_EMBEDDING_PROVIDER: 'off' }), null);
+    const ollama = embeddingIndex.resolveEmbeddingProvider({ LIKU_EMBEDDING_PROVIDER: 'ollama', LIKU_EMBEDDING_MODEL: 'mxbai-embed-large' });
+    assert.deepStrictEqual([ollama.id, ollama.embedSync], ['ollama-mxbai-embed-large', undefined]);
+  });
+
+  await test('a paraphrased query recalls a note with no keyword overlap', () => {
+    pineNote = memoryStore.addNote({
+      type: 'procedural',
+      content: 'To open the Pine Editor in TradingView, click the editor tab on the bottom panel.',
+      keywords: ['tradingview-pine'],
+      tags: ['charting']
+    });
+    memoryStore.addNote({ type: 'episodic', content: 'Weather widgets refresh every hour.', keywords: ['weather'] });
+
+    const selection = memoryStore.getRelevantNotesSelection(PINE_QUERY);
+    assert.deepStrictEqual(selection.ids, [pineNote.id]);
+    const [match] = selection.matches;
+    assert.strictEqual(match.baseScore, 0);
+    assert.ok(match.similarity >= 0.3);
+    assert.strictEqual(match.vectorScore, match.similarity * memoryStore.NOTE_VECTOR_WEIGHT);
+    assert.deepStrictEqual(match.scoreBreakdown, { lexical: 0, vector: match.vectorScore, similarity: match.similarity, scope: 0, total: match.score });
+    assert.strictEqual(selection.summary.embeddingProvider, 'hashing-256');
+
+    const stored = JSON.parse(fs.readFileSync(embeddingIndex.EMBEDDINGS_FILE, 'utf-8'));
+    assert.strictEqual(embeddingIndex.EMBEDDINGS_FILE, path.join(tempHome, 'memory', 'embeddings.json'));
+    assert.ok(stored.spaces['hashing-256'].items[`note:${pineNote.id}`].vector);
+
+    embeddingIndex.setEmbeddingProvider(null);
+    assert.deepStrictEqual(memoryStore.getRelevantNotesSelection(PINE_QUERY).ids, []);
+    embeddingIndex.setEmbeddingProvider(undefined);
+  });
+
+  await test('lexical, vector and scope scores combine into one ranking', () => {
+    const scoped = memoryStore.addNote({
+      type: 'semantic',
+      content: 'The Pine editor panel docks at the bottom of TradingView charts.',
+      keywords: ['editor'],
+      scope: { appIds: ['tradingview'] }
+    });
+    const selection = memoryStore.getRelevantNotesSelection(PINE_QUERY, { appId: 'tradingview' });
+    assert.strictEqual(selection.ids[0], scoped.id);
+    const { lexical, vector, scope, total } = selection.matches[0].scoreBreakdown;
+    assert.ok(lexical > 0 && vector > 0 && scope > 0);
+    assert.strictEqual(total, lexical + vector + scope);
+
+    // Edited notes are re-embedded; removed notes leave the index.
+    memoryStore.updateNote(scoped.id, { content: 'Unrelated grocery list.' });
+    const edited = memoryStore.getRelevantNotesSelection(PINE_QUERY).matches.find((match) => match.id === scoped.id);
+    assert.strictEqual(edited.vectorScore, 0);
+    memoryStore.removeNote(scoped.id);
+    const stored = JSON.parse(fs.readFileSync(embeddingIndex.EMBEDDINGS_FILE, 'utf-8'));
+    assert.strictEqual(stored.spaces['hashing-256'].items[`note:${scoped.id}`], undefined);
+  });
+
+  await test('skills are recalled through morphological variants TF-IDF misses', () => {
+    skillRouter.addSkill('pine-editor-open', {
+      keywords: ['tradingview'],
+      tags: ['charting'],
+      content: '# Open the Pine editor\n\nClick the Pine Editor tab.'
+    });
+    const selection = skillRouter.getRelevantSkillsSelection('opening editors quickly');
+    assert.deepStrictEqual(selection.ids, ['pine-editor-open']);
+    const [match] = selection.matches;
+    assert.strictEqual(match.keywordScore + match.semanticScore, 0);
+    assert.ok(match.vectorScore > 0);
+    assert.strictEqual(match.scoreBreakdown.total, match.score);
+    assert.strictEqual(selection.summary.embeddingProvider, 'hashing-256');
+    assert.deepStrictEqual(skillRouter.getRelevantSkillsSelection('what is the weather today').ids, []);
+  });
+
+  await test('an async provider is prepared ahead of selection and falls back to hashing', async () => {
+    const calls = [];
+    const ollama = embeddingIndex.createOllamaProvider({ fetch: fakeOllama(calls), url: 'http://127.0.0.1:11434/' });
+    // The fake serves hashing vectors, so use the hashing similarity floor.
+    ollama.minSimilarity = 0.3;
+    embeddingIndex.setEmbeddingProvider(ollama);
+
+    assert.strictEqual(memoryStore.getRelevantNotesSelection(PINE_QUERY).summary.embeddingProvider, 'hashing-256');
+    assert.strictEqual(calls.length, 0);
+
+    const prepared = await memoryStore.prepareNoteRecall(PINE_QUERY);
+    assert.deepStrictEqual(prepared, { provider: 'ollama-nomic-embed-text', embedded: 2 });
+    assert.strictEqual(calls[0].url, 'http://127.0.0.1:11434/api/embed');
+    assert.strictEqual(calls[0].input.length, 3);
+    assert.strictEqual(calls[0].input[2], PINE_QUERY);
+    // Vectors are cached: a second prepare has nothing left to embed.
+    assert.deepStrictEqual(await memoryStore.prepareNoteRecall(PINE_QUERY), { provider: 'ollama-nomic-embed-text', embedded: 0 });
+    assert.strictEqual(calls.length, 1);
+
+    const selection = memoryStore.getRelevantNotesSelection(PINE_QUERY);
+    assert.strictEqual(selection.summary.embeddingProvider, 'ollama-nomic-embed-text');
+    assert.deepStrictEqual(selection.ids, [pineNote.id]);
+
+    embeddingIndex.setEmbeddingProvider(embeddingIndex.createOllamaProvider({ fetch: fakeOllama([], { fail: true }) }));
+    const failed = await memoryStore.prepareNoteRecall('open the pine editor');
+    assert.strictEqual(failed.error, 'Ollama embedding request failed: HTTP 503');
+    assert.strictEqual(memoryStore.getRelevantNotesSelection(PINE_QUERY).summary.embeddingProvider, 'hashing-256');
+    embeddingIndex.setEmbeddingProvider(undefined);
+  });
+
+  await test('liku memory search --explain reports the score breakdown', async () => {
+    const result = await memoryCommand.run(['search', PINE_QUERY], { explain: true, json: true });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.embeddingProvider, 'hashing-256');
+    assert.strictEqual(result.matches[0].id, pineNote.id);
+    assert.deepStrictEqual(Object.keys(result.matches[0].breakdown), ['lexical', 'vector', 'similarity', 'scope', 'total']);
+    assert.strictEqual(result.matches[0].scope, 'unscoped-fallback');
+  });
+})();
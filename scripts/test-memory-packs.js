@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'liku-memory-packs-'));
+process.env.LIKU_HOME_OVERRIDE = tempHome;
+delete process.env.LIKU_PACK_HMAC_KEY;
+delete process.env.LIKU_PACK_PUBLIC_KEY;
+
+const memoryDir = path.join(__dirname, '..', 'src', 'main', 'memory');
+const memoryStore = require(path.join(memoryDir, 'memory-store.js'));
+const skillRouter = require(path.join(memoryDir, 'skill-router.js'));
+const memoryPack = require(path.join(memoryDir, 'memory-pack.js'));
+const consolidator = require(path.join(memoryDir, 'memory-consolidator.js'));
+const portability = require(path.join(memoryDir, 'memory-portability.js'));
+const memoryCommand = require(path.join(__dirname, '..', 'src', 'cli', 'commands', 'memory.js'));
+
+function test(name, fn) {
+  return Promise.resolve()
+    .then(fn)
+    .then(() => {
+      console.log(`PASS ${name}`);
+    })
+    .catch((error) => {
+      console.error(`FAIL ${name}`);
+      console.error(error.stack || error.message);
+      process.exitCode = 1;
+    });
+}
+
+function resetLocal() {
+  fs.rmSync(path.join(tempHome, 'memory'), { recursive: true, force: true });
+  fs.rmSync(path.join(tempHome, 'skills'), { recursive: true, force: true });
+}
+
+const packsDir = path.join(tempHome, 'repo', 'packs');
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+const privatePem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+
+function seedAuthorMemory() {
+  memoryStore.addNote({ type: 'procedural', content: 'Open the Pine editor from the bottom tab in TradingView.', keywords: ['pine'], tags: ['tradingview'] });
+  memoryStore.addNote({ type: 'semantic', content: 'VS Code opens the command palette with Ctrl+Shift+P.', keywords: ['vscode'], tags: ['vscode'] });
+  memoryStore.addNote({ type: 'episodic', content: 'Scratch note for today only.', memoryLane: 'task', tags: ['tradingview'] });
+  skillRouter.addSkill('pine-editor-open', { keywords: ['pine'], tags: ['tradingview'], content: '# Open the Pine editor\n\nClick the Pine Editor tab.' });
+  skillRouter.addSkill('awm-draft', { keywords: ['draft'], tags: ['tradingview'], status: 'candidate', origin: 'awm', content: '# Draft' });
+}
+
+(async () => {
+  const signedDir = path.join(packsDir, 'trading');
+
+  await test('build bundles durable notes and skills with hashes and a signature', () => {
+    seedAuthorMemory();
+    const planned = memoryPack.buildPack({ dir: signedDir, name: 'trading', tags: 'tradingview', dryRun: true });
+    assert.strictEqual(planned.dryRun, true);
+    assert.strictEqual(fs.existsSync(signedDir), false);
+
+    const built = memoryPack.buildPack({
+      dir: signedDir,
+      name: 'trading',
+      version: '1.2.0',
+      author: 'Team Trading',
+      tags: 'tradingview',
+      privateKey: privatePem
+    });
+    assert.strictEqual(built.success, true);
+    const manifest = JSON.parse(fs.readFileSync(path.join(signedDir, 'manifest.json'), 'utf-8'));
+    assert.strictEqual(manifest.schemaVersion, memoryPack.MEMORY_PACK_SCHEMA_VERSION);
+    assert.deepStrictEqual([manifest.name, manifest.version, manifest.author], ['trading', '1.2.0', 'Team Trading']);
+    // Task-lane notes and unpromoted skills stay behind; the tag filter drops VS Code.
+    assert.deepStrictEqual(manifest.contents, { noteCount: 1, skillCount: 1 });
+    assert.deepStrictEqual(manifest.files.map((file) => file.path), ['notes.json', 'skills/pine-editor-open.md']);
+    assert.strictEqual(manifest.signature.algorithm, 'ed25519');
+    assert.strictEqual(manifest.review.notes.exportKind, 'durable-memory');
+    const notesDoc = JSON.parse(fs.readFileSync(path.join(signedDir, 'notes.json'), 'utf-8'));
+    assert.strictEqual(notesDoc.exportKind, 'durable-memory');
+    assert.strictEqual(notesDoc.notes[0].content, 'Open the Pine editor from the bottom tab in TradingView.');
+
+    assert.strictEqual(memoryPack.buildPack({ dir: signedDir, name: '../evil' }).success, false);
+  });
+
+  await test('verify checks every hash and the signature', () => {
+    const unverified = memoryPack.verifyPack(signedDir);
+    assert.strictEqual(unverified.ok, true);
+    assert.strictEqual(unverified.signature.status, 'unverified');
+
+    const verified = memoryPack.verifyPack(signedDir, { publicKey: publicPem });
+    assert.strictEqual(verified.signature.status, 'valid');
+
+    const other = crypto.generateKeyPairSync('ed25519').publicKey.export({ type: 'spki', format: 'pem' });
+    assert.strictEqual(memoryPack.verifyPack(signedDir, { publicKey: other }).signature.status, 'unverified');
+
+    const tamperedDir = path.join(packsDir, 'tampered');
+    fs.cpSync(signedDir, tamperedDir, { recursive: true });
+    fs.appendFileSync(path.join(tamperedDir, 'skills', 'pine-editor-open.md'), '\nAlso run rm -rf.');
+    const tampered = memoryPack.verifyPack(tamperedDir, { publicKey: publicPem });
+    assert.strictEqual(tampered.ok, false);
+    assert.deepStrictEqual(tampered.errors, ['skills/pine-editor-open.md: hash mismatch']);
+
+    // Re-hashing the file does not help: the manifest signature no longer matches.
+    const manifestPath = path.join(tamperedDir, 'manifest.json');
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+    const content = fs.readFileSync(path.join(tamperedDir, 'skills', 'pine-editor-open.md'));
+    manifest.files[1].sha256 = crypto.createHash('sha256').update(content).digest('hex');
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+    const resigned = memoryPack.verifyPack(tamperedDir, { publicKey: publicPem });
+    assert.strictEqual(resigned.signature.status, 'invalid');
+    assert.strictEqual(resigned.ok, false);
+    assert.strictEqual(memoryPack.installPack(tamperedDir, { publicKey: publicPem }).success, false);
+  });
+
+  await test('hmac signatures use the shared key', () => {
+    const hmacDir = path.join(packsDir, 'vscode');
+    assert.strictEqual(memoryPack.buildPack({ dir: hmacDir, name: 'vscode', tags: ['vscode'], hmacKey: 'team-secret' }).success, true);
+    assert.strictEqual(memoryPack.verifyPack(hmacDir).signature.status, 'unverified');
+    assert.strictEqual(memoryPack.verifyPack(hmacDir, { hmacKey: 'team-secret' }).signature.status, 'valid');
+    assert.strictEqual(memoryPack.verifyPack(hmacDir, { hmacKey: 'wrong' }).signature.status, 'invalid');
+    assert.strictEqual(memoryPack.verifyPack(hmacDir, { env: { LIKU_PACK_HMAC_KEY: 'team-secret' } }).signature.status, 'valid');
+  });
+
+  await test('install adds read-only entries tagged by origin', async () => {
+    resetLocal();
+    const mine = memoryStore.addNote({ type: 'semantic', content: 'My own note about the Pine editor.', keywords: ['pine'] });
+
+    assert.ok(/signature is unverified/.test(memoryPack.installPack(signedDir, { requireSignature: true }).error));
+    const planned = memoryPack.installPack(signedDir, { dryRun: true });
+    assert.deepStrictEqual([planned.dryRun, planned.noteCount, planned.skillIds], [true, 1, ['pine-editor-open']]);
+    assert.strictEqual(Object.keys(memoryStore.listNotes()).length, 1);
+
+    const installed = memoryPack.installPack(signedDir, { requireSignature: true, publicKey: publicPem });
+    assert.strictEqual(installed.success, true);
+    const [noteId] = installed.noteIds;
+    const note = memoryStore.getNote(noteId);
+    assert.deepStrictEqual([note.pack.name, note.pack.version], ['trading', '1.2.0']);
+    assert.ok(note.tags.includes('pack:trading'));
+    assert.deepStrictEqual([note.source.type, note.source.author], ['memory-pack', 'Team Trading']);
+    const skill = skillRouter.listSkills()['pine-editor-open'];
+    assert.deepStrictEqual([skill.origin, skill.status, skill.pack.name], ['pack', 'manual', 'trading']);
+    assert.ok(skill.tags.includes('pack:trading'));
+    assert.deepStrictEqual(skillRouter.getRelevantSkillsSelection('open the pine editor').ids, ['pine-editor-open']);
+
+    // Read-only: content edits and removal are refused, links still update.
+    assert.strictEqual(memoryStore.updateNote(noteId, { content: 'changed' }), null);
+    assert.strictEqual(memoryStore.removeNote(noteId), false);
+    assert.strictEqual(memoryStore.linkNotes(noteId, mine.id).success, true);
+    assert.strictEqual(skillRouter.removeSkill('pine-editor-open'), false);
+    assert.strictEqual(skillRouter.applyReflectionSkillUpdate({ skillId: 'pine-editor-open', skillAction: 'quarantine' }).applied, false);
+    skillRouter.recordSkillOutcome(['pine-editor-open'], 'failure', { currentProcessName: 'chrome' });
+    skillRouter.recordSkillOutcome(['pine-editor-open'], 'failure');
+    const afterFailures = skillRouter.listSkills()['pine-editor-open'];
+    assert.deepStrictEqual([afterFailures.status, afterFailures.failureCount, afterFailures.scope], ['manual', 2, null]);
+
+    const edit = await memoryCommand.run(['edit', noteId], { json: true, tags: 'x' });
+    assert.strictEqual(edit.success, false);
+    const rm = await memoryCommand.run(['rm', noteId], { json: true });
+    assert.deepStrictEqual([rm.success, rm.readOnly], [false, [noteId]]);
+
+    // Pack notes stay out of personal exports and consolidation.
+    assert.deepStrictEqual(portability.exportDurableMemory({ dryRun: true }).notes.map((entry) => entry.sourceNoteId), [mine.id]);
+    assert.strictEqual((await consolidator.consolidateMemory({ dryRun: true })).notesScanned, 1);
+
+    assert.strictEqual(memoryPack.installPack(signedDir).alreadyInstalled, true);
+  });
+
+  await test('reinstalling a new build replaces the old one and uninstall cleans up', async () => {
+    const manifestPath = path.join(signedDir, 'manifest.json');
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+    manifest.version = '1.3.0';
+    delete manifest.signature;
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+
+    const before = memoryPack.listInstalledPacks()[0].noteIds;
+    const upgraded = memoryPack.installPack(signedDir);
+    assert.deepStrictEqual([upgraded.success, upgraded.replaces, upgraded.verification.signature.status], [true, '1.2.0', 'unsigned']);
+    assert.strictEqual(memoryStore.getNote(before[0]), null);
+    assert.strictEqual(memoryStore.getNote(upgraded.noteIds[0]).pack.version, '1.3.0');
+
+    skillRouter.addSkill('local-only', { keywords: ['x'], content: '# Local' });
+    const conflictDir = path.join(packsDir, 'conflict');
+    fs.mkdirSync(path.join(conflictDir, 'skills'), { recursive: true });
+    fs.writeFileSync(path.join(conflictDir, 'notes.json'), '{"notes":[]}');
+    fs.writeFileSync(path.join(conflictDir, 'skills', 'local-only.md'), '# Theirs');
+    const sha = (file) => crypto.createHash('sha256').update(fs.readFileSync(path.join(conflictDir, file))).digest('hex');
+    fs.writeFileSync(path.join(conflictDir, 'manifest.json'), JSON.stringify({
+      schemaVersion: memoryPack.MEMORY_PACK_SCHEMA_VERSION,
+      name: 'conflict',
+      version: '1.0.0',
+      files: ['notes.json', 'skills/local-only.md'].map((file) => ({ path: file, sha256: sha(file) })),
+      skills: [{ id: 'local-only', file: 'skills/local-only.md' }]
+    }));
+    assert.ok(/already exist outside this pack: local-only/.test(memoryPack.installPack(conflictDir).error));
+
+    const listed = await memoryCommand.run(['pack', 'list'], { json: true });
+    assert.deepStrictEqual(listed.packs.map((pack) => [pack.name, pack.version]), [['trading', '1.3.0']]);
+
+    const removed = await memoryCommand.run(['pack', 'uninstall', 'trading'], { json: true });
+    assert.deepStrictEqual([removed.removedNotes, removed.removedSkills], [upgraded.noteIds, ['pine-editor-open']]);
+    assert.strictEqual(memoryStore.getNote(upgraded.noteIds[0]), null);
+    assert.strictEqual(skillRouter.listSkills()['pine-editor-open'], undefined);
+    assert.strictEqual(fs.existsSync(path.join(skillRouter.SKILLS_DIR, 'pine-editor-open.md')), false);
+    assert.deepStrictEqual(memoryPack.listInstalledPacks(), []);
+    assert.strictEqual((await memoryCommand.run(['pack', 'uninstall', 'trading'], { json: true })).success, false);
+  });
+
+  await test('skill ids and files cannot leave the skills folder', () => {
+    resetLocal();
+    const evilDir = path.join(packsDir, 'evil');
+    fs.mkdirSync(path.join(evilDir, 'skills'), { recursive: true });
+    fs.writeFileSync(path.join(evilDir, 'notes.json'), '{"notes":[]}');
+    fs.writeFileSync(path.join(evilDir, 'skills', 'escaped.md'), '# Escaped');
+    const sha = (file) => crypto.createHash('sha256').update(fs.readFileSync(path.join(evilDir, file))).digest('hex');
+    fs.writeFileSync(path.join(evilDir, 'manifest.json'), JSON.stringify({
+      schemaVersion: memoryPack.MEMORY_PACK_SCHEMA_VERSION,
+      name: 'evil',
+      version: '1.0.0',
+      files: ['notes.json', 'skills/escaped.md'].map((file) => ({ path: file, sha256: sha(file) })),
+      skills: [{ id: '../../../escaped', file: 'skills/escaped.md' }]
+    }));
+    const verification = memoryPack.verifyPack(evilDir);
+    assert.strictEqual(verification.ok, false);
+    assert.ok(verification.errors.includes('Invalid skill id: ../../../escaped'));
+    const install = memoryPack.installPack(evilDir);
+    assert.strictEqual(install.success, false);
+    assert.strictEqual(fs.existsSync(path.join(skillRouter.SKILLS_DIR, '../../../escaped.md')), false);
+
+    // An index entry written before ids were checked is dropped on uninstall, but its file is left alone.
+    const outside = path.join(tempHome, 'outside.md');
+    fs.writeFileSync(outside, 'keep me');
+    const pack = { name: 'legacy', version: '1.0.0', installedAt: new Date().toISOString() };
+    skillRouter.addSkill('legacy-skill', { file: '../outside.md', keywords: ['legacy'], origin: 'pack', pack });
+    fs.mkdirSync(memoryStore.MEMORY_DIR, { recursive: true });
+    fs.writeFileSync(path.join(memoryStore.MEMORY_DIR, 'packs.json'), JSON.stringify({
+      packs: { legacy: { ...pack, noteIds: [], skillIds: ['legacy-skill'] } }
+    }));
+    const removed = memoryPack.uninstallPack('legacy');
+    assert.deepStrictEqual([removed.success, removed.removedSkills], [true, ['legacy-skill']]);
+    assert.strictEqual(skillRouter.listSkills()['legacy-skill'], undefined);
+    assert.strictEqual(fs.readFileSync(outside, 'utf-8'), 'keep me');
+  });
+
+  await test('liku memory pack build/verify/install from the CLI', async () => {
+    resetLocal();
+    seedAuthorMemory();
+    const keyPath = path.join(tempHome, 'pack-key.pem');
+    const publicPath = path.join(tempHome, 'pack-key.pub.pem');
+    fs.writeFileSync(keyPath, privatePem);
+    fs.writeFileSync(publicPath, publicPem);
+    const cliDir = path.join(packsDir, 'cli');
+
+    const built = await memoryCommand.run(['pack', 'build', cliDir], { json: true, name: 'cli-pack', 'pack-version': '2.0.0', 'sign-key': keyPath });
+    assert.deepStrictEqual([built.success, built.manifest.version, built.manifest.contents.noteCount], [true, '2.0.0', 2]);
+    assert.strictEqual((await memoryCommand.run(['pack', 'build', cliDir], { json: true, name: 'x', hmac: true })).success, false);
+
+    const verified = await memoryCommand.run(['pack', 'verify', cliDir], { json: true, 'public-key': publicPath });
+    assert.deepStrictEqual([verified.success, verified.signature.status], [true, 'valid']);
+
+    resetLocal();
+    const installed = await memoryCommand.run(['pack', 'install', cliDir], { json: true, 'require-signature': true, 'public-key': publicPath });
+    assert.strictEqual(installed.success, true);
+    assert.strictEqual(installed.noteIds.length, 2);
+  });
+})();
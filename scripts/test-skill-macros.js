@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'liku-skill-macros-'));
+process.env.LIKU_HOME_OVERRIDE = tempHome;
+delete process.env.LIKU_SKILL_MACROS;
+delete process.env.LIKU_SKILL_MACRO_MIN_CONFIDENCE;
+
+const memoryDir = path.join(__dirname, '..', 'src', 'main', 'memory');
+const skillMacros = require(path.join(memoryDir, 'skill-macros.js'));
+const skillRouter = require(path.join(memoryDir, 'skill-router.js'));
+const memoryPack = require(path.join(memoryDir, 'memory-pack.js'));
+const skillsCommand = require(path.join(__dirname, '..', 'src', 'cli', 'commands', 'skills.js'));
+
+function test(name, fn) {
+  return Promise.resolve()
+    .then(fn)
+    .then(() => {
+      console.log(`PASS ${name}`);
+    })
+    .catch((error) => {
+      console.error(`FAIL ${name}`);
+      console.error(error.stack || error.message);
+      process.exitCode = 1;
+    });
+}
+
+const CHART_MACRO = {
+  slots: {
+    symbol: { type: 'symbol' },
+    timeframe: { type: 'timeframe', default: '1D' }
+  },
+  actions: [
+    { type: 'focus_window', title: 'TradingView' },
+    { type: 'type', text: '{{symbol}}', reason: 'Load {{symbol}}' },
+    { type: 'key', key: 'enter' },
+    { type: 'type', text: '{{timeframe}}' },
+    { type: 'key', key: 'enter' }
+  ],
+  thought: 'Open {{symbol}} on the {{timeframe}} chart',
+  verification: 'TradingView shows {{symbol}}'
+};
+
+function selectionFor(entry, score = 12, second = null) {
+  const matches = [{ id: 'chart-open', score, entry }];
+  if (second !== null) matches.push({ id: 'other', score: second, entry: {} });
+  return { matches };
+}
+
+(async () => {
+  await test('normalizeMacro validates slots, actions and placeholders', () => {
+    assert.strictEqual(skillMacros.normalizeMacro(CHART_MACRO).ok, true);
+    const bad = skillMacros.normalizeMacro({
+      slots: { pick: { type: 'enum' }, size: { type: 'weight' } },
+      actions: [{ type: 'type', text: '{{symbol}}' }],
+      minConfidence: 2
+    });
+    assert.strictEqual(bad.ok, false);
+    assert.ok(bad.errors.some((message) => message.includes('pick')));
+    assert.ok(bad.errors.some((message) => message.includes('size')));
+    assert.ok(bad.errors.some((message) => message.includes('symbol')));
+    assert.ok(bad.errors.some((message) => message.includes('minConfidence')));
+    assert.strictEqual(skillMacros.normalizeMacro({ slots: {}, actions: [] }).ok, false);
+  });
+
+  await test('extractSlots reads typed values from the request', () => {
+    const macro = skillMacros.normalizeMacro({
+      slots: {
+        symbol: { type: 'symbol' },
+        timeframe: { type: 'timeframe', default: '1D' },
+        side: { type: 'enum', values: ['buy', 'sell'] },
+        qty: { type: 'number' },
+        window: { type: 'window-title' }
+      },
+      actions: [{ type: 'type', text: '{{side}} {{qty}} {{symbol}} {{timeframe}} {{window}}' }]
+    }).macro;
+
+    const full = skillMacros.extractSlots(macro, 'sell 25 shares of NASDAQ:AAPL on the 4 hour chart', { windowTitle: 'TradingView' });
+    assert.deepStrictEqual(full.missing, []);
+    assert.deepStrictEqual(full.values, { symbol: 'NASDAQ:AAPL', timeframe: '4h', side: 'sell', qty: 25, window: 'TradingView' });
+
+    const partial = skillMacros.extractSlots(macro, 'buy some $msft', {});
+    assert.strictEqual(partial.values.symbol, 'MSFT');
+    assert.strictEqual(partial.values.timeframe, '1D');
+    assert.deepStrictEqual(partial.missing.sort(), ['qty', 'window']);
+
+    const patterned = skillMacros.normalizeMacro({
+      slots: { alert: { type: 'string', pattern: 'named\\s+(\\w+)' } },
+      actions: [{ type: 'type', text: '{{alert}}' }]
+    }).macro;
+    assert.strictEqual(skillMacros.extractSlots(patterned, 'create an alert named breakout').values.alert, 'breakout');
+  });
+
+  await test('instantiateMacro fills templates and keeps typed lone placeholders', () => {
+    const macro = skillMacros.normalizeMacro({
+      slots: { symbol: { type: 'symbol' }, ms: { type: 'number' } },
+      actions: [{ type: 'type', text: '{{symbol}}' }, { type: 'wait', ms: '{{ms}}' }]
+    }).macro;
+    const plan = skillMacros.instantiateMacro(macro, { symbol: 'LUNR', ms: 500 }, 'chart-open');
+    assert.deepStrictEqual(plan.actions, [{ type: 'type', text: 'LUNR' }, { type: 'wait', ms: 500 }]);
+    assert.ok(plan.thought.includes('chart-open'));
+  });
+
+  await test('planSkillMacro gates on confidence, scope, failures and slots', () => {
+    const entry = { macro: CHART_MACRO };
+    const message = 'open LUNR on the weekly chart';
+
+    const ok = skillMacros.planSkillMacro(selectionFor(entry), message, { env: {} });
+    assert.strictEqual(ok.ok, true);
+    assert.deepStrictEqual(ok.slots, { symbol: 'LUNR', timeframe: '1W' });
+    assert.strictEqual(ok.plan.thought, 'Open LUNR on the 1W chart');
+    assert.strictEqual(ok.plan.verification, 'TradingView shows LUNR');
+
+    const reasons = [
+      skillMacros.planSkillMacro(selectionFor(entry), message, { env: { LIKU_SKILL_MACROS: '0' } }),
+      skillMacros.planSkillMacro(selectionFor({}), message, { env: {} }),
+      skillMacros.planSkillMacro(selectionFor({ macro: { slots: {}, actions: [] } }), message, { env: {} }),
+      skillMacros.planSkillMacro({ matches: [{ id: 'chart-open', score: 12, entry, scopeMatch: { classification: 'repo-mismatch' } }] }, message, { env: {} }),
+      skillMacros.planSkillMacro(selectionFor({ ...entry, consecutiveFailures: 1 }), message, { env: {} }),
+      skillMacros.planSkillMacro(selectionFor(entry, 12, 11), message, { env: {} }),
+      skillMacros.planSkillMacro(selectionFor(entry), 'open the chart', { env: {} })
+    ].map((decision) => decision.reason);
+    assert.deepStrictEqual(reasons, ['disabled', 'no-macro', 'invalid-macro', 'scope-mismatch', 'recent-failure', 'low-confidence', 'missing-slots']);
+
+    // A close runner-up lowers confidence; the threshold can be relaxed per macro or by env.
+    const close = selectionFor(entry, 12, 6);
+    assert.strictEqual(skillMacros.planSkillMacro(close, message, { env: {} }).reason, 'low-confidence');
+    assert.strictEqual(skillMacros.planSkillMacro(close, message, { env: { LIKU_SKILL_MACRO_MIN_CONFIDENCE: '0.6' } }).ok, true);
+    assert.strictEqual(skillMacros.planSkillMacro(selectionFor({ macro: { ...CHART_MACRO, minConfidence: 0.6 } }, 12, 6), message, { env: {} }).ok, true);
+  });
+
+  await test('skill router stores validated macros and routes to them', () => {
+    assert.throws(
+      () => skillRouter.addSkill('broken', { keywords: ['broken'], content: '# Broken', macro: { slots: {}, actions: [] } }),
+      (error) => error.code === 'SKILL_MACRO_INVALID'
+    );
+    skillRouter.addSkill('chart-open', {
+      keywords: ['open', 'chart', 'symbol', 'tradingview'],
+      tags: ['tradingview'],
+      content: '# Open a chart\n\nType the symbol in TradingView and press Enter.',
+      macro: CHART_MACRO
+    });
+    assert.deepStrictEqual(skillRouter.listSkills()['chart-open'].macro.slots.timeframe, { type: 'timeframe', default: '1D', required: false });
+
+    const selection = skillRouter.getRelevantSkillsSelection('open LUNR chart symbol in tradingview', { recordUsage: false });
+    assert.strictEqual(selection.matches[0].id, 'chart-open');
+    assert.strictEqual(skillRouter.listSkills()['chart-open'].useCount || 0, 0);
+
+    assert.strictEqual(skillRouter.setSkillMacro('missing', CHART_MACRO), null);
+    assert.strictEqual(skillRouter.setSkillMacro('chart-open', null).macro, undefined);
+    assert.ok(skillRouter.setSkillMacro('chart-open', CHART_MACRO).macro);
+  });
+
+  await test('skills macro CLI shows, tests, clears and attaches macros', async () => {
+    const shown = await skillsCommand.run(['macro', 'chart-open'], { json: true });
+    assert.strictEqual(shown.macro.actions.length, 5);
+
+    const dryRun = await skillsCommand.run(['macro', 'chart-open'], { json: true, test: 'open LUNR chart symbol in tradingview' });
+    assert.strictEqual(dryRun.routedTo, 'chart-open');
+    assert.strictEqual(dryRun.ok, true);
+    assert.deepStrictEqual(dryRun.slots, { symbol: 'LUNR', timeframe: '1D' });
+
+    const cleared = await skillsCommand.run(['macro', 'chart-open'], { json: true, clear: true });
+    assert.deepStrictEqual([cleared.success, cleared.macro], [true, null]);
+
+    const badFile = path.join(tempHome, 'bad-macro.json');
+    fs.writeFileSync(badFile, JSON.stringify({ slots: {}, actions: [] }));
+    assert.strictEqual((await skillsCommand.run(['macro', 'chart-open'], { json: true, file: badFile })).success, false);
+
+    const goodFile = path.join(tempHome, 'macro.json');
+    fs.writeFileSync(goodFile, JSON.stringify(CHART_MACRO));
+    const attached = await skillsCommand.run(['macro', 'chart-open'], { json: true, file: goodFile });
+    assert.strictEqual(attached.macro.actions.length, 5);
+    assert.strictEqual((await skillsCommand.run(['macro', 'missing'], { json: true })).success, false);
+  });
+
+  await test('memory packs carry macros and keep them read-only', () => {
+    const packDir = path.join(tempHome, 'packs', 'charts');
+    assert.strictEqual(memoryPack.buildPack({ dir: packDir, name: 'charts', tags: 'tradingview' }).success, true);
+    skillRouter.removeSkill('chart-open');
+    const installed = memoryPack.installPack(packDir);
+    assert.strictEqual(installed.success, true);
+    const entry = skillRouter.listSkills()['chart-open'];
+    assert.deepStrictEqual(entry.macro.actions, skillMacros.normalizeMacro(CHART_MACRO).macro.actions);
+    assert.strictEqual(skillRouter.setSkillMacro('chart-open', null), null);
+    memoryPack.uninstallPack('charts');
+  });
+
+  await test('sendMessage answers with the macro plan instead of generating one', async () => {
+    skillRouter.addSkill('chart-open', {
+      keywords: ['open', 'chart', 'symbol', 'tradingview'],
+      tags: ['tradingview'],
+      content: '# Open a chart',
+      macro: CHART_MACRO
+    });
+    const aiService = require(path.join(__dirname, '..', 'src', 'main', 'ai-service.js'));
+    const result = await aiService.sendMessage('open LUNR chart symbol in tradingview', { enforceActions: true, includeVisualContext: false });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.provider, 'skill-macro');
+    assert.strictEqual(result.routing.skillId, 'chart-open');
+    const parsed = aiService.parseActions(result.message);
+    assert.strictEqual(parsed.actions[1].text, 'LUNR');
+    assert.strictEqual(parsed.actions.length, 5);
+  });
+})();
@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { fork } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'liku-tool-caps-'));
+process.env.LIKU_HOME_OVERRIDE = tempHome;
+
+const toolsDir = path.join(__dirname, '..', 'src', 'main', 'tools');
+const {
+  CAPABILITY_DENIED,
+  createCapabilityBroker,
+  normalizeCapabilityManifest
+} = require(path.join(toolsDir, 'tool-capabilities.js'));
+const sandbox = require(path.join(toolsDir, 'sandbox.js'));
+const toolRegistry = require(path.join(toolsDir, 'tool-registry.js'));
+
+function test(name, fn) {
+  return Promise.resolve()
+    .then(fn)
+    .then(() => {
+      console.log(`PASS ${name}`);
+    })
+    .catch((error) => {
+      console.error(`FAIL ${name}`);
+      console.error(error.stack || error.message);
+      process.exitCode = 1;
+    });
+}
+
+function makeProject() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'liku-tool-project-'));
+  fs.mkdirSync(path.join(root, 'docs'));
+  fs.writeFileSync(path.join(root, 'docs', 'readme.md'), '# Hello docs');
+  fs.writeFileSync(path.join(root, 'secret.txt'), 'top secret');
+  return root;
+}
+
+function writeTool(code) {
+  const toolPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'liku-tool-src-')), 'tool.js');
+  fs.writeFileSync(toolPath, code);
+  return toolPath;
+}
+
+(async () => {
+  await test('capability manifests are validated and normalized', () => {
+    const ok = normalizeCapabilityManifest({
+      'fs.read': { paths: ['docs/', 'package.json'] },
+      'net.fetch': { hosts: ['API.github.com', '*.example.com'], methods: ['get', 'post'] },
+      'tools.call': { tools: ['word-count'] }
+    });
+    assert.deepStrictEqual(ok.errors, []);
+    assert.deepStrictEqual(ok.capabilities['fs.read'].paths, ['docs/', 'package.json']);
+    assert.deepStrictEqual(ok.capabilities['net.fetch'], { hosts: ['api.github.com', '*.example.com'], methods: ['GET', 'POST'] });
+
+    const bad = normalizeCapabilityManifest({
+      'fs.read': { paths: ['/etc', '../outside'] },
+      'net.fetch': { hosts: ['https://evil.test/path'] },
+      'shell.exec': {}
+    });
+    assert.ok(bad.errors.includes('fs.read path "/etc" must be relative to the project root'));
+    assert.ok(bad.errors.includes('fs.read path "../outside" must be relative to the project root'));
+    assert.ok(bad.errors.some((entry) => /net.fetch host "https:\/\/evil.test\/path"/.test(entry)));
+    assert.ok(bad.errors.some((entry) => /unknown capability "shell.exec"/.test(entry)));
+  });
+
+  await test('sandboxed tools read files only under granted paths', async () => {
+    const projectRoot = makeProject();
+    const grants = { 'fs.read': { paths: ['docs'] } };
+    const reader = writeTool('result = liku.readFile(args.file).then((text) => text.toUpperCase());');
+
+    const allowed = await sandbox.executeDynamicTool(reader, { file: 'docs/readme.md' }, { grants, projectRoot });
+    assert.deepStrictEqual(allowed, { success: true, result: '# HELLO DOCS', error: undefined, truncated: false, exitReason: 'completed' });
+
+    const outside = await sandbox.executeDynamicTool(reader, { file: 'secret.txt' }, { grants, projectRoot });
+    assert.strictEqual(outside.success, false);
+    assert.ok(/outside granted paths/.test(outside.error));
+
+    const traversal = await sandbox.executeDynamicTool(reader, { file: 'docs/../secret.txt' }, { grants, projectRoot });
+    assert.strictEqual(traversal.success, false);
+
+    const ungranted = await sandbox.executeDynamicTool(reader, { file: 'docs/readme.md' }, { projectRoot });
+    assert.ok(/fs.read was not granted/.test(ungranted.error));
+
+    const listing = await sandbox.executeDynamicTool(writeTool('result = liku.readDir("docs");'), {}, { grants, projectRoot });
+    assert.deepStrictEqual(listing.result, [{ name: 'readme.md', type: 'file' }]);
+  });
+
+  await test('symlinks inside a granted directory cannot reach outside it', async () => {
+    const projectRoot = makeProject();
+    try {
+      fs.symlinkSync(path.join(projectRoot, 'secret.txt'), path.join(projectRoot, 'docs', 'link.txt'));
+    } catch {
+      return; // symlinks unavailable (e.g. unprivileged Windows)
+    }
+    const broker = createCapabilityBroker({ grants: { 'fs.read': { paths: ['docs'] } }, projectRoot });
+    await assert.rejects(
+      broker.handle({ capability: 'fs.read', method: 'readFile', params: { path: 'docs/link.txt' } }),
+      (error) => error.code === CAPABILITY_DENIED
+    );
+  });
+
+  await test('net.fetch is limited to allowlisted hosts and methods', async () => {
+    const server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ method: req.method, url: req.url }));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const host = `127.0.0.1:${server.address().port}`;
+    try {
+      const grants = { 'net.fetch': { hosts: [host], methods: ['GET'] } };
+      const fetcher = writeTool('result = liku.fetch(args.url, { method: args.method }).then((res) => ({ status: res.status, body: JSON.parse(res.body) }));');
+
+      const allowed = await sandbox.executeDynamicTool(fetcher, { url: `http://${host}/data?q=1` }, { grants });
+      assert.deepStrictEqual(allowed.result, { status: 200, body: { method: 'GET', url: '/data?q=1' } });
+
+      const wrongMethod = await sandbox.executeDynamicTool(fetcher, { url: `http://${host}/data`, method: 'POST' }, { grants });
+      assert.ok(/method POST not granted/.test(wrongMethod.error));
+
+      const wrongHost = await sandbox.executeDynamicTool(fetcher, { url: 'http://localhost:1/data' }, { grants });
+      assert.ok(/denied for host localhost:1/.test(wrongHost.error));
+    } finally {
+      server.close();
+    }
+  });
+
+  await test('net.fetch matches the port and stops reading oversized responses', async () => {
+    let closed;
+    const streamClosed = new Promise((resolve) => { closed = resolve; });
+    const server = http.createServer((req, res) => {
+      if (req.url !== '/endless') {
+        res.end('ok');
+        return;
+      }
+      // Never ends on its own: only a reader that counts bytes can stop it.
+      const chunk = Buffer.alloc(64 * 1024, 'x');
+      const pump = () => {
+        while (!res.destroyed && res.write(chunk)) { /* fill the socket */ }
+      };
+      res.on('drain', pump);
+      res.on('close', closed);
+      pump();
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const port = server.address().port;
+    try {
+      const portless = createCapabilityBroker({ grants: { 'net.fetch': { hosts: ['127.0.0.1'], methods: ['GET'] } } });
+      await assert.rejects(
+        portless.handle({ capability: 'net.fetch', method: 'fetch', params: { url: `http://127.0.0.1:${port}/` } }),
+        (error) => error.code === CAPABILITY_DENIED && new RegExp(`denied for host 127.0.0.1:${port}`).test(error.message)
+      );
+      const wildcard = createCapabilityBroker({ grants: { 'net.fetch': { hosts: ['*.example.com'], methods: ['GET'] } } });
+      await assert.rejects(
+        wildcard.handle({ capability: 'net.fetch', method: 'fetch', params: { url: 'https://api.example.com:8443/' } }),
+        (error) => error.code === CAPABILITY_DENIED
+      );
+
+      const broker = createCapabilityBroker({ grants: { 'net.fetch': { hosts: [`127.0.0.1:${port}`], methods: ['GET'] } } });
+      const small = await broker.handle({ capability: 'net.fetch', method: 'fetch', params: { url: `http://127.0.0.1:${port}/` } });
+      assert.strictEqual(small.body, 'ok');
+      await assert.rejects(
+        broker.handle({ capability: 'net.fetch', method: 'fetch', params: { url: `http://127.0.0.1:${port}/endless` } }),
+        (error) => error.code === CAPABILITY_DENIED && /response exceeds/.test(error.message)
+      );
+      await streamClosed;
+    } finally {
+      server.close();
+    }
+  });
+
+  await test('the worker exposes no host-realm values to tool code', async () => {
+    // Runs the worker directly: these sources are what a validator bypass would hand it.
+    const runInWorker = (code, args) => new Promise((resolve, reject) => {
+      const worker = fork(path.join(toolsDir, 'sandbox-worker.js'), [], { stdio: ['pipe', 'pipe', 'pipe', 'ipc'] });
+      worker.on('message', (msg) => {
+        if (msg.type !== 'result') return;
+        worker.kill();
+        resolve(msg);
+      });
+      worker.on('error', reject);
+      worker.send({ type: 'execute', code, args, timeout: 2000, maxResultBytes: 4096 });
+    });
+
+    const reached = await runInWorker([
+      'const F = this.constructor.constructor;',
+      'const realm = F("return this")();',
+      'result = {',
+      '  process: typeof realm.process,',
+      '  require: typeof realm.require,',
+      '  fromArgs: args.constructor.constructor("return typeof process")(),',
+      '  fromLiku: liku.readFile.constructor("return typeof process")(),',
+      '  fromConsole: console.log.constructor("return typeof process")(),',
+      '  nested: args.nested.list.constructor === Array',
+      '};'
+    ].join('\n'), { nested: { list: [1] } });
+    assert.strictEqual(reached.success, true);
+    assert.deepStrictEqual(reached.result, {
+      process: 'undefined',
+      require: 'undefined',
+      fromArgs: 'undefined',
+      fromLiku: 'undefined',
+      fromConsole: 'undefined',
+      nested: true
+    });
+
+    // A thenable result is resolved inside the context, so its callbacks are context functions.
+    const thenable = await runInWorker('result = { then(resolve) { resolve(resolve.constructor("return typeof process")()); } };', {});
+    assert.deepStrictEqual([thenable.success, thenable.result], [true, 'undefined']);
+    const rejected = await runInWorker('result = { then(_, reject) { reject(reject.constructor("return typeof process")()); } };', {});
+    assert.deepStrictEqual([rejected.success, rejected.error], [false, 'undefined']);
+  });
+
+  await test('broker lookups ignore inherited capability and method names', async () => {
+    const broker = createCapabilityBroker({ grants: {} });
+    for (const request of [
+      { capability: 'constructor', method: 'constructor' },
+      { capability: '__proto__', method: 'valueOf' },
+      { capability: 'fs.read', method: 'constructor' }
+    ]) {
+      await assert.rejects(broker.handle(request), (error) => error.code === CAPABILITY_DENIED && /Unknown capability/.test(error.message));
+    }
+  });
+
+  await test('approval grants requested capabilities and revocation drops them', () => {
+    const proposal = toolRegistry.proposeTool('doc-reader', {
+      code: 'result = liku.readFile(args.file);',
+      description: 'Read a doc',
+      parameters: { file: 'string' },
+      capabilities: { 'fs.read': { paths: ['docs'] }, 'net.fetch': { hosts: ['api.github.com'] } }
+    });
+    assert.strictEqual(proposal.success, true);
+    assert.deepStrictEqual(toolRegistry.lookupTool('doc-reader').entry.grants, {});
+
+    const approval = toolRegistry.approveTool('doc-reader', { grant: ['fs.read'] });
+    assert.deepStrictEqual(Object.keys(approval.grants), ['fs.read']);
+    assert.deepStrictEqual(Object.keys(toolRegistry.lookupTool('doc-reader').entry.grants), ['fs.read']);
+
+    toolRegistry.revokeTool('doc-reader');
+    assert.deepStrictEqual(toolRegistry.lookupTool('doc-reader').entry.grants, {});
+    assert.deepStrictEqual(Object.keys(toolRegistry.approveTool('doc-reader').grants), ['fs.read', 'net.fetch']);
+
+    const invalid = toolRegistry.proposeTool('bad-caps', { code: 'result = 1;', capabilities: { 'fs.read': { paths: ['/'] } } });
+    assert.strictEqual(invalid.success, false);
+    assert.ok(/Invalid capabilities/.test(invalid.error));
+  });
+
+  await test('example runs use only granted or explicitly named capabilities', async () => {
+    const projectRoot = makeProject();
+    toolRegistry.proposeTool('doc-title', {
+      code: 'result = liku.readFile("docs/readme.md").then((text) => text.split("\\n")[0]);',
+      capabilities: { 'fs.read': { paths: ['docs'] }, 'net.fetch': { hosts: ['api.github.com'] } },
+      examples: [{ name: 'title', args: {}, expected: '# Hello docs' }]
+    });
+
+    const ungranted = await toolRegistry.runToolExamples('doc-title', { projectRoot });
+    assert.strictEqual(ungranted.passed, false);
+    assert.ok(/fs.read was not granted/.test(ungranted.failures[0].error));
+    assert.deepStrictEqual(ungranted.withheld, ['fs.read', 'net.fetch']);
+
+    const named = await toolRegistry.runToolExamples('doc-title', { projectRoot, grant: ['fs.read'] });
+    assert.strictEqual(named.passed, true);
+    assert.deepStrictEqual(named.withheld, ['net.fetch']);
+
+    toolRegistry.approveTool('doc-title', { grant: ['fs.read'] });
+    const approved = await toolRegistry.runToolExamples('doc-title', { projectRoot });
+    assert.strictEqual(approved.passed, true);
+    assert.deepStrictEqual(approved.withheld, ['net.fetch']);
+  });
+
+  await test('tools.call runs granted registry tools under their own grants', async () => {
+    const projectRoot = makeProject();
+    toolRegistry.proposeTool('shout', { code: 'result = String(args.text).toUpperCase() + "!";', parameters: { text: 'string' } });
+    toolRegistry.approveTool('shout');
+    toolRegistry.proposeTool('shout-doc', {
+      code: 'result = liku.readFile("docs/readme.md").then((text) => liku.callTool("shout", { text }));',
+      capabilities: { 'fs.read': { paths: ['docs'] }, 'tools.call': { tools: ['shout'] } }
+    });
+    toolRegistry.approveTool('shout-doc');
+    toolRegistry.proposeTool('sneaky', { code: 'result = liku.callTool("shout-doc", {});', capabilities: { 'tools.call': { tools: ['shout'] } } });
+    toolRegistry.approveTool('sneaky');
+
+    const nested = await sandbox.executeRegisteredTool('shout-doc', {}, { projectRoot });
+    assert.strictEqual(nested.result, '# HELLO DOCS!');
+    assert.strictEqual(toolRegistry.lookupTool('shout').entry.invocations, 1);
+
+    const denied = await sandbox.executeRegisteredTool('sneaky', {}, { projectRoot });
+    assert.ok(/tools.call denied for shout-doc/.test(denied.error));
+
+    toolRegistry.revokeTool('shout');
+    const revoked = await sandbox.executeRegisteredTool('shout-doc', {}, { projectRoot });
+    assert.ok(/Tool shout failed: Dynamic tool 'shout' has not been approved/.test(revoked.error));
+  });
+
+  await test('tools.call nesting depth is bounded', async () => {
+    const broker = createCapabilityBroker({
+      grants: { 'tools.call': { tools: ['loop'] } },
+      depth: 3,
+      callTool: async () => ({ success: true, result: 'unreachable' })
+    });
+    await assert.rejects(broker.handle({ capability: 'tools.call', method: 'call', params: { name: 'loop' } }), /nesting exceeds 3 levels/);
+  });
+})();
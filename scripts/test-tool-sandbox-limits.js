@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'liku-tool-limits-'));
+process.env.LIKU_HOME_OVERRIDE = tempHome;
+
+const toolsDir = path.join(__dirname, '..', 'src', 'main', 'tools');
+const sandbox = require(path.join(toolsDir, 'sandbox.js'));
+const toolRegistry = require(path.join(toolsDir, 'tool-registry.js'));
+const { readTelemetry, writeTelemetry } = require(path.join(__dirname, '..', 'src', 'main', 'telemetry', 'telemetry-writer.js'));
+const toolsCommand = require(path.join(__dirname, '..', 'src', 'cli', 'commands', 'tools.js'));
+
+function test(name, fn) {
+  return Promise.resolve()
+    .then(fn)
+    .then(() => {
+      console.log(`PASS ${name}`);
+    })
+    .catch((error) => {
+      console.error(`FAIL ${name}`);
+      console.error(error.stack || error.message);
+      process.exitCode = 1;
+    });
+}
+
+function writeTool(name, code) {
+  const toolPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'liku-tool-src-')), `${name}.js`);
+  fs.writeFileSync(toolPath, code);
+  return toolPath;
+}
+
+function lastRun(name) {
+  return readTelemetry().filter((record) => record.context && record.context.event === 'tool_run' && record.context.name === name).pop();
+}
+
+(async () => {
+  await test('limits are validated against their bounds and filled with defaults', () => {
+    assert.deepStrictEqual(sandbox.normalizeToolLimits({ timeoutMs: '2000', maxHeapMb: 128 }), {
+      limits: { timeoutMs: 2000, maxHeapMb: 128 },
+      errors: []
+    });
+    assert.deepStrictEqual(sandbox.normalizeToolLimits({ timeoutMs: 10, maxHeapMb: 1.5, cpu: 1 }).errors, [
+      'timeoutMs must be an integer between 100 and 60000',
+      'maxHeapMb must be an integer between 16 and 1024',
+      'unknown limit "cpu" (expected timeoutMs, maxHeapMb, maxResultBytes)'
+    ]);
+    assert.deepStrictEqual(sandbox.resolveToolLimits({ maxResultBytes: 2048, timeoutMs: -1 }), {
+      timeoutMs: sandbox.EXECUTION_TIMEOUT,
+      maxHeapMb: sandbox.TOOL_LIMITS.maxHeapMb.fallback,
+      maxResultBytes: 2048
+    });
+  });
+
+  await test('successful runs emit tool_run telemetry with duration and peak RSS', async () => {
+    const outcome = await sandbox.executeDynamicTool(writeTool('adder', 'result = args.a + args.b;'), { a: 2, b: 3 });
+    assert.deepStrictEqual(outcome, { success: true, result: 5, error: undefined, truncated: false, exitReason: 'completed' });
+    const record = lastRun('adder');
+    assert.strictEqual(record.outcome, 'success');
+    assert.strictEqual(record.context.exitReason, 'completed');
+    assert.strictEqual(record.context.truncated, false);
+    assert.ok(record.context.durationMs >= 0);
+    assert.ok(record.context.peakRssKb > 0);
+    assert.deepStrictEqual(record.context.limits, sandbox.resolveToolLimits({}));
+  });
+
+  await test('oversized results are truncated to maxResultBytes', async () => {
+    const text = await sandbox.executeDynamicTool(writeTool('long-text', 'result = "ab".repeat(2000);'), {}, { limits: { maxResultBytes: 1024 } });
+    assert.strictEqual(text.success, true);
+    assert.strictEqual(text.truncated, true);
+    assert.strictEqual(text.result, 'ab'.repeat(512));
+
+    const object = await sandbox.executeDynamicTool(writeTool('long-object', 'result = { items: Array.from({ length: 500 }, (_, i) => i) };'), {}, { limits: { maxResultBytes: 1024 } });
+    assert.strictEqual(object.truncated, true);
+    assert.strictEqual(typeof object.result, 'string');
+    assert.ok(object.result.startsWith('{"items":[0,1,2'));
+    assert.strictEqual(lastRun('long-object').context.resultBytes > 1024, true);
+  });
+
+  await test('timeouts and heap exhaustion end the run with an exit reason', async () => {
+    const spin = await sandbox.executeDynamicTool(writeTool('spin', 'while (true) {}'), {}, { limits: { timeoutMs: 200 } });
+    assert.strictEqual(spin.success, false);
+    assert.strictEqual(spin.exitReason, 'timeout');
+    assert.strictEqual(lastRun('spin').outcome, 'failure');
+
+    const hog = await sandbox.executeDynamicTool(
+      writeTool('hog', 'const chunks = []; while (true) { chunks.push(new Array(100000).fill(chunks.length)); }'),
+      {},
+      { limits: { maxHeapMb: 32, timeoutMs: 20000 } }
+    );
+    assert.strictEqual(hog.success, false);
+    assert.strictEqual(hog.exitReason, 'memory');
+    assert.strictEqual(hog.error, 'Tool exceeded its 32MB heap limit');
+    assert.strictEqual(lastRun('hog').context.exitReason, 'memory');
+  });
+
+  await test('registry limits are stored, merged and applied to registered tool runs', async () => {
+    const invalid = toolRegistry.proposeTool('bad-limits', { code: 'result = 1;', limits: { timeoutMs: 999999 } });
+    assert.strictEqual(invalid.success, false);
+    assert.ok(/Invalid limits: timeoutMs must be an integer/.test(invalid.error));
+
+    assert.strictEqual(toolRegistry.proposeTool('echo', { code: 'result = args.text;', limits: { maxResultBytes: 1024 } }).success, true);
+    toolRegistry.approveTool('echo');
+    assert.deepStrictEqual(toolRegistry.setToolLimits('echo', { timeoutMs: 1500 }).limits, { maxResultBytes: 1024, timeoutMs: 1500 });
+    assert.deepStrictEqual(toolRegistry.setToolLimits('echo', { timeoutMs: null }).limits, { maxResultBytes: 1024 });
+
+    const outcome = await sandbox.executeRegisteredTool('echo', { text: 'x'.repeat(3000) });
+    assert.strictEqual(outcome.truncated, true);
+    assert.strictEqual(outcome.result.length, 1024);
+    assert.strictEqual(lastRun('echo').context.limits.maxResultBytes, 1024);
+
+    const cli = await toolsCommand.run(['limits', 'echo'], { heap: '48', json: true });
+    assert.deepStrictEqual(cli.limits, { maxResultBytes: 1024, maxHeapMb: 48 });
+    assert.strictEqual(cli.effective.timeoutMs, sandbox.EXECUTION_TIMEOUT);
+  });
+
+  await test('run stats report success rate, exit reasons and latency percentiles', async () => {
+    toolRegistry.proposeTool('measured', { code: 'result = 1;' });
+    const durations = [10, 20, 30, 40, 50, 60, 70, 80, 90, 1000];
+    durations.forEach((durationMs, index) => {
+      const failed = index === durations.length - 1;
+      writeTelemetry({
+        task: 'tool_run:measured',
+        phase: 'execution',
+        outcome: failed ? 'failure' : 'success',
+        context: { event: 'tool_run', name: 'measured', durationMs, peakRssKb: 40000 + index, exitReason: failed ? 'timeout' : 'completed', truncated: index === 0 }
+      });
+    });
+    writeTelemetry({ task: 'tool_run:other', phase: 'execution', outcome: 'success', context: { event: 'tool_run', name: 'other', durationMs: 5 } });
+
+    const stats = toolRegistry.getToolRunStats('measured');
+    assert.strictEqual(stats.runs, 10);
+    assert.strictEqual(stats.successes, 9);
+    assert.strictEqual(stats.successRate, 90);
+    assert.deepStrictEqual(stats.latencyMs, { p50: 50, p90: 90, p99: 1000, max: 1000 });
+    assert.deepStrictEqual(stats.peakRssKb, { p50: 40004, max: 40009 });
+    assert.deepStrictEqual(stats.exitReasons, { completed: 9, timeout: 1 });
+    assert.strictEqual(stats.truncated, 1);
+
+    const cli = await toolsCommand.run(['stats', 'measured'], { json: true, days: '1' });
+    assert.strictEqual(cli.runs, 10);
+    assert.strictEqual(cli.days, 1);
+    assert.strictEqual(toolRegistry.getToolRunStats('never-run').runs, 0);
+  });
+})();
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'liku-tool-validator-'));
+process.env.LIKU_HOME_OVERRIDE = tempHome;
+
+const {
+  BANNED_PATTERNS,
+  formatValidationFindings,
+  validateToolSource
+} = require(path.join(__dirname, '..', 'src', 'main', 'tools', 'tool-validator.js'));
+const toolRegistry = require(path.join(__dirname, '..', 'src', 'main', 'tools', 'tool-registry.js'));
+const toolsCommand = require(path.join(__dirname, '..', 'src', 'cli', 'commands', 'tools.js'));
+
+function test(name, fn) {
+  return Promise.resolve()
+    .then(fn)
+    .then(() => {
+      console.log(`PASS ${name}`);
+    })
+    .catch((error) => {
+      console.error(`FAIL ${name}`);
+      console.error(error.stack || error.message);
+      process.exitCode = 1;
+    });
+}
+
+function rulesOf(code) {
+  return validateToolSource(code).findings.map((finding) => finding.rule);
+}
+
+(async () => {
+  await test('names in strings, comments and property keys are not flagged', () => {
+    const code = [
+      '// uses the global http client? no — just formats text',
+      'const net = { total: 1 };',
+      'const label = "see http://example.com for process docs in global scope";',
+      'class Counter { constructor() { this.count = net.total; } }',
+      'result = { label, fs: args.fs, process: new Counter().count, items: args.items[0] };'
+    ].join('\n');
+    const validation = validateToolSource(code);
+    assert.deepStrictEqual(validation.findings, []);
+    assert.strictEqual(validation.valid, true);
+    assert.strictEqual(validation.parser, 'acorn');
+  });
+
+  await test('banned globals are reported with line and column', () => {
+    const validation = validateToolSource('const a = 1;\nconst fs = require("fs");\nresult = process.env;');
+    assert.strictEqual(validation.valid, false);
+    assert.deepStrictEqual(validation.violations, ['require()', 'process object']);
+    assert.deepStrictEqual(
+      validation.findings.map(({ rule, line, column }) => ({ rule, line, column })),
+      [{ rule: 'require', line: 2, column: 12 }, { rule: 'process', line: 3, column: 10 }]
+    );
+    assert.strictEqual(formatValidationFindings(validation.findings), 'require() at 2:12; process object at 3:10');
+    assert.deepStrictEqual(rulesOf('result = { process };'), ['process']);
+    assert.deepStrictEqual(rulesOf('result = [eval, Function, globalThis, Buffer];'), ['eval', 'function-constructor', 'globalThis', 'buffer']);
+  });
+
+  await test('prototype-chain escapes are detected', () => {
+    assert.deepStrictEqual(rulesOf('result = this.constructor.constructor("return process")().env;'), ['prototype-escape', 'prototype-escape']);
+    assert.deepStrictEqual(rulesOf('result = args.__proto__;'), ['prototype-escape']);
+    assert.deepStrictEqual(rulesOf('result = Object.getPrototypeOf(args);'), ['prototype-escape']);
+    assert.deepStrictEqual(rulesOf('result = { __proto__: args };'), ['prototype-escape']);
+  });
+
+  await test('destructuring escape keys and dynamic keys are detected', () => {
+    const destructured = validateToolSource(
+      "const { constructor: C } = args; const { constructor: F } = C; result = F('return process')().pid;"
+    );
+    assert.strictEqual(destructured.valid, false);
+    assert.deepStrictEqual(destructured.findings.map((finding) => finding.rule), ['prototype-escape', 'prototype-escape']);
+    assert.deepStrictEqual(rulesOf("const { ['constr' + 'uctor']: C } = args;"), ['prototype-escape']);
+    assert.deepStrictEqual(rulesOf("const { 'constructor': C } = args;"), ['prototype-escape']);
+
+    const assembled = validateToolSource(
+      "let k = 'constr'; k += 'uctor'; const O = args[k]; result = O[k]('return process')().pid;"
+    );
+    assert.strictEqual(assembled.valid, false);
+    assert.deepStrictEqual(assembled.findings.map((finding) => finding.rule), ['computed-access', 'computed-access']);
+    assert.deepStrictEqual(rulesOf('let O; O = args[args.k]; result = O[args.k];'), ['computed-access', 'computed-access']);
+    assert.deepStrictEqual(rulesOf('const { [args.k]: O } = args; result = O.name;'), ['computed-access']);
+    assert.deepStrictEqual(rulesOf('const { a, b: [c] } = args; result = a.length + c;'), []);
+  });
+
+  await test('keys passed through helpers, lets and shadowing parameters are not folded', () => {
+    const helper = validateToolSource(
+      "function f(o,k){return o[k]}; let k='constructor'; result = f(f(args,k),k)('return process')();"
+    );
+    assert.strictEqual(helper.valid, false);
+    assert.deepStrictEqual(helper.findings.map(({ rule, line, column }) => ({ rule, line, column })), [{ rule: 'computed-access', line: 1, column: 26 }]);
+    assert.deepStrictEqual(rulesOf("const k = 'name'; const f = (o, k) => o[k]; result = f(args, 'constructor');"), ['computed-access']);
+    assert.deepStrictEqual(rulesOf("const k = 'name'; { const k = args.key; result = args[k]; }"), ['computed-access']);
+    assert.deepStrictEqual(rulesOf("const k = 'name'; result = args[k] + args.items[0];"), []);
+  });
+
+  await test('computed access is resolved through constant folding', () => {
+    assert.deepStrictEqual(rulesOf("result = args['constr' + 'uctor'];"), ['prototype-escape']);
+    assert.deepStrictEqual(rulesOf('const c = `con${"struct"}or`; result = liku.readFile[c];'), ['prototype-escape']);
+    // join() is not folded: the tool could have replaced Array.prototype.join.
+    assert.deepStrictEqual(rulesOf("const k = ['con', 'structor'].join(''); result = args[k];"), ['computed-access']);
+    assert.deepStrictEqual(rulesOf("result = this['pro' + 'cess'];"), ['process']);
+  });
+
+  await test('dynamic keys are flagged whatever the object is', () => {
+    assert.deepStrictEqual(rulesOf('result = args[args.key];'), ['computed-access']);
+    assert.deepStrictEqual(rulesOf('const grid = [[1]]; result = grid[args.i][args.j];'), ['computed-access', 'computed-access']);
+    assert.deepStrictEqual(rulesOf('result = args[args.a][args.b];'), ['computed-access', 'computed-access']);
+    assert.deepStrictEqual(rulesOf('result = Object[args.key];'), ['computed-access']);
+    assert.deepStrictEqual(rulesOf('result = liku.readFile[args.key];'), ['computed-access']);
+    assert.deepStrictEqual(rulesOf('result = this[args.key];'), ['computed-access']);
+  });
+
+  await test('imports, with statements, syntax errors and size are reported', () => {
+    assert.deepStrictEqual(rulesOf('import fs from "fs";'), ['import']);
+    assert.deepStrictEqual(rulesOf('result = import("fs");'), ['dynamic-import']);
+    assert.deepStrictEqual(rulesOf('with (args) { result = a; }'), ['with']);
+    const syntax = validateToolSource('result = ;');
+    assert.deepStrictEqual(syntax.findings, [{ rule: 'syntax', label: 'syntax error', message: 'Unexpected token', line: 1, column: 10 }]);
+    const large = validateToolSource(`result = "${'x'.repeat(10300)}";`);
+    assert.deepStrictEqual(large.violations, ['Code too large']);
+    assert.ok(BANNED_PATTERNS.every((entry) => entry.rule && entry.label));
+  });
+
+  await test('registry rejections and liku tools show carry the structured report', async () => {
+    const rejected = toolRegistry.proposeTool('escape-hatch', { code: 'result = args.constructor.constructor("return 1")();' });
+    assert.strictEqual(rejected.success, false);
+    assert.strictEqual(rejected.error, 'Validation failed: prototype-chain access at 1:15; prototype-chain access at 1:27');
+
+    const proposal = toolRegistry.proposeTool('add-two', { code: 'result = args.a + args.b;', description: 'Add' });
+    assert.strictEqual(proposal.success, true);
+    const clean = await toolsCommand.run(['show', 'add-two'], { json: true });
+    assert.strictEqual(clean.validation.valid, true);
+
+    // A tool written before the current rules (or edited on disk) is re-checked on show.
+    fs.writeFileSync(toolRegistry.lookupTool('add-two').absolutePath, 'result = args.a +\n  globalThis.x;');
+    const stale = await toolsCommand.run(['show', 'add-two'], { json: true });
+    assert.strictEqual(stale.validation.valid, false);
+    assert.deepStrictEqual(
+      stale.validation.findings.map(({ rule, line, column }) => ({ rule, line, column })),
+      [{ rule: 'globalThis', line: 2, column: 3 }]
+    );
+  });
+})();
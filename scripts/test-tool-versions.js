@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'liku-tool-versions-'));
+process.env.LIKU_HOME_OVERRIDE = tempHome;
+
+const toolsDir = path.join(__dirname, '..', 'src', 'main', 'tools');
+const toolRegistry = require(path.join(toolsDir, 'tool-registry.js'));
+const sandbox = require(path.join(toolsDir, 'sandbox.js'));
+const { diffSources, normalizeToolExamples, parseVersion } = require(path.join(toolsDir, 'tool-versions.js'));
+const toolsCommand = require(path.join(__dirname, '..', 'src', 'cli', 'commands', 'tools.js'));
+
+function test(name, fn) {
+  return Promise.resolve()
+    .then(fn)
+    .then(() => {
+      console.log(`PASS ${name}`);
+    })
+    .catch((error) => {
+      console.error(`FAIL ${name}`);
+      console.error(error.stack || error.message);
+      process.exitCode = 1;
+    });
+}
+
+async function run(name) {
+  const lookup = toolRegistry.lookupTool(name);
+  return sandbox.executeDynamicTool(lookup.absolutePath, { a: 2, b: 3 }, { toolName: name });
+}
+
+const ADD_EXAMPLES = [
+  { name: 'adds', args: { a: 2, b: 3 }, expected: 5 },
+  { args: { a: -1, b: 1 }, expected: 0 }
+];
+
+(async () => {
+  await test('diffSources produces unified hunks with line numbers', () => {
+    const before = ['const a = args.a;', 'const b = args.b;', 'result = a + b;'].join('\n');
+    const after = ['const a = args.a;', 'const b = args.b;', 'result = a - b;', '// fixed'].join('\n');
+    const diff = diffSources(before, after, { fromLabel: 'add v1', toLabel: 'add v2' });
+    assert.strictEqual(diff.text, [
+      '--- add v1',
+      '+++ add v2',
+      '@@ -1,3 +1,4 @@',
+      ' const a = args.a;',
+      ' const b = args.b;',
+      '-result = a + b;',
+      '+result = a - b;',
+      '+// fixed'
+    ].join('\n'));
+    assert.strictEqual(diff.additions, 2);
+    assert.strictEqual(diff.deletions, 1);
+    assert.strictEqual(diffSources('same', 'same').text, '--- a\n+++ b');
+    assert.strictEqual(parseVersion('v12'), 12);
+    assert.strictEqual(parseVersion('latest'), null);
+  });
+
+  await test('example cases are validated when a tool is proposed', () => {
+    assert.deepStrictEqual(normalizeToolExamples([{ args: { a: 1 } }, { args: [], expected: 1 }]).errors, [
+      'example 1 needs an expected value',
+      'example 2 args must be an object'
+    ]);
+    const invalid = toolRegistry.proposeTool('bad-examples', { code: 'result = 1;', examples: { args: {} } });
+    assert.strictEqual(invalid.success, false);
+    assert.strictEqual(invalid.error, 'Invalid examples: examples must be an array');
+  });
+
+  await test('every proposal is kept as a numbered version with provenance', async () => {
+    const first = toolRegistry.proposeTool('add', {
+      code: 'result = args.a + args.b;',
+      description: 'Add two numbers',
+      examples: ADD_EXAMPLES,
+      author: 'alice',
+      source: 'cli'
+    });
+    assert.strictEqual(first.version, 1);
+    assert.strictEqual((await toolRegistry.runToolExamples('add')).passed, true);
+    assert.strictEqual(toolRegistry.approveTool('add').success, true);
+
+    const second = toolRegistry.proposeTool('add', { code: 'result = args.a * args.b;', examples: ADD_EXAMPLES, source: 'chat' });
+    assert.strictEqual(second.version, 2);
+
+    const { current, versions } = toolRegistry.listToolVersions('add');
+    assert.strictEqual(current, 2);
+    assert.deepStrictEqual(versions.map((record) => [record.version, record.status, record.author, record.source]), [
+      [2, 'proposed', 'ai', 'chat'],
+      [1, 'promoted', 'alice', 'cli']
+    ]);
+    assert.strictEqual(versions[1].sha256.length, 64);
+    assert.ok(versions[1].promotedAt);
+    assert.strictEqual(fs.readFileSync(path.join(tempHome, 'tools', 'versions', 'add', 'v1.js'), 'utf-8'), 'result = args.a + args.b;');
+  });
+
+  await test('a proposal that breaks its own examples cannot be promoted', async () => {
+    const unchecked = toolRegistry.approveTool('add');
+    assert.strictEqual(unchecked.success, false);
+    assert.ok(/v2 declares 2 example\(s\) that have not been run/.test(unchecked.error));
+
+    const check = await toolRegistry.runToolExamples('add');
+    assert.strictEqual(check.passed, false);
+    assert.deepStrictEqual(check.failures, [
+      { name: 'adds', expected: 5, actual: 6 },
+      { name: 'example 2', expected: 0, actual: -1 }
+    ]);
+    const blocked = toolRegistry.approveTool('add');
+    assert.strictEqual(blocked.success, false);
+    assert.strictEqual(blocked.error, "Tool 'add' v2 fails 2 of 2 example(s): adds, example 2");
+
+    const cli = await toolsCommand.run(['approve', 'add'], {});
+    assert.strictEqual(cli.success, false);
+    assert.strictEqual(toolRegistry.lookupTool('add').entry.status, 'proposed');
+
+    // Example runs do not count as tool calls in run stats.
+    assert.strictEqual(toolRegistry.getToolRunStats('add').runs, 0);
+  });
+
+  await test('diff compares versions and rollback restores a promoted one', async () => {
+    const diff = toolRegistry.diffToolVersions('add', 'v1', 'v2');
+    assert.strictEqual(diff.success, true);
+    assert.ok(diff.diff.text.includes('-result = args.a + args.b;\n+result = args.a * args.b;'));
+    assert.strictEqual(toolRegistry.diffToolVersions('add').from, 1);
+    assert.strictEqual(toolRegistry.diffToolVersions('add', 'v9').success, false);
+
+    assert.ok(/never promoted/.test(toolRegistry.rollbackTool('add', 2).error));
+    const rolledBack = toolRegistry.rollbackTool('add', 'v1');
+    assert.deepStrictEqual(rolledBack, { success: true, version: 1, previousVersion: 2 });
+    const entry = toolRegistry.lookupTool('add').entry;
+    assert.strictEqual(entry.status, 'active');
+    assert.strictEqual(entry.approved, true);
+    assert.strictEqual(entry.version, 1);
+    assert.strictEqual((await run('add')).result, 5);
+    assert.strictEqual(toolRegistry.listToolVersions('add').versions[0].status, 'rejected');
+    assert.ok(/already the active version/.test(toolRegistry.rollbackTool('add', 1).error));
+  });
+
+  await test('rejecting a revision restores the last promoted version', async () => {
+    toolRegistry.proposeTool('add', { code: 'result = args.a + args.b + 0;', examples: ADD_EXAMPLES });
+    assert.strictEqual(toolRegistry.lookupTool('add').entry.version, 3);
+    assert.deepStrictEqual(toolRegistry.rejectTool('add'), { success: true, restoredVersion: 1 });
+    assert.strictEqual(toolRegistry.lookupTool('add').entry.status, 'active');
+    assert.strictEqual((await run('add')).result, 5);
+
+    toolRegistry.proposeTool('scratch', { code: 'result = 1;' });
+    assert.deepStrictEqual(toolRegistry.rejectTool('scratch'), { success: true });
+    assert.strictEqual(toolRegistry.lookupTool('scratch'), null);
+    assert.strictEqual(fs.existsSync(path.join(tempHome, 'tools', 'versions', 'scratch')), false);
+  });
+
+  await test('tools registered before versioning keep their source as v1', () => {
+    const registryFile = path.join(tempHome, 'tools', 'registry.json');
+    const registry = JSON.parse(fs.readFileSync(registryFile, 'utf-8'));
+    fs.writeFileSync(path.join(tempHome, 'tools', 'dynamic', 'legacy.js'), 'result = "old";');
+    registry.tools.legacy = { file: 'dynamic/legacy.js', description: '', parameters: {}, createdBy: 'ai', approved: true, status: 'active', approvedAt: '2026-01-01T00:00:00.000Z' };
+    fs.writeFileSync(registryFile, JSON.stringify(registry));
+
+    assert.strictEqual(toolRegistry.proposeTool('legacy', { code: 'result = "new";' }).version, 2);
+    const [, legacy] = toolRegistry.listToolVersions('legacy').versions;
+    assert.deepStrictEqual([legacy.version, legacy.source, legacy.status], [1, 'legacy', 'promoted']);
+    assert.strictEqual(toolRegistry.rollbackTool('legacy', 1).success, true);
+    assert.strictEqual(fs.readFileSync(toolRegistry.lookupTool('legacy').absolutePath, 'utf-8'), 'result = "old";');
+  });
+})();
@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  TOKEN_BUDGET_EXCEEDED,
+  createUsageTracker,
+  estimateUsage,
+  loadUsageBudget,
+  normalizeProviderUsage,
+  readUsage,
+  readUsageRange,
+  summarizeUsage
+} = require(path.join(__dirname, '..', 'src', 'main', 'telemetry', 'usage-ledger.js'));
+const { createProviderOrchestrator } = require(path.join(__dirname, '..', 'src', 'main', 'ai-service', 'providers', 'orchestration.js'));
+const { createStreamCollector } = require(path.join(__dirname, '..', 'src', 'main', 'ai-service', 'providers', 'streaming.js'));
+
+function test(name, fn) {
+  return Promise.resolve()
+    .then(fn)
+    .then(() => {
+      console.log(`PASS ${name}`);
+    })
+    .catch((error) => {
+      console.error(`FAIL ${name}`);
+      console.error(error.stack || error.message);
+      process.exitCode = 1;
+    });
+}
+
+function makeTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'liku-usage-'));
+}
+
+function fixedClock(iso) {
+  return () => new Date(iso);
+}
+
+function createOrchestrator(usageTracker, calls = {}) {
+  return createProviderOrchestrator({
+    aiProviders: { copilot: {}, openai: { model: 'gpt-4o' }, ollama: { model: 'llama3' } },
+    apiKeys: { copilot: 'token', openai: 'key' },
+    callAnthropic: async () => { throw new Error('anthropic unavailable'); },
+    callCopilot: calls.copilot || (async () => ({ content: 'copilot answer', effectiveModel: 'gpt-4o' })),
+    callOllama: calls.ollama || (async () => 'ollama answer'),
+    callOpenAI: calls.openai || (async () => 'openai answer'),
+    getCurrentCopilotModel: () => 'gpt-4o',
+    getCurrentProvider: () => calls.current || 'copilot',
+    loadCopilotToken: () => true,
+    modelRegistry: () => ({ 'gpt-4o': { id: 'gpt-4o', vision: true } }),
+    providerFallbackOrder: ['copilot', 'openai', 'ollama'],
+    resolveCopilotModelKey: (model) => model || 'gpt-4o',
+    usageTracker
+  });
+}
+
+(async () => {
+  await test('provider usage payloads normalize across OpenAI, Anthropic and Ollama', () => {
+    assert.deepStrictEqual(normalizeProviderUsage({ prompt_tokens: 12, completion_tokens: 5, total_tokens: 17 }), { promptTokens: 12, completionTokens: 5, totalTokens: 17 });
+    assert.deepStrictEqual(normalizeProviderUsage({ input_tokens: 30, output_tokens: 8 }), { promptTokens: 30, completionTokens: 8, totalTokens: 38 });
+    assert.deepStrictEqual(normalizeProviderUsage({ prompt_eval_count: 9, eval_count: 3 }), { promptTokens: 9, completionTokens: 3, totalTokens: 12 });
+    assert.strictEqual(normalizeProviderUsage({ prompt_eval_count: undefined }), null);
+    assert.strictEqual(normalizeProviderUsage(null), null);
+  });
+
+  await test('usage is estimated from messages when the provider reports none', () => {
+    const usage = estimateUsage([
+      { role: 'system', content: 'one two three' },
+      { role: 'user', content: [{ type: 'text', text: 'look' }, { type: 'image_url', image_url: { url: 'data:' } }] }
+    ], 'done', (text) => text.split(/\s+/).filter(Boolean).length);
+    assert.strictEqual(usage.promptTokens, 3 + 4 + 1 + 4 + 765);
+    assert.strictEqual(usage.completionTokens, 1);
+    assert.strictEqual(usage.totalTokens, usage.promptTokens + 1);
+  });
+
+  await test('records persist as daily JSONL and summarize by day, model and command', () => {
+    const usageDir = makeTempDir();
+    let now = '2026-03-01T10:00:00.000Z';
+    const tracker = createUsageTracker({ usageDir, budget: { daily: null, session: null, warnAt: 0.8 }, now: () => new Date(now) });
+    tracker.record({ provider: 'openai', model: 'gpt-4o', command: 'chat', usage: { prompt_tokens: 100, completion_tokens: 20 } });
+    tracker.record({ provider: 'anthropic', model: 'claude', command: 'reflection', usage: { input_tokens: 50, output_tokens: 10 } });
+    now = '2026-03-02T08:00:00.000Z';
+    const estimated = tracker.record({ provider: 'ollama', model: 'llama3', command: 'agent', messages: [{ role: 'user', content: 'hi' }], response: 'hello' });
+    assert.strictEqual(estimated.estimated, true);
+
+    assert.strictEqual(readUsage('2026-03-01', { usageDir }).length, 2);
+    const records = readUsageRange(2, { usageDir, now: '2026-03-02T12:00:00.000Z' });
+    assert.strictEqual(records.length, 3);
+
+    const summary = summarizeUsage(records);
+    assert.strictEqual(summary.byDay['2026-03-01'].totalTokens, 180);
+    assert.strictEqual(summary.byModel['openai/gpt-4o'].promptTokens, 100);
+    assert.strictEqual(summary.byCommand.reflection.completionTokens, 10);
+    assert.strictEqual(summary.byCommand.agent.estimatedCalls, 1);
+    assert.strictEqual(summary.totals.calls, 3);
+    assert.strictEqual(tracker.getSessionTotals().calls, 3);
+  });
+
+  await test('budgets warn once at the threshold and then refuse further calls', () => {
+    const usageDir = makeTempDir();
+    const warnings = [];
+    const tracker = createUsageTracker({
+      usageDir,
+      budget: { daily: null, session: 100, warnAt: 0.5 },
+      now: fixedClock('2026-03-01T10:00:00.000Z'),
+      warn: (message) => warnings.push(message)
+    });
+    tracker.assertWithinBudget();
+    tracker.record({ provider: 'openai', usage: { prompt_tokens: 40, completion_tokens: 20 } });
+    tracker.record({ provider: 'openai', usage: { prompt_tokens: 5, completion_tokens: 5 } });
+    assert.strictEqual(warnings.length, 1);
+    assert.ok(/session token budget at 60\/100/.test(warnings[0]));
+    tracker.assertWithinBudget();
+
+    tracker.record({ provider: 'openai', usage: { prompt_tokens: 30, completion_tokens: 10 } });
+    assert.throws(() => tracker.assertWithinBudget(), (error) => error.code === TOKEN_BUDGET_EXCEEDED && error.budget.session.state === 'exceeded');
+  });
+
+  await test('daily budgets count usage already recorded today by earlier sessions', () => {
+    const usageDir = makeTempDir();
+    const budget = { daily: 50, session: null, warnAt: 0.8 };
+    const clock = fixedClock('2026-03-01T10:00:00.000Z');
+    createUsageTracker({ usageDir, budget, now: clock, warn: () => {} })
+      .record({ provider: 'openai', usage: { prompt_tokens: 45, completion_tokens: 10 } });
+    const nextSession = createUsageTracker({ usageDir, budget, now: clock, warn: () => {} });
+    assert.strictEqual(nextSession.getBudgetStatus().daily.used, 55);
+    assert.throws(() => nextSession.assertWithinBudget(), /daily usage 55\/50/);
+    const tomorrow = createUsageTracker({ usageDir, budget, now: fixedClock('2026-03-02T00:30:00.000Z') });
+    assert.strictEqual(tomorrow.assertWithinBudget().daily.state, 'ok');
+  });
+
+  await test('budget config file is overridden by environment variables', () => {
+    const configPath = path.join(makeTempDir(), 'usage-budget.json');
+    fs.writeFileSync(configPath, JSON.stringify({ daily: 1000, session: 200, warnAt: 0.9 }));
+    assert.deepStrictEqual(loadUsageBudget({ configPath, env: {} }), { daily: 1000, session: 200, warnAt: 0.9, configPath });
+    const overridden = loadUsageBudget({ configPath, env: { LIKU_TOKEN_BUDGET_DAILY: '5000', LIKU_TOKEN_BUDGET_WARN_RATIO: '2' } });
+    assert.strictEqual(overridden.daily, 5000);
+    assert.strictEqual(overridden.session, 200);
+    assert.strictEqual(overridden.warnAt, 0.8);
+  });
+
+  await test('orchestrated calls record reported usage with provider, model and command', async () => {
+    const usageDir = makeTempDir();
+    const tracker = createUsageTracker({ usageDir, budget: { daily: null, session: null, warnAt: 0.8 }, now: fixedClock('2026-03-01T10:00:00.000Z') });
+    const orchestrator = createOrchestrator(tracker, {
+      copilot: async (messages, model, requestOptions) => {
+        requestOptions.onUsage({ usage: { prompt_tokens: 70, completion_tokens: 7 } });
+        return { content: 'ok', effectiveModel: 'gpt-4o' };
+      }
+    });
+    await orchestrator.requestWithFallback([{ role: 'user', content: 'hi' }], null, { phase: 'execution', command: 'chat' });
+    await orchestrator.callProvider('copilot', [{ role: 'user', content: 'again' }], 'gpt-4o', undefined, { command: 'chat', phase: 'recovery' });
+
+    const [first, second] = readUsage('2026-03-01', { usageDir });
+    assert.deepStrictEqual(
+      { provider: first.provider, model: first.model, command: first.command, phase: first.phase, totalTokens: first.totalTokens, estimated: first.estimated },
+      { provider: 'copilot', model: 'gpt-4o', command: 'chat', phase: 'execution', totalTokens: 77, estimated: false }
+    );
+    assert.strictEqual(second.phase, 'recovery');
+  });
+
+  await test('a provider without usage is estimated under its configured model', async () => {
+    const usageDir = makeTempDir();
+    const tracker = createUsageTracker({ usageDir, budget: { daily: null, session: null, warnAt: 0.8 }, now: fixedClock('2026-03-01T10:00:00.000Z') });
+    const orchestrator = createOrchestrator(tracker, { current: 'ollama' });
+    await orchestrator.callCurrentProvider([{ role: 'user', content: 'continue' }], 'gpt-4o', { command: 'agent', phase: 'continuation' });
+    const [record] = readUsage('2026-03-01', { usageDir });
+    assert.strictEqual(record.provider, 'ollama');
+    assert.strictEqual(record.model, 'llama3');
+    assert.strictEqual(record.command, 'agent');
+    assert.strictEqual(record.estimated, true);
+    assert.ok(record.totalTokens > 0);
+  });
+
+  await test('an exhausted budget refuses the call instead of falling back', async () => {
+    const tracker = createUsageTracker({ usageDir: makeTempDir(), budget: { daily: null, session: 10, warnAt: 0.8 }, warn: () => {} });
+    tracker.record({ provider: 'copilot', usage: { prompt_tokens: 10, completion_tokens: 1 } });
+    let providerCalls = 0;
+    const count = async () => { providerCalls++; return 'never'; };
+    const orchestrator = createOrchestrator(tracker, { copilot: count, openai: count, ollama: count });
+    await assert.rejects(
+      orchestrator.requestWithFallback([{ role: 'user', content: 'hi' }], null, {}),
+      (error) => error.code === TOKEN_BUDGET_EXCEEDED
+    );
+    await assert.rejects(orchestrator.callProvider('copilot', [], 'gpt-4o'), (error) => error.code === TOKEN_BUDGET_EXCEEDED);
+    assert.strictEqual(providerCalls, 0);
+  });
+
+  await test('streamed usage is collected from OpenAI and split Anthropic events', () => {
+    const openai = createStreamCollector('openai');
+    openai.push('data: {"choices":[{"delta":{"content":"hi"},"finish_reason":"stop"}]}\n\n');
+    openai.push('data: {"choices":[],"usage":{"prompt_tokens":11,"completion_tokens":1}}\n\ndata: [DONE]\n\n');
+    openai.end();
+    assert.deepStrictEqual(normalizeProviderUsage(openai.getUsage()), { promptTokens: 11, completionTokens: 1, totalTokens: 12 });
+
+    const anthropic = createStreamCollector('anthropic');
+    anthropic.push('event: message_start\ndata: {"type":"message_start","message":{"usage":{"input_tokens":25,"output_tokens":1}}}\n\n');
+    anthropic.push('event: message_delta\ndata: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":9}}\n\n');
+    anthropic.end();
+    assert.strictEqual(anthropic.getFinishReason(), 'end_turn');
+    assert.deepStrictEqual(normalizeProviderUsage(anthropic.getUsage()), { promptTokens: 25, completionTokens: 9, totalTokens: 34 });
+  });
+})();
@@ -15,12 +15,12 @@ const COMMANDS = Object.freeze({
   scroll: { desc: 'Scroll up or down', file: 'scroll', args: '<up|down> [amount]' },
   wait: { desc: 'Wait for element to appear', file: 'wait', args: '<text> [timeout]' },
   repl: { desc: 'Interactive automation shell', file: 'repl' },
-  memory: { desc: 'Manage agent memory notes', file: 'memory', args: '[list|show|search|stats]' },
+  memory: { desc: 'Manage agent memory notes', file: 'memory', args: '[list|show|search|stats|add|edit|rm|link|unlink|export|import|gc|pack|consolidate|review] [--json] [--dry-run]' },
   'system-context': { desc: 'Inspect + confirm the evidence-gated self-awareness context (Cognitive Substrate)', file: 'system-context', args: '[show|get|fragment|diff|pending|confirm|refresh|json]' },
-  skills: { desc: 'Manage the skill library', file: 'skills', args: '[list|search|show]' },
-  tools: { desc: 'Manage dynamic tool registry', file: 'tools', args: '[list|show|approve|revoke]' },
+  skills: { desc: 'Manage the skill library', file: 'skills', args: '[list|search|show|macro]' },
+  tools: { desc: 'Manage dynamic tool registry', file: 'tools', args: '[list|show|approve|revoke|limits|stats|versions|diff|rollback|test] [--grant caps]' },
   github: { desc: 'GitHub auth, capability, bounded plan, branch-associated PR status, reviewed issue/PR-comment previews, explicit apply, repo, issue, PR, workflow, and release diagnostics', file: 'github', args: '<auth|capabilities|context|plan|apply|repo|issues|pr|workflow|releases> ...' },
-  analytics: { desc: 'View telemetry analytics', file: 'analytics', args: '[--days N] [--raw]' },
+  analytics: { desc: 'View telemetry analytics', file: 'analytics', args: '[usage] [--days N] [--raw]' },
   peripherals: { desc: 'Peripheral Abstraction Layer (mock; requires LIKU_ENABLE_PERIPHERALS=1)', file: 'peripherals', args: '[scan|list|status|execute]' },
 });
 
@@ -7,6 +7,9 @@
  * Usage:
  *   agent spawn supervisor   - Spawn supervisor agent
  *   agent run <task>         - Run task through orchestrator
+ *   agent resume <session>   - Continue a session's task graph from the last incomplete node
+ *   agent graph <session>    - Show a session's task graph (text or --dot)
+ *   agent apply <session>    - Merge a session's builder worktree into this tree
  *   agent status             - Show agent system status
  *   agent reset              - Reset all agents
  */
@@ -29,7 +32,15 @@ function createAIServiceAdapter() {
       // Adapter method: agents call chat(), we call sendMessage()
       chat: async (message, options = {}) => {
         const result = await aiServiceModule.sendMessage(message, {
-          includeVisualContext: options.includeVisual || false
+          includeVisualContext: options.includeVisual || false,
+          usageCommand: 'agent',
+          // Per-role route from the agent model router
+          model: options.model || null,
+          provider: options.provider || null,
+          phase: options.phase,
+          requestOptions: options.requestOptions || null,
+          providerFallback: options.providerFallback,
+          signal: options.signal || null
         });
         
         if (!result.success) {
@@ -47,6 +58,7 @@ function createAIServiceAdapter() {
       getStatus: aiServiceModule.getStatus,
       setProvider: aiServiceModule.setProvider,
       getCurrentCopilotModel: aiServiceModule.getCurrentCopilotModel,
+      getCopilotModels: aiServiceModule.getCopilotModels,
       addVisualContext: aiServiceModule.addVisualContext
     };
   } catch (e) {
@@ -55,6 +67,27 @@ function createAIServiceAdapter() {
   }
 }
 
+/**
+ * Ask the user before an agent runs a command that needs confirmation.
+ * y = run once, a = allow this command for the rest of the session.
+ */
+function promptCommandApproval({ command, agent, riskLevel, warnings }) {
+  const readline = require('readline');
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  
+  console.log(`\n⚠ ${agent} wants to run a ${riskLevel} command:`);
+  console.log(`  ${command}`);
+  warnings.forEach(w => console.log(`  - ${w}`));
+  
+  return new Promise(resolve => {
+    rl.question('Allow? (y/N/a = always this session) ', answer => {
+      rl.close();
+      const normalized = answer.trim().toLowerCase();
+      resolve(normalized === 'a' ? 'session' : normalized === 'y');
+    });
+  });
+}
+
 function getOrchestrator() {
   if (!orchestrator) {
     const { createAgentSystem } = require('../../main/agents');
@@ -66,12 +99,12 @@ function getOrchestrator() {
       console.warn('AI service adapter not available, agents will have limited capability');
     }
     
-    orchestrator = createAgentSystem({
-      aiService,
+    orchestrator = createAgentSystem(aiService, {
       statePath: path.join(process.cwd(), '.github', 'agent_state.json'),
       maxRecursionDepth: 3,
       maxSubCalls: 10,
-      enableLongContext: true
+      enableLongContext: true,
+      approveCommand: process.stdin.isTTY ? promptCommandApproval : null
     });
     
     // Setup event listeners
@@ -137,35 +170,117 @@ async function handleRun(args) {
   
   try {
     const result = await orch.orchestrate(task);
+    printRunResult(orch, result);
+  } catch (error) {
+    console.error(`✗ Error: ${error.message}`);
+  }
+}
+
+function printRunResult(orch, result) {
+  console.log('\n' + '='.repeat(50));
+  console.log('RESULT');
+  console.log('='.repeat(50));
+  
+  if (result.success) {
+    console.log('✓ Task completed successfully');
     
-    console.log('\n' + '='.repeat(50));
-    console.log('RESULT');
-    console.log('='.repeat(50));
-    
-    if (result.success) {
-      console.log('✓ Task completed successfully');
-      
-      if (result.result?.summary) {
-        console.log('\nSummary:');
-        console.log(JSON.stringify(result.result.summary, null, 2));
-      }
-      
-      if (result.result?.diffs?.length > 0) {
-        console.log(`\nChanges: ${result.result.diffs.length} files modified`);
-      }
-    } else {
-      console.log('✗ Task failed');
-      console.log(`Error: ${result.error || result.result?.error || 'Unknown error'}`);
+    if (result.result?.summary) {
+      console.log('\nSummary:');
+      console.log(JSON.stringify(result.result.summary, null, 2));
     }
     
-    console.log(`\nHandoffs: ${result.handoffs?.length || 0}`);
-    console.log(`Session: ${result.session}`);
+    if (result.result?.diffs?.length > 0) {
+      console.log(`\nChanges: ${result.result.diffs.length} files modified`);
+    }
+
+    const worktree = orch.stateManager.getSession(result.session)?.worktree;
+    if (worktree?.status === 'active') {
+      console.log(`\nWorktree: ${worktree.path}`);
+      console.log(`Branch: ${worktree.branch}`);
+      console.log(`Apply with: liku agent apply ${result.session}`);
+    }
+  } else {
+    console.log('✗ Task failed');
+    console.log(`Error: ${result.error || result.result?.error || 'Unknown error'}`);
     
+    const graph = orch.stateManager.getTaskGraph(result.session);
+    if (graph && graph.nodes.some(node => node.status !== 'completed')) {
+      console.log(`Resume with: liku agent resume ${result.session}`);
+    }
+  }
+  
+  const commands = orch.commandPolicy.getLedger(result.session);
+  const denied = commands.filter(entry => !entry.allowed);
+  console.log(`\nCommands: ${commands.length - denied.length} run, ${denied.length} denied`);
+  denied.forEach(entry => console.log(`  ✗ [${entry.agent}] ${entry.command} — ${entry.reason}`));
+  
+  console.log(`\nHandoffs: ${result.handoffs?.length || 0}`);
+  console.log(`Session: ${result.session}`);
+}
+
+function readOption(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function handleResume(args) {
+  const concurrency = readOption(args, '--concurrency');
+  const sessionId = args.find(arg => !arg.startsWith('--') && arg !== concurrency);
+  
+  if (!sessionId) {
+    console.log('Usage: agent resume <session> [--concurrency N]');
+    console.log('\nContinues the session\'s task graph from the last incomplete node.');
+    console.log('Completed subtasks are kept; interrupted, failed and skipped ones run again.');
+    return;
+  }
+  
+  const orch = getOrchestrator();
+  const graph = orch.stateManager.getTaskGraph(sessionId);
+  if (graph) {
+    const remaining = graph.nodes.filter(node => node.status !== 'completed').length;
+    console.log(`\n🤖 Resuming ${sessionId} (${remaining}/${graph.nodes.length} subtasks left)\n`);
+  }
+  
+  try {
+    const result = await orch.resume(sessionId, concurrency ? { maxConcurrency: concurrency } : {});
+    if (!result.result && !result.success) {
+      console.error(`✗ ${result.error}`);
+      process.exitCode = 1;
+      return;
+    }
+    printRunResult(orch, result);
   } catch (error) {
     console.error(`✗ Error: ${error.message}`);
   }
 }
 
+async function handleGraph(args) {
+  const sessionId = args.find(arg => !arg.startsWith('--'));
+  
+  if (!sessionId) {
+    console.log('Usage: agent graph <session> [--dot]');
+    console.log('\nPrints the session\'s task graph; --dot emits Graphviz DOT.');
+    return;
+  }
+  
+  const { AgentStateManager, renderTaskGraphText, renderTaskGraphDot } = require('../../main/agents');
+  const stateManager = new AgentStateManager(path.join(process.cwd(), '.github', 'agent_state.json'));
+  
+  if (!stateManager.getSession(sessionId)) {
+    console.error(`✗ Unknown session: ${sessionId}`);
+    process.exitCode = 1;
+    return;
+  }
+  const graph = stateManager.getTaskGraph(sessionId);
+  if (!graph) {
+    console.error(`✗ Session ${sessionId} has no task graph`);
+    process.exitCode = 1;
+    return;
+  }
+  
+  console.log(args.includes('--dot') ? renderTaskGraphDot(graph) : renderTaskGraphText(graph));
+}
+
 async function handleStatus() {
   const orch = getOrchestrator();
   const state = orch.getState();
@@ -190,6 +305,24 @@ async function handleStatus() {
     console.log(`    Sub-calls: ${agentState.subCallCount}`);
   }
   
+  const routing = state.modelRouting;
+  console.log('\nModel routing:');
+  console.log(`  Config: ${routing.configPath}${routing.configExists ? '' : ' (not found, using active model)'}`);
+  for (const route of routing.routes) {
+    route.candidates.forEach((candidate, index) => {
+      const label = index === 0 ? `${route.role}:`.padEnd(12) : '  fallback'.padEnd(12);
+      const params = [
+        `phase=${route.phase}`,
+        candidate.temperature !== null ? `temp=${candidate.temperature}` : 'temp=model default',
+        candidate.maxTokens ? `max=${candidate.maxTokens}` : null,
+        candidate.cost ? `cost=${candidate.cost.tier}` : null
+      ].filter(Boolean).join(', ');
+      const target = `${candidate.provider || 'default'}/${candidate.model || 'default'}${candidate.inherited ? ' (inherited)' : ''}`;
+      console.log(`  ${label} ${target} [${params}]`);
+    });
+  }
+  [...routing.errors, ...routing.routes.flatMap(route => route.warnings)].forEach(message => console.log(`  ! ${message}`));
+  
   console.log('\nStatistics:');
   console.log(`  Sessions: ${stats.sessions}`);
   console.log(`  Completed: ${stats.tasksCompleted}`);
@@ -198,6 +331,57 @@ async function handleStatus() {
   console.log(`  Queued: ${stats.tasksQueued}`);
 }
 
+async function handleApply(args) {
+  const sessionId = args.find(arg => !arg.startsWith('--'));
+  
+  if (!sessionId) {
+    console.log('Usage: agent apply <session> [--keep]');
+    console.log('\nMerges the builder worktree for <session> into the current tree.');
+    console.log('Changes are staged but not committed; --keep leaves the worktree in place.');
+    return;
+  }
+  
+  const { AgentStateManager, mergeAgentWorktree } = require('../../main/agents');
+  const stateManager = new AgentStateManager(path.join(process.cwd(), '.github', 'agent_state.json'));
+  const session = stateManager.getSession(sessionId);
+  
+  if (!session) {
+    console.error(`✗ Unknown session: ${sessionId}`);
+    process.exitCode = 1;
+    return;
+  }
+  if (!session.worktree) {
+    console.error(`✗ Session ${sessionId} has no builder worktree`);
+    process.exitCode = 1;
+    return;
+  }
+  if (session.worktree.status !== 'active') {
+    console.error(`✗ Session ${sessionId} worktree is already ${session.worktree.status}`);
+    process.exitCode = 1;
+    return;
+  }
+  
+  const result = mergeAgentWorktree(session.worktree, { keep: args.includes('--keep') });
+  
+  if (!result.success) {
+    console.error(`✗ Apply failed: ${result.error}`);
+    process.exitCode = 1;
+    return;
+  }
+  
+  stateManager.recordWorktree(sessionId, {
+    ...session.worktree,
+    status: 'applied',
+    appliedAt: new Date().toISOString(),
+    appliedCommit: result.headCommit
+  });
+  
+  console.log(`✓ Applied ${result.changedFiles.length} file(s) from ${session.worktree.branch}`);
+  result.changedFiles.forEach(file => console.log(`  - ${file}`));
+  result.warnings.forEach(warning => console.log(`  ! ${warning}`));
+  console.log('\nChanges are staged; review with "git diff --cached" and commit when ready.');
+}
+
 async function handleReset() {
   const orch = getOrchestrator();
   orch.reset();
@@ -283,6 +467,9 @@ async function main(args = []) {
     console.log('  run <task>       - Run a task through the orchestrator');
     console.log('  research <query> - Research a topic');
     console.log('  verify           - Run verification pipeline');
+    console.log('  resume <session> - Continue a session\'s task graph from the last incomplete node');
+    console.log('  graph <session>  - Show a session\'s task graph (--dot for Graphviz)');
+    console.log('  apply <session>  - Merge a session\'s builder worktree into this tree');
     console.log('  status           - Show system status');
     console.log('  reset            - Reset all agents');
     console.log('\nExamples:');
@@ -290,6 +477,9 @@ async function main(args = []) {
     console.log('  agent run "Add input validation to user form"');
     console.log('  agent research "How is authentication handled?"');
     console.log('  agent verify --e2e');
+    console.log('  agent graph session-123 --dot | dot -Tsvg > plan.svg');
+    console.log('\nAgent shell commands are risk-checked and follow LIKU_APPROVAL_MODE (prompt|auto|never).');
+    console.log('Per-role models are configured in ~/.liku/agent-models.json; "agent status" shows the effective routing.');
     return;
   }
   
@@ -306,6 +496,15 @@ async function main(args = []) {
     case 'verify':
       await handleVerify(rest);
       break;
+    case 'resume':
+      await handleResume(rest);
+      break;
+    case 'graph':
+      await handleGraph(rest);
+      break;
+    case 'apply':
+      await handleApply(rest);
+      break;
     case 'status':
       await handleStatus();
       break;
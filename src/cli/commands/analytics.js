@@ -5,6 +5,7 @@
  *   liku analytics            Summary for today
  *   liku analytics --days 7   Summary for last 7 days
  *   liku analytics --raw      Dump raw telemetry entries
+ *   liku analytics usage      Token usage by day, model and command
  */
 
 const { log, success, error, dim, highlight, bold } = require('../util/output');
@@ -13,12 +14,66 @@ function getTelemetryWriter() {
   return require('../../main/telemetry/telemetry-writer');
 }
 
+function getUsageLedger() {
+  return require('../../main/telemetry/usage-ledger');
+}
+
+function formatTokens(count) {
+  return Number(count || 0).toLocaleString('en-US');
+}
+
+function printUsageTable(title, buckets) {
+  const rows = Object.entries(buckets).sort((a, b) => b[1].totalTokens - a[1].totalTokens);
+  if (rows.length === 0) return;
+  console.log(`${highlight(title)}`);
+  for (const [key, bucket] of rows) {
+    const estimated = bucket.estimatedCalls > 0 ? dim(` (${bucket.estimatedCalls} estimated)`) : '';
+    console.log(`  ${formatTokens(bucket.totalTokens).padStart(10)}  ${key} ${dim(`${bucket.calls} calls, ${formatTokens(bucket.promptTokens)} in / ${formatTokens(bucket.completionTokens)} out`)}${estimated}`);
+  }
+  console.log();
+}
+
+async function runUsage(flags) {
+  const ledger = getUsageLedger();
+  const days = Math.max(1, parseInt(flags.days, 10) || 1);
+  const records = ledger.readUsageRange(days);
+  const summary = ledger.summarizeUsage(records);
+  const budget = ledger.createUsageTracker().getBudgetStatus().daily;
+
+  if (flags.json) {
+    return { success: true, days, count: records.length, ...summary, dailyBudget: budget };
+  }
+
+  if (records.length === 0) {
+    log(`No token usage recorded for the last ${days} day(s).`);
+    return { success: true, count: 0 };
+  }
+
+  const { totals } = summary;
+  console.log(`\n${bold('Liku Token Usage')} ${dim(`(${days} day${days > 1 ? 's' : ''}, ${totals.calls} calls)`)}\n`);
+  console.log(`${highlight('Total:')} ${formatTokens(totals.totalTokens)} tokens ${dim(`(${formatTokens(totals.promptTokens)} prompt, ${formatTokens(totals.completionTokens)} completion)`)}`);
+  if (budget.limit) {
+    console.log(`${highlight('Daily Budget:')} ${formatTokens(budget.used)}/${formatTokens(budget.limit)} ${dim(`(${budget.state})`)}`);
+  }
+  console.log();
+
+  printUsageTable('By Day:', summary.byDay);
+  printUsageTable('By Model:', summary.byModel);
+  printUsageTable('By Command:', summary.byCommand);
+
+  return { success: true, count: records.length, totalTokens: totals.totalTokens };
+}
+
 async function run(args, flags) {
   if (flags.help || args.includes('--help')) {
     showHelp();
     return { success: true };
   }
 
+  if (args[0] === 'usage') {
+    return runUsage(flags);
+  }
+
   const telemetry = getTelemetryWriter();
   const days = Math.max(1, parseInt(flags.days, 10) || 1);
   const raw = !!flags.raw;
@@ -126,6 +181,8 @@ ${highlight('USAGE:')}
   liku analytics --days 7     Summary for last 7 days
   liku analytics --raw        Dump raw telemetry entries
   liku analytics --json       Output as JSON
+  liku analytics usage        Token usage by day, model and command
+  liku analytics usage --days 7 --json
 
 ${highlight('OPTIONS:')}
   --days <n>    Number of days to include (default: 1)
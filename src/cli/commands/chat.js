@@ -4,6 +4,7 @@
  */
 
 const readline = require('readline');
+const path = require('path');
 const { success, error, info, warn, highlight, dim, bold } = require('../util/output');
 const systemAutomation = require('../../main/system-automation');
 const preferences = require('../../main/preferences');
@@ -1061,7 +1062,8 @@ ${bold('Liku Terminal Chat')}
 ${dim('Interactive AI chat that can execute UI automation actions.')}
 
 ${highlight('Usage:')}
-  liku chat [--execute prompt|true|false] [--model <copilotModelKey>]
+  liku chat [--execute prompt|true|false] [--model <copilotModelKey>] [--stream true|false]
+            [--cassette <file>] [--cassette-mode record|replay|passthrough]
 
 ${highlight('In-chat commands:')}
   /help       Show AI-service help
@@ -1080,6 +1082,10 @@ ${highlight('In-chat commands:')}
 
 ${highlight('Notes:')}
   - This is different from ${highlight('liku repl')}: repl is a command shell, chat is AI-driven.
+  - Responses stream token-by-token in an interactive terminal (${highlight('--no-stream')} to disable);
+    actions are parsed and safety-checked only once the full response has arrived.
+  - ${highlight('--cassette <file>')} records provider responses to a fixture, or replays them offline when the
+    file already exists. ${highlight('--cassette-mode passthrough')} goes live only for unrecorded requests.
   - Action execution uses the same safety confirmations as the Electron overlay.
   - When prompted to run actions: ${highlight('a')} enables auto-run for the target app, ${highlight('d')} disables it,
     ${highlight('c')} teaches a new rule (preference) for this app.
@@ -1099,7 +1105,14 @@ function printTranscriptBlock(lines = []) {
   console.log(lines.map((line) => String(line ?? '')).join('\n'));
 }
 
-function printAssistantMessage(resp) {
+function printAssistantMessage(resp, streamRenderer = null) {
+  if (streamRenderer && streamRenderer.hasOutput()) {
+    if (streamRenderer.matches(resp.message)) {
+      printTranscriptBlock([dim(formatResponseHeader(resp)), '']);
+      return;
+    }
+    info('Streamed draft was revised before delivery (action/policy checks); final response:');
+  }
   printTranscriptBlock([
     '',
     dim(formatResponseHeader(resp)),
@@ -1108,6 +1121,72 @@ function printAssistantMessage(resp) {
   ]);
 }
 
+/**
+ * Incremental terminal renderer for streamed assistant tokens. Action parsing
+ * and safety checks still run on the finished response; when they change it,
+ * printAssistantMessage prints the final text in full.
+ */
+function createStreamRenderer(write = (text) => process.stdout.write(text)) {
+  let text = '';
+  let open = false;
+  return {
+    onToken(delta, meta = {}) {
+      if (!open) {
+        write(`\n${dim(`[${meta.provider || 'ai'}]`)}\n`);
+        open = true;
+      }
+      text += delta;
+      write(delta);
+    },
+    onReset(meta = {}) {
+      if (open) {
+        write(`\n${dim(`[${meta.provider || 'ai'} stream interrupted; retrying with the next provider]`)}\n`);
+      }
+      open = false;
+      text = '';
+    },
+    close() {
+      if (open) write('\n');
+      open = false;
+    },
+    hasOutput: () => text.length > 0,
+    matches: (message) => String(message || '').trim() === text.trim()
+  };
+}
+
+/**
+ * Attach the provider cassette requested with --cassette (and --cassette-mode).
+ * Returns null when no cassette flag was given.
+ */
+function configureChatCassette(ai, options = {}) {
+  if (options.cassette === undefined) return null;
+  if (typeof options.cassette !== 'string' || !options.cassette.trim()) {
+    throw new Error('--cassette requires a fixture file path');
+  }
+  if (typeof ai.setProviderCassette !== 'function') {
+    throw new Error('This AI service does not support provider cassettes');
+  }
+  return ai.setProviderCassette({
+    file: path.resolve(options.cassette),
+    mode: typeof options['cassette-mode'] === 'string' ? options['cassette-mode'] : undefined
+  });
+}
+
+function resolveStreamingEnabled(options = {}) {
+  if (options['no-stream'] !== undefined) return false;
+  if (options.stream !== undefined) return parseBool(options.stream, true);
+  return isInteractiveTranscript();
+}
+
+async function sendChatMessage(ai, input, sendOptions, streamEnabled) {
+  const streamRenderer = streamEnabled ? createStreamRenderer() : null;
+  const resp = await ai.sendMessage(input, streamRenderer
+    ? { ...sendOptions, onToken: streamRenderer.onToken, onStreamReset: streamRenderer.onReset }
+    : sendOptions);
+  if (streamRenderer) streamRenderer.close();
+  return { resp, streamRenderer };
+}
+
 function printPlanMessage(result) {
   printTranscriptBlock([
     '',
@@ -1343,6 +1422,7 @@ async function runChatLoop(ai, options) {
     else executeMode = parseBool(options.execute, true) ? 'auto' : 'off';
   }
   const model = typeof options.model === 'string' ? options.model : null;
+  const streamEnabled = resolveStreamingEnabled(options);
   let includeVisualNext = false;
   let sequenceMode = false;
   let popupRecipesEnabled = false;
@@ -1637,11 +1717,11 @@ async function runChatLoop(ai, options) {
       : line;
 
     // Send message
-    let resp = await ai.sendMessage(modelInput, {
+    let { resp, streamRenderer } = await sendChatMessage(ai, modelInput, {
       includeVisualContext: includeVisualUsed,
       model,
       extraSystemMessages
-    });
+    }, streamEnabled);
 
     // One-shot visual: include in next message only.
     if (includeVisualNext) includeVisualNext = false;
@@ -1655,7 +1735,7 @@ async function runChatLoop(ai, options) {
     if (resp.routingNote) {
       info(resp.routingNote);
     }
-    printAssistantMessage(resp);
+    printAssistantMessage(resp, streamRenderer);
 
     let actionData = ai.parseActions(resp.message);
     let hasActions = !!(actionData && Array.isArray(actionData.actions) && actionData.actions.length > 0);
@@ -1832,11 +1912,11 @@ async function runChatLoop(ai, options) {
           success(`Learned for app "${merged.key}"`);
           info('Retrying with new rule applied...');
 
-          resp = await ai.sendMessage(line, {
+          ({ resp, streamRenderer } = await sendChatMessage(ai, line, {
             includeVisualContext: includeVisualUsed,
             model,
             extraSystemMessages: [`User correction for this app: ${correction}`]
-          });
+          }, streamEnabled));
 
           if (!resp.success) {
             error(resp.error || 'AI call failed');
@@ -1844,7 +1924,7 @@ async function runChatLoop(ai, options) {
             break;
           }
 
-          printAssistantMessage(resp);
+          printAssistantMessage(resp, streamRenderer);
           actionData = ai.parseActions(resp.message);
           hasActions = !!(actionData && Array.isArray(actionData.actions) && actionData.actions.length > 0);
           if (!hasActions) {
@@ -2017,18 +2097,18 @@ async function runChatLoop(ai, options) {
           }
         }
 
-        const contResp = await ai.sendMessage(continuationPrompt, {
+        const { resp: contResp, streamRenderer: contStreamRenderer } = await sendChatMessage(ai, continuationPrompt, {
           includeVisualContext: true,
           model,
           extraSystemMessages: continuationSystemMessages
-        });
+        }, streamEnabled);
 
         if (!contResp.success) {
           error(contResp.error || 'Vision continuation failed');
           break;
         }
 
-        printAssistantMessage(contResp);
+        printAssistantMessage(contResp, contStreamRenderer);
 
         const contActionData = ai.parseActions(contResp.message);
         const contHasActions = !!(contActionData && Array.isArray(contActionData.actions) && contActionData.actions.length > 0);
@@ -2153,6 +2233,10 @@ async function run(args, flags) {
   }
 
   const ai = require('../../main/ai-service');
+  const cassette = configureChatCassette(ai, flags);
+  if (cassette) {
+    console.log(dim(`Cassette: ${cassette.mode} ${cassette.file}`));
+  }
   const { getUIWatcher } = require('../../main/ui-watcher');
   let watcher = null;
   let watcherStartedByChat = false;
@@ -2198,6 +2282,11 @@ async function run(args, flags) {
     if (watcher && watcherStartedByChat) {
       try { watcher.stop(); } catch {}
     }
+    if (cassette) {
+      const stats = cassette.getStats();
+      console.log(dim(`Cassette: ${stats.hits} replayed, ${stats.misses} missed, ${stats.recorded} recorded (${cassette.file})`));
+      ai.setProviderCassette(null);
+    }
     if (interactiveTranscript) {
       if (previousTranscriptQuiet === undefined) {
         delete process.env.LIKU_CHAT_TRANSCRIPT_QUIET;
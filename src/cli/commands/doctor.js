@@ -6,6 +6,10 @@
 const path = require('path');
 const { success, error, info, highlight, dim } = require('../util/output');
 const { resolveProjectIdentity, validateProjectIdentity } = require('../../shared/project-identity');
+const { LIKU_HOME } = require('../../shared/liku-home');
+const { loadProviderEndpointConfig } = require('../../main/ai-service/providers/endpoint-config');
+const { BUILTIN_FALLBACK_ORDER } = require('../../main/ai-service/providers/registry');
+const { createOpenAICompatibleAdapter } = require('../../main/ai-service/providers/openai-compatible');
 
 const PROJECT_ROOT = path.resolve(__dirname, '../../..');
 const UI_MODULE = path.resolve(__dirname, '../../main/ui-automation');
@@ -825,7 +829,23 @@ function mermaidForPlan(plan) {
   return `stateDiagram-v2\n  ${edges.join('\n  ')}`;
 }
 
-function buildChecks({ uiaError, activeWindow, windows, requestText, requestHints, requestAnalysis }) {
+function buildProviderSummary() {
+  const config = loadProviderEndpointConfig({ likuHome: LIKU_HOME });
+  const endpoints = config.endpoints.map((endpoint) => createOpenAICompatibleAdapter(endpoint).describe());
+  return {
+    configPath: config.configPath,
+    configExists: config.exists,
+    builtin: BUILTIN_FALLBACK_ORDER.slice(),
+    endpoints,
+    fallbackOrder: [
+      ...BUILTIN_FALLBACK_ORDER,
+      ...endpoints.filter((entry) => entry.fallback).map((entry) => entry.name)
+    ],
+    errors: config.errors
+  };
+}
+
+function buildChecks({ uiaError, activeWindow, windows, requestText, requestHints, requestAnalysis, providers }) {
   const checks = [];
   const push = (id, status, message, details = null) => {
     checks.push({ id, status, message, details });
@@ -852,6 +872,19 @@ function buildChecks({ uiaError, activeWindow, windows, requestText, requestHint
     Array.isArray(windows) ? { count: windows.length } : { count: 0 }
   );
 
+  if (providers && providers.configExists) {
+    const missingKeys = providers.endpoints.filter((entry) => entry.authEnv && !entry.hasApiKey).map((entry) => entry.name);
+    const problems = providers.errors.length + missingKeys.length;
+    push(
+      'providers.endpoints',
+      problems ? 'warn' : 'pass',
+      problems
+        ? `Provider endpoints: ${providers.endpoints.length} loaded, ${providers.errors.length} invalid, ${missingKeys.length} missing key`
+        : `Provider endpoints: ${providers.endpoints.length} loaded`,
+      { endpoints: providers.endpoints.map((entry) => entry.name), errors: providers.errors, missingKeys }
+    );
+  }
+
   if (requestText) {
     push(
       'request.parsed',
@@ -961,7 +994,8 @@ async function run(args, options) {
     };
   }
 
-  const checks = buildChecks({ uiaError, activeWindow, windows, requestText, requestHints, requestAnalysis });
+  const providers = buildProviderSummary();
+  const checks = buildChecks({ uiaError, activeWindow, windows, requestText, requestHints, requestAnalysis, providers });
   const checksSummary = summarizeChecks(checks);
   const ok = checksSummary.fail === 0;
 
@@ -974,6 +1008,7 @@ async function run(args, options) {
     env: envInfo,
     repoIdentity: projectIdentity,
     projectGuard,
+    providers,
     request: requestText ? { text: requestText, hints: requestHints } : null,
     uiState: {
       activeWindow,
@@ -1024,6 +1059,16 @@ async function run(args, options) {
       console.log(`${highlight('Project guard:')} pass`);
     }
 
+    console.log(`\n${highlight('Providers:')} ${providers.fallbackOrder.join(' → ')}`);
+    providers.endpoints.forEach((entry) => {
+      const keyNote = entry.authEnv ? (entry.hasApiKey ? 'key set' : `no key (${entry.authEnv})`) : 'no auth';
+      console.log(`  ${entry.name}: ${entry.url} ${dim('—')} ${entry.model}${entry.vision ? ' [vision]' : ''} ${dim(`(${keyNote})`)}`);
+    });
+    providers.errors.forEach((entry) => console.log(`  ${dim('invalid:')} ${entry}`));
+    if (!providers.configExists) {
+      console.log(dim(`  (Add OpenAI-compatible endpoints in ${providers.configPath})`));
+    }
+
     console.log(`\n${highlight('Active window:')}`);
     if (activeWindow) {
       const bounds = activeWindow.bounds || { x: '?', y: '?', width: '?', height: '?' };
@@ -1,3 +1,5 @@
+const path = require('path');
+
 const { bold, dim, highlight, table, warn } = require('../util/output');
 const { parseBooleanEnvFlag } = require('../feature-flags');
 const { createGitHubCommandExecutor } = require('../../main/github/command-executor');
@@ -31,6 +33,7 @@ function normalizeArea(area) {
   if (value === 'hooks') return 'webhook';
   if (value === 'webhooks') return 'webhook';
   if (value === 'apps') return 'app';
+  if (value === 'commits') return 'commit';
   return value;
 }
 
@@ -48,6 +51,8 @@ ${highlight('USAGE:')}
   liku github issues comment draft 321 --body "Thanks for the report" --slug owner/repo
   liku github pr create draft --title "Add overlay diagnostics" --body "Implements the next PR slice" --base main --slug owner/repo
   liku github issues comment draft 321 --body-file C:\\Users\\you\\comment.md --slug owner/repo
+  liku github issues create draft --title "Overlay flickers on resize" --template bug_report --labels bug --slug owner/repo
+  liku github issues triage draft 321 --labels triaged --remove-labels needs-info --assignees octocat --milestone "v0.1" --slug owner/repo
     liku github pr comment draft 123 --body "Looks good overall" --slug owner/repo
     liku github pr comment draft 123 --body-file C:\\Users\\you\\review.md --slug owner/repo
   liku github apply github-write-preview-123 --approve --approval-file C:\\Users\\you\\.liku\\github\\writes\\github-write-preview-123.approval.json
@@ -75,6 +80,7 @@ ${highlight('USAGE:')}
   liku github webhook ping draft 9001 --slug owner/repo
   liku github event list --slug owner/repo --limit 10 --event push
   liku github event inspect github-event-123 --slug owner/repo
+  liku github event serve --port 8787 --secret-env LIKU_WEBHOOK_SECRET --notify check_suite:failure@pr
   liku github app status --slug owner/repo
   liku github app installation inspect --slug owner/repo
   liku github app permissions inspect --slug owner/repo
@@ -85,6 +91,8 @@ ${highlight('USAGE:')}
   liku github pr view --branch feature/demo --slug owner/repo
   liku github pr feedback --branch feature/demo --slug owner/repo
   liku github pr feedback 123 --limit 5 --slug owner/repo
+  liku github pr checks [<number>]
+  liku github commit status <sha|branch|tag>
   liku github pr review draft 123 --event approve --body "Looks good overall" --slug owner/repo
   liku github pr close draft 123 --slug owner/repo
   liku github pr reopen draft 123 --slug owner/repo
@@ -93,6 +101,7 @@ ${highlight('USAGE:')}
   liku github pr diff <number>
   liku github workflow runs
   liku github workflow inspect <run-id>
+  liku github workflow logs <run-id>
   liku github workflow validate .github/workflows/ci.yml
   liku github workflow permissions inspect .github/workflows/ci.yml
   liku github workflow requirements inspect .github/workflows/ci.yml
@@ -110,6 +119,8 @@ ${highlight('USAGE:')}
   liku github pr list --state all --limit 20
   liku github pr status --branch feature/demo --slug owner/repo
   liku github pr feedback --branch feature/demo --slug owner/repo --limit 5
+  liku github pr checks 123 --slug owner/repo
+  liku github commit status main --slug owner/repo --limit 20
   liku github pr review draft 123 --event request-changes --body "Please add a regression test." --slug owner/repo
   liku github pr close draft 123 --slug owner/repo
   liku github pr reopen draft 123 --slug owner/repo
@@ -118,6 +129,7 @@ ${highlight('USAGE:')}
   liku github pr diff 123 --limit 50
   liku github workflow runs --workflow ci.yml --limit 10
   liku github workflow inspect 9001 --slug owner/repo
+  liku github workflow logs 9001 --slug owner/repo
   liku github workflow validate .github/workflows/ci.yml --body-file C:\Users\you\ci.yml --slug owner/repo
   liku github workflow permissions inspect .github/workflows/ci.yml --slug owner/repo
   liku github workflow requirements inspect .github/workflows/ci.yml --slug owner/repo
@@ -162,15 +174,20 @@ ${highlight('COMMANDS:')}
   webhook ping draft Create a reviewed local preview for pinging one repository webhook without mutating GitHub yet
   event list     List locally recorded GitHub webhook events from the durable event journal
   event inspect  Inspect one locally recorded GitHub webhook event from the durable event journal
+  event serve    Listen for signed webhook deliveries and record them in the event journal
   app status     Summarize GitHub auth posture and App installation visibility for the target repository
   app installation inspect Inspect the GitHub App installation metadata for the target repository
   app permissions inspect Inspect the GitHub App installation permissions and subscribed events
   issues list    List issues for the current or specified GitHub repo
   issues inspect Inspect one issue by number
   issues comment draft Create a reviewed local preview for one issue comment without mutating GitHub yet
+  issues create draft Create a reviewed local preview for a new issue with validated labels, assignees, and milestone
+  issues triage draft Create a reviewed local preview that changes one issue's labels, assignees, or milestone
   pr list        List pull requests for the current or specified GitHub repo
   pr status      Show the pull-request status for the current or requested branch (alias: pr view)
   pr feedback    Summarize pull-request conversation comments, reviews, and review comments
+  pr checks      List check runs, commit statuses, and file/line annotations for a pull request head
+  commit status  List check runs, commit statuses, and file/line annotations for one commit, branch, or tag
   pr review draft Create a reviewed local preview for one pull-request review submission without mutating GitHub yet
   pr close draft Create a reviewed local preview for closing one pull request without mutating GitHub yet
   pr reopen draft Create a reviewed local preview for reopening one pull request without mutating GitHub yet
@@ -180,6 +197,7 @@ ${highlight('COMMANDS:')}
   pr comment draft Create a reviewed local preview for one pull-request conversation comment without mutating GitHub yet
   workflow runs  List workflow runs for the current or specified repo
   workflow inspect Inspect one workflow run by id
+  workflow logs  Download one run's job logs into redacted artifacts and summarize the failing steps
   workflow validate Validate one workflow definition and summarize hardening findings without mutating GitHub
   workflow permissions inspect Inspect top-level and per-job workflow permissions without mutating GitHub
   workflow requirements inspect Inspect workflow secrets, vars, inputs, environments, and action refs
@@ -198,10 +216,16 @@ ${highlight('OPTIONS:')}
   --slug <owner/repo> Target a specific GitHub repository instead of the detected git remote
   --state <value> Filter issue lists (open|closed|all) or plan runs (completed|blocked|aborted|all)
   --limit <n>    Bound issue/PR/workflow/event/release results (default: 10)
-  --labels <csv> Filter issue lists by label names
+  --labels <csv> Filter issue lists by label names, or labels to set for 'issues create draft' and add for 'issues triage draft'
+  --remove-labels <csv> Labels to remove for 'issues triage draft'
+  --assignees <csv> Logins to assign for 'issues create draft' and 'issues triage draft'
+  --remove-assignees <csv> Logins to unassign for 'issues triage draft'
+  --milestone <number|title|none> Milestone for issue create/triage drafts; 'none' clears it during triage
+  --template <name> Issue template (file name or title) that shapes the body, labels, and title for 'issues create draft'
   --base <name>  Filter pull-request lists or set the base branch for 'pr create draft'
   --head <name>  Filter pull-request lists, override 'pr status', or set the head branch for 'pr create draft'
-  --title <text> Title text for 'pr create draft'
+  --title <text> Title text for 'pr create draft' and 'issues create draft'
+  --title-file <path> File whose first non-empty line is the title for 'issues create draft'
   --path <path>  Relative workflow file path or CODEOWNERS path for workflow/codeowners validate or draft commands
   --body <text>  Inline body text for reviewed draft commands or inline workflow YAML for workflow validate/create/update
   --body-file <path> File containing a reviewed draft body or workflow YAML content for workflow validate/create/update
@@ -222,6 +246,11 @@ ${highlight('OPTIONS:')}
   --failed-only <bool> Restrict 'workflow rerun draft' to failed jobs only
   --status <value> Filter workflow runs by status/conclusion-compatible value
   --event <name> Filter workflow runs by triggering event, filter 'event list' results, or set the review event for 'pr review draft'
+  --port <n>     Port for 'event serve' (default: a free port)
+  --host <addr>  Bind address for 'event serve' (default: 127.0.0.1)
+  --path <path>  Request path for 'event serve' (default: /github/webhook)
+  --secret-env <NAME> Environment variable holding the webhook secret for 'event serve'
+  --notify <rules> Event rules that raise notifications in 'event serve', e.g. check_suite:failure@pr,pull_request:opened
   --out-file <path> Write a reviewed context bundle artifact to an explicit file path
   --plan-file <path> Replay a saved GitHub plan artifact during execute or attach one explicitly during plan inspect
   --event-log-file <path> Attach an explicit saved GitHub plan event log during plan inspect
@@ -238,12 +267,15 @@ ${highlight('NOTES:')}
   - 'codeowners create draft' and 'codeowners update draft' preview repo-content patches that apply via a dedicated branch plus draft pull request instead of mutating the default branch directly.
   - 'webhook create draft' and 'webhook update draft' persist only repo:<ENV_NAME> secret refs; the actual webhook secret is resolved from the local environment during CLI apply.
   - 'webhook ping draft' previews a single test delivery through the same reviewed CLI-only apply seam.
-  - 'event list' and 'event inspect' read the local GitHub event journal under the Liku home directory; this Phase 10B slice provides durable storage and inspection only, not a live webhook receiver.
+  - 'event list' and 'event inspect' read the local GitHub event journal under the Liku home directory.
+  - 'event serve' verifies X-Hub-Signature-256 before anything is recorded, drops repeated X-GitHub-Delivery ids, and binds to 127.0.0.1 unless --host is given; put a tunnel or proxy in front of it to receive deliveries from GitHub. It needs the GitHub feature flag, and matched --notify rules land in the Supervisor notification inbox.
   - 'issues comment draft ...' writes a reviewed, sanitized local preview artifact under the Liku home directory.
+  - 'issues create draft ...' and 'issues triage draft ...' reject unknown labels, unassignable users, and unknown milestones before writing the preview; triage apply re-reads the issue so later edits are kept.
   - 'pr create draft ...' writes a reviewed, sanitized local preview artifact under the Liku home directory.
   - 'pr comment draft ...' writes a reviewed, sanitized local preview artifact under the Liku home directory.
   - 'pr status' defaults to the current git branch; 'pr view' is an alias for the same branch-associated lookup.
   - 'pr feedback' accepts an explicit PR number or defaults to the branch-associated lookup used by 'pr status'.
+  - 'pr checks' resolves the PR the same way as 'pr feedback' and prints check annotations as path:line so they can be opened directly.
   - 'pr review draft' accepts --event comment|approve|request-changes; approve may omit a body, while comment/request-changes require one.
   - 'pr close draft' and 'pr reopen draft' preview reversible PR state changes before the CLI apply step.
   - 'pr create draft' defaults the head branch to the current git branch and can derive the base branch from the repository default branch when API lookup is allowed.
@@ -999,6 +1031,81 @@ function printIssueCommentDraft(report) {
   printWarnings(report.warnings);
 }
 
+function formatIssueMilestone(milestone) {
+  if (!milestone) {
+    return null;
+  }
+  return milestone.title ? `${milestone.title} (#${milestone.number})` : `#${milestone.number}`;
+}
+
+function printIssueCreateDraft(report) {
+  console.log(`\n${bold('GitHub issue create draft')}\n`);
+  console.log(`${highlight('Target:')} ${report.target?.slug || report.repoIdentity?.repoName || 'unknown'}`);
+  console.log(`${highlight('Preview:')} ${report.previewId || 'unknown'}`);
+  console.log(`${highlight('Artifacts:')} preview=${report.previewArtifact?.filePath || 'n/a'} approval=${report.approvalArtifact?.filePath || 'n/a'}`);
+  console.log(`${highlight('Review:')} sensitivity=${report.review?.sensitivity || 'unknown'} redactions=${report.review?.redactionCount ?? 0} reviewRequired=${report.review?.reviewRequired ? 'yes' : 'no'}`);
+  console.log(`${highlight('Title:')} ${report.draft?.titlePreview || 'n/a'}`);
+  console.log(`${highlight('Body source:')} ${report.draft?.bodySource || 'unknown'}`);
+  if (report.template) {
+    console.log(`${highlight('Template:')} ${report.template.path} (${report.template.kind})`);
+  }
+  if (report.draft?.labels?.length) {
+    console.log(`${highlight('Labels:')} ${report.draft.labels.join(', ')}`);
+  }
+  if (report.draft?.assignees?.length) {
+    console.log(`${highlight('Assignees:')} ${report.draft.assignees.join(', ')}`);
+  }
+  if (report.draft?.milestone) {
+    console.log(`${highlight('Milestone:')} ${formatIssueMilestone(report.draft.milestone)}`);
+  }
+  if (report.draft?.bodyPreview) {
+    console.log(`${highlight('Preview text:')} ${report.draft.bodyPreview}`);
+  }
+  console.log(`${highlight('Approval:')} ${report.approval?.status || 'unknown'} mode=${report.approval?.approvalMode || 'unknown'} token=${report.approval?.applyTokenHint || 'n/a'}`);
+  if (report.instructions?.cliApply) {
+    console.log(`${highlight('CLI apply:')} ${report.instructions.cliApply}`);
+  }
+  if (report.instructions?.note) {
+    console.log(`${highlight('Note:')} ${report.instructions.note}`);
+  }
+  printWarnings(report.warnings);
+}
+
+function printIssueTriageDraft(report) {
+  const requested = report.draft?.requested || {};
+  const changes = report.draft?.changes;
+  const addLabels = changes ? changes.labels.added : requested.addLabels || [];
+  const removeLabels = changes ? changes.labels.removed : requested.removeLabels || [];
+  const addAssignees = changes ? changes.assignees.added : requested.addAssignees || [];
+  const removeAssignees = changes ? changes.assignees.removed : requested.removeAssignees || [];
+  console.log(`\n${bold('GitHub issue triage draft')}\n`);
+  console.log(`${highlight('Target:')} ${report.target?.slug || report.repoIdentity?.repoName || 'unknown'} #${report.issueNumber || '?'}`);
+  console.log(`${highlight('Preview:')} ${report.previewId || 'unknown'}`);
+  console.log(`${highlight('Artifacts:')} preview=${report.previewArtifact?.filePath || 'n/a'} approval=${report.approvalArtifact?.filePath || 'n/a'}`);
+  if (report.currentIssue?.title) {
+    console.log(`${highlight('Issue:')} ${report.currentIssue.title} [${report.currentIssue.state || 'unknown'}]`);
+  }
+  if (addLabels.length || removeLabels.length) {
+    console.log(`${highlight('Labels:')} ${[...addLabels.map((label) => `+${label}`), ...removeLabels.map((label) => `-${label}`)].join(' ')}`);
+  }
+  if (addAssignees.length || removeAssignees.length) {
+    console.log(`${highlight('Assignees:')} ${[...addAssignees.map((login) => `+${login}`), ...removeAssignees.map((login) => `-${login}`)].join(' ')}`);
+  }
+  if (requested.clearMilestone) {
+    console.log(`${highlight('Milestone:')} cleared`);
+  } else if (requested.milestone) {
+    console.log(`${highlight('Milestone:')} ${formatIssueMilestone(requested.milestone)}`);
+  }
+  console.log(`${highlight('Approval:')} ${report.approval?.status || 'unknown'} mode=${report.approval?.approvalMode || 'unknown'} token=${report.approval?.applyTokenHint || 'n/a'}`);
+  if (report.instructions?.cliApply) {
+    console.log(`${highlight('CLI apply:')} ${report.instructions.cliApply}`);
+  }
+  if (report.instructions?.note) {
+    console.log(`${highlight('Note:')} ${report.instructions.note}`);
+  }
+  printWarnings(report.warnings);
+}
+
 function printPullRequestCommentDraft(report) {
   console.log(`\n${bold('GitHub pull request comment draft')}\n`);
   console.log(`${highlight('Target:')} ${report.target?.slug || report.repoIdentity?.repoName || 'unknown'} PR #${report.pullRequestNumber || '?'}`);
@@ -1206,6 +1313,60 @@ function printFeedbackEntries(label, entries, apiReport) {
   console.log(dim('API inspection skipped'));
 }
 
+function printCheckOutcomes(report) {
+  const summary = report.summary;
+  if (summary) {
+    console.log(`${highlight('Checks:')} ${summary.state} ${dim(`(failing=${summary.failing} pending=${summary.pending} passing=${summary.passing}${summary.cancelled ? ` cancelled=${summary.cancelled}` : ''})`)}`);
+  }
+
+  const checkRuns = Array.isArray(report.checkRuns) ? report.checkRuns : [];
+  const statuses = Array.isArray(report.combinedStatus?.statuses) ? report.combinedStatus.statuses : [];
+  if (checkRuns.length > 0 || statuses.length > 0) {
+    console.log(`\n${highlight('Check runs and statuses:')}`);
+    checkRuns.slice(0, 25).forEach((run) => {
+      console.log(`- ${run.name || run.id} ${dim(`[${run.conclusion || run.status}]`)}${run.annotationCount ? dim(` ${run.annotationCount} annotation(s)`) : ''}${run.outcome === 'passing' ? '' : run.htmlUrl ? ` ${run.htmlUrl}` : ''}`);
+    });
+    statuses.slice(0, 25).forEach((status) => {
+      console.log(`- ${status.context || status.id} ${dim(`[status ${status.state}]`)}${status.description ? ` ${truncate(status.description, 72)}` : ''}${status.outcome === 'passing' || !status.targetUrl ? '' : ` ${status.targetUrl}`}`);
+    });
+  }
+
+  const annotations = Array.isArray(report.annotations) ? report.annotations : [];
+  if (annotations.length > 0) {
+    console.log(`\n${highlight('Annotations:')}`);
+    annotations.slice(0, 30).forEach((annotation) => {
+      console.log(`- ${annotation.location || dim('(no file)')} ${annotation.level || 'notice'}${annotation.checkRunName ? dim(` [${annotation.checkRunName}]`) : ''}${annotation.title ? ` ${annotation.title}:` : ''} ${truncate(annotation.message, 140)}`);
+    });
+  }
+}
+
+function printPullRequestChecks(report) {
+  console.log(`\n${bold('GitHub pull request checks')}\n`);
+  console.log(`${highlight('Target:')} ${report.target?.slug || report.repoIdentity?.repoName || 'unknown'}`);
+  console.log(`${highlight('Lookup:')} ${report.lookup?.status || 'unknown'}${report.lookup?.headQuery ? ` ${dim(`(${report.lookup.headQuery})`)}` : ''}`);
+  if (report.pullRequest) {
+    console.log(`${highlight('PR:')} #${report.pullRequest.number} ${report.pullRequest.title || ''}`);
+    console.log(`${highlight('Head:')} ${report.pullRequest.head?.ref || '?'} @ ${String(report.headSha || '?').slice(0, 12)}`);
+  } else if (report.lookup?.status === 'not-found') {
+    console.log(dim(`No pull request currently matches ${report.lookup?.headQuery || 'the requested PR'}.`));
+  } else if (report.githubApi?.error) {
+    console.log(`${highlight('GitHub API:')} unavailable ${dim(`(${report.githubApi.error})`)}`);
+  }
+  printCheckOutcomes(report);
+  printWarnings(report.warnings);
+}
+
+function printCommitStatus(report) {
+  console.log(`\n${bold('GitHub commit status')}\n`);
+  console.log(`${highlight('Target:')} ${report.target?.slug || report.repoIdentity?.repoName || 'unknown'}`);
+  console.log(`${highlight('Ref:')} ${report.ref || 'unknown'}${report.combinedStatus?.sha ? ` ${dim(`(${report.combinedStatus.sha.slice(0, 12)})`)}` : ''}`);
+  if (report.githubApi?.error) {
+    console.log(`${highlight('GitHub API:')} unavailable ${dim(`(${report.githubApi.error})`)}`);
+  }
+  printCheckOutcomes(report);
+  printWarnings(report.warnings);
+}
+
 function printPullRequestFeedback(report) {
   console.log(`\n${bold('GitHub pull request feedback')}\n`);
   console.log(`${highlight('Target:')} ${report.target?.slug || report.repoIdentity.repoName}`);
@@ -1398,6 +1559,43 @@ function printWorkflowInspect(report) {
   printWarnings(report.warnings);
 }
 
+function printWorkflowLogs(report) {
+  console.log(`\n${bold('GitHub workflow logs')}\n`);
+  console.log(`${highlight('Target:')} ${report.target?.slug || report.repoIdentity?.repoName || 'unknown'}`);
+  console.log(`${highlight('Run:')} ${report.runId}`);
+
+  if (!report.artifact) {
+    if (report.githubApi?.attempted) {
+      console.log(`${highlight('Logs:')} unavailable ${dim(report.githubApi.error || 'unknown error')}`);
+    } else {
+      console.log(`${highlight('Logs:')} ${dim('API retrieval skipped')}`);
+    }
+    printWarnings(report.warnings);
+    return;
+  }
+
+  console.log(`${highlight('Artifacts:')} ${report.artifact.directory} ${dim(`(${report.artifact.fileCount} files)`)}`);
+  console.log(`${highlight('Failing steps:')} ${report.failingSteps.length}`);
+  report.failingSteps.forEach((step) => {
+    const stepLabel = step.stepNumber !== null ? `${step.stepNumber} ${step.stepName || 'step'}` : 'job log';
+    const summary = step.summary;
+    console.log(`\n  ${bold(`${step.jobName || 'job'} › ${stepLabel}`)} ${dim(`[${step.conclusion || 'failure'}]`)}${summary?.tool ? ` ${summary.tool}` : ''}`);
+    if (!summary) {
+      console.log(`  ${dim('No log file for this step.')}`);
+      return;
+    }
+    if (summary.headline) {
+      console.log(`  ${highlight('Error:')} ${truncate(summary.headline, 120)}`);
+    }
+    console.log(`  ${highlight('Log:')} ${step.logPath} ${dim(`lines ${summary.region.startLine}-${summary.region.endLine}`)}`);
+    summary.region.lines.forEach((entry) => {
+      console.log(`  ${dim(String(entry.line).padStart(5))} ${entry.text}`);
+    });
+  });
+
+  printWarnings(report.warnings);
+}
+
 function printWorkflowValidate(report) {
   console.log(`\n${bold('GitHub workflow validate')}\n`);
   console.log(`${highlight('Target:')} ${report.target?.slug || report.repoIdentity?.repoName || 'unknown'}`);
@@ -1407,6 +1605,7 @@ function printWorkflowValidate(report) {
   console.log(`${highlight('Triggers/jobs:')} ${(report.summary?.triggers || []).join(', ') || dim('none')} / ${report.summary?.jobCount ?? 0}`);
   console.log(`${highlight('Validation:')} ${report.validation?.valid ? 'valid' : 'needs-attention'}`);
   console.log(`${highlight('Policy violations:')} ${report.policyCheck?.violationCount ?? 0}`);
+  console.log(`${highlight('Security findings:')} ${report.policyCheck?.findingCount ?? 0}${report.policyCheck?.errorFindingCount ? ` (${report.policyCheck.errorFindingCount} error)` : ''}`);
   if (Array.isArray(report.validation?.errors) && report.validation.errors.length > 0) {
     console.log(`${highlight('Validation errors:')}`);
     report.validation.errors.forEach((entry) => console.log(`- ${entry}`));
@@ -1415,6 +1614,12 @@ function printWorkflowValidate(report) {
     console.log(`${highlight('Policy findings:')}`);
     report.policyCheck.violations.slice(0, 8).forEach((entry) => console.log(`- ${entry}`));
   }
+  if (Array.isArray(report.policyCheck?.findings) && report.policyCheck.findings.length > 0) {
+    console.log(`${highlight('Security findings:')}`);
+    report.policyCheck.findings.slice(0, 12).forEach((finding) => {
+      console.log(`- ${finding.file}:${finding.line}:${finding.column} ${finding.severity} [${finding.rule}] ${finding.message}${finding.jobId ? ` ${dim(`(job ${finding.jobId}${finding.step ? `, step ${finding.step.name || finding.step.index + 1}` : ''})`)}` : ''}`);
+    });
+  }
   printWarnings(report.warnings);
 }
 
@@ -1585,6 +1790,9 @@ function printGitHubWriteApply(report) {
   if (report.result?.pullRequest?.htmlUrl) {
     console.log(`${highlight('Pull request URL:')} ${report.result.pullRequest.htmlUrl}`);
   }
+  if (report.result?.issue?.htmlUrl) {
+    console.log(`${highlight('Issue URL:')} ${report.result.issue.htmlUrl}`);
+  }
   if (report.message) {
     console.log(`${highlight('Message:')} ${report.message}`);
   }
@@ -1607,9 +1815,12 @@ const printHandlers = {
   'context.bundle': printContextBundle,
   'event.list': printEventList,
   'event.inspect': printEventInspect,
+  'event.serve': printEventServe,
   'environment.list': printEnvironmentList,
   'environment.inspect': printEnvironmentInspect,
   'issues.comment.draft': printIssueCommentDraft,
+  'issues.create.draft': printIssueCreateDraft,
+  'issues.triage.draft': printIssueTriageDraft,
   'ruleset.list': printRulesetList,
   'ruleset.inspect': printRulesetInspect,
   'secret.list': printSecretList,
@@ -1638,10 +1849,13 @@ const printHandlers = {
   'pr.list': printPullRequestList,
   'pr.status': printPullRequestStatus,
   'pr.feedback': printPullRequestFeedback,
+  'pr.checks': printPullRequestChecks,
+  'commit.status': printCommitStatus,
   'pr.inspect': printPullRequestInspect,
   'pr.diff': printPullRequestDiffSummary,
   'workflow.runs': printWorkflowRuns,
   'workflow.inspect': printWorkflowInspect,
+  'workflow.logs': printWorkflowLogs,
   'workflow.validate': printWorkflowValidate,
   'workflow.permissions.inspect': printWorkflowPermissionsInspect,
   'workflow.requirements.inspect': printWorkflowRequirementsInspect,
@@ -1654,6 +1868,48 @@ const printHandlers = {
   'releases.inspect': printReleaseInspect,
 };
 
+function createEventServeOrchestrator() {
+  const { createAgentSystem } = require('../../main/agents');
+  return createAgentSystem(null, {
+    statePath: path.join(process.cwd(), '.github', 'agent_state.json'),
+  }).orchestrator;
+}
+
+// Console hooks for the long-running `event serve` adapter; the stop summary
+// is printed by printEventServe once the executor returns.
+function buildEventServeOptions(options = {}) {
+  const interactive = !options.json && !options.quiet;
+  return {
+    ...options,
+    createOrchestrator: options.createOrchestrator || createEventServeOrchestrator,
+    onListening(listening) {
+      if (!interactive) return;
+      console.log(`\n${bold('GitHub webhook receiver')} listening on ${listening.url}`);
+      console.log(`${highlight('Secret:')} ${listening.secretEnv}`);
+      console.log(`${highlight('Notify:')} ${listening.notify.length ? listening.notify.join(', ') : dim('none')}${listening.orchestratorAttached ? dim(' (Supervisor inbox)') : ''}`);
+      console.log(dim('Press Ctrl+C to stop.\n'));
+    },
+    onDelivery(result) {
+      if (!interactive) return;
+      const delivery = result.delivery || {};
+      console.log(`${dim(relativeIsoTimestamp(new Date().toISOString()))} ${delivery.eventName || 'unknown'}${delivery.action ? `/${delivery.action}` : ''} — ${result.target?.slug || 'unknown'} — delivery=${truncate(delivery.deliveryId, 28)}`);
+    },
+    onNotification(notification) {
+      if (options.quiet) return;
+      if (options.json) {
+        console.log(JSON.stringify(notification));
+        return;
+      }
+      (notification.severity === 'warning' ? warn : console.log)(`${highlight('Notify:')} ${notification.advisory}`);
+    },
+  };
+}
+
+function printEventServe(report) {
+  const stats = report.stats || {};
+  console.log(`\n${highlight('Stopped:')} ${stats.accepted ?? 0} accepted, ${stats.duplicates ?? 0} duplicate, ${stats.rejected ?? 0} rejected, ${stats.notifications ?? 0} notification(s)`);
+}
+
 async function run(args, options) {
   const area = normalizeArea(args[0]);
   const action = String(args[1] || '').trim().toLowerCase();
@@ -1695,7 +1951,7 @@ async function run(args, options) {
     action,
     positionals: args,
     options: {
-      ...options,
+      ...(area === 'event' && action === 'serve' ? buildEventServeOptions(options) : options),
       probe: parseBooleanEnvFlag(options.probe, true),
       api: parseBooleanEnvFlag(options.api, true),
     },
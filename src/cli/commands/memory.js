@@ -4,35 +4,324 @@
  * Usage:
  *   liku memory list              List all memory notes
  *   liku memory show <id>         Show a specific note
- *   liku memory search <query>    Search notes by keyword
+ *   liku memory search <query>    Search notes (keywords + embeddings + scope)
+ *     --explain                   Show the per-note score breakdown
  *   liku memory stats             Show memory statistics
+ *   liku memory add <content>     Add a note
+ *   liku memory edit <id>         Edit a note (--content and the note flags below)
+ *   liku memory rm <id...>        Remove notes
+ *   liku memory link <a> <b>      Link two notes
+ *   liku memory unlink <a> <b>    Unlink two notes (auto-linking will not reconnect them)
+ *   liku memory export [path]     Export durable notes with a redaction review
+ *   liku memory import <path>     Import a durable memory export
+ *   liku memory gc                Remove expired notes, orphans and dangling links
+ *   liku memory pack build <dir> --name n   Bundle durable notes + skills into a pack folder
+ *     [--pack-version v] [--author a] [--tags a,b] [--sign-key ed25519.pem | --hmac]
+ *   liku memory pack verify <dir>           Check hashes and signature [--public-key pem]
+ *   liku memory pack install <dir>          Install as read-only notes/skills [--require-signature]
+ *   liku memory pack uninstall <name>       Remove an installed pack
+ *   liku memory pack list                   List installed packs
+ *   liku memory consolidate       Merge duplicate notes, flag contradictions
+ *     --heuristic                 Skip the reflection model
+ *   liku memory review            List contradiction flags awaiting review
+ *   liku memory review keep <flag> <noteId>   Keep one note, remove the others
+ *   liku memory review dismiss <flag>         Keep all notes, close the flag
+ *
+ * Note flags (add/edit):
+ *   --type episodic|procedural|semantic   --keywords a,b   --tags a,b   --context text
+ *   --lane durable|task
+ *   --tier global|domain|local  --repo-name a,b  --project-root p  --app a,b
+ *   --process a,b  --task-family a,b  --compartment a,b   (--scope none clears scope)
+ *
+ * --dry-run on add/edit/rm/export/import/gc/consolidate reports the change
+ * (including the redaction review) without writing anything.
  */
 
-const path = require('path');
-const { log, success, error, dim, highlight } = require('../util/output');
+const { log, success, error, warn, dim, highlight } = require('../util/output');
+
+const NOTE_TYPES = ['episodic', 'procedural', 'semantic'];
+const MEMORY_LANES = ['durable', 'task'];
+const SCOPE_TIERS = ['global', 'domain', 'local'];
+// `--repo`/`--project` are the global project guard, hence `--repo-name`/`--project-root`.
+const SCOPE_FLAGS = {
+  'repo-name': 'repoNames',
+  'project-root': 'projectRoots',
+  app: 'appIds',
+  process: 'processNames',
+  'task-family': 'taskFamilies',
+  compartment: 'compartmentKeys'
+};
 
 function getMemoryStore() {
   return require('../../main/memory/memory-store');
 }
 
+function getConsolidator() {
+  return require('../../main/memory/memory-consolidator');
+}
+
+function getPortability() {
+  return require('../../main/memory/memory-portability');
+}
+
+function getPacks() {
+  return require('../../main/memory/memory-pack');
+}
+
+function isDryRun(flags) {
+  return !!(flags['dry-run'] || flags.dryRun);
+}
+
+function preview(text) {
+  return String(text || '').slice(0, 80).replace(/\n/g, ' ');
+}
+
+function splitList(value) {
+  return String(value).split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Translate add/edit flags into addNote()/updateNote() fields.
+ *
+ * @returns {{ fields: object, errors: string[] }}
+ */
+function parseNoteFlags(flags) {
+  const fields = {};
+  const errors = [];
+  const valueOf = (name) => {
+    if (flags[name] === undefined) return undefined;
+    if (flags[name] === true || String(flags[name]).trim() === '') {
+      errors.push(`--${name} needs a value`);
+      return undefined;
+    }
+    return String(flags[name]).trim();
+  };
+
+  const type = valueOf('type');
+  if (type !== undefined) {
+    if (NOTE_TYPES.includes(type)) fields.type = type;
+    else errors.push(`--type must be one of ${NOTE_TYPES.join(', ')}`);
+  }
+  const lane = valueOf('lane');
+  if (lane !== undefined) {
+    if (MEMORY_LANES.includes(lane)) fields.memoryLane = lane;
+    else errors.push(`--lane must be one of ${MEMORY_LANES.join(', ')}`);
+  }
+  const keywords = valueOf('keywords');
+  if (keywords !== undefined) fields.keywords = splitList(keywords);
+  const tags = valueOf('tags');
+  if (tags !== undefined) fields.tags = splitList(tags);
+  const context = valueOf('context');
+  if (context !== undefined) fields.context = context;
+
+  const scope = {};
+  const tier = valueOf('tier');
+  if (tier !== undefined) {
+    if (SCOPE_TIERS.includes(tier)) scope.tier = tier;
+    else errors.push(`--tier must be one of ${SCOPE_TIERS.join(', ')}`);
+  }
+  for (const [flag, key] of Object.entries(SCOPE_FLAGS)) {
+    const value = valueOf(flag);
+    if (value !== undefined) scope[key] = splitList(value);
+  }
+  const scopeFlag = valueOf('scope');
+  if (scopeFlag !== undefined && scopeFlag !== 'none') errors.push('--scope only accepts "none"');
+  if (Object.keys(scope).length) fields.scope = scope;
+  else if (scopeFlag === 'none') fields.scope = null;
+
+  return { fields, errors };
+}
+
+function logReview(review) {
+  if (!review) return;
+  log(`  Review: sensitivity=${review.sensitivity} redactions=${review.redactionCount}${review.reviewRequired ? ' (review required)' : ''}`);
+  for (const reason of review.reasons || []) log(dim(`    ${reason}`));
+  for (const redaction of review.redactions || []) {
+    log(dim(`    - ${redaction.kind} at ${redaction.path || 'unknown'}`));
+  }
+}
+
+function logScope(scope) {
+  if (!scope) return;
+  const parts = Object.entries(scope).map(([key, value]) => `${key}=${Array.isArray(value) ? value.join(',') : value}`);
+  log(`  Scope: ${parts.join(' ')}`);
+}
+
+function buildReflectionRequest() {
+  return (messages) => require('../../main/ai-service').requestReflection(messages, { command: 'memory-consolidate' });
+}
+
+function formatScore(value) {
+  return Number(value || 0).toFixed(2);
+}
+
+function explainSearch(store, query, recall, flags) {
+  const selection = store.getRelevantNotesSelection(query, { limit: Number(flags.limit) || store.DEFAULT_NOTE_LIMIT });
+  const provider = selection.summary?.embeddingProvider || 'off';
+  const matches = selection.matches.map((match) => ({
+    id: match.id,
+    type: match.note.type,
+    score: match.score,
+    breakdown: match.scoreBreakdown,
+    scope: match.scopeMatch?.classification || null,
+    preview: preview(match.note.content)
+  }));
+  if (flags.json) return { success: true, query, embeddingProvider: provider, recallError: recall?.error || null, count: matches.length, matches };
+
+  if (recall?.error) warn(`Embedding provider unavailable (${recall.error}); using hashing fallback.`);
+  if (!matches.length) {
+    log('No matching notes found.');
+    return { success: true, count: 0, matches };
+  }
+  log(highlight(`Memory search: ${matches.length} note(s), embeddings: ${provider}`));
+  for (const match of matches) {
+    const { lexical, vector, similarity, scope } = match.breakdown;
+    log(`  ${highlight(match.id)} [${match.type}] score ${formatScore(match.score)}`);
+    log(dim(`    lexical ${formatScore(lexical)} + vector ${formatScore(vector)} (similarity ${formatScore(similarity)}) + scope ${formatScore(scope)} (${match.scope})`));
+    log(`    ${dim(match.preview)}`);
+  }
+  return { success: true, count: matches.length, matches };
+}
+
+function logVerification(verification) {
+  const signature = verification.signature || {};
+  log(`  Signature: ${signature.status}${signature.algorithm ? ` (${signature.algorithm}${signature.keyId ? ` ${signature.keyId}` : ''})` : ''}`);
+  if (signature.reason) log(dim(`    ${signature.reason}`));
+  for (const message of verification.errors || []) log(`  ${message}`);
+}
+
+/**
+ * liku memory pack build|verify|install|uninstall|list
+ */
+function runPack(args, flags) {
+  const packs = getPacks();
+  const action = args[0];
+  const keys = {
+    publicKey: typeof flags['public-key'] === 'string' ? flags['public-key'] : undefined
+  };
+
+  switch (action) {
+    case 'build': {
+      const dir = args[1];
+      if (!dir || typeof flags.name !== 'string') {
+        error('Usage: liku memory pack build <dir> --name <name> [--pack-version 1.0.0] [--author a] [--description d] [--tags a,b] [--sign-key key.pem | --hmac] [--dry-run]');
+        return { success: false };
+      }
+      if (flags.hmac && !process.env.LIKU_PACK_HMAC_KEY) {
+        error('--hmac signs with LIKU_PACK_HMAC_KEY, which is not set');
+        return { success: false };
+      }
+      const result = packs.buildPack({
+        dir,
+        name: flags.name,
+        version: typeof flags['pack-version'] === 'string' ? flags['pack-version'] : undefined,
+        author: typeof flags.author === 'string' ? flags.author : undefined,
+        description: typeof flags.description === 'string' ? flags.description : undefined,
+        tags: typeof flags.tags === 'string' ? flags.tags : undefined,
+        privateKey: typeof flags['sign-key'] === 'string' ? flags['sign-key'] : undefined,
+        hmacKey: flags.hmac ? process.env.LIKU_PACK_HMAC_KEY : undefined,
+        dryRun: isDryRun(flags)
+      });
+      if (flags.json || !result.success) {
+        if (!result.success) error(result.error);
+        return result;
+      }
+      const { manifest } = result;
+      log(highlight(`${result.dryRun ? 'Dry run: would build' : 'Built'} ${manifest.name}@${manifest.version} in ${result.dir}`));
+      log(`  Notes: ${manifest.contents.noteCount}  Skills: ${manifest.contents.skillCount}`);
+      log(`  Signature: ${manifest.signature ? `${manifest.signature.algorithm} ${manifest.signature.keyId}` : 'unsigned'}`);
+      logReview(manifest.review.notes);
+      logReview(manifest.review.skills);
+      return result;
+    }
+
+    case 'verify': {
+      if (!args[1]) { error('Usage: liku memory pack verify <dir> [--public-key key.pem]'); return { success: false }; }
+      const verification = packs.verifyPack(args[1], keys);
+      const result = { success: verification.ok, ...verification };
+      if (flags.json) return result;
+      if (verification.ok) success(`${verification.manifest.name}@${verification.manifest.version}: ${verification.files.length} file(s) match the manifest`);
+      else error(`Pack verification failed: ${verification.dir}`);
+      logVerification(verification);
+      return result;
+    }
+
+    case 'install': {
+      if (!args[1]) { error('Usage: liku memory pack install <dir> [--require-signature] [--public-key key.pem] [--dry-run]'); return { success: false }; }
+      const result = packs.installPack(args[1], {
+        ...keys,
+        requireSignature: !!(flags['require-signature'] || flags.requireSignature),
+        dryRun: isDryRun(flags)
+      });
+      if (flags.json) return result;
+      if (!result.success) {
+        error(result.error);
+        return result;
+      }
+      if (result.alreadyInstalled) log(`${result.name}@${result.version} is already installed.`);
+      else if (result.dryRun) log(highlight(`Dry run: would install ${result.name}@${result.version} (${result.noteCount} note(s), ${result.skillIds.length} skill(s))`));
+      else success(`Installed ${result.name}@${result.version}: ${result.noteIds.length} note(s), ${result.skillIds.length} skill(s)${result.replaces ? ` (replaced ${result.replaces})` : ''}`);
+      logVerification(result.verification);
+      return result;
+    }
+
+    case 'uninstall': {
+      if (!args[1]) { error('Usage: liku memory pack uninstall <name> [--dry-run]'); return { success: false }; }
+      const result = packs.uninstallPack(args[1], { dryRun: isDryRun(flags) });
+      if (flags.json) return result;
+      if (!result.success) error(result.error);
+      else log(`${result.dryRun ? 'Dry run: would remove' : 'Removed'} ${result.removedNotes.length} note(s) and ${result.removedSkills.length} skill(s) from ${result.name}`);
+      return result;
+    }
+
+    case 'list':
+    case undefined: {
+      const installed = packs.listInstalledPacks();
+      const result = { success: true, count: installed.length, packs: installed };
+      if (flags.json) return result;
+      if (!installed.length) {
+        log('No memory packs installed.');
+        return result;
+      }
+      log(highlight(`Installed memory packs (${installed.length}):`));
+      for (const pack of installed) {
+        log(`  ${highlight(pack.name)}@${pack.version} by ${pack.author} ${dim(`${pack.noteIds.length} note(s), ${pack.skillIds.length} skill(s), signature ${pack.signature?.status || 'unsigned'}`)}`);
+      }
+      return result;
+    }
+
+    default:
+      error(`Unknown pack action: ${action}`);
+      log('Usage: liku memory pack [build|verify|install|uninstall|list]');
+      return { success: false };
+  }
+}
+
 async function run(args, flags) {
   const subcommand = args[0] || 'list';
   const store = getMemoryStore();
 
   switch (subcommand) {
     case 'list': {
-      const notes = store.listNotes();
-      if (!notes || notes.length === 0) {
+      const entries = Object.entries(store.listNotes() || {});
+      if (entries.length === 0) {
         log('No memory notes found.');
-        return { success: true, count: 0 };
+        return { success: true, count: 0, notes: [] };
       }
+      const notes = store.getNotes(entries.map(([id]) => id)).map((note) => ({
+        id: note.id,
+        type: note.type,
+        lane: note.persistence?.lane || 'durable',
+        keywords: note.keywords || [],
+        preview: preview(note.content)
+      }));
       if (flags.json) return { success: true, count: notes.length, notes };
       log(highlight(`Memory Notes (${notes.length}):`));
       for (const note of notes) {
-        const preview = (note.content || '').slice(0, 80).replace(/\n/g, ' ');
-        log(`  ${highlight(note.id)} [${note.type || 'general'}] ${dim(preview)}`);
+        const lane = note.lane === 'task' ? dim(' (task)') : '';
+        log(`  ${highlight(note.id)} [${note.type || 'general'}]${lane} ${dim(note.preview)}`);
       }
-      return { success: true, count: notes.length };
+      return { success: true, count: notes.length, notes };
     }
 
     case 'show': {
@@ -45,6 +334,10 @@ async function run(args, flags) {
       log(`  Type: ${note.type || 'general'}`);
       log(`  Tags: ${(note.tags || []).join(', ') || 'none'}`);
       log(`  Keywords: ${(note.keywords || []).join(', ') || 'none'}`);
+      log(`  Lane: ${note.persistence?.lane || 'durable'}`);
+      if (note.pack) log(`  Pack: ${note.pack.name}@${note.pack.version || '?'} (read-only)`);
+      logScope(note.scope);
+      log(`  Links: ${(note.links || []).join(', ') || 'none'}`);
       log(`  Created: ${note.createdAt || 'unknown'}`);
       log(`  Updated: ${note.updatedAt || 'unknown'}`);
       log(`\n${note.content}`);
@@ -53,7 +346,9 @@ async function run(args, flags) {
 
     case 'search': {
       const query = args.slice(1).join(' ');
-      if (!query) { error('Usage: liku memory search <query>'); return { success: false }; }
+      if (!query) { error('Usage: liku memory search <query> [--explain]'); return { success: false }; }
+      const recall = await store.prepareNoteRecall(query);
+      if (flags.explain) return explainSearch(store, query, recall, flags);
       const context = store.getMemoryContext(query);
       if (!context) {
         log('No matching notes found.');
@@ -65,27 +360,239 @@ async function run(args, flags) {
     }
 
     case 'stats': {
-      const notes = store.listNotes();
-      const count = notes ? notes.length : 0;
+      const entries = Object.values(store.listNotes() || {});
+      const count = entries.length;
       const byType = {};
-      if (notes) {
-        for (const n of notes) {
-          const t = n.type || 'general';
-          byType[t] = (byType[t] || 0) + 1;
-        }
+      const byLane = {};
+      for (const entry of entries) {
+        const type = entry.type || 'general';
+        const lane = entry.memoryLane || entry.persistence?.lane || 'durable';
+        byType[type] = (byType[type] || 0) + 1;
+        byLane[lane] = (byLane[lane] || 0) + 1;
       }
-      if (flags.json) return { success: true, count, byType };
+      if (flags.json) return { success: true, count, byType, byLane };
       log(highlight('Memory Statistics:'));
       log(`  Total notes: ${count}`);
       for (const [type, ct] of Object.entries(byType)) {
         log(`  ${type}: ${ct}`);
       }
-      return { success: true, count, byType };
+      for (const [lane, ct] of Object.entries(byLane)) {
+        log(`  lane ${lane}: ${ct}`);
+      }
+      return { success: true, count, byType, byLane };
+    }
+
+    case 'add': {
+      const content = args.slice(1).join(' ').trim();
+      if (!content) { error('Usage: liku memory add <content> [--type t] [--keywords a,b] [--lane durable|task] [--dry-run]'); return { success: false }; }
+      const { fields, errors } = parseNoteFlags(flags);
+      if (errors.length) { errors.forEach((message) => error(message)); return { success: false, errors }; }
+      const noteData = { ...fields, content };
+
+      if (isDryRun(flags)) {
+        const plan = store.previewNote(noteData);
+        if (flags.json) return { success: true, dryRun: true, ...plan };
+        log(highlight('Dry run: would add note'));
+        log(`  Type: ${plan.note.type}  Lane: ${plan.note.persistence.lane}`);
+        logScope(plan.note.scope);
+        log(`  ${dim(preview(plan.note.content))}`);
+        logReview(plan.review);
+        return { success: true, dryRun: true, ...plan };
+      }
+
+      const note = store.addNote(noteData);
+      if (flags.json) return { success: true, note };
+      success(`Added ${note.id}`);
+      if (note.persistence?.redactionCount) warn(`${note.persistence.redactionCount} redaction(s) applied before saving.`);
+      return { success: true, note };
+    }
+
+    case 'edit': {
+      const id = args[1];
+      if (!id) { error('Usage: liku memory edit <id> [--content text] [note flags] [--dry-run]'); return { success: false }; }
+      const existing = store.getNote(id);
+      if (!existing) { error(`Note not found: ${id}`); return { success: false }; }
+      if (existing.pack) { error(`${id} is read-only (memory pack ${existing.pack.name}); uninstall the pack to change it`); return { success: false }; }
+      const { fields, errors } = parseNoteFlags(flags);
+      if (flags.content !== undefined) {
+        if (flags.content === true) errors.push('--content needs a value');
+        else fields.content = String(flags.content);
+      }
+      if (errors.length) { errors.forEach((message) => error(message)); return { success: false, errors }; }
+      if (!Object.keys(fields).length) { error('Nothing to change: pass --content or a note flag'); return { success: false }; }
+
+      if (isDryRun(flags)) {
+        const plan = store.previewNote({
+          ...existing,
+          memoryLane: existing.persistence?.lane,
+          ...fields
+        });
+        if (flags.json) return { success: true, dryRun: true, id, changes: Object.keys(fields), ...plan };
+        log(highlight(`Dry run: would update ${id} (${Object.keys(fields).join(', ')})`));
+        logScope(plan.note.scope);
+        log(`  ${dim(preview(plan.note.content))}`);
+        logReview(plan.review);
+        return { success: true, dryRun: true, id, changes: Object.keys(fields), ...plan };
+      }
+
+      const note = store.updateNote(id, fields);
+      if (flags.json) return { success: true, note };
+      success(`Updated ${id}`);
+      return { success: true, note };
+    }
+
+    case 'rm':
+    case 'forget': {
+      const ids = args.slice(1);
+      if (!ids.length) { error('Usage: liku memory rm <id...> [--dry-run]'); return { success: false }; }
+      const index = store.listNotes() || {};
+      const missing = ids.filter((id) => !index[id]);
+      const readOnly = ids.filter((id) => index[id]?.pack);
+      const targets = ids.filter((id) => index[id] && !index[id].pack);
+      const removed = isDryRun(flags) ? [] : targets.filter((id) => store.removeNote(id));
+      const result = {
+        success: missing.length === 0 && readOnly.length === 0,
+        dryRun: isDryRun(flags),
+        removed,
+        ...(isDryRun(flags) ? { wouldRemove: targets } : {}),
+        missing,
+        readOnly
+      };
+      if (flags.json) return result;
+      missing.forEach((id) => error(`Note not found: ${id}`));
+      readOnly.forEach((id) => error(`${id} is read-only (memory pack ${index[id].pack.name})`));
+      if (result.dryRun) log(`Dry run: would remove ${targets.join(', ') || 'nothing'}`);
+      else if (removed.length) success(`Removed ${removed.join(', ')}`);
+      return result;
+    }
+
+    case 'link':
+    case 'unlink': {
+      const [idA, idB] = args.slice(1);
+      if (!idA || !idB) { error(`Usage: liku memory ${subcommand} <id> <id>`); return { success: false }; }
+      const result = subcommand === 'link' ? store.linkNotes(idA, idB) : store.unlinkNotes(idA, idB);
+      if (!result.success) { error(result.error); return result; }
+      if (flags.json) return result;
+      success(`${subcommand === 'link' ? 'Linked' : 'Unlinked'} ${idA} and ${idB}`);
+      return result;
+    }
+
+    case 'export': {
+      const record = getPortability().exportDurableMemory({
+        destinationPath: args[1] || null,
+        cwd: process.cwd(),
+        dryRun: isDryRun(flags)
+      });
+      const result = { success: true, dryRun: isDryRun(flags), ...record };
+      if (flags.json) return result;
+      log(highlight(result.dryRun
+        ? `Dry run: would export ${record.summary.noteCount} durable note(s) to ${record.artifact.filePath}`
+        : `Exported ${record.summary.noteCount} durable note(s) to ${record.artifact.filePath}`));
+      logReview(record.review);
+      return result;
+    }
+
+    case 'import': {
+      const sourcePath = args[1];
+      if (!sourcePath) { error('Usage: liku memory import <path> [--dry-run]'); return { success: false }; }
+      let imported;
+      try {
+        imported = getPortability().importDurableMemory({ sourcePath, cwd: process.cwd(), dryRun: isDryRun(flags) });
+      } catch (err) {
+        error(`Memory import failed: ${err.message}`);
+        return { success: false, error: err.message };
+      }
+      const result = { success: true, ...imported };
+      if (flags.json) return result;
+      log(highlight(imported.dryRun
+        ? `Dry run: would import ${imported.plannedCount} of ${imported.totalNotes} note(s) from ${imported.sourcePath}`
+        : `Imported ${imported.importedCount} of ${imported.totalNotes} note(s) from ${imported.sourcePath}`));
+      if (imported.skippedCount) log(dim(`  Skipped ${imported.skippedCount}: ${imported.skipped.map((entry) => entry.reason).join(', ')}`));
+      logReview(imported.review);
+      return result;
+    }
+
+    case 'gc': {
+      const report = store.collectGarbage({ dryRun: isDryRun(flags) });
+      const result = { success: true, ...report };
+      if (flags.json) return result;
+      log(highlight(report.dryRun ? 'Memory gc (dry run):' : 'Memory gc:'));
+      log(`  Expired notes: ${report.expired.length}`);
+      log(`  Over the ${store.MAX_NOTES}-note limit: ${report.overLimit.length}`);
+      log(`  Index entries without a note file: ${report.missingFiles.length}`);
+      log(`  Note files missing from the index: ${report.orphanFiles.length}`);
+      log(`  Dangling links: ${report.danglingLinks}`);
+      return result;
+    }
+
+    case 'pack':
+      return runPack(args.slice(1), flags);
+
+    case 'consolidate': {
+      const dryRun = isDryRun(flags);
+      const result = await getConsolidator().consolidateMemory({
+        dryRun,
+        requestModel: flags.heuristic ? null : buildReflectionRequest()
+      });
+      if (flags.json) return result;
+      if (result.modelError) warn(`Reflection model unavailable (${result.modelError}); used heuristic mode.`);
+      log(highlight(`Memory consolidation (${result.mode}${dryRun ? ', dry run' : ''}):`));
+      log(`  Notes scanned: ${result.notesScanned}, related clusters: ${result.clusters.length}`);
+      for (const merge of result.merged) {
+        const target = merge.noteId ? `→ ${highlight(merge.noteId)}` : dim('(would merge)');
+        log(`  Merged ${merge.mergedFrom.join(', ')} ${target}`);
+        log(`    ${dim(preview(merge.content))}`);
+      }
+      for (const flag of result.flagged) {
+        log(`  Flagged ${highlight(flag.id)}: ${flag.noteIds.join(' vs ')} — ${flag.reason}`);
+      }
+      if (!result.merged.length && !result.flagged.length) log('  Nothing to consolidate.');
+      else if (result.flagged.length && !dryRun) log(dim('  Review flags with: liku memory review'));
+      return result;
+    }
+
+    case 'review': {
+      const consolidator = getConsolidator();
+      const action = args[1];
+      if (action === 'keep' || action === 'dismiss') {
+        const flagId = args[2];
+        const keep = action === 'keep' ? args[3] : undefined;
+        if (!flagId || (action === 'keep' && !keep)) {
+          error('Usage: liku memory review keep <flag> <noteId> | liku memory review dismiss <flag>');
+          return { success: false };
+        }
+        const result = consolidator.resolveReviewFlag(flagId, { keep });
+        if (!result.success) { error(result.error); return result; }
+        if (flags.json) return result;
+        success(keep
+          ? `Kept ${keep}; removed ${result.removed.join(', ') || 'nothing'}`
+          : `Dismissed ${flagId}`);
+        return result;
+      }
+      if (action) {
+        error(`Unknown review action: ${action}`);
+        return { success: false };
+      }
+
+      const reviewFlags = consolidator.listReviewFlags();
+      if (flags.json) return { success: true, count: reviewFlags.length, flags: reviewFlags };
+      if (!reviewFlags.length) {
+        log('No contradictions awaiting review.');
+        return { success: true, count: 0, flags: reviewFlags };
+      }
+      log(highlight(`Contradictions awaiting review (${reviewFlags.length}):`));
+      for (const flag of reviewFlags) {
+        log(`  ${highlight(flag.id)} ${flag.reason} ${dim(`[${flag.detectedBy}]`)}`);
+        for (const note of store.getNotes(flag.noteIds)) {
+          log(`    ${note.id}: ${dim(preview(note.content))}`);
+        }
+      }
+      return { success: true, count: reviewFlags.length, flags: reviewFlags };
     }
 
     default:
       error(`Unknown subcommand: ${subcommand}`);
-      log('Usage: liku memory [list|show|search|stats]');
+      log('Usage: liku memory [list|show|search|stats|add|edit|rm|link|unlink|export|import|gc|pack|consolidate|review]');
       return { success: false };
   }
 }
@@ -5,6 +5,10 @@
  *   liku skills list              List all registered skills
  *   liku skills search <query>    Find relevant skills for a query
  *   liku skills show <id>         Show skill details
+ *   liku skills macro <id>        Show the skill's macro
+ *     --file <macro.json>         Attach a macro (slots + action template)
+ *     --clear                     Remove the macro
+ *     --test "<message>"          Dry-run routing and slot extraction
  */
 
 const path = require('path');
@@ -15,6 +19,71 @@ function getSkillRouter() {
   return require('../../main/memory/skill-router');
 }
 
+function getSkillMacros() {
+  return require('../../main/memory/skill-macros');
+}
+
+function runMacro(router, id, flags) {
+  if (!id) { error('Usage: liku skills macro <id> [--file <macro.json>|--clear|--test "<message>"]'); return { success: false }; }
+  const entry = router.listSkills()[id];
+  if (!entry) { error(`Skill not found: ${id}`); return { success: false, error: `Skill not found: ${id}` }; }
+
+  if (flags.file || flags.clear) {
+    if (entry.pack) {
+      const message = `Skill ${id} is installed by memory pack ${entry.pack.name}; it is read-only`;
+      error(message);
+      return { success: false, error: message };
+    }
+    let macro = null;
+    if (flags.file) {
+      try {
+        macro = JSON.parse(fs.readFileSync(path.resolve(String(flags.file)), 'utf-8'));
+      } catch (err) {
+        error(`Could not read macro file: ${err.message}`);
+        return { success: false, error: err.message };
+      }
+    }
+    let updated;
+    try {
+      updated = router.setSkillMacro(id, macro);
+    } catch (err) {
+      error(err.message);
+      return { success: false, error: err.message, errors: err.errors || [] };
+    }
+    if (!flags.json) success(macro ? `Macro attached to ${id}` : `Macro removed from ${id}`);
+    return { success: true, id, macro: updated.macro || null };
+  }
+
+  if (flags.test) {
+    const message = String(flags.test);
+    const selection = router.getRelevantSkillsSelection(message, { recordUsage: false });
+    const decision = getSkillMacros().planSkillMacro(selection, message, {
+      windowTitle: flags.window ? String(flags.window) : null,
+      enabled: true
+    });
+    const result = { success: true, id, routedTo: decision.skillId || null, ...decision };
+    if (flags.json) return result;
+    if (decision.ok && decision.skillId === id) {
+      success(`Macro would run (confidence ${decision.confidence})`);
+      log(JSON.stringify(decision.plan, null, 2));
+    } else {
+      log(`Macro would not run: ${decision.reason || `routed to ${decision.skillId}`}`);
+      if (decision.confidence !== undefined) log(`  ${dim(`confidence ${decision.confidence} (min ${decision.minConfidence})`)}`);
+      if (decision.missing?.length) log(`  ${dim(`missing slots: ${decision.missing.join(', ')}`)}`);
+    }
+    return result;
+  }
+
+  if (flags.json) return { success: true, id, macro: entry.macro || null };
+  if (!entry.macro) {
+    log(`Skill ${id} has no macro.`);
+  } else {
+    log(highlight(`Macro: ${id}`));
+    log(JSON.stringify(entry.macro, null, 2));
+  }
+  return { success: true, id, macro: entry.macro || null };
+}
+
 async function run(args, flags) {
   const subcommand = args[0] || 'list';
   const router = getSkillRouter();
@@ -65,13 +134,17 @@ async function run(args, flags) {
       log(`  Tags: ${(entry.tags || []).join(', ') || 'none'}`);
       log(`  Keywords: ${(entry.keywords || []).join(', ') || 'none'}`);
       log(`  Uses: ${entry.useCount || 0}`);
+      if (entry.macro) log(`  Macro: ${Object.keys(entry.macro.slots || {}).join(', ') || 'no slots'} → ${entry.macro.actions.length} action(s)`);
       log(`\n${content}`);
       return { success: true, id, entry, content };
     }
 
+    case 'macro':
+      return runMacro(router, args[1], flags);
+
     default:
       error(`Unknown subcommand: ${subcommand}`);
-      log('Usage: liku skills [list|search|show]');
+      log('Usage: liku skills [list|search|show|macro]');
       return { success: false };
   }
 }
@@ -4,18 +4,82 @@
  * Usage:
  *   liku tools list              List all registered dynamic tools
  *   liku tools proposals         List pending tool proposals
- *   liku tools show <name>       Show tool details
- *   liku tools approve <name>    Approve/promote a tool for execution
+ *   liku tools show <name>       Show tool details and its source validation report
+ *   liku tools approve <name>    Approve/promote a tool and grant its requested capabilities
+ *   liku tools approve <name> --grant fs.read,net.fetch   Grant only the listed capabilities (or "none")
  *   liku tools reject <name>     Reject a proposed tool
  *   liku tools revoke <name>     Revoke tool approval
+ *   liku tools limits <name> [--timeout ms] [--heap mb] [--max-result bytes]   Show or set sandbox limits ("default" resets)
+ *   liku tools stats <name> [--days N]   Success rate and latency percentiles from sandbox run telemetry
+ *   liku tools versions <name>   List stored versions with author/source provenance
+ *   liku tools diff <name> [v1] [v2]     Diff two versions (defaults: previous vs current)
+ *   liku tools rollback <name> <version> Restore a previously promoted version
+ *   liku tools test <name>       Run the tool's declared examples in the sandbox
+ *   liku tools test <name> --grant fs.read   Run them with requested capabilities not granted yet
+ *
+ * Examples run with the tool's granted capabilities only (none for a proposal);
+ * anything else must be named with --grant.
  */
 
+const fs = require('fs');
 const { log, success, error, dim, highlight } = require('../util/output');
 
 function getToolRegistry() {
   return require('../../main/tools/tool-registry');
 }
 
+function getToolCapabilities() {
+  return require('../../main/tools/tool-capabilities');
+}
+
+function validateToolFile(absolutePath) {
+  if (!absolutePath || !fs.existsSync(absolutePath)) return null;
+  return require('../../main/tools/tool-validator').validateToolSource(fs.readFileSync(absolutePath, 'utf-8'));
+}
+
+const LIMIT_FLAGS = { timeout: 'timeoutMs', heap: 'maxHeapMb', 'max-result': 'maxResultBytes' };
+
+function parseLimitFlags(flags) {
+  const limits = {};
+  for (const [flag, key] of Object.entries(LIMIT_FLAGS)) {
+    const value = flags[flag];
+    if (value === undefined || value === true) continue;
+    limits[key] = value === 'default' ? null : value;
+  }
+  return limits;
+}
+
+function formatLimits(limits) {
+  return `timeout ${limits.timeoutMs}ms, heap ${limits.maxHeapMb}MB, max result ${limits.maxResultBytes} bytes`;
+}
+
+function formatMs(value) {
+  return value === null ? '-' : `${value}ms`;
+}
+
+function logExampleCheck(check) {
+  if (check.total === 0) {
+    log(`  ${dim('No examples declared.')}`);
+    return;
+  }
+  log(`  Examples: ${check.total - check.failures.length}/${check.total} passed`);
+  for (const failure of check.failures) {
+    const detail = failure.error
+      ? failure.error
+      : `expected ${JSON.stringify(failure.expected)}, got ${JSON.stringify(failure.actual)}`;
+    log(`    ✗ ${failure.name}: ${detail}`);
+  }
+  if (check.failures.length > 0 && (check.withheld || []).length > 0) {
+    log(`  ${dim(`Ran without: ${check.withheld.join(', ')} (pass --grant ${check.withheld.join(',')} to allow)`)}`);
+  }
+}
+
+function parseGrantFlag(value) {
+  if (value === undefined || value === true) return undefined;
+  const names = String(value).split(',').map((name) => name.trim()).filter(Boolean);
+  return names.length === 1 && names[0] === 'none' ? [] : names;
+}
+
 async function run(args, flags) {
   const subcommand = args[0] || 'list';
   const registry = getToolRegistry();
@@ -34,6 +98,8 @@ async function run(args, flags) {
         const status = entry.status === 'proposed' ? '? proposed' : (entry.approved ? '✓ approved' : '✗ revoked');
         log(`  ${highlight(name)} — ${entry.description || 'no description'} ${dim(`[${status}]`)}`);
         if (entry.invocations) log(`    ${dim(`Invoked ${entry.invocations} time(s)`)}`);
+        const granted = getToolCapabilities().describeCapabilities(entry.grants);
+        if (granted.length > 0) log(`    ${dim(`Granted: ${granted.join('; ')}`)}`);
       }
       return { success: true, count: entries.length };
     }
@@ -58,23 +124,66 @@ async function run(args, flags) {
       if (!name) { error('Usage: liku tools show <name>'); return { success: false }; }
       const lookup = registry.lookupTool(name);
       if (!lookup) { error(`Tool not found: ${name}`); return { success: false }; }
-      if (flags.json) return { success: true, name, entry: lookup.entry };
+      const validation = validateToolFile(lookup.absolutePath);
+      if (flags.json) return { success: true, name, entry: lookup.entry, validation };
       log(highlight(`Tool: ${name}`));
       log(`  Description: ${lookup.entry.description || 'none'}`);
       log(`  Status: ${lookup.entry.status || 'active'}`);
+      if (lookup.entry.version) log(`  Version: v${lookup.entry.version} of ${(lookup.entry.versions || []).length}`);
       log(`  Approved: ${lookup.entry.approved ? 'yes' : 'no'}`);
       log(`  Parameters: ${JSON.stringify(lookup.entry.parameters || {})}`);
+      const { describeCapabilities } = getToolCapabilities();
+      const requested = describeCapabilities(lookup.entry.capabilities);
+      const granted = describeCapabilities(lookup.entry.grants);
+      log(`  Capabilities: ${requested.length ? requested.join('; ') : 'none'}`);
+      log(`  Granted: ${granted.length ? granted.join('; ') : 'none'}`);
+      log(`  Limits: ${formatLimits(require('../../main/tools/sandbox').resolveToolLimits(lookup.entry.limits))}`);
       log(`  Invocations: ${lookup.entry.invocations || 0}`);
       log(`  Path: ${lookup.absolutePath}`);
-      return { success: true, name, entry: lookup.entry };
+      if (!validation) {
+        log(`  Validation: ${dim('source file missing')}`);
+      } else {
+        const summary = validation.valid ? 'passed' : `${validation.findings.length} finding(s)`;
+        log(`  Validation: ${summary} ${dim(`(${validation.parser} parse tree)`)}`);
+        for (const finding of validation.findings) {
+          const where = finding.line ? `${finding.line}:${finding.column}` : '-';
+          log(`    ${dim(where)} ${finding.label}: ${finding.message}`);
+        }
+      }
+      return { success: true, name, entry: lookup.entry, validation };
     }
 
     case 'approve': {
       const name = args[1];
       if (!name) { error('Usage: liku tools approve <name>'); return { success: false }; }
-      const result = registry.approveTool(name);
+      const grant = parseGrantFlag(flags.grant);
+      const lookup = registry.lookupTool(name);
+      const requested = lookup ? Object.keys(lookup.entry.capabilities || {}) : [];
+      const unknown = (grant || []).filter((capability) => !requested.includes(capability));
+      if (unknown.length > 0) {
+        error(`Tool '${name}' did not request: ${unknown.join(', ')}`);
+        return { success: false };
+      }
+      if (lookup && lookup.entry.status === 'proposed' && (lookup.entry.examples || []).length > 0) {
+        const check = await registry.runToolExamples(name, { grant });
+        logExampleCheck(check);
+        if (!check.passed) {
+          error(`Tool '${name}' v${check.version} fails its examples and was not promoted.`);
+          return { success: false, examples: check };
+        }
+      }
+      const result = registry.approveTool(name, { grant });
       if (result.success) {
         success(`Tool '${name}' approved and promoted.`);
+        const granted = getToolCapabilities().describeCapabilities(result.grants);
+        if (granted.length > 0) {
+          log(`  ${dim('Granted:')} ${granted.join('; ')}`);
+        }
+        const withheld = requested.filter((capability) => !(capability in (result.grants || {})));
+        if (withheld.length > 0) {
+          log(`  ${dim('Not granted:')} ${withheld.join(', ')}`);
+        }
+        if (flags.json) return { success: true, name, grants: result.grants };
       } else {
         error(result.error || `Tool not found: ${name}`);
       }
@@ -86,7 +195,9 @@ async function run(args, flags) {
       if (!name) { error('Usage: liku tools reject <name>'); return { success: false }; }
       const result = registry.rejectTool(name);
       if (result.success) {
-        success(`Tool '${name}' rejected and removed.`);
+        success(result.restoredVersion
+          ? `Tool '${name}' proposal rejected; v${result.restoredVersion} restored.`
+          : `Tool '${name}' rejected and removed.`);
       } else {
         error(result.error || `Tool not found: ${name}`);
       }
@@ -105,9 +216,112 @@ async function run(args, flags) {
       return { success: result.success };
     }
 
+    case 'limits': {
+      const name = args[1];
+      if (!name) { error('Usage: liku tools limits <name> [--timeout ms] [--heap mb] [--max-result bytes]'); return { success: false }; }
+      const { resolveToolLimits } = require('../../main/tools/sandbox');
+      const update = parseLimitFlags(flags);
+      let stored;
+      if (Object.keys(update).length > 0) {
+        const result = registry.setToolLimits(name, update);
+        if (!result.success) { error(result.error); return { success: false }; }
+        stored = result.limits;
+      } else {
+        const lookup = registry.lookupTool(name);
+        if (!lookup) { error(`Tool not found: ${name}`); return { success: false }; }
+        stored = lookup.entry.limits || {};
+      }
+      const effective = resolveToolLimits(stored);
+      if (flags.json) return { success: true, name, limits: stored, effective };
+      log(highlight(`Limits for ${name}:`));
+      log(`  ${formatLimits(effective)}`);
+      const defaults = Object.keys(effective).filter((key) => !(key in stored));
+      if (defaults.length > 0) log(`  ${dim(`Defaults: ${defaults.join(', ')}`)}`);
+      return { success: true, name, limits: stored, effective };
+    }
+
+    case 'stats': {
+      const name = args[1];
+      if (!name) { error('Usage: liku tools stats <name> [--days N]'); return { success: false }; }
+      if (!registry.lookupTool(name)) { error(`Tool not found: ${name}`); return { success: false }; }
+      const stats = registry.getToolRunStats(name, { days: flags.days });
+      if (flags.json) return { success: true, ...stats };
+      log(highlight(`Sandbox runs for ${name} (last ${stats.days} day(s)):`));
+      if (stats.runs === 0) {
+        log(`  ${dim('No runs recorded.')}`);
+        return { success: true, ...stats };
+      }
+      log(`  Runs: ${stats.runs}  Success: ${stats.successes} (${stats.successRate}%)  Failed: ${stats.failures}`);
+      log(`  Latency: p50 ${formatMs(stats.latencyMs.p50)}  p90 ${formatMs(stats.latencyMs.p90)}  p99 ${formatMs(stats.latencyMs.p99)}  max ${formatMs(stats.latencyMs.max)}`);
+      if (stats.peakRssKb.max !== null) {
+        log(`  Peak RSS: p50 ${Math.round(stats.peakRssKb.p50 / 1024)}MB  max ${Math.round(stats.peakRssKb.max / 1024)}MB`);
+      }
+      log(`  Exit reasons: ${Object.entries(stats.exitReasons).map(([reason, count]) => `${reason} ${count}`).join(', ')}`);
+      if (stats.truncated > 0) log(`  Truncated results: ${stats.truncated}`);
+      log(`  ${dim(`Last run: ${stats.lastRunAt}`)}`);
+      return { success: true, ...stats };
+    }
+
+    case 'versions': {
+      const name = args[1];
+      if (!name) { error('Usage: liku tools versions <name>'); return { success: false }; }
+      const result = registry.listToolVersions(name);
+      if (!result.success) { error(result.error === 'Tool not found' ? `Tool not found: ${name}` : result.error); return { success: false }; }
+      if (flags.json) return result;
+      log(highlight(`Versions of ${name}:`));
+      if (result.versions.length === 0) log(`  ${dim('No version history (registered before versioning).')}`);
+      for (const record of result.versions) {
+        const marker = record.version === result.current ? '*' : ' ';
+        const examples = record.exampleCheck
+          ? ` examples ${record.exampleCheck.total - record.exampleCheck.failures.length}/${record.exampleCheck.total}`
+          : '';
+        log(`  ${marker} v${record.version} ${record.status} — ${record.author}${record.source ? ` via ${record.source}` : ''} ${dim(`${record.createdAt || ''} ${String(record.sha256 || '').slice(0, 12)}${examples}`)}`);
+      }
+      return result;
+    }
+
+    case 'diff': {
+      const name = args[1];
+      if (!name) { error('Usage: liku tools diff <name> [v1] [v2]'); return { success: false }; }
+      const result = registry.diffToolVersions(name, args[2], args[3]);
+      if (!result.success) { error(result.error === 'Tool not found' ? `Tool not found: ${name}` : result.error); return { success: false }; }
+      if (flags.json) return result;
+      for (const line of result.diff.text.split('\n')) {
+        if (line.startsWith('+++') || line.startsWith('---')) log(highlight(line));
+        else if (line.startsWith('@@')) log(dim(line));
+        else log(line);
+      }
+      log(dim(`${result.diff.additions} addition(s), ${result.diff.deletions} deletion(s)`));
+      return result;
+    }
+
+    case 'rollback': {
+      const name = args[1];
+      if (!name || !args[2]) { error('Usage: liku tools rollback <name> <version>'); return { success: false }; }
+      const result = registry.rollbackTool(name, args[2]);
+      if (!result.success) { error(result.error === 'Tool not found' ? `Tool not found: ${name}` : result.error); return { success: false }; }
+      success(`Tool '${name}' rolled back to v${result.version}${result.previousVersion ? ` (was v${result.previousVersion})` : ''}.`);
+      return result;
+    }
+
+    case 'test': {
+      const name = args[1];
+      if (!name) { error('Usage: liku tools test <name>'); return { success: false }; }
+      const result = await registry.runToolExamples(name, { grant: parseGrantFlag(flags.grant) });
+      if (!result.success) { error(result.error === 'Tool not found' ? `Tool not found: ${name}` : result.error); return { success: false }; }
+      if (flags.json) return { ...result, success: result.passed };
+      log(highlight(`Examples for ${name} v${result.version}:`));
+      logExampleCheck(result);
+      if (result.total > 0) {
+        if (result.passed) success('All examples passed.');
+        else error(`${result.failures.length} example(s) failed.`);
+      }
+      return { ...result, success: result.passed };
+    }
+
     default:
       error(`Unknown subcommand: ${subcommand}`);
-      log('Usage: liku tools [list|proposals|show|approve|reject|revoke]');
+      log('Usage: liku tools [list|proposals|show|approve [--grant <capabilities>]|reject|revoke|limits|stats|versions|diff|rollback|test]');
       return { success: false };
   }
 }
@@ -6,6 +6,7 @@
  */
 
 const EventEmitter = require('events');
+const { AgentCommandPolicy } = require('./command-policy');
 
 // Agent roles enum
 const AgentRole = {
@@ -64,6 +65,11 @@ class BaseAgent extends EventEmitter {
     
     // Model metadata tracking
     this.modelMetadata = options.modelMetadata || null;
+
+    // Per-role provider/model/parameters with fallbacks (see model-routing.js)
+    this.modelRouter = options.modelRouter || null;
+    this.lastModelRoute = null;
+    this.chatTimeoutMs = options.chatTimeoutMs || 60000;
     this.proofChain = [];
     this.toolHistory = [];
     this.metrics = {
@@ -90,6 +96,12 @@ class BaseAgent extends EventEmitter {
     
     // Active processes (for background hygiene)
     this.activeProcesses = new Map();
+
+    // Directory commands run in (e.g. the Builder's session worktree)
+    this.workingDirectory = options.workingDirectory || null;
+
+    // Risk classification, approval and audit for every command this agent runs
+    this.commandPolicy = options.commandPolicy || new AgentCommandPolicy({ projectRoot: options.projectRoot });
   }
 
   // ===== Core Methods (to be overridden by subclasses) =====
@@ -117,19 +129,55 @@ class BaseAgent extends EventEmitter {
     });
 
     const systemPrompt = this.getSystemPrompt();
-    const CHAT_TIMEOUT_MS = 60000;
-
-    const response = await Promise.race([
-      this.aiService.chat(message, {
-        systemPrompt,
-        history: this.conversationHistory,
-        model: options.model,
-        ...options
-      }),
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error(`AI chat timed out after ${CHAT_TIMEOUT_MS / 1000}s`)), CHAT_TIMEOUT_MS)
-      )
-    ]);
+    const CHAT_TIMEOUT_MS = this.chatTimeoutMs;
+
+    // Explicit options (e.g. the Producer's per-phase models) win over the route
+    const explicit = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    const route = this.getModelRoute();
+    const attempts = route ? route.candidates : [null];
+
+    let response = null;
+    let lastError = null;
+    for (let i = 0; i < attempts.length; i++) {
+      const routeOptions = attempts[i] ? this.modelRouter.toChatOptions(route, attempts[i]) : {};
+      // Aborting on timeout cancels the provider request before the next candidate starts
+      const controller = new AbortController();
+      let timer = null;
+      try {
+        response = await Promise.race([
+          this.aiService.chat(message, {
+            systemPrompt,
+            history: this.conversationHistory,
+            signal: controller.signal,
+            ...routeOptions,
+            ...explicit
+          }),
+          new Promise((_, reject) => {
+            timer = setTimeout(() => {
+              const error = new Error(`AI chat timed out after ${CHAT_TIMEOUT_MS / 1000}s`);
+              controller.abort(error);
+              reject(error);
+            }, CHAT_TIMEOUT_MS);
+          })
+        ]);
+        this.lastModelRoute = attempts[i] ? { provider: routeOptions.provider || null, model: routeOptions.model || null, fallback: i } : null;
+        break;
+      } catch (error) {
+        lastError = error;
+        if (i < attempts.length - 1) {
+          this.log('warn', 'Model route failed, trying fallback', {
+            model: routeOptions.model || null,
+            provider: routeOptions.provider || null,
+            error: error.message
+          });
+        }
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+    if (!response) {
+      throw lastError;
+    }
 
     // Add response to history
     this.conversationHistory.push({
@@ -141,6 +189,20 @@ class BaseAgent extends EventEmitter {
     return response;
   }
 
+  /**
+   * Resolved model route for this agent's role, or null when no router is
+   * configured and the AI service's active model is used.
+   */
+  getModelRoute() {
+    if (!this.modelRouter) return null;
+    try {
+      return this.modelRouter.resolve(this.role);
+    } catch (error) {
+      this.log('warn', 'Model routing failed, using the active model', { error: error.message });
+      return null;
+    }
+  }
+
   // ===== Tool Methods =====
 
   async search(query, options = {}) {
@@ -193,11 +255,39 @@ class BaseAgent extends EventEmitter {
     
     this.emit('tool:execute', { command, options });
     
+    // Gate the command before anything is spawned
+    const entry = await this.commandPolicy.authorize({
+      command,
+      cwd: options.cwd || this.workingDirectory || process.cwd(),
+      sessionId: options.sessionId || this.orchestrator?.currentSession?.id || null,
+      agent: this.role,
+      background: !!options.background
+    });
+    if (!entry.allowed) {
+      this.log('warn', 'Command denied by agent policy', { command, reason: entry.reason });
+      this.emit('command', entry);
+      return {
+        error: `Command denied: ${entry.reason}`,
+        stdout: '',
+        stderr: '',
+        success: false,
+        denied: true,
+        ledgerId: entry.id
+      };
+    }
+    
+    const { env, scrubbed } = this.commandPolicy.buildEnv(options.env || process.env);
+    entry.scrubbedEnv = scrubbed;
+    const cwd = entry.cwd;
+    
+    let result;
     try {
       if (options.background) {
         // Background process with PID tracking
         const child = spawn(command, [], {
           shell: true,
+          cwd,
+          env,
           detached: true,
           stdio: ['ignore', 'pipe', 'pipe']
         });
@@ -205,31 +295,38 @@ class BaseAgent extends EventEmitter {
         const pid = child.pid;
         this.activeProcesses.set(pid, { command, startedAt: new Date().toISOString() });
         
-        return {
+        result = {
           pid,
           command,
-          status: 'running'
+          status: 'running',
+          success: true
+        };
+      } else {
+        const { stdout, stderr } = await execAsync(command, {
+          cwd,
+          env,
+          timeout: options.timeout || 60000,
+          maxBuffer: options.maxBuffer || 10 * 1024 * 1024
+        });
+        
+        result = {
+          stdout,
+          stderr,
+          success: true
         };
       }
-      
-      const { stdout, stderr } = await execAsync(command, {
-        timeout: options.timeout || 60000,
-        maxBuffer: options.maxBuffer || 10 * 1024 * 1024
-      });
-      
-      return {
-        stdout,
-        stderr,
-        success: true
-      };
     } catch (error) {
-      return {
+      result = {
         error: error.message,
         stdout: error.stdout,
         stderr: error.stderr,
         success: false
       };
     }
+    
+    this.commandPolicy.complete(entry, result);
+    this.emit('command', entry);
+    return { ...result, ledgerId: entry.id };
   }
 
   // ===== Handoff Methods =====
@@ -389,6 +486,7 @@ class BaseAgent extends EventEmitter {
       activeProcesses: Array.from(this.activeProcesses.entries()),
       conversationLength: this.conversationHistory.length,
       modelMetadata: this.modelMetadata,
+      lastModelRoute: this.lastModelRoute,
       proofChainLength: this.proofChain.length,
       metrics: this.metrics,
       lastActivity: new Date().toISOString()
@@ -400,6 +498,7 @@ class BaseAgent extends EventEmitter {
     this.currentDepth = 0;
     this.subCallCount = 0;
     this.activeProcesses.clear();
+    this.workingDirectory = null;
     this.proofChain = [];
     this.toolHistory = [];
     this.metrics = {
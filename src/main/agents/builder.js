@@ -12,6 +12,8 @@
  */
 
 const { BaseAgent, AgentRole, AgentCapabilities } = require('./base-agent');
+const { applyUnifiedDiff } = require('./patch-apply');
+const { commitAgentWorktree, createAgentWorktree, resolveRepoRoot } = require('./worktree');
 const { PythonBridge } = require('../python-bridge');
 const fs = require('fs');
 const path = require('path');
@@ -40,6 +42,12 @@ class BuilderAgent extends BaseAgent {
     this.attemptCount = 0;
     this.maxAttempts = 3;
 
+    // Patches are applied in a per-session git worktree, never the user's checkout
+    this.useWorktree = options.useWorktree !== false;
+    this.repoRoot = options.repoRoot || null;
+    this.worktree = null;
+    this.patchFuzz = options.patchFuzz;
+
     // PythonBridge for music generation (lazy init via shared singleton)
     this.pythonBridge = null;
   }
@@ -106,6 +114,9 @@ If blocked after 3 attempts:
     try {
       this.enterRecursion();
       
+      // Step 0: Isolate the session in its own worktree
+      this.ensureWorktree(context);
+      
       // Step 1: Probe and understand
       const understanding = await this.probeTarget(task, context);
       
@@ -118,15 +129,30 @@ If blocked after 3 attempts:
       // Step 4: Local verification
       const proofs = await this.runLocalVerification(implementation);
       this.localProofs.push(...proofs);
+      const passed = proofs.every(p => p.passed);
+      
+      // Step 5: Keep verified changes on the session branch, undo the rest
+      let rolledBack = null;
+      if (passed && this.worktree) {
+        this.worktree = commitAgentWorktree(
+          this.worktree,
+          `Builder: ${String(task.description || task).slice(0, 72)}`
+        );
+        this.stateManager?.recordWorktree?.(this.worktree.sessionId, this.worktree);
+      } else if (!passed) {
+        rolledBack = await this.rollback(implementation.rollbackData);
+      }
       
-      // Step 5: Compile results
+      // Step 6: Compile results
       const result = {
-        success: proofs.every(p => p.passed),
+        success: passed,
         diffs: this.diffs,
         proofs: this.localProofs,
         rationale: changePlan.rationale,
         filesModified: implementation.filesModified,
-        suggestedNext: proofs.every(p => p.passed) ? 'verify' : 'supervisor'
+        worktree: this.worktree,
+        rolledBack,
+        suggestedNext: passed ? 'verify' : 'supervisor'
       };
       
       this.exitRecursion();
@@ -158,17 +184,53 @@ If blocked after 3 attempts:
     }
   }
 
+  /**
+   * Create or reuse the session worktree. Without a git repository there is
+   * nowhere safe to apply patches, so diffs are only recorded.
+   * @returns {object|null}
+   */
+  ensureWorktree(context = {}) {
+    const sameSession = !context.sessionId || this.worktree?.sessionId === context.sessionId;
+    if ((this.worktree && sameSession) || !this.useWorktree) {
+      return this.worktree;
+    }
+    
+    const repoRoot = context.repoRoot || this.repoRoot || resolveRepoRoot(process.cwd());
+    if (!repoRoot) {
+      this.log('warn', 'Not inside a git repository; builder diffs will be recorded but not applied');
+      return null;
+    }
+    
+    this.worktree = createAgentWorktree({
+      repoRoot,
+      sessionId: context.sessionId || `builder-${Date.now()}`
+    });
+    this.workingDirectory = this.worktree.path;
+    this.stateManager?.recordWorktree?.(this.worktree.sessionId, this.worktree);
+    this.log('info', 'Builder worktree ready', { path: this.worktree.path, branch: this.worktree.branch });
+    
+    return this.worktree;
+  }
+
+  getWorkspaceRoot() {
+    return this.worktree?.path || process.cwd();
+  }
+
   async probeTarget(task, context) {
     const taskDesc = typeof task === 'string' ? task : task.description;
     
     // Extract file paths from task
     const filePattern = /[a-zA-Z0-9_\-./]+\.(js|ts|jsx|tsx|json|md|py|rs|go)/g;
-    const mentionedFiles = taskDesc.match(filePattern) || [];
+    const failingTests = context.failingTests || [];
+    const mentionedFiles = [...new Set([
+      ...(taskDesc.match(filePattern) || []),
+      ...failingTests.map(test => test.file).filter(Boolean)
+    ])];
     
     // Read mentioned files
     const fileContents = {};
     for (const file of mentionedFiles) {
-      const fullPath = path.isAbsolute(file) ? file : path.join(process.cwd(), file);
+      const fullPath = path.isAbsolute(file) ? file : path.join(this.getWorkspaceRoot(), file);
       if (fs.existsSync(fullPath)) {
         const result = await this.read(fullPath);
         if (!result.error) {
@@ -184,7 +246,10 @@ Task: ${taskDesc}
 
 Files:
 ${Object.entries(fileContents).map(([f, c]) => `--- ${f} ---\n${c.slice(0, 1500)}`).join('\n\n')}
-
+${failingTests.length > 0 ? `
+Failing tests reported by the Verifier:
+${failingTests.map(t => `- ${t.name}${t.file ? ` (${t.file}${t.line ? `:${t.line}` : ''})` : ''}: ${t.message || 'no message'}`).join('\n')}
+` : ''}
 Provide:
 1. What needs to change?
 2. What are the dependencies?
@@ -247,13 +312,6 @@ Provide:
     for (const change of changePlan.changes) {
       try {
         const originalContent = changePlan.understanding.fileContents[change.file];
-        if (originalContent) {
-          rollbackData.push({
-            file: change.file,
-            originalContent,
-            timestamp: new Date().toISOString()
-          });
-        }
         
         // Generate the actual edit
         const prompt = `Generate the exact code change for this modification:
@@ -277,22 +335,57 @@ Provide the change in unified diff format:
         
         // Extract and store diff
         const diffMatch = response.text.match(/```diff\n([\s\S]*?)```/);
-        if (diffMatch) {
-          this.diffs.push({
-            file: change.file,
-            diff: diffMatch[1],
-            timestamp: new Date().toISOString(),
-            modelMetadata: this.modelMetadata,
-            planId: changePlan.planId,
-            rationale: change.description,
-            rollbackAvailable: !!originalContent
-          });
+        if (!diffMatch) {
+          errors.push({ file: change.file, error: 'Model response contained no diff block' });
+          this.addProof('diff', response.text, change.file);
+          continue;
+        }
+        
+        const applied = this.worktree
+          ? applyUnifiedDiff(this.worktree.path, diffMatch[1], { defaultPath: change.file, fuzz: this.patchFuzz })
+          : null;
+        
+        this.diffs.push({
+          file: change.file,
+          diff: diffMatch[1],
+          timestamp: new Date().toISOString(),
+          modelMetadata: this.modelMetadata,
+          planId: changePlan.planId,
+          rationale: change.description,
+          applied: applied ? applied.success : false,
+          rollbackAvailable: !!applied || !!originalContent
+        });
+        this.addProof('diff', diffMatch[1], change.file);
+        
+        if (!applied) {
           filesModified.push(change.file);
+          continue;
         }
         
-        // In a real implementation, we would apply the diff here
-        // For now, we just record it
-        this.addProof('diff', diffMatch?.[1] || response.text, change.file);
+        for (const file of applied.files) {
+          if (file.status === 'rejected') {
+            errors.push({ file: file.path || change.file, error: file.error, hunks: file.hunks });
+            continue;
+          }
+          rollbackData.push({
+            file: file.path,
+            path: file.absolutePath,
+            originalContent: file.originalContent,
+            existed: file.existed,
+            timestamp: new Date().toISOString()
+          });
+          if (!filesModified.includes(file.path)) {
+            filesModified.push(file.path);
+          }
+        }
+        
+        this.addStructuredProof({
+          type: 'patch-apply',
+          file: change.file,
+          applied: applied.applied,
+          rejected: applied.rejected,
+          hunks: applied.files.flatMap(file => file.hunks.map(hunk => ({ file: file.path, ...hunk })))
+        });
         
       } catch (error) {
         errors.push({
@@ -306,16 +399,30 @@ Provide the change in unified diff format:
       filesModified,
       errors,
       diffs: this.diffs,
-      rollbackData
+      rollbackData,
+      workspace: this.worktree?.path || null
     };
   }
 
   async runLocalVerification(implementation) {
     const proofs = [];
+    const cwd = implementation.workspace || undefined;
+    
+    // A patch that did not apply cannot be proven by lint or tests
+    if (implementation.workspace) {
+      proofs.push({
+        type: 'patch',
+        passed: implementation.errors.length === 0 && implementation.filesModified.length > 0,
+        output: implementation.errors.length > 0
+          ? implementation.errors.map(e => `${e.file}: ${e.error}`).join('\n')
+          : `Applied changes to ${implementation.filesModified.length} file(s)`,
+        timestamp: new Date().toISOString()
+      });
+    }
     
     // Run linter if available
     try {
-      const lintResult = await this.execute('npm run lint --if-present 2>&1 || echo "No lint script"', { timeout: 30000 });
+      const lintResult = await this.execute('npm run lint --if-present 2>&1 || echo "No lint script"', { timeout: 30000, cwd });
       proofs.push({
         type: 'lint',
         passed: !lintResult.error && !lintResult.stderr?.includes('error'),
@@ -333,7 +440,7 @@ Provide the change in unified diff format:
     
     // Run type check if TypeScript
     try {
-      const tscResult = await this.execute('npx tsc --noEmit 2>&1 || echo "No TypeScript"', { timeout: 60000 });
+      const tscResult = await this.execute('npx tsc --noEmit 2>&1 || echo "No TypeScript"', { timeout: 60000, cwd });
       proofs.push({
         type: 'typecheck',
         passed: !tscResult.error && !tscResult.stdout?.includes('error'),
@@ -352,9 +459,9 @@ Provide the change in unified diff format:
     // Run unit tests for modified files
     for (const file of implementation.filesModified) {
       const testFile = file.replace(/\.(js|ts)$/, '.test.$1');
-      if (fs.existsSync(testFile)) {
+      if (fs.existsSync(path.resolve(cwd || process.cwd(), testFile))) {
         try {
-          const testResult = await this.execute(`npm test -- --testPathPattern="${path.basename(testFile)}" 2>&1`, { timeout: 60000 });
+          const testResult = await this.execute(`npm test -- --testPathPattern="${path.basename(testFile)}" 2>&1`, { timeout: 60000, cwd });
           proofs.push({
             type: 'unit-test',
             file: testFile,
@@ -400,9 +507,18 @@ Provide the change in unified diff format:
   async rollback(rollbackData) {
     const results = [];
     
-    for (const item of rollbackData) {
+    // Restore in reverse so a file patched twice ends at its first snapshot
+    for (const item of [...rollbackData].reverse()) {
       try {
-        fs.writeFileSync(item.file, item.originalContent);
+        const target = item.path || item.file;
+        if (item.existed === false) {
+          if (fs.existsSync(target)) {
+            fs.unlinkSync(target);
+          }
+        } else {
+          fs.mkdirSync(path.dirname(target), { recursive: true });
+          fs.writeFileSync(target, item.originalContent);
+        }
         results.push({
           file: item.file,
           success: true,
@@ -482,6 +598,7 @@ Provide the change in unified diff format:
     this.localProofs = [];
     this.blockers = [];
     this.attemptCount = 0;
+    this.worktree = null;
   }
 
   // ===== Music Generation Methods (Sprint 3 — Task 3.2) =====
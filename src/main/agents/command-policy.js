@@ -0,0 +1,371 @@
+/**
+ * Agent Command Policy
+ *
+ * Every command an agent runs goes through the same gates as a chat
+ * `run_command` action:
+ * - risk classification (analyzeActionSafety + DANGEROUS_COMMAND_PATTERNS)
+ * - PreToolUse hooks from .github/hooks
+ * - the LIKU_APPROVAL_MODE approval flow, with a per-session allowlist
+ *
+ * On top of that the working directory is confined to the project root, and a
+ * command that reaches outside it (`cd /`, an absolute path, `~`, `../..`)
+ * needs approval even when its risk class would not. Secrets are scrubbed
+ * from the child environment, and each decision is kept in a command ledger
+ * that the orchestrator writes to the session trace.
+ *
+ * The path check reads the command text; it cannot follow variables or
+ * scripts, so a `cd` to anything it cannot resolve counts as outside.
+ */
+
+const os = require('os');
+const path = require('path');
+const { normalizeApprovalMode, readCliFeatureFlags } = require('../../cli/feature-flags');
+
+const COMMAND_TOOL_NAME = 'run_command';
+const MAX_LEDGER_ENTRIES = 500;
+
+// Environment variables never handed to agent commands
+const SECRET_ENV_PATTERN = /(TOKEN|SECRET|PASSWORD|PASSWD|PASSPHRASE|API_?KEY|PRIVATE_?KEY|CREDENTIAL|COOKIE)/i;
+const SECRET_ENV_NAMES = new Set([
+  'AWS_ACCESS_KEY_ID',
+  'SSH_AUTH_SOCK',
+  'GPG_AGENT_INFO',
+  'NPM_CONFIG__AUTH',
+  'DOCKER_AUTH_CONFIG'
+]);
+
+function defaultClassifier(command) {
+  const { analyzeActionSafety, ActionRiskLevel } = require('../ai-service');
+  const { isCommandDangerous } = require('../system-automation');
+
+  const safety = analyzeActionSafety({ type: 'run_command', command }, {});
+  const classification = {
+    riskLevel: safety.riskLevel,
+    requiresConfirmation: !!safety.requiresConfirmation,
+    warnings: [...(safety.warnings || [])]
+  };
+
+  // Patterns the executor itself refuses without confirmation are always critical
+  if (isCommandDangerous(command)) {
+    classification.riskLevel = ActionRiskLevel.CRITICAL;
+    classification.requiresConfirmation = true;
+    if (!classification.warnings.includes('Potentially destructive command')) {
+      classification.warnings.push('Potentially destructive command');
+    }
+  }
+
+  return classification;
+}
+
+function isInside(root, target) {
+  const relative = path.relative(root, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+const CD_COMMANDS = new Set(['cd', 'chdir', 'pushd', 'set-location', 'sl']);
+const SEGMENT_SEPARATOR = /[;&|()\n]+/;
+const WORD_SEPARATOR = /[\s<>]+/;
+const PATH_PREFIX = /^(~|\/|\\|[A-Za-z]:[\\/])|(^|[\\/])\.\.([\\/]|$)/;
+const HOME_VARIABLE = /^(\$\{?HOME\}?|%USERPROFILE%|%HOMEPATH%|\$env:USERPROFILE)/i;
+const WINDOWS_SWITCH = /^\/[A-Za-z?]{1,3}:?$/;
+
+function unquote(word) {
+  return word.replace(/^['"]+|['"]+$/g, '');
+}
+
+function expandHome(value) {
+  return value === '~' || value.startsWith('~/') || value.startsWith('~\\') ? os.homedir() + value.slice(1) : value;
+}
+
+/**
+ * Paths a command names that resolve outside every allowed root, plus `cd`
+ * targets it cannot resolve (`cd $DIR`, `cd -`, a bare `cd`). Relative paths
+ * follow earlier `cd`s in the same command line.
+ * @returns {string[]}
+ */
+function findOutsidePaths(command, cwd, roots) {
+  const outside = [];
+  const inRoots = target => roots.some(root => isInside(root, target));
+  let current = cwd;
+
+  const resolvePath = value => {
+    const expanded = expandHome(value);
+    if (process.platform !== 'win32' && /^([A-Za-z]:[\\/]|\\\\)/.test(expanded)) return null;
+    return path.resolve(current, expanded);
+  };
+
+  for (const segment of String(command).split(SEGMENT_SEPARATOR)) {
+    const words = segment.split(WORD_SEPARATOR).map(unquote).filter(Boolean);
+    if (!words.length) continue;
+
+    if (CD_COMMANDS.has(words[0].toLowerCase())) {
+      const target = words.slice(1).find(word => !word.startsWith('-') || word === '-');
+      const resolved = target && !/[$%`]/.test(target) && target !== '-' ? resolvePath(target) : null;
+      if (!resolved || !inRoots(resolved)) {
+        outside.push(target || '~');
+      } else {
+        current = resolved;
+      }
+      continue;
+    }
+
+    for (const word of words.slice(1)) {
+      const value = word.includes('=') ? word.slice(word.indexOf('=') + 1) : word;
+      if (HOME_VARIABLE.test(value)) {
+        outside.push(value);
+        continue;
+      }
+      if (!PATH_PREFIX.test(value)) continue;
+      if (process.platform === 'win32' && WINDOWS_SWITCH.test(value)) continue;
+      const resolved = resolvePath(value);
+      if (!resolved || !inRoots(resolved)) outside.push(value);
+    }
+  }
+
+  return [...new Set(outside)];
+}
+
+function resolveDefaultProjectRoot() {
+  try {
+    const { resolveRepoRoot } = require('./worktree');
+    return resolveRepoRoot(process.cwd()) || process.cwd();
+  } catch {
+    return process.cwd();
+  }
+}
+
+class AgentCommandPolicy {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.projectRoot] Commands may only run inside this directory, and need approval to name paths outside it (default: git toplevel of cwd)
+   * @param {string[]} [options.allowedRoots] Extra directories commands may run in
+   * @param {string} [options.approvalMode] prompt | auto | never (default: LIKU_APPROVAL_MODE)
+   * @param {Function} [options.approve] async ({ command, cwd, agent, riskLevel, warnings }) => true | false | 'session'
+   * @param {Array<string|RegExp>} [options.allowlist] Commands allowed in every session without approval
+   * @param {object} [options.hookRunner] `{ runPreToolUseHook, runPostToolUseHook }` (default: tools/hook-runner)
+   * @param {Function} [options.classify] command => { riskLevel, requiresConfirmation, warnings }
+   * @param {string[]} [options.envPassthrough] Secret-looking variables to keep anyway
+   */
+  constructor(options = {}) {
+    this.projectRoot = path.resolve(options.projectRoot || resolveDefaultProjectRoot());
+    this.allowedRoots = [this.projectRoot, ...(options.allowedRoots || []).map(root => path.resolve(root))];
+    this.approvalMode = normalizeApprovalMode(options.approvalMode || readCliFeatureFlags(options.env || process.env).approvalMode);
+    this.approve = typeof options.approve === 'function' ? options.approve : null;
+    this.allowlist = [...(options.allowlist || [])];
+    this.sessionAllowlists = new Map();
+    this.hookRunner = options.hookRunner || null;
+    this.classify = typeof options.classify === 'function' ? options.classify : defaultClassifier;
+    this.envPassthrough = new Set(options.envPassthrough || []);
+    this.ledger = [];
+  }
+
+  // ===== Allowlist =====
+
+  allowForSession(sessionId, pattern) {
+    const key = sessionId || 'default';
+    if (!this.sessionAllowlists.has(key)) {
+      this.sessionAllowlists.set(key, []);
+    }
+    this.sessionAllowlists.get(key).push(pattern);
+  }
+
+  isAllowlisted(sessionId, command) {
+    const entries = [...this.allowlist, ...(this.sessionAllowlists.get(sessionId || 'default') || [])];
+    return entries.some(entry => entry instanceof RegExp ? entry.test(command) : entry === command);
+  }
+
+  // ===== Gates =====
+
+  getHookRunner() {
+    if (!this.hookRunner) {
+      this.hookRunner = require('../tools/hook-runner');
+    }
+    return this.hookRunner;
+  }
+
+  resolveCwd(cwd) {
+    const resolved = path.resolve(this.projectRoot, cwd || '.');
+    return {
+      cwd: resolved,
+      confined: this.allowedRoots.some(root => isInside(root, resolved))
+    };
+  }
+
+  /**
+   * Decide whether a command may run. Always returns a ledger entry; the
+   * caller checks `entry.allowed` and reports the outcome via `complete()`.
+   * @param {object} request
+   * @param {string} request.command
+   * @param {string} [request.cwd]
+   * @param {string} [request.sessionId]
+   * @param {string} [request.agent] Role of the requesting agent
+   * @returns {Promise<object>} Ledger entry
+   */
+  async authorize(request = {}) {
+    const command = String(request.command || '');
+    const { cwd, confined } = this.resolveCwd(request.cwd);
+    const entry = {
+      id: `cmd-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`,
+      timestamp: new Date().toISOString(),
+      sessionId: request.sessionId || null,
+      agent: request.agent || null,
+      command,
+      cwd,
+      background: !!request.background,
+      approvalMode: this.approvalMode,
+      riskLevel: null,
+      warnings: [],
+      allowed: false,
+      decision: 'denied',
+      reason: null,
+      approvedBy: null
+    };
+    this._record(entry);
+
+    if (!command.trim()) {
+      entry.reason = 'Empty command';
+      return entry;
+    }
+
+    if (!confined) {
+      entry.reason = `Working directory is outside the project root: ${cwd}`;
+      return entry;
+    }
+
+    const classification = this.classify(command);
+    entry.riskLevel = classification.riskLevel;
+    entry.warnings = [...(classification.warnings || [])];
+
+    // Reaching outside the project always needs a human, whatever the risk class
+    const outsidePaths = findOutsidePaths(command, cwd, this.allowedRoots);
+    if (outsidePaths.length) {
+      entry.outsidePaths = outsidePaths;
+      entry.warnings.push(`References paths outside the project root: ${outsidePaths.join(', ')}`);
+      if (entry.riskLevel !== 'CRITICAL') {
+        entry.riskLevel = 'HIGH';
+      }
+    }
+    const requiresConfirmation = classification.requiresConfirmation || outsidePaths.length > 0;
+
+    const hook = this.getHookRunner().runPreToolUseHook(COMMAND_TOOL_NAME, {
+      command,
+      cwd,
+      agentType: entry.agent
+    });
+    if (hook.denied) {
+      entry.reason = `Denied by PreToolUse hook: ${hook.reason}`;
+      return entry;
+    }
+
+    if (!requiresConfirmation) {
+      return this._allow(entry, 'policy');
+    }
+    if (this.isAllowlisted(entry.sessionId, command)) {
+      return this._allow(entry, 'allowlist');
+    }
+    if (this.approvalMode === 'never') {
+      entry.reason = `${entry.riskLevel} command needs approval and approval mode is "never"`;
+      return entry;
+    }
+    // Auto mode never waives confirmation for critical commands, same as chat,
+    // nor for commands that leave the project root
+    if (this.approvalMode === 'auto' && entry.riskLevel !== 'CRITICAL' && !outsidePaths.length) {
+      return this._allow(entry, 'auto');
+    }
+    if (!this.approve) {
+      entry.reason = `${entry.riskLevel} command needs approval and no approver is available`;
+      return entry;
+    }
+
+    let answer = false;
+    try {
+      answer = await this.approve({
+        command,
+        cwd,
+        agent: entry.agent,
+        sessionId: entry.sessionId,
+        riskLevel: entry.riskLevel,
+        warnings: entry.warnings
+      });
+    } catch (error) {
+      entry.reason = `Approval failed: ${error.message}`;
+      return entry;
+    }
+
+    if (answer === 'session') {
+      this.allowForSession(entry.sessionId, command);
+      return this._allow(entry, 'user-session');
+    }
+    if (answer === true) {
+      return this._allow(entry, 'user');
+    }
+    entry.reason = 'Rejected by user';
+    return entry;
+  }
+
+  /**
+   * Record how an allowed command finished and run PostToolUse hooks.
+   */
+  complete(entry, result = {}) {
+    entry.completedAt = new Date().toISOString();
+    entry.durationMs = Date.parse(entry.completedAt) - Date.parse(entry.timestamp);
+    entry.success = !!result.success;
+    if (result.pid) {
+      entry.pid = result.pid;
+    }
+    if (result.error) {
+      entry.error = String(result.error).slice(0, 500);
+    }
+
+    // Audit hooks are non-fatal
+    try {
+      this.getHookRunner().runPostToolUseHook(COMMAND_TOOL_NAME, { command: entry.command, cwd: entry.cwd, agentType: entry.agent }, {
+        success: entry.success,
+        error: entry.error
+      });
+    } catch { /* audit logging is best-effort */ }
+
+    return entry;
+  }
+
+  /**
+   * Copy of the environment with secret-looking variables removed.
+   * @returns {{env: object, scrubbed: string[]}}
+   */
+  buildEnv(baseEnv = process.env) {
+    const env = {};
+    const scrubbed = [];
+    for (const [name, value] of Object.entries(baseEnv)) {
+      if (!this.envPassthrough.has(name) && (SECRET_ENV_NAMES.has(name) || SECRET_ENV_PATTERN.test(name))) {
+        scrubbed.push(name);
+        continue;
+      }
+      env[name] = value;
+    }
+    return { env, scrubbed: scrubbed.sort() };
+  }
+
+  getLedger(sessionId) {
+    return sessionId ? this.ledger.filter(entry => entry.sessionId === sessionId) : [...this.ledger];
+  }
+
+  _allow(entry, approvedBy) {
+    entry.allowed = true;
+    entry.decision = 'allowed';
+    entry.approvedBy = approvedBy;
+    return entry;
+  }
+
+  _record(entry) {
+    this.ledger.push(entry);
+    if (this.ledger.length > MAX_LEDGER_ENTRIES) {
+      this.ledger.splice(0, this.ledger.length - MAX_LEDGER_ENTRIES);
+    }
+  }
+}
+
+module.exports = {
+  AgentCommandPolicy,
+  COMMAND_TOOL_NAME,
+  findOutsidePaths
+};
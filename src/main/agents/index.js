@@ -26,6 +26,12 @@ const { attachSelfHealingScheduler, buildTickHealthNotification, buildFlappingNo
 const { attachFleetDegradationNotifier, buildDegradationNotification } = require('./fleet-degradation-notifier');
 const { AgentStateManager } = require('./state-manager');
 const { TraceWriter } = require('./trace-writer');
+const { AgentCommandPolicy } = require('./command-policy');
+const { AgentModelRouter, loadAgentModelConfig } = require('./model-routing');
+const { applyUnifiedDiff } = require('./patch-apply');
+const { detectTestRunner, parseTestReport } = require('./test-results');
+const { createAgentWorktree, mergeAgentWorktree, removeAgentWorktree } = require('./worktree');
+const { createTaskGraph, renderTaskGraphText, renderTaskGraphDot } = require('./task-graph');
 
 module.exports = {
   AgentOrchestrator,
@@ -50,6 +56,18 @@ module.exports = {
   buildDegradationNotification,
   AgentStateManager,
   TraceWriter,
+  AgentCommandPolicy,
+  AgentModelRouter,
+  loadAgentModelConfig,
+  applyUnifiedDiff,
+  createAgentWorktree,
+  mergeAgentWorktree,
+  removeAgentWorktree,
+  detectTestRunner,
+  parseTestReport,
+  createTaskGraph,
+  renderTaskGraphText,
+  renderTaskGraphDot,
   
   // Factory function for creating configured orchestrator
   createAgentSystem: (aiService, options = {}) => {
@@ -64,9 +82,16 @@ module.exports = {
     const orchestrator = new AgentOrchestrator({
       stateManager,
       aiService: aiService,
+      commandPolicy: options.commandPolicy,
+      projectRoot: options.projectRoot,
+      approvalMode: options.approvalMode,
+      approveCommand: options.approveCommand,
+      modelRouter: options.modelRouter,
+      modelConfigPath: options.modelConfigPath,
       maxRecursionDepth: options.maxRecursionDepth || 3,
       maxSubCalls: options.maxSubCalls || 10,
       enableLongContext: options.enableLongContext !== false,
+      maxConcurrency: options.maxConcurrency,
       // Phase 9: persist peripheral tasks/notifications by default (durable across
       // restarts). Flag-gated at the store level, so inert unless peripherals on.
       persistPeripheralTasks: options.persistPeripheralTasks !== false,
@@ -0,0 +1,394 @@
+/**
+ * Agent Model Routing
+ *
+ * Maps each agent role to a provider, model and generation parameters so a
+ * cheap model can chunk research while a stronger one plans. Routes are read
+ * from ~/.liku/agent-models.json:
+ *
+ *   {
+ *     "defaults": { "provider": "copilot", "maxTokens": 4096 },
+ *     "roles": {
+ *       "supervisor": { "model": "claude-opus-4.6", "fallbacks": ["claude-sonnet-4.5"] },
+ *       "researcher": { "model": "gpt-4o-mini", "maxTokens": 1024, "phase": "execution" },
+ *       "builder": { "provider": "openai", "model": "gpt-4.1", "temperature": 0.2 }
+ *     }
+ *   }
+ *
+ * Unset fields inherit from `defaults`, then from the active provider and
+ * model. Temperature comes from the role's phase in phase-params.js unless
+ * set explicitly, and is dropped for reasoning models. Invalid entries are
+ * reported in `errors`; a broken file never stops the agents from running.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LIKU_HOME } = require('../../shared/liku-home');
+const { PHASE_PARAMS, getPhaseParams } = require('../ai-service/providers/phase-params');
+const { BUILTIN_PROVIDER_NAMES, loadProviderEndpointConfig } = require('../ai-service/providers/endpoint-config');
+const {
+  COPILOT_MODELS,
+  canonicalizeModelKey,
+  inferPremiumMultiplier,
+  inferRecommendationTags
+} = require('../ai-service/providers/copilot/model-registry');
+const { AgentRole } = require('./base-agent');
+
+const AGENT_MODEL_CONFIG_FILENAME = 'agent-models.json';
+// The Producer keeps its own per-phase music models
+const ROUTED_ROLES = [AgentRole.SUPERVISOR, AgentRole.BUILDER, AgentRole.VERIFIER, AgentRole.RESEARCHER];
+const MAX_FALLBACKS = 4;
+
+// Planning explores, implementation and verification stay deterministic
+const DEFAULT_ROLE_PHASES = {
+  [AgentRole.SUPERVISOR]: 'planning',
+  [AgentRole.BUILDER]: 'execution',
+  [AgentRole.VERIFIER]: 'execution',
+  [AgentRole.RESEARCHER]: 'reflection'
+};
+
+function getAgentModelConfigPath(likuHome = LIKU_HOME) {
+  return path.join(likuHome, AGENT_MODEL_CONFIG_FILENAME);
+}
+
+function normalizeText(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Validate the fields shared by role entries, defaults and fallbacks.
+ * @throws {Error} When a field has the wrong type or range
+ */
+function normalizeRouteFields(entry, { providers }) {
+  const route = {};
+
+  if (entry.provider !== undefined && entry.provider !== null) {
+    const provider = normalizeText(entry.provider);
+    if (!providers.has(provider)) {
+      throw new Error(`unknown provider "${entry.provider}" (known: ${[...providers].join(', ')})`);
+    }
+    route.provider = provider;
+  }
+  if (entry.model !== undefined && entry.model !== null) {
+    const model = normalizeText(entry.model);
+    if (!model) {
+      throw new Error('model must be a non-empty string');
+    }
+    route.model = model;
+  }
+  if (entry.temperature !== undefined && entry.temperature !== null) {
+    const temperature = Number(entry.temperature);
+    if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+      throw new Error(`temperature must be a number between 0 and 2 (got ${entry.temperature})`);
+    }
+    route.temperature = temperature;
+  }
+  if (entry.maxTokens !== undefined && entry.maxTokens !== null) {
+    const maxTokens = Number(entry.maxTokens);
+    if (!Number.isInteger(maxTokens) || maxTokens <= 0) {
+      throw new Error(`maxTokens must be a positive integer (got ${entry.maxTokens})`);
+    }
+    route.maxTokens = maxTokens;
+  }
+  if (entry.phase !== undefined && entry.phase !== null) {
+    if (!PHASE_PARAMS[entry.phase]) {
+      throw new Error(`phase must be one of ${Object.keys(PHASE_PARAMS).join(', ')} (got ${entry.phase})`);
+    }
+    route.phase = entry.phase;
+  }
+
+  return route;
+}
+
+function normalizeRoleEntry(entry, options) {
+  const source = typeof entry === 'string' ? { model: entry } : entry;
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    throw new Error('role entry must be an object or a model name');
+  }
+
+  const route = normalizeRouteFields(source, options);
+  const fallbacks = source.fallbacks === undefined ? [] : source.fallbacks;
+  if (!Array.isArray(fallbacks)) {
+    throw new Error('fallbacks must be an array');
+  }
+  if (fallbacks.length > MAX_FALLBACKS) {
+    throw new Error(`at most ${MAX_FALLBACKS} fallbacks are allowed`);
+  }
+  route.fallbacks = fallbacks.map((fallback, index) => {
+    const fallbackSource = typeof fallback === 'string' ? { model: fallback } : fallback;
+    if (!fallbackSource || typeof fallbackSource !== 'object' || Array.isArray(fallbackSource)) {
+      throw new Error(`fallbacks[${index}] must be an object or a model name`);
+    }
+    try {
+      return normalizeRouteFields(fallbackSource, options);
+    } catch (error) {
+      throw new Error(`fallbacks[${index}]: ${error.message}`);
+    }
+  });
+
+  return route;
+}
+
+/**
+ * Normalize a parsed agent-models.json document.
+ *
+ * @param {object} document
+ * @param {{ providers: Set<string> }} options
+ * @returns {{ defaults: object, roles: object, errors: string[] }}
+ */
+function normalizeAgentModelConfig(document, options) {
+  const errors = [];
+  const roles = {};
+  let defaults = {};
+
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return { defaults, roles, errors: ['agent model config must be a JSON object'] };
+  }
+
+  if (document.defaults !== undefined) {
+    try {
+      if (!document.defaults || typeof document.defaults !== 'object' || Array.isArray(document.defaults)) {
+        throw new Error('must be an object');
+      }
+      defaults = normalizeRouteFields(document.defaults, options);
+    } catch (error) {
+      errors.push(`defaults: ${error.message}`);
+    }
+  }
+
+  for (const [role, entry] of Object.entries(document.roles || {})) {
+    if (!ROUTED_ROLES.includes(role)) {
+      errors.push(`${role}: unknown agent role (known: ${ROUTED_ROLES.join(', ')})`);
+      continue;
+    }
+    try {
+      roles[role] = normalizeRoleEntry(entry, options);
+    } catch (error) {
+      errors.push(`${role}: ${error.message}`);
+    }
+  }
+
+  return { defaults, roles, errors };
+}
+
+/**
+ * Load role routes from the Liku home. A missing file is not an error — the
+ * agents then use the active provider and model with per-role phases.
+ *
+ * @param {{ likuHome?: string, configPath?: string, providers?: Iterable<string> }} [options]
+ * @returns {{ configPath: string, exists: boolean, defaults: object, roles: object, errors: string[] }}
+ */
+function loadAgentModelConfig({ likuHome = LIKU_HOME, configPath, providers } = {}) {
+  const filePath = configPath || getAgentModelConfigPath(likuHome);
+  const empty = { configPath: filePath, defaults: {}, roles: {} };
+  if (!fs.existsSync(filePath)) {
+    return { ...empty, exists: false, errors: [] };
+  }
+
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    return { ...empty, exists: true, errors: [`could not parse ${AGENT_MODEL_CONFIG_FILENAME}: ${error.message}`] };
+  }
+
+  const providerNames = new Set(providers || defaultProviderNames(likuHome));
+  return { configPath: filePath, exists: true, ...normalizeAgentModelConfig(document, { providers: providerNames }) };
+}
+
+function defaultProviderNames(likuHome) {
+  const names = new Set(BUILTIN_PROVIDER_NAMES);
+  try {
+    for (const endpoint of loadProviderEndpointConfig({ likuHome }).endpoints) {
+      names.add(endpoint.name);
+    }
+  } catch { /* endpoint config is optional */ }
+  return names;
+}
+
+function staticModelList() {
+  return Object.entries(COPILOT_MODELS).map(([key, value]) => ({
+    id: key,
+    capabilities: { ...(value.capabilities || {}) },
+    premiumMultiplier: inferPremiumMultiplier(value.id || key),
+    recommendationTags: inferRecommendationTags(value.id || key)
+  }));
+}
+
+class AgentModelRouter {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.configPath] Defaults to ~/.liku/agent-models.json
+   * @param {object} [options.config] Already-loaded config (skips the file)
+   * @param {Function} [options.listModels] () => [{ id, capabilities, premiumMultiplier, recommendationTags }] (default: static Copilot registry)
+   * @param {Iterable<string>} [options.providers] Provider names a route may use
+   * @param {Function} [options.getCurrentProvider] Shown for routes that inherit the provider
+   * @param {Function} [options.getCurrentModel] Shown for routes that inherit the model
+   */
+  constructor(options = {}) {
+    this.config = options.config || loadAgentModelConfig({
+      configPath: options.configPath,
+      providers: options.providers
+    });
+    this.listModels = typeof options.listModels === 'function' ? options.listModels : staticModelList;
+    this.getCurrentProvider = typeof options.getCurrentProvider === 'function' ? options.getCurrentProvider : () => null;
+    this.getCurrentModel = typeof options.getCurrentModel === 'function' ? options.getCurrentModel : () => null;
+  }
+
+  findModel(modelKey) {
+    if (!modelKey) return null;
+    const canonical = canonicalizeModelKey(modelKey);
+    try {
+      const models = this.listModels();
+      return models.find(model => model.id === modelKey)
+        || models.find(model => model.id === canonical)
+        || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Resolve the ordered candidates for a role: its primary route followed
+   * by its fallbacks, each with effective generation parameters.
+   * @param {string} role
+   * @returns {{ role, source, phase, candidates: object[], warnings: string[] }|null} null for roles that are not routed
+   */
+  resolve(role) {
+    if (!ROUTED_ROLES.includes(role)) return null;
+    const roleEntry = this.config.roles[role] || null;
+    const defaults = this.config.defaults || {};
+    const phase = roleEntry?.phase || defaults.phase || DEFAULT_ROLE_PHASES[role] || 'execution';
+    const warnings = [];
+
+    const primary = { ...defaults, ...(roleEntry || {}) };
+    delete primary.fallbacks;
+    const entries = [primary, ...(roleEntry?.fallbacks || []).map(fallback => ({ ...primary, ...fallback }))];
+
+    const candidates = entries.map((entry, index) => {
+      const candidate = this.buildCandidate(entry, phase);
+      const label = index === 0 ? role : `${role} fallback ${index}`;
+      candidate.warnings.forEach(warning => warnings.push(`${label}: ${warning}`));
+      delete candidate.warnings;
+      return candidate;
+    });
+
+    return {
+      role,
+      source: roleEntry ? 'config' : (Object.keys(defaults).length > 0 ? 'defaults' : 'built-in'),
+      phase,
+      candidates,
+      warnings
+    };
+  }
+
+  buildCandidate(entry, phase) {
+    const warnings = [];
+    const provider = entry.provider || null;
+    const model = entry.model || null;
+    const usesRegistry = !provider || provider === 'copilot' || provider === 'copilotSession';
+    const registryEntry = usesRegistry ? this.findModel(model) : null;
+    const capabilities = registryEntry?.capabilities || null;
+
+    if (model && usesRegistry && !registryEntry) {
+      warnings.push(`model "${model}" is not in the model registry`);
+    } else if (registryEntry && registryEntry.id !== model.toLowerCase()) {
+      warnings.push(`model "${model}" resolves to "${registryEntry.id}"`);
+    }
+
+    const phaseParams = getPhaseParams(phase, capabilities);
+    let temperature = phaseParams.temperature;
+    if (entry.temperature !== undefined) {
+      if (capabilities?.reasoning) {
+        warnings.push(`temperature is ignored for reasoning model "${model}"`);
+      } else {
+        temperature = entry.temperature;
+      }
+    }
+
+    // Only explicit settings become request overrides; the phase is sent separately
+    const requestOptions = {};
+    if (entry.temperature !== undefined && !capabilities?.reasoning) {
+      requestOptions.temperature = entry.temperature;
+    }
+    if (entry.maxTokens !== undefined) {
+      requestOptions.max_tokens = entry.maxTokens;
+    }
+
+    return {
+      provider,
+      model: registryEntry ? registryEntry.id : model,
+      temperature: temperature === undefined ? null : temperature,
+      maxTokens: entry.maxTokens || null,
+      cost: registryEntry ? describeCost(registryEntry) : null,
+      requestOptions,
+      warnings
+    };
+  }
+
+  /**
+   * Options for `aiService.chat()` for one candidate. A candidate that pins a
+   * provider or model turns off the service's own provider fallback, so a
+   * failure reaches the role's fallbacks instead of the default model.
+   */
+  toChatOptions(route, candidate) {
+    const options = { phase: route.phase };
+    if (candidate.provider) options.provider = candidate.provider;
+    if (candidate.model) options.model = candidate.model;
+    if (candidate.provider || candidate.model) options.providerFallback = false;
+    if (Object.keys(candidate.requestOptions).length > 0) {
+      options.requestOptions = { ...candidate.requestOptions };
+    }
+    return options;
+  }
+
+  /**
+   * Effective routing for every role, for `liku agent status`.
+   */
+  describe() {
+    const currentProvider = safeCall(this.getCurrentProvider);
+    const currentModel = safeCall(this.getCurrentModel);
+    return {
+      configPath: this.config.configPath || null,
+      configExists: !!this.config.exists,
+      errors: [...(this.config.errors || [])],
+      routes: ROUTED_ROLES.map(role => {
+        const route = this.resolve(role);
+        return {
+          ...route,
+          candidates: route.candidates.map(candidate => ({
+            ...candidate,
+            provider: candidate.provider || currentProvider,
+            model: candidate.model || currentModel,
+            inherited: !candidate.provider || !candidate.model
+          }))
+        };
+      })
+    };
+  }
+}
+
+function describeCost(model) {
+  const tags = model.recommendationTags || [];
+  return {
+    tier: tags.includes('budget') ? 'budget' : 'standard',
+    premiumMultiplier: model.premiumMultiplier ?? 1
+  };
+}
+
+function safeCall(fn) {
+  try {
+    return fn() || null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  AgentModelRouter,
+  AGENT_MODEL_CONFIG_FILENAME,
+  DEFAULT_ROLE_PHASES,
+  ROUTED_ROLES,
+  getAgentModelConfigPath,
+  loadAgentModelConfig,
+  normalizeAgentModelConfig
+};
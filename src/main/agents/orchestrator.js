@@ -18,6 +18,8 @@ const { VerifierAgent } = require('./verifier');
 const { ProducerAgent } = require('./producer');
 const { ResearcherAgent } = require('./researcher');
 const { AgentStateManager } = require('./state-manager');
+const { AgentCommandPolicy } = require('./command-policy');
+const { AgentModelRouter } = require('./model-routing');
 const { AgentRole } = require('./base-agent');
 
 class AgentOrchestrator extends EventEmitter {
@@ -27,10 +29,27 @@ class AgentOrchestrator extends EventEmitter {
     this.stateManager = options.stateManager || new AgentStateManager();
     this.aiService = options.aiService;
     
+    // One command policy for all agents so session approvals and the ledger are shared
+    this.commandPolicy = options.commandPolicy || new AgentCommandPolicy({
+      projectRoot: options.projectRoot,
+      approvalMode: options.approvalMode,
+      approve: options.approveCommand
+    });
+    
+    // Per-role provider/model routing from ~/.liku/agent-models.json
+    this.modelRouter = options.modelRouter || new AgentModelRouter({
+      configPath: options.modelConfigPath,
+      listModels: this.aiService?.getCopilotModels,
+      getCurrentProvider: () => this.aiService?.getStatus?.()?.provider,
+      getCurrentModel: this.aiService?.getCurrentCopilotModel
+    });
+    
     // Configuration
     this.maxRecursionDepth = options.maxRecursionDepth || 3;
     this.maxSubCalls = options.maxSubCalls || 10;
     this.enableLongContext = options.enableLongContext !== false;
+    // How many independent plan subtasks the Supervisor runs at once
+    this.maxConcurrency = options.maxConcurrency;
     // Phase 9: durable persistence of peripheral tasks/notifications on the
     // Supervisor. Opt-in; the factory enables it for the production system.
     this.persistPeripheralTasks = options.persistPeripheralTasks === true;
@@ -64,13 +83,15 @@ class AgentOrchestrator extends EventEmitter {
       aiService: this.aiService,
       stateManager: this.stateManager,
       orchestrator: this,
+      commandPolicy: this.commandPolicy,
+      modelRouter: this.modelRouter,
       maxRecursionDepth: this.maxRecursionDepth,
       maxSubCalls: this.maxSubCalls,
       modelMetadata
     };
     
     // Create one instance of each agent type
-    this.agents.set(AgentRole.SUPERVISOR, new SupervisorAgent({ ...commonOptions, persistTasks: this.persistPeripheralTasks, ...this._escalationOptions }));
+    this.agents.set(AgentRole.SUPERVISOR, new SupervisorAgent({ ...commonOptions, maxConcurrency: this.maxConcurrency, persistTasks: this.persistPeripheralTasks, ...this._escalationOptions }));
     this.agents.set(AgentRole.BUILDER, new BuilderAgent(commonOptions));
     this.agents.set(AgentRole.VERIFIER, new VerifierAgent(commonOptions));
     this.agents.set(AgentRole.RESEARCHER, new ResearcherAgent(commonOptions));
@@ -84,6 +105,7 @@ class AgentOrchestrator extends EventEmitter {
       agent.on('log', (entry) => this.emit('agent:log', entry));
       agent.on('proof', (proof) => this.emit('agent:proof', proof));
       agent.on('handoff', (handoff) => this.emit('agent:handoff', handoff));
+      agent.on('command', (entry) => this.emit('agent:command', entry));
     }
   }
 
@@ -188,6 +210,65 @@ class AgentOrchestrator extends EventEmitter {
     }
   }
 
+  /**
+   * Continue a session whose Supervisor task graph did not finish, e.g.
+   * because the process died mid-run. Completed nodes are not run again.
+   */
+  async resume(sessionId, options = {}) {
+    const stored = this.stateManager.getSession(sessionId);
+    if (!stored) {
+      return { success: false, error: `Session not found: ${sessionId}`, session: sessionId, handoffs: [] };
+    }
+    const graph = this.stateManager.getTaskGraph(sessionId);
+    if (!graph) {
+      return { success: false, error: `Session ${sessionId} has no task graph to resume`, session: sessionId, handoffs: [] };
+    }
+
+    if (this.currentSession && this.currentSession.id !== sessionId) {
+      this.endSession({ reason: 'resumed-other-session' });
+    }
+    this.currentSession = {
+      id: sessionId,
+      startedAt: stored.startedAt,
+      resumedAt: new Date().toISOString(),
+      metadata: stored.metadata || {},
+      tasks: [],
+      handoffs: []
+    };
+    this.stateManager.resumeSession(sessionId);
+    this.emit('session:start', this.currentSession);
+
+    const task = { description: stored.metadata?.task || `Resume ${sessionId}` };
+    this.emit('task:start', { task, agent: AgentRole.SUPERVISOR, resumed: true });
+
+    try {
+      const result = await this.getSupervisor().resumePlan(graph, {
+        sessionId,
+        ...options
+      });
+
+      if (options.enableCheckpoints !== false) {
+        await this.checkpoint('post-resume');
+      }
+
+      this.emit('task:complete', { task, result });
+      return {
+        success: result.success,
+        result,
+        session: sessionId,
+        handoffs: this.handoffHistory
+      };
+    } catch (error) {
+      this.emit('task:error', { task, error });
+      return {
+        success: false,
+        error: error.message,
+        session: sessionId,
+        handoffs: this.handoffHistory
+      };
+    }
+  }
+
   // ===== Handoff Management =====
 
   /**
@@ -418,7 +499,8 @@ class AgentOrchestrator extends EventEmitter {
       })),
       handoffHistory: this.handoffHistory,
       stateManager: this.stateManager.getFullState(),
-      checkpoints: this.stateManager.listCheckpoints(this.currentSession?.id)
+      checkpoints: this.stateManager.listCheckpoints(this.currentSession?.id),
+      modelRouting: this.modelRouter.describe()
     };
   }
 
@@ -0,0 +1,334 @@
+/**
+ * Unified Diff Application
+ *
+ * Parses model-generated unified diffs and applies them to files on disk.
+ * Hunk matching is fuzz-tolerant in the spirit of `patch -F`:
+ * - a hunk that no longer matches at its stated line is searched for nearby
+ * - then retried with up to `fuzz` context lines dropped from each end
+ * - then retried with whitespace differences ignored
+ *
+ * A file is only written when every one of its hunks applies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FUZZ = 2;
+
+function stripDiffPath(raw) {
+  const value = String(raw || '').split('\t')[0].trim();
+  if (!value || value === '/dev/null') {
+    return null;
+  }
+  return value.replace(/^[ab]\//, '');
+}
+
+function parseHunkStart(value) {
+  const start = parseInt(String(value || '').split(',')[0], 10);
+  return Number.isFinite(start) ? start : null;
+}
+
+/**
+ * Parse unified diff text into file patches.
+ * Models often emit placeholder headers (`@@ -X,Y +X,Y @@`) or drop the
+ * file header entirely, so line numbers are treated as hints and hunks
+ * without a file header are attributed to `options.defaultPath`.
+ * @param {string} text
+ * @param {object} [options]
+ * @returns {Array<{oldPath: string|null, newPath: string|null, hunks: Array}>}
+ */
+function parseUnifiedDiff(text, options = {}) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const patches = [];
+  let patch = null;
+  let hunk = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+      patch = {
+        oldPath: stripDiffPath(line.slice(4)),
+        newPath: stripDiffPath(lines[i + 1].slice(4)),
+        hunks: []
+      };
+      patches.push(patch);
+      hunk = null;
+      i++;
+      continue;
+    }
+
+    const header = line.match(/^@@\s*-(\S*)\s+\+(\S*)\s*@@/) || (line.startsWith('@@') ? [] : null);
+    if (header) {
+      if (!patch) {
+        patch = {
+          oldPath: options.defaultPath || null,
+          newPath: options.defaultPath || null,
+          hunks: []
+        };
+        patches.push(patch);
+      }
+      hunk = {
+        oldStart: parseHunkStart(header[1]),
+        newStart: parseHunkStart(header[2]),
+        lines: []
+      };
+      patch.hunks.push(hunk);
+      continue;
+    }
+
+    if (!hunk || line.startsWith('diff ') || line.startsWith('index ')) {
+      hunk = null;
+      continue;
+    }
+
+    if (line.startsWith('\\')) {
+      continue;
+    }
+
+    const marker = line[0];
+    if (marker === '+' || marker === '-' || marker === ' ') {
+      hunk.lines.push({ type: marker, text: line.slice(1) });
+    } else if (line === '') {
+      // Models frequently drop the leading space on blank context lines
+      hunk.lines.push({ type: ' ', text: '', blank: true });
+    } else {
+      hunk = null;
+    }
+  }
+
+  for (const entry of patches) {
+    for (const item of entry.hunks) {
+      while (item.lines.length > 0 && item.lines[item.lines.length - 1].blank) {
+        item.lines.pop();
+      }
+    }
+    entry.hunks = entry.hunks.filter(item => item.lines.length > 0);
+  }
+
+  return patches.filter(entry => entry.hunks.length > 0 || entry.newPath === null);
+}
+
+function normalizeWhitespace(line) {
+  return String(line).replace(/\s+/g, ' ').trim();
+}
+
+function trimContext(hunkLines, fuzz) {
+  let start = 0;
+  let end = hunkLines.length;
+  while (start < fuzz && start < end && hunkLines[start].type === ' ') {
+    start++;
+  }
+  while (hunkLines.length - end < fuzz && end > start && hunkLines[end - 1].type === ' ') {
+    end--;
+  }
+  return hunkLines.slice(start, end);
+}
+
+function matchesAt(fileLines, before, position, loose) {
+  for (let i = 0; i < before.length; i++) {
+    const actual = fileLines[position + i];
+    if (actual === undefined) {
+      return false;
+    }
+    if (loose ? normalizeWhitespace(actual) !== normalizeWhitespace(before[i]) : actual !== before[i]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function locateHunk(fileLines, hunk, options) {
+  const hasContext = hunk.lines.some(line => line.type !== '+');
+
+  for (let fuzz = 0; fuzz <= options.fuzz; fuzz++) {
+    const window = fuzz === 0 ? hunk.lines : trimContext(hunk.lines, fuzz);
+    if (fuzz > 0 && window.length === hunk.lines.length) {
+      continue;
+    }
+    const before = window.filter(line => line.type !== '+').map(line => line.text);
+    if (hasContext && before.length === 0) {
+      continue;
+    }
+
+    if (before.length === 0) {
+      const position = Math.min(Math.max(options.expected, options.minIndex), fileLines.length);
+      return { position, window, fuzz, loose: false };
+    }
+
+    for (const loose of [false, true]) {
+      const last = fileLines.length - before.length;
+      const expected = Math.min(Math.max(options.expected, options.minIndex), Math.max(last, options.minIndex));
+      for (let distance = 0; expected - distance >= options.minIndex || expected + distance <= last; distance++) {
+        const candidates = distance === 0 ? [expected] : [expected - distance, expected + distance];
+        for (const position of candidates) {
+          if (position >= options.minIndex && position <= last && matchesAt(fileLines, before, position, loose)) {
+            return { position, window, fuzz, loose };
+          }
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Apply parsed hunks to file text.
+ * Context lines keep the file's own text, so a whitespace-tolerant match
+ * never rewrites lines the hunk did not mean to change.
+ * @param {string} original
+ * @param {Array} hunks
+ * @param {object} [options]
+ * @param {number} [options.fuzz=2] Maximum context lines dropped per end
+ * @returns {{success: boolean, content: string, hunks: Array}}
+ */
+function applyHunks(original, hunks, options = {}) {
+  const fuzz = Number.isInteger(options.fuzz) && options.fuzz >= 0 ? options.fuzz : DEFAULT_FUZZ;
+  const text = String(original || '');
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const fileLines = text.length > 0 ? text.split(/\r?\n/) : [];
+  const trailingNewline = text.length === 0 || /\n$/.test(text);
+  if (text.length > 0 && trailingNewline) {
+    fileLines.pop();
+  }
+
+  const results = [];
+  let delta = 0;
+  let minIndex = 0;
+
+  hunks.forEach((hunk, index) => {
+    const expected = hunk.oldStart ? Math.max(hunk.oldStart - 1 + delta, 0) : minIndex;
+    const match = locateHunk(fileLines, hunk, { expected, minIndex, fuzz });
+    if (!match) {
+      results.push({ index, applied: false, expectedLine: expected + 1 });
+      return;
+    }
+
+    const replacement = [];
+    let cursor = match.position;
+    for (const line of match.window) {
+      if (line.type === ' ') {
+        replacement.push(fileLines[cursor]);
+        cursor++;
+      } else if (line.type === '-') {
+        cursor++;
+      } else {
+        replacement.push(line.text);
+      }
+    }
+
+    const removedCount = cursor - match.position;
+    fileLines.splice(match.position, removedCount, ...replacement);
+    delta += replacement.length - removedCount;
+    minIndex = match.position + replacement.length;
+    results.push({
+      index,
+      applied: true,
+      line: match.position + 1,
+      offset: match.position - expected,
+      fuzz: match.fuzz,
+      whitespaceInsensitive: match.loose
+    });
+  });
+
+  const content = fileLines.length > 0
+    ? fileLines.join(eol) + (trailingNewline ? eol : '')
+    : '';
+
+  return {
+    success: results.every(result => result.applied),
+    content,
+    hunks: results
+  };
+}
+
+function resolveInsideRoot(rootDir, relativePath) {
+  const root = path.resolve(rootDir);
+  const absolutePath = path.resolve(root, relativePath);
+  if (absolutePath !== root && !absolutePath.startsWith(root + path.sep)) {
+    return null;
+  }
+  return absolutePath;
+}
+
+/**
+ * Apply a unified diff under rootDir.
+ * Each file entry carries `originalContent`/`existed` so callers can build
+ * rollback data from exactly what was overwritten.
+ * @param {string} rootDir
+ * @param {string} diffText
+ * @param {object} [options]
+ * @param {string} [options.defaultPath] File for hunks without a header
+ * @param {number} [options.fuzz]
+ * @returns {{success: boolean, files: Array, applied: number, rejected: number}}
+ */
+function applyUnifiedDiff(rootDir, diffText, options = {}) {
+  const patches = parseUnifiedDiff(diffText, options);
+  const files = [];
+
+  for (const patch of patches) {
+    const relativePath = patch.newPath || patch.oldPath;
+    const entry = {
+      path: relativePath,
+      absolutePath: null,
+      status: 'rejected',
+      existed: false,
+      originalContent: null,
+      hunks: [],
+      error: null
+    };
+    files.push(entry);
+
+    const absolutePath = relativePath ? resolveInsideRoot(rootDir, relativePath) : null;
+    if (!absolutePath) {
+      entry.error = relativePath ? `Path escapes the workspace: ${relativePath}` : 'Patch has no target path';
+      continue;
+    }
+    entry.absolutePath = absolutePath;
+    entry.existed = fs.existsSync(absolutePath);
+    entry.originalContent = entry.existed ? fs.readFileSync(absolutePath, 'utf-8') : null;
+
+    if (patch.newPath === null) {
+      if (!entry.existed) {
+        entry.error = `Cannot delete missing file: ${relativePath}`;
+        continue;
+      }
+      fs.unlinkSync(absolutePath);
+      entry.status = 'deleted';
+      continue;
+    }
+
+    if (!entry.existed && patch.hunks.some(hunk => hunk.lines.some(line => line.type !== '+'))) {
+      entry.error = `File not found: ${relativePath}`;
+      continue;
+    }
+
+    const result = applyHunks(entry.originalContent || '', patch.hunks, options);
+    entry.hunks = result.hunks;
+    if (!result.success) {
+      const failed = result.hunks.filter(hunk => !hunk.applied).length;
+      entry.error = `${failed} of ${result.hunks.length} hunks failed to apply to ${relativePath}`;
+      continue;
+    }
+
+    fs.mkdirSync(path.dirname(absolutePath), { recursive: true });
+    fs.writeFileSync(absolutePath, result.content);
+    entry.status = entry.existed ? 'modified' : 'created';
+  }
+
+  const rejected = files.filter(file => file.status === 'rejected').length;
+  return {
+    success: files.length > 0 && rejected === 0,
+    files,
+    applied: files.length - rejected,
+    rejected
+  };
+}
+
+module.exports = {
+  DEFAULT_FUZZ,
+  parseUnifiedDiff,
+  applyHunks,
+  applyUnifiedDiff
+};
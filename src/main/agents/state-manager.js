@@ -252,6 +252,57 @@ class AgentStateManager {
     return session;
   }
 
+  getSession(sessionId) {
+    return this.state.sessions.find(s => s.id === sessionId) || null;
+  }
+
+  /**
+   * Attach the Builder's worktree record to a session so a later
+   * `liku agent apply <session>` can find and merge it.
+   */
+  recordWorktree(sessionId, worktree) {
+    const session = this.getSession(sessionId);
+    if (session) {
+      session.worktree = worktree ? { ...worktree, updatedAt: nowIso() } : null;
+      this._saveState();
+    }
+    return session;
+  }
+
+  /**
+   * Persist the Supervisor's task graph on its session. Called after every
+   * node transition so `liku agent resume <session>` can pick up from the
+   * last incomplete node.
+   */
+  saveTaskGraph(sessionId, graph) {
+    const session = this.getSession(sessionId);
+    if (session) {
+      graph.updatedAt = nowIso();
+      session.taskGraph = JSON.parse(JSON.stringify(graph));
+      this._saveState();
+    }
+    return session;
+  }
+
+  getTaskGraph(sessionId) {
+    const session = this.getSession(sessionId);
+    return session?.taskGraph ? JSON.parse(JSON.stringify(session.taskGraph)) : null;
+  }
+
+  /**
+   * Mark a stored session active again before its task graph is resumed.
+   */
+  resumeSession(sessionId) {
+    const session = this.getSession(sessionId);
+    if (session) {
+      session.status = 'active';
+      session.resumedAt = [...(session.resumedAt || []), nowIso()];
+      delete session.endedAt;
+      this._saveState();
+    }
+    return session;
+  }
+
   // ===== Checkpoint Management =====
 
   createCheckpoint(sessionId, label, agentStates, handoffHistory) {
@@ -13,6 +13,17 @@
  */
 
 const { BaseAgent, AgentRole, AgentCapabilities } = require('./base-agent');
+const {
+  TaskStatus,
+  createTaskGraph,
+  normalizeConcurrency,
+  getReadyNodes,
+  skipBlockedNodes,
+  resetIncompleteNodes,
+  collectNodeInputs,
+  summarizeNodeOutputs,
+  summarizeNodeProofs
+} = require('./task-graph');
 
 /**
  * Parse a comma-separated severity allow-list into a normalized Set. Used to
@@ -63,6 +74,9 @@ class SupervisorAgent extends BaseAgent {
     this.currentPlan = null;
     this.decomposedTasks = [];
     this.assumptions = [];
+    this.taskGraph = null;
+    // Independent subtasks run side by side up to this limit
+    this.maxConcurrency = normalizeConcurrency(options.maxConcurrency);
 
     // Phase 7: bounded, human-gated inbox for peripheral (and other) alerts.
     // The Supervisor is NOTIFIED, never auto-driven — nothing here calls the LLM
@@ -226,6 +240,8 @@ Context: ${JSON.stringify(context)}`;
     const prompt = `Based on this analysis, create a 2-5 step execution plan.
 Each step should be concrete and actionable.
 Specify whether each step needs Builder (implementation) or Verifier (validation).
+A step runs after the previous one unless it ends with "(depends on 1, 2)" naming
+the steps it needs, or "(independent)" when it needs none.
 
 Analysis: ${analysis.analysis}
 
@@ -254,14 +270,15 @@ Model Capabilities: ${this.modelMetadata?.capabilities?.join(', ') || 'standard'
     for (const line of lines) {
       const match = line.match(/^\d+\.\s*(.+)/);
       if (match) {
-        const stepText = match[1];
+        const { text: stepText, dependsOn } = this.parseStepDependencies(match[1]);
         const isBuilder = /implement|create|edit|add|modify|fix/i.test(stepText);
         const isVerifier = /verify|test|validate|check|ensure/i.test(stepText);
         
         steps.push({
           description: stepText,
           agent: isBuilder ? AgentRole.BUILDER : (isVerifier ? AgentRole.VERIFIER : AgentRole.SUPERVISOR),
-          status: 'pending'
+          status: 'pending',
+          dependsOn
         });
       }
     }
@@ -269,6 +286,24 @@ Model Capabilities: ${this.modelMetadata?.capabilities?.join(', ') || 'standard'
     return steps;
   }
 
+  /**
+   * Read a trailing "(depends on 1, 3)" / "(after step 2)" / "(independent)"
+   * annotation. `dependsOn` is null when the step has none, which keeps the
+   * default of running after the previous step.
+   */
+  parseStepDependencies(stepText) {
+    const independent = stepText.match(/\s*\((?:independent|parallel|no dependencies)\)\s*$/i);
+    if (independent) {
+      return { text: stepText.slice(0, independent.index).trim(), dependsOn: [] };
+    }
+    const dependent = stepText.match(/\s*\((?:depends on|after)\s+(?:steps?\s+)?([\d\s,&and]+)\)\s*$/i);
+    if (dependent) {
+      const dependsOn = (dependent[1].match(/\d+/g) || []).map(Number);
+      return { text: stepText.slice(0, dependent.index).trim(), dependsOn };
+    }
+    return { text: stepText, dependsOn: null };
+  }
+
   extractAssumptions(text) {
     const assumptions = [];
     const lines = text.split('\n');
@@ -292,75 +327,151 @@ Model Capabilities: ${this.modelMetadata?.capabilities?.join(', ') || 'standard'
     
     for (let i = 0; i < plan.steps.length; i++) {
       const step = plan.steps[i];
+      // Only earlier steps can be dependencies, so the graph stays acyclic
+      const dependencies = Array.isArray(step.dependsOn)
+        ? [...new Set(step.dependsOn.filter(n => n >= 1 && n <= i))].map(n => `subtask-${n}`)
+        : (i > 0 ? [`subtask-${i}`] : []);
       tasks.push({
         id: `subtask-${i + 1}`,
         step: i + 1,
         description: step.description,
         targetAgent: step.agent,
         status: 'pending',
-        dependencies: i > 0 ? [`subtask-${i}`] : []
+        dependencies
       });
     }
     
     return tasks;
   }
 
+  /**
+   * Run the decomposed tasks as a dependency graph. The graph is persisted
+   * on the session after every node transition.
+   */
   async executePlan(tasks, context) {
-    const results = [];
-    
+    this.taskGraph = createTaskGraph(tasks, {
+      plan: this.currentPlan,
+      sessionId: context.sessionId,
+      maxConcurrency: context.maxConcurrency || this.maxConcurrency
+    });
+    const results = await this.runTaskGraph(this.taskGraph, context);
     for (const task of tasks) {
-      // Check if dependencies are satisfied
-      const depsComplete = task.dependencies.every(depId => {
-        const dep = results.find(r => r.taskId === depId);
-        return dep && dep.success;
-      });
-      
-      if (!depsComplete) {
-        results.push({
-          taskId: task.id,
-          success: false,
-          error: 'Dependencies not satisfied',
-          skipped: true
-        });
-        continue;
+      task.status = this.taskGraph.nodes.find(node => node.id === task.id).status;
+    }
+    return results;
+  }
+
+  /**
+   * Continue a persisted graph: completed nodes keep their outputs, nodes
+   * that were interrupted, failed or skipped run again.
+   */
+  async resumePlan(graph, context = {}) {
+    const reset = resetIncompleteNodes(graph);
+    if (context.maxConcurrency) {
+      graph.maxConcurrency = normalizeConcurrency(context.maxConcurrency);
+    }
+    this.taskGraph = graph;
+    this.currentPlan = graph.plan ? { ...graph.plan, steps: [] } : null;
+    this.assumptions = graph.plan?.assumptions || [];
+    this.decomposedTasks = graph.nodes;
+    this.log('info', 'Resuming task graph', { planId: graph.planId, rerun: reset });
+
+    try {
+      const results = await this.runTaskGraph(graph, context);
+      return { ...this.aggregateResults(results, context), resumed: reset };
+    } catch (error) {
+      this.log('error', 'Supervisor resume failed', { error: error.message });
+      return {
+        success: false,
+        error: error.message,
+        state: this.getState()
+      };
+    }
+  }
+
+  async runTaskGraph(graph, context) {
+    const liveResults = new Map();
+    const running = new Map();
+    const persist = () => {
+      if (this.stateManager && context.sessionId) {
+        this.stateManager.saveTaskGraph(context.sessionId, graph);
       }
-      
-      task.status = 'in-progress';
-      
-      if (task.targetAgent === AgentRole.BUILDER) {
-        const result = await this.handoffToBuilder(
-          { ...context, taskId: task.id },
-          `Implement: ${task.description}`
-        );
-        results.push({
-          taskId: task.id,
-          agent: AgentRole.BUILDER,
-          ...result
-        });
-      } else if (task.targetAgent === AgentRole.VERIFIER) {
-        const result = await this.handoffToVerifier(
-          { ...context, taskId: task.id },
-          `Verify: ${task.description}`
-        );
-        results.push({
-          taskId: task.id,
-          agent: AgentRole.VERIFIER,
-          ...result
-        });
-      } else {
-        // Handle internally
-        results.push({
-          taskId: task.id,
-          agent: AgentRole.SUPERVISOR,
-          success: true,
-          note: 'Handled by supervisor'
-        });
+    };
+
+    persist();
+
+    while (true) {
+      if (skipBlockedNodes(graph).length > 0) {
+        persist();
       }
-      
-      task.status = results[results.length - 1].success ? 'completed' : 'failed';
+
+      const ready = getReadyNodes(graph).slice(0, Math.max(0, graph.maxConcurrency - running.size));
+      for (const node of ready) {
+        node.status = TaskStatus.IN_PROGRESS;
+        node.attempts = (node.attempts || 0) + 1;
+        node.startedAt = new Date().toISOString();
+        node.completedAt = null;
+        node.error = null;
+        node.inputs = collectNodeInputs(graph, node);
+        persist();
+
+        const { dependencies, ...inputs } = node.inputs;
+        const run = this.runTaskNode(node, { ...context, ...inputs })
+          .catch(error => ({ success: false, error: error.message }))
+          .then(result => {
+            node.status = result.success ? TaskStatus.COMPLETED : TaskStatus.FAILED;
+            node.outputs = summarizeNodeOutputs(result);
+            node.proofs = summarizeNodeProofs(result);
+            node.error = result.success ? null : (node.outputs.error || 'Task failed');
+            node.completedAt = new Date().toISOString();
+            liveResults.set(node.id, { taskId: node.id, agent: node.targetAgent, ...result });
+            persist();
+          })
+          .finally(() => running.delete(node.id));
+        running.set(node.id, run);
+      }
+
+      if (running.size === 0) break;
+      await Promise.race(running.values());
     }
-    
-    return results;
+
+    // Nodes finished in an earlier run only have their persisted outputs
+    return graph.nodes.map(node => liveResults.get(node.id) || this.resultFromNode(node));
+  }
+
+  async runTaskNode(node, context) {
+    const nodeContext = { ...context, taskId: node.id };
+
+    if (node.targetAgent === AgentRole.BUILDER) {
+      return this.handoffToBuilder(nodeContext, `Implement: ${node.description}`);
+    }
+    if (node.targetAgent === AgentRole.VERIFIER) {
+      return this.handoffToVerifier(nodeContext, `Verify: ${node.description}`);
+    }
+    // Handle internally
+    return {
+      success: true,
+      note: 'Handled by supervisor'
+    };
+  }
+
+  resultFromNode(node) {
+    if (node.status === TaskStatus.SKIPPED) {
+      return {
+        taskId: node.id,
+        agent: node.targetAgent,
+        success: false,
+        error: node.error || 'Dependencies not satisfied',
+        skipped: true
+      };
+    }
+    return {
+      taskId: node.id,
+      agent: node.targetAgent,
+      ...(node.outputs || {}),
+      success: node.status === TaskStatus.COMPLETED,
+      fromPreviousRun: true
+    };
   }
 
   aggregateResults(results, context) {
@@ -683,6 +794,7 @@ ${readResults.map(r => `--- ${r.filePath} ---\n${r.content?.slice(0, 2000)}`).jo
     this.currentPlan = null;
     this.decomposedTasks = [];
     this.assumptions = [];
+    this.taskGraph = null;
     // Peripheral notifications/tasks are DURABLE. On reset we reload them from
     // the persistent store rather than wiping them, so a coding-session reset
     // never discards outstanding peripheral work. When persistence is disabled
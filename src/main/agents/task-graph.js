@@ -0,0 +1,382 @@
+/**
+ * Task Graph
+ *
+ * The Supervisor's plan as a dependency graph of subtasks. Each node keeps
+ * its own status, the inputs it was started with, the outputs and proofs it
+ * produced, so the graph can be persisted after every transition and an
+ * interrupted session can continue from the last incomplete node.
+ *
+ * Nodes use the same fields as decomposed tasks (`id`, `step`,
+ * `description`, `targetAgent`, `dependencies`, `status`) plus run data.
+ */
+
+const TaskStatus = {
+  PENDING: 'pending',
+  IN_PROGRESS: 'in-progress',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+const TASK_GRAPH_VERSION = 1;
+const DEFAULT_MAX_CONCURRENCY = 2;
+const MAX_OUTPUT_TEXT = 500;
+
+function truncate(value, limit = MAX_OUTPUT_TEXT) {
+  if (value === undefined || value === null) return null;
+  const text = String(value);
+  return text.length > limit ? `${text.slice(0, limit)}…` : text;
+}
+
+/**
+ * Build a graph from decomposed tasks. Throws when a dependency is unknown
+ * or the dependencies form a cycle.
+ * @param {object[]} tasks Output of SupervisorAgent.decomposeTasks
+ * @param {object} [options]
+ * @param {object} [options.plan] Plan the tasks came from
+ * @param {string} [options.sessionId]
+ * @param {number} [options.maxConcurrency]
+ */
+function createTaskGraph(tasks, options = {}) {
+  const plan = options.plan || null;
+  const now = new Date().toISOString();
+  const graph = {
+    version: TASK_GRAPH_VERSION,
+    sessionId: options.sessionId || null,
+    planId: plan?.planId || null,
+    plan: plan ? {
+      planId: plan.planId || null,
+      rawPlan: plan.rawPlan || '',
+      assumptions: plan.assumptions || []
+    } : null,
+    maxConcurrency: normalizeConcurrency(options.maxConcurrency),
+    createdAt: now,
+    updatedAt: now,
+    nodes: tasks.map(task => ({
+      id: task.id,
+      step: task.step,
+      description: task.description,
+      targetAgent: task.targetAgent,
+      dependencies: [...(task.dependencies || [])],
+      status: TaskStatus.PENDING,
+      attempts: 0,
+      inputs: null,
+      outputs: null,
+      proofs: [],
+      error: null,
+      startedAt: null,
+      completedAt: null
+    }))
+  };
+
+  validateTaskGraph(graph);
+  return graph;
+}
+
+function normalizeConcurrency(value) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_MAX_CONCURRENCY;
+}
+
+function validateTaskGraph(graph) {
+  const ids = new Set();
+  for (const node of graph.nodes) {
+    if (ids.has(node.id)) {
+      throw new Error(`Duplicate task id in graph: ${node.id}`);
+    }
+    ids.add(node.id);
+  }
+  for (const node of graph.nodes) {
+    for (const depId of node.dependencies) {
+      if (!ids.has(depId)) {
+        throw new Error(`Task ${node.id} depends on unknown task ${depId}`);
+      }
+    }
+  }
+
+  // Depth-first search for a back edge
+  const visiting = new Set();
+  const visited = new Set();
+  const byId = new Map(graph.nodes.map(node => [node.id, node]));
+  const visit = (id, trail) => {
+    if (visited.has(id)) return;
+    if (visiting.has(id)) {
+      throw new Error(`Task graph has a dependency cycle: ${[...trail, id].join(' -> ')}`);
+    }
+    visiting.add(id);
+    for (const depId of byId.get(id).dependencies) {
+      visit(depId, [...trail, id]);
+    }
+    visiting.delete(id);
+    visited.add(id);
+  };
+  for (const node of graph.nodes) {
+    visit(node.id, []);
+  }
+  return true;
+}
+
+function getNode(graph, id) {
+  return graph.nodes.find(node => node.id === id) || null;
+}
+
+/**
+ * Pending nodes whose dependencies have all completed, in plan order.
+ */
+function getReadyNodes(graph) {
+  return graph.nodes.filter(node =>
+    node.status === TaskStatus.PENDING &&
+    node.dependencies.every(depId => getNode(graph, depId)?.status === TaskStatus.COMPLETED)
+  );
+}
+
+/**
+ * Mark pending nodes that can no longer run because a dependency failed
+ * or was skipped. Repeats until nothing changes so skips cascade.
+ * @returns {object[]} Nodes that were skipped
+ */
+function skipBlockedNodes(graph) {
+  const skipped = [];
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const node of graph.nodes) {
+      if (node.status !== TaskStatus.PENDING) continue;
+      const blocker = node.dependencies
+        .map(depId => getNode(graph, depId))
+        .find(dep => dep && (dep.status === TaskStatus.FAILED || dep.status === TaskStatus.SKIPPED));
+      if (blocker) {
+        node.status = TaskStatus.SKIPPED;
+        node.error = `Dependencies not satisfied: ${blocker.id} ${blocker.status}`;
+        node.completedAt = new Date().toISOString();
+        skipped.push(node);
+        changed = true;
+      }
+    }
+  }
+  return skipped;
+}
+
+/**
+ * Prepare a persisted graph for another run: nodes that were running when
+ * the process died, failed or were skipped go back to pending. Completed
+ * nodes keep their outputs and are not run again.
+ * @returns {string[]} Ids of the nodes that will run again
+ */
+function resetIncompleteNodes(graph) {
+  const reset = [];
+  for (const node of graph.nodes) {
+    if (node.status === TaskStatus.COMPLETED || node.status === TaskStatus.PENDING) continue;
+    node.status = TaskStatus.PENDING;
+    node.error = null;
+    node.startedAt = null;
+    node.completedAt = null;
+    reset.push(node.id);
+  }
+  return reset;
+}
+
+/**
+ * All transitive dependencies of a node, in plan order.
+ */
+function getAncestors(graph, node) {
+  const seen = new Set();
+  const stack = [...node.dependencies];
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (seen.has(id)) continue;
+    seen.add(id);
+    stack.push(...(getNode(graph, id)?.dependencies || []));
+  }
+  return graph.nodes.filter(candidate => seen.has(candidate.id));
+}
+
+/**
+ * Inputs for a node are the outputs of the nodes it depends on: the
+ * Builder's worktree and diffs and the Verifier's failing tests.
+ */
+function collectNodeInputs(graph, node) {
+  const inputs = { dependencies: [...node.dependencies] };
+  const diffs = [];
+  for (const ancestor of getAncestors(graph, node)) {
+    const outputs = ancestor.outputs || {};
+    if (outputs.worktree) {
+      inputs.worktree = outputs.worktree;
+    }
+    if (Array.isArray(outputs.diffs)) {
+      diffs.push(...outputs.diffs);
+    }
+    if (Array.isArray(outputs.failingTests)) {
+      inputs.failingTests = outputs.failingTests;
+    }
+  }
+  if (diffs.length > 0) {
+    inputs.diffs = diffs;
+  }
+  return inputs;
+}
+
+/**
+ * Keep only what later nodes and `liku agent graph` need from an agent
+ * result; full results stay in memory for the current run.
+ */
+function summarizeNodeOutputs(result = {}) {
+  const outputs = {
+    success: !!result.success
+  };
+  if (result.worktree) {
+    outputs.worktree = result.worktree;
+  }
+  if (Array.isArray(result.diffs)) {
+    outputs.diffs = result.diffs.map(diff => ({
+      file: diff.file,
+      applied: diff.applied
+    }));
+  }
+  if (Array.isArray(result.failingTests) && result.failingTests.length > 0) {
+    outputs.failingTests = result.failingTests;
+  }
+  if (result.suggestedNext) {
+    outputs.suggestedNext = result.suggestedNext;
+  }
+  if (result.note) {
+    outputs.note = result.note;
+  }
+  if (result.error) {
+    outputs.error = truncate(result.error);
+  }
+  return outputs;
+}
+
+function summarizeNodeProofs(result = {}) {
+  const proofs = (result.proofs || []).map(proof => ({
+    type: proof.type,
+    passed: proof.passed,
+    ...(proof.file ? { file: proof.file } : {}),
+    ...(proof.name ? { name: proof.name } : {}),
+    timestamp: proof.timestamp || null
+  }));
+  for (const phase of result.results || []) {
+    if (!phase || !phase.phase) continue;
+    proofs.push({
+      type: `verify:${phase.phase}`,
+      passed: !!phase.passed,
+      ...(phase.skipped ? { skipped: true } : {}),
+      ...(phase.testCounts ? { testCounts: phase.testCounts } : {})
+    });
+  }
+  return proofs;
+}
+
+function summarizeTaskGraph(graph) {
+  const counts = {
+    total: graph.nodes.length,
+    pending: 0,
+    inProgress: 0,
+    completed: 0,
+    failed: 0,
+    skipped: 0
+  };
+  for (const node of graph.nodes) {
+    if (node.status === TaskStatus.IN_PROGRESS) counts.inProgress++;
+    else if (counts[node.status] !== undefined) counts[node.status]++;
+  }
+  return counts;
+}
+
+function isTaskGraphComplete(graph) {
+  return graph.nodes.every(node => node.status === TaskStatus.COMPLETED);
+}
+
+// ===== Rendering =====
+
+const STATUS_MARKERS = {
+  [TaskStatus.PENDING]: '[ ]',
+  [TaskStatus.IN_PROGRESS]: '[~]',
+  [TaskStatus.COMPLETED]: '[x]',
+  [TaskStatus.FAILED]: '[!]',
+  [TaskStatus.SKIPPED]: '[-]'
+};
+
+const STATUS_COLORS = {
+  [TaskStatus.PENDING]: 'white',
+  [TaskStatus.IN_PROGRESS]: 'lightblue',
+  [TaskStatus.COMPLETED]: 'palegreen',
+  [TaskStatus.FAILED]: 'salmon',
+  [TaskStatus.SKIPPED]: 'lightgrey'
+};
+
+function renderTaskGraphText(graph) {
+  const counts = summarizeTaskGraph(graph);
+  const lines = [
+    `Task graph ${graph.planId || graph.sessionId || ''}`.trim(),
+    `  ${counts.completed}/${counts.total} completed, ${counts.failed} failed, ${counts.skipped} skipped, ${counts.pending + counts.inProgress} remaining (max concurrency ${graph.maxConcurrency})`,
+    ''
+  ];
+
+  for (const node of graph.nodes) {
+    const marker = STATUS_MARKERS[node.status] || '[?]';
+    lines.push(`${marker} ${node.id} (${node.targetAgent}) ${node.description}`);
+    if (node.dependencies.length > 0) {
+      lines.push(`      after: ${node.dependencies.join(', ')}`);
+    }
+    if (node.attempts > 1) {
+      lines.push(`      attempts: ${node.attempts}`);
+    }
+    const proofs = node.proofs || [];
+    if (proofs.length > 0) {
+      const passed = proofs.filter(proof => proof.passed).length;
+      lines.push(`      proofs: ${passed}/${proofs.length} passed`);
+    }
+    if (node.error) {
+      lines.push(`      error: ${node.error}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+function dotString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+}
+
+function renderTaskGraphDot(graph) {
+  const lines = [
+    `digraph ${dotString(graph.sessionId || graph.planId || 'task-graph')} {`,
+    '  rankdir=LR;',
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica"];'
+  ];
+
+  for (const node of graph.nodes) {
+    const description = node.description.length > 60 ? `${node.description.slice(0, 57)}...` : node.description;
+    const label = `${node.id} (${node.targetAgent})\n${description}\n${node.status}`;
+    lines.push(`  ${dotString(node.id)} [label=${dotString(label)}, fillcolor=${dotString(STATUS_COLORS[node.status] || 'white')}];`);
+  }
+  for (const node of graph.nodes) {
+    for (const depId of node.dependencies) {
+      lines.push(`  ${dotString(depId)} -> ${dotString(node.id)};`);
+    }
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+module.exports = {
+  TaskStatus,
+  DEFAULT_MAX_CONCURRENCY,
+  createTaskGraph,
+  validateTaskGraph,
+  normalizeConcurrency,
+  getNode,
+  getReadyNodes,
+  skipBlockedNodes,
+  resetIncompleteNodes,
+  collectNodeInputs,
+  summarizeNodeOutputs,
+  summarizeNodeProofs,
+  summarizeTaskGraph,
+  isTaskGraphComplete,
+  renderTaskGraphText,
+  renderTaskGraphDot
+};
@@ -0,0 +1,537 @@
+/**
+ * Test Result Ingestion
+ *
+ * Detects the project's test runner, asks it for machine-readable output
+ * and parses per-test results for the Verifier:
+ * - Jest → JSON report
+ * - Vitest, pytest → JUnit XML
+ * - mocha, `node --test` → TAP
+ * - `scripts/test-*.js` → PASS/FAIL lines
+ *
+ * Every parser returns the same `{ tests, counts }` shape so failing tests
+ * can be attached to proofs and to the handoff back to the Builder.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TestRunner = {
+  JEST: 'jest',
+  VITEST: 'vitest',
+  MOCHA: 'mocha',
+  NODE_TEST: 'node-test',
+  PYTEST: 'pytest',
+  SCRIPTS: 'scripts',
+  NPM: 'npm'
+};
+
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_RELATED_SCRIPTS = 10;
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function readText(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf-8');
+  } catch {
+    return '';
+  }
+}
+
+function listTestScripts(rootDir) {
+  try {
+    return fs.readdirSync(path.join(rootDir, 'scripts'))
+      .filter(name => /^test-.+\.js$/.test(name))
+      .sort()
+      .map(name => `scripts/${name}`);
+  } catch {
+    return [];
+  }
+}
+
+function hasPytestConfig(rootDir) {
+  if (fs.existsSync(path.join(rootDir, 'pytest.ini')) || fs.existsSync(path.join(rootDir, 'conftest.py'))) {
+    return true;
+  }
+  return /\[tool\.pytest/.test(readText(path.join(rootDir, 'pyproject.toml')))
+    || /\[tool:pytest\]/.test(readText(path.join(rootDir, 'setup.cfg')));
+}
+
+/**
+ * Work out which test runner a project uses.
+ * The `test` script wins over installed dependencies, so a repo that has
+ * jest installed but runs `node --test` is treated as node-test.
+ * @param {string} rootDir
+ * @returns {{runner: string, testScript: string, reason: string}|null}
+ */
+function detectTestRunner(rootDir) {
+  const pkg = readJson(path.join(rootDir, 'package.json'));
+  const testScript = String(pkg?.scripts?.test || '');
+  const deps = { ...(pkg?.dependencies || {}), ...(pkg?.devDependencies || {}) };
+  const found = (runner, reason) => ({ runner, testScript, reason });
+
+  if (/\bvitest\b/.test(testScript)) return found(TestRunner.VITEST, 'test script runs vitest');
+  if (/\bjest\b/.test(testScript)) return found(TestRunner.JEST, 'test script runs jest');
+  if (/\bmocha\b/.test(testScript)) return found(TestRunner.MOCHA, 'test script runs mocha');
+  if (/\bnode\b[^|&;]*\s--test\b/.test(testScript)) return found(TestRunner.NODE_TEST, 'test script runs node --test');
+  if (/\bpytest\b/.test(testScript)) return found(TestRunner.PYTEST, 'test script runs pytest');
+
+  if (deps.vitest) return found(TestRunner.VITEST, 'vitest is a dependency');
+  if (deps.jest) return found(TestRunner.JEST, 'jest is a dependency');
+  if (deps.mocha) return found(TestRunner.MOCHA, 'mocha is a dependency');
+
+  if (listTestScripts(rootDir).length > 0) return found(TestRunner.SCRIPTS, 'scripts/test-*.js files present');
+  if (hasPytestConfig(rootDir)) return found(TestRunner.PYTEST, 'pytest configuration present');
+  if (testScript) return found(TestRunner.NPM, 'package.json has a test script');
+
+  return null;
+}
+
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Pick the `scripts/test-*.js` files that load one of the changed modules.
+ */
+function findRelatedTestScripts(rootDir, changedFiles = []) {
+  const scripts = listTestScripts(rootDir);
+  const related = new Set(scripts.filter(script => changedFiles.includes(script)));
+  const modules = changedFiles
+    .filter(file => /\.[cm]?js$/.test(file) && !file.startsWith('scripts/'))
+    .map(file => path.basename(file).replace(/\.[cm]?js$/, ''));
+
+  if (modules.length > 0) {
+    const pattern = new RegExp(`['"/](?:${modules.map(escapeRegExp).join('|')})(?:\\.[cm]?js)?['"]`);
+    for (const script of scripts) {
+      if (pattern.test(readText(path.join(rootDir, script)))) {
+        related.add(script);
+      }
+    }
+  }
+
+  return [...related];
+}
+
+function quote(value) {
+  return `"${String(value).replace(/(["\\$`])/g, '\\$1')}"`;
+}
+
+/**
+ * Build the commands that run the detected runner with a machine-readable
+ * reporter. Report files go under `reportDir`; TAP and PASS/FAIL output is
+ * read from stdout.
+ * @param {object} detection Result of detectTestRunner
+ * @param {object} options
+ * @param {string} options.rootDir
+ * @param {string} options.reportDir
+ * @param {string[]} [options.changedFiles]
+ * @returns {Array<{command: string, format: string, reportPath: string|null}>}
+ */
+function buildTestCommands(detection, options = {}) {
+  const changedFiles = options.changedFiles || [];
+  const report = name => path.join(options.reportDir, name);
+  const sourceFiles = changedFiles.filter(file => /\.(c|m)?(j|t)sx?$/.test(file));
+
+  switch (detection?.runner) {
+    case TestRunner.JEST: {
+      const reportPath = report('jest.json');
+      const pattern = sourceFiles.length > 0 && sourceFiles.length < 10
+        ? ` --findRelatedTests ${sourceFiles.map(quote).join(' ')}`
+        : '';
+      return [{ command: `npx jest --ci --json --outputFile=${quote(reportPath)}${pattern} 2>&1`, format: 'jest-json', reportPath }];
+    }
+    case TestRunner.VITEST: {
+      const reportPath = report('vitest.xml');
+      const related = sourceFiles.length > 0 && sourceFiles.length < 10
+        ? `related --run ${sourceFiles.map(quote).join(' ')}`
+        : 'run';
+      return [{ command: `npx vitest ${related} --reporter=junit --outputFile=${quote(reportPath)} 2>&1`, format: 'junit', reportPath }];
+    }
+    case TestRunner.MOCHA:
+      return [{ command: 'npx mocha --reporter tap 2>&1', format: 'tap', reportPath: null }];
+    case TestRunner.NODE_TEST: {
+      const script = detection.testScript.replace(/\bnode\b([^|&;]*?)\s--test\b/, 'node$1 --test --test-reporter=tap');
+      return [{ command: `${script} 2>&1`, format: 'tap', reportPath: null }];
+    }
+    case TestRunner.PYTEST: {
+      const reportPath = report('pytest.xml');
+      return [{ command: `python -m pytest -q --junitxml=${quote(reportPath)} 2>&1`, format: 'junit', reportPath }];
+    }
+    case TestRunner.SCRIPTS: {
+      const related = findRelatedTestScripts(options.rootDir, changedFiles);
+      if (related.length === 0 || related.length > MAX_RELATED_SCRIPTS) {
+        return [{ command: 'npm test 2>&1', format: 'auto', reportPath: null }];
+      }
+      return related.map(script => ({ command: `node ${quote(script)} 2>&1`, format: 'pass-fail', reportPath: null, script }));
+    }
+    case TestRunner.NPM:
+      return [{ command: 'npm test 2>&1', format: 'auto', reportPath: null }];
+    default:
+      return [];
+  }
+}
+
+// ===== Parsing =====
+
+function truncate(value) {
+  const text = String(value || '').trim();
+  return text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH)}…` : text;
+}
+
+function toRelative(file, rootDir) {
+  if (!file) {
+    return null;
+  }
+  const cleaned = file.replace(/^file:\/\//, '');
+  if (rootDir && path.isAbsolute(cleaned)) {
+    const relative = path.relative(rootDir, cleaned);
+    if (!relative.startsWith('..')) {
+      return relative.split(path.sep).join('/');
+    }
+  }
+  return cleaned;
+}
+
+/**
+ * Find the first project frame (`file:line`) in a stack or message,
+ * skipping node internals and dependencies.
+ */
+function extractLocation(text, rootDir) {
+  const pattern = /((?:file:\/\/)?(?:[A-Za-z]:)?[^\s():'"]+\.(?:[cm]?[jt]sx?|py)):(\d+)(?::(\d+))?/g;
+  let match;
+  while ((match = pattern.exec(String(text || ''))) !== null) {
+    if (/node_modules|^node:|internal\//.test(match[1])) {
+      continue;
+    }
+    return { file: toRelative(match[1], rootDir), line: parseInt(match[2], 10) };
+  }
+  return { file: null, line: null };
+}
+
+function firstLine(text) {
+  return String(text || '').split('\n').map(line => line.trim()).find(Boolean) || '';
+}
+
+function summarize(tests) {
+  const counts = { passed: 0, failed: 0, skipped: 0, total: tests.length };
+  for (const test of tests) {
+    counts[test.status] = (counts[test.status] || 0) + 1;
+  }
+  return counts;
+}
+
+function createTest(fields, rootDir) {
+  const details = fields.details || '';
+  const located = fields.file && fields.line
+    ? { file: toRelative(fields.file, rootDir), line: fields.line }
+    : extractLocation(details, rootDir);
+  return {
+    name: fields.name || '(unnamed)',
+    suite: fields.suite || null,
+    status: fields.status,
+    file: located.file || toRelative(fields.file, rootDir) || null,
+    line: located.line || fields.line || null,
+    message: fields.status === 'failed' ? truncate(fields.message || firstLine(details)) : null,
+    durationMs: Number.isFinite(fields.durationMs) ? fields.durationMs : null
+  };
+}
+
+function unquoteYaml(value) {
+  const text = String(value || '').trim();
+  if (/^'.*'$/.test(text)) {
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (/^".*"$/.test(text)) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text.slice(1, -1);
+    }
+  }
+  return text;
+}
+
+function parseYamlBlock(lines) {
+  const fields = {};
+  const baseIndent = lines.length > 0 ? lines[0].match(/^\s*/)[0].length : 0;
+  let key = null;
+  for (const line of lines) {
+    const match = line.match(/^(\s*)([A-Za-z_]+):\s?(.*)$/);
+    if (match && match[1].length === baseIndent) {
+      key = match[2];
+      fields[key] = /^[|>][-+]?$/.test(match[3]) ? '' : unquoteYaml(match[3]);
+    } else if (key) {
+      fields[key] = `${fields[key]}\n${line.trim()}`.trim();
+    }
+  }
+  return fields;
+}
+
+/**
+ * Parse TAP (mocha `--reporter tap`, `node --test --test-reporter=tap`).
+ * Node nests subtests and reports the parent after its children, so only
+ * leaf tests are counted.
+ */
+function parseTap(text, options = {}) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const tests = [];
+  let lastIndent = -1;
+  let current = null;
+
+  const finish = () => {
+    if (current && !current.parent) {
+      const yaml = parseYamlBlock(current.yaml);
+      const location = yaml.location ? extractLocation(yaml.location, options.rootDir) : { file: null, line: null };
+      tests.push(createTest({
+        name: current.name,
+        status: current.status,
+        message: yaml.error || yaml.message || firstLine(current.details.join('\n')),
+        details: [yaml.stack, current.details.join('\n')].filter(Boolean).join('\n'),
+        file: location.file,
+        line: location.line,
+        durationMs: yaml.duration_ms ? parseFloat(yaml.duration_ms) : undefined
+      }, options.rootDir));
+    }
+    current = null;
+  };
+
+  let inYaml = false;
+  for (const line of lines) {
+    const testMatch = line.match(/^(\s*)(not ok|ok)\b(?:\s+\d+)?(?:\s*-)?\s*(.*?)(?:\s+#\s*(SKIP|TODO)\b.*)?$/i);
+    if (testMatch && !inYaml) {
+      finish();
+      const indent = testMatch[1].length;
+      const directive = (testMatch[4] || '').toUpperCase();
+      current = {
+        name: testMatch[3].trim(),
+        status: directive ? 'skipped' : (testMatch[2] === 'ok' ? 'passed' : 'failed'),
+        parent: lastIndent > indent,
+        yaml: [],
+        details: []
+      };
+      lastIndent = indent;
+      continue;
+    }
+    if (!current) {
+      continue;
+    }
+    if (/^\s*---\s*$/.test(line)) {
+      inYaml = true;
+    } else if (/^\s*\.\.\.\s*$/.test(line)) {
+      inYaml = false;
+    } else if (inYaml) {
+      current.yaml.push(line);
+    } else if (/^\s+\S/.test(line) && !/^\s*#/.test(line) && current.status === 'failed') {
+      current.details.push(line.trim());
+    }
+  }
+  finish();
+
+  return { format: 'tap', tests, counts: summarize(tests) };
+}
+
+function decodeXml(value) {
+  return String(value || '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1]] = decodeXml(match[3] !== undefined ? match[3] : match[4]);
+  }
+  return attributes;
+}
+
+/**
+ * Parse JUnit XML (vitest, pytest, most CI reporters).
+ */
+function parseJUnit(xml, options = {}) {
+  const tests = [];
+  const pattern = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+  let match;
+  while ((match = pattern.exec(String(xml || ''))) !== null) {
+    const attributes = parseAttributes(match[1]);
+    const body = match[2] || '';
+    const failure = body.match(/<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+    const skipped = /<skipped\b/.test(body);
+    const failureAttributes = failure ? parseAttributes(failure[2]) : {};
+    const details = failure ? decodeXml(failure[3] || '') : '';
+
+    tests.push(createTest({
+      name: attributes.name,
+      suite: attributes.classname || null,
+      status: failure ? 'failed' : (skipped ? 'skipped' : 'passed'),
+      message: failureAttributes.message || firstLine(details),
+      details,
+      file: attributes.file || null,
+      line: attributes.line ? parseInt(attributes.line, 10) : null,
+      durationMs: attributes.time ? Math.round(parseFloat(attributes.time) * 1000) : undefined
+    }, options.rootDir));
+  }
+  return { format: 'junit', tests, counts: summarize(tests) };
+}
+
+const JEST_STATUS = { passed: 'passed', failed: 'failed', pending: 'skipped', skipped: 'skipped', todo: 'skipped', disabled: 'skipped' };
+
+/**
+ * Parse a Jest `--json` report.
+ */
+function parseJestJson(source, options = {}) {
+  let report = source;
+  if (typeof source === 'string') {
+    try {
+      report = JSON.parse(source);
+    } catch {
+      return { format: 'jest-json', tests: [], counts: summarize([]), error: 'Invalid Jest JSON report' };
+    }
+  }
+
+  const tests = [];
+  for (const suite of report?.testResults || []) {
+    const suiteFile = suite.name || suite.testFilePath || null;
+    const assertions = suite.assertionResults || suite.testResults || [];
+
+    // A suite that fails to load reports no assertions, only a message
+    if (assertions.length === 0 && suite.status === 'failed') {
+      tests.push(createTest({
+        name: path.basename(suiteFile || 'test suite'),
+        status: 'failed',
+        message: firstLine(suite.message) || 'Test suite failed to run',
+        details: suite.message,
+        file: suiteFile
+      }, options.rootDir));
+      continue;
+    }
+
+    for (const assertion of assertions) {
+      const details = (assertion.failureMessages || []).join('\n');
+      const relativeSuite = toRelative(suiteFile, options.rootDir);
+      const frame = extractLocation(details, options.rootDir);
+      const inSuite = frame.file && relativeSuite && frame.file === relativeSuite;
+      tests.push(createTest({
+        name: assertion.fullName || assertion.title,
+        suite: (assertion.ancestorTitles || []).join(' › ') || null,
+        status: JEST_STATUS[assertion.status] || 'failed',
+        message: firstLine(details),
+        details,
+        file: inSuite ? frame.file : suiteFile,
+        line: inSuite ? frame.line : assertion.location?.line || null,
+        durationMs: assertion.duration
+      }, options.rootDir));
+    }
+  }
+  return { format: 'jest-json', tests, counts: summarize(tests) };
+}
+
+/**
+ * Parse the `PASS name` / `FAIL name` lines printed by `scripts/test-*.js`.
+ * Output between a FAIL line and the next result is its error and stack.
+ */
+function parsePassFailLines(text, options = {}) {
+  const tests = [];
+  let failing = null;
+
+  const finish = () => {
+    if (failing) {
+      const details = failing.details.join('\n');
+      tests.push(createTest({
+        name: failing.name,
+        status: 'failed',
+        message: firstLine(details.replace(/^\s*at\s.*$/gm, '')),
+        details,
+        file: options.file
+      }, options.rootDir));
+      failing = null;
+    }
+  };
+
+  for (const line of String(text || '').replace(/\r\n?/g, '\n').split('\n')) {
+    const match = line.match(/^(PASS|FAIL|SKIP)\s+(.+)$/);
+    if (!match) {
+      if (failing && failing.details.length < 40) {
+        failing.details.push(line);
+      }
+      continue;
+    }
+    finish();
+    if (match[1] === 'FAIL') {
+      failing = { name: match[2].trim(), details: [] };
+    } else {
+      tests.push(createTest({
+        name: match[2].trim(),
+        status: match[1] === 'PASS' ? 'passed' : 'skipped',
+        file: options.file
+      }, options.rootDir));
+    }
+  }
+  finish();
+
+  return { format: 'pass-fail', tests, counts: summarize(tests) };
+}
+
+function detectFormat(text) {
+  const trimmed = String(text || '').trim();
+  if (/^\{[\s\S]*"testResults"/.test(trimmed)) return 'jest-json';
+  if (/<testsuites?\b|<testcase\b/.test(trimmed)) return 'junit';
+  if (/^TAP version \d+|^\s*(?:not )?ok \d+\b/m.test(trimmed)) return 'tap';
+  if (/^(?:PASS|FAIL)\s+\S/m.test(trimmed)) return 'pass-fail';
+  return null;
+}
+
+/**
+ * Parse runner output in a known format, or sniff it when `format` is
+ * `'auto'`. Unrecognized output yields no tests.
+ * @param {string|object} output
+ * @param {string} [format='auto']
+ * @param {object} [options]
+ * @param {string} [options.rootDir] Make file paths relative to this directory
+ * @returns {{format: string|null, tests: Array, counts: object}}
+ */
+function parseTestReport(output, format = 'auto', options = {}) {
+  const resolved = format === 'auto' || !format
+    ? (typeof output === 'object' && output ? 'jest-json' : detectFormat(output))
+    : format;
+
+  switch (resolved) {
+    case 'jest-json':
+      return parseJestJson(output, options);
+    case 'junit':
+      return parseJUnit(output, options);
+    case 'tap':
+      return parseTap(output, options);
+    case 'pass-fail':
+      return parsePassFailLines(output, options);
+    default:
+      return { format: null, tests: [], counts: summarize([]) };
+  }
+}
+
+module.exports = {
+  TestRunner,
+  detectTestRunner,
+  findRelatedTestScripts,
+  buildTestCommands,
+  extractLocation,
+  parseTap,
+  parseJUnit,
+  parseJestJson,
+  parsePassFailLines,
+  parseTestReport
+};
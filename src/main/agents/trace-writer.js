@@ -45,7 +45,10 @@ class TraceWriter {
       this.sessionId = session.id;
       const filePath = path.join(TRACE_DIR, `${this.sessionId}.jsonl`);
       this.stream = fs.createWriteStream(filePath, { flags: 'a', mode: 0o600 });
-      this._write('session:start', { metadata: session.metadata });
+      this._write('session:start', {
+        metadata: session.metadata,
+        ...(session.resumedAt ? { resumedAt: session.resumedAt } : {})
+      });
     });
 
     o.on('session:end', (session) => {
@@ -63,6 +66,9 @@ class TraceWriter {
     o.on('agent:log', (entry) => this._write('agent:log', entry));
     o.on('agent:proof', (proof) => this._write('agent:proof', proof));
     o.on('agent:handoff', (h) => this._write('agent:handoff', h));
+
+    // Command ledger: every agent command with its risk, decision and outcome
+    o.on('agent:command', (entry) => this._write('agent:command', entry));
   }
 
   _close() {
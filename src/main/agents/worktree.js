@@ -0,0 +1,195 @@
+/**
+ * Agent Worktrees
+ *
+ * Gives the Builder one throwaway git worktree per session so generated
+ * patches and their local proofs never touch the user's checkout. The
+ * result lives on a `liku/agent/<session>` branch until `liku agent apply`
+ * squash-merges it into the user's tree.
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const WORKTREE_DIRECTORY = 'liku-worktrees';
+const BRANCH_PREFIX = 'liku/agent/';
+const FALLBACK_IDENTITY = ['-c', 'user.name=Liku Builder', '-c', 'user.email=builder@liku.local'];
+
+function runGit(args, cwd, options = {}) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf-8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    timeout: options.timeout || 60000,
+    maxBuffer: 10 * 1024 * 1024
+  }).trim();
+}
+
+function describeGitError(error) {
+  return String(error?.stderr || error?.message || error).trim();
+}
+
+function resolveRepoRoot(cwd = process.cwd()) {
+  try {
+    return runGit(['rev-parse', '--show-toplevel'], cwd);
+  } catch {
+    return null;
+  }
+}
+
+function toSafeSessionId(sessionId) {
+  return String(sessionId || '').replace(/[^A-Za-z0-9._-]/g, '-') || `session-${Date.now()}`;
+}
+
+function hasCommitIdentity(cwd) {
+  try {
+    return !!runGit(['config', 'user.email'], cwd);
+  } catch {
+    return false;
+  }
+}
+
+function listChangedFiles(cwd, fromCommit, toCommit) {
+  if (!fromCommit || !toCommit || fromCommit === toCommit) {
+    return [];
+  }
+  return runGit(['diff', '--name-only', fromCommit, toCommit], cwd).split('\n').filter(Boolean);
+}
+
+/**
+ * Create (or reuse) the worktree for a session.
+ * Worktrees live under the repository's git directory so they never show
+ * up as untracked files in the user's checkout.
+ * @param {object} options
+ * @param {string} options.repoRoot
+ * @param {string} options.sessionId
+ * @param {string} [options.baseRef='HEAD']
+ * @returns {object} Worktree record suitable for persisting in agent state
+ */
+function createAgentWorktree(options = {}) {
+  const repoRoot = options.repoRoot;
+  const slug = toSafeSessionId(options.sessionId);
+  const sessionId = options.sessionId || slug;
+  const commonDir = path.resolve(repoRoot, runGit(['rev-parse', '--git-common-dir'], repoRoot));
+  const worktreePath = path.join(commonDir, WORKTREE_DIRECTORY, slug);
+  const branch = `${BRANCH_PREFIX}${slug}`;
+
+  if (fs.existsSync(worktreePath)) {
+    const baseCommit = options.baseCommit || runGit(['merge-base', 'HEAD', branch], repoRoot);
+    return {
+      sessionId,
+      repoRoot,
+      path: worktreePath,
+      branch,
+      baseCommit,
+      headCommit: runGit(['rev-parse', 'HEAD'], worktreePath),
+      status: 'active',
+      createdAt: options.createdAt || new Date().toISOString()
+    };
+  }
+
+  const baseCommit = runGit(['rev-parse', '--verify', `${options.baseRef || 'HEAD'}^{commit}`], repoRoot);
+  runGit(['worktree', 'add', '-q', '-b', branch, worktreePath, baseCommit], repoRoot);
+
+  return {
+    sessionId,
+    repoRoot,
+    path: worktreePath,
+    branch,
+    baseCommit,
+    headCommit: baseCommit,
+    status: 'active',
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Commit everything in the worktree so the session branch holds the
+ * verified result.
+ * @returns {object} Updated worktree record with `changedFiles`
+ */
+function commitAgentWorktree(worktree, message) {
+  runGit(['add', '-A'], worktree.path);
+  const pending = runGit(['status', '--porcelain'], worktree.path);
+  if (pending) {
+    const identity = hasCommitIdentity(worktree.path) ? [] : FALLBACK_IDENTITY;
+    runGit([...identity, 'commit', '-q', '--no-verify', '-m', message || `Builder changes for ${worktree.sessionId}`], worktree.path);
+  }
+  const headCommit = runGit(['rev-parse', 'HEAD'], worktree.path);
+  return {
+    ...worktree,
+    headCommit,
+    changedFiles: listChangedFiles(worktree.path, worktree.baseCommit, headCommit),
+    committedAt: pending ? new Date().toISOString() : worktree.committedAt || null
+  };
+}
+
+/**
+ * Remove the worktree directory and its session branch.
+ */
+function removeAgentWorktree(worktree) {
+  const errors = [];
+  if (fs.existsSync(worktree.path)) {
+    try {
+      runGit(['worktree', 'remove', '--force', worktree.path], worktree.repoRoot);
+    } catch (error) {
+      errors.push(describeGitError(error));
+    }
+  }
+  try {
+    runGit(['branch', '-D', worktree.branch], worktree.repoRoot);
+  } catch (error) {
+    errors.push(describeGitError(error));
+  }
+  return { success: errors.length === 0, errors };
+}
+
+/**
+ * Squash-merge the session branch into the user's checkout.
+ * Changes land staged but uncommitted so the user reviews and commits them;
+ * git refuses the merge if it would overwrite local edits.
+ * @param {object} worktree
+ * @param {object} [options]
+ * @param {boolean} [options.keep=false] Keep the worktree and branch afterwards
+ */
+function mergeAgentWorktree(worktree, options = {}) {
+  if (!worktree?.branch || !worktree?.repoRoot) {
+    return { success: false, error: 'Session has no builder worktree' };
+  }
+
+  let headCommit;
+  try {
+    headCommit = runGit(['rev-parse', '--verify', `${worktree.branch}^{commit}`], worktree.repoRoot);
+  } catch (error) {
+    return { success: false, error: `Session branch ${worktree.branch} is missing: ${describeGitError(error)}` };
+  }
+
+  const changedFiles = listChangedFiles(worktree.repoRoot, worktree.baseCommit, headCommit);
+  if (changedFiles.length === 0) {
+    return { success: false, error: `Session branch ${worktree.branch} has no changes to apply` };
+  }
+
+  try {
+    runGit(['merge', '--squash', '--quiet', worktree.branch], worktree.repoRoot, { timeout: 120000 });
+  } catch (error) {
+    return { success: false, error: describeGitError(error), changedFiles };
+  }
+
+  const cleanup = options.keep ? null : removeAgentWorktree(worktree);
+  return {
+    success: true,
+    headCommit,
+    changedFiles,
+    removed: cleanup ? cleanup.success : false,
+    warnings: cleanup?.errors || []
+  };
+}
+
+module.exports = {
+  BRANCH_PREFIX,
+  resolveRepoRoot,
+  createAgentWorktree,
+  commitAgentWorktree,
+  removeAgentWorktree,
+  mergeAgentWorktree
+};
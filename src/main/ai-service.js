@@ -45,6 +45,12 @@ function isToolRegistryRiskEnabled() {
   return !isRegistryFeatureDisabled(process.env.LIKU_USE_TOOL_REGISTRY_RISKS);
 }
 
+// Copilot sends tool schemas unless LIKU_NATIVE_TOOL_CALLS=0; OpenAI and
+// Anthropic only send them when it is set to 1 (resolveNativeToolDefinitions).
+function isCopilotToolCallingEnabled() {
+  return !isRegistryFeatureDisabled(process.env.LIKU_NATIVE_TOOL_CALLS);
+}
+
 // `ai-service` is used by the Electron app *and* by the CLI.
 // When running in CLI-only mode, Electron may not be available.
 let shell;
@@ -68,7 +74,14 @@ const {
 const {
   createProviderRegistry
 } = require('./ai-service/providers/registry');
+const { loadProviderEndpointConfig } = require('./ai-service/providers/endpoint-config');
 const { createProviderOrchestrator } = require('./ai-service/providers/orchestration');
+const { createProviderCassette, createProviderCassetteFromEnv } = require('./ai-service/providers/cassette');
+const {
+  createStreamCollector,
+  isStreamingRequested,
+  requestStreamingCompletion
+} = require('./ai-service/providers/streaming');
 const {
   checkActionPolicies,
   checkNegativePolicies,
@@ -78,6 +91,12 @@ const {
   formatNegativePolicyViolationSystemMessage
 } = require('./ai-service/policy-enforcement');
 const { LIKU_TOOLS, toolCallsToActions, getToolDefinitions } = require('./ai-service/providers/copilot/tools');
+const {
+  buildToolCallActionPlan,
+  formatToolCallPlanMessage,
+  resolveNativeToolDefinitions,
+  toAnthropicToolDefinitions
+} = require('./ai-service/actions/tool-calls');
 const { parseCopilotChatResponse } = require('./ai-service/providers/copilot/chat-response');
 const { shouldAutoContinueResponse } = require('./ai-service/response-heuristics');
 const {
@@ -201,12 +220,14 @@ const { createRuntimeTraceLog } = require('./traces/runtime-trace-log');
 const { buildCapabilityPolicySnapshot } = require('./capability-policy');
 const { SYSTEM_PROMPT } = require('./ai-service/system-prompt');
 const skillRouter = require('./memory/skill-router');
+const skillMacros = require('./memory/skill-macros');
 const memoryStore = require('./memory/memory-store');
 const {
   exportDurableMemory: exportDurableMemoryArtifact,
   importDurableMemory: importDurableMemoryArtifact,
 } = require('./memory/memory-portability');
 const reflectionTrigger = require('./telemetry/reflection-trigger');
+const { createUsageTracker } = require('./telemetry/usage-ledger');
 const { runPreToolUseHook, runPostToolUseHook } = require('./tools/hook-runner');
 
 // ===== ENVIRONMENT DETECTION =====
@@ -665,19 +686,27 @@ const COPILOT_CHAT_PATH = '/chat/completions';
 let preferredCopilotChatHost = COPILOT_CHAT_HOST;
 let sessionApiHost = null; // Populated from session token endpoints.api
 
+// Token persistence path — lives inside ~/.liku/
+const { LIKU_HOME, ensureLikuStructure, migrateIfNeeded } = require('../shared/liku-home');
+
 // Current configuration
-const providerRegistry = createProviderRegistry(process.env);
+// Named OpenAI-compatible endpoints (llama.cpp, vLLM, LM Studio) from ~/.liku/providers.json
+const providerEndpointConfig = loadProviderEndpointConfig({ likuHome: LIKU_HOME });
+for (const configError of providerEndpointConfig.errors) {
+  console.warn(`[AI] Skipping provider endpoint — ${configError}`);
+}
+const providerRegistry = createProviderRegistry(process.env, { endpoints: providerEndpointConfig.endpoints });
 const {
   AI_PROVIDERS,
   apiKeys,
+  describeProviders,
   getCurrentProvider,
+  getFallbackOrder: getProviderFallbackOrder,
+  providerAdapters,
   setApiKey: setProviderApiKey,
   setProvider: setActiveProvider
 } = providerRegistry;
 
-// Token persistence path — lives inside ~/.liku/
-const { LIKU_HOME, ensureLikuStructure, migrateIfNeeded } = require('../shared/liku-home');
-
 // Bootstrap home directory on module load
 ensureLikuStructure();
 migrateIfNeeded();
@@ -876,6 +905,7 @@ const messageBuilder = createMessageBuilder({
   getSemanticDOMContextText,
   getUIWatcher,
   maxHistory: MAX_HISTORY,
+  supportsImageUrlContent: (provider) => !!(providerAdapters[provider] && providerAdapters[provider].config.vision),
   systemPrompt: SYSTEM_PROMPT
 });
 
@@ -905,6 +935,7 @@ const commandHandler = createCommandHandler({
   },
   clearVisualContext,
   clearChatContinuityState,
+  describeProviders,
   exchangeForCopilotSession,
   getCopilotModels,
   getChatContinuityState,
@@ -1488,12 +1519,13 @@ async function callCopilot(messages, modelOverride = null, requestOptions = {})
     };
 
     chatDebugLog(`[Copilot] Vision request: ${hasVision}, Model: ${modelId} (key=${modelKey})`);
-    const toolsEnabledForModel = enableTools && supportsCopilotCapability(activeModelKey, 'tools');
+    const toolsEnabledForModel = enableTools && isCopilotToolCallingEnabled() && supportsCopilotCapability(activeModelKey, 'tools');
     if (enableTools && !toolsEnabledForModel) {
       chatDebugLog(`[Copilot] Model ${activeModelKey} does not advertise tool support; sending plain chat request.`);
     }
 
     const isReasoningModel = supportsCopilotCapability(activeModelKey, 'reasoning');
+    const toolDefinitions = toolsEnabledForModel ? getToolDefinitions() : null;
 
     const makeRequestBody = (selectedModelId) => {
       const payload = {
@@ -1516,7 +1548,7 @@ async function callCopilot(messages, modelOverride = null, requestOptions = {})
       }
 
       if (toolsEnabledForModel) {
-        payload.tools = getToolDefinitions();
+        payload.tools = toolDefinitions;
         payload.tool_choice = requestOptions?.tool_choice || 'auto';
       }
 
@@ -1550,7 +1582,8 @@ async function callCopilot(messages, modelOverride = null, requestOptions = {})
         path: pathPrefix + COPILOT_CHAT_PATH,
         method: 'POST',
         headers: headers,
-        timeout: 30000
+        timeout: 30000,
+        ...(requestOptions?.signal ? { signal: requestOptions.signal } : {})
       };
 
       chatDebugLog(`[Copilot] Calling ${hostname}${options.path} with model ${selectedModelId}...`);
@@ -1558,9 +1591,23 @@ async function callCopilot(messages, modelOverride = null, requestOptions = {})
       return new Promise((resolveReq, rejectReq) => {
         const req = https.request(options, (res) => {
           let body = '';
-          res.on('data', chunk => body += chunk);
+          // Forward SSE deltas as they arrive; the buffered body is still parsed below.
+          const streamCollector = isStreamingRequested(requestOptions) && res.statusCode < 400
+            ? createStreamCollector('openai', { onToken: requestOptions.onToken })
+            : null;
+          if (streamCollector) res.setEncoding('utf8');
+          res.on('data', (chunk) => {
+            body += chunk;
+            if (streamCollector) streamCollector.push(chunk);
+          });
           res.on('end', () => {
             chatDebugLog('[Copilot] API response status:', res.statusCode);
+            if (streamCollector) {
+              streamCollector.end();
+              if (typeof requestOptions.onStreamComplete === 'function') {
+                requestOptions.onStreamComplete({ finishReason: streamCollector.getFinishReason() });
+              }
+            }
             
             if (res.statusCode === 401) {
               // Session token expired, clear it
@@ -1579,13 +1626,9 @@ async function callCopilot(messages, modelOverride = null, requestOptions = {})
 
             try {
               const parsed = parseCopilotChatResponse(body, res.headers || {});
+              reportProviderUsage(requestOptions, parsed.usage);
               if (parsed.toolCalls && parsed.toolCalls.length > 0) {
-                  const actions = toolCallsToActions(parsed.toolCalls);
-                  const actionBlock = JSON.stringify({
-                    thought: parsed.content || 'Executing requested actions',
-                    actions,
-                    verification: 'Verify the actions completed successfully'
-                  }, null, 2);
+                  const content = resolveToolCallResponse('Copilot', parsed.content, parsed.toolCalls, toolDefinitions);
                   const runtimeModelKey = resolveModelKeyFromId(selectedModelId, activeModelKey);
                   recordRuntimeSelection({
                     requestedModel: modelKey,
@@ -1595,7 +1638,7 @@ async function callCopilot(messages, modelOverride = null, requestOptions = {})
                   });
                   chatDebugLog(`[Copilot] Received ${parsed.toolCalls.length} tool_calls, converted to action block`);
                   resolveReq({
-                    content: '```json\n' + actionBlock + '\n```',
+                    content,
                     effectiveModel: runtimeModelKey,
                     requestedModel: modelKey,
                     actualModelId: selectedModelId,
@@ -1649,6 +1692,11 @@ async function callCopilot(messages, modelOverride = null, requestOptions = {})
       .catch(async (err) => {
         chatDebugLog('[Copilot] Primary endpoint failed:', err.message);
 
+        // A cancelled request is not retried on the other host
+        if (requestOptions?.signal?.aborted) {
+          return reject(err);
+        }
+
         const unsupportedModel = /unsupported_api_for_model|not accessible via the \/chat\/completions endpoint|not available|not supported|model_not_supported/i.test(err.message || '');
         if (unsupportedModel) {
           return reject(new Error(`Selected Copilot model '${modelName}' is not available on the chat endpoint. Choose a different model.`));
@@ -1689,33 +1737,92 @@ async function callCopilot(messages, modelOverride = null, requestOptions = {})
   });
 }
 
+/**
+ * Extract a provider error message from a JSON (or plain) error body.
+ */
+function parseProviderErrorMessage(body) {
+  try {
+    const parsed = JSON.parse(body);
+    if (parsed && parsed.error) {
+      return typeof parsed.error === 'string' ? parsed.error : (parsed.error.message || null);
+    }
+  } catch {}
+  return String(body || '').substring(0, 200) || null;
+}
+
+/**
+ * Forward a provider's token usage to the orchestrator's usage tracker.
+ * Calls without an `onUsage` callback (untracked) or without usage are no-ops.
+ */
+function reportProviderUsage(requestOptions, usage, model) {
+  if (usage && requestOptions && typeof requestOptions.onUsage === 'function') {
+    requestOptions.onUsage({ usage, model: model || null });
+  }
+}
+
+/**
+ * Turn provider tool calls into the fenced JSON action block that parseActions,
+ * policy enforcement and risk analysis consume. Malformed calls are rejected as
+ * a batch and surface as an empty plan with `toolCallErrors`.
+ */
+function resolveToolCallResponse(providerLabel, content, toolCalls, definitions) {
+  if (!Array.isArray(toolCalls) || toolCalls.length === 0) {
+    return content || '';
+  }
+  const { plan, errors } = buildToolCallActionPlan(toolCalls, {
+    content,
+    ...(Array.isArray(definitions) ? { definitions } : {})
+  });
+  if (errors.length > 0) {
+    console.warn(`[AI] ${providerLabel} tool calls rejected: ${errors.join('; ')}`);
+  }
+  return formatToolCallPlanMessage(plan);
+}
+
 /**
  * Call OpenAI API
  */
 function callOpenAI(messages, requestOptions) {
-  return new Promise((resolve, reject) => {
-    const config = AI_PROVIDERS.openai;
-    const hasVision = messages.some(m => Array.isArray(m.content));
-    
-    const data = JSON.stringify({
-      model: hasVision ? config.visionModel : config.model,
-      messages: messages,
-      max_tokens: 2048,
-      temperature: (requestOptions && requestOptions.temperature !== undefined) ? requestOptions.temperature : 0.7,
-      ...(requestOptions && requestOptions.top_p !== undefined ? { top_p: requestOptions.top_p } : {})
-    });
+  const config = AI_PROVIDERS.openai;
+  const hasVision = messages.some(m => Array.isArray(m.content));
+  const streaming = isStreamingRequested(requestOptions);
+  const toolDefinitions = resolveNativeToolDefinitions(requestOptions);
 
-    const options = {
-      hostname: config.baseUrl,
-      path: config.path,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKeys.openai}`,
-        'Content-Length': Buffer.byteLength(data)
-      }
-    };
+  const data = JSON.stringify({
+    model: requestOptions?.model || (hasVision ? config.visionModel : config.model),
+    messages: messages,
+    max_tokens: Number.isFinite(Number(requestOptions?.max_tokens)) ? Number(requestOptions.max_tokens) : 2048,
+    temperature: (requestOptions && requestOptions.temperature !== undefined) ? requestOptions.temperature : 0.7,
+    ...(requestOptions && requestOptions.top_p !== undefined ? { top_p: requestOptions.top_p } : {}),
+    ...(toolDefinitions ? { tools: toolDefinitions, tool_choice: requestOptions?.tool_choice || 'auto' } : {}),
+    ...(streaming ? { stream: true, stream_options: { include_usage: true } } : {})
+  });
 
+  const options = {
+    hostname: config.baseUrl,
+    path: config.path,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKeys.openai}`,
+      'Content-Length': Buffer.byteLength(data)
+    },
+    ...(requestOptions?.signal ? { signal: requestOptions.signal } : {})
+  };
+
+  if (streaming) {
+    return requestStreamingCompletion({
+      transport: https,
+      httpOptions: options,
+      data,
+      format: 'openai',
+      requestOptions,
+      buildHttpError: (status, body) => new Error(parseProviderErrorMessage(body) || `OpenAI API error ${status}`),
+      finalize: ({ content, toolCalls }) => resolveToolCallResponse('OpenAI', content, toolCalls, toolDefinitions)
+    });
+  }
+
+  return new Promise((resolve, reject) => {
     const req = https.request(options, (res) => {
       let body = '';
       res.on('data', chunk => body += chunk);
@@ -1725,7 +1832,9 @@ function callOpenAI(messages, requestOptions) {
           if (response.error) {
             reject(new Error(response.error.message));
           } else {
-            resolve(response.choices[0].message.content);
+            reportProviderUsage(requestOptions, response.usage, response.model);
+            const message = response.choices[0].message || {};
+            resolve(resolveToolCallResponse('OpenAI', message.content, message.tool_calls, toolDefinitions));
           }
         } catch (e) {
           reject(e);
@@ -1743,34 +1852,51 @@ function callOpenAI(messages, requestOptions) {
  * Call Anthropic API
  */
 function callAnthropic(messages, requestOptions) {
-  return new Promise((resolve, reject) => {
-    const config = AI_PROVIDERS.anthropic;
-    
-    // Convert messages format for Anthropic
-    const systemMsg = messages.find(m => m.role === 'system');
-    const otherMessages = messages.filter(m => m.role !== 'system');
-    
-    const data = JSON.stringify({
-      model: config.model,
-      max_tokens: 2048,
-      system: systemMsg ? systemMsg.content : '',
-      messages: otherMessages,
-      ...(requestOptions && requestOptions.temperature !== undefined ? { temperature: requestOptions.temperature } : {}),
-      ...(requestOptions && requestOptions.top_p !== undefined ? { top_p: requestOptions.top_p } : {})
-    });
+  const config = AI_PROVIDERS.anthropic;
+  const streaming = isStreamingRequested(requestOptions);
+  const toolDefinitions = resolveNativeToolDefinitions(requestOptions);
 
-    const options = {
-      hostname: config.baseUrl,
-      path: config.path,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKeys.anthropic,
-        'anthropic-version': '2023-06-01',
-        'Content-Length': Buffer.byteLength(data)
-      }
-    };
+  // Convert messages format for Anthropic
+  const systemMsg = messages.find(m => m.role === 'system');
+  const otherMessages = messages.filter(m => m.role !== 'system');
+
+  const data = JSON.stringify({
+    model: requestOptions?.model || config.model,
+    max_tokens: Number.isFinite(Number(requestOptions?.max_tokens)) ? Number(requestOptions.max_tokens) : 2048,
+    system: systemMsg ? systemMsg.content : '',
+    messages: otherMessages,
+    ...(requestOptions && requestOptions.temperature !== undefined ? { temperature: requestOptions.temperature } : {}),
+    ...(requestOptions && requestOptions.top_p !== undefined ? { top_p: requestOptions.top_p } : {}),
+    ...(toolDefinitions ? { tools: toAnthropicToolDefinitions(toolDefinitions), tool_choice: { type: 'auto' } } : {}),
+    ...(streaming ? { stream: true } : {})
+  });
+
+  const options = {
+    hostname: config.baseUrl,
+    path: config.path,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKeys.anthropic,
+      'anthropic-version': '2023-06-01',
+      'Content-Length': Buffer.byteLength(data)
+    },
+    ...(requestOptions?.signal ? { signal: requestOptions.signal } : {})
+  };
 
+  if (streaming) {
+    return requestStreamingCompletion({
+      transport: https,
+      httpOptions: options,
+      data,
+      format: 'anthropic',
+      requestOptions,
+      buildHttpError: (status, body) => new Error(parseProviderErrorMessage(body) || `Anthropic API error ${status}`),
+      finalize: ({ content, toolCalls }) => resolveToolCallResponse('Anthropic', content, toolCalls, toolDefinitions)
+    });
+  }
+
+  return new Promise((resolve, reject) => {
     const req = https.request(options, (res) => {
       let body = '';
       res.on('data', chunk => body += chunk);
@@ -1780,8 +1906,10 @@ function callAnthropic(messages, requestOptions) {
           if (response.error) {
             reject(new Error(response.error.message));
           } else {
-            const textContent = response.content.find(c => c.type === 'text');
-            resolve(textContent ? textContent.text : '');
+            reportProviderUsage(requestOptions, response.usage, response.model);
+            const blocks = Array.isArray(response.content) ? response.content : [];
+            const text = blocks.filter(c => c.type === 'text').map(c => c.text).join('');
+            resolve(resolveToolCallResponse('Anthropic', text, blocks.filter(c => c.type === 'tool_use'), toolDefinitions));
           }
         } catch (e) {
           reject(e);
@@ -1799,36 +1927,57 @@ function callAnthropic(messages, requestOptions) {
  * Call Ollama API (local)
  */
 function callOllama(messages, requestOptions) {
-  return new Promise((resolve, reject) => {
-    const config = AI_PROVIDERS.ollama;
-    
-    // Check for images in the last message
-    const lastMsg = messages[messages.length - 1];
-    const hasImages = lastMsg.images && lastMsg.images.length > 0;
-    
-    const data = JSON.stringify({
-      model: hasImages ? config.visionModel : config.model,
-      messages: messages.map(m => ({
-        role: m.role,
-        content: typeof m.content === 'string' ? m.content : 
-          Array.isArray(m.content) ? m.content.map(c => c.text || '').join('\n') : '',
-        images: m.images || undefined
-      })),
-      stream: false,
-      ...(requestOptions && requestOptions.temperature !== undefined ? { options: { temperature: requestOptions.temperature } } : {})
-    });
+  const config = AI_PROVIDERS.ollama;
+  const streaming = isStreamingRequested(requestOptions);
 
-    const options = {
-      hostname: config.baseUrl,
-      port: config.port,
-      path: config.path,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(data)
-      }
-    };
+  // Check for images in the last message
+  const lastMsg = messages[messages.length - 1];
+  const hasImages = lastMsg.images && lastMsg.images.length > 0;
+
+  const data = JSON.stringify({
+    model: requestOptions?.model || (hasImages ? config.visionModel : config.model),
+    messages: messages.map(m => ({
+      role: m.role,
+      content: typeof m.content === 'string' ? m.content : 
+        Array.isArray(m.content) ? m.content.map(c => c.text || '').join('\n') : '',
+      images: m.images || undefined
+    })),
+    stream: streaming,
+    ...(requestOptions && (requestOptions.temperature !== undefined || requestOptions.max_tokens !== undefined) ? {
+      options: {
+        ...(requestOptions.temperature !== undefined ? { temperature: requestOptions.temperature } : {}),
+        ...(requestOptions.max_tokens !== undefined ? { num_predict: Number(requestOptions.max_tokens) } : {})
+      }
+    } : {})
+  });
+
+  const options = {
+    hostname: config.baseUrl,
+    port: config.port,
+    path: config.path,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(data)
+    },
+    ...(requestOptions?.signal ? { signal: requestOptions.signal } : {})
+  };
 
+  if (streaming) {
+    return requestStreamingCompletion({
+      transport: http,
+      httpOptions: options,
+      data,
+      format: 'ollama',
+      requestOptions,
+      buildHttpError: (status, body) => new Error(parseProviderErrorMessage(body) || `Ollama error ${status}`),
+      mapRequestError: (err) => (err.code === 'ECONNREFUSED'
+        ? new Error('Ollama not running. Start it with: ollama serve\nOr set a different provider with /provider openai or /provider anthropic')
+        : err)
+    });
+  }
+
+  return new Promise((resolve, reject) => {
     const req = http.request(options, (res) => {
       let body = '';
       res.on('data', chunk => body += chunk);
@@ -1838,6 +1987,7 @@ function callOllama(messages, requestOptions) {
           if (response.error) {
             reject(new Error(response.error));
           } else {
+            reportProviderUsage(requestOptions, { prompt_eval_count: response.prompt_eval_count, eval_count: response.eval_count }, response.model);
             resolve(response.message?.content || '');
           }
         } catch (e) {
@@ -1958,8 +2108,27 @@ registerTradingViewPineLifecycleHooks({
 /**
  * Send a message and get AI response with auto-continuation
  */
-// Provider fallback priority order
-const PROVIDER_FALLBACK_ORDER = ['copilot', 'openai', 'anthropic', 'ollama'];
+// Provider fallback priority order (built-ins first, then configured endpoints)
+const PROVIDER_FALLBACK_ORDER = getProviderFallbackOrder();
+
+// Token usage for every provider call; budgets apply per process (session) and per day.
+const usageTracker = createUsageTracker();
+
+// Record/replay fixture for provider calls (LIKU_CASSETTE or `liku chat --cassette`).
+let providerCassette = createProviderCassetteFromEnv(process.env);
+
+/**
+ * Route provider calls through a cassette fixture, or pass null to go live.
+ * @param {{ file: string, mode?: string } | null} options
+ */
+function setProviderCassette(options) {
+  providerCassette = options ? createProviderCassette(options) : null;
+  return providerCassette;
+}
+
+function getProviderCassette() {
+  return providerCassette;
+}
 
 const providerOrchestrator = createProviderOrchestrator({
   aiProviders: AI_PROVIDERS,
@@ -1970,10 +2139,13 @@ const providerOrchestrator = createProviderOrchestrator({
   callOpenAI,
   getCurrentCopilotModel,
   getCurrentProvider,
+  getProviderCassette,
   loadCopilotToken,
   modelRegistry,
+  providerAdapters,
   providerFallbackOrder: PROVIDER_FALLBACK_ORDER,
-  resolveCopilotModelKey
+  resolveCopilotModelKey,
+  usageTracker
 });
 
 const {
@@ -2002,7 +2174,16 @@ async function sendMessage(userMessage, options = {}) {
     maxContinuations = 2,
     model = null,
     enforceActions = true,
-    extraSystemMessages = []
+    extraSystemMessages = [],
+    onToken = null,
+    onStreamReset = null,
+    usageCommand = 'chat',
+    provider: routedProvider = null,
+    phase: requestPhase = 'execution',
+    requestOptions: requestOverrides = null,
+    providerFallback = true,
+    signal = null,
+    skillMacros: skillMacrosEnabled = undefined
   } = options;
 
   const parsedTags = parseInlineIntentTags(userMessage);
@@ -2086,6 +2267,17 @@ async function sendMessage(userMessage, options = {}) {
   });
   baseExtraSystemMessages.push(...registeredSystemContractMessages);
 
+  // Asynchronous embedding providers (ollama) embed the query and any new
+  // notes/skills here; the selections below fall back to hashing otherwise.
+  try {
+    await Promise.all([
+      typeof skillRouter.prepareSkillRecall === 'function' ? skillRouter.prepareSkillRecall(enhancedMessage) : null,
+      typeof memoryStore.prepareNoteRecall === 'function' ? memoryStore.prepareNoteRecall(enhancedMessage) : null
+    ]);
+  } catch (err) {
+    console.warn('[AI] Embedding recall preparation error (non-fatal):', err.message);
+  }
+
   try {
     skillSelection = skillRouter.getRelevantSkillsSelection(enhancedMessage, {
       executionContextEnvelope: selectionExecutionContextEnvelope,
@@ -2183,6 +2375,40 @@ async function sendMessage(userMessage, options = {}) {
     };
   }
 
+  // Skill macros: a confidently routed skill with an action template answers
+  // without generation. Execution still runs the usual risk checks, and the
+  // outcome is recorded against this skill only.
+  const skillMacro = await maybeBuildSkillMacroResponse(enhancedMessage, skillSelection, {
+    windowTitle: currentWindowTitle,
+    enabled: effectiveEnforceActions && !coordinates ? skillMacrosEnabled : false
+  });
+  if (skillMacro.response) {
+    const { decision } = skillMacro;
+    lastSkillSelection = {
+      ...lastSkillSelection,
+      ids: [decision.skillId],
+      macro: { skillId: decision.skillId, confidence: decision.confidence, slots: decision.slots }
+    };
+    historyStore.pushConversationEntry({ role: 'user', content: enhancedMessage });
+    historyStore.pushConversationEntry({ role: 'assistant', content: skillMacro.response });
+    historyStore.trimConversationHistory();
+    historyStore.saveConversationHistory();
+
+    return {
+      success: true,
+      message: skillMacro.response,
+      provider: 'skill-macro',
+      model: decision.skillId,
+      requestedModel: decision.skillId,
+      modelVersion: null,
+      endpointHost: null,
+      routingNote: `skill macro ${decision.skillId} (confidence ${decision.confidence.toFixed(2)})`,
+      routing: { mode: 'skill-macro', skillId: decision.skillId, confidence: decision.confidence, slots: decision.slots },
+      hasVisualContext: false,
+      selection: selectionProvenance
+    };
+  }
+
   // Build messages with explicit skills/memory context params
   const messages = await buildMessages(enhancedMessage, includeVisualContext, {
     extraSystemMessages: baseExtraSystemMessages,
@@ -2200,7 +2426,14 @@ async function sendMessage(userMessage, options = {}) {
       preferPlanning: tagSet.has('plan') || tagSet.has('vs code'),
       requiresTools: looksLikeAutomationRequest(enhancedMessage),
       tags: parsedTags.tags,
-      phase: 'execution'
+      phase: requestPhase,
+      provider: routedProvider,
+      requestOverrides,
+      providerFallback,
+      signal,
+      command: usageCommand,
+      onToken: typeof onToken === 'function' ? onToken : null,
+      onStreamReset: typeof onStreamReset === 'function' ? onStreamReset : null
     });
     let response = providerResult.response;
     let effectiveModel = providerResult.effectiveModel;
@@ -2213,8 +2446,10 @@ async function sendMessage(userMessage, options = {}) {
     // Auto-continuation for truncated responses
     let fullResponse = response;
     let continuationCount = 0;
+    // Streamed calls report the provider stop reason; `length`/`max_tokens` is a hard truncation signal.
+    let lastFinishReason = providerMetadata?.stream?.finishReason || null;
     
-    while (shouldAutoContinueResponse(fullResponse, hasActions(fullResponse)) && continuationCount < maxContinuations) {
+    while (shouldAutoContinueResponse(fullResponse, hasActions(fullResponse), { finishReason: lastFinishReason }) && continuationCount < maxContinuations) {
       continuationCount++;
       chatDebugLog(`[AI] Response appears truncated, continuing (${continuationCount}/${maxContinuations})...`);
       
@@ -2225,7 +2460,21 @@ async function sendMessage(userMessage, options = {}) {
       const continueMessages = await buildMessages('Continue from where you left off. Do not repeat what you already said.', false);
       
       try {
-        const continuation = await providerOrchestrator.callCurrentProvider(continueMessages, effectiveModel);
+        let continuationStarted = false;
+        const continuation = await providerOrchestrator.callCurrentProvider(continueMessages, effectiveModel, {
+          command: usageCommand,
+          phase: 'continuation',
+          onToken: typeof onToken === 'function'
+            ? (delta, info) => {
+              if (!continuationStarted) {
+                continuationStarted = true;
+                onToken('\n', info);
+              }
+              onToken(delta, info);
+            }
+            : null
+        });
+        lastFinishReason = null;
         
         // Append continuation
         fullResponse += '\n' + continuation;
@@ -2271,7 +2520,7 @@ async function sendMessage(userMessage, options = {}) {
         const forcedMessages = await buildMessages(enforcementPrompt, includeVisualContext, {
           extraSystemMessages: baseExtraSystemMessages
         });
-        const forcedRaw = await providerOrchestrator.callProvider('copilot', forcedMessages, effectiveModel);
+        const forcedRaw = await providerOrchestrator.callProvider('copilot', forcedMessages, effectiveModel, undefined, { command: usageCommand, phase: 'enforcement' });
         const forced = (forcedRaw && typeof forcedRaw === 'object' && typeof forcedRaw.content === 'string')
           ? forcedRaw.content : forcedRaw;
         const parsedForced = forced ? parseActions(forced) : null;
@@ -2315,7 +2564,7 @@ async function sendMessage(userMessage, options = {}) {
             const recoveryMessages = await buildMessages(pineRecoveryPrompt, includeVisualContext, {
               extraSystemMessages: baseExtraSystemMessages
             });
-            const recoveryRaw = await providerOrchestrator.callProvider('copilot', recoveryMessages, effectiveModel);
+            const recoveryRaw = await providerOrchestrator.callProvider('copilot', recoveryMessages, effectiveModel, undefined, { command: usageCommand, phase: 'recovery' });
             const recoveryResponse = (recoveryRaw && typeof recoveryRaw === 'object' && typeof recoveryRaw.content === 'string')
               ? recoveryRaw.content
               : recoveryRaw;
@@ -2453,7 +2702,7 @@ async function sendMessage(userMessage, options = {}) {
             });
 
             // Call the same provider/model we already used for the first response.
-            const regenerated = await providerOrchestrator.callProvider(usedProvider, regenMessages, effectiveModel);
+            const regenerated = await providerOrchestrator.callProvider(usedProvider, regenMessages, effectiveModel, undefined, { command: usageCommand, phase: 'regeneration' });
 
             // callProvider returns an object for copilot ({ content, ... }) or a string for others.
             const regenText = (regenerated && typeof regenerated === 'object' && typeof regenerated.content === 'string')
@@ -2541,6 +2790,7 @@ async function sendMessage(userMessage, options = {}) {
       routingNote: routingNoteOverride || providerMetadata?.routing?.message || null,
       routing: routingOverride || providerMetadata?.routing || null,
       hasVisualContext: includeVisualContext && visualContextStore.getVisualContextCount() > 0,
+      streamed: !!providerMetadata?.stream?.streamed,
       selection: selectionProvenance
     };
 
@@ -2781,8 +3031,7 @@ function handleCommand(command) {
         const notesMap = memoryStore.listNotes();
         let removed = 0;
         for (const id of Object.keys(notesMap)) {
-          memoryStore.removeNote(id);
-          removed++;
+          if (memoryStore.removeNote(id)) removed++;
         }
         return { type: 'system', message: `Cleared ${removed} memory note(s).` };
       }
@@ -2827,8 +3076,9 @@ function handleCommand(command) {
       }
       if (parts[1] === 'approve' && parts[2]) {
         const result = toolRegistry.approveTool(parts[2]);
+        const granted = result.success ? Object.keys(result.grants || {}) : [];
         return result.success
-          ? { type: 'system', message: `Tool '${parts[2]}' approved for execution.` }
+          ? { type: 'system', message: `Tool '${parts[2]}' approved for execution.${granted.length ? ` Granted: ${granted.join(', ')}.` : ''}` }
           : { type: 'error', message: result.error };
       }
       if (parts[1] === 'revoke' && parts[2]) {
@@ -2916,13 +3166,22 @@ function getStatus() {
     hasCopilotKey: !!apiKeys.copilot,
     hasApiKey: getCurrentProvider() === 'copilot' ? !!apiKeys.copilot : 
            getCurrentProvider() === 'openai' ? !!apiKeys.openai :
-           getCurrentProvider() === 'anthropic' ? !!apiKeys.anthropic : true,
+           getCurrentProvider() === 'anthropic' ? !!apiKeys.anthropic :
+           providerAdapters[getCurrentProvider()] ? providerAdapters[getCurrentProvider()].describe().hasApiKey : true,
     hasOpenAIKey: !!apiKeys.openai,
     hasAnthropicKey: !!apiKeys.anthropic,
     historyLength: historyStore.getHistoryLength(),
     visualContextCount: visualContextStore.getVisualContextCount(),
     browserSessionState: getBrowserSessionState(),
     availableProviders: Object.keys(AI_PROVIDERS),
+    providerEndpoints: describeProviders().filter((entry) => entry.kind !== 'builtin'),
+    cassette: providerCassette
+      ? { file: providerCassette.file, mode: providerCassette.mode, ...providerCassette.getStats() }
+      : null,
+    tokenUsage: {
+      session: usageTracker.getSessionTotals(),
+      budget: usageTracker.getBudgetStatus()
+    },
     copilotModels: getCopilotModels()
   };
 }
@@ -3473,7 +3732,7 @@ function analyzeActionSafety(action, targetInfo = {}) {
   const isStateMutatingAction = (() => {
     const actionType = String(action?.type || '').trim().toLowerCase();
     if (!actionType) return false;
-    if (['screenshot', 'wait', 'grep_repo', 'semantic_search_repo', 'pgrep_process', 'focus_window', 'bring_window_to_front', 'send_window_to_back', 'minimize_window', 'restore_window', 'get_text', 'find_element'].includes(actionType)) {
+    if (['screenshot', 'wait', 'grep_repo', 'semantic_search_repo', 'pgrep_process', 'github_capability', 'focus_window', 'bring_window_to_front', 'send_window_to_back', 'minimize_window', 'restore_window', 'get_text', 'find_element'].includes(actionType)) {
       return false;
     }
     if (actionType === 'run_command') {
@@ -3602,6 +3861,10 @@ function analyzeActionSafety(action, targetInfo = {}) {
     case 'pgrep_process':
       result.riskLevel = ActionRiskLevel.SAFE;
       break;
+    case 'github_capability':
+      // Only read-only capabilities are exposed as tools; writes stay behind /github apply.
+      result.riskLevel = ActionRiskLevel.LOW;
+      break;
   }
   
   // Check target info for dangerous patterns
@@ -3776,6 +4039,8 @@ function describeAction(action, targetInfo = {}, confirmationContext = null) {
       return `Semantic repo search for "${action.query || action.pattern || ''}"`.trim();
     case 'pgrep_process':
       return `Search running processes for "${action.query || action.name || action.pattern || ''}"`.trim();
+    case 'github_capability':
+      return `GitHub ${action.capability || 'capability'} ${(action.positionals || []).join(' ')}`.trim();
     default:
       return `${action.type} action`;
   }
@@ -4211,6 +4476,47 @@ function maybeBuildSatisfiedBrowserNoOpResponse(userMessage, options = {}) {
   return `${labels.websiteLabel} should now be open in ${browserName}. No further actions needed.`;
 }
 
+/**
+ * Instantiate the top routed skill's macro when routing is confident and
+ * every slot resolves. The plan must pass the same app and capability policy
+ * checks as a generated plan; otherwise `response` is null and generation
+ * proceeds as usual. `decision` explains why (skill-macros.planSkillMacro).
+ */
+async function maybeBuildSkillMacroResponse(userMessage, skillSelection, options = {}) {
+  const decision = skillMacros.planSkillMacro(skillSelection, userMessage, {
+    windowTitle: options.windowTitle || null,
+    enabled: options.enabled
+  });
+  if (!decision.ok) return { response: null, decision };
+
+  let fg = null;
+  try {
+    if (typeof systemAutomation.getForegroundWindowInfo === 'function') {
+      fg = await systemAutomation.getForegroundWindowInfo();
+    }
+  } catch {}
+  const fgProcess = fg && fg.success ? (fg.processName || '') : '';
+  const appPolicy = fgProcess ? preferences.getAppPolicy(fgProcess) : null;
+  const watcher = getUIWatcher();
+  let capabilitySnapshot = null;
+  try {
+    capabilitySnapshot = buildCapabilityPolicySnapshot({
+      foreground: fg,
+      watcherSnapshot: watcher && typeof watcher.getCapabilitySnapshot === 'function' ? watcher.getCapabilitySnapshot() : null,
+      browserState: getBrowserSessionState(),
+      latestVisual: getLatestVisualContext(),
+      appPolicy,
+      userMessage
+    });
+  } catch {}
+  const policyOk = checkNegativePolicies(decision.plan, appPolicy?.negativePolicies || []).ok
+    && checkActionPolicies(decision.plan, appPolicy?.actionPolicies || []).ok
+    && checkCapabilityPolicies(decision.plan, capabilitySnapshot, { userMessage, processName: fgProcess }).ok;
+  if (!policyOk) return { response: null, decision: { ...decision, ok: false, reason: 'policy-violation' } };
+
+  return { response: skillMacros.formatMacroResponse(decision.plan), decision };
+}
+
 function buildBrowserSearchActions(target, query) {
   const normalizedQuery = String(query || '').trim();
   const searchUrl = buildGoogleSearchUrl(normalizedQuery);
@@ -10517,7 +10823,7 @@ async function executeActions(actionData, onAction = null, onScreenshot = null,
             const reflectionResult = await providerOrchestrator.requestWithFallback(
               reflectionMessages,
               reflectionModelOverride, // N6: use reasoning model for reflection when configured
-              { phase: 'reflection' }
+              { phase: 'reflection', command: 'reflection' }
             );
 
             if (reflectionResult && reflectionResult.response) {
@@ -11814,6 +12120,19 @@ function getReflectionModel() {
   return reflectionModelOverride;
 }
 
+/**
+ * Run a standalone reflection request (e.g. memory consolidation) on the
+ * reflection model, with the usual provider fallback. Returns the raw text.
+ */
+async function requestReflection(messages, options = {}) {
+  const result = await providerOrchestrator.requestWithFallback(
+    messages,
+    reflectionModelOverride,
+    { phase: 'reflection', command: options.command || 'reflection' }
+  );
+  return result?.response || '';
+}
+
 function isReflectionDisabled(options = {}) {
   if (options?.disableReflection === true) {
     return true;
@@ -11882,6 +12201,8 @@ module.exports = {
   sendMessage,
   handleCommand,
   getStatus,
+  setProviderCassette,
+  getProviderCassette,
   startCopilotOAuth,
   setOAuthCallback,
   loadCopilotToken,
@@ -11940,5 +12261,6 @@ module.exports = {
   saveSessionNote,
   // Cross-model reflection (N6)
   setReflectionModel,
-  getReflectionModel
+  getReflectionModel,
+  requestReflection
 };
@@ -0,0 +1,195 @@
+const { getToolDefinitions, toolCallsToActions } = require('../providers/copilot/tools');
+
+/**
+ * Native tool calling — turns provider tool calls into the same action plan
+ * shape that fenced JSON blocks produce.
+ *
+ * Tool calls are validated against the schemas that were sent with the
+ * request. A batch with any malformed call is rejected as a whole so a
+ * half-formed plan never reaches execution; the rejection is reported as an
+ * empty plan carrying `toolCallErrors`.
+ */
+
+const TOOL_CALL_VERIFICATION = 'Verify the actions completed successfully';
+
+function parseToolArguments(rawArguments) {
+  if (rawArguments && typeof rawArguments === 'object' && !Array.isArray(rawArguments)) {
+    return { args: rawArguments, error: null };
+  }
+  const text = String(rawArguments ?? '').trim();
+  if (!text) {
+    return { args: {}, error: null };
+  }
+  try {
+    const parsed = JSON.parse(text);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      return { args: null, error: 'arguments must be a JSON object' };
+    }
+    return { args: parsed, error: null };
+  } catch {
+    return { args: null, error: 'arguments are not valid JSON' };
+  }
+}
+
+/**
+ * Normalize OpenAI/Copilot `tool_calls` entries and Anthropic `tool_use`
+ * content blocks into `{ id, name, args, error }`.
+ */
+function normalizeToolCalls(toolCalls) {
+  if (!Array.isArray(toolCalls)) return [];
+  return toolCalls
+    .filter((call) => call && typeof call === 'object')
+    .map((call, index) => {
+      const isToolUse = call.type === 'tool_use';
+      const name = String((isToolUse ? call.name : call.function?.name) || '').trim();
+      const { args, error } = parseToolArguments(isToolUse ? call.input : call.function?.arguments);
+      return {
+        id: call.id || `tool-${index}`,
+        name,
+        args,
+        error
+      };
+    });
+}
+
+function matchesSchemaType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  return types.some((entry) => {
+    switch (entry) {
+      case 'string':
+        return typeof value === 'string';
+      case 'number':
+      case 'integer':
+        return typeof value === 'number' && Number.isFinite(value);
+      case 'boolean':
+        return typeof value === 'boolean';
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+      default:
+        return true;
+    }
+  });
+}
+
+/**
+ * Check one normalized tool call against its definition.
+ * @returns {string[]} problems, empty when the call is well-formed
+ */
+function validateToolCall(call, definition) {
+  if (!call.name) return ['tool call is missing a function name'];
+  if (!definition) return [`${call.name}: unknown tool`];
+  if (call.error) return [`${call.name}: ${call.error}`];
+
+  const schema = definition.function?.parameters || {};
+  const properties = schema.properties || {};
+  const problems = [];
+
+  for (const key of schema.required || []) {
+    const value = call.args[key];
+    if (value === undefined || value === null || value === '') {
+      problems.push(`${call.name}: missing required argument "${key}"`);
+    }
+  }
+
+  for (const [key, value] of Object.entries(call.args)) {
+    const property = properties[key];
+    if (!property || value === undefined || value === null) continue;
+    if (property.type && !matchesSchemaType(value, property.type)) {
+      problems.push(`${call.name}: argument "${key}" must be ${[].concat(property.type).join(' or ')}`);
+    } else if (Array.isArray(property.enum) && !property.enum.includes(value)) {
+      problems.push(`${call.name}: argument "${key}" must be one of ${property.enum.join(', ')}`);
+    }
+  }
+
+  return problems;
+}
+
+function toRawToolCall(call) {
+  return {
+    id: call.id,
+    type: 'function',
+    function: { name: call.name, arguments: JSON.stringify(call.args) }
+  };
+}
+
+/**
+ * Build an action plan from provider tool calls.
+ *
+ * @param {Array} toolCalls - raw `tool_calls` or `tool_use` blocks
+ * @param {{ content?: string, definitions?: Array }} [options]
+ * @returns {{ plan: object, errors: string[] }}
+ */
+function buildToolCallActionPlan(toolCalls, options = {}) {
+  const definitions = Array.isArray(options.definitions) ? options.definitions : getToolDefinitions();
+  const byName = new Map(definitions.map((definition) => [definition.function?.name, definition]));
+  const calls = normalizeToolCalls(toolCalls);
+  const thought = String(options.content || '').trim();
+  const errors = calls.flatMap((call) => validateToolCall(call, byName.get(call.name)));
+
+  if (errors.length > 0) {
+    return {
+      errors,
+      plan: {
+        thought: thought || 'The requested tool calls were malformed and were not executed.',
+        actions: [],
+        verification: 'Re-issue the tool calls with complete, valid arguments.',
+        toolCallErrors: errors
+      }
+    };
+  }
+
+  return {
+    errors,
+    plan: {
+      thought: thought || 'Executing requested actions',
+      actions: toolCallsToActions(calls.map(toRawToolCall)),
+      verification: TOOL_CALL_VERIFICATION,
+      source: 'tool_calls'
+    }
+  };
+}
+
+/**
+ * Render a tool-call plan as the fenced JSON block the rest of the pipeline
+ * (parseActions, policy checks, risk analysis) already consumes.
+ */
+function formatToolCallPlanMessage(plan) {
+  return '```json\n' + JSON.stringify(plan, null, 2) + '\n```';
+}
+
+/**
+ * Convert OpenAI-style function definitions to Anthropic `tools` entries.
+ */
+function toAnthropicToolDefinitions(definitions) {
+  return (Array.isArray(definitions) ? definitions : [])
+    .filter((definition) => definition && definition.function && definition.function.name)
+    .map((definition) => ({
+      name: definition.function.name,
+      description: definition.function.description || '',
+      input_schema: definition.function.parameters || { type: 'object', properties: {} }
+    }));
+}
+
+/**
+ * Tool schemas to send with an OpenAI or Anthropic request, or null. These
+ * providers keep the fenced JSON action-block protocol unless native tool
+ * calling is opted into with LIKU_NATIVE_TOOL_CALLS=1.
+ */
+function resolveNativeToolDefinitions(requestOptions, env = process.env) {
+  const optedIn = /^(1|true|on|yes)$/i.test(String(env.LIKU_NATIVE_TOOL_CALLS || '').trim());
+  if (!optedIn || requestOptions?.enableTools === false) {
+    return null;
+  }
+  return getToolDefinitions();
+}
+
+module.exports = {
+  buildToolCallActionPlan,
+  formatToolCallPlanMessage,
+  normalizeToolCalls,
+  resolveNativeToolDefinitions,
+  toAnthropicToolDefinitions,
+  validateToolCall
+};
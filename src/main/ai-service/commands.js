@@ -1,11 +1,24 @@
 const { createGitHubSlashCommandHandler } = require('../github/slash-command-handler');
 
+function formatTokenUsageStatus(tokenUsage) {
+  if (!tokenUsage || !tokenUsage.session) return '';
+  const parts = [`${tokenUsage.session.totalTokens} this session`];
+  for (const scope of ['session', 'daily']) {
+    const status = tokenUsage.budget && tokenUsage.budget[scope];
+    if (status && status.limit) {
+      parts.push(`${scope} budget ${status.used}/${status.limit} (${status.state})`);
+    }
+  }
+  return parts.join(', ');
+}
+
 function createCommandHandler(dependencies) {
   const {
     aiProviders,
     captureVisualContext,
     clearVisualContext,
     clearChatContinuityState,
+    describeProviders,
     exchangeForCopilotSession,
     getCopilotModels,
     getChatContinuityState,
@@ -42,6 +55,17 @@ function createCommandHandler(dependencies) {
     tokenize: slashCommandHelpers?.tokenize,
   });
 
+  function formatConfiguredEndpoints() {
+    if (typeof describeProviders !== 'function') return '';
+    const endpoints = describeProviders().filter((entry) => entry.kind !== 'builtin');
+    if (!endpoints.length) return '';
+    const lines = endpoints.map((entry) => {
+      const flags = [entry.vision ? 'vision' : null, entry.fallback ? 'fallback' : null].filter(Boolean);
+      return `  ${entry.name} — ${entry.url} (model: ${entry.model}${flags.length ? `; ${flags.join(', ')}` : ''})`;
+    });
+    return `\nConfigured endpoints:\n${lines.join('\n')}`;
+  }
+
   function getDisplayModels() {
     if (typeof getCopilotModels === 'function') {
       return getCopilotModels().filter((model) => model.selectable !== false);
@@ -150,7 +174,7 @@ function createCommandHandler(dependencies) {
           }
           return { type: 'error', message: `Unknown provider. Available: ${Object.keys(aiProviders).join(', ')}` };
         }
-        return { type: 'info', message: `Current provider: ${getCurrentProvider()}\nAvailable: ${Object.keys(aiProviders).join(', ')}` };
+        return { type: 'info', message: `Current provider: ${getCurrentProvider()}\nAvailable: ${Object.keys(aiProviders).join(', ')}${formatConfiguredEndpoints()}` };
 
       case '/setkey':
         if (parts[1] && parts[2]) {
@@ -308,9 +332,10 @@ function createCommandHandler(dependencies) {
         const status = getStatus();
         const runtimeModelLabel = status.runtimeModelName || 'not yet validated';
         const runtimeHostLabel = status.runtimeEndpointHost || 'not yet validated';
+        const tokenUsageLabel = formatTokenUsageStatus(status.tokenUsage);
         return {
           type: 'info',
-          message: `Provider: ${status.provider}\nConfigured model: ${status.configuredModelName || modelRegistry()[getCurrentCopilotModel()]?.name || getCurrentCopilotModel()} (${status.configuredModel || getCurrentCopilotModel()})\nRequested model: ${status.requestedModel || status.configuredModel || getCurrentCopilotModel()}\nRuntime model: ${runtimeModelLabel}${status.runtimeModel ? ` (${status.runtimeModel})` : ''}\nRuntime endpoint: ${runtimeHostLabel}\nCopilot: ${status.hasCopilotKey ? 'Authenticated' : 'Not authenticated'}\nOpenAI: ${status.hasOpenAIKey ? 'Key set' : 'No key'}\nAnthropic: ${status.hasAnthropicKey ? 'Key set' : 'No key'}\nHistory: ${status.historyLength} messages\nVisual: ${status.visualContextCount} captures`
+          message: `Provider: ${status.provider}\nConfigured model: ${status.configuredModelName || modelRegistry()[getCurrentCopilotModel()]?.name || getCurrentCopilotModel()} (${status.configuredModel || getCurrentCopilotModel()})\nRequested model: ${status.requestedModel || status.configuredModel || getCurrentCopilotModel()}\nRuntime model: ${runtimeModelLabel}${status.runtimeModel ? ` (${status.runtimeModel})` : ''}\nRuntime endpoint: ${runtimeHostLabel}\nCopilot: ${status.hasCopilotKey ? 'Authenticated' : 'Not authenticated'}\nOpenAI: ${status.hasOpenAIKey ? 'Key set' : 'No key'}\nAnthropic: ${status.hasAnthropicKey ? 'Key set' : 'No key'}\nHistory: ${status.historyLength} messages\nVisual: ${status.visualContextCount} captures${tokenUsageLabel ? `\nTokens: ${tokenUsageLabel}` : ''}`
         };
       }
 
@@ -322,7 +347,7 @@ function createCommandHandler(dependencies) {
 /logout - Remove GitHub Copilot authentication
 /model [name] - List or set Copilot model
 /sequence [on|off] - (CLI chat) step-by-step execution prompts
-/provider [name] - Get/set AI provider (copilot, openai, anthropic, ollama)
+/provider [name] - Get/set AI provider (copilot, openai, anthropic, ollama, or a providers.json endpoint)
 /setkey <provider> <key> - Set API key
 /status - Show authentication status
 /github ... - GitHub inspection plus reviewed preview creation via shared typed adapters
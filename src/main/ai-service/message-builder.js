@@ -258,6 +258,7 @@ function createMessageBuilder(dependencies) {
     getSemanticDOMContextText,
     getUIWatcher,
     maxHistory,
+    supportsImageUrlContent = () => false,
     systemPrompt
   } = dependencies;
 
@@ -550,7 +551,7 @@ function createMessageBuilder(dependencies) {
       ? `${userMessage}${inspectContextText}${liveUIContextText}${semanticDOMContextText}`
       : userMessage;
 
-    if (latestVisual && (getCurrentProvider() === 'copilot' || getCurrentProvider() === 'openai')) {
+    if (latestVisual && (getCurrentProvider() === 'copilot' || getCurrentProvider() === 'openai' || supportsImageUrlContent(getCurrentProvider()))) {
       console.log('[AI] Including visual context in message (provider:', getCurrentProvider(), ')');
       messages.push({
         role: 'user',
@@ -0,0 +1,232 @@
+/**
+ * Provider cassettes — record and replay provider calls for deterministic
+ * chat sessions.
+ *
+ * A cassette is a JSON fixture of request/response pairs keyed by a hash of
+ * the normalized conversation and model. The orchestrator routes every
+ * provider call through the active cassette:
+ *
+ *   - record       call the live provider and append the response
+ *   - replay       answer from the fixture; a miss fails with CASSETTE_MISS
+ *   - passthrough  answer from the fixture; a miss falls through to the live provider
+ *
+ * System messages are left out of the key because they carry machine-specific
+ * context (OS, cwd, foreground window); timestamps and the home directory are
+ * masked in the remaining messages. Repeated identical requests replay their
+ * recorded responses in order.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const { atomicWriteFileSync } = require('../../../shared/atomic-file');
+
+const CASSETTE_VERSION = 1;
+const CASSETTE_MODES = ['record', 'replay', 'passthrough'];
+const CASSETTE_MISS = 'CASSETTE_MISS';
+const ISO_TIMESTAMP_PATTERN = /\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?/g;
+
+function normalizeCassetteText(text, homeDir) {
+  let normalized = String(text || '');
+  if (homeDir) {
+    normalized = normalized.split(homeDir).join('~');
+  }
+  return normalized
+    .replace(ISO_TIMESTAMP_PATTERN, '<timestamp>')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function contentToCassetteText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .map((part) => {
+      if (!part || typeof part !== 'object') return '';
+      if (part.type === 'image_url' || part.type === 'image') return '[image]';
+      return typeof part.text === 'string' ? part.text : '';
+    })
+    .join('\n');
+}
+
+/**
+ * Reduce messages to the stable parts that identify a request.
+ */
+function normalizeCassetteMessages(messages, options = {}) {
+  const homeDir = options.homeDir === undefined ? os.homedir() : options.homeDir;
+  return (Array.isArray(messages) ? messages : [])
+    .filter((message) => message && message.role !== 'system')
+    .map((message) => {
+      const images = Array.isArray(message.images) ? message.images.length : 0;
+      const text = contentToCassetteText(message.content) + (images > 0 ? ` ${'[image]'.repeat(images)}` : '');
+      return { role: message.role, content: normalizeCassetteText(text, homeDir) };
+    });
+}
+
+function computeCassetteKey(messages, model, options = {}) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ model: model || null, messages: normalizeCassetteMessages(messages, options) }))
+    .digest('hex')
+    .slice(0, 24);
+}
+
+function resolveCassetteMode(mode, file) {
+  const normalized = String(mode || '').trim().toLowerCase();
+  if (!normalized || normalized === 'auto') {
+    return fs.existsSync(file) ? 'replay' : 'record';
+  }
+  if (!CASSETTE_MODES.includes(normalized)) {
+    throw new Error(`Unknown cassette mode "${mode}". Use ${CASSETTE_MODES.join(', ')}.`);
+  }
+  return normalized;
+}
+
+function loadCassetteFile(file) {
+  if (!fs.existsSync(file)) {
+    return { version: CASSETTE_VERSION, interactions: [] };
+  }
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  return {
+    version: parsed.version || CASSETTE_VERSION,
+    interactions: Array.isArray(parsed.interactions) ? parsed.interactions : []
+  };
+}
+
+function responseText(rawResult) {
+  if (typeof rawResult === 'string') return rawResult;
+  return rawResult && typeof rawResult.content === 'string' ? rawResult.content : '';
+}
+
+function lastUserPreview(messages) {
+  const lastUser = [...(Array.isArray(messages) ? messages : [])].reverse().find((message) => message && message.role === 'user');
+  return lastUser ? normalizeCassetteText(contentToCassetteText(lastUser.content), null).slice(0, 200) : '';
+}
+
+/**
+ * Create a cassette bound to one fixture file.
+ *
+ * @param {object} options
+ * @param {string} options.file - fixture path
+ * @param {string} [options.mode] - record | replay | passthrough; defaults to
+ *   replay when the file exists and record otherwise
+ */
+function createProviderCassette(options = {}) {
+  const file = String(options.file || '').trim();
+  if (!file) {
+    throw new Error('A cassette file path is required.');
+  }
+  const mode = resolveCassetteMode(options.mode, file);
+  // Recording starts a fresh fixture; the file is replaced on the first response.
+  const cassette = mode === 'record'
+    ? { version: CASSETTE_VERSION, interactions: [] }
+    : loadCassetteFile(file);
+  const cursors = new Map();
+  const stats = { hits: 0, misses: 0, recorded: 0 };
+
+  function findRecording(key) {
+    const matches = cassette.interactions.filter((interaction) => interaction.key === key);
+    if (matches.length === 0) return null;
+    const cursor = cursors.get(key) || 0;
+    cursors.set(key, cursor + 1);
+    // Past the end, keep answering with the last recording for this request.
+    return matches[Math.min(cursor, matches.length - 1)];
+  }
+
+  function save() {
+    atomicWriteFileSync(file, JSON.stringify(cassette, null, 2) + '\n');
+  }
+
+  function replay(interaction, requestOptions = {}) {
+    const text = responseText(interaction.response);
+    if (text && typeof requestOptions.onToken === 'function') {
+      requestOptions.onToken(text);
+    }
+    if (typeof requestOptions.onStreamComplete === 'function') {
+      requestOptions.onStreamComplete({ finishReason: interaction.finishReason || null });
+    }
+    return interaction.response;
+  }
+
+  async function record(key, { provider, messages, model, requestOptions, callLive }) {
+    let finishReason = null;
+    const onStreamComplete = requestOptions && requestOptions.onStreamComplete;
+    const rawResult = await callLive(requestOptions && {
+      ...requestOptions,
+      onStreamComplete: (summary = {}) => {
+        finishReason = summary.finishReason || null;
+        if (typeof onStreamComplete === 'function') onStreamComplete(summary);
+      }
+    });
+    cassette.interactions.push({
+      key,
+      provider,
+      model: model || null,
+      request: lastUserPreview(messages),
+      response: rawResult,
+      finishReason,
+      recordedAt: new Date().toISOString()
+    });
+    stats.recorded++;
+    save();
+    return rawResult;
+  }
+
+  /**
+   * Route one provider call through the cassette.
+   *
+   * @param {object} call
+   * @param {string} call.provider
+   * @param {Array} call.messages
+   * @param {string} [call.model]
+   * @param {object} [call.requestOptions] - stream callbacks are driven on replay
+   * @param {(requestOptions?: object) => Promise<*>} call.callLive - performs the real request
+   * @returns {Promise<{ rawResult: *, replayed: boolean }>}
+   */
+  async function invoke(call) {
+    const key = computeCassetteKey(call.messages, call.model);
+    if (mode === 'record') {
+      return { rawResult: await record(key, call), replayed: false };
+    }
+
+    const interaction = findRecording(key);
+    if (interaction) {
+      stats.hits++;
+      return { rawResult: replay(interaction, call.requestOptions), replayed: true };
+    }
+
+    stats.misses++;
+    if (mode === 'passthrough') {
+      return { rawResult: await call.callLive(call.requestOptions), replayed: false };
+    }
+    const error = new Error(`Cassette miss: no recorded response for ${call.provider} request ${key} in ${file} ("${lastUserPreview(call.messages).slice(0, 80)}").`);
+    error.code = CASSETTE_MISS;
+    error.cassetteKey = key;
+    throw error;
+  }
+
+  return {
+    file,
+    mode,
+    invoke,
+    getStats: () => ({ ...stats, interactions: cassette.interactions.length })
+  };
+}
+
+/**
+ * Build the cassette configured by LIKU_CASSETTE / LIKU_CASSETTE_MODE, if any.
+ */
+function createProviderCassetteFromEnv(env = process.env) {
+  const file = String(env.LIKU_CASSETTE || '').trim();
+  if (!file) return null;
+  return createProviderCassette({ file, mode: env.LIKU_CASSETTE_MODE });
+}
+
+module.exports = {
+  CASSETTE_MISS,
+  CASSETTE_MODES,
+  computeCassetteKey,
+  createProviderCassette,
+  createProviderCassetteFromEnv,
+  normalizeCassetteMessages
+};
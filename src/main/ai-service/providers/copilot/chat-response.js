@@ -26,6 +26,7 @@ function mergeToolCallChunk(toolCallMap, chunk) {
 function parseStreamingPayload(body) {
   const contentParts = [];
   const toolCallMap = new Map();
+  let usage = null;
   const events = String(body || '').split(/\r?\n\r?\n/);
 
   for (const eventBlock of events) {
@@ -45,6 +46,9 @@ function parseStreamingPayload(body) {
     if (payload?.error) {
       throw new Error(payload.error.message || 'Copilot API error');
     }
+    if (payload?.usage) {
+      usage = payload.usage;
+    }
 
     const choices = Array.isArray(payload?.choices) ? payload.choices : [];
     for (const choice of choices) {
@@ -65,7 +69,8 @@ function parseStreamingPayload(body) {
     content: contentParts.join(''),
     toolCalls: Array.from(toolCallMap.entries())
       .sort((a, b) => a[0] - b[0])
-      .map(([, value]) => value)
+      .map(([, value]) => value),
+    usage
   };
 }
 
@@ -83,7 +88,8 @@ function parseJsonPayload(body) {
   const message = choice.message || {};
   return {
     content: typeof message.content === 'string' ? message.content : '',
-    toolCalls: Array.isArray(message.tool_calls) ? message.tool_calls : []
+    toolCalls: Array.isArray(message.tool_calls) ? message.tool_calls : [],
+    usage: payload.usage || null
   };
 }
 
@@ -96,5 +102,6 @@ function parseCopilotChatResponse(body, headers = {}) {
 }
 
 module.exports = {
+  mergeToolCallChunk,
   parseCopilotChatResponse
 };
\ No newline at end of file
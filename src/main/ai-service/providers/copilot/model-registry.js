@@ -613,6 +613,7 @@ function createCopilotModelRegistry({ likuHome, modelPrefFile, runtimeStateFile,
 
 module.exports = {
   COPILOT_MODELS,
+  canonicalizeModelKey,
   createCopilotModelRegistry,
   inferPremiumMultiplier,
   inferRecommendationTags
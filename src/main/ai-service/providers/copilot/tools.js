@@ -222,10 +222,19 @@ const LIKU_TOOLS = [
   }
 ];
 
+function loadGitHubCapabilityTools() {
+  try {
+    return require('../../../github/capability-tools');
+  } catch {
+    return null;
+  }
+}
+
 function toolCallsToActions(toolCalls) {
   // Lazy-load to avoid circular dependencies at module level
   let toolRegistry;
   try { toolRegistry = require('../../../tools/tool-registry'); } catch { toolRegistry = null; }
+  const githubTools = loadGitHubCapabilityTools();
 
   return toolCalls.map((tc) => {
     let args;
@@ -270,29 +279,41 @@ function toolCallsToActions(toolCalls) {
           return { type: 'bring_window_to_front', title: args.title };
         }
         return { type: 'focus_window', windowHandle: args.windowHandle };
-      default:
+      default: {
         // Check dynamic tool registry (Phase 3 — AutoAct sandbox tools)
         if (toolRegistry && name.startsWith('dynamic_')) {
           return { type: 'dynamic_tool', toolName: name.replace('dynamic_', ''), args };
         }
+        const githubCapability = githubTools ? githubTools.findGitHubCapabilityForToolName(name) : null;
+        if (githubCapability) {
+          return githubTools.githubToolCallToAction(githubCapability, args);
+        }
         return { type: name, ...args };
+      }
     }
   });
 }
 
 /**
- * Return tool definitions including any registered dynamic tools.
- * Static LIKU_TOOLS are always included; dynamic tools from the registry
- * are appended at runtime.
+ * Return tool definitions including registered dynamic tools and read-only
+ * GitHub capabilities. Static LIKU_TOOLS are always included; the others are
+ * appended at runtime.
+ *
+ * @param {{ includeGitHub?: boolean }} [options]
  */
-function getToolDefinitions() {
+function getToolDefinitions(options = {}) {
   let dynamicDefs = [];
   try {
     const toolRegistry = require('../../../tools/tool-registry');
     dynamicDefs = toolRegistry.getDynamicToolDefinitions();
   } catch { /* tool-registry not available or empty */ }
-  if (dynamicDefs.length === 0) return LIKU_TOOLS;
-  return [...LIKU_TOOLS, ...dynamicDefs];
+  let githubDefs = [];
+  if (options.includeGitHub !== false) {
+    const githubTools = loadGitHubCapabilityTools();
+    githubDefs = githubTools ? githubTools.buildGitHubCapabilityToolDefinitions() : [];
+  }
+  if (dynamicDefs.length === 0 && githubDefs.length === 0) return LIKU_TOOLS;
+  return [...LIKU_TOOLS, ...dynamicDefs, ...githubDefs];
 }
 
 module.exports = {
@@ -0,0 +1,229 @@
+/**
+ * Provider endpoint config — user-declared OpenAI-compatible endpoints.
+ *
+ * Reads ~/.liku/providers.json so local servers that speak the
+ * chat-completions protocol (llama.cpp, vLLM, LM Studio, ...) can be
+ * registered alongside the built-in providers without code changes.
+ *
+ * Shape:
+ *   {
+ *     "endpoints": {
+ *       "vllm": {
+ *         "baseUrl": "http://127.0.0.1:8000/v1",
+ *         "auth": { "header": "Authorization", "scheme": "Bearer", "env": "VLLM_API_KEY" },
+ *         "models": { "default": "qwen2.5-coder", "vision": "qwen2-vl", "map": { "gpt-4o": "qwen2.5-coder" } },
+ *         "vision": true,
+ *         "fallback": true
+ *       }
+ *     }
+ *   }
+ *
+ * Invalid entries are skipped and reported in `errors`; a broken file never
+ * prevents the built-in providers from loading.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROVIDER_CONFIG_FILENAME = 'providers.json';
+const BUILTIN_PROVIDER_NAMES = new Set(['copilot', 'copilotSession', 'openai', 'anthropic', 'ollama']);
+const ENDPOINT_NAME_PATTERN = /^[a-z0-9][a-z0-9._-]{0,39}$/i;
+const DEFAULT_CHAT_PATH = '/chat/completions';
+const DEFAULT_TIMEOUT_MS = 120000;
+
+function getProviderConfigPath(likuHome) {
+  return path.join(likuHome, PROVIDER_CONFIG_FILENAME);
+}
+
+function normalizeText(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function parseEndpointUrl(entry) {
+  const rawBase = normalizeText(entry.baseUrl || entry.url);
+  if (!rawBase) {
+    throw new Error('baseUrl is required');
+  }
+
+  const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(rawBase) ? rawBase : `http://${rawBase}`;
+  let parsed;
+  try {
+    parsed = new URL(withScheme);
+  } catch {
+    throw new Error(`baseUrl is not a valid URL: ${rawBase}`);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error(`baseUrl must use http or https (got ${parsed.protocol.replace(/:$/, '')})`);
+  }
+
+  const explicitPort = entry.port !== undefined && entry.port !== null && entry.port !== ''
+    ? Number(entry.port)
+    : null;
+  if (explicitPort !== null && (!Number.isInteger(explicitPort) || explicitPort < 1 || explicitPort > 65535)) {
+    throw new Error(`port must be an integer between 1 and 65535 (got ${entry.port})`);
+  }
+
+  const basePath = parsed.pathname.replace(/\/+$/, '');
+  const explicitPath = normalizeText(entry.path);
+  const requestPath = explicitPath
+    ? (explicitPath.startsWith('/') ? explicitPath : `/${explicitPath}`)
+    : `${basePath || '/v1'}${DEFAULT_CHAT_PATH}`;
+
+  return {
+    protocol: parsed.protocol.replace(/:$/, ''),
+    hostname: parsed.hostname,
+    port: explicitPort || (parsed.port ? Number(parsed.port) : (parsed.protocol === 'https:' ? 443 : 80)),
+    path: requestPath
+  };
+}
+
+function normalizeAuth(auth) {
+  if (!auth || typeof auth !== 'object') {
+    return { header: 'Authorization', scheme: 'Bearer', env: '', value: '', required: false };
+  }
+  const env = normalizeText(auth.env);
+  const value = normalizeText(auth.value);
+  return {
+    header: normalizeText(auth.header) || 'Authorization',
+    scheme: auth.scheme === '' ? '' : (normalizeText(auth.scheme) || 'Bearer'),
+    env,
+    value,
+    // An endpoint that names a key source expects that key unless told otherwise.
+    required: auth.required !== undefined ? !!auth.required : !!(env || value)
+  };
+}
+
+function normalizeModels(models, name) {
+  const source = typeof models === 'string' ? { default: models } : (models && typeof models === 'object' ? models : {});
+  const defaultModel = normalizeText(source.default || source.model);
+  if (!defaultModel) {
+    throw new Error('models.default is required');
+  }
+  const map = {};
+  if (source.map && typeof source.map === 'object') {
+    for (const [requested, actual] of Object.entries(source.map)) {
+      const actualId = normalizeText(actual);
+      if (normalizeText(requested) && actualId) {
+        map[normalizeText(requested)] = actualId;
+      }
+    }
+  }
+  return {
+    model: defaultModel,
+    chatModel: normalizeText(source.chat) || defaultModel,
+    visionModel: normalizeText(source.vision) || defaultModel,
+    reasoningModel: normalizeText(source.reasoning) || defaultModel,
+    automationModel: normalizeText(source.automation) || normalizeText(source.vision) || defaultModel,
+    modelMap: map,
+    label: `${name}:${defaultModel}`
+  };
+}
+
+/**
+ * Validate and normalize a single endpoint entry.
+ *
+ * @param {string} name
+ * @param {object} entry
+ * @returns {object} Normalized endpoint descriptor
+ * @throws {Error} When the entry cannot be used
+ */
+function normalizeEndpointConfig(name, entry) {
+  const endpointName = normalizeText(name);
+  if (!ENDPOINT_NAME_PATTERN.test(endpointName)) {
+    throw new Error(`invalid endpoint name "${name}" (letters, digits, ".", "_", "-"; max 40 chars)`);
+  }
+  if (BUILTIN_PROVIDER_NAMES.has(endpointName)) {
+    throw new Error(`endpoint name "${endpointName}" collides with a built-in provider`);
+  }
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error('endpoint entry must be an object');
+  }
+
+  const url = parseEndpointUrl(entry);
+  const models = normalizeModels(entry.models !== undefined ? entry.models : entry.model, endpointName);
+  const timeoutMs = Number(entry.timeoutMs);
+
+  return {
+    name: endpointName,
+    kind: 'openai-compatible',
+    protocol: url.protocol,
+    baseUrl: url.hostname,
+    port: url.port,
+    path: url.path,
+    auth: normalizeAuth(entry.auth),
+    headers: entry.headers && typeof entry.headers === 'object' ? { ...entry.headers } : {},
+    vision: !!entry.vision,
+    fallback: entry.fallback !== false,
+    maxTokens: Number.isFinite(Number(entry.maxTokens)) && Number(entry.maxTokens) > 0 ? Number(entry.maxTokens) : 2048,
+    timeoutMs: Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : DEFAULT_TIMEOUT_MS,
+    ...models
+  };
+}
+
+/**
+ * Normalize a parsed providers.json document.
+ *
+ * @param {object} document
+ * @returns {{ endpoints: object[], errors: string[] }}
+ */
+function normalizeProviderConfigDocument(document) {
+  const endpoints = [];
+  const errors = [];
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return { endpoints, errors: ['providers config must be a JSON object'] };
+  }
+
+  const rawEndpoints = document.endpoints || {};
+  const entries = Array.isArray(rawEndpoints)
+    ? rawEndpoints.map((entry) => [entry && entry.name, entry])
+    : Object.entries(rawEndpoints);
+
+  const seen = new Set();
+  for (const [name, entry] of entries) {
+    if (entry && entry.enabled === false) continue;
+    try {
+      const normalized = normalizeEndpointConfig(name, entry);
+      if (seen.has(normalized.name)) {
+        throw new Error(`duplicate endpoint name "${normalized.name}"`);
+      }
+      seen.add(normalized.name);
+      endpoints.push(normalized);
+    } catch (error) {
+      errors.push(`${name || '(unnamed)'}: ${error.message}`);
+    }
+  }
+
+  return { endpoints, errors };
+}
+
+/**
+ * Load endpoint declarations from the Liku home. A missing file is not an
+ * error — most installs only use the built-in providers.
+ *
+ * @param {{ likuHome: string, configPath?: string }} options
+ * @returns {{ configPath: string, exists: boolean, endpoints: object[], errors: string[] }}
+ */
+function loadProviderEndpointConfig({ likuHome, configPath } = {}) {
+  const filePath = configPath || getProviderConfigPath(likuHome);
+  if (!fs.existsSync(filePath)) {
+    return { configPath: filePath, exists: false, endpoints: [], errors: [] };
+  }
+
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    return { configPath: filePath, exists: true, endpoints: [], errors: [`could not parse ${PROVIDER_CONFIG_FILENAME}: ${error.message}`] };
+  }
+
+  return { configPath: filePath, exists: true, ...normalizeProviderConfigDocument(document) };
+}
+
+module.exports = {
+  BUILTIN_PROVIDER_NAMES,
+  PROVIDER_CONFIG_FILENAME,
+  getProviderConfigPath,
+  loadProviderEndpointConfig,
+  normalizeEndpointConfig,
+  normalizeProviderConfigDocument
+};
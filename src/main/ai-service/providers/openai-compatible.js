@@ -0,0 +1,250 @@
+/**
+ * OpenAI-compatible provider adapter.
+ *
+ * Every adapter exposes the same small surface the orchestrator relies on:
+ *   - name / kind / config
+ *   - ensureReady(routingContext)  throws when the endpoint cannot serve the request
+ *   - call(messages, effectiveModel, requestOptions) resolves to the completion text
+ *   - describe()                    safe summary for /provider, /status and doctor
+ *
+ * Endpoints come from providers.json (see endpoint-config.js). Requests use
+ * the chat-completions wire format, which llama.cpp, vLLM and LM Studio share.
+ */
+
+const http = require('http');
+const https = require('https');
+const { isStreamingRequested, requestStreamingCompletion } = require('./streaming');
+
+function resolveEndpointApiKey(endpoint, apiKeys = {}, env = process.env) {
+  if (apiKeys[endpoint.name]) return apiKeys[endpoint.name];
+  if (endpoint.auth.env && env[endpoint.auth.env]) return env[endpoint.auth.env];
+  return endpoint.auth.value || '';
+}
+
+function flattenContentToText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter((part) => part && part.type === 'text')
+    .map((part) => part.text || '')
+    .join('\n');
+}
+
+/**
+ * Convert messages built for any provider into chat-completions format.
+ * Image parts are kept (as image_url data URLs) only when the endpoint
+ * declares vision support; otherwise they are dropped to plain text.
+ */
+function toOpenAICompatibleMessages(messages, { vision = false } = {}) {
+  return (Array.isArray(messages) ? messages : []).map((message) => {
+    const role = message.role;
+    const images = Array.isArray(message.images) ? message.images : [];
+
+    if (!vision) {
+      return { role, content: flattenContentToText(message.content) };
+    }
+
+    if (typeof message.content === 'string' && images.length === 0) {
+      return { role, content: message.content };
+    }
+
+    const parts = [];
+    const sourceParts = Array.isArray(message.content)
+      ? message.content
+      : [{ type: 'text', text: String(message.content || '') }];
+    for (const part of sourceParts) {
+      if (!part) continue;
+      if (part.type === 'text') {
+        parts.push({ type: 'text', text: part.text || '' });
+      } else if (part.type === 'image_url' && part.image_url) {
+        parts.push({ type: 'image_url', image_url: part.image_url });
+      } else if (part.type === 'image' && part.source && part.source.data) {
+        const mediaType = part.source.media_type || 'image/png';
+        parts.push({ type: 'image_url', image_url: { url: `data:${mediaType};base64,${part.source.data}` } });
+      }
+    }
+    for (const image of images) {
+      const url = /^data:/.test(image) ? image : `data:image/png;base64,${image}`;
+      parts.push({ type: 'image_url', image_url: { url } });
+    }
+    return { role, content: parts };
+  });
+}
+
+function describeErrorBody(body) {
+  try {
+    const parsed = JSON.parse(body);
+    if (parsed && parsed.error) {
+      return parsed.error.message || String(parsed.error);
+    }
+  } catch {}
+  return String(body || '').substring(0, 200);
+}
+
+function hasImageContent(messages) {
+  return (Array.isArray(messages) ? messages : []).some((message) =>
+    (Array.isArray(message.images) && message.images.length > 0)
+    || (Array.isArray(message.content) && message.content.some((part) => part && (part.type === 'image_url' || part.type === 'image'))));
+}
+
+/**
+ * Pick the endpoint model for a request. An explicit mapping for the
+ * requested (Copilot-style) model key wins, then the role defaults.
+ */
+function selectEndpointModel(endpoint, effectiveModel, { hasVision = false } = {}) {
+  if (effectiveModel && endpoint.modelMap[effectiveModel]) {
+    return endpoint.modelMap[effectiveModel];
+  }
+  if (hasVision && endpoint.vision) return endpoint.visionModel;
+  return endpoint.chatModel || endpoint.model;
+}
+
+/**
+ * @param {object} endpoint - Normalized entry from endpoint-config.js
+ * @param {{ apiKeys?: object, env?: object, transports?: { http: object, https: object } }} [options]
+ */
+function createOpenAICompatibleAdapter(endpoint, options = {}) {
+  const apiKeys = options.apiKeys || {};
+  const env = options.env || process.env;
+  const transports = options.transports || { http, https };
+
+  function getEndpointLabel() {
+    return `${endpoint.protocol}://${endpoint.baseUrl}:${endpoint.port}${endpoint.path}`;
+  }
+
+  function ensureReady(routingContext = {}) {
+    if (endpoint.auth.required && !resolveEndpointApiKey(endpoint, apiKeys, env)) {
+      const hint = endpoint.auth.env ? ` (set ${endpoint.auth.env} or /setkey ${endpoint.name} <key>)` : '';
+      throw new Error(`API key for ${endpoint.name} not set${hint}.`);
+    }
+    if (routingContext && routingContext.includeVisualContext && !endpoint.vision) {
+      throw new Error(`Provider ${endpoint.name} does not accept image input.`);
+    }
+  }
+
+  function mapRequestError(err) {
+    if (err.code === 'ECONNREFUSED') {
+      return new Error(`${endpoint.name} endpoint not reachable at ${getEndpointLabel()}. Is the server running?`);
+    }
+    if (err.message === 'REQUEST_TIMEOUT') {
+      return new Error(`${endpoint.name} endpoint timed out after ${endpoint.timeoutMs}ms`);
+    }
+    return err;
+  }
+
+  function call(messages, effectiveModel, requestOptions = {}) {
+    const streaming = isStreamingRequested(requestOptions);
+    const withImages = endpoint.vision && hasImageContent(messages);
+    const payload = {
+      model: requestOptions.model || selectEndpointModel(endpoint, effectiveModel, { hasVision: withImages }),
+      messages: toOpenAICompatibleMessages(messages, { vision: endpoint.vision }),
+      max_tokens: Number.isFinite(Number(requestOptions.max_tokens)) ? Number(requestOptions.max_tokens) : endpoint.maxTokens,
+      stream: streaming
+    };
+    if (requestOptions.temperature !== undefined) payload.temperature = requestOptions.temperature;
+    if (requestOptions.top_p !== undefined) payload.top_p = requestOptions.top_p;
+
+    const data = JSON.stringify(payload);
+    const headers = {
+      ...endpoint.headers,
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(data)
+    };
+    const apiKey = resolveEndpointApiKey(endpoint, apiKeys, env);
+    if (apiKey) {
+      headers[endpoint.auth.header] = endpoint.auth.scheme ? `${endpoint.auth.scheme} ${apiKey}` : apiKey;
+    }
+
+    const transport = endpoint.protocol === 'https' ? transports.https : transports.http;
+    const httpOptions = {
+      hostname: endpoint.baseUrl,
+      port: endpoint.port,
+      path: endpoint.path,
+      method: 'POST',
+      headers,
+      timeout: endpoint.timeoutMs,
+      ...(requestOptions.signal ? { signal: requestOptions.signal } : {})
+    };
+
+    if (streaming) {
+      return requestStreamingCompletion({
+        transport,
+        httpOptions,
+        data,
+        format: 'openai',
+        requestOptions,
+        buildHttpError: (status, body) => new Error(`${endpoint.name} endpoint error ${status}: ${describeErrorBody(body)}`),
+        mapRequestError
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(httpOptions, (res) => {
+        let body = '';
+        res.on('data', (chunk) => body += chunk);
+        res.on('end', () => {
+          if (res.statusCode >= 400) {
+            return reject(new Error(`${endpoint.name} endpoint error ${res.statusCode}: ${describeErrorBody(body)}`));
+          }
+          let response = null;
+          try {
+            response = JSON.parse(body);
+          } catch {
+            response = null;
+          }
+          if (!response) {
+            return reject(new Error(`${endpoint.name} endpoint returned invalid JSON: ${body.substring(0, 100)}`));
+          }
+          if (response.error) {
+            return reject(new Error(response.error.message || String(response.error)));
+          }
+          if (typeof requestOptions.onUsage === 'function' && response.usage) {
+            requestOptions.onUsage({ usage: response.usage, model: response.model || payload.model });
+          }
+          const choice = Array.isArray(response.choices) ? response.choices[0] : null;
+          const content = choice && choice.message ? choice.message.content : null;
+          resolve(typeof content === 'string' ? content : flattenContentToText(content));
+        });
+      });
+
+      req.on('error', (err) => reject(mapRequestError(err)));
+      req.on('timeout', () => {
+        req.destroy(new Error('REQUEST_TIMEOUT'));
+      });
+
+      req.write(data);
+      req.end();
+    });
+  }
+
+  function describe() {
+    return {
+      name: endpoint.name,
+      kind: endpoint.kind,
+      url: getEndpointLabel(),
+      model: endpoint.model,
+      visionModel: endpoint.vision ? endpoint.visionModel : null,
+      vision: endpoint.vision,
+      fallback: endpoint.fallback,
+      authHeader: endpoint.auth.required || endpoint.auth.env || endpoint.auth.value ? endpoint.auth.header : null,
+      authEnv: endpoint.auth.env || null,
+      hasApiKey: !!resolveEndpointApiKey(endpoint, apiKeys, env)
+    };
+  }
+
+  return {
+    name: endpoint.name,
+    kind: endpoint.kind,
+    config: endpoint,
+    call,
+    describe,
+    ensureReady
+  };
+}
+
+module.exports = {
+  createOpenAICompatibleAdapter,
+  hasImageContent,
+  selectEndpointModel,
+  toOpenAICompatibleMessages
+};
@@ -8,10 +8,13 @@ function createProviderOrchestrator(dependencies) {
     callOpenAI,
     getCurrentCopilotModel,
     getCurrentProvider,
+    getProviderCassette = () => null,
     loadCopilotToken,
     modelRegistry,
+    providerAdapters = {},
     providerFallbackOrder,
-    resolveCopilotModelKey
+    resolveCopilotModelKey,
+    usageTracker = null
   } = dependencies;
 
   const { getPhaseParams } = require('./phase-params');
@@ -41,7 +44,16 @@ function createProviderOrchestrator(dependencies) {
         requiresTools: !!includeVisualContextOrOptions.requiresTools,
         explicitRequestedModel: includeVisualContextOrOptions.explicitRequestedModel !== false,
         tags: Array.isArray(includeVisualContextOrOptions.tags) ? includeVisualContextOrOptions.tags : [],
-        phase: includeVisualContextOrOptions.phase || null
+        phase: includeVisualContextOrOptions.phase || null,
+        provider: includeVisualContextOrOptions.provider || null,
+        providerFallback: includeVisualContextOrOptions.providerFallback !== false,
+        signal: includeVisualContextOrOptions.signal || null,
+        requestOverrides: includeVisualContextOrOptions.requestOverrides && typeof includeVisualContextOrOptions.requestOverrides === 'object'
+          ? includeVisualContextOrOptions.requestOverrides
+          : null,
+        command: includeVisualContextOrOptions.command || null,
+        onToken: typeof includeVisualContextOrOptions.onToken === 'function' ? includeVisualContextOrOptions.onToken : null,
+        onStreamReset: typeof includeVisualContextOrOptions.onStreamReset === 'function' ? includeVisualContextOrOptions.onStreamReset : null
       };
     }
 
@@ -52,7 +64,14 @@ function createProviderOrchestrator(dependencies) {
       requiresTools: false,
       explicitRequestedModel: true,
       tags: [],
-      phase: null
+      phase: null,
+      provider: null,
+      providerFallback: true,
+      signal: null,
+      requestOverrides: null,
+      command: null,
+      onToken: null,
+      onStreamReset: null
     };
   }
 
@@ -89,6 +108,9 @@ function createProviderOrchestrator(dependencies) {
   }
 
   async function callProvider(provider, messages, effectiveModel, requestOptions) {
+    if (providerAdapters[provider]) {
+      return providerAdapters[provider].call(messages, effectiveModel, requestOptions);
+    }
     switch (provider) {
       case 'copilot':
         return callCopilot(messages, effectiveModel, requestOptions);
@@ -102,7 +124,11 @@ function createProviderOrchestrator(dependencies) {
     }
   }
 
-  function ensureProviderReady(provider) {
+  function ensureProviderReady(provider, routingContext) {
+    if (providerAdapters[provider]) {
+      providerAdapters[provider].ensureReady(routingContext);
+      return;
+    }
     switch (provider) {
       case 'copilot':
         if (!apiKeys.copilot && !loadCopilotToken()) {
@@ -141,9 +167,106 @@ function createProviderOrchestrator(dependencies) {
     };
   }
 
-  async function invokeProvider(provider, messages, effectiveModel, requestOptions) {
-    const rawResult = await callProvider(provider, messages, effectiveModel, requestOptions);
-    return normalizeProviderResult(provider, rawResult, effectiveModel);
+  /**
+   * Wrap requestOptions with stream callbacks when the caller asked for
+   * incremental tokens. The returned `stream` records whether any delta was
+   * delivered and the provider's finish reason.
+   */
+  function attachStreamCallbacks(provider, requestOptions, onToken) {
+    const stream = { streamed: false, finishReason: null };
+    if (typeof onToken !== 'function') {
+      return { requestOptions, stream };
+    }
+    return {
+      stream,
+      requestOptions: {
+        ...(requestOptions || {}),
+        onToken: (delta) => {
+          stream.streamed = true;
+          onToken(delta, { provider });
+        },
+        onStreamComplete: (summary = {}) => {
+          stream.finishReason = summary.finishReason || null;
+        }
+      }
+    };
+  }
+
+  /**
+   * Wrap requestOptions with an `onUsage` callback when usage is tracked.
+   * Providers call it with the token counts from their response; calls that
+   * report nothing are estimated when the usage is recorded.
+   */
+  function attachUsageCallback(requestOptions) {
+    const usage = { reported: null, model: null };
+    if (!usageTracker) {
+      return { requestOptions, usage };
+    }
+    return {
+      usage,
+      requestOptions: {
+        ...(requestOptions || {}),
+        onUsage: (report = {}) => {
+          usage.reported = report.usage || null;
+          usage.model = report.model || null;
+        }
+      }
+    };
+  }
+
+  function recordUsage(provider, messages, result, usage, usageContext = {}) {
+    if (!usageTracker) return;
+    try {
+      usageTracker.record({
+        provider,
+        model: usage.model || (provider === 'copilot' ? result.effectiveModel : aiProviders[provider]?.model) || null,
+        command: usageContext.command,
+        phase: usageContext.phase,
+        usage: usage.reported,
+        messages,
+        response: typeof result.response === 'string' ? result.response : ''
+      });
+    } catch (error) {
+      console.warn(`[AI] Usage tracking failed: ${error.message}`);
+    }
+  }
+
+  function assertWithinBudget() {
+    if (usageTracker) {
+      usageTracker.assertWithinBudget();
+    }
+  }
+
+  /**
+   * Call a provider, through the active cassette when one is configured.
+   * Replayed responses spend no tokens and are not recorded as usage.
+   */
+  async function invokeProvider(provider, messages, effectiveModel, requestOptions, onToken, callContext = {}) {
+    const tracking = attachUsageCallback(requestOptions);
+    const streaming = attachStreamCallbacks(provider, tracking.requestOptions, onToken);
+    const cassette = getProviderCassette();
+    try {
+      const callLive = (liveRequestOptions = streaming.requestOptions) => {
+        if (typeof callContext.ensureReady === 'function') {
+          callContext.ensureReady();
+        }
+        return callProvider(provider, messages, effectiveModel, liveRequestOptions);
+      };
+      const outcome = cassette
+        ? await cassette.invoke({ provider, messages, model: effectiveModel, requestOptions: streaming.requestOptions, callLive })
+        : { rawResult: await callLive(), replayed: false };
+      const rawResult = outcome.rawResult;
+      const result = normalizeProviderResult(provider, rawResult, effectiveModel);
+      if (!outcome.replayed) {
+        recordUsage(provider, messages, result, tracking.usage, callContext);
+      }
+      return { ...result, rawResult, stream: streaming.stream };
+    } catch (error) {
+      if (error && typeof error === 'object') {
+        error.streamed = streaming.stream.streamed;
+      }
+      throw error;
+    }
   }
 
   function resolveEffectiveCopilotModel(requestedModel, includeVisualContextOrOptions) {
@@ -154,6 +277,15 @@ function createProviderOrchestrator(dependencies) {
     const originalModel = effectiveModel;
     let routing = null;
 
+    // A pinned agent route uses exactly the requested model or fails, so the
+    // caller's own fallbacks run instead of a silent switch to the default.
+    if (!routingContext.providerFallback && requestedModel) {
+      if (!availableModels[effectiveModel]) {
+        throw new Error(`Model ${requestedModel} is not available from copilot.`);
+      }
+      return { effectiveModel, requestedModel, routing: null };
+    }
+
     if (!availableModels[effectiveModel]) {
       const fallback = resolveFallbackModelForReason('legacy-unavailable', providerConfig);
       effectiveModel = resolveCopilotModelKey(fallback);
@@ -194,12 +326,39 @@ function createProviderOrchestrator(dependencies) {
     };
   }
 
+  /**
+   * Phase params for the model, with explicit caller overrides (agent model
+   * routes) on top. Reasoning models still never receive sampling params.
+   */
+  function buildRequestOptions(routingContext, provider, modelKey, requestedModel) {
+    const capabilities = getModelCapabilities(modelKey);
+    let requestOptions = routingContext.phase ? getPhaseParams(routingContext.phase, capabilities) : undefined;
+    if (routingContext.requestOverrides) {
+      requestOptions = { ...(requestOptions || {}), ...routingContext.requestOverrides };
+      if (capabilities.reasoning) {
+        delete requestOptions.temperature;
+        delete requestOptions.top_p;
+        delete requestOptions.top_k;
+      }
+    }
+    // A model routed to a non-Copilot provider is only meaningful to that provider
+    if (requestedModel && provider !== 'copilot' && provider === routingContext.provider) {
+      requestOptions = { ...(requestOptions || {}), model: requestedModel };
+    }
+    if (routingContext.signal) {
+      requestOptions = { ...(requestOptions || {}), signal: routingContext.signal };
+    }
+    return requestOptions;
+  }
+
   async function requestWithFallback(messages, requestedModel, includeVisualContextOrOptions) {
     const routingContext = normalizeRoutingContext(includeVisualContextOrOptions);
     let effectiveModel = getCurrentCopilotModel();
     let requestedCopilotModel = requestedModel || effectiveModel;
-    const currentProvider = getCurrentProvider();
-    const fallbackChain = [currentProvider, ...providerFallbackOrder.filter((provider) => provider !== currentProvider)];
+    const currentProvider = routingContext.provider || getCurrentProvider();
+    const fallbackChain = routingContext.providerFallback
+      ? [currentProvider, ...providerFallbackOrder.filter((provider) => provider !== currentProvider)]
+      : [currentProvider];
     let primaryError = null;
     let lastError = null;
     let usedProvider = currentProvider;
@@ -207,33 +366,41 @@ function createProviderOrchestrator(dependencies) {
     let providerMetadata = null;
     let routing = null;
 
+    // Budget refusals are not provider failures; they must not fall back.
+    assertWithinBudget();
+
+    // Replayed calls need no credentials; readiness is checked only before a live call.
+    const deferReadiness = !!getProviderCassette() && getProviderCassette().mode !== 'record';
+
     for (const provider of fallbackChain) {
+      if (routingContext.signal && routingContext.signal.aborted) {
+        break;
+      }
       try {
-        ensureProviderReady(provider);
-        // Compute phase-aware request options (RLVR Phase 2)
-        let requestOptions;
-        if (routingContext.phase) {
-          const capabilities = getModelCapabilities(effectiveModel);
-          requestOptions = getPhaseParams(routingContext.phase, capabilities);
+        if (!deferReadiness) {
+          ensureProviderReady(provider, routingContext);
         }
+        // Compute phase-aware request options (RLVR Phase 2)
+        let requestOptions = buildRequestOptions(routingContext, provider, effectiveModel, requestedModel);
         if (provider === 'copilot') {
           const resolved = resolveEffectiveCopilotModel(requestedModel, routingContext);
           effectiveModel = resolved.effectiveModel;
           requestedCopilotModel = resolved.requestedModel || requestedCopilotModel;
           routing = resolved.routing || routing;
           // Re-compute phase params after model resolution (model may have changed)
-          if (routingContext.phase) {
-            const capabilities = getModelCapabilities(effectiveModel);
-            requestOptions = getPhaseParams(routingContext.phase, capabilities);
-          }
+          requestOptions = buildRequestOptions(routingContext, provider, effectiveModel, requestedModel);
         }
-        const result = await invokeProvider(provider, messages, effectiveModel, requestOptions);
+        const result = await invokeProvider(provider, messages, effectiveModel, requestOptions, routingContext.onToken, {
+          ...routingContext,
+          ensureReady: deferReadiness ? () => ensureProviderReady(provider, routingContext) : null
+        });
         response = result.response;
         effectiveModel = result.effectiveModel;
         requestedCopilotModel = result.requestedModel;
         providerMetadata = {
           ...(result.providerMetadata || {}),
-          routing
+          routing,
+          stream: routingContext.onToken ? result.stream : null
         };
         usedProvider = provider;
         if (usedProvider !== currentProvider) {
@@ -241,6 +408,10 @@ function createProviderOrchestrator(dependencies) {
         }
         break;
       } catch (error) {
+        if (error && error.streamed && routingContext.onStreamReset) {
+          // Partial output from a failed provider must not merge with the next attempt.
+          routingContext.onStreamReset({ provider, error: error.message });
+        }
         if (!primaryError) {
           primaryError = error;
           console.warn(`[AI] Provider ${provider} failed: ${error.message}`);
@@ -266,11 +437,16 @@ function createProviderOrchestrator(dependencies) {
   }
 
   return {
-    callCurrentProvider: async (messages, effectiveModel) => {
-      const result = await invokeProvider(getCurrentProvider(), messages, effectiveModel);
+    callCurrentProvider: async (messages, effectiveModel, options = {}) => {
+      assertWithinBudget();
+      const result = await invokeProvider(getCurrentProvider(), messages, effectiveModel, undefined, options.onToken, options);
       return result.response;
     },
-    callProvider,
+    callProvider: async (provider, messages, effectiveModel, requestOptions, usageContext = {}) => {
+      assertWithinBudget();
+      const result = await invokeProvider(provider, messages, effectiveModel, requestOptions, null, usageContext);
+      return result.rawResult;
+    },
     requestWithFallback,
     resolveEffectiveCopilotModel
   };
@@ -1,3 +1,5 @@
+const { createOpenAICompatibleAdapter } = require('./openai-compatible');
+
 const AI_PROVIDERS = {
   copilot: {
     baseUrl: 'api.githubcopilot.com',
@@ -38,7 +40,15 @@ const AI_PROVIDERS = {
   }
 };
 
-function createProviderRegistry(env = process.env) {
+const BUILTIN_FALLBACK_ORDER = ['copilot', 'openai', 'anthropic', 'ollama'];
+
+/**
+ * @param {object} [env]
+ * @param {{ endpoints?: object[] }} [options] - Normalized endpoints from
+ *   endpoint-config.js. Each becomes a named provider backed by an
+ *   OpenAI-compatible adapter.
+ */
+function createProviderRegistry(env = process.env, options = {}) {
   let currentProvider = 'copilot';
   const apiKeys = {
     copilot: env.GH_TOKEN || env.GITHUB_TOKEN || '',
@@ -47,12 +57,45 @@ function createProviderRegistry(env = process.env) {
     anthropic: env.ANTHROPIC_API_KEY || ''
   };
 
+  const providers = { ...AI_PROVIDERS };
+  const providerAdapters = {};
+  const endpoints = Array.isArray(options.endpoints) ? options.endpoints : [];
+  for (const endpoint of endpoints) {
+    if (providers[endpoint.name]) continue;
+    providers[endpoint.name] = endpoint;
+    // Keyed slot so /setkey <endpoint> works; the adapter falls back to auth.env.
+    apiKeys[endpoint.name] = '';
+    providerAdapters[endpoint.name] = createOpenAICompatibleAdapter(endpoint, { apiKeys, env });
+  }
+
   function getCurrentProvider() {
     return currentProvider;
   }
 
+  function getProviderAdapter(provider) {
+    return providerAdapters[provider] || null;
+  }
+
+  function getFallbackOrder() {
+    return [
+      ...BUILTIN_FALLBACK_ORDER,
+      ...Object.values(providerAdapters)
+        .filter((adapter) => adapter.config.fallback)
+        .map((adapter) => adapter.name)
+    ];
+  }
+
+  function describeProviders() {
+    return Object.keys(providers).map((name) => {
+      if (providerAdapters[name]) {
+        return providerAdapters[name].describe();
+      }
+      return { name, kind: 'builtin', model: providers[name].model };
+    });
+  }
+
   function setProvider(provider) {
-    if (!AI_PROVIDERS[provider]) {
+    if (!providers[provider]) {
       return false;
     }
     currentProvider = provider;
@@ -68,9 +111,13 @@ function createProviderRegistry(env = process.env) {
   }
 
   return {
-    AI_PROVIDERS,
+    AI_PROVIDERS: providers,
     apiKeys,
+    describeProviders,
     getCurrentProvider,
+    getFallbackOrder,
+    getProviderAdapter,
+    providerAdapters,
     setApiKey,
     setProvider
   };
@@ -78,5 +125,6 @@ function createProviderRegistry(env = process.env) {
 
 module.exports = {
   AI_PROVIDERS,
+  BUILTIN_FALLBACK_ORDER,
   createProviderRegistry
 };
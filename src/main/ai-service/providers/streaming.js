@@ -0,0 +1,315 @@
+/**
+ * Streaming helpers — incremental SSE / NDJSON decoding for provider calls.
+ *
+ * Providers stream deltas to an `onToken(delta)` callback while still
+ * resolving the full completion text, so action parsing, policy checks and
+ * truncation heuristics keep running on the finished response exactly as
+ * they do for buffered calls. Tool-call deltas are accumulated alongside the
+ * text so native tool calling works with streamed requests too, and token
+ * usage reported in the stream is forwarded to `onUsage`.
+ *
+ * Formats:
+ *   - openai     SSE `data: {choices:[{delta:{content}, finish_reason}]}` (Copilot, OpenAI, compatible servers)
+ *   - anthropic  SSE `content_block_delta` / `message_delta` events
+ *   - ollama     NDJSON `{message:{content}, done, done_reason}`
+ */
+
+const { mergeToolCallChunk } = require('./copilot/chat-response');
+
+const TRUNCATING_FINISH_REASONS = new Set(['length', 'max_tokens']);
+
+/**
+ * Incremental Server-Sent Events decoder. Calls onEvent(data, eventName)
+ * once per complete event; partial events stay buffered until the next push.
+ */
+function createSseDecoder(onEvent) {
+  let buffer = '';
+
+  function flushBlock(block) {
+    if (!block.trim()) return;
+    let eventName = null;
+    const dataLines = [];
+    for (const line of block.split(/\r?\n/)) {
+      if (line.startsWith('event:')) {
+        eventName = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trim());
+      }
+    }
+    const data = dataLines.join('\n');
+    if (!data || data === '[DONE]') return;
+    onEvent(data, eventName);
+  }
+
+  return {
+    push(chunk) {
+      buffer += String(chunk);
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+      blocks.forEach(flushBlock);
+    },
+    end() {
+      const rest = buffer;
+      buffer = '';
+      flushBlock(rest);
+    }
+  };
+}
+
+/**
+ * Incremental newline-delimited JSON decoder.
+ */
+function createNdjsonDecoder(onLine) {
+  let buffer = '';
+  return {
+    push(chunk) {
+      buffer += String(chunk);
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.filter((line) => line.trim()).forEach((line) => onLine(line));
+    },
+    end() {
+      const rest = buffer;
+      buffer = '';
+      if (rest.trim()) onLine(rest);
+    }
+  };
+}
+
+function extractOpenAIStreamDelta(payload) {
+  if (payload && payload.error) {
+    return { text: '', finishReason: null, error: payload.error.message || String(payload.error) };
+  }
+  const choice = Array.isArray(payload && payload.choices) ? payload.choices[0] : null;
+  const delta = (choice && (choice.delta || choice.message)) || {};
+  return {
+    text: typeof delta.content === 'string' ? delta.content : '',
+    finishReason: (choice && choice.finish_reason) || null,
+    toolCalls: Array.isArray(delta.tool_calls) ? delta.tool_calls : [],
+    // Sent in a final chunk with empty choices when stream_options.include_usage is set.
+    usage: payload && payload.usage ? payload.usage : null,
+    error: null
+  };
+}
+
+function extractAnthropicStreamDelta(payload) {
+  if (!payload) return { text: '', finishReason: null, error: null };
+  if (payload.type === 'error' || payload.error) {
+    const err = payload.error || {};
+    return { text: '', finishReason: null, error: err.message || 'Anthropic stream error' };
+  }
+  if (payload.type === 'message_start' && payload.message && payload.message.usage) {
+    return { text: '', finishReason: null, usage: payload.message.usage, error: null };
+  }
+  if (payload.type === 'content_block_start' && payload.content_block && payload.content_block.type === 'tool_use') {
+    // Normalized to OpenAI-style tool-call chunks so one merge path serves both formats.
+    return {
+      text: '',
+      finishReason: null,
+      toolCalls: [{ index: payload.index, id: payload.content_block.id, type: 'function', function: { name: payload.content_block.name, arguments: '' } }],
+      error: null
+    };
+  }
+  if (payload.type === 'content_block_delta' && payload.delta && payload.delta.type === 'input_json_delta') {
+    return {
+      text: '',
+      finishReason: null,
+      toolCalls: [{ index: payload.index, function: { arguments: payload.delta.partial_json || '' } }],
+      error: null
+    };
+  }
+  if (payload.type === 'content_block_delta' && payload.delta && payload.delta.type === 'text_delta') {
+    return { text: payload.delta.text || '', finishReason: null, error: null };
+  }
+  if (payload.type === 'message_delta') {
+    return {
+      text: '',
+      finishReason: (payload.delta && payload.delta.stop_reason) || null,
+      usage: payload.usage || null,
+      error: null
+    };
+  }
+  return { text: '', finishReason: null, error: null };
+}
+
+function extractOllamaStreamDelta(payload) {
+  if (payload && payload.error) {
+    return { text: '', finishReason: null, error: String(payload.error) };
+  }
+  return {
+    text: (payload && payload.message && typeof payload.message.content === 'string') ? payload.message.content : '',
+    finishReason: payload && payload.done ? (payload.done_reason || 'stop') : null,
+    usage: payload && payload.done ? { prompt_eval_count: payload.prompt_eval_count, eval_count: payload.eval_count } : null,
+    error: null
+  };
+}
+
+const STREAM_FORMATS = {
+  openai: { decoder: createSseDecoder, extract: extractOpenAIStreamDelta },
+  anthropic: { decoder: createSseDecoder, extract: extractAnthropicStreamDelta },
+  ollama: { decoder: createNdjsonDecoder, extract: extractOllamaStreamDelta }
+};
+
+/**
+ * Accumulates streamed deltas for one response and forwards them to onToken.
+ *
+ * @param {'openai'|'anthropic'|'ollama'} format
+ * @param {{ onToken?: Function }} [options]
+ */
+function createStreamCollector(format, { onToken } = {}) {
+  const spec = STREAM_FORMATS[format];
+  if (!spec) {
+    throw new Error(`Unknown stream format: ${format}`);
+  }
+
+  const parts = [];
+  const toolCallMap = new Map();
+  let finishReason = null;
+  let streamError = null;
+  let usage = null;
+
+  const decoder = spec.decoder((raw) => {
+    let payload;
+    try {
+      payload = JSON.parse(raw);
+    } catch {
+      return;
+    }
+    const delta = spec.extract(payload);
+    if (delta.error && !streamError) {
+      streamError = delta.error;
+    }
+    if (delta.finishReason) {
+      finishReason = delta.finishReason;
+    }
+    if (delta.usage) {
+      // Anthropic splits usage across message_start (input) and message_delta (output).
+      usage = { ...(usage || {}), ...delta.usage };
+    }
+    if (Array.isArray(delta.toolCalls)) {
+      delta.toolCalls.forEach((chunk) => mergeToolCallChunk(toolCallMap, chunk));
+    }
+    if (delta.text) {
+      parts.push(delta.text);
+      if (typeof onToken === 'function') {
+        try {
+          onToken(delta.text);
+        } catch {}
+      }
+    }
+  });
+
+  return {
+    push: (chunk) => decoder.push(chunk),
+    end: () => decoder.end(),
+    getText: () => parts.join(''),
+    getFinishReason: () => finishReason,
+    getToolCalls: () => Array.from(toolCallMap.entries())
+      .sort((a, b) => a[0] - b[0])
+      .map(([, value]) => value),
+    getError: () => streamError,
+    getUsage: () => usage,
+    hasTokens: () => parts.length > 0 || toolCallMap.size > 0
+  };
+}
+
+/**
+ * POST a streaming completion request and resolve the full text.
+ *
+ * @param {object} params
+ * @param {object} params.transport - http or https module
+ * @param {object} params.httpOptions - request options (hostname, path, headers, ...)
+ * @param {string} params.data - serialized request body (with stream enabled)
+ * @param {'openai'|'anthropic'|'ollama'} params.format
+ * @param {object} params.requestOptions - carries onToken / onStreamComplete / onUsage
+ * @param {(status:number, body:string) => Error} params.buildHttpError
+ * @param {(err:Error) => Error} [params.mapRequestError]
+ * @param {(result:{content:string, toolCalls:Array, finishReason:?string}) => *} [params.finalize]
+ *   shapes the resolved value; defaults to the streamed text
+ * @returns {Promise<string|*>}
+ */
+function requestStreamingCompletion({ transport, httpOptions, data, format, requestOptions = {}, buildHttpError, mapRequestError, finalize }) {
+  return new Promise((resolve, reject) => {
+    const collector = createStreamCollector(format, { onToken: requestOptions.onToken });
+    const fail = (err) => reject(mapRequestError ? mapRequestError(err) : err);
+
+    const req = transport.request(httpOptions, (res) => {
+      // A dropped socket emits 'aborted'/'error' and then 'close' without 'end';
+      // settle then instead of waiting for an 'end' that never comes.
+      let ended = false;
+      const interrupted = () => fail(new Error('STREAM_INTERRUPTED: the connection closed before the response completed'));
+      res.on('aborted', interrupted);
+      res.on('error', (err) => fail(err));
+      res.on('close', () => {
+        if (!ended) interrupted();
+      });
+
+      if (res.statusCode >= 400) {
+        let body = '';
+        res.on('data', (chunk) => body += chunk);
+        res.on('end', () => {
+          ended = true;
+          reject(buildHttpError(res.statusCode, body));
+        });
+        return;
+      }
+
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => collector.push(chunk));
+      res.on('end', () => {
+        ended = true;
+        collector.end();
+        const streamError = collector.getError();
+        if (streamError && !collector.hasTokens()) {
+          return reject(new Error(streamError));
+        }
+        if (typeof requestOptions.onStreamComplete === 'function') {
+          requestOptions.onStreamComplete({ finishReason: collector.getFinishReason(), error: streamError });
+        }
+        if (typeof requestOptions.onUsage === 'function' && collector.getUsage()) {
+          requestOptions.onUsage({ usage: collector.getUsage() });
+        }
+        if (typeof finalize !== 'function') {
+          return resolve(collector.getText());
+        }
+        try {
+          resolve(finalize({
+            content: collector.getText(),
+            toolCalls: collector.getToolCalls(),
+            finishReason: collector.getFinishReason()
+          }));
+        } catch (err) {
+          reject(err);
+        }
+      });
+    });
+
+    req.on('error', fail);
+    if (httpOptions.timeout) {
+      req.on('timeout', () => req.destroy(new Error('REQUEST_TIMEOUT')));
+    }
+    req.write(data);
+    req.end();
+  });
+}
+
+function isStreamingRequested(requestOptions) {
+  return !!(requestOptions && typeof requestOptions.onToken === 'function');
+}
+
+function isTruncatingFinishReason(finishReason) {
+  return TRUNCATING_FINISH_REASONS.has(String(finishReason || '').toLowerCase());
+}
+
+module.exports = {
+  TRUNCATING_FINISH_REASONS,
+  createNdjsonDecoder,
+  createSseDecoder,
+  createStreamCollector,
+  extractAnthropicStreamDelta,
+  extractOllamaStreamDelta,
+  extractOpenAIStreamDelta,
+  isStreamingRequested,
+  isTruncatingFinishReason,
+  requestStreamingCompletion
+};
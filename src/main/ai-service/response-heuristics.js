@@ -1,5 +1,13 @@
-function detectTruncation(response) {
+const { isTruncatingFinishReason } = require('./providers/streaming');
+
+/**
+ * @param {string} response - Finished (or fully streamed) completion text
+ * @param {{ finishReason?: string|null }} [options] - Provider stop reason when
+ *   known; `length` / `max_tokens` is a definitive truncation signal.
+ */
+function detectTruncation(response, options = {}) {
   if (!response) return false;
+  if (isTruncatingFinishReason(options.finishReason)) return true;
 
   const truncationSignals = [
     /```json\s*\{[^}]*$/s.test(response),
@@ -20,11 +28,11 @@ function detectTruncation(response) {
   return truncationSignals.some(Boolean);
 }
 
-function shouldAutoContinueResponse(response, containsActions = false) {
+function shouldAutoContinueResponse(response, containsActions = false, options = {}) {
   if (containsActions) {
     return false;
   }
-  return detectTruncation(response);
+  return detectTruncation(response, options);
 }
 
 module.exports = {
@@ -42,6 +42,7 @@ async function inspectGitHubAppInstallation(options = {}) {
   report.githubApi.attempted = true;
   report.githubApi.status = response.status;
   report.githubApi.rateLimit = response.rateLimit || null;
+  report.githubApi.fromCache = response.fromCache === true;
 
   if (response.ok && response.data) {
     report.installation = summarizeInstallation(response.data, true);
@@ -127,6 +127,7 @@ async function resolveGitHubAuthStatus(options = {}) {
     viewer: null,
     scopes: [],
     rateLimit: null,
+    fromCache: false,
     error: null,
   };
 
@@ -141,6 +142,7 @@ async function resolveGitHubAuthStatus(options = {}) {
     githubApi.status = response.status;
     githubApi.scopes = response.scopes || [];
     githubApi.rateLimit = response.rateLimit || null;
+    githubApi.fromCache = response.fromCache === true;
 
     if (response.ok && response.data) {
       githubApi.authenticated = true;
@@ -123,6 +123,17 @@ function evaluateGitHubCapabilityPolicy(options = {}) {
     });
   }
 
+  // A local listener records deliveries and notifies the Supervisor but
+  // never writes to GitHub, so it needs the GitHub flag and not the write flag.
+  if (sideEffectClass === 'listen') {
+    return buildPolicyResult({
+      ...basePolicy,
+      allowed: true,
+      state: 'listen-allowed',
+      reason: 'listen-capability-allowed',
+    });
+  }
+
   if (!featureFlags.githubWritesEnabled) {
     return buildPolicyResult({
       ...basePolicy,
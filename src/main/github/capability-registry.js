@@ -137,7 +137,7 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: [],
     optionKeys: ['api', 'slug'],
   },
@@ -151,7 +151,7 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: [],
     optionKeys: ['api', 'slug', 'limit'],
   },
@@ -165,7 +165,7 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: ['id'],
     optionKeys: ['api', 'slug'],
   },
@@ -179,7 +179,7 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: [],
     optionKeys: ['api', 'slug', 'limit'],
   },
@@ -193,7 +193,7 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: ['name'],
     optionKeys: ['api', 'slug'],
   },
@@ -235,7 +235,7 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: [],
     optionKeys: ['api', 'slug', 'limit'],
   },
@@ -249,7 +249,7 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: ['name'],
     optionKeys: ['api', 'slug'],
   },
@@ -263,7 +263,7 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: [],
     optionKeys: ['api', 'slug'],
   },
@@ -309,7 +309,7 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: [],
     optionKeys: ['api', 'slug'],
   },
@@ -323,7 +323,7 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: [],
     optionKeys: ['api', 'slug', 'limit'],
   },
@@ -337,7 +337,7 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: ['id'],
     optionKeys: ['api', 'slug'],
   },
@@ -399,7 +399,7 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: [],
     optionKeys: ['slug', 'limit', 'event'],
   },
@@ -413,10 +413,24 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: ['id'],
     optionKeys: ['slug'],
   },
+  {
+    key: 'event.serve',
+    area: 'event',
+    action: 'serve',
+    description: 'Listen for signed GitHub webhook deliveries, record them in the local event journal and raise Supervisor notifications.',
+    responseSchemaVersion: 'github.event-serve.v1',
+    sideEffectClass: 'listen',
+    approvalRequirement: 'none',
+    riskLevel: 'low',
+    supportsDryRun: false,
+    allowedSources: ['cli'],
+    positionalArguments: [],
+    optionKeys: ['port', 'host', 'path', 'secret-env', 'notify'],
+  },
   {
     key: 'app.status',
     area: 'app',
@@ -469,7 +483,7 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: [],
     optionKeys: ['api', 'slug', 'state', 'limit', 'labels'],
   },
@@ -483,7 +497,7 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: ['number'],
     optionKeys: ['api', 'slug'],
   },
@@ -501,6 +515,34 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     positionalArguments: ['number'],
     optionKeys: ['slug', 'body', 'body-file'],
   },
+  {
+    key: 'issues.create.draft',
+    area: 'issues',
+    action: 'create-draft',
+    description: 'Create a reviewed local preview artifact for a new GitHub issue, with validated labels, assignees, milestone and an optional issue template.',
+    responseSchemaVersion: 'github.issue-create-draft.v1',
+    sideEffectClass: 'preview',
+    approvalRequirement: 'explicit',
+    riskLevel: 'low',
+    supportsDryRun: true,
+    allowedSources: ['cli', 'slash'],
+    positionalArguments: [],
+    optionKeys: ['api', 'slug', 'title', 'title-file', 'body', 'body-file', 'template', 'labels', 'assignees', 'milestone'],
+  },
+  {
+    key: 'issues.triage.draft',
+    area: 'issues',
+    action: 'triage-draft',
+    description: 'Create a reviewed local preview artifact that adds or removes labels and assignees or changes the milestone of one GitHub issue.',
+    responseSchemaVersion: 'github.issue-triage-draft.v1',
+    sideEffectClass: 'preview',
+    approvalRequirement: 'explicit',
+    riskLevel: 'low',
+    supportsDryRun: true,
+    allowedSources: ['cli', 'slash'],
+    positionalArguments: ['number'],
+    optionKeys: ['api', 'slug', 'labels', 'remove-labels', 'assignees', 'remove-assignees', 'milestone'],
+  },
   {
     key: 'pr.list',
     area: 'pr',
@@ -511,7 +553,7 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: [],
     optionKeys: ['api', 'slug', 'state', 'limit', 'base', 'head'],
   },
@@ -525,7 +567,7 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: ['number'],
     optionKeys: ['api', 'slug'],
   },
@@ -539,7 +581,7 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: ['number'],
     optionKeys: ['api', 'slug', 'limit'],
   },
@@ -553,7 +595,7 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: [],
     optionKeys: ['api', 'slug', 'state', 'branch', 'head'],
   },
@@ -567,10 +609,38 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
+    positionalArguments: ['number'],
+    optionKeys: ['api', 'slug', 'state', 'branch', 'head', 'limit'],
+  },
+  {
+    key: 'pr.checks',
+    area: 'pr',
+    action: 'checks',
+    description: 'List check suites, check runs, commit statuses, and file/line check annotations for the head commit of one pull request or the branch-associated pull request.',
+    responseSchemaVersion: 'github.pr-checks.v1',
+    sideEffectClass: 'read',
+    approvalRequirement: 'none',
+    riskLevel: 'low',
+    supportsDryRun: false,
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: ['number'],
     optionKeys: ['api', 'slug', 'state', 'branch', 'head', 'limit'],
   },
+  {
+    key: 'commit.status',
+    area: 'commit',
+    action: 'status',
+    description: 'Show check runs, the combined commit status, and file/line check annotations for one commit SHA, branch, or tag.',
+    responseSchemaVersion: 'github.commit-status.v1',
+    sideEffectClass: 'read',
+    approvalRequirement: 'none',
+    riskLevel: 'low',
+    supportsDryRun: false,
+    allowedSources: ['cli', 'slash', 'tool'],
+    positionalArguments: ['ref'],
+    optionKeys: ['api', 'slug', 'limit'],
+  },
   {
     key: 'pr.review.draft',
     area: 'pr',
@@ -651,7 +721,7 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: [],
     optionKeys: ['api', 'slug', 'workflow', 'branch', 'status', 'event', 'limit'],
   },
@@ -665,6 +735,20 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
+    allowedSources: ['cli', 'slash', 'tool'],
+    positionalArguments: ['runId'],
+    optionKeys: ['api', 'slug'],
+  },
+  {
+    key: 'workflow.logs',
+    area: 'workflow',
+    action: 'logs',
+    description: 'Download one workflow run\'s job logs into redacted local artifacts and summarize the failing steps.',
+    responseSchemaVersion: 'github.workflow-logs.v1',
+    sideEffectClass: 'read',
+    approvalRequirement: 'none',
+    riskLevel: 'low',
+    supportsDryRun: false,
     allowedSources: ['cli', 'slash'],
     positionalArguments: ['runId'],
     optionKeys: ['api', 'slug'],
@@ -679,7 +763,7 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: ['path'],
     optionKeys: ['slug', 'path', 'body', 'body-file'],
   },
@@ -693,7 +777,7 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: ['path'],
     optionKeys: ['slug', 'path', 'body', 'body-file'],
   },
@@ -707,7 +791,7 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: ['path'],
     optionKeys: ['slug', 'path', 'body', 'body-file'],
   },
@@ -801,7 +885,7 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: [],
     optionKeys: ['api', 'slug', 'limit'],
   },
@@ -815,7 +899,7 @@ const DEFAULT_GITHUB_CAPABILITIES = [
     approvalRequirement: 'none',
     riskLevel: 'low',
     supportsDryRun: false,
-    allowedSources: ['cli', 'slash'],
+    allowedSources: ['cli', 'slash', 'tool'],
     positionalArguments: ['selector'],
     optionKeys: ['api', 'slug'],
   },
@@ -0,0 +1,167 @@
+const { getGitHubCapability, listGitHubCapabilities } = require('./capability-registry');
+
+const GITHUB_TOOL_SOURCE = 'tool';
+const GITHUB_TOOL_PREFIX = 'github_';
+const GITHUB_CAPABILITY_ACTION_TYPE = 'github_capability';
+
+// File-path options read or write local files; tool calls pass content inline instead.
+const EXCLUDED_TOOL_OPTION_KEYS = new Set(['api', 'body-file', 'out-file', 'outfile', 'planfile', 'eventlogfile']);
+const NUMERIC_TOOL_ARGUMENTS = new Set(['number', 'limit', 'id', 'runid']);
+
+function toGitHubToolName(capabilityKey) {
+  return `${GITHUB_TOOL_PREFIX}${String(capabilityKey || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_')}`;
+}
+
+function toToolPropertyName(key) {
+  return String(key || '').trim().replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function buildToolProperty(key, description) {
+  return NUMERIC_TOOL_ARGUMENTS.has(key)
+    ? { type: ['number', 'string'], description }
+    : { type: 'string', description };
+}
+
+function isToolCallableGitHubCapability(capability) {
+  return !!capability
+    && capability.sideEffectClass === 'read'
+    && Array.isArray(capability.allowedSources)
+    && capability.allowedSources.includes(GITHUB_TOOL_SOURCE);
+}
+
+function listToolCallableGitHubCapabilities(options = {}) {
+  const list = typeof options.listGitHubCapabilities === 'function'
+    ? options.listGitHubCapabilities
+    : listGitHubCapabilities;
+  return list().filter(isToolCallableGitHubCapability);
+}
+
+/**
+ * Build one OpenAI-style function definition for a read-only GitHub capability.
+ * Positional arguments are required; option keys are optional string properties.
+ */
+function buildGitHubCapabilityToolDefinition(capability) {
+  const properties = {};
+  const required = [];
+
+  (capability.positionalArguments || []).forEach((key) => {
+    const name = toToolPropertyName(key);
+    properties[name] = buildToolProperty(key, `Positional argument "${key}"`);
+    required.push(name);
+  });
+
+  (capability.optionKeys || [])
+    .filter((key) => !EXCLUDED_TOOL_OPTION_KEYS.has(key))
+    .forEach((key) => {
+      const name = toToolPropertyName(key);
+      if (properties[name]) return;
+      properties[name] = buildToolProperty(key, key === 'slug'
+        ? 'Repository as owner/name (defaults to the current repo)'
+        : `Option --${key}`);
+    });
+
+  properties.reason = { type: 'string', description: 'Why this GitHub lookup is needed' };
+
+  return {
+    type: 'function',
+    function: {
+      name: toGitHubToolName(capability.key),
+      description: `[GitHub, read-only] ${capability.description}`,
+      parameters: {
+        type: 'object',
+        properties,
+        ...(required.length > 0 ? { required } : {}),
+      },
+    },
+  };
+}
+
+function buildGitHubCapabilityToolDefinitions(options = {}) {
+  return listToolCallableGitHubCapabilities(options).map(buildGitHubCapabilityToolDefinition);
+}
+
+function findGitHubCapabilityForToolName(toolName, options = {}) {
+  const normalized = String(toolName || '').trim().toLowerCase();
+  if (!normalized.startsWith(GITHUB_TOOL_PREFIX)) {
+    return null;
+  }
+  return listToolCallableGitHubCapabilities(options)
+    .find((capability) => toGitHubToolName(capability.key) === normalized) || null;
+}
+
+/**
+ * Convert validated tool-call arguments into a `github_capability` action.
+ */
+function githubToolCallToAction(capability, args = {}) {
+  const positionals = (capability.positionalArguments || [])
+    .map((key) => args[toToolPropertyName(key)])
+    .map((value) => (value === undefined || value === null ? '' : String(value)));
+  const options = {};
+  (capability.optionKeys || [])
+    .filter((key) => !EXCLUDED_TOOL_OPTION_KEYS.has(key))
+    .forEach((key) => {
+      const value = args[toToolPropertyName(key)];
+      if (value !== undefined && value !== null && value !== '') {
+        options[key] = String(value);
+      }
+    });
+
+  return {
+    type: GITHUB_CAPABILITY_ACTION_TYPE,
+    capability: capability.key,
+    positionals,
+    options,
+    ...(args.reason ? { reason: String(args.reason) } : {}),
+  };
+}
+
+/**
+ * Run a `github_capability` action through the GitHub command executor with
+ * the `tool` source, so capability policy is evaluated exactly as for CLI and
+ * slash invocations.
+ */
+async function executeGitHubCapabilityAction(action = {}, dependencies = {}) {
+  const capability = (typeof dependencies.getGitHubCapability === 'function'
+    ? dependencies.getGitHubCapability
+    : getGitHubCapability)(action.capability);
+
+  if (!isToolCallableGitHubCapability(capability)) {
+    return {
+      success: false,
+      error: `GitHub capability ${action.capability || '(missing)'} is not available to tool calls.`,
+    };
+  }
+
+  const executor = dependencies.executor
+    || require('./command-executor').createGitHubCommandExecutor(dependencies.executorDependencies || {});
+  const report = await executor.execute({
+    area: capability.area,
+    action: capability.action,
+    positionals: [capability.area, capability.action, ...(Array.isArray(action.positionals) ? action.positionals : [])],
+    options: action.options && typeof action.options === 'object' ? { ...action.options } : {},
+    source: GITHUB_TOOL_SOURCE,
+    cwd: dependencies.cwd,
+    env: dependencies.env,
+  });
+
+  return {
+    success: report?.success !== false,
+    error: report?.success === false ? (report.message || report.error || 'GitHub capability failed') : undefined,
+    capability: capability.key,
+    report,
+  };
+}
+
+module.exports = {
+  GITHUB_CAPABILITY_ACTION_TYPE,
+  GITHUB_TOOL_PREFIX,
+  GITHUB_TOOL_SOURCE,
+  buildGitHubCapabilityToolDefinition,
+  buildGitHubCapabilityToolDefinitions,
+  executeGitHubCapabilityAction,
+  findGitHubCapabilityForToolName,
+  githubToolCallToAction,
+  isToolCallableGitHubCapability,
+  listToolCallableGitHubCapabilities,
+  toGitHubToolName,
+};
@@ -1,3 +1,6 @@
+const GITHUB_MAX_LIST_ITEMS = 1000;
+const GITHUB_MAX_BINARY_BYTES = 64 * 1024 * 1024;
+
 function getEnvGitHubToken(env = process.env) {
   const candidates = [
     ['GH_TOKEN', env.GH_TOKEN],
@@ -41,11 +44,17 @@ function splitCommaHeader(value) {
   return text.split(',').map((entry) => entry.trim()).filter(Boolean);
 }
 
+function readNumericHeader(headers, name) {
+  const value = readHeader(headers, name);
+  if (value === null || value === undefined || String(value).trim() === '') return NaN;
+  return Number(value);
+}
+
 function parseRateLimit(headers) {
-  const limit = Number(readHeader(headers, 'x-ratelimit-limit'));
-  const remaining = Number(readHeader(headers, 'x-ratelimit-remaining'));
-  const reset = Number(readHeader(headers, 'x-ratelimit-reset'));
-  const used = Number(readHeader(headers, 'x-ratelimit-used'));
+  const limit = readNumericHeader(headers, 'x-ratelimit-limit');
+  const remaining = readNumericHeader(headers, 'x-ratelimit-remaining');
+  const reset = readNumericHeader(headers, 'x-ratelimit-reset');
+  const used = readNumericHeader(headers, 'x-ratelimit-used');
   const resource = readHeader(headers, 'x-ratelimit-resource');
 
   if (![limit, remaining, reset, used].some((value) => Number.isFinite(value)) && !resource) {
@@ -72,6 +81,82 @@ function buildGitHubApiUrl(apiPath, apiBaseUrl = 'https://api.github.com') {
   return new URL(input.startsWith('/') ? input : `/${input}`, apiBaseUrl).toString();
 }
 
+function parseLinkHeader(value) {
+  const links = {};
+  for (const part of String(value || '').split(',')) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+    if (match) {
+      for (const rel of match[2].split(/\s+/)) {
+        links[rel] = match[1];
+      }
+    }
+  }
+  return links;
+}
+
+// Secondary rate limits answer 403/429 with Retry-After or a "secondary rate
+// limit" message; an exhausted primary limit reports remaining=0 with a reset
+// time. Anything else (permissions, missing scopes) is not retried.
+function computeRateLimitBackoffMs(status, headers, data, attempt = 0, now = Date.now()) {
+  if (status !== 403 && status !== 429) return null;
+
+  const retryAfter = readNumericHeader(headers, 'retry-after');
+  if (Number.isFinite(retryAfter) && retryAfter >= 0) {
+    return Math.max(1000, retryAfter * 1000);
+  }
+
+  const rateLimit = parseRateLimit(headers);
+  if (rateLimit && rateLimit.remaining === 0 && rateLimit.resetAt) {
+    return Math.max(1000, new Date(rateLimit.resetAt).getTime() - now);
+  }
+
+  if (/secondary rate limit/i.test(String(data?.message || ''))) {
+    return 60000 * (2 ** attempt);
+  }
+
+  if (status === 429) {
+    return 1000 * (2 ** attempt);
+  }
+
+  return null;
+}
+
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function getResponseCache() {
+  return require('./response-cache');
+}
+
+async function fetchGitHubOnce(fetchImpl, requestUrl, init, timeoutMs) {
+  const controller = typeof AbortController === 'function' ? new AbortController() : null;
+  const timeoutHandle = controller
+    ? setTimeout(() => controller.abort(), Math.max(1, Number(timeoutMs) || 8000))
+    : null;
+
+  try {
+    const response = await fetchImpl(requestUrl, {
+      ...init,
+      signal: controller ? controller.signal : undefined,
+    });
+    const responseText = await response.text();
+    let data = null;
+    if (responseText) {
+      try {
+        data = JSON.parse(responseText);
+      } catch {
+        data = { raw: responseText };
+      }
+    }
+    return { response, data };
+  } finally {
+    if (timeoutHandle) {
+      clearTimeout(timeoutHandle);
+    }
+  }
+}
+
 async function requestGitHubJson(options = {}) {
   const {
     apiPath = '/',
@@ -82,6 +167,9 @@ async function requestGitHubJson(options = {}) {
     headers = {},
     fetchImpl = global.fetch,
     timeoutMs = 8000,
+    maxRetries = 2,
+    maxBackoffMs = 60000,
+    sleepImpl = defaultSleep,
   } = options;
 
   if (typeof fetchImpl !== 'function') {
@@ -92,48 +180,237 @@ async function requestGitHubJson(options = {}) {
   const requestBody = body === undefined || body === null
     ? undefined
     : (typeof body === 'string' ? body : JSON.stringify(body));
+
+  const responseCache = getResponseCache();
+  const cacheable = String(method).toUpperCase() === 'GET'
+    && responseCache.isGitHubResponseCacheEnabled(options, options.env || process.env);
+  const cacheKey = cacheable ? responseCache.buildGitHubResponseCacheKey(requestUrl, token) : null;
+  const cached = cacheable ? responseCache.readGitHubCachedResponse(cacheKey, options) : null;
+
+  const init = {
+    method,
+    headers: {
+      Accept: 'application/vnd.github+json',
+      'User-Agent': 'copilot-liku-cli',
+      'X-GitHub-Api-Version': '2022-11-28',
+      ...(requestBody !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(cached?.etag ? { 'If-None-Match': cached.etag } : {}),
+      ...(cached?.lastModified ? { 'If-Modified-Since': cached.lastModified } : {}),
+      ...headers,
+    },
+    body: requestBody,
+  };
+
+  let retries = 0;
+  let waitedMs = 0;
+
+  try {
+    for (;;) {
+      const { response, data } = await fetchGitHubOnce(fetchImpl, requestUrl, init, timeoutMs);
+      const rateLimit = parseRateLimit(response.headers);
+
+      if (response.status === 304 && cached) {
+        return {
+          ok: true,
+          status: cached.status || 200,
+          data: cached.data,
+          error: null,
+          requestUrl: response.url || requestUrl,
+          scopes: splitCommaHeader(readHeader(response.headers, 'x-oauth-scopes')).length
+            ? splitCommaHeader(readHeader(response.headers, 'x-oauth-scopes'))
+            : (cached.scopes || []),
+          rateLimit,
+          fromCache: true,
+          links: parseLinkHeader(cached.link),
+          retries,
+          headers: {
+            requestId: readHeader(response.headers, 'x-github-request-id'),
+          },
+        };
+      }
+
+      if (!response.ok && retries < maxRetries) {
+        const backoffMs = computeRateLimitBackoffMs(response.status, response.headers, data, retries);
+        if (backoffMs !== null && backoffMs <= maxBackoffMs) {
+          await sleepImpl(backoffMs);
+          retries += 1;
+          waitedMs += backoffMs;
+          continue;
+        }
+      }
+
+      const etag = readHeader(response.headers, 'etag');
+      const lastModified = readHeader(response.headers, 'last-modified');
+      const link = readHeader(response.headers, 'link');
+      const scopes = splitCommaHeader(readHeader(response.headers, 'x-oauth-scopes'));
+      if (cacheable && response.ok && (etag || lastModified)) {
+        responseCache.writeGitHubCachedResponse(cacheKey, {
+          requestUrl,
+          etag,
+          lastModified,
+          status: response.status,
+          data,
+          scopes,
+          link,
+        }, options);
+      }
+
+      return {
+        ok: response.ok,
+        status: response.status,
+        data,
+        error: null,
+        requestUrl: response.url || requestUrl,
+        scopes,
+        rateLimit,
+        fromCache: false,
+        links: parseLinkHeader(link),
+        retries,
+        ...(waitedMs ? { backoffMs: waitedMs } : {}),
+        headers: {
+          requestId: readHeader(response.headers, 'x-github-request-id'),
+        },
+      };
+    }
+  } catch (error) {
+    return {
+      ok: false,
+      status: 0,
+      data: null,
+      error: error?.message || String(error),
+      requestUrl,
+      scopes: [],
+      rateLimit: null,
+      fromCache: false,
+      links: {},
+      retries,
+      headers: {
+        requestId: null,
+      },
+    };
+  }
+}
+
+function extractPageItems(data, itemsKey) {
+  if (Array.isArray(data)) return data;
+  if (itemsKey && Array.isArray(data?.[itemsKey])) return data[itemsKey];
+  return null;
+}
+
+// Follow `Link: rel="next"` until `maxItems` items are collected. Object
+// envelopes ({ total_count, workflow_runs: [...] }) are merged under
+// `itemsKey`; plain arrays are concatenated. `fromCache` is true only when
+// every page was answered from the conditional cache.
+async function requestGitHubPages(options = {}) {
+  const maxItems = Math.max(1, Math.min(GITHUB_MAX_LIST_ITEMS, Number(options.maxItems) || GITHUB_MAX_LIST_ITEMS));
+  const maxPages = Math.max(1, Number(options.maxPages) || 50);
+  const items = [];
+  let firstData = null;
+  let response = null;
+  let apiPath = options.apiPath;
+  let pages = 0;
+  let allFromCache = true;
+  let retries = 0;
+
+  while (apiPath && pages < maxPages) {
+    response = await requestGitHubJson({ ...options, apiPath });
+    pages += 1;
+    retries += response.retries || 0;
+    if (!response.ok) {
+      if (pages === 1) return { ...response, pages, truncated: false };
+      break;
+    }
+    allFromCache = allFromCache && response.fromCache === true;
+    const pageItems = extractPageItems(response.data, options.itemsKey);
+    if (pages === 1) firstData = response.data;
+    if (!pageItems) break;
+    items.push(...pageItems);
+    if (items.length >= maxItems) break;
+    apiPath = response.links?.next || null;
+  }
+
+  const truncated = items.length > maxItems || !!response?.links?.next || !response?.ok;
+  const collected = items.slice(0, maxItems);
+  const data = Array.isArray(firstData) || !options.itemsKey
+    ? collected
+    : { ...firstData, [options.itemsKey]: collected };
+
+  return {
+    ...response,
+    ok: true,
+    status: pages > 1 && !response.ok ? 200 : response.status,
+    data,
+    error: response.ok ? null : (response.error || response.data?.message || `GitHub page ${pages} failed (${response.status})`),
+    fromCache: allFromCache,
+    pages,
+    truncated,
+    retries,
+  };
+}
+
+// Archive endpoints (run logs, artifacts) redirect to short-lived storage URLs;
+// fetch drops Authorization on the cross-origin hop. Bodies are never cached.
+async function requestGitHubBinary(options = {}) {
+  const {
+    apiPath = '/',
+    apiBaseUrl = 'https://api.github.com',
+    token = '',
+    fetchImpl = global.fetch,
+    timeoutMs = 30000,
+    maxBytes = GITHUB_MAX_BINARY_BYTES,
+  } = options;
+
+  if (typeof fetchImpl !== 'function') {
+    throw new Error('GitHub API fetch is unavailable in this runtime.');
+  }
+
+  const requestUrl = buildGitHubApiUrl(apiPath, apiBaseUrl);
   const controller = typeof AbortController === 'function' ? new AbortController() : null;
   const timeoutHandle = controller
-    ? setTimeout(() => controller.abort(), Math.max(1, Number(timeoutMs) || 8000))
+    ? setTimeout(() => controller.abort(), Math.max(1, Number(timeoutMs) || 30000))
     : null;
 
   try {
     const response = await fetchImpl(requestUrl, {
-      method,
+      method: 'GET',
+      redirect: 'follow',
       headers: {
         Accept: 'application/vnd.github+json',
         'User-Agent': 'copilot-liku-cli',
         'X-GitHub-Api-Version': '2022-11-28',
-        ...(requestBody !== undefined ? { 'Content-Type': 'application/json' } : {}),
         ...(token ? { Authorization: `Bearer ${token}` } : {}),
-        ...headers,
       },
-      body: requestBody,
       signal: controller ? controller.signal : undefined,
     });
+    const rateLimit = parseRateLimit(response.headers);
 
-    const responseText = await response.text();
-    let data = null;
-    if (responseText) {
+    if (!response.ok) {
+      const text = typeof response.text === 'function' ? await response.text() : '';
+      let message = null;
       try {
-        data = JSON.parse(responseText);
-      } catch {
-        data = { raw: responseText };
-      }
+        message = JSON.parse(text)?.message || null;
+      } catch {}
+      return {
+        ok: false,
+        status: response.status,
+        data: null,
+        error: message || `GitHub download failed (${response.status})`,
+        requestUrl,
+        rateLimit,
+      };
     }
 
-    return {
-      ok: response.ok,
-      status: response.status,
-      data,
-      error: null,
-      requestUrl: response.url || requestUrl,
-      scopes: splitCommaHeader(readHeader(response.headers, 'x-oauth-scopes')),
-      rateLimit: parseRateLimit(response.headers),
-      headers: {
-        requestId: readHeader(response.headers, 'x-github-request-id'),
-      },
-    };
+    const declaredLength = readNumericHeader(response.headers, 'content-length');
+    if (Number.isFinite(declaredLength) && declaredLength > maxBytes) {
+      return { ok: false, status: response.status, data: null, error: `GitHub download exceeds ${maxBytes} bytes.`, requestUrl, rateLimit };
+    }
+    const data = Buffer.from(await response.arrayBuffer());
+    if (data.length > maxBytes) {
+      return { ok: false, status: response.status, data: null, error: `GitHub download exceeds ${maxBytes} bytes.`, requestUrl, rateLimit };
+    }
+
+    return { ok: true, status: response.status, data, error: null, requestUrl, rateLimit };
   } catch (error) {
     return {
       ok: false,
@@ -141,11 +418,7 @@ async function requestGitHubJson(options = {}) {
       data: null,
       error: error?.message || String(error),
       requestUrl,
-      scopes: [],
       rateLimit: null,
-      headers: {
-        requestId: null,
-      },
     };
   } finally {
     if (timeoutHandle) {
@@ -155,9 +428,15 @@ async function requestGitHubJson(options = {}) {
 }
 
 module.exports = {
+  GITHUB_MAX_BINARY_BYTES,
+  GITHUB_MAX_LIST_ITEMS,
   buildGitHubApiUrl,
+  computeRateLimitBackoffMs,
   getEnvGitHubToken,
   maskToken,
+  parseLinkHeader,
   parseRateLimit,
+  requestGitHubBinary,
   requestGitHubJson,
+  requestGitHubPages,
 };
@@ -73,6 +73,7 @@ async function inspectRemoteCodeowners(context, options) {
   let attempted = false;
   let status = null;
   let rateLimit = null;
+  let fromCache = true;
 
   for (const relativePath of CODEOWNERS_CANDIDATES) {
     const response = await requestGitHubJson({
@@ -86,6 +87,7 @@ async function inspectRemoteCodeowners(context, options) {
     attempted = true;
     status = response.status;
     rateLimit = response.rateLimit || rateLimit;
+    fromCache = fromCache && response.fromCache === true;
 
     if (response.ok && response.data?.type === 'file') {
       const text = decodeGitHubContent(response.data.content, response.data.encoding);
@@ -93,6 +95,7 @@ async function inspectRemoteCodeowners(context, options) {
         attempted,
         status,
         rateLimit,
+        fromCache,
         source: 'github-contents',
         codeowners: summarizeCodeownersText(text, response.data.path || relativePath),
       };
@@ -106,6 +109,7 @@ async function inspectRemoteCodeowners(context, options) {
       attempted,
       status,
       rateLimit,
+      fromCache,
       error: response.error || response.data?.message || `GitHub CODEOWNERS inspection failed (${response.status})`,
     };
   }
@@ -114,6 +118,7 @@ async function inspectRemoteCodeowners(context, options) {
     attempted,
     status,
     rateLimit,
+    fromCache: attempted && fromCache,
     notFound: true,
   };
 }
@@ -158,6 +163,7 @@ async function inspectGitHubCodeowners(options = {}) {
   report.githubApi.attempted = remoteResult.attempted === true;
   report.githubApi.status = remoteResult.status;
   report.githubApi.rateLimit = remoteResult.rateLimit || null;
+  report.githubApi.fromCache = remoteResult.fromCache === true;
 
   if (remoteResult.codeowners) {
     report.githubApi.path = remoteResult.codeowners.path;
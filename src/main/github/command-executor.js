@@ -6,7 +6,11 @@ const { buildGitHubContextBundle } = require('./context-bundle');
 const { applyGitHubWritePreview } = require('./write-apply');
 const { draftGitHubCodeownersCreate, draftGitHubCodeownersUpdate } = require('./codeowners-draft');
 const { draftGitHubIssueComment } = require('./issue-comment-draft');
+const { draftGitHubIssueCreate } = require('./issue-create-draft');
+const { draftGitHubIssueTriage } = require('./issue-triage-draft');
 const { inspectGitHubPullRequestFeedback } = require('./pr-feedback');
+const { inspectGitHubPullRequestChecks } = require('./pr-checks');
+const { inspectGitHubCommitStatus } = require('./commit-status');
 const { draftGitHubPullRequestReview } = require('./pr-review-draft');
 const { draftGitHubPullRequestClose, draftGitHubPullRequestReopen } = require('./pr-state-draft');
 const { draftGitHubPullRequestCreate } = require('./pr-create-draft');
@@ -40,6 +44,7 @@ const { inspectGitHubEvent } = require('./event-inspect');
 const { inspectGitHubEnvironment } = require('./environment-inspect');
 const { listGitHubEnvironments } = require('./environment-list');
 const { listGitHubEvents } = require('./event-list');
+const { serveGitHubWebhookEvents } = require('./webhook-receiver');
 const { inspectGitHubRepository } = require('./repo-inspect');
 const { inspectGitHubRuleset } = require('./ruleset-inspect');
 const { listGitHubRulesets } = require('./ruleset-list');
@@ -58,6 +63,7 @@ const { inspectGitHubPullRequest } = require('./pr-inspect');
 const { inspectGitHubRelease } = require('./release-inspect');
 const { listGitHubReleases } = require('./releases-list');
 const { inspectGitHubWorkflowRun } = require('./workflow-inspect');
+const { fetchGitHubWorkflowLogs } = require('./workflow-logs');
 const { listGitHubWorkflowRuns } = require('./workflow-runs');
 const { validateGitHubWorkflow } = require('./workflow-validate');
 
@@ -92,15 +98,16 @@ function normalizeArea(area) {
   if (value === 'hooks') return 'webhook';
   if (value === 'webhooks') return 'webhook';
   if (value === 'apps') return 'app';
+  if (value === 'commits') return 'commit';
   return value;
 }
 
 function normalizeAction(area, action, positionals = []) {
   const normalizedAction = String(action || '').trim().toLowerCase();
   if (area === 'issues'
-    && normalizedAction === 'comment'
+    && ['comment', 'create', 'triage'].includes(normalizedAction)
     && String(positionals[2] || '').trim().toLowerCase() === 'draft') {
-    return 'comment-draft';
+    return `${normalizedAction}-draft`;
   }
   if (area === 'pr' && normalizedAction === 'view') {
     return 'status';
@@ -747,6 +754,26 @@ function buildAdapterCall(capability, context, adapters) {
           eventId: positionals[2],
         },
       };
+    case 'event.serve':
+      return {
+        fn: adapters.serveGitHubWebhookEvents,
+        input: {
+          cwd,
+          env,
+          featureFlagEnabled,
+          port: runtimeOptions.port,
+          host: runtimeOptions.host,
+          path: runtimeOptions.path,
+          secretEnv: runtimeOptions['secret-env'] || runtimeOptions.secretEnv,
+          notify: runtimeOptions.notify,
+          orchestrator: runtimeOptions.orchestrator,
+          createOrchestrator: runtimeOptions.createOrchestrator,
+          onListening: runtimeOptions.onListening,
+          onDelivery: runtimeOptions.onDelivery,
+          onNotification: runtimeOptions.onNotification,
+          waitForStop: runtimeOptions.waitForStop,
+        },
+      };
     case 'app.status':
       return {
         fn: adapters.inspectGitHubAppStatus,
@@ -829,6 +856,59 @@ function buildAdapterCall(capability, context, adapters) {
         },
       };
       }
+    case 'issues.create.draft':
+      return {
+        fn: adapters.draftGitHubIssueCreate,
+        input: {
+          cwd,
+          env,
+          source,
+          featureFlagEnabled,
+          writeFeatureFlagEnabled,
+          api: parseBooleanOption(runtimeOptions.api, true),
+          slug: runtimeOptions.slug,
+          title: runtimeOptions.title,
+          titleFile: runtimeOptions.titleFile || runtimeOptions['title-file'],
+          body: runtimeOptions.body,
+          bodyFile: runtimeOptions.bodyFile || runtimeOptions['body-file'],
+          template: runtimeOptions.template,
+          labels: runtimeOptions.labels,
+          assignees: runtimeOptions.assignees,
+          milestone: runtimeOptions.milestone,
+          approvalMode: policy?.approvalMode || executionPreferences.approvalMode,
+          approvalRequirement: capability.approvalRequirement,
+          fetchImpl: runtimeOptions.fetchImpl,
+          timeoutMs: runtimeOptions.timeoutMs,
+        },
+      };
+    case 'issues.triage.draft':
+      {
+        const issueNumber = String(positionals[2] || '').trim().toLowerCase() === 'draft'
+          ? positionals[3]
+          : (positionals[3] || positionals[2]);
+      return {
+        fn: adapters.draftGitHubIssueTriage,
+        input: {
+          cwd,
+          env,
+          source,
+          featureFlagEnabled,
+          writeFeatureFlagEnabled,
+          api: parseBooleanOption(runtimeOptions.api, true),
+          slug: runtimeOptions.slug,
+          number: issueNumber,
+          labels: runtimeOptions.labels,
+          removeLabels: runtimeOptions.removeLabels || runtimeOptions['remove-labels'],
+          assignees: runtimeOptions.assignees,
+          removeAssignees: runtimeOptions.removeAssignees || runtimeOptions['remove-assignees'],
+          milestone: runtimeOptions.milestone,
+          approvalMode: policy?.approvalMode || executionPreferences.approvalMode,
+          approvalRequirement: capability.approvalRequirement,
+          fetchImpl: runtimeOptions.fetchImpl,
+          timeoutMs: runtimeOptions.timeoutMs,
+        },
+      };
+      }
     case 'pr.list':
       return {
         fn: adapters.listGitHubPullRequests,
@@ -899,6 +979,35 @@ function buildAdapterCall(capability, context, adapters) {
           limit: runtimeOptions.limit,
         },
       };
+    case 'pr.checks':
+      return {
+        fn: adapters.inspectGitHubPullRequestChecks,
+        input: {
+          cwd,
+          env,
+          featureFlagEnabled,
+          api: parseBooleanOption(runtimeOptions.api, true),
+          slug: runtimeOptions.slug,
+          number: positionals[2],
+          state: runtimeOptions.state,
+          branch: runtimeOptions.branch,
+          head: runtimeOptions.head,
+          limit: runtimeOptions.limit,
+        },
+      };
+    case 'commit.status':
+      return {
+        fn: adapters.inspectGitHubCommitStatus,
+        input: {
+          cwd,
+          env,
+          featureFlagEnabled,
+          api: parseBooleanOption(runtimeOptions.api, true),
+          slug: runtimeOptions.slug,
+          ref: positionals[2],
+          limit: runtimeOptions.limit,
+        },
+      };
     case 'pr.create.draft':
       return {
         fn: adapters.draftGitHubPullRequestCreate,
@@ -1074,6 +1183,18 @@ function buildAdapterCall(capability, context, adapters) {
           runId: positionals[2],
         },
       };
+    case 'workflow.logs':
+      return {
+        fn: adapters.fetchGitHubWorkflowLogs,
+        input: {
+          cwd,
+          env,
+          featureFlagEnabled,
+          api: parseBooleanOption(runtimeOptions.api, true),
+          slug: runtimeOptions.slug,
+          runId: positionals[2],
+        },
+      };
     case 'workflow.create.draft':
       return {
         fn: adapters.draftGitHubWorkflowCreate,
@@ -1224,6 +1345,8 @@ function createGitHubCommandExecutor(dependencies = {}) {
     draftGitHubCodeownersCreate: dependencies.draftGitHubCodeownersCreate || draftGitHubCodeownersCreate,
     draftGitHubCodeownersUpdate: dependencies.draftGitHubCodeownersUpdate || draftGitHubCodeownersUpdate,
     draftGitHubIssueComment: dependencies.draftGitHubIssueComment || draftGitHubIssueComment,
+    draftGitHubIssueCreate: dependencies.draftGitHubIssueCreate || draftGitHubIssueCreate,
+    draftGitHubIssueTriage: dependencies.draftGitHubIssueTriage || draftGitHubIssueTriage,
     draftGitHubPullRequestCreate: dependencies.draftGitHubPullRequestCreate || draftGitHubPullRequestCreate,
     draftGitHubPullRequestComment: dependencies.draftGitHubPullRequestComment || draftGitHubPullRequestComment,
     draftGitHubPullRequestReview: dependencies.draftGitHubPullRequestReview || draftGitHubPullRequestReview,
@@ -1238,7 +1361,9 @@ function createGitHubCommandExecutor(dependencies = {}) {
     draftGitHubWorkflowRerun: dependencies.draftGitHubWorkflowRerun || draftGitHubWorkflowRerun,
     draftGitHubWorkflowCancel: dependencies.draftGitHubWorkflowCancel || draftGitHubWorkflowCancel,
     executeGitHubExecutionPlan: dependencies.executeGitHubExecutionPlan || executeGitHubExecutionPlan,
+    fetchGitHubWorkflowLogs: dependencies.fetchGitHubWorkflowLogs || fetchGitHubWorkflowLogs,
     resumeGitHubExecutionPlan: dependencies.resumeGitHubExecutionPlan || resumeGitHubExecutionPlan,
+    serveGitHubWebhookEvents: dependencies.serveGitHubWebhookEvents || serveGitHubWebhookEvents,
     inspectGitHubPlanRun: dependencies.inspectGitHubPlanRun || inspectGitHubPlanRun,
     listGitHubPlanRuns: dependencies.listGitHubPlanRuns || listGitHubPlanRuns,
     applyGitHubWritePreview: dependencies.applyGitHubWritePreview || applyGitHubWritePreview,
@@ -1250,6 +1375,8 @@ function createGitHubCommandExecutor(dependencies = {}) {
     inspectGitHubEnvironment: dependencies.inspectGitHubEnvironment || inspectGitHubEnvironment,
     inspectGitHubIssue: dependencies.inspectGitHubIssue || inspectGitHubIssue,
     inspectGitHubPullRequestFeedback: dependencies.inspectGitHubPullRequestFeedback || inspectGitHubPullRequestFeedback,
+    inspectGitHubPullRequestChecks: dependencies.inspectGitHubPullRequestChecks || inspectGitHubPullRequestChecks,
+    inspectGitHubCommitStatus: dependencies.inspectGitHubCommitStatus || inspectGitHubCommitStatus,
     inspectGitHubPullRequest: dependencies.inspectGitHubPullRequest || inspectGitHubPullRequest,
     inspectGitHubPullRequestDiff: dependencies.inspectGitHubPullRequestDiff || inspectGitHubPullRequestDiff,
     inspectGitHubPullRequestStatus: dependencies.inspectGitHubPullRequestStatus || inspectGitHubPullRequestStatus,
@@ -0,0 +1,340 @@
+const fs = require('fs');
+const path = require('path');
+
+const { requestGitHubJson, requestGitHubPages } = require('./client');
+const { resolveGitHubRepoContext } = require('./context');
+
+const GITHUB_COMMIT_STATUS_SCHEMA_VERSION = 'github.commit-status.v1';
+const DEFAULT_ANNOTATION_LIMIT = 50;
+const MAX_ANNOTATION_LIMIT = 200;
+const MAX_ANNOTATED_RUNS = 10;
+const ANNOTATION_PAGE_SIZE = 50;
+const FAILING_CONCLUSIONS = new Set(['failure', 'timed_out', 'action_required', 'startup_failure', 'stale']);
+const FAILING_STATUS_STATES = new Set(['failure', 'error']);
+const ANNOTATION_LEVEL_ORDER = ['failure', 'warning', 'notice'];
+
+function normalizeText(value) {
+  const text = String(value || '').trim();
+  return text || null;
+}
+
+function normalizeCommitRef(value) {
+  const text = normalizeText(value);
+  if (!text || /\s/.test(text) || text.startsWith('-')) {
+    return null;
+  }
+  return text;
+}
+
+function normalizeAnnotationLimit(value, fallback = DEFAULT_ANNOTATION_LIMIT) {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    return fallback;
+  }
+  return Math.min(MAX_ANNOTATION_LIMIT, parsed);
+}
+
+function toNumberOrNull(value) {
+  return Number.isFinite(Number(value)) && value !== null && value !== '' ? Number(value) : null;
+}
+
+function classifyCheckRun(checkRun) {
+  if (checkRun.status !== 'completed') return 'pending';
+  if (FAILING_CONCLUSIONS.has(checkRun.conclusion)) return 'failing';
+  if (checkRun.conclusion === 'cancelled') return 'cancelled';
+  return 'passing';
+}
+
+function classifyStatus(status) {
+  if (status.state === 'pending') return 'pending';
+  return FAILING_STATUS_STATES.has(status.state) ? 'failing' : 'passing';
+}
+
+function summarizeCheckSuite(suite) {
+  return {
+    id: toNumberOrNull(suite?.id),
+    app: suite?.app?.slug || suite?.app?.name || null,
+    status: suite?.status || null,
+    conclusion: suite?.conclusion || null,
+    headBranch: suite?.head_branch || null,
+    headSha: suite?.head_sha || null,
+    latestCheckRunsCount: toNumberOrNull(suite?.latest_check_runs_count),
+    createdAt: suite?.created_at || null,
+    updatedAt: suite?.updated_at || null,
+  };
+}
+
+function summarizeCheckRun(checkRun) {
+  const summary = {
+    id: toNumberOrNull(checkRun?.id),
+    name: checkRun?.name || null,
+    app: checkRun?.app?.slug || checkRun?.app?.name || null,
+    checkSuiteId: toNumberOrNull(checkRun?.check_suite?.id),
+    status: checkRun?.status || null,
+    conclusion: checkRun?.conclusion || null,
+    startedAt: checkRun?.started_at || null,
+    completedAt: checkRun?.completed_at || null,
+    htmlUrl: checkRun?.html_url || null,
+    detailsUrl: checkRun?.details_url || null,
+    title: checkRun?.output?.title || null,
+    annotationCount: toNumberOrNull(checkRun?.output?.annotations_count) ?? 0,
+  };
+  summary.outcome = classifyCheckRun(summary);
+  return summary;
+}
+
+function summarizeCommitStatus(status) {
+  const summary = {
+    id: toNumberOrNull(status?.id),
+    context: status?.context || null,
+    state: status?.state || null,
+    description: status?.description || null,
+    targetUrl: status?.target_url || null,
+    creator: status?.creator?.login || null,
+    updatedAt: status?.updated_at || null,
+  };
+  summary.outcome = classifyStatus(summary);
+  return summary;
+}
+
+// Annotations carry repo-relative paths; resolve them against the checkout so
+// callers can open the exact line when the file exists locally.
+function summarizeAnnotation(annotation, checkRun, repoRoot) {
+  const filePath = normalizeText(annotation?.path);
+  const startLine = toNumberOrNull(annotation?.start_line);
+  const endLine = toNumberOrNull(annotation?.end_line);
+  const startColumn = toNumberOrNull(annotation?.start_column);
+  const localPath = filePath && repoRoot && !path.isAbsolute(filePath) && !filePath.split(/[\\/]/).includes('..')
+    ? path.join(repoRoot, filePath)
+    : null;
+
+  return {
+    checkRunId: checkRun.id,
+    checkRunName: checkRun.name,
+    path: filePath,
+    startLine,
+    endLine,
+    startColumn,
+    endColumn: toNumberOrNull(annotation?.end_column),
+    level: annotation?.annotation_level || null,
+    title: normalizeText(annotation?.title),
+    message: String(annotation?.message || '').trim().slice(0, 1000),
+    location: filePath ? `${filePath}${startLine ? `:${startLine}${startColumn ? `:${startColumn}` : ''}` : ''}` : null,
+    localPath: localPath && fs.existsSync(localPath) ? localPath : null,
+  };
+}
+
+function compareAnnotations(left, right) {
+  const levelDelta = ANNOTATION_LEVEL_ORDER.indexOf(left.level) - ANNOTATION_LEVEL_ORDER.indexOf(right.level);
+  if (levelDelta !== 0) return levelDelta;
+  return String(left.path || '').localeCompare(String(right.path || '')) || ((left.startLine || 0) - (right.startLine || 0));
+}
+
+function summarizeOutcomes(checkRuns, statuses) {
+  const counts = { total: 0, failing: 0, pending: 0, passing: 0, cancelled: 0 };
+  [...checkRuns, ...statuses].forEach((entry) => {
+    counts.total += 1;
+    counts[entry.outcome] += 1;
+  });
+
+  let state = 'none';
+  if (counts.failing > 0) state = 'failure';
+  else if (counts.pending > 0) state = 'pending';
+  else if (counts.total > 0) state = 'success';
+
+  return { state, ...counts };
+}
+
+// Shared by `commit status` and `pr checks`: check suites, check runs and the
+// combined commit status for one ref, plus annotations on failing runs.
+async function collectGitHubCommitChecks(options = {}) {
+  const owner = encodeURIComponent(options.owner);
+  const repo = encodeURIComponent(options.repo);
+  const ref = encodeURIComponent(options.ref);
+  const annotationLimit = normalizeAnnotationLimit(options.annotationLimit);
+  const requestOptions = {
+    apiBaseUrl: options.apiBaseUrl || 'https://api.github.com',
+    token: options.token,
+    fetchImpl: options.fetchImpl,
+    timeoutMs: options.timeoutMs,
+  };
+  const commitPath = `/repos/${owner}/${repo}/commits/${ref}`;
+  const warnings = [];
+
+  const [suitesResponse, runsResponse, statusResponse] = await Promise.all([
+    requestGitHubPages({ ...requestOptions, apiPath: `${commitPath}/check-suites?per_page=100`, itemsKey: 'check_suites', maxItems: 200 }),
+    requestGitHubPages({ ...requestOptions, apiPath: `${commitPath}/check-runs?per_page=100`, itemsKey: 'check_runs', maxItems: 500 }),
+    requestGitHubJson({ ...requestOptions, apiPath: `${commitPath}/status?per_page=100` }),
+  ]);
+
+  const githubApi = {
+    attempted: true,
+    status: runsResponse.status,
+    rateLimit: runsResponse.rateLimit || statusResponse.rateLimit || null,
+    fromCache: [suitesResponse, runsResponse, statusResponse].every((response) => response.fromCache === true),
+    error: null,
+    checkSuitesStatus: suitesResponse.status,
+    checkRunsStatus: runsResponse.status,
+    combinedStatusStatus: statusResponse.status,
+    annotationRequests: 0,
+  };
+
+  if (!runsResponse.ok && !statusResponse.ok) {
+    githubApi.error = runsResponse.error || runsResponse.data?.message || `GitHub check runs lookup failed (${runsResponse.status})`;
+    return { githubApi, checkSuites: [], checkRuns: [], combinedStatus: null, annotations: [], summary: summarizeOutcomes([], []), warnings };
+  }
+  if (!suitesResponse.ok) {
+    warnings.push(`GitHub check suites could not be listed (${suitesResponse.error || suitesResponse.status}).`);
+  }
+  if (!runsResponse.ok) {
+    warnings.push(`GitHub check runs could not be listed (${runsResponse.error || runsResponse.status}); showing commit statuses only.`);
+  }
+  if (!statusResponse.ok) {
+    warnings.push(`GitHub combined commit status could not be read (${statusResponse.error || statusResponse.status}); showing check runs only.`);
+  }
+  if (runsResponse.truncated) {
+    warnings.push('Check run list was truncated; narrow the ref or inspect the checks page for the full list.');
+  }
+
+  const checkSuites = suitesResponse.ok && Array.isArray(suitesResponse.data?.check_suites)
+    ? suitesResponse.data.check_suites.map(summarizeCheckSuite)
+    : [];
+  const checkRuns = runsResponse.ok && Array.isArray(runsResponse.data?.check_runs)
+    ? runsResponse.data.check_runs.map(summarizeCheckRun)
+    : [];
+  const statuses = statusResponse.ok && Array.isArray(statusResponse.data?.statuses)
+    ? statusResponse.data.statuses.map(summarizeCommitStatus)
+    : [];
+  const combinedStatus = statusResponse.ok
+    ? {
+        state: statusResponse.data?.state || null,
+        sha: statusResponse.data?.sha || null,
+        totalCount: toNumberOrNull(statusResponse.data?.total_count) ?? statuses.length,
+        statuses,
+      }
+    : null;
+
+  const annotatedRuns = checkRuns
+    .filter((checkRun) => checkRun.annotationCount > 0 && checkRun.outcome === 'failing')
+    .concat(checkRuns.filter((checkRun) => checkRun.annotationCount > 0 && checkRun.outcome !== 'failing'))
+    .slice(0, MAX_ANNOTATED_RUNS);
+  if (checkRuns.filter((checkRun) => checkRun.annotationCount > 0).length > annotatedRuns.length) {
+    warnings.push(`Annotations were fetched for the first ${MAX_ANNOTATED_RUNS} annotated check runs only.`);
+  }
+
+  // GitHub returns annotations in emission order, not by level, so read at
+  // least a full page per run and trim after sorting.
+  const annotations = [];
+  for (const checkRun of annotatedRuns) {
+    if (annotations.length >= annotationLimit) break;
+    const response = await requestGitHubPages({
+      ...requestOptions,
+      apiPath: `/repos/${owner}/${repo}/check-runs/${checkRun.id}/annotations?per_page=${ANNOTATION_PAGE_SIZE}`,
+      maxItems: Math.max(ANNOTATION_PAGE_SIZE, annotationLimit - annotations.length),
+    });
+    githubApi.annotationRequests += 1;
+    if (!response.ok) {
+      warnings.push(`Annotations for check run ${checkRun.name || checkRun.id} could not be listed (${response.error || response.status}).`);
+      continue;
+    }
+    (Array.isArray(response.data) ? response.data : [])
+      .forEach((annotation) => annotations.push(summarizeAnnotation(annotation, checkRun, options.repoRoot)));
+  }
+
+  return {
+    githubApi,
+    checkSuites,
+    checkRuns,
+    combinedStatus,
+    annotations: annotations.sort(compareAnnotations).slice(0, annotationLimit),
+    summary: summarizeOutcomes(checkRuns, statuses),
+    warnings,
+  };
+}
+
+function resolveRepoRoot(context, cwd) {
+  return context.projectIdentity?.projectRoot || cwd;
+}
+
+async function inspectGitHubCommitStatus(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const featureFlagEnabled = options.featureFlagEnabled === true;
+  const allowApi = options.api !== false;
+  const ref = normalizeCommitRef(options.ref || options.sha);
+  const context = resolveGitHubRepoContext({ ...options, cwd });
+
+  const report = {
+    schemaVersion: GITHUB_COMMIT_STATUS_SCHEMA_VERSION,
+    success: true,
+    featureFlagEnabled,
+    repoIdentity: context.projectIdentity,
+    remote: context.remote,
+    target: context.target,
+    targetSource: context.targetSource,
+    ref,
+    githubApi: {
+      ...context.githubApi,
+    },
+    summary: null,
+    checkSuites: [],
+    checkRuns: [],
+    combinedStatus: null,
+    annotations: [],
+    warnings: context.warnings.slice(),
+  };
+
+  if (!ref) {
+    report.success = false;
+    report.error = 'USAGE';
+    report.message = 'Usage: liku github commit status <sha|branch|tag> [--slug owner/repo] [--limit N]';
+    return report;
+  }
+
+  if (!context.target.raw) {
+    report.warnings.push('No git remote detected; commit status inspection needs a GitHub repository target.');
+    return report;
+  }
+
+  if (!context.target.isGitHub || !context.target.slug) {
+    report.warnings.push('Detected target is not a GitHub repository; commit status inspection was skipped.');
+    return report;
+  }
+
+  if (!allowApi) {
+    report.warnings.push('GitHub commit status inspection skipped by request.');
+    return report;
+  }
+
+  const checks = await collectGitHubCommitChecks({
+    owner: context.target.owner,
+    repo: context.target.repo,
+    ref,
+    apiBaseUrl: context.target.apiBaseUrl,
+    token: context.tokenInfo.token,
+    fetchImpl: options.fetchImpl,
+    timeoutMs: options.timeoutMs,
+    annotationLimit: options.limit,
+    repoRoot: resolveRepoRoot(context, cwd),
+  });
+
+  report.githubApi = { ...report.githubApi, ...checks.githubApi };
+  report.summary = checks.summary;
+  report.checkSuites = checks.checkSuites;
+  report.checkRuns = checks.checkRuns;
+  report.combinedStatus = checks.combinedStatus;
+  report.annotations = checks.annotations;
+  report.warnings.push(...checks.warnings);
+  if (report.githubApi.error && !context.tokenInfo.token) {
+    report.warnings.push('Public check inspection failed without GH_TOKEN/GITHUB_TOKEN; authenticated access may be required for private repositories or higher rate limits.');
+  }
+  return report;
+}
+
+module.exports = {
+  GITHUB_COMMIT_STATUS_SCHEMA_VERSION,
+  collectGitHubCommitChecks,
+  inspectGitHubCommitStatus,
+  normalizeAnnotationLimit,
+  normalizeCommitRef,
+  resolveRepoRoot,
+};
@@ -64,6 +64,7 @@ function buildRepositoryComponent(report = {}) {
       attempted: report.githubApi?.attempted === true,
       status: report.githubApi?.status ?? null,
       error: report.githubApi?.error || null,
+      fromCache: report.githubApi?.fromCache === true,
       rateLimit: report.githubApi?.rateLimit || null,
       repository: report.githubApi?.repository || null,
     },
@@ -80,6 +81,7 @@ function buildIssueComponent(report = {}) {
       attempted: report.githubApi?.attempted === true,
       status: report.githubApi?.status ?? null,
       error: report.githubApi?.error || null,
+      fromCache: report.githubApi?.fromCache === true,
     },
     warnings: Array.isArray(report.warnings) ? report.warnings.slice() : [],
   };
@@ -94,6 +96,7 @@ function buildPullRequestComponent(report = {}) {
       attempted: report.githubApi?.attempted === true,
       status: report.githubApi?.status ?? null,
       error: report.githubApi?.error || null,
+      fromCache: report.githubApi?.fromCache === true,
     },
     warnings: Array.isArray(report.warnings) ? report.warnings.slice() : [],
   };
@@ -110,6 +113,7 @@ function buildDiffComponent(report = {}) {
       attempted: report.githubApi?.attempted === true,
       status: report.githubApi?.status ?? null,
       error: report.githubApi?.error || null,
+      fromCache: report.githubApi?.fromCache === true,
     },
     warnings: Array.isArray(report.warnings) ? report.warnings.slice() : [],
   };
@@ -125,6 +129,7 @@ function buildIssuesListComponent(report = {}) {
       attempted: report.githubApi?.attempted === true,
       status: report.githubApi?.status ?? null,
       error: report.githubApi?.error || null,
+      fromCache: report.githubApi?.fromCache === true,
     },
     warnings: Array.isArray(report.warnings) ? report.warnings.slice() : [],
   };
@@ -140,6 +145,7 @@ function buildPullRequestListComponent(report = {}) {
       attempted: report.githubApi?.attempted === true,
       status: report.githubApi?.status ?? null,
       error: report.githubApi?.error || null,
+      fromCache: report.githubApi?.fromCache === true,
     },
     warnings: Array.isArray(report.warnings) ? report.warnings.slice() : [],
   };
@@ -155,6 +161,7 @@ function buildWorkflowRunsComponent(report = {}) {
       attempted: report.githubApi?.attempted === true,
       status: report.githubApi?.status ?? null,
       error: report.githubApi?.error || null,
+      fromCache: report.githubApi?.fromCache === true,
       totalCount: report.githubApi?.totalCount ?? null,
     },
     warnings: Array.isArray(report.warnings) ? report.warnings.slice() : [],
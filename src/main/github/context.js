@@ -35,6 +35,7 @@ function buildGitHubApiState(tokenInfo) {
     attempted: false,
     status: null,
     rateLimit: null,
+    fromCache: false,
     error: null,
   };
 }
@@ -52,6 +52,7 @@ async function inspectGitHubEnvironment(options = {}) {
   report.githubApi.attempted = true;
   report.githubApi.status = response.status;
   report.githubApi.rateLimit = response.rateLimit || null;
+  report.githubApi.fromCache = response.fromCache === true;
 
   if (response.ok && response.data) {
     report.environment = summarizeEnvironment(response.data);
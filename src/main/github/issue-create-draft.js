@@ -0,0 +1,435 @@
+const fs = require('fs');
+const path = require('path');
+
+const { resolveGitHubRepoContext } = require('./context');
+const { buildCliApplyCommand } = require('./issue-comment-draft');
+const { normalizeLoginList, normalizeNameList, validateIssueMetadata } = require('./issue-metadata');
+const { resolveOptionalBodyInput } = require('./pr-create-draft');
+const { inspectGitHubTemplates } = require('./template-inspect');
+const { createGitHubWritePreviewArtifacts } = require('./write-artifacts');
+const { parseYamlDocument, yamlNodeToValue } = require('./yaml-ast');
+
+const GITHUB_ISSUE_CREATE_DRAFT_SCHEMA_VERSION = 'github.issue-create-draft.v1';
+const ISSUE_FORM_EXTENSIONS = new Set(['.yml', '.yaml']);
+const ISSUE_TEMPLATE_CONFIG_NAMES = new Set(['config.yml', 'config.yaml']);
+const NO_RESPONSE = '_No response_';
+
+function buildUsageMessage() {
+  return 'Usage: liku github issues create draft (--title <text> | --title-file <path>) [--body <text> | --body-file <path>] [--template <name>] [--labels a,b] [--assignees user1,user2] [--milestone <number|title>] [--slug owner/repo] [--api false]';
+}
+
+function normalizeText(value) {
+  const text = String(value || '').trim();
+  return text || null;
+}
+
+function parseYamlValue(text) {
+  try {
+    return { value: yamlNodeToValue(parseYamlDocument(text)), error: null };
+  } catch (error) {
+    if (error?.code !== 'YAML_PARSE_ERROR') {
+      throw error;
+    }
+    return { value: null, error };
+  }
+}
+
+function splitMarkdownFrontMatter(text) {
+  const normalized = String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const match = normalized.match(/^---\n([\s\S]*?)\n---[ \t]*(?:\n|$)/);
+  if (!match) {
+    return { frontMatter: null, body: normalized, error: null };
+  }
+  const parsed = parseYamlValue(match[1]);
+  return {
+    frontMatter: parsed.value && typeof parsed.value === 'object' && !Array.isArray(parsed.value) ? parsed.value : null,
+    body: normalized.slice(match[0].length).replace(/^\n+/, ''),
+    error: parsed.error,
+  };
+}
+
+function collectMarkdownHeadings(text) {
+  return String(text || '')
+    .split('\n')
+    .map((line) => line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/))
+    .filter(Boolean)
+    .map((match) => match[1].trim());
+}
+
+function normalizeFormFields(body) {
+  return (Array.isArray(body) ? body : [])
+    .filter((field) => field && typeof field === 'object' && field.type && field.type !== 'markdown')
+    .map((field) => ({
+      type: String(field.type),
+      id: normalizeText(field.id),
+      label: normalizeText(field.attributes?.label) || normalizeText(field.id) || String(field.type),
+      value: typeof field.attributes?.value === 'string' ? field.attributes.value : null,
+      options: Array.isArray(field.attributes?.options)
+        ? field.attributes.options.map((option) => (typeof option === 'string' ? option : option?.label)).filter(Boolean)
+        : [],
+      required: field.validations?.required === true || field.validations?.required === 'true',
+    }));
+}
+
+// Reads a markdown template's front matter or an issue form's top-level keys.
+function parseIssueTemplate(summary = {}) {
+  const content = String(summary.content || '');
+  const extension = String(summary.extension || path.extname(summary.path || '')).toLowerCase();
+  const isForm = ISSUE_FORM_EXTENSIONS.has(extension);
+  const parsed = isForm ? { ...parseYamlValue(content), body: '' } : splitMarkdownFrontMatter(content);
+  const definition = isForm ? parsed.value : parsed.frontMatter;
+  const fields = definition && typeof definition === 'object' && !Array.isArray(definition) ? definition : {};
+
+  return {
+    path: summary.path || null,
+    fileName: summary.fileName || null,
+    kind: isForm ? 'form' : 'markdown',
+    name: normalizeText(fields.name) || summary.title || summary.fileName || null,
+    titlePrefix: typeof fields.title === 'string' && fields.title.trim() ? fields.title : null,
+    labels: normalizeNameList(fields.labels),
+    assignees: normalizeLoginList(fields.assignees),
+    body: isForm ? '' : parsed.body,
+    headings: isForm ? [] : collectMarkdownHeadings(parsed.body),
+    formFields: isForm ? normalizeFormFields(fields.body) : [],
+    error: parsed.error ? (parsed.error.message || 'Issue template could not be parsed.') : null,
+  };
+}
+
+// Mirrors how GitHub renders a submitted issue form: one `### label` section
+// per field. The draft body fills the first textarea.
+function renderIssueFormBody(formFields, userBody) {
+  const text = String(userBody || '').trim();
+  let bodyUsed = false;
+  const sections = formFields.map((field) => {
+    let value = field.value && field.value.trim() ? field.value.trim() : NO_RESPONSE;
+    if (field.type === 'textarea' && text && !bodyUsed) {
+      value = text;
+      bodyUsed = true;
+    } else if (field.type === 'checkboxes') {
+      value = field.options.length ? field.options.map((option) => `- [ ] ${option}`).join('\n') : NO_RESPONSE;
+    }
+    return `### ${field.label}\n\n${value}`;
+  });
+  if (text && !bodyUsed) {
+    sections.push(text);
+  }
+  return {
+    body: sections.join('\n\n'),
+    bodyPlacement: text ? (bodyUsed ? 'first-textarea' : 'appended') : 'none',
+  };
+}
+
+function isIssueTemplateCandidate(template) {
+  return template?.fileName && !ISSUE_TEMPLATE_CONFIG_NAMES.has(String(template.fileName).toLowerCase());
+}
+
+function matchIssueTemplate(templates, requested) {
+  const needle = String(requested || '').trim().toLowerCase();
+  return templates.find((template) => {
+    const fileName = String(template.fileName || '').toLowerCase();
+    return fileName === needle
+      || fileName.replace(/\.(md|ya?ml)$/, '') === needle
+      || String(template.path || '').toLowerCase() === needle
+      || String(template.title || '').toLowerCase() === needle;
+  }) || null;
+}
+
+async function resolveIssueTemplate(options, context) {
+  const requested = normalizeText(options.template);
+  if (!requested) {
+    return { ok: true, template: null, warnings: [] };
+  }
+
+  const templateReport = await (typeof options.inspectGitHubTemplates === 'function'
+    ? options.inspectGitHubTemplates
+    : inspectGitHubTemplates)({
+      ...options,
+      slug: context.target.slug,
+      includeContent: true,
+    });
+  const warnings = Array.isArray(templateReport?.warnings) ? templateReport.warnings.slice() : [];
+  const templates = (templateReport?.templates?.issueTemplates || []).filter(isIssueTemplateCandidate);
+  const match = matchIssueTemplate(templates, requested);
+  if (!match) {
+    const available = templates.map((template) => template.fileName);
+    return {
+      ok: false,
+      error: 'TEMPLATE_NOT_FOUND',
+      message: available.length
+        ? `Issue template "${requested}" was not found. Available templates: ${available.join(', ')}`
+        : `Issue template "${requested}" was not found; ${context.target.slug} has no issue templates${templateReport?.githubApi?.error ? ` (${templateReport.githubApi.error})` : ''}.`,
+      warnings,
+    };
+  }
+
+  const template = parseIssueTemplate(match);
+  if (template.error) {
+    return { ok: false, error: 'TEMPLATE_INVALID', message: `Issue template ${template.path} could not be parsed: ${template.error}`, warnings };
+  }
+  return { ok: true, template, source: templateReport.templates.source || null, warnings };
+}
+
+function applyTemplateTitle(title, template) {
+  const prefix = template?.titlePrefix;
+  if (!prefix || title.toLowerCase().startsWith(prefix.trim().toLowerCase())) {
+    return title;
+  }
+  return `${prefix}${/\s$/.test(prefix) ? '' : ' '}${title}`;
+}
+
+function buildTemplateBody(template, bodyInput) {
+  if (!template) {
+    return { body: bodyInput.body, bodyPlacement: bodyInput.bodySource === 'none' ? 'none' : 'verbatim', missingHeadings: [] };
+  }
+  if (template.kind === 'form') {
+    return { ...renderIssueFormBody(template.formFields, bodyInput.body), missingHeadings: [] };
+  }
+  if (bodyInput.bodySource === 'none' || !String(bodyInput.body || '').trim()) {
+    return { body: template.body, bodyPlacement: 'template', missingHeadings: [] };
+  }
+  // A supplied body is taken as the filled-in template; only report sections
+  // it dropped.
+  const present = new Set(collectMarkdownHeadings(bodyInput.body).map((heading) => heading.toLowerCase()));
+  return {
+    body: bodyInput.body,
+    bodyPlacement: 'verbatim',
+    missingHeadings: template.headings.filter((heading) => !present.has(heading.toLowerCase())),
+  };
+}
+
+// A title file contributes its first non-empty line, so a drafted issue.md
+// can hold the title on line one.
+function resolveTitleInput(options = {}) {
+  const inlineTitle = normalizeText(options.title);
+  const titleFileRaw = options.titleFile || options['title-file'] || null;
+  if (inlineTitle && titleFileRaw) {
+    return { ok: false, error: 'USAGE', message: 'Specify either --title or --title-file, not both.' };
+  }
+  if (!titleFileRaw) {
+    return { ok: true, title: inlineTitle, titleSource: inlineTitle ? 'inline' : 'none', titleFilePath: null };
+  }
+  const titleFilePath = path.resolve(String(options.cwd || process.cwd()), String(titleFileRaw));
+  if (!fs.existsSync(titleFilePath)) {
+    return { ok: false, error: 'TITLE_FILE_NOT_FOUND', message: `Issue title file not found: ${titleFilePath}` };
+  }
+  const firstLine = fs.readFileSync(titleFilePath, 'utf8')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map((line) => line.replace(/^#+\s+/, '').trim())
+    .find(Boolean);
+  return { ok: true, title: firstLine || null, titleSource: 'file', titleFilePath };
+}
+
+function mergeNames(primary, secondary) {
+  return normalizeNameList([...primary, ...secondary], Number.MAX_SAFE_INTEGER);
+}
+
+async function draftGitHubIssueCreate(options = {}) {
+  const featureFlagEnabled = options.featureFlagEnabled === true;
+  const writeFeatureFlagEnabled = options.writeFeatureFlagEnabled === true;
+  const context = resolveGitHubRepoContext(options);
+  const source = String(options.source || 'unknown').trim() || 'unknown';
+  const approvalMode = String(options.approvalMode || 'prompt').trim() || 'prompt';
+  const approvalRequirement = String(options.approvalRequirement || 'explicit').trim() || 'explicit';
+  const titleInput = resolveTitleInput(options);
+  const title = titleInput.title || null;
+  const bodyInput = resolveOptionalBodyInput({
+    ...options,
+    usageMessage: buildUsageMessage(),
+    bodyFileLabel: 'Issue body file',
+  });
+
+  const report = {
+    schemaVersion: GITHUB_ISSUE_CREATE_DRAFT_SCHEMA_VERSION,
+    success: true,
+    featureFlagEnabled,
+    writeFeatureFlagEnabled,
+    repoIdentity: context.projectIdentity,
+    remote: context.remote,
+    target: context.target,
+    targetSource: context.targetSource,
+    previewId: null,
+    review: null,
+    previewArtifact: null,
+    approvalArtifact: null,
+    eventLog: null,
+    template: null,
+    validation: null,
+    draft: null,
+    approval: null,
+    instructions: null,
+    warnings: context.warnings.slice(),
+  };
+
+  if (!titleInput.ok) {
+    report.success = false;
+    report.error = titleInput.error;
+    report.message = titleInput.message;
+    return report;
+  }
+
+  if (!title) {
+    report.success = false;
+    report.error = 'USAGE';
+    report.message = buildUsageMessage();
+    return report;
+  }
+
+  if (!context.target.raw) {
+    report.success = false;
+    report.error = 'TARGET_REQUIRED';
+    report.message = 'GitHub issue create drafts require a GitHub repository target. Use --slug owner/repo when no git remote is available.';
+    return report;
+  }
+
+  if (!context.target.isGitHub || !context.target.slug) {
+    report.success = false;
+    report.error = 'TARGET_NOT_GITHUB';
+    report.message = 'GitHub issue create drafts require a GitHub repository target.';
+    return report;
+  }
+
+  if (!bodyInput.ok) {
+    report.success = false;
+    report.error = bodyInput.error;
+    report.message = bodyInput.message;
+    return report;
+  }
+
+  const templateResult = await resolveIssueTemplate(options, context);
+  report.warnings.push(...templateResult.warnings);
+  if (!templateResult.ok) {
+    report.success = false;
+    report.error = templateResult.error;
+    report.message = templateResult.message;
+    return report;
+  }
+
+  const template = templateResult.template;
+  const metadata = await validateIssueMetadata({
+    context,
+    api: options.api,
+    labels: mergeNames(normalizeNameList(options.labels), template?.labels || []),
+    assignees: mergeNames(normalizeLoginList(options.assignees), template?.assignees || []),
+    milestone: options.milestone,
+    fetchImpl: options.fetchImpl,
+    timeoutMs: options.timeoutMs,
+  });
+  report.warnings.push(...metadata.warnings);
+  report.validation = {
+    labels: metadata.validation.labels,
+    assignees: metadata.validation.assignees,
+    milestone: metadata.validation.milestone,
+    unknownLabels: metadata.unknownLabels,
+    unassignableAssignees: metadata.unassignableAssignees,
+  };
+  if (!metadata.ok) {
+    report.success = false;
+    report.error = metadata.error;
+    report.message = metadata.message;
+    return report;
+  }
+
+  const issueTitle = applyTemplateTitle(title, template);
+  const rendered = buildTemplateBody(template, bodyInput);
+  if (rendered.missingHeadings.length > 0) {
+    report.warnings.push(`The issue body omits sections from template ${template.fileName}: ${rendered.missingHeadings.join(', ')}`);
+  }
+  if (template) {
+    report.template = {
+      path: template.path,
+      name: template.name,
+      kind: template.kind,
+      source: templateResult.source,
+      titlePrefix: template.titlePrefix,
+      labels: template.labels,
+      assignees: template.assignees,
+      bodyPlacement: rendered.bodyPlacement,
+    };
+  }
+
+  const previewArtifacts = createGitHubWritePreviewArtifacts({
+    source,
+    capabilityKey: 'issues.create.draft',
+    previewType: 'issue-create',
+    approvalRequirement,
+    approvalMode,
+    title: issueTitle,
+    body: rendered.body,
+    bodySource: template ? 'template' : bodyInput.bodySource,
+    repoIdentity: context.projectIdentity,
+    remote: context.remote,
+    target: {
+      kind: 'issue-create',
+      slug: context.target.slug,
+      owner: context.target.owner,
+      repo: context.target.repo,
+      apiBaseUrl: context.target.apiBaseUrl || 'https://api.github.com',
+      labels: metadata.labels,
+      assignees: metadata.assignees,
+      milestone: metadata.milestone,
+      templatePath: template?.path || null,
+      htmlUrl: context.target.htmlUrl ? `${context.target.htmlUrl}/issues` : null,
+    },
+    targetSource: context.targetSource,
+    inputMetadata: {
+      titleSource: titleInput.titleSource,
+      titleFilePath: titleInput.titleFilePath,
+      bodyFilePath: bodyInput.bodyFilePath,
+      userBodySource: bodyInput.bodySource,
+      templatePath: template?.path || null,
+      bodyPlacement: rendered.bodyPlacement,
+    },
+    metadata: {
+      commandSurface: source,
+      draftKind: 'issue-create',
+      validation: report.validation,
+    },
+    includeApplyToken: source === 'cli',
+  });
+
+  report.previewId = previewArtifacts.previewId;
+  report.review = previewArtifacts.review;
+  report.previewArtifact = previewArtifacts.previewArtifact;
+  report.approvalArtifact = previewArtifacts.approvalArtifact;
+  report.eventLog = previewArtifacts.eventLog;
+  report.draft = {
+    type: 'issue-create',
+    titlePreview: previewArtifacts.previewRecord?.input?.titlePreview || issueTitle,
+    titleStats: previewArtifacts.previewRecord?.input?.titleStats || null,
+    titleSource: titleInput.titleSource,
+    bodySource: template ? 'template' : bodyInput.bodySource,
+    bodyFilePath: bodyInput.bodyFilePath,
+    bodyPreview: previewArtifacts.previewRecord?.input?.bodyPreview || '',
+    bodyStats: previewArtifacts.previewRecord?.input?.bodyStats || null,
+    labels: metadata.labels,
+    assignees: metadata.assignees,
+    milestone: metadata.milestone,
+  };
+  report.approval = {
+    status: previewArtifacts.approvalRecord?.status || 'requested',
+    approvalRequirement,
+    approvalMode,
+    expiresAt: previewArtifacts.approvalRecord?.expiresAt || null,
+    applyToken: source === 'cli' ? previewArtifacts.applyToken : null,
+    applyTokenHint: previewArtifacts.applyTokenHint,
+  };
+  report.instructions = {
+    cliApply: buildCliApplyCommand(previewArtifacts.previewId, previewArtifacts.approvalArtifact.filePath),
+    note: 'Review the preview artifact before running the CLI apply command. Slash apply is intentionally unavailable in this reviewed GitHub write slice.',
+  };
+
+  if ((report.review?.redactionCount || 0) > 0) {
+    report.warnings.push('The persisted issue-create preview was sanitized before local storage.');
+  }
+
+  return report;
+}
+
+module.exports = {
+  GITHUB_ISSUE_CREATE_DRAFT_SCHEMA_VERSION,
+  buildUsageMessage,
+  draftGitHubIssueCreate,
+  parseIssueTemplate,
+  renderIssueFormBody,
+};
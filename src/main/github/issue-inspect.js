@@ -104,6 +104,7 @@ async function inspectGitHubIssue(options = {}) {
   report.githubApi.attempted = true;
   report.githubApi.status = response.status;
   report.githubApi.rateLimit = response.rateLimit || null;
+  report.githubApi.fromCache = response.fromCache === true;
 
   if (response.ok && response.data) {
     report.issue = summarizeIssueDetail(response.data);
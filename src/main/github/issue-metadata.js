@@ -0,0 +1,288 @@
+const { requestGitHubJson, requestGitHubPages } = require('./client');
+
+const MAX_ISSUE_LABELS = 20;
+const MAX_ISSUE_ASSIGNEES = 10;
+const CLEAR_MILESTONE_VALUES = new Set(['none', 'clear', '0']);
+
+function normalizeText(value) {
+  const text = String(value || '').trim();
+  return text || null;
+}
+
+function normalizeNameList(value, max = MAX_ISSUE_LABELS) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(',');
+  const seen = new Set();
+  const names = [];
+  entries.forEach((entry) => {
+    const name = String(entry || '').trim();
+    if (name && !seen.has(name.toLowerCase())) {
+      seen.add(name.toLowerCase());
+      names.push(name);
+    }
+  });
+  return names.slice(0, max);
+}
+
+function normalizeLoginList(value, max = MAX_ISSUE_ASSIGNEES) {
+  return normalizeNameList(
+    normalizeNameList(value, Number.MAX_SAFE_INTEGER).map((entry) => entry.replace(/^@/, '')),
+    max,
+  );
+}
+
+function parseMilestoneOption(value) {
+  const text = normalizeText(value);
+  if (!text) {
+    return { requested: false, clear: false, number: null, title: null };
+  }
+  if (CLEAR_MILESTONE_VALUES.has(text.toLowerCase())) {
+    return { requested: true, clear: true, number: null, title: null };
+  }
+  if (/^\d+$/.test(text)) {
+    return { requested: true, clear: false, number: Number(text), title: null };
+  }
+  return { requested: true, clear: false, number: null, title: text };
+}
+
+function editDistance(left, right) {
+  const previous = Array.from({ length: right.length + 1 }, (_, index) => index);
+  for (let row = 1; row <= left.length; row += 1) {
+    let diagonal = previous[0];
+    previous[0] = row;
+    for (let column = 1; column <= right.length; column += 1) {
+      const above = previous[column];
+      previous[column] = Math.min(
+        previous[column] + 1,
+        previous[column - 1] + 1,
+        diagonal + (left[row - 1] === right[column - 1] ? 0 : 1),
+      );
+      diagonal = above;
+    }
+  }
+  return previous[right.length];
+}
+
+function suggestNames(name, candidates, limit = 3) {
+  const needle = String(name || '').toLowerCase();
+  return candidates
+    .map((candidate) => {
+      const lowered = candidate.toLowerCase();
+      const distance = lowered.includes(needle) || needle.includes(lowered) ? 0 : editDistance(needle, lowered);
+      return { candidate, distance };
+    })
+    .filter((entry) => entry.distance <= Math.max(2, Math.floor(needle.length / 3)))
+    .sort((left, right) => left.distance - right.distance || left.candidate.localeCompare(right.candidate))
+    .slice(0, limit)
+    .map((entry) => entry.candidate);
+}
+
+function buildRepoPath(context, suffix) {
+  return `/repos/${encodeURIComponent(context.target.owner)}/${encodeURIComponent(context.target.repo)}${suffix}`;
+}
+
+function summarizeMilestone(milestone) {
+  if (!milestone || typeof milestone !== 'object') {
+    return null;
+  }
+  return {
+    number: Number.isFinite(Number(milestone.number)) ? Number(milestone.number) : null,
+    title: milestone.title || null,
+    state: milestone.state || null,
+    dueOn: milestone.due_on || null,
+  };
+}
+
+async function resolveLabels(labels, context, requestOptions, result) {
+  if (labels.length === 0) {
+    result.validation.labels = 'not-requested';
+    return;
+  }
+
+  const response = await requestGitHubPages({
+    ...requestOptions,
+    apiPath: buildRepoPath(context, '/labels?per_page=100'),
+  });
+  result.githubApi.labelsStatus = response.status;
+  if (!response.ok || !Array.isArray(response.data)) {
+    result.validation.labels = 'unavailable';
+    result.labels = labels;
+    result.warnings.push(`Repository labels could not be listed (${response.error || response.status}); labels were not validated.`);
+    return;
+  }
+
+  const known = response.data.map((label) => String(label?.name || '')).filter(Boolean);
+  const byLowerName = new Map(known.map((name) => [name.toLowerCase(), name]));
+  const unknown = [];
+  result.labels = [];
+  labels.forEach((label) => {
+    const canonical = byLowerName.get(label.toLowerCase());
+    if (canonical) {
+      result.labels.push(canonical);
+    } else {
+      unknown.push({ name: label, suggestions: suggestNames(label, known) });
+    }
+  });
+  result.unknownLabels = unknown;
+  result.validation.labels = 'validated';
+}
+
+async function resolveAssignees(assignees, context, requestOptions, result) {
+  if (assignees.length === 0) {
+    result.validation.assignees = 'not-requested';
+    return;
+  }
+
+  const unassignable = [];
+  let unavailable = false;
+  for (const login of assignees) {
+    const response = await requestGitHubJson({
+      ...requestOptions,
+      apiPath: buildRepoPath(context, `/assignees/${encodeURIComponent(login)}`),
+    });
+    result.githubApi.assigneeChecks.push({ login, status: response.status });
+    if (response.status === 404) {
+      unassignable.push(login);
+    } else if (!response.ok) {
+      unavailable = true;
+    }
+  }
+
+  result.assignees = assignees.filter((login) => !unassignable.includes(login));
+  result.unassignableAssignees = unassignable;
+  result.validation.assignees = unavailable ? 'unavailable' : 'validated';
+  if (unavailable) {
+    result.warnings.push('Some assignees could not be checked against the repository; GitHub may drop them on apply.');
+  }
+}
+
+async function resolveMilestone(milestone, context, requestOptions, result) {
+  if (!milestone.requested || milestone.clear) {
+    result.validation.milestone = milestone.clear ? 'clear' : 'not-requested';
+    result.clearMilestone = milestone.clear;
+    return;
+  }
+
+  const response = await requestGitHubPages({
+    ...requestOptions,
+    apiPath: buildRepoPath(context, '/milestones?state=all&per_page=100'),
+  });
+  result.githubApi.milestonesStatus = response.status;
+  if (!response.ok || !Array.isArray(response.data)) {
+    result.validation.milestone = 'unavailable';
+    if (milestone.number) {
+      result.milestone = { number: milestone.number, title: null, state: null, dueOn: null };
+      result.warnings.push(`Repository milestones could not be listed (${response.error || response.status}); milestone #${milestone.number} was not validated.`);
+    } else {
+      result.milestoneError = `Repository milestones could not be listed (${response.error || response.status}); use the milestone number instead of its title.`;
+    }
+    return;
+  }
+
+  const milestones = response.data.map(summarizeMilestone).filter(Boolean);
+  const match = milestone.number
+    ? milestones.find((entry) => entry.number === milestone.number)
+    : milestones.find((entry) => String(entry.title || '').toLowerCase() === milestone.title.toLowerCase());
+  result.validation.milestone = 'validated';
+  if (!match) {
+    const openTitles = milestones.filter((entry) => entry.state !== 'closed').map((entry) => entry.title).filter(Boolean);
+    const suggestions = milestone.title ? suggestNames(milestone.title, openTitles) : openTitles.slice(0, 3);
+    result.milestoneError = `Milestone ${milestone.number ? `#${milestone.number}` : `"${milestone.title}"`} does not exist in ${context.target.slug}.${suggestions.length ? ` Did you mean: ${suggestions.join(', ')}?` : ''}`;
+    return;
+  }
+  if (match.state === 'closed') {
+    result.warnings.push(`Milestone "${match.title}" is closed.`);
+  }
+  result.milestone = match;
+}
+
+// Resolves requested labels, assignees and milestone against the target
+// repository. Labels come back in the repository's casing; unknown labels,
+// unassignable users and unmatched milestones fail the draft so a typo never
+// reaches the apply step.
+async function validateIssueMetadata(options = {}) {
+  const context = options.context;
+  const labels = normalizeNameList(options.labels);
+  const assignees = normalizeLoginList(options.assignees);
+  const milestone = parseMilestoneOption(options.milestone);
+  const result = {
+    ok: true,
+    error: null,
+    message: null,
+    labels,
+    assignees,
+    milestone: milestone.number ? { number: milestone.number, title: null, state: null, dueOn: null } : null,
+    clearMilestone: milestone.clear,
+    unknownLabels: [],
+    unassignableAssignees: [],
+    milestoneError: null,
+    validation: {
+      labels: labels.length ? 'skipped' : 'not-requested',
+      assignees: assignees.length ? 'skipped' : 'not-requested',
+      milestone: milestone.requested ? (milestone.clear ? 'clear' : 'skipped') : 'not-requested',
+    },
+    githubApi: {
+      labelsStatus: null,
+      milestonesStatus: null,
+      assigneeChecks: [],
+    },
+    warnings: [],
+  };
+
+  if (milestone.clear && options.allowClearMilestone !== true) {
+    return { ...result, ok: false, error: 'USAGE', message: '--milestone none only applies to issue triage drafts.' };
+  }
+
+  if (options.api === false) {
+    if (milestone.title) {
+      return { ...result, ok: false, error: 'MILESTONE_LOOKUP_REQUIRED', message: `Milestone "${milestone.title}" can only be resolved with GitHub API lookup; pass the milestone number with --api false.` };
+    }
+    if (labels.length || assignees.length || milestone.number) {
+      result.warnings.push('GitHub API lookup skipped by request; labels, assignees, and milestone were not validated against the repository.');
+    }
+    return result;
+  }
+
+  const requestOptions = {
+    apiBaseUrl: context.target.apiBaseUrl || 'https://api.github.com',
+    token: context.tokenInfo.token,
+    fetchImpl: options.fetchImpl,
+    timeoutMs: options.timeoutMs,
+  };
+  await resolveLabels(labels, context, requestOptions, result);
+  await resolveAssignees(assignees, context, requestOptions, result);
+  await resolveMilestone(milestone, context, requestOptions, result);
+
+  if (result.unknownLabels.length > 0) {
+    return {
+      ...result,
+      ok: false,
+      error: 'UNKNOWN_LABELS',
+      message: `Unknown label${result.unknownLabels.length === 1 ? '' : 's'} for ${context.target.slug}: ${result.unknownLabels
+        .map((entry) => `${entry.name}${entry.suggestions.length ? ` (did you mean ${entry.suggestions.join(', ')}?)` : ''}`)
+        .join('; ')}`,
+    };
+  }
+  if (result.unassignableAssignees.length > 0) {
+    return {
+      ...result,
+      ok: false,
+      error: 'UNASSIGNABLE_ASSIGNEES',
+      message: `These users cannot be assigned to issues in ${context.target.slug}: ${result.unassignableAssignees.join(', ')}`,
+    };
+  }
+  if (result.milestoneError) {
+    return { ...result, ok: false, error: 'UNKNOWN_MILESTONE', message: result.milestoneError };
+  }
+  return result;
+}
+
+module.exports = {
+  MAX_ISSUE_ASSIGNEES,
+  MAX_ISSUE_LABELS,
+  normalizeLoginList,
+  normalizeNameList,
+  parseMilestoneOption,
+  suggestNames,
+  summarizeMilestone,
+  validateIssueMetadata,
+};
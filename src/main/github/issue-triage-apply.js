@@ -0,0 +1,144 @@
+const { requestGitHubJson } = require('./client');
+const { computeIssueTriageChanges } = require('./issue-triage-draft');
+const { summarizeIssue } = require('./issues-list');
+
+function buildResponseStep(step, response) {
+  return {
+    step,
+    ok: response?.ok === true,
+    status: response?.status ?? 0,
+    requestUrl: response?.requestUrl || null,
+    error: response?.error || response?.data?.message || null,
+  };
+}
+
+function buildFailureResult(step, response, requests, message) {
+  const errorMessage = String(message || response?.error || response?.data?.message || 'GitHub issue triage apply failed.').trim();
+  return {
+    ok: false,
+    status: response?.status ?? 0,
+    data: response?.data || null,
+    error: errorMessage,
+    requestUrl: response?.requestUrl || null,
+    rateLimit: response?.rateLimit || null,
+    githubApi: {
+      attempted: requests.length > 0,
+      status: response?.status ?? 0,
+      rateLimit: response?.rateLimit || null,
+      requestUrl: response?.requestUrl || null,
+      error: errorMessage,
+      requests,
+    },
+  };
+}
+
+function readLiveIssueState(issue = {}) {
+  return {
+    labels: (Array.isArray(issue.labels) ? issue.labels : [])
+      .map((label) => (typeof label === 'string' ? label : label?.name))
+      .filter(Boolean),
+    assignees: (Array.isArray(issue.assignees) ? issue.assignees : []).map((assignee) => assignee?.login).filter(Boolean),
+    milestone: issue.milestone?.number ? { number: issue.milestone.number, title: issue.milestone.title || null } : null,
+  };
+}
+
+// Re-reads the issue and patches only the fields this preview changes.
+async function executeGitHubIssueTriagePreview(options = {}) {
+  const previewRecord = options.previewRecord && typeof options.previewRecord === 'object'
+    ? options.previewRecord
+    : {};
+  const tokenInfo = options.tokenInfo && typeof options.tokenInfo === 'object'
+    ? options.tokenInfo
+    : { token: '' };
+  const target = previewRecord.target && typeof previewRecord.target === 'object'
+    ? previewRecord.target
+    : {};
+  const issuePath = `/repos/${encodeURIComponent(target.owner)}/${encodeURIComponent(target.repo)}/issues/${target.issueNumber}`;
+  const apiBaseUrl = String(target.apiBaseUrl || 'https://api.github.com').trim() || 'https://api.github.com';
+  const requests = [];
+
+  const requestStep = async (step, method = 'GET', body) => {
+    const response = await requestGitHubJson({
+      apiPath: issuePath,
+      apiBaseUrl,
+      token: tokenInfo.token,
+      method,
+      body,
+      fetchImpl: options.fetchImpl,
+      timeoutMs: options.timeoutMs,
+      cache: false,
+    });
+    requests.push(buildResponseStep(step, response));
+    return response;
+  };
+
+  const current = await requestStep('lookup-issue');
+  if (!current.ok) {
+    return buildFailureResult('lookup-issue', current, requests, current.error || current.data?.message || `Could not read issue #${target.issueNumber} before applying the reviewed triage.`);
+  }
+
+  const changes = computeIssueTriageChanges(readLiveIssueState(current.data), target);
+  const result = {
+    type: 'issue-triage',
+    issueNumber: target.issueNumber,
+    changed: changes.changed,
+    labels: changes.labels,
+    assignees: changes.assignees,
+    milestone: changes.milestone,
+    issue: summarizeIssue(current.data),
+  };
+  if (!changes.changed) {
+    return {
+      ok: true,
+      status: current.status,
+      data: current.data,
+      result,
+      githubApi: {
+        attempted: true,
+        status: current.status,
+        rateLimit: current.rateLimit || null,
+        requestUrl: current.requestUrl || null,
+        error: null,
+        requests,
+      },
+    };
+  }
+
+  const body = {};
+  if (changes.labels.added.length || changes.labels.removed.length) {
+    body.labels = changes.labels.final;
+  }
+  if (changes.assignees.added.length || changes.assignees.removed.length) {
+    body.assignees = changes.assignees.final;
+  }
+  if (changes.milestone.changed) {
+    body.milestone = changes.milestone.to?.number || null;
+  }
+
+  const updated = await requestStep('update-issue', 'PATCH', body);
+  if (!updated.ok) {
+    return buildFailureResult('update-issue', updated, requests, updated.error || updated.data?.message || `Could not update issue #${target.issueNumber} with the reviewed triage.`);
+  }
+
+  return {
+    ok: true,
+    status: updated.status,
+    data: updated.data,
+    result: {
+      ...result,
+      issue: summarizeIssue(updated.data),
+    },
+    githubApi: {
+      attempted: true,
+      status: updated.status,
+      rateLimit: updated.rateLimit || current.rateLimit || null,
+      requestUrl: updated.requestUrl || null,
+      error: null,
+      requests,
+    },
+  };
+}
+
+module.exports = {
+  executeGitHubIssueTriagePreview,
+};
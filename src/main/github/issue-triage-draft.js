@@ -0,0 +1,264 @@
+const { resolveGitHubRepoContext } = require('./context');
+const { buildCliApplyCommand } = require('./issue-comment-draft');
+const { inspectGitHubIssue, normalizeIssueNumber } = require('./issue-inspect');
+const { normalizeLoginList, normalizeNameList, validateIssueMetadata } = require('./issue-metadata');
+const { createGitHubWritePreviewArtifacts } = require('./write-artifacts');
+
+const GITHUB_ISSUE_TRIAGE_DRAFT_SCHEMA_VERSION = 'github.issue-triage-draft.v1';
+
+function buildUsageMessage() {
+  return 'Usage: liku github issues triage draft <number> [--labels a,b] [--remove-labels c] [--assignees user1] [--remove-assignees user2] [--milestone <number|title|none>] [--slug owner/repo] [--api false]';
+}
+
+function includesName(list, name) {
+  const needle = String(name || '').toLowerCase();
+  return list.some((entry) => String(entry || '').toLowerCase() === needle);
+}
+
+// Shared with the apply step, which recomputes against the live issue so
+// labels or assignees changed after the preview are preserved.
+function computeIssueTriageChanges(current = {}, requested = {}) {
+  const currentLabels = Array.isArray(current.labels) ? current.labels : [];
+  const currentAssignees = Array.isArray(current.assignees) ? current.assignees : [];
+  const addLabels = (requested.addLabels || []).filter((label) => !includesName(currentLabels, label));
+  const removeLabels = (requested.removeLabels || []).filter((label) => includesName(currentLabels, label));
+  const addAssignees = (requested.addAssignees || []).filter((login) => !includesName(currentAssignees, login));
+  const removeAssignees = (requested.removeAssignees || []).filter((login) => includesName(currentAssignees, login));
+  const currentMilestoneNumber = current.milestone?.number || null;
+  const milestoneChanged = requested.clearMilestone === true
+    ? currentMilestoneNumber !== null
+    : (requested.milestone?.number ? requested.milestone.number !== currentMilestoneNumber : false);
+
+  return {
+    labels: {
+      added: addLabels,
+      removed: removeLabels,
+      final: [...currentLabels.filter((label) => !includesName(removeLabels, label)), ...addLabels],
+    },
+    assignees: {
+      added: addAssignees,
+      removed: removeAssignees,
+      final: [...currentAssignees.filter((login) => !includesName(removeAssignees, login)), ...addAssignees],
+    },
+    milestone: {
+      changed: milestoneChanged,
+      from: current.milestone || null,
+      to: requested.clearMilestone === true ? null : (requested.milestone || current.milestone || null),
+    },
+    changed: addLabels.length > 0 || removeLabels.length > 0 || addAssignees.length > 0 || removeAssignees.length > 0 || milestoneChanged,
+  };
+}
+
+function summarizeCurrentIssue(issue) {
+  if (!issue) {
+    return null;
+  }
+  return {
+    title: issue.title || null,
+    state: issue.state || null,
+    isPullRequest: issue.isPullRequest === true,
+    labels: (issue.labels || []).map((label) => label?.name).filter(Boolean),
+    assignees: (issue.assignees || []).map((assignee) => assignee?.login).filter(Boolean),
+    milestone: issue.milestone?.number ? { number: issue.milestone.number, title: issue.milestone.title || null } : null,
+  };
+}
+
+async function draftGitHubIssueTriage(options = {}) {
+  const featureFlagEnabled = options.featureFlagEnabled === true;
+  const writeFeatureFlagEnabled = options.writeFeatureFlagEnabled === true;
+  const issueNumber = normalizeIssueNumber(options.number || options.issueNumber || options.issue);
+  const context = resolveGitHubRepoContext(options);
+  const source = String(options.source || 'unknown').trim() || 'unknown';
+  const approvalMode = String(options.approvalMode || 'prompt').trim() || 'prompt';
+  const approvalRequirement = String(options.approvalRequirement || 'explicit').trim() || 'explicit';
+  const allowApi = options.api !== false;
+  const removeLabels = normalizeNameList(options.removeLabels || options['remove-labels']);
+  const removeAssignees = normalizeLoginList(options.removeAssignees || options['remove-assignees']);
+
+  const report = {
+    schemaVersion: GITHUB_ISSUE_TRIAGE_DRAFT_SCHEMA_VERSION,
+    success: true,
+    featureFlagEnabled,
+    writeFeatureFlagEnabled,
+    repoIdentity: context.projectIdentity,
+    remote: context.remote,
+    target: context.target,
+    targetSource: context.targetSource,
+    issueNumber,
+    previewId: null,
+    review: null,
+    previewArtifact: null,
+    approvalArtifact: null,
+    eventLog: null,
+    currentIssue: null,
+    validation: null,
+    draft: null,
+    approval: null,
+    instructions: null,
+    warnings: context.warnings.slice(),
+  };
+
+  const hasRequestedChange = normalizeNameList(options.labels).length > 0
+    || normalizeLoginList(options.assignees).length > 0
+    || removeLabels.length > 0
+    || removeAssignees.length > 0
+    || String(options.milestone || '').trim().length > 0;
+  if (!issueNumber || !hasRequestedChange) {
+    report.success = false;
+    report.error = 'USAGE';
+    report.message = buildUsageMessage();
+    return report;
+  }
+
+  if (!context.target.raw) {
+    report.success = false;
+    report.error = 'TARGET_REQUIRED';
+    report.message = 'GitHub issue triage drafts require a GitHub repository target. Use --slug owner/repo when no git remote is available.';
+    return report;
+  }
+
+  if (!context.target.isGitHub || !context.target.slug) {
+    report.success = false;
+    report.error = 'TARGET_NOT_GITHUB';
+    report.message = 'GitHub issue triage drafts require a GitHub repository target.';
+    return report;
+  }
+
+  if (allowApi) {
+    const issueReport = await (typeof options.inspectGitHubIssue === 'function'
+      ? options.inspectGitHubIssue
+      : inspectGitHubIssue)({
+        ...options,
+        api: true,
+        slug: context.target.slug,
+        number: issueNumber,
+      });
+    if (issueReport.githubApi?.status === 404) {
+      report.success = false;
+      report.error = 'ISSUE_NOT_FOUND';
+      report.message = `Issue #${issueNumber} was not found in ${context.target.slug}.`;
+      return report;
+    }
+    report.currentIssue = summarizeCurrentIssue(issueReport.issue);
+    if (!report.currentIssue) {
+      report.warnings.push(`Issue #${issueNumber} could not be read (${issueReport.githubApi?.error || 'unknown error'}); the preview shows requested changes only.`);
+    } else if (report.currentIssue.isPullRequest) {
+      report.warnings.push(`#${issueNumber} is a pull request; triage applies to its issue labels, assignees, and milestone.`);
+    }
+  }
+
+  const metadata = await validateIssueMetadata({
+    context,
+    api: options.api,
+    labels: options.labels,
+    assignees: options.assignees,
+    milestone: options.milestone,
+    allowClearMilestone: true,
+    fetchImpl: options.fetchImpl,
+    timeoutMs: options.timeoutMs,
+  });
+  report.warnings.push(...metadata.warnings);
+  report.validation = {
+    labels: metadata.validation.labels,
+    assignees: metadata.validation.assignees,
+    milestone: metadata.validation.milestone,
+    unknownLabels: metadata.unknownLabels,
+    unassignableAssignees: metadata.unassignableAssignees,
+  };
+  if (!metadata.ok) {
+    report.success = false;
+    report.error = metadata.error;
+    report.message = metadata.message;
+    return report;
+  }
+
+  const requested = {
+    addLabels: metadata.labels,
+    removeLabels,
+    addAssignees: metadata.assignees,
+    removeAssignees,
+    milestone: metadata.milestone,
+    clearMilestone: metadata.clearMilestone,
+  };
+  const changes = report.currentIssue ? computeIssueTriageChanges(report.currentIssue, requested) : null;
+  if (changes && !changes.changed) {
+    report.success = false;
+    report.error = 'NO_CHANGES';
+    report.message = `Issue #${issueNumber} already matches the requested labels, assignees, and milestone.`;
+    return report;
+  }
+  if (report.currentIssue) {
+    const skippedRemovals = [
+      ...removeLabels.filter((label) => !includesName(report.currentIssue.labels, label)),
+      ...removeAssignees.filter((login) => !includesName(report.currentIssue.assignees, login)),
+    ];
+    if (skippedRemovals.length > 0) {
+      report.warnings.push(`Not currently set on #${issueNumber}, so nothing to remove: ${skippedRemovals.join(', ')}`);
+    }
+  }
+
+  const previewArtifacts = createGitHubWritePreviewArtifacts({
+    source,
+    capabilityKey: 'issues.triage.draft',
+    previewType: 'issue-triage',
+    approvalRequirement,
+    approvalMode,
+    body: '',
+    bodySource: 'none',
+    repoIdentity: context.projectIdentity,
+    remote: context.remote,
+    target: {
+      kind: 'issue-triage',
+      slug: context.target.slug,
+      owner: context.target.owner,
+      repo: context.target.repo,
+      apiBaseUrl: context.target.apiBaseUrl || 'https://api.github.com',
+      issueNumber,
+      ...requested,
+      htmlUrl: context.target.htmlUrl ? `${context.target.htmlUrl}/issues/${issueNumber}` : null,
+    },
+    targetSource: context.targetSource,
+    inputMetadata: {
+      currentIssue: report.currentIssue,
+    },
+    metadata: {
+      commandSurface: source,
+      draftKind: 'issue-triage',
+      validation: report.validation,
+    },
+    includeApplyToken: source === 'cli',
+  });
+
+  report.previewId = previewArtifacts.previewId;
+  report.review = previewArtifacts.review;
+  report.previewArtifact = previewArtifacts.previewArtifact;
+  report.approvalArtifact = previewArtifacts.approvalArtifact;
+  report.eventLog = previewArtifacts.eventLog;
+  report.draft = {
+    type: 'issue-triage',
+    issueNumber,
+    requested,
+    changes,
+  };
+  report.approval = {
+    status: previewArtifacts.approvalRecord?.status || 'requested',
+    approvalRequirement,
+    approvalMode,
+    expiresAt: previewArtifacts.approvalRecord?.expiresAt || null,
+    applyToken: source === 'cli' ? previewArtifacts.applyToken : null,
+    applyTokenHint: previewArtifacts.applyTokenHint,
+  };
+  report.instructions = {
+    cliApply: buildCliApplyCommand(previewArtifacts.previewId, previewArtifacts.approvalArtifact.filePath),
+    note: 'Apply re-reads the issue and only adds or removes the listed labels and assignees, so edits made after this preview are kept.',
+  };
+
+  return report;
+}
+
+module.exports = {
+  GITHUB_ISSUE_TRIAGE_DRAFT_SCHEMA_VERSION,
+  buildUsageMessage,
+  computeIssueTriageChanges,
+  draftGitHubIssueTriage,
+};
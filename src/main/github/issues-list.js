@@ -1,4 +1,4 @@
-const { requestGitHubJson } = require('./client');
+const { GITHUB_MAX_LIST_ITEMS, requestGitHubPages } = require('./client');
 const { resolveGitHubRepoContext } = require('./context');
 
 const GITHUB_ISSUES_LIST_SCHEMA_VERSION = 'github.issues-list.v1';
@@ -74,7 +74,7 @@ function summarizeIssue(issue) {
 async function listGitHubIssues(options = {}) {
   const featureFlagEnabled = options.featureFlagEnabled === true;
   const allowApi = options.api !== false;
-  const limit = normalizeLimit(options.limit, 10, 100);
+  const limit = normalizeLimit(options.limit, 10, GITHUB_MAX_LIST_ITEMS);
   const state = normalizeIssueState(options.state, 'open');
   const labels = normalizeLabels(options.labels);
   const context = resolveGitHubRepoContext(options);
@@ -117,23 +117,27 @@ async function listGitHubIssues(options = {}) {
 
   const params = new URLSearchParams({
     state,
-    per_page: String(limit),
+    per_page: String(Math.min(limit, 100)),
   });
   if (labels.length > 0) {
     params.set('labels', labels.join(','));
   }
 
-  const response = await requestGitHubJson({
+  const response = await requestGitHubPages({
     apiPath: `/repos/${encodeURIComponent(context.target.owner)}/${encodeURIComponent(context.target.repo)}/issues?${params.toString()}`,
     apiBaseUrl: context.target.apiBaseUrl || 'https://api.github.com',
     token: context.tokenInfo.token,
     fetchImpl: options.fetchImpl,
     timeoutMs: options.timeoutMs,
+    maxItems: limit,
   });
 
   report.githubApi.attempted = true;
   report.githubApi.status = response.status;
   report.githubApi.rateLimit = response.rateLimit || null;
+  report.githubApi.fromCache = response.fromCache === true;
+  report.githubApi.pages = response.pages || 0;
+  report.githubApi.truncated = response.truncated === true;
 
   if (response.ok && Array.isArray(response.data)) {
     report.issues = response.data
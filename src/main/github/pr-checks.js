@@ -0,0 +1,203 @@
+const { collectGitHubCommitChecks, resolveRepoRoot } = require('./commit-status');
+const { resolveGitHubRepoContext } = require('./context');
+const { inspectGitHubPullRequest, normalizePullRequestNumber } = require('./pr-inspect');
+const { inspectGitHubPullRequestStatus } = require('./pr-status');
+
+const GITHUB_PR_CHECKS_SCHEMA_VERSION = 'github.pr-checks.v1';
+
+function normalizeText(value) {
+  const text = String(value || '').trim();
+  return text || null;
+}
+
+function appendUniqueWarnings(target, warnings) {
+  if (!Array.isArray(target) || !Array.isArray(warnings)) {
+    return target;
+  }
+
+  warnings.forEach((warning) => {
+    const text = String(warning || '').trim();
+    if (text && !target.includes(text)) {
+      target.push(text);
+    }
+  });
+
+  return target;
+}
+
+function buildUsageMessage() {
+  return 'Usage: liku github pr checks [<number>] [--slug owner/repo] [--branch <name>] [--head <owner:branch>] [--limit <annotations>] [--api false]';
+}
+
+// Resolves the PR either by explicit number or from the current branch, the
+// same two paths `pr feedback` supports.
+async function resolveChecksPullRequest(options, context, report) {
+  const explicitNumberText = normalizeText(options.number || options.pullRequestNumber || options.pr);
+  const explicitNumber = explicitNumberText ? normalizePullRequestNumber(explicitNumberText) : null;
+  const statusImpl = typeof options.inspectGitHubPullRequestStatus === 'function'
+    ? options.inspectGitHubPullRequestStatus
+    : inspectGitHubPullRequestStatus;
+  const inspectImpl = typeof options.inspectGitHubPullRequest === 'function'
+    ? options.inspectGitHubPullRequest
+    : inspectGitHubPullRequest;
+
+  if (explicitNumberText && !explicitNumber) {
+    return { success: false, error: 'USAGE', message: buildUsageMessage() };
+  }
+
+  if (!explicitNumber) {
+    const statusReport = await statusImpl({
+      ...options,
+      api: true,
+      slug: context.target.slug,
+    });
+    if (statusReport.success === false) {
+      return statusReport;
+    }
+
+    report.branchContext = statusReport.branchContext || null;
+    report.pullRequest = statusReport.pullRequest || null;
+    report.lookup = {
+      mode: 'branch-associated',
+      status: statusReport.lookup?.status || 'unavailable',
+      headQuery: statusReport.lookup?.headQuery || null,
+      matchedCount: statusReport.lookup?.matchedCount ?? 0,
+      selectedPullRequestNumber: statusReport.lookup?.selectedPullRequestNumber || null,
+    };
+    report.githubApi.pullRequestLookup = {
+      attempted: statusReport.githubApi?.attempted === true,
+      status: statusReport.githubApi?.inspectStatus ?? statusReport.githubApi?.status ?? null,
+      error: statusReport.githubApi?.inspectError || statusReport.githubApi?.error || null,
+    };
+    appendUniqueWarnings(report.warnings, statusReport.warnings);
+    return report;
+  }
+
+  const inspectReport = await inspectImpl({
+    ...options,
+    api: true,
+    slug: context.target.slug,
+    number: explicitNumber,
+  });
+  if (inspectReport.success === false) {
+    return inspectReport;
+  }
+
+  report.pullRequest = inspectReport.pullRequest || null;
+  report.lookup = {
+    mode: 'explicit-number',
+    status: inspectReport.pullRequest
+      ? 'matched'
+      : (inspectReport.githubApi?.status === 404 ? 'not-found' : (inspectReport.githubApi?.error ? 'api-error' : 'unavailable')),
+    headQuery: null,
+    matchedCount: inspectReport.pullRequest ? 1 : 0,
+    selectedPullRequestNumber: explicitNumber,
+  };
+  report.githubApi.pullRequestLookup = {
+    attempted: inspectReport.githubApi?.attempted === true,
+    status: inspectReport.githubApi?.status ?? null,
+    error: inspectReport.githubApi?.error || null,
+  };
+  appendUniqueWarnings(report.warnings, inspectReport.warnings);
+  return report;
+}
+
+async function inspectGitHubPullRequestChecks(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const env = options.env || process.env;
+  const featureFlagEnabled = options.featureFlagEnabled === true;
+  const allowApi = options.api !== false;
+  const context = resolveGitHubRepoContext({ ...options, cwd });
+
+  const report = {
+    schemaVersion: GITHUB_PR_CHECKS_SCHEMA_VERSION,
+    success: true,
+    featureFlagEnabled,
+    repoIdentity: context.projectIdentity,
+    remote: context.remote,
+    target: context.target,
+    targetSource: context.targetSource,
+    lookup: {
+      mode: normalizeText(options.number) ? 'explicit-number' : 'branch-associated',
+      status: 'unavailable',
+      headQuery: null,
+      matchedCount: 0,
+      selectedPullRequestNumber: null,
+    },
+    branchContext: null,
+    githubApi: {
+      ...context.githubApi,
+    },
+    pullRequest: null,
+    headSha: null,
+    summary: null,
+    checkSuites: [],
+    checkRuns: [],
+    combinedStatus: null,
+    annotations: [],
+    warnings: context.warnings.slice(),
+  };
+
+  if (!context.target.raw) {
+    report.warnings.push('No git remote detected; pull request checks need a GitHub repository target.');
+    return report;
+  }
+
+  if (!context.target.isGitHub || !context.target.slug) {
+    report.warnings.push('Detected target is not a GitHub repository; pull request checks were skipped.');
+    return report;
+  }
+
+  if (!allowApi) {
+    report.warnings.push('GitHub pull request checks lookup skipped by request.');
+    return report;
+  }
+
+  const resolved = await resolveChecksPullRequest({ ...options, cwd, env, featureFlagEnabled }, context, report);
+  if (resolved.success === false) {
+    return {
+      ...report,
+      success: false,
+      error: resolved.error,
+      message: resolved.message,
+      warnings: appendUniqueWarnings(report.warnings.slice(), resolved.warnings),
+    };
+  }
+
+  report.githubApi.attempted = report.githubApi.pullRequestLookup?.attempted === true;
+  report.githubApi.error = report.lookup.status === 'api-error' ? report.githubApi.pullRequestLookup?.error || null : null;
+  report.headSha = report.pullRequest?.head?.sha || null;
+  if (report.lookup.status !== 'matched' || !report.headSha) {
+    if (report.lookup.status === 'matched') {
+      report.warnings.push('The pull request head commit is unknown; checks could not be listed.');
+    }
+    return report;
+  }
+
+  const checks = await collectGitHubCommitChecks({
+    owner: context.target.owner,
+    repo: context.target.repo,
+    ref: report.headSha,
+    apiBaseUrl: context.target.apiBaseUrl,
+    token: context.tokenInfo.token,
+    fetchImpl: options.fetchImpl,
+    timeoutMs: options.timeoutMs,
+    annotationLimit: options.limit,
+    repoRoot: resolveRepoRoot(context, cwd),
+  });
+
+  report.githubApi = { ...report.githubApi, ...checks.githubApi };
+  report.summary = checks.summary;
+  report.checkSuites = checks.checkSuites;
+  report.checkRuns = checks.checkRuns;
+  report.combinedStatus = checks.combinedStatus;
+  report.annotations = checks.annotations;
+  appendUniqueWarnings(report.warnings, checks.warnings);
+  return report;
+}
+
+module.exports = {
+  GITHUB_PR_CHECKS_SCHEMA_VERSION,
+  buildUsageMessage,
+  inspectGitHubPullRequestChecks,
+};
@@ -36,6 +36,7 @@ function normalizeText(value) {
 
 function resolveOptionalBodyInput(options = {}) {
   const usageMessage = String(options.usageMessage || buildUsageMessage()).trim() || buildUsageMessage();
+  const bodyFileLabel = String(options.bodyFileLabel || 'Pull request body file').trim() || 'Pull request body file';
   const inlineBody = typeof options.body === 'string' ? options.body : null;
   const bodyFileRaw = options.bodyFile || options['body-file'] || null;
 
@@ -53,7 +54,7 @@ function resolveOptionalBodyInput(options = {}) {
       return {
         ok: false,
         error: 'BODY_FILE_NOT_FOUND',
-        message: `Pull request body file not found: ${bodyFilePath}`,
+        message: `${bodyFileLabel} not found: ${bodyFilePath}`,
       };
     }
 
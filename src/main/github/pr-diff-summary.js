@@ -1,4 +1,4 @@
-const { requestGitHubJson } = require('./client');
+const { GITHUB_MAX_LIST_ITEMS, requestGitHubPages } = require('./client');
 const { resolveGitHubRepoContext } = require('./context');
 const { normalizePullRequestNumber } = require('./pr-inspect');
 
@@ -57,7 +57,7 @@ async function inspectGitHubPullRequestDiff(options = {}) {
   const featureFlagEnabled = options.featureFlagEnabled === true;
   const allowApi = options.api !== false;
   const pullRequestNumber = normalizePullRequestNumber(options.number || options.pullRequestNumber || options.pr);
-  const limit = normalizeLimit(options.limit, 30, 100);
+  const limit = normalizeLimit(options.limit, 30, GITHUB_MAX_LIST_ITEMS);
   const context = resolveGitHubRepoContext(options);
 
   const report = {
@@ -108,17 +108,21 @@ async function inspectGitHubPullRequestDiff(options = {}) {
     return report;
   }
 
-  const response = await requestGitHubJson({
-    apiPath: `/repos/${encodeURIComponent(context.target.owner)}/${encodeURIComponent(context.target.repo)}/pulls/${pullRequestNumber}/files?per_page=${limit}`,
+  const response = await requestGitHubPages({
+    apiPath: `/repos/${encodeURIComponent(context.target.owner)}/${encodeURIComponent(context.target.repo)}/pulls/${pullRequestNumber}/files?per_page=${Math.min(limit, 100)}`,
     apiBaseUrl: context.target.apiBaseUrl || 'https://api.github.com',
     token: context.tokenInfo.token,
     fetchImpl: options.fetchImpl,
     timeoutMs: options.timeoutMs,
+    maxItems: limit,
   });
 
   report.githubApi.attempted = true;
   report.githubApi.status = response.status;
   report.githubApi.rateLimit = response.rateLimit || null;
+  report.githubApi.fromCache = response.fromCache === true;
+  report.githubApi.pages = response.pages || 0;
+  report.githubApi.truncated = response.truncated === true;
 
   if (response.ok && Array.isArray(response.data)) {
     report.files = response.data.slice(0, limit).map(summarizePullRequestFile).filter(Boolean);
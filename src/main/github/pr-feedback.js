@@ -219,6 +219,7 @@ function buildSurfaceApiReport(response = {}, resultCount = 0) {
     status: response.status ?? null,
     error: response.ok ? null : (response.error || response.data?.message || `GitHub request failed (${response.status ?? 0})`),
     rateLimit: response.rateLimit || null,
+    fromCache: response.fromCache === true,
     resultCount,
   };
 }
@@ -302,6 +303,7 @@ function buildBaseReport(options = {}, context = {}) {
         status: null,
         error: null,
         rateLimit: null,
+        fromCache: false,
         resultCount: 0,
       },
       reviews: {
@@ -309,6 +311,7 @@ function buildBaseReport(options = {}, context = {}) {
         status: null,
         error: null,
         rateLimit: null,
+        fromCache: false,
         resultCount: 0,
       },
       reviewComments: {
@@ -316,6 +319,7 @@ function buildBaseReport(options = {}, context = {}) {
         status: null,
         error: null,
         rateLimit: null,
+        fromCache: false,
         resultCount: 0,
       },
     },
@@ -388,6 +392,7 @@ async function resolveFeedbackPullRequest(options = {}, context = {}, report = {
     report.githubApi.status = statusReport.githubApi?.inspectStatus ?? statusReport.githubApi?.status ?? null;
     report.githubApi.error = statusReport.githubApi?.inspectError || statusReport.githubApi?.error || null;
     report.githubApi.rateLimit = statusReport.githubApi?.inspectRateLimit || statusReport.githubApi?.rateLimit || null;
+    report.githubApi.fromCache = statusReport.githubApi?.fromCache === true;
     report.githubApi.pullRequestLookup = {
       attempted: statusReport.githubApi?.attempted === true,
       status: statusReport.githubApi?.inspectStatus ?? statusReport.githubApi?.status ?? null,
@@ -443,6 +448,7 @@ async function resolveFeedbackPullRequest(options = {}, context = {}, report = {
   report.githubApi.status = inspectReport.githubApi?.status ?? null;
   report.githubApi.error = inspectReport.githubApi?.error || null;
   report.githubApi.rateLimit = inspectReport.githubApi?.rateLimit || null;
+  report.githubApi.fromCache = inspectReport.githubApi?.fromCache === true;
   report.githubApi.pullRequestLookup = {
     attempted: inspectReport.githubApi?.attempted === true,
     status: inspectReport.githubApi?.status ?? null,
@@ -550,6 +556,8 @@ async function inspectGitHubPullRequestFeedback(options = {}) {
     || conversationComments.githubApi.attempted
     || reviews.githubApi.attempted
     || reviewComments.githubApi.attempted;
+  feedbackReport.githubApi.fromCache = feedbackReport.githubApi.fromCache === true
+    && [conversationComments, reviews, reviewComments].every((surface) => surface.githubApi.fromCache === true);
   feedbackReport.githubApi.conversationComments = conversationComments.githubApi;
   feedbackReport.githubApi.reviews = reviews.githubApi;
   feedbackReport.githubApi.reviewComments = reviewComments.githubApi;
@@ -127,6 +127,7 @@ async function inspectGitHubPullRequest(options = {}) {
   report.githubApi.attempted = true;
   report.githubApi.status = response.status;
   report.githubApi.rateLimit = response.rateLimit || null;
+  report.githubApi.fromCache = response.fromCache === true;
 
   if (response.ok && response.data) {
     report.pullRequest = summarizePullRequest(response.data);
@@ -1,4 +1,4 @@
-const { requestGitHubJson } = require('./client');
+const { GITHUB_MAX_LIST_ITEMS, requestGitHubPages } = require('./client');
 const { resolveGitHubRepoContext } = require('./context');
 const { summarizePullRequest } = require('./pr-inspect');
 
@@ -21,7 +21,7 @@ function normalizePullRequestState(value, fallback = 'open') {
 async function listGitHubPullRequests(options = {}) {
   const featureFlagEnabled = options.featureFlagEnabled === true;
   const allowApi = options.api !== false;
-  const limit = normalizeLimit(options.limit, 10, 100);
+  const limit = normalizeLimit(options.limit, 10, GITHUB_MAX_LIST_ITEMS);
   const state = normalizePullRequestState(options.state, 'open');
   const base = String(options.base || '').trim() || null;
   const head = String(options.head || '').trim() || null;
@@ -66,22 +66,26 @@ async function listGitHubPullRequests(options = {}) {
 
   const params = new URLSearchParams({
     state,
-    per_page: String(limit),
+    per_page: String(Math.min(limit, 100)),
   });
   if (base) params.set('base', base);
   if (head) params.set('head', head);
 
-  const response = await requestGitHubJson({
+  const response = await requestGitHubPages({
     apiPath: `/repos/${encodeURIComponent(context.target.owner)}/${encodeURIComponent(context.target.repo)}/pulls?${params.toString()}`,
     apiBaseUrl: context.target.apiBaseUrl || 'https://api.github.com',
     token: context.tokenInfo.token,
     fetchImpl: options.fetchImpl,
     timeoutMs: options.timeoutMs,
+    maxItems: limit,
   });
 
   report.githubApi.attempted = true;
   report.githubApi.status = response.status;
   report.githubApi.rateLimit = response.rateLimit || null;
+  report.githubApi.fromCache = response.fromCache === true;
+  report.githubApi.pages = response.pages || 0;
+  report.githubApi.truncated = response.truncated === true;
 
   if (response.ok && Array.isArray(response.data)) {
     report.pullRequests = response.data.slice(0, limit).map(summarizePullRequest).filter(Boolean);
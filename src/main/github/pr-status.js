@@ -220,6 +220,7 @@ async function inspectGitHubPullRequestStatus(options = {}) {
   report.githubApi.inspectStatus = inspectReport.githubApi?.status || null;
   report.githubApi.inspectRateLimit = inspectReport.githubApi?.rateLimit || null;
   report.githubApi.inspectError = inspectReport.githubApi?.error || null;
+  report.githubApi.fromCache = report.githubApi.fromCache === true && inspectReport.githubApi?.fromCache === true;
   appendUniqueWarnings(report.warnings, inspectReport.warnings);
   report.pullRequest = inspectReport.pullRequest || selected;
 
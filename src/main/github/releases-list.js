@@ -1,4 +1,4 @@
-const { requestGitHubJson } = require('./client');
+const { GITHUB_MAX_LIST_ITEMS, requestGitHubPages } = require('./client');
 const { resolveGitHubRepoContext } = require('./context');
 
 const GITHUB_RELEASES_LIST_SCHEMA_VERSION = 'github.releases-list.v1';
@@ -54,7 +54,7 @@ function summarizeRelease(release) {
 async function listGitHubReleases(options = {}) {
   const featureFlagEnabled = options.featureFlagEnabled === true;
   const allowApi = options.api !== false;
-  const limit = normalizeLimit(options.limit, 10, 100);
+  const limit = normalizeLimit(options.limit, 10, GITHUB_MAX_LIST_ITEMS);
   const context = resolveGitHubRepoContext(options);
 
   const report = {
@@ -91,17 +91,21 @@ async function listGitHubReleases(options = {}) {
     return report;
   }
 
-  const response = await requestGitHubJson({
-    apiPath: `/repos/${encodeURIComponent(context.target.owner)}/${encodeURIComponent(context.target.repo)}/releases?per_page=${limit}`,
+  const response = await requestGitHubPages({
+    apiPath: `/repos/${encodeURIComponent(context.target.owner)}/${encodeURIComponent(context.target.repo)}/releases?per_page=${Math.min(limit, 100)}`,
     apiBaseUrl: context.target.apiBaseUrl || 'https://api.github.com',
     token: context.tokenInfo.token,
     fetchImpl: options.fetchImpl,
     timeoutMs: options.timeoutMs,
+    maxItems: limit,
   });
 
   report.githubApi.attempted = true;
   report.githubApi.status = response.status;
   report.githubApi.rateLimit = response.rateLimit || null;
+  report.githubApi.fromCache = response.fromCache === true;
+  report.githubApi.pages = response.pages || 0;
+  report.githubApi.truncated = response.truncated === true;
 
   if (response.ok && Array.isArray(response.data)) {
     report.releases = response.data.slice(0, limit).map(summarizeRelease).filter(Boolean);
@@ -108,6 +108,7 @@ async function inspectGitHubRepository(options = {}) {
   report.githubApi.attempted = true;
   report.githubApi.status = response.status;
   report.githubApi.rateLimit = response.rateLimit || null;
+  report.githubApi.fromCache = response.fromCache === true;
 
   if (response.ok && response.data) {
     report.githubApi.repository = summarizeRepository(response.data);
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { LIKU_HOME } = require('../../shared/liku-home');
+
+const GITHUB_RESPONSE_CACHE_SCHEMA_VERSION = 'github.response-cache.v1';
+const GITHUB_RESPONSE_CACHE_DIR = path.join(LIKU_HOME, 'github', 'cache');
+const GITHUB_RESPONSE_CACHE_MAX_ENTRIES = 500;
+
+function isGitHubResponseCacheEnabled(options = {}, env = process.env) {
+  if (options.cache === false) return false;
+  return String(env.LIKU_GITHUB_CACHE || '').trim() !== '0';
+}
+
+function resolveCacheDir(options = {}) {
+  const explicit = String(options.cacheDir || '').trim();
+  return explicit ? path.resolve(explicit) : GITHUB_RESPONSE_CACHE_DIR;
+}
+
+// Entries are keyed by URL and a token fingerprint so two tokens with
+// different access never share a cached body.
+function buildGitHubResponseCacheKey(requestUrl, token = '') {
+  const tokenFingerprint = token
+    ? crypto.createHash('sha256').update(String(token)).digest('hex').slice(0, 16)
+    : 'anonymous';
+  return crypto.createHash('sha256').update(`${requestUrl}\n${tokenFingerprint}`).digest('hex');
+}
+
+function readGitHubCachedResponse(key, options = {}) {
+  const filePath = path.join(resolveCacheDir(options), `${key}.json`);
+  try {
+    const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (entry?.schemaVersion !== GITHUB_RESPONSE_CACHE_SCHEMA_VERSION) return null;
+    if (!entry.etag && !entry.lastModified) return null;
+    return entry;
+  } catch {
+    return null;
+  }
+}
+
+function pruneGitHubResponseCache(cacheDir, maxEntries = GITHUB_RESPONSE_CACHE_MAX_ENTRIES) {
+  let files = [];
+  try {
+    files = fs.readdirSync(cacheDir).filter((name) => name.endsWith('.json'));
+  } catch {
+    return 0;
+  }
+  if (files.length <= maxEntries) return 0;
+
+  const byAge = files
+    .map((name) => {
+      const filePath = path.join(cacheDir, name);
+      try {
+        return { filePath, mtimeMs: fs.statSync(filePath).mtimeMs };
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((left, right) => left.mtimeMs - right.mtimeMs);
+
+  let removed = 0;
+  for (const file of byAge.slice(0, byAge.length - maxEntries)) {
+    try {
+      fs.unlinkSync(file.filePath);
+      removed += 1;
+    } catch {}
+  }
+  return removed;
+}
+
+function writeGitHubCachedResponse(key, entry = {}, options = {}) {
+  if (!entry.etag && !entry.lastModified) return false;
+  const cacheDir = resolveCacheDir(options);
+  try {
+    if (!fs.existsSync(cacheDir)) {
+      fs.mkdirSync(cacheDir, { recursive: true, mode: 0o700 });
+    }
+    const payload = {
+      schemaVersion: GITHUB_RESPONSE_CACHE_SCHEMA_VERSION,
+      requestUrl: entry.requestUrl || null,
+      etag: entry.etag || null,
+      lastModified: entry.lastModified || null,
+      status: entry.status || 200,
+      data: entry.data === undefined ? null : entry.data,
+      scopes: Array.isArray(entry.scopes) ? entry.scopes : [],
+      link: entry.link || null,
+      storedAt: new Date().toISOString(),
+    };
+    fs.writeFileSync(path.join(cacheDir, `${key}.json`), JSON.stringify(payload), { encoding: 'utf8', mode: 0o600 });
+    pruneGitHubResponseCache(cacheDir, options.maxEntries || GITHUB_RESPONSE_CACHE_MAX_ENTRIES);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function clearGitHubResponseCache(options = {}) {
+  const cacheDir = resolveCacheDir(options);
+  let removed = 0;
+  try {
+    for (const name of fs.readdirSync(cacheDir)) {
+      if (!name.endsWith('.json')) continue;
+      fs.unlinkSync(path.join(cacheDir, name));
+      removed += 1;
+    }
+  } catch {}
+  return removed;
+}
+
+module.exports = {
+  GITHUB_RESPONSE_CACHE_DIR,
+  GITHUB_RESPONSE_CACHE_MAX_ENTRIES,
+  GITHUB_RESPONSE_CACHE_SCHEMA_VERSION,
+  buildGitHubResponseCacheKey,
+  clearGitHubResponseCache,
+  isGitHubResponseCacheEnabled,
+  pruneGitHubResponseCache,
+  readGitHubCachedResponse,
+  writeGitHubCachedResponse,
+};
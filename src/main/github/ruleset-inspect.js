@@ -52,6 +52,7 @@ async function inspectGitHubRuleset(options = {}) {
   report.githubApi.attempted = true;
   report.githubApi.status = response.status;
   report.githubApi.rateLimit = response.rateLimit || null;
+  report.githubApi.fromCache = response.fromCache === true;
 
   if (response.ok && response.data) {
     report.ruleset = summarizeRuleset(response.data);
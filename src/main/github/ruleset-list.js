@@ -1,4 +1,4 @@
-const { requestGitHubJson } = require('./client');
+const { GITHUB_MAX_LIST_ITEMS, requestGitHubPages } = require('./client');
 const { resolveGitHubRepoContext } = require('./context');
 const {
   appendUnauthenticatedWarning,
@@ -13,7 +13,7 @@ const GITHUB_RULESET_LIST_SCHEMA_VERSION = 'github.ruleset-list.v1';
 async function listGitHubRulesets(options = {}) {
   const featureFlagEnabled = options.featureFlagEnabled === true;
   const allowApi = options.api !== false;
-  const limit = normalizeLimit(options.limit, 20, 100);
+  const limit = normalizeLimit(options.limit, 20, GITHUB_MAX_LIST_ITEMS);
   const context = resolveGitHubRepoContext(options);
 
   const report = createGovernanceReadReport({
@@ -35,17 +35,21 @@ async function listGitHubRulesets(options = {}) {
     return report;
   }
 
-  const response = await requestGitHubJson({
-    apiPath: `/repos/${encodeURIComponent(context.target.owner)}/${encodeURIComponent(context.target.repo)}/rulesets?per_page=${limit}`,
+  const response = await requestGitHubPages({
+    apiPath: `/repos/${encodeURIComponent(context.target.owner)}/${encodeURIComponent(context.target.repo)}/rulesets?per_page=${Math.min(limit, 100)}`,
     apiBaseUrl: context.target.apiBaseUrl || 'https://api.github.com',
     token: context.tokenInfo.token,
     fetchImpl: options.fetchImpl,
     timeoutMs: options.timeoutMs,
+    maxItems: limit,
   });
 
   report.githubApi.attempted = true;
   report.githubApi.status = response.status;
   report.githubApi.rateLimit = response.rateLimit || null;
+  report.githubApi.fromCache = response.fromCache === true;
+  report.githubApi.pages = response.pages || 0;
+  report.githubApi.truncated = response.truncated === true;
 
   const items = Array.isArray(response.data)
     ? response.data
@@ -53,6 +53,7 @@ async function inspectGitHubSecret(options = {}) {
   report.githubApi.attempted = true;
   report.githubApi.status = response.status;
   report.githubApi.rateLimit = response.rateLimit || null;
+  report.githubApi.fromCache = response.fromCache === true;
 
   if (response.ok && response.data) {
     report.secret = sanitizeSecretMetadata(response.data);
@@ -1,4 +1,4 @@
-const { requestGitHubJson } = require('./client');
+const { GITHUB_MAX_LIST_ITEMS, requestGitHubPages } = require('./client');
 const { resolveGitHubRepoContext } = require('./context');
 const {
   appendUnauthenticatedWarning,
@@ -13,7 +13,7 @@ const GITHUB_SECRET_LIST_SCHEMA_VERSION = 'github.secret-list.v1';
 async function listGitHubSecrets(options = {}) {
   const featureFlagEnabled = options.featureFlagEnabled === true;
   const allowApi = options.api !== false;
-  const limit = normalizeLimit(options.limit, 50, 100);
+  const limit = normalizeLimit(options.limit, 50, GITHUB_MAX_LIST_ITEMS);
   const context = resolveGitHubRepoContext(options);
 
   const report = createGovernanceReadReport({
@@ -36,17 +36,22 @@ async function listGitHubSecrets(options = {}) {
     return report;
   }
 
-  const response = await requestGitHubJson({
-    apiPath: `/repos/${encodeURIComponent(context.target.owner)}/${encodeURIComponent(context.target.repo)}/actions/secrets?per_page=${limit}`,
+  const response = await requestGitHubPages({
+    apiPath: `/repos/${encodeURIComponent(context.target.owner)}/${encodeURIComponent(context.target.repo)}/actions/secrets?per_page=${Math.min(limit, 100)}`,
     apiBaseUrl: context.target.apiBaseUrl || 'https://api.github.com',
     token: context.tokenInfo.token,
     fetchImpl: options.fetchImpl,
     timeoutMs: options.timeoutMs,
+    maxItems: limit,
+    itemsKey: 'secrets',
   });
 
   report.githubApi.attempted = true;
   report.githubApi.status = response.status;
   report.githubApi.rateLimit = response.rateLimit || null;
+  report.githubApi.fromCache = response.fromCache === true;
+  report.githubApi.pages = response.pages || 0;
+  report.githubApi.truncated = response.truncated === true;
 
   const items = Array.isArray(response.data?.secrets)
     ? response.data.secrets
@@ -23,6 +23,7 @@ function normalizeArea(area) {
   if (value === 'templates') return 'template';
   if (value === 'hooks' || value === 'webhooks') return 'webhook';
   if (value === 'apps') return 'app';
+  if (value === 'commits') return 'commit';
   return value;
 }
 
@@ -71,6 +72,8 @@ function formatHelp() {
     '/github context bundle issue <number> [--slug owner/repo] [--api false] [--out-file <path>]',
     '/github context bundle repo [--slug owner/repo] [--limit N] [--api false] [--out-file <path>]',
     '/github issues comment draft <number> (--body <text> | --body-file <path>) [--slug owner/repo]',
+    '/github issues create draft (--title <text> | --title-file <path>) [--body <text> | --body-file <path>] [--template <name>] [--labels a,b] [--assignees user1,user2] [--milestone <number|title>] [--slug owner/repo] [--api false]',
+    '/github issues triage draft <number> [--labels a,b] [--remove-labels c] [--assignees user1] [--remove-assignees user2] [--milestone <number|title|none>] [--slug owner/repo] [--api false]',
     '/github pr create draft --title <text> [--body <text> | --body-file <path>] [--base branch] [--head branch|owner:branch] [--draft true|false] [--slug owner/repo] [--api false]',
     '/github pr comment draft <number> (--body <text> | --body-file <path>) [--slug owner/repo]',
     '/github pr review draft <number> --event <comment|approve|request-changes> [--body <text> | --body-file <path>] [--slug owner/repo]',
@@ -111,10 +114,13 @@ function formatHelp() {
     '/github pr status [--slug owner/repo] [--branch name] [--head owner:branch] [--state open|closed|all] [--api false]',
     '/github pr view [--slug owner/repo] [--branch name] [--head owner:branch] [--state open|closed|all] [--api false]',
     '/github pr feedback [<number>] [--slug owner/repo] [--branch name] [--head owner:branch] [--state open|closed|all] [--limit N] [--api false]',
+    '/github pr checks [<number>] [--slug owner/repo] [--branch name] [--head owner:branch] [--limit N] [--api false]',
     '/github pr inspect <number> [--slug owner/repo] [--api false]',
     '/github pr diff <number> [--slug owner/repo] [--limit N] [--api false]',
+    '/github commit status <sha|branch|tag> [--slug owner/repo] [--limit N] [--api false]',
     '/github workflow runs [--slug owner/repo] [--workflow id|file] [--branch name] [--status value] [--event name] [--limit N] [--api false]',
     '/github workflow inspect <run-id> [--slug owner/repo] [--api false]',
+    '/github workflow logs <run-id> [--slug owner/repo] [--api false]',
     '/github workflow validate <path> [--body <text> | --body-file <path>] [--slug owner/repo]',
     '/github workflow permissions inspect <path> [--body <text> | --body-file <path>] [--slug owner/repo]',
     '/github workflow requirements inspect <path> [--body <text> | --body-file <path>] [--slug owner/repo]',
@@ -138,16 +144,19 @@ function formatHelp() {
     '- `/github event list ...` and `/github event inspect ...` read the local GitHub event journal under the Liku home directory; this Phase 10B slice provides durable storage and inspection only, not a live webhook receiver.',
     '- `/github context bundle ...` writes a reviewed, sanitized local artifact for PR, issue, or repo context before any future orchestration consumes it.',
     '- `/github issues comment draft ...` writes a reviewed, sanitized local preview artifact but does not mutate GitHub yet.',
+    '- `/github issues create draft ...` and `/github issues triage draft ...` validate labels, assignees, and milestones against the repository before writing the preview; `--template` fills the body from an issue template.',
     '- `/github pr create draft ...` writes a reviewed, sanitized local preview artifact but does not mutate GitHub yet.',
     '- `/github pr comment draft ...` writes a reviewed, sanitized local preview artifact but does not mutate GitHub yet.',
     '- `/github pr review draft ...` writes a reviewed, sanitized local preview artifact but does not mutate GitHub yet.',
     '- `/github pr close draft ...` and `/github pr reopen draft ...` write reviewed, sanitized local preview artifacts but do not mutate GitHub yet.',
     '- `/github pr status ...` defaults to the current git branch; `/github pr view ...` is an alias for the same branch-associated lookup.',
     '- `/github pr feedback ...` accepts an explicit PR number or defaults to the same branch-associated lookup used by `/github pr status`.',
+    '- `/github pr checks ...` and `/github commit status ...` list check runs and commit statuses for the PR head or ref and print check annotations as `path:line` so answers can open the annotated source lines.',
     '- `/github pr review draft ...` accepts `--event comment|approve|request-changes`; approve may omit a body, while comment/request-changes require one.',
     '- `/github pr close draft ...` and `/github pr reopen draft ...` are intended for reversible PR state transitions through the same CLI-only apply seam.',
     '- `/github pr create draft ...` defaults the head branch to the current git branch and can derive the base branch from the repository default branch when API lookup is allowed.',
     '- `/github workflow validate ...`, `/github workflow permissions inspect ...`, and `/github workflow requirements inspect ...` analyze workflow text locally and reuse the same workflow hardening rules enforced by repository verification.',
+    '- `/github workflow logs ...` downloads run logs into credential-scrubbed local artifacts and prints each failing step\'s error region with log line numbers, so answers can cite `<log>:<line>` exactly.',
     '- `/github workflow create draft ...` and `/github workflow update draft ...` preview repo-content patches that apply through a dedicated branch plus draft pull request instead of mutating the default branch directly.',
     '- `/github workflow dispatch draft ...`, `/github workflow rerun draft ...`, and `/github workflow cancel draft ...` use the same reviewed preview/apply seam for GitHub Actions operational commands.',
     '- Actual apply remains intentionally CLI-only in this reviewed GitHub write slice: use `liku github apply <preview-id> --approve --approval-file <path>`.',
@@ -836,6 +845,93 @@ function formatIssueCommentDraft(report) {
   return [...lines, ...formatWarnings(report.warnings)].join('\n');
 }
 
+function formatIssueMetadataLines(draft = {}) {
+  const lines = [];
+  if (draft.labels?.length) {
+    lines.push(`Labels: ${draft.labels.join(', ')}`);
+  }
+  if (draft.assignees?.length) {
+    lines.push(`Assignees: ${draft.assignees.join(', ')}`);
+  }
+  if (draft.milestone) {
+    lines.push(`Milestone: ${draft.milestone.title ? `${draft.milestone.title} (#${draft.milestone.number})` : `#${draft.milestone.number}`}`);
+  }
+  return lines;
+}
+
+function formatIssueCreateDraft(report) {
+  const lines = [
+    'GitHub issue create draft',
+    `Target: ${report.target?.slug || report.repoIdentity?.repoName || 'unknown'}`,
+    `Preview: ${report.previewId || 'unknown'}`,
+    `Artifacts: preview=${report.previewArtifact?.filePath || 'n/a'} approval=${report.approvalArtifact?.filePath || 'n/a'}`,
+    `Review: sensitivity=${report.review?.sensitivity || 'unknown'} redactions=${report.review?.redactionCount ?? 0} reviewRequired=${report.review?.reviewRequired ? 'yes' : 'no'}`,
+    `Title: ${report.draft?.titlePreview || 'n/a'}`,
+    `Body source: ${report.draft?.bodySource || 'unknown'}`,
+  ];
+
+  if (report.template) {
+    lines.push(`Template: ${report.template.path} (${report.template.kind})`);
+  }
+
+  lines.push(...formatIssueMetadataLines(report.draft));
+
+  if (report.draft?.bodyPreview) {
+    lines.push(`Preview text: ${report.draft.bodyPreview}`);
+  }
+
+  if (report.instructions?.cliApply) {
+    lines.push(`Apply via CLI: ${report.instructions.cliApply}`);
+  }
+
+  if (report.instructions?.note) {
+    lines.push(`Note: ${report.instructions.note}`);
+  }
+
+  return [...lines, ...formatWarnings(report.warnings)].join('\n');
+}
+
+function formatIssueTriageDraft(report) {
+  const requested = report.draft?.requested || {};
+  const changes = report.draft?.changes;
+  const lines = [
+    'GitHub issue triage draft',
+    `Target: ${(report.target?.slug || report.repoIdentity?.repoName || 'unknown')} #${report.issueNumber || '?'}`,
+    `Preview: ${report.previewId || 'unknown'}`,
+    `Artifacts: preview=${report.previewArtifact?.filePath || 'n/a'} approval=${report.approvalArtifact?.filePath || 'n/a'}`,
+  ];
+
+  if (report.currentIssue?.title) {
+    lines.push(`Issue: ${report.currentIssue.title} [${report.currentIssue.state || 'unknown'}]`);
+  }
+
+  const addLabels = changes ? changes.labels.added : requested.addLabels || [];
+  const removeLabels = changes ? changes.labels.removed : requested.removeLabels || [];
+  const addAssignees = changes ? changes.assignees.added : requested.addAssignees || [];
+  const removeAssignees = changes ? changes.assignees.removed : requested.removeAssignees || [];
+  if (addLabels.length || removeLabels.length) {
+    lines.push(`Labels: ${[...addLabels.map((label) => `+${label}`), ...removeLabels.map((label) => `-${label}`)].join(' ')}`);
+  }
+  if (addAssignees.length || removeAssignees.length) {
+    lines.push(`Assignees: ${[...addAssignees.map((login) => `+${login}`), ...removeAssignees.map((login) => `-${login}`)].join(' ')}`);
+  }
+  if (requested.clearMilestone) {
+    lines.push('Milestone: cleared');
+  } else if (requested.milestone) {
+    lines.push(`Milestone: ${requested.milestone.title ? `${requested.milestone.title} (#${requested.milestone.number})` : `#${requested.milestone.number}`}`);
+  }
+
+  if (report.instructions?.cliApply) {
+    lines.push(`Apply via CLI: ${report.instructions.cliApply}`);
+  }
+
+  if (report.instructions?.note) {
+    lines.push(`Note: ${report.instructions.note}`);
+  }
+
+  return [...lines, ...formatWarnings(report.warnings)].join('\n');
+}
+
 function formatPullRequestCommentDraft(report) {
   const lines = [
     'GitHub pull request comment draft',
@@ -1064,6 +1160,64 @@ function formatFeedbackEntries(label, entries, apiReport) {
   return lines;
 }
 
+function formatCheckOutcomes(report) {
+  const lines = [];
+  const summary = report.summary;
+  if (summary) {
+    lines.push(`Checks: ${summary.state} (failing=${summary.failing} pending=${summary.pending} passing=${summary.passing}${summary.cancelled ? ` cancelled=${summary.cancelled}` : ''})`);
+  }
+
+  const checkRuns = Array.isArray(report.checkRuns) ? report.checkRuns : [];
+  const statuses = Array.isArray(report.combinedStatus?.statuses) ? report.combinedStatus.statuses : [];
+  const notable = [
+    ...checkRuns.map((run) => ({ outcome: run.outcome, text: `${run.name || run.id} [${run.conclusion || run.status}]${run.htmlUrl ? ` ${run.htmlUrl}` : ''}` })),
+    ...statuses.map((status) => ({ outcome: status.outcome, text: `${status.context || status.id} [status ${status.state}]${status.description ? ` ${truncate(status.description, 60)}` : ''}` })),
+  ].filter((entry) => entry.outcome !== 'passing');
+  if (notable.length > 0) {
+    lines.push('Not passing:');
+    lines.push(...notable.slice(0, 12).map((entry) => `- ${entry.text}`));
+  }
+
+  const annotations = Array.isArray(report.annotations) ? report.annotations : [];
+  if (annotations.length > 0) {
+    lines.push(`Annotations (${annotations.length}):`);
+    lines.push(...annotations.slice(0, 15).map((annotation) => `- ${annotation.location || '(no file)'} ${annotation.level || 'notice'} ${annotation.checkRunName ? `[${annotation.checkRunName}] ` : ''}${truncate(annotation.title || annotation.message, 120)}`));
+  }
+  return lines;
+}
+
+function formatPullRequestChecks(report) {
+  const lines = [
+    'GitHub pull request checks',
+    `Target: ${report.target?.slug || report.repoIdentity?.repoName || 'unknown'}`,
+    `Lookup: ${report.lookup?.status || 'unknown'}${report.lookup?.headQuery ? ` (${report.lookup.headQuery})` : ''}`,
+  ];
+
+  if (report.pullRequest) {
+    lines.push(`PR: #${report.pullRequest.number} ${report.pullRequest.title || ''}`.trim());
+    lines.push(`Head: ${report.pullRequest.head?.ref || '?'} @ ${String(report.headSha || '?').slice(0, 12)}`);
+  } else if (report.lookup?.status === 'not-found') {
+    lines.push(`No pull request currently matches ${report.lookup?.headQuery || 'the requested PR'}.`);
+  } else if (report.githubApi?.error) {
+    lines.push(`GitHub PR checks: unavailable (${report.githubApi.error})`);
+  }
+
+  return [...lines, ...formatCheckOutcomes(report), ...formatWarnings(report.warnings)].join('\n');
+}
+
+function formatCommitStatus(report) {
+  const lines = [
+    'GitHub commit status',
+    `Target: ${report.target?.slug || report.repoIdentity?.repoName || 'unknown'}`,
+    `Ref: ${report.ref || 'unknown'}${report.combinedStatus?.sha ? ` (${report.combinedStatus.sha.slice(0, 12)})` : ''}`,
+  ];
+  if (report.githubApi?.error) {
+    lines.push(`GitHub commit status: unavailable (${report.githubApi.error})`);
+  }
+
+  return [...lines, ...formatCheckOutcomes(report), ...formatWarnings(report.warnings)].join('\n');
+}
+
 function formatPullRequestFeedback(report) {
   const lines = [
     'GitHub pull request feedback',
@@ -1185,6 +1339,39 @@ function formatWorkflowInspect(report) {
   return [...lines, ...formatWarnings(report.warnings)].join('\n');
 }
 
+function formatWorkflowLogs(report) {
+  const lines = [
+    'GitHub workflow logs',
+    `Target: ${report.target?.slug || report.repoIdentity?.repoName || 'unknown'}`,
+    `Run: ${report.runId}`,
+  ];
+
+  if (!report.artifact) {
+    lines.push(report.githubApi?.attempted
+      ? `Logs: unavailable (${report.githubApi.error || 'unknown error'})`
+      : 'Logs: API retrieval skipped');
+    return [...lines, ...formatWarnings(report.warnings)].join('\n');
+  }
+
+  lines.push(
+    `Artifacts: ${report.artifact.directory} (${report.artifact.fileCount} files)`,
+    `Failing steps: ${report.failingSteps.length}`
+  );
+  report.failingSteps.forEach((step) => {
+    const stepLabel = step.stepNumber !== null ? `${step.stepNumber} ${step.stepName || 'step'}` : 'job log';
+    const summary = step.summary;
+    lines.push(`- ${step.jobName || 'job'} › ${stepLabel} [${step.conclusion || 'failure'}]${summary?.tool ? ` ${summary.tool}` : ''}${summary?.headline ? `: ${truncate(summary.headline, 120)}` : ''}`);
+    if (!summary) {
+      lines.push('  (no log file for this step)');
+      return;
+    }
+    lines.push(`  Log: ${step.logPath} lines ${summary.region.startLine}-${summary.region.endLine}${summary.exitCode !== null ? ` (exit ${summary.exitCode})` : ''}`);
+    lines.push(...summary.region.lines.map((entry) => `  L${entry.line}: ${entry.text}`));
+  });
+
+  return [...lines, ...formatWarnings(report.warnings)].join('\n');
+}
+
 function formatWorkflowValidate(report) {
   const lines = [
     'GitHub workflow validate',
@@ -1194,6 +1381,7 @@ function formatWorkflowValidate(report) {
     `Triggers/jobs: ${(report.summary?.triggers || []).join(', ') || 'none'} / ${report.summary?.jobCount ?? 0}`,
     `Validation: ${report.validation?.valid ? 'valid' : 'needs-attention'}`,
     `Policy violations: ${report.policyCheck?.violationCount ?? 0}`,
+    `Security findings: ${report.policyCheck?.findingCount ?? 0}`,
   ];
 
   if (Array.isArray(report.validation?.errors) && report.validation.errors.length > 0) {
@@ -1202,6 +1390,9 @@ function formatWorkflowValidate(report) {
   if (Array.isArray(report.policyCheck?.violations) && report.policyCheck.violations.length > 0) {
     lines.push(...report.policyCheck.violations.slice(0, 6).map((entry) => `- ${entry}`));
   }
+  if (Array.isArray(report.policyCheck?.findings) && report.policyCheck.findings.length > 0) {
+    lines.push(...report.policyCheck.findings.slice(0, 8).map((finding) => `- ${finding.file}:${finding.line}:${finding.column} ${finding.severity} [${finding.rule}] ${finding.message}`));
+  }
 
   return [...lines, ...formatWarnings(report.warnings)].join('\n');
 }
@@ -1386,6 +1577,8 @@ const slashFormatters = {
   'environment.list': formatEnvironmentList,
   'environment.inspect': formatEnvironmentInspect,
   'issues.comment.draft': formatIssueCommentDraft,
+  'issues.create.draft': formatIssueCreateDraft,
+  'issues.triage.draft': formatIssueTriageDraft,
   'ruleset.list': formatRulesetList,
   'ruleset.inspect': formatRulesetInspect,
   'secret.list': formatSecretList,
@@ -1414,10 +1607,13 @@ const slashFormatters = {
   'pr.list': formatPullRequestList,
   'pr.status': formatPullRequestStatus,
   'pr.feedback': formatPullRequestFeedback,
+  'pr.checks': formatPullRequestChecks,
+  'commit.status': formatCommitStatus,
   'pr.inspect': formatPullRequestInspect,
   'pr.diff': formatPullRequestDiff,
   'workflow.runs': formatWorkflowRuns,
   'workflow.inspect': formatWorkflowInspect,
+  'workflow.logs': formatWorkflowLogs,
   'workflow.validate': formatWorkflowValidate,
   'workflow.permissions.inspect': formatWorkflowPermissionsInspect,
   'workflow.requirements.inspect': formatWorkflowRequirementsInspect,
@@ -1453,9 +1649,13 @@ function createGitHubSlashCommandHandler(dependencies = {}) {
     inspectGitHubEnvironment: dependencies.inspectGitHubEnvironment,
     inspectGitHubIssue: dependencies.inspectGitHubIssue,
     inspectGitHubPullRequestFeedback: dependencies.inspectGitHubPullRequestFeedback,
+    inspectGitHubPullRequestChecks: dependencies.inspectGitHubPullRequestChecks,
+    inspectGitHubCommitStatus: dependencies.inspectGitHubCommitStatus,
     inspectGitHubPullRequest: dependencies.inspectGitHubPullRequest,
     inspectGitHubPullRequestDiff: dependencies.inspectGitHubPullRequestDiff,
     inspectGitHubPullRequestStatus: dependencies.inspectGitHubPullRequestStatus,
+    draftGitHubIssueCreate: dependencies.draftGitHubIssueCreate,
+    draftGitHubIssueTriage: dependencies.draftGitHubIssueTriage,
     draftGitHubPullRequestReview: dependencies.draftGitHubPullRequestReview,
     draftGitHubPullRequestClose: dependencies.draftGitHubPullRequestClose,
     draftGitHubPullRequestReopen: dependencies.draftGitHubPullRequestReopen,
@@ -1464,6 +1664,7 @@ function createGitHubSlashCommandHandler(dependencies = {}) {
     draftGitHubWorkflowDispatch: dependencies.draftGitHubWorkflowDispatch,
     draftGitHubWorkflowRerun: dependencies.draftGitHubWorkflowRerun,
     draftGitHubWorkflowCancel: dependencies.draftGitHubWorkflowCancel,
+    fetchGitHubWorkflowLogs: dependencies.fetchGitHubWorkflowLogs,
     inspectGitHubRelease: dependencies.inspectGitHubRelease,
     inspectGitHubRepository: dependencies.inspectGitHubRepository,
     inspectGitHubRuleset: dependencies.inspectGitHubRuleset,
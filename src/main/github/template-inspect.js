@@ -65,6 +65,12 @@ function isTemplateFileName(fileName) {
   return ISSUE_TEMPLATE_EXTENSIONS.has(path.extname(String(fileName || '')).toLowerCase());
 }
 
+// Issue drafts need the full template text, not just the preview lines.
+function summarizeTemplate(text, relativePath, options = {}) {
+  const summary = summarizeTemplateFileContent(text, relativePath);
+  return options.includeContent === true ? { ...summary, content: String(text || '') } : summary;
+}
+
 function inspectLocalTemplateFiles(context, options = {}) {
   for (const projectRoot of listLocalRoots(context, options)) {
     const pullRequestTemplates = [];
@@ -84,7 +90,7 @@ function inspectLocalTemplateFiles(context, options = {}) {
       }
       seenPullRequestTemplatePaths.add(canonicalPath);
       const text = fs.readFileSync(absolutePath, 'utf8');
-      pullRequestTemplates.push(summarizeTemplateFileContent(text, relativePath));
+      pullRequestTemplates.push(summarizeTemplate(text, relativePath, options));
     }
 
     const issueTemplates = [];
@@ -100,7 +106,7 @@ function inspectLocalTemplateFiles(context, options = {}) {
           const relativePath = `${ISSUE_TEMPLATE_DIRECTORY}/${entry.name}`;
           const absolutePath = path.join(issueTemplateDirectoryPath, entry.name);
           const text = fs.readFileSync(absolutePath, 'utf8');
-          issueTemplates.push(summarizeTemplateFileContent(text, relativePath));
+          issueTemplates.push(summarizeTemplate(text, relativePath, options));
         }
       }
     }
@@ -134,7 +140,8 @@ async function fetchRemoteTemplateFile(context, options, relativePath) {
       attempted: true,
       status: response.status,
       rateLimit: response.rateLimit || null,
-      summary: summarizeTemplateFileContent(text, response.data.path || relativePath),
+      fromCache: response.fromCache === true,
+      summary: summarizeTemplate(text, response.data.path || relativePath, options),
     };
   }
 
@@ -143,6 +150,7 @@ async function fetchRemoteTemplateFile(context, options, relativePath) {
       attempted: true,
       status: response.status,
       rateLimit: response.rateLimit || null,
+      fromCache: response.fromCache === true,
       missing: true,
     };
   }
@@ -151,6 +159,7 @@ async function fetchRemoteTemplateFile(context, options, relativePath) {
     attempted: true,
     status: response.status,
     rateLimit: response.rateLimit || null,
+    fromCache: response.fromCache === true,
     error: response.error || response.data?.message || `GitHub template inspection failed (${response.status})`,
   };
 }
@@ -169,6 +178,7 @@ async function listRemoteIssueTemplateEntries(context, options) {
       attempted: true,
       status: response.status,
       rateLimit: response.rateLimit || null,
+      fromCache: response.fromCache === true,
       entries: response.data
         .filter((entry) => entry?.type === 'file' && isTemplateFileName(entry.path || entry.name))
         .map((entry) => entry.path || `${ISSUE_TEMPLATE_DIRECTORY}/${entry.name}`),
@@ -180,6 +190,7 @@ async function listRemoteIssueTemplateEntries(context, options) {
       attempted: true,
       status: response.status,
       rateLimit: response.rateLimit || null,
+      fromCache: response.fromCache === true,
       entries: [],
     };
   }
@@ -188,6 +199,7 @@ async function listRemoteIssueTemplateEntries(context, options) {
     attempted: true,
     status: response.status,
     rateLimit: response.rateLimit || null,
+    fromCache: response.fromCache === true,
     error: response.error || response.data?.message || `GitHub template directory inspection failed (${response.status})`,
   };
 }
@@ -196,6 +208,7 @@ async function inspectRemoteTemplates(context, options) {
   let attempted = false;
   let status = null;
   let rateLimit = null;
+  let fromCache = true;
   const pullRequestTemplates = [];
   const issueTemplates = [];
 
@@ -204,10 +217,11 @@ async function inspectRemoteTemplates(context, options) {
     attempted = attempted || result.attempted === true;
     status = result.status || status;
     rateLimit = result.rateLimit || rateLimit;
+    fromCache = fromCache && result.fromCache === true;
     if (result.summary) {
       pullRequestTemplates.push(result.summary);
     } else if (result.error) {
-      return { attempted, status, rateLimit, error: result.error };
+      return { attempted, status, rateLimit, fromCache, error: result.error };
     }
   }
 
@@ -215,9 +229,10 @@ async function inspectRemoteTemplates(context, options) {
   attempted = attempted || issueDirectoryResult.attempted === true;
   status = issueDirectoryResult.status || status;
   rateLimit = issueDirectoryResult.rateLimit || rateLimit;
+  fromCache = fromCache && issueDirectoryResult.fromCache === true;
 
   if (issueDirectoryResult.error) {
-    return { attempted, status, rateLimit, error: issueDirectoryResult.error };
+    return { attempted, status, rateLimit, fromCache, error: issueDirectoryResult.error };
   }
 
   for (const relativePath of issueDirectoryResult.entries || []) {
@@ -225,10 +240,11 @@ async function inspectRemoteTemplates(context, options) {
     attempted = attempted || result.attempted === true;
     status = result.status || status;
     rateLimit = result.rateLimit || rateLimit;
+    fromCache = fromCache && result.fromCache === true;
     if (result.summary) {
       issueTemplates.push(result.summary);
     } else if (result.error) {
-      return { attempted, status, rateLimit, error: result.error };
+      return { attempted, status, rateLimit, fromCache, error: result.error };
     }
   }
 
@@ -286,6 +302,7 @@ async function inspectGitHubTemplates(options = {}) {
   report.githubApi.attempted = remoteResult.attempted === true;
   report.githubApi.status = remoteResult.status;
   report.githubApi.rateLimit = remoteResult.rateLimit || null;
+  report.githubApi.fromCache = remoteResult.fromCache === true;
 
   if (remoteResult.error) {
     report.githubApi.error = remoteResult.error;
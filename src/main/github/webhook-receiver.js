@@ -0,0 +1,436 @@
+const crypto = require('crypto');
+const http = require('http');
+
+const { readGitHubEventLog } = require('./event-artifacts');
+const { ingestGitHubWebhookEvent } = require('./webhook-event-runtime');
+
+const GITHUB_WEBHOOK_RECEIVER_SCHEMA_VERSION = 'github.webhook-receiver.v1';
+const GITHUB_EVENT_SERVE_SCHEMA_VERSION = 'github.event-serve.v1';
+const DEFAULT_SECRET_ENV = 'LIKU_WEBHOOK_SECRET';
+const DEFAULT_RECEIVER_HOST = '127.0.0.1';
+const DEFAULT_RECEIVER_PATH = '/github/webhook';
+const DEFAULT_MAX_BODY_BYTES = 25 * 1024 * 1024;
+const DEFAULT_DEDUPE_LIMIT = 1000;
+const CONCLUSION_EVENTS = new Set(['check_suite', 'check_run', 'workflow_run', 'workflow_job']);
+const FAILED_CONCLUSIONS = new Set(['failure', 'timed_out', 'cancelled', 'action_required', 'startup_failure']);
+
+function normalizeText(value) {
+  return String(value || '').trim();
+}
+
+function createReceiverError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function verifyGitHubWebhookSignature(rawBody, signatureHeader, secret) {
+  const signature = normalizeText(signatureHeader);
+  if (!secret) {
+    return { valid: false, reason: 'missing-secret' };
+  }
+  if (!signature) {
+    return { valid: false, reason: 'missing-signature' };
+  }
+  if (!signature.startsWith('sha256=')) {
+    return { valid: false, reason: 'unsupported-signature' };
+  }
+
+  const expected = `sha256=${crypto.createHmac('sha256', String(secret)).update(rawBody || Buffer.alloc(0)).digest('hex')}`;
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const actualBuffer = Buffer.from(signature, 'utf8');
+  if (expectedBuffer.length !== actualBuffer.length || !crypto.timingSafeEqual(expectedBuffer, actualBuffer)) {
+    return { valid: false, reason: 'signature-mismatch' };
+  }
+  return { valid: true, reason: null };
+}
+
+// "check_suite:failure@pr,pull_request:opened,release" → [{ eventName, state, pullRequestsOnly }].
+// `state` matches the payload action, or the conclusion for check/workflow
+// events; `failure` also matches the other failed conclusions. `@pr` limits
+// the rule to deliveries tied to a pull request in the delivering repository.
+function parseGitHubNotifyRules(value) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(',');
+  return entries
+    .map((entry) => normalizeText(entry).toLowerCase())
+    .filter(Boolean)
+    .map((entry) => {
+      const pullRequestsOnly = entry.endsWith('@pr');
+      const [eventName, state] = entry.replace(/@pr$/, '').split(':').map((part) => normalizeText(part));
+      return { eventName, state: state || null, pullRequestsOnly };
+    })
+    .filter((rule) => rule.eventName);
+}
+
+function formatGitHubNotifyRule(rule) {
+  return `${rule.eventName}${rule.state ? `:${rule.state}` : ''}${rule.pullRequestsOnly ? '@pr' : ''}`;
+}
+
+function resolveEventConclusion(eventName, payload = {}) {
+  if (!CONCLUSION_EVENTS.has(eventName)) return null;
+  const resource = payload[eventName] || {};
+  return normalizeText(resource.conclusion).toLowerCase() || null;
+}
+
+// Pull requests opened against the delivering repository (not fork-only runs).
+function resolveOwnPullRequests(eventName, payload = {}) {
+  const repositoryId = payload.repository?.id;
+  if (eventName === 'pull_request' && payload.pull_request) {
+    return [payload.pull_request];
+  }
+  const resource = payload[eventName] || {};
+  const pullRequests = Array.isArray(resource.pull_requests) ? resource.pull_requests : [];
+  return pullRequests.filter((pullRequest) => !repositoryId || pullRequest?.base?.repo?.id === repositoryId);
+}
+
+function matchGitHubNotifyRule(rules = [], eventName, payload = {}) {
+  const action = normalizeText(payload.action).toLowerCase() || null;
+  const conclusion = resolveEventConclusion(eventName, payload);
+
+  return rules.find((rule) => {
+    if (rule.eventName !== '*' && rule.eventName !== eventName) return false;
+    if (rule.pullRequestsOnly && resolveOwnPullRequests(eventName, payload).length === 0) return false;
+    if (!rule.state) return true;
+    if (rule.state === action || rule.state === conclusion) return true;
+    return rule.state === 'failure' && FAILED_CONCLUSIONS.has(conclusion);
+  }) || null;
+}
+
+function buildGitHubEventNotification(ingestResult = {}, payload = {}, rule = null) {
+  const eventName = ingestResult.delivery?.eventName || null;
+  const conclusion = resolveEventConclusion(eventName, payload);
+  const pullRequests = resolveOwnPullRequests(eventName, payload)
+    .map((pullRequest) => Number(pullRequest?.number))
+    .filter((number) => Number.isInteger(number) && number > 0);
+  const failed = FAILED_CONCLUSIONS.has(conclusion);
+  const slug = ingestResult.target?.slug || null;
+  const subject = pullRequests.length
+    ? `${slug || 'repository'} PR ${pullRequests.map((number) => `#${number}`).join(', ')}`
+    : (slug || 'repository');
+
+  return {
+    id: `github-notif-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    at: new Date().toISOString(),
+    source: 'github-webhook',
+    kind: 'github-event',
+    severity: failed ? 'warning' : 'info',
+    advisory: `${eventName}${ingestResult.delivery?.action ? `.${ingestResult.delivery.action}` : ''}`
+      + `${conclusion ? ` (${conclusion})` : ''} on ${subject}`,
+    requiresHuman: false,
+    autonomousAction: false,
+    github: {
+      eventId: ingestResult.eventId || null,
+      eventName,
+      action: ingestResult.delivery?.action || null,
+      conclusion,
+      deliveryId: ingestResult.delivery?.deliveryId || null,
+      slug,
+      pullRequests,
+      rule: rule ? formatGitHubNotifyRule(rule) : null,
+    },
+  };
+}
+
+// Same path as peripheral alerts: the Supervisor's bounded inbox, then a
+// decoupled orchestrator event for CLI/UI consumers. Best-effort.
+function deliverGitHubEventNotification(orchestrator, notification) {
+  if (!orchestrator) return notification;
+  let delivered = null;
+  try {
+    const supervisor = orchestrator.agents && typeof orchestrator.agents.get === 'function'
+      ? orchestrator.agents.get('supervisor')
+      : null;
+    if (supervisor && typeof supervisor.receiveNotification === 'function') {
+      delivered = supervisor.receiveNotification(notification);
+    }
+  } catch { /* non-fatal */ }
+  const finalNotification = delivered || notification;
+  try {
+    if (typeof orchestrator.emit === 'function') {
+      orchestrator.emit('github:notification', finalNotification);
+      orchestrator.emit('supervisor:notification', finalNotification);
+    }
+  } catch { /* non-fatal */ }
+  return finalNotification;
+}
+
+function loadRecentDeliveryIds(limit) {
+  try {
+    return readGitHubEventLog({ limit })
+      .events
+      .map((event) => event.deliveryId)
+      .filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+function createGitHubWebhookReceiver(options = {}) {
+  const secret = normalizeText(options.secret);
+  if (!secret) {
+    throw createReceiverError('GITHUB_WEBHOOK_SECRET_REQUIRED', 'A webhook secret is required to verify X-Hub-Signature-256.');
+  }
+
+  const host = normalizeText(options.host) || DEFAULT_RECEIVER_HOST;
+  const port = Number.isInteger(Number(options.port)) ? Number(options.port) : 0;
+  const requestPath = normalizeText(options.path) || DEFAULT_RECEIVER_PATH;
+  const maxBodyBytes = Number(options.maxBodyBytes) > 0 ? Number(options.maxBodyBytes) : DEFAULT_MAX_BODY_BYTES;
+  const dedupeLimit = Number(options.dedupeLimit) > 0 ? Number(options.dedupeLimit) : DEFAULT_DEDUPE_LIMIT;
+  const notifyRules = parseGitHubNotifyRules(options.notify);
+  const ingest = typeof options.ingest === 'function' ? options.ingest : ingestGitHubWebhookEvent;
+  const seenDeliveryIds = new Set(options.seedDeliveryIds !== false ? loadRecentDeliveryIds(Math.min(200, dedupeLimit)) : []);
+  const stats = { received: 0, accepted: 0, duplicates: 0, rejected: 0, notifications: 0 };
+  let server = null;
+
+  function rememberDelivery(deliveryId) {
+    seenDeliveryIds.add(deliveryId);
+    if (seenDeliveryIds.size > dedupeLimit) {
+      seenDeliveryIds.delete(seenDeliveryIds.values().next().value);
+    }
+  }
+
+  function reject(statusCode, reason) {
+    stats.rejected += 1;
+    return { statusCode, body: { accepted: false, reason } };
+  }
+
+  async function handleDelivery({ headers = {}, rawBody = Buffer.alloc(0) } = {}) {
+    stats.received += 1;
+    const normalizedHeaders = Object.entries(headers).reduce((result, [key, value]) => {
+      result[String(key).toLowerCase()] = Array.isArray(value) ? value.join(', ') : String(value);
+      return result;
+    }, {});
+
+    const verification = verifyGitHubWebhookSignature(rawBody, normalizedHeaders['x-hub-signature-256'], secret);
+    if (!verification.valid) {
+      return reject(401, verification.reason);
+    }
+
+    const eventName = normalizeText(normalizedHeaders['x-github-event']);
+    const deliveryId = normalizeText(normalizedHeaders['x-github-delivery']);
+    if (!eventName || !deliveryId) {
+      return reject(400, 'missing-event-headers');
+    }
+    if (seenDeliveryIds.has(deliveryId)) {
+      stats.duplicates += 1;
+      return { statusCode: 200, body: { accepted: false, duplicate: true, deliveryId } };
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(rawBody).toString('utf8') || '{}');
+    } catch {
+      return reject(400, 'invalid-json');
+    }
+
+    // Reserve the id before ingesting so a redelivery that arrives while the
+    // first copy is still being journaled is dropped; release it on failure
+    // so GitHub's retry can be accepted.
+    rememberDelivery(deliveryId);
+    let result;
+    try {
+      result = await ingest({
+        headers: normalizedHeaders,
+        payload,
+        source: 'github-webhook-receiver',
+      });
+    } catch (error) {
+      seenDeliveryIds.delete(deliveryId);
+      throw error;
+    }
+    if (!result || result.success === false) {
+      seenDeliveryIds.delete(deliveryId);
+      return reject(400, result?.message || 'ingest-failed');
+    }
+    stats.accepted += 1;
+
+    let notification = null;
+    const rule = matchGitHubNotifyRule(notifyRules, eventName, payload);
+    if (rule) {
+      notification = deliverGitHubEventNotification(options.orchestrator, buildGitHubEventNotification(result, payload, rule));
+      stats.notifications += 1;
+      if (typeof options.onNotification === 'function') {
+        try { options.onNotification(notification); } catch { /* non-fatal */ }
+      }
+    }
+    if (typeof options.onDelivery === 'function') {
+      try { options.onDelivery(result, notification); } catch { /* non-fatal */ }
+    }
+
+    return {
+      statusCode: 202,
+      body: { accepted: true, deliveryId, eventId: result.eventId, notified: !!notification },
+    };
+  }
+
+  function handleRequest(request, response) {
+    const send = (statusCode, body) => {
+      response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(body));
+    };
+
+    const pathname = String(request.url || '').split('?')[0];
+    if (pathname !== requestPath) {
+      send(404, { accepted: false, reason: 'not-found' });
+      return;
+    }
+    if (request.method !== 'POST') {
+      send(405, { accepted: false, reason: 'method-not-allowed' });
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    let aborted = false;
+    request.on('data', (chunk) => {
+      if (aborted) return;
+      size += chunk.length;
+      if (size > maxBodyBytes) {
+        aborted = true;
+        stats.received += 1;
+        const rejected = reject(413, 'payload-too-large');
+        send(rejected.statusCode, rejected.body);
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => {
+      if (aborted) return;
+      handleDelivery({ headers: request.headers, rawBody: Buffer.concat(chunks) })
+        .then((result) => send(result.statusCode, result.body))
+        .catch((error) => send(500, { accepted: false, reason: error?.message || 'receiver-error' }));
+    });
+  }
+
+  function listen() {
+    return new Promise((resolve, reject) => {
+      server = http.createServer(handleRequest);
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        const address = server.address();
+        resolve({
+          schemaVersion: GITHUB_WEBHOOK_RECEIVER_SCHEMA_VERSION,
+          host,
+          port: address.port,
+          path: requestPath,
+          url: `http://${host}:${address.port}${requestPath}`,
+          notify: notifyRules.map(formatGitHubNotifyRule),
+        });
+      });
+    });
+  }
+
+  function close() {
+    return new Promise((resolve) => {
+      if (!server) {
+        resolve();
+        return;
+      }
+      server.close(() => resolve());
+      server = null;
+    });
+  }
+
+  return {
+    close,
+    handleDelivery,
+    handleRequest,
+    listen,
+    stats: () => ({ ...stats, seenDeliveries: seenDeliveryIds.size }),
+  };
+}
+
+function waitForStopSignal() {
+  return new Promise((resolve) => {
+    const stop = () => {
+      process.removeListener('SIGINT', stop);
+      process.removeListener('SIGTERM', stop);
+      resolve();
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+}
+
+// Executor adapter for `event serve`: listen until `waitForStop` settles
+// (SIGINT/SIGTERM by default), then report what was received. Matched
+// notifications go to `orchestrator`, or to the one `createOrchestrator`
+// builds once the secret is known to be set.
+async function serveGitHubWebhookEvents(options = {}) {
+  const env = options.env || process.env;
+  const secretEnv = normalizeText(options.secretEnv) || DEFAULT_SECRET_ENV;
+  const secret = normalizeText(env[secretEnv]);
+  if (!secret) {
+    return {
+      schemaVersion: GITHUB_EVENT_SERVE_SCHEMA_VERSION,
+      success: false,
+      error: 'USAGE',
+      message: `Webhook secret not found: set ${secretEnv} or pass --secret-env <NAME>.`,
+    };
+  }
+
+  let orchestrator = options.orchestrator || null;
+  if (!orchestrator && typeof options.createOrchestrator === 'function') {
+    try { orchestrator = options.createOrchestrator() || null; } catch { /* notifications stay local */ }
+  }
+
+  const receiver = createGitHubWebhookReceiver({
+    secret,
+    port: options.port,
+    host: options.host,
+    path: options.path,
+    notify: options.notify,
+    orchestrator,
+    ingest: options.ingest,
+    onDelivery: options.onDelivery,
+    onNotification: options.onNotification,
+  });
+
+  let listening;
+  try {
+    listening = await receiver.listen();
+  } catch (error) {
+    return {
+      schemaVersion: GITHUB_EVENT_SERVE_SCHEMA_VERSION,
+      success: false,
+      error: error.code || 'LISTEN_FAILED',
+      message: error.message,
+    };
+  }
+
+  const orchestratorAttached = !!orchestrator;
+  if (typeof options.onListening === 'function') {
+    try { options.onListening({ ...listening, secretEnv, orchestratorAttached }); } catch { /* non-fatal */ }
+  }
+
+  try {
+    await (typeof options.waitForStop === 'function' ? options.waitForStop(listening) : waitForStopSignal());
+  } finally {
+    await receiver.close();
+  }
+
+  return {
+    schemaVersion: GITHUB_EVENT_SERVE_SCHEMA_VERSION,
+    success: true,
+    featureFlagEnabled: options.featureFlagEnabled === true,
+    secretEnv,
+    orchestratorAttached,
+    listening,
+    stats: receiver.stats(),
+  };
+}
+
+module.exports = {
+  DEFAULT_RECEIVER_HOST,
+  DEFAULT_RECEIVER_PATH,
+  GITHUB_EVENT_SERVE_SCHEMA_VERSION,
+  GITHUB_WEBHOOK_RECEIVER_SCHEMA_VERSION,
+  buildGitHubEventNotification,
+  createGitHubWebhookReceiver,
+  deliverGitHubEventNotification,
+  matchGitHubNotifyRule,
+  parseGitHubNotifyRules,
+  serveGitHubWebhookEvents,
+  verifyGitHubWebhookSignature,
+};
@@ -5,6 +5,19 @@ const {
   collectWorkflowPolicyViolations,
   stripInlineComment,
 } = require('./workflow-policy');
+const {
+  collectWorkflowActionUses,
+  collectWorkflowSecurityFindings,
+  collectWorkflowTriggerNames,
+  listWorkflowJobs,
+  parseWorkflowDocument,
+} = require('./workflow-security');
+const {
+  getYamlMapEntry,
+  getYamlMapValue,
+  getYamlScalarValue,
+  resolveYamlNode,
+} = require('./yaml-ast');
 
 const externalActionPattern = /^\s*(?:-\s*)?uses:\s*(['"]?)([^'"\n]+)\1\s*$/gm;
 const secretReferencePattern = /\$\{\{\s*secrets\.([A-Za-z0-9_]+)\s*\}\}/g;
@@ -321,28 +334,108 @@ function collectJobs(lines) {
   return jobs;
 }
 
-function inspectWorkflowPermissions(textOrLines) {
+function readScalarText(node) {
+  const value = getYamlScalarValue(node);
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function readPermissionsNode(entry) {
+  if (!entry) {
+    return {
+      values: null,
+      mode: 'missing',
+      raw: null,
+    };
+  }
+
+  const node = resolveYamlNode(entry.value);
+  if (node && node.kind === 'map') {
+    const values = {};
+    node.entries.forEach((permission) => {
+      const key = readScalarText(permission.key).toLowerCase();
+      if (key) {
+        values[key] = readScalarText(permission.value).toLowerCase() || null;
+      }
+    });
+    if (node.flow) {
+      return {
+        values,
+        mode: node.entries.length === 0 ? 'deny-all' : 'inline',
+        raw: node.entries.length === 0 ? '{}' : null,
+      };
+    }
+    return {
+      values,
+      mode: 'block',
+      raw: null,
+    };
+  }
+
+  const scalar = readScalarText(node);
+  if (!scalar) {
+    return {
+      values: {},
+      mode: 'block-empty',
+      raw: null,
+    };
+  }
+
+  return {
+    values: { __raw: scalar.toLowerCase() },
+    mode: 'scalar',
+    raw: scalar,
+  };
+}
+
+function collectJobsFromDocument(document) {
+  return listWorkflowJobs(document).map((job) => {
+    const environment = getYamlMapValue(job.node, 'environment');
+    const permissionsEntry = getYamlMapEntry(job.node, 'permissions');
+    return {
+      id: job.id,
+      name: readScalarText(getYamlMapValue(job.node, 'name')) || null,
+      environment: (environment && environment.kind === 'map'
+        ? readScalarText(getYamlMapValue(environment, 'name'))
+        : readScalarText(environment)) || null,
+      permissions: permissionsEntry ? readPermissionsNode(permissionsEntry).values || {} : null,
+    };
+  });
+}
+
+function readWorkflowText(textOrLines) {
+  return Array.isArray(textOrLines)
+    ? textOrLines.join('\n')
+    : String(textOrLines || '');
+}
+
+function inspectWorkflowPermissions(textOrLines, document = parseWorkflowDocument(readWorkflowText(textOrLines)).document) {
   const lines = Array.isArray(textOrLines)
     ? textOrLines.slice()
     : String(textOrLines || '').split(/\r?\n/);
 
   let topLevel = null;
   let topLevelMode = 'missing';
-  for (let index = 0; index < lines.length; index += 1) {
-    const stripped = stripInlineComment(lines[index]);
-    if (!stripped || getIndentLength(lines[index]) !== 0) {
-      continue;
-    }
+  if (document) {
+    const parsed = readPermissionsNode(getYamlMapEntry(document, 'permissions'));
+    topLevel = parsed.values;
+    topLevelMode = parsed.mode;
+  } else {
+    for (let index = 0; index < lines.length; index += 1) {
+      const stripped = stripInlineComment(lines[index]);
+      if (!stripped || getIndentLength(lines[index]) !== 0) {
+        continue;
+      }
 
-    if (/^permissions:\s*/i.test(stripped)) {
-      const parsed = parsePermissionsAt(lines, index);
-      topLevel = parsed.values;
-      topLevelMode = parsed.mode;
-      break;
+      if (/^permissions:\s*/i.test(stripped)) {
+        const parsed = parsePermissionsAt(lines, index);
+        topLevel = parsed.values;
+        topLevelMode = parsed.mode;
+        break;
+      }
     }
   }
 
-  const jobs = collectJobs(lines).map((job) => ({
+  const jobs = (document ? collectJobsFromDocument(document) : collectJobs(lines)).map((job) => ({
     id: job.id,
     name: job.name,
     environment: job.environment,
@@ -379,6 +472,10 @@ function inspectWorkflowPermissions(textOrLines) {
   };
 }
 
+function isReusableWorkflowReference(reference) {
+  return /\.github\/workflows\/.+@/i.test(reference) || /^\.\/\.github\/workflows\/.+/i.test(reference);
+}
+
 function collectRequirementsFromText(text) {
   const actionReferences = [];
   const secrets = [];
@@ -402,7 +499,7 @@ function collectRequirementsFromText(text) {
     inputs.push(String(match[1] || '').trim());
   }
 
-  const reusableWorkflows = actionReferences.filter((reference) => /\.github\/workflows\/.+@/i.test(reference) || /^\.\/\.github\/workflows\/.+/i.test(reference));
+  const reusableWorkflows = actionReferences.filter(isReusableWorkflowReference);
 
   return {
     actionReferences: uniqueSorted(actionReferences),
@@ -413,15 +510,18 @@ function collectRequirementsFromText(text) {
   };
 }
 
-function inspectWorkflowRequirements(textOrLines) {
-  const text = Array.isArray(textOrLines)
-    ? textOrLines.join('\n')
-    : String(textOrLines || '');
+function inspectWorkflowRequirements(textOrLines, document = parseWorkflowDocument(readWorkflowText(textOrLines)).document) {
+  const text = readWorkflowText(textOrLines);
   const lines = Array.isArray(textOrLines)
     ? textOrLines.slice()
     : text.split(/\r?\n/);
   const textRequirements = collectRequirementsFromText(text);
-  const environments = uniqueSorted(collectJobs(lines)
+  if (document) {
+    const actionReferences = collectWorkflowActionUses(document).map((entry) => entry.reference);
+    textRequirements.actionReferences = uniqueSorted(actionReferences);
+    textRequirements.reusableWorkflows = uniqueSorted(actionReferences.filter(isReusableWorkflowReference));
+  }
+  const environments = uniqueSorted((document ? collectJobsFromDocument(document) : collectJobs(lines))
     .map((job) => job.environment)
     .filter(Boolean));
 
@@ -436,18 +536,26 @@ function analyzeWorkflowDefinition(options = {}) {
   const lines = text.split(/\r?\n/);
   const workflowPath = normalizeWorkflowPath(options.workflowPath || options.path);
   const fileName = path.basename(workflowPath || options.fileName || 'workflow.yml');
-  const name = findTopLevelScalar(lines, 'name');
-  const triggers = collectTopLevelTriggers(lines);
-  const jobs = collectJobs(lines);
-  const permissions = inspectWorkflowPermissions(lines);
-  const requirements = inspectWorkflowRequirements(lines);
+  // Structure comes from the YAML AST; the line heuristics only run when the
+  // document does not parse, so the report still says something useful.
+  const { document, error: parseError } = parseWorkflowDocument(text);
+  const name = document ? readScalarText(getYamlMapValue(document, 'name')) || null : findTopLevelScalar(lines, 'name');
+  const triggers = document ? uniqueSorted(collectWorkflowTriggerNames(document)) : collectTopLevelTriggers(lines);
+  const jobs = document ? collectJobsFromDocument(document) : collectJobs(lines);
+  const permissions = inspectWorkflowPermissions(lines, document);
+  const requirements = inspectWorkflowRequirements(lines, document);
   const policyCheck = collectWorkflowPolicyViolations({ [fileName]: text });
+  const findingFile = workflowPath || fileName;
+  const findings = collectWorkflowSecurityFindings(document ? { fileName: findingFile, text, document } : { fileName: findingFile, text });
   const validationErrors = [];
   const warnings = [];
 
   if (!text.trim()) {
     validationErrors.push('Workflow content is empty.');
   }
+  if (parseError) {
+    validationErrors.push(`Workflow YAML could not be parsed: ${parseError.message}`);
+  }
   if (!name) {
     validationErrors.push('Workflow is missing a top-level name.');
   }
@@ -496,6 +604,7 @@ function analyzeWorkflowDefinition(options = {}) {
         hasTriggers: triggers.length > 0,
         hasJobs: jobs.length > 0,
         hasTopLevelPermissions: permissions.hasTopLevelPermissions,
+        yamlParsed: !parseError,
       },
     },
     permissions,
@@ -505,6 +614,9 @@ function analyzeWorkflowDefinition(options = {}) {
       checkedActions: policyCheck.checkedActions,
       violationCount: policyCheck.violations.length,
       violations: policyCheck.violations,
+      findingCount: findings.length,
+      errorFindingCount: findings.filter((finding) => finding.severity === 'error').length,
+      findings,
     },
   };
 }
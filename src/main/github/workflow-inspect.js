@@ -108,6 +108,7 @@ async function inspectGitHubWorkflowRun(options = {}) {
   report.githubApi.attempted = true;
   report.githubApi.status = response.status;
   report.githubApi.rateLimit = response.rateLimit || null;
+  report.githubApi.fromCache = response.fromCache === true;
 
   if (response.ok && response.data) {
     report.workflowRun = summarizeWorkflowRunDetail(response.data);
@@ -0,0 +1,499 @@
+const fs = require('fs');
+const path = require('path');
+
+const { LIKU_HOME } = require('../../shared/liku-home');
+const {
+  MEMORY_LANE_TASK,
+  buildExportReview,
+  buildPersistenceMetadata,
+  sanitizeWorkflowLogText,
+} = require('../persistence-controls');
+const { requestGitHubBinary, requestGitHubPages } = require('./client');
+const { resolveGitHubRepoContext } = require('./context');
+const { normalizeWorkflowRunId } = require('./workflow-inspect');
+const { readZipEntries } = require('./zip-archive');
+
+const GITHUB_WORKFLOW_LOGS_SCHEMA_VERSION = 'github.workflow-logs.v1';
+const GITHUB_WORKFLOW_LOGS_ARTIFACT_SCHEMA_VERSION = 'github.workflow-logs-artifact.v1';
+const GITHUB_WORKFLOW_LOGS_DIR = path.join(LIKU_HOME, 'github', 'workflow-logs');
+const WORKFLOW_LOG_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_REGION_LINES = 40;
+const MAX_FINDINGS = 20;
+const REGION_CONTEXT_LINES = 2;
+const FAILED_CONCLUSIONS = new Set(['failure', 'timed_out', 'cancelled', 'startup_failure']);
+
+// Tools are listed most-specific first: when jest fails under `npm test`, the
+// jest findings anchor the error region instead of the npm wrapper noise.
+const WORKFLOW_LOG_TOOLS = ['tsc', 'jest', 'pytest', 'npm', 'runner'];
+
+const WORKFLOW_LOG_PATTERNS = [
+  {
+    tool: 'tsc',
+    kind: 'compile-error',
+    pattern: /^(.+?\.[cm]?[jt]sx?)\((\d+),(\d+)\):\s*error\s+(TS\d+):\s*(.*)$/,
+    extract: (match) => ({ file: match[1], location: `${match[1]}:${match[2]}:${match[3]}`, code: match[4] }),
+  },
+  {
+    tool: 'tsc',
+    kind: 'compile-error',
+    pattern: /^(.+?\.[cm]?[jt]sx?):(\d+):(\d+)\s+-\s+error\s+(TS\d+):\s*(.*)$/,
+    extract: (match) => ({ file: match[1], location: `${match[1]}:${match[2]}:${match[3]}`, code: match[4] }),
+  },
+  { tool: 'tsc', kind: 'summary', pattern: /^Found \d+ errors?\b/ },
+  {
+    tool: 'jest',
+    kind: 'failed-suite',
+    pattern: /^FAIL\s+(\S+\.(?:[cm]?[jt]sx?))\b/,
+    extract: (match) => ({ file: match[1] }),
+  },
+  { tool: 'jest', kind: 'failed-test', pattern: /^\s*● (?!Console\b).+/ },
+  { tool: 'jest', kind: 'summary', pattern: /^Tests:\s+.*\b\d+ failed\b/ },
+  {
+    tool: 'pytest',
+    kind: 'failed-test',
+    pattern: /^(?:FAILED|ERROR)\s+(\S+\.py)(?:::\S+)?/,
+    extract: (match) => ({ file: match[1] }),
+  },
+  { tool: 'pytest', kind: 'assertion', pattern: /^E\s{2,}\S/ },
+  {
+    tool: 'pytest',
+    kind: 'location',
+    pattern: /^(\S+\.py):(\d+):\s+\w*(?:Error|Exception)\b/,
+    extract: (match) => ({ file: match[1], location: `${match[1]}:${match[2]}` }),
+  },
+  { tool: 'pytest', kind: 'summary', pattern: /^=+ .*\b\d+ (?:failed|errors?)\b.* =+$/ },
+  { tool: 'npm', kind: 'npm-error', pattern: /^npm (?:ERR!|error)\s+\S/ },
+  {
+    tool: 'runner',
+    kind: 'exit-code',
+    pattern: /^(?:##\[error\])?Process completed with exit code (\d+)/,
+    extract: (match) => ({ exitCode: Number(match[1]) }),
+  },
+  { tool: 'runner', kind: 'runner-error', pattern: /^##\[error\]/ },
+];
+
+const TIMESTAMP_PREFIX = /^\uFEFF?\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z ?/;
+const ANSI_ESCAPE = /\x1b\[[0-9;]*[A-Za-z]/g;
+
+function normalizeText(value) {
+  return String(value || '').trim();
+}
+
+function truncateLine(value, max = 300) {
+  const text = String(value || '');
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+function cleanWorkflowLogLine(line) {
+  return String(line || '').replace(ANSI_ESCAPE, '').replace(TIMESTAMP_PREFIX, '');
+}
+
+function matchWorkflowLogLine(text) {
+  // Problem matchers prefix tool output with ##[error]; match the tool first.
+  const body = text.replace(/^##\[error\]/, '');
+  for (const rule of WORKFLOW_LOG_PATTERNS) {
+    const match = (rule.tool === 'runner' ? text : body).match(rule.pattern);
+    if (match) {
+      return { tool: rule.tool, kind: rule.kind, ...(rule.extract ? rule.extract(match) : {}) };
+    }
+  }
+  return null;
+}
+
+function summarizeWorkflowLogFailure(logText) {
+  const lines = String(logText || '').split(/\r?\n/).map(cleanWorkflowLogLine);
+  while (lines.length > 0 && !lines[lines.length - 1].trim()) lines.pop();
+
+  const findings = [];
+  let exitCode = null;
+  lines.forEach((text, index) => {
+    const match = matchWorkflowLogLine(text);
+    if (!match) return;
+    if (match.kind === 'exit-code') exitCode = match.exitCode;
+    findings.push({ ...match, line: index + 1, text: truncateLine(text.replace(/^##\[error\]/, '').trim()) });
+  });
+
+  const tool = WORKFLOW_LOG_TOOLS.find((candidate) => findings.some((finding) => finding.tool === candidate)) || null;
+  const anchors = findings.filter((finding) => finding.tool === tool);
+
+  let startLine;
+  let endLine;
+  if (anchors.length > 0) {
+    startLine = Math.max(1, anchors[0].line - REGION_CONTEXT_LINES);
+    endLine = Math.min(lines.length, anchors[anchors.length - 1].line + REGION_CONTEXT_LINES, startLine + MAX_REGION_LINES - 1);
+  } else {
+    endLine = lines.length;
+    startLine = Math.max(1, endLine - MAX_REGION_LINES + 1);
+  }
+
+  const headline = anchors.find((finding) => finding.kind !== 'summary' && finding.kind !== 'exit-code') || anchors[0] || null;
+
+  return {
+    tool,
+    headline: headline ? headline.text : null,
+    exitCode,
+    lineCount: lines.length,
+    findingCount: findings.length,
+    findings: findings.slice(0, MAX_FINDINGS),
+    region: {
+      startLine: lines.length > 0 ? startLine : 0,
+      endLine,
+      lines: lines.slice(startLine - 1, endLine).map((text, offset) => ({
+        line: startLine + offset,
+        text: truncateLine(text),
+      })),
+    },
+  };
+}
+
+function normalizeJobKey(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+// Run log archives hold `<job>/<step-number>_<step>.txt` per step plus a
+// `<n>_<job>.txt` transcript per job. Job folder names are the job name with
+// filesystem-unsafe characters removed.
+function groupWorkflowLogEntries(entries = []) {
+  const stepLogs = [];
+  const jobLogs = [];
+  for (const entry of entries) {
+    const name = String(entry.name || '');
+    if (!name.endsWith('.txt')) continue;
+    const parts = name.split('/');
+    const text = Buffer.isBuffer(entry.data) ? entry.data.toString('utf8') : String(entry.data || '');
+    if (parts.length === 2) {
+      const match = parts[1].match(/^(\d+)_(.*)\.txt$/);
+      if (!match) continue;
+      stepLogs.push({ name, jobName: parts[0], stepNumber: Number(match[1]), stepName: match[2], text });
+    } else if (parts.length === 1) {
+      const match = parts[0].match(/^(\d+)_(.*)\.txt$/);
+      jobLogs.push({ name, jobName: match ? match[2] : parts[0].replace(/\.txt$/, ''), order: match ? Number(match[1]) : null, text });
+    }
+  }
+  stepLogs.sort((left, right) => left.jobName.localeCompare(right.jobName) || left.stepNumber - right.stepNumber);
+  jobLogs.sort((left, right) => (left.order ?? 0) - (right.order ?? 0));
+  return { stepLogs, jobLogs };
+}
+
+function summarizeWorkflowJob(job = {}) {
+  const steps = Array.isArray(job.steps) ? job.steps : [];
+  return {
+    id: Number.isFinite(Number(job.id)) ? Number(job.id) : null,
+    name: normalizeText(job.name) || null,
+    status: normalizeText(job.status) || null,
+    conclusion: normalizeText(job.conclusion) || null,
+    htmlUrl: normalizeText(job.html_url || job.htmlUrl) || null,
+    steps: steps.map((step) => ({
+      number: Number(step.number),
+      name: normalizeText(step.name) || null,
+      conclusion: normalizeText(step.conclusion) || null,
+    })),
+  };
+}
+
+// Without job metadata the archive is the only source, so a job "failed" when
+// one of its logs carries a runner error annotation.
+function inferJobsFromArchive(grouped) {
+  const names = new Set([...grouped.stepLogs.map((entry) => entry.jobName), ...grouped.jobLogs.map((entry) => entry.jobName)]);
+  return [...names].map((name) => {
+    const steps = grouped.stepLogs
+      .filter((entry) => entry.jobName === name)
+      .map((entry) => ({
+        number: entry.stepNumber,
+        name: entry.stepName,
+        conclusion: entry.text.includes('##[error]') ? 'failure' : null,
+      }));
+    const jobLog = grouped.jobLogs.find((entry) => entry.jobName === name);
+    const failed = steps.some((step) => step.conclusion === 'failure') || !!jobLog?.text.includes('##[error]');
+    return { id: null, name, status: 'completed', conclusion: failed ? 'failure' : null, htmlUrl: null, steps };
+  });
+}
+
+function safeFileSegment(value, fallback) {
+  const segment = String(value || '').replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80);
+  return segment || fallback;
+}
+
+function buildWorkflowLogsId(runId) {
+  return `github-workflow-logs-${runId}-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function writeWorkflowLogFile(directory, relativePath, text) {
+  const filePath = path.join(directory, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(filePath, text, { encoding: 'utf8', mode: 0o600 });
+  return filePath;
+}
+
+function extractWorkflowLogArtifacts(grouped, jobs, options = {}) {
+  const logsId = options.logsId || buildWorkflowLogsId(options.runId);
+  const directory = path.join(options.baseDir || GITHUB_WORKFLOW_LOGS_DIR, logsId);
+  const redactions = [];
+  const failingSteps = [];
+  const files = [];
+
+  const persist = (entry, relativePath) => {
+    const sanitized = sanitizeWorkflowLogText(entry.text, { path: ['githubWorkflowLogs', entry.name] });
+    redactions.push(...sanitized.redactions);
+    const filePath = writeWorkflowLogFile(directory, relativePath, sanitized.value);
+    files.push({ name: entry.name, filePath, bytes: Buffer.byteLength(sanitized.value) });
+    return { filePath, text: sanitized.value };
+  };
+
+  jobs.forEach((job, jobIndex) => {
+    const key = normalizeJobKey(job.name);
+    const jobFolder = safeFileSegment(job.name, `job-${jobIndex + 1}`);
+    const stepEntries = grouped.stepLogs.filter((entry) => normalizeJobKey(entry.jobName) === key);
+    const jobEntry = grouped.jobLogs.find((entry) => normalizeJobKey(entry.jobName) === key) || null;
+
+    const persistedSteps = new Map();
+    stepEntries.forEach((entry) => {
+      persistedSteps.set(entry.stepNumber, persist(entry, path.join(jobFolder, `${entry.stepNumber}_${safeFileSegment(entry.stepName, 'step')}.log`)));
+    });
+    // The job transcript is kept when the archive has no per-step files, or
+    // later when a failing step has no file of its own.
+    let persistedJob = null;
+    const persistJob = () => {
+      if (!persistedJob && jobEntry) persistedJob = persist(jobEntry, `${jobFolder}.log`);
+      return persistedJob;
+    };
+    if (stepEntries.length === 0) persistJob();
+
+    if (!FAILED_CONCLUSIONS.has(job.conclusion)) return;
+
+    let failedSteps = job.steps.filter((step) => FAILED_CONCLUSIONS.has(step.conclusion));
+    if (failedSteps.length === 0) {
+      failedSteps = stepEntries
+        .filter((entry) => entry.text.includes('##[error]'))
+        .map((entry) => ({ number: entry.stepNumber, name: entry.stepName, conclusion: 'failure' }));
+    }
+
+    const targets = failedSteps.length > 0 ? failedSteps : [{ number: null, name: null, conclusion: job.conclusion }];
+    targets.forEach((step) => {
+      const persisted = (step.number !== null && persistedSteps.get(step.number)) || persistJob();
+      failingSteps.push({
+        jobId: job.id,
+        jobName: job.name,
+        jobUrl: job.htmlUrl,
+        stepNumber: step.number,
+        stepName: step.name,
+        conclusion: step.conclusion,
+        logPath: persisted ? persisted.filePath : null,
+        summary: persisted ? summarizeWorkflowLogFailure(persisted.text) : null,
+      });
+    });
+  });
+
+  return { logsId, directory, files, failingSteps, redactions };
+}
+
+function writeWorkflowLogsManifest(extraction, report) {
+  const manifestPath = path.join(extraction.directory, 'manifest.json');
+  const createdAt = new Date().toISOString();
+  const record = {
+    schemaVersion: GITHUB_WORKFLOW_LOGS_ARTIFACT_SCHEMA_VERSION,
+    logsId: extraction.logsId,
+    createdAt,
+    runId: report.runId,
+    target: report.target?.slug || null,
+    jobs: report.jobs,
+    files: extraction.files.map((file) => ({ name: file.name, filePath: file.filePath, bytes: file.bytes })),
+    failingSteps: extraction.failingSteps,
+    persistence: buildPersistenceMetadata({
+      store: 'github-workflow-logs',
+      lane: MEMORY_LANE_TASK,
+      recordedAt: createdAt,
+      retentionKind: 'workflow-log-ttl',
+      maxAgeMs: WORKFLOW_LOG_RETENTION_MS,
+      redactions: extraction.redactions,
+    }),
+    review: report.review,
+  };
+  fs.mkdirSync(extraction.directory, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(manifestPath, JSON.stringify(record, null, 2), { encoding: 'utf8', mode: 0o600 });
+  return manifestPath;
+}
+
+// Expiry comes from each manifest's retention stamp; a directory without a
+// readable manifest (an interrupted extraction) ages out by its mtime.
+function pruneExpiredWorkflowLogs(baseDir = GITHUB_WORKFLOW_LOGS_DIR, referenceTime = Date.now()) {
+  let names = [];
+  try {
+    names = fs.readdirSync(baseDir);
+  } catch {
+    return 0;
+  }
+  let removed = 0;
+  for (const name of names) {
+    const directory = path.join(baseDir, name);
+    let expiresAt;
+    try {
+      if (!fs.statSync(directory).isDirectory()) continue;
+      const manifest = JSON.parse(fs.readFileSync(path.join(directory, 'manifest.json'), 'utf8'));
+      expiresAt = Date.parse(manifest.persistence?.retention?.expiresAt);
+    } catch {
+      expiresAt = NaN;
+    }
+    if (!Number.isFinite(expiresAt)) {
+      try {
+        expiresAt = fs.statSync(directory).mtimeMs + WORKFLOW_LOG_RETENTION_MS;
+      } catch {
+        continue;
+      }
+    }
+    if (expiresAt > referenceTime) continue;
+    try {
+      fs.rmSync(directory, { recursive: true, force: true });
+      removed += 1;
+    } catch {
+      // Another fetch may be pruning the same directory.
+    }
+  }
+  return removed;
+}
+
+async function fetchGitHubWorkflowLogs(options = {}) {
+  const featureFlagEnabled = options.featureFlagEnabled === true;
+  const allowApi = options.api !== false;
+  const runId = normalizeWorkflowRunId(options.runId || options.id || options.run);
+  const context = resolveGitHubRepoContext(options);
+
+  const report = {
+    schemaVersion: GITHUB_WORKFLOW_LOGS_SCHEMA_VERSION,
+    success: true,
+    featureFlagEnabled,
+    repoIdentity: context.projectIdentity,
+    remote: context.remote,
+    target: context.target,
+    targetSource: context.targetSource,
+    runId,
+    githubApi: {
+      ...context.githubApi,
+    },
+    archive: null,
+    artifact: null,
+    jobs: [],
+    failingSteps: [],
+    review: null,
+    warnings: context.warnings.slice(),
+  };
+
+  if (!runId) {
+    report.success = false;
+    report.error = 'USAGE';
+    report.message = 'Usage: liku github workflow logs <run-id> [--slug owner/repo]';
+    return report;
+  }
+
+  if (!context.target.raw) {
+    report.warnings.push('No git remote detected; workflow log retrieval needs a GitHub repository target.');
+    return report;
+  }
+
+  if (!context.target.isGitHub || !context.target.slug) {
+    report.warnings.push('Detected target is not a GitHub repository; workflow log retrieval was skipped.');
+    return report;
+  }
+
+  if (!allowApi) {
+    report.warnings.push('GitHub workflow log retrieval skipped by request.');
+    return report;
+  }
+
+  pruneExpiredWorkflowLogs(options.artifactsDir);
+
+  const runPath = `/repos/${encodeURIComponent(context.target.owner)}/${encodeURIComponent(context.target.repo)}/actions/runs/${runId}`;
+  const apiBaseUrl = context.target.apiBaseUrl || 'https://api.github.com';
+
+  const archive = await requestGitHubBinary({
+    apiPath: `${runPath}/logs`,
+    apiBaseUrl,
+    token: context.tokenInfo.token,
+    fetchImpl: options.fetchImpl,
+    timeoutMs: options.timeoutMs,
+  });
+
+  report.githubApi.attempted = true;
+  report.githubApi.status = archive.status;
+  report.githubApi.rateLimit = archive.rateLimit || null;
+  report.githubApi.fromCache = false;
+
+  if (!archive.ok) {
+    report.githubApi.error = archive.error || `GitHub workflow log download failed (${archive.status})`;
+    if (archive.status === 404 || archive.status === 410) {
+      report.warnings.push('Run logs are unavailable; they may have expired or the run may still be in progress.');
+    }
+    if (!context.tokenInfo.token) {
+      report.warnings.push('Downloading workflow logs requires GH_TOKEN/GITHUB_TOKEN with actions:read access.');
+    }
+    return report;
+  }
+
+  let entries;
+  try {
+    entries = readZipEntries(archive.data);
+  } catch (error) {
+    report.githubApi.error = `Workflow log archive could not be read: ${error.message}`;
+    return report;
+  }
+  const grouped = groupWorkflowLogEntries(entries);
+  report.archive = {
+    bytes: archive.data.length,
+    entryCount: entries.length,
+    stepLogCount: grouped.stepLogs.length,
+    jobLogCount: grouped.jobLogs.length,
+  };
+
+  const jobsResponse = await requestGitHubPages({
+    apiPath: `${runPath}/jobs?per_page=100`,
+    apiBaseUrl,
+    token: context.tokenInfo.token,
+    fetchImpl: options.fetchImpl,
+    timeoutMs: options.timeoutMs,
+    itemsKey: 'jobs',
+    maxItems: 500,
+  });
+  report.githubApi.jobsStatus = jobsResponse.status;
+  const jobs = jobsResponse.ok && Array.isArray(jobsResponse.data?.jobs)
+    ? jobsResponse.data.jobs.map(summarizeWorkflowJob)
+    : inferJobsFromArchive(grouped);
+  if (!jobsResponse.ok) {
+    report.warnings.push(`Job metadata was unavailable (${jobsResponse.status}); failing steps were inferred from runner error annotations.`);
+  }
+
+  const extraction = extractWorkflowLogArtifacts(grouped, jobs, { runId, baseDir: options.artifactsDir });
+  report.jobs = jobs.map((job) => ({
+    id: job.id,
+    name: job.name,
+    conclusion: job.conclusion,
+    htmlUrl: job.htmlUrl,
+    failedSteps: job.steps.filter((step) => FAILED_CONCLUSIONS.has(step.conclusion)).map((step) => step.number),
+  }));
+  report.failingSteps = extraction.failingSteps;
+  report.review = buildExportReview({
+    exportKind: 'github-workflow-logs',
+    redactions: extraction.redactions,
+  });
+  report.artifact = {
+    logsId: extraction.logsId,
+    directory: extraction.directory,
+    fileCount: extraction.files.length,
+    manifestPath: writeWorkflowLogsManifest(extraction, report),
+  };
+
+  if (report.failingSteps.length === 0) {
+    report.warnings.push('No failing jobs or steps were found in this run.');
+  }
+  return report;
+}
+
+module.exports = {
+  GITHUB_WORKFLOW_LOGS_ARTIFACT_SCHEMA_VERSION,
+  GITHUB_WORKFLOW_LOGS_DIR,
+  GITHUB_WORKFLOW_LOGS_SCHEMA_VERSION,
+  cleanWorkflowLogLine,
+  fetchGitHubWorkflowLogs,
+  groupWorkflowLogEntries,
+  pruneExpiredWorkflowLogs,
+  summarizeWorkflowLogFailure,
+};
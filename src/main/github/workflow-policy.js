@@ -1,6 +1,14 @@
 const fs = require('fs');
 const path = require('path');
 
+const {
+  collectWorkflowActionUses,
+  collectWorkflowTriggerNames,
+  listWorkflowJobs,
+  parseWorkflowDocument,
+} = require('./workflow-security');
+const { getYamlMapEntry, getYamlMapValue, getYamlScalarValue } = require('./yaml-ast');
+
 const repoRoot = path.join(__dirname, '..', '..', '..');
 const defaultWorkflowsDir = path.join(repoRoot, '.github', 'workflows');
 
@@ -159,6 +167,54 @@ function stepHasNestedSetting(lines, startIndex, settingPattern) {
   return false;
 }
 
+// Structural facts read from the parsed document. Returns null when the YAML
+// does not parse so callers can fall back to the line-based checks.
+function readWorkflowPolicyFacts(contents) {
+  const { document } = parseWorkflowDocument(contents);
+  if (!document) {
+    return null;
+  }
+
+  const jobs = listWorkflowJobs(document);
+  const topLevelPermissions = getYamlMapValue(document, 'permissions');
+  const uses = collectWorkflowActionUses(document);
+
+  return {
+    hasPermissions: !!getYamlMapEntry(document, 'permissions')
+      || jobs.some((job) => !!getYamlMapEntry(job.node, 'permissions')),
+    topLevelDenyAll: !!topLevelPermissions && topLevelPermissions.kind === 'map' && topLevelPermissions.entries.length === 0,
+    hasPullRequestTarget: collectWorkflowTriggerNames(document).includes('pull_request_target'),
+    checkoutSteps: uses
+      .filter((entry) => entry.stepNode && checkoutUsePattern.test(`uses: ${entry.reference}`))
+      .map((entry) => ({
+        persistCredentialsDisabled: String(getYamlScalarValue(getYamlMapValue(getYamlMapValue(entry.stepNode, 'with'), 'persist-credentials')) ?? '').trim() === 'false',
+      })),
+    actionReferences: uses.map((entry) => entry.reference),
+  };
+}
+
+function readWorkflowPolicyFactsFromLines(contents) {
+  const lines = String(contents || '').split(/\r?\n/);
+  const checkoutSteps = [];
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const stripped = stripInlineComment(lines[index]);
+    if (checkoutUsePattern.test(stripped)) {
+      checkoutSteps.push({
+        persistCredentialsDisabled: stepHasNestedSetting(lines, index, /^persist-credentials:\s*false\s*$/),
+      });
+    }
+  }
+
+  return {
+    hasPermissions: permissionsPattern.test(contents),
+    topLevelDenyAll: topLevelDenyAllPermissionsPattern.test(contents),
+    hasPullRequestTarget: pullRequestTargetPattern.test(contents),
+    checkoutSteps,
+    actionReferences: Array.from(String(contents || '').matchAll(usesPattern), (match) => stripInlineComment(match[2])),
+  };
+}
+
 function collectWorkflowPolicyViolations(workflowContentsByName) {
   const input = workflowContentsByName && typeof workflowContentsByName === 'object'
     ? workflowContentsByName
@@ -167,17 +223,17 @@ function collectWorkflowPolicyViolations(workflowContentsByName) {
   let checkedActions = 0;
 
   for (const [fileName, contents] of Object.entries(input)) {
-    const lines = String(contents || '').split(/\r?\n/);
+    const facts = readWorkflowPolicyFacts(contents) || readWorkflowPolicyFactsFromLines(contents);
 
-    if (!permissionsPattern.test(contents)) {
+    if (!facts.hasPermissions) {
       violations.push(`${fileName}: missing explicit permissions block`);
     }
 
-    if (coreHardenedWorkflows.has(fileName) && !topLevelDenyAllPermissionsPattern.test(contents)) {
+    if (coreHardenedWorkflows.has(fileName) && !facts.topLevelDenyAll) {
       violations.push(`${fileName}: must default top-level permissions to {}`);
     }
 
-    if (pullRequestTargetPattern.test(contents)) {
+    if (facts.hasPullRequestTarget) {
       violations.push(`${fileName}: pull_request_target is not allowed; use pull_request or another safer trigger`);
     }
 
@@ -187,19 +243,13 @@ function collectWorkflowPolicyViolations(workflowContentsByName) {
       }
     }
 
-    for (let index = 0; index < lines.length; index += 1) {
-      const stripped = stripInlineComment(lines[index]);
-      if (!checkoutUsePattern.test(stripped)) {
-        continue;
-      }
-
-      if (!stepHasNestedSetting(lines, index, /^persist-credentials:\s*false\s*$/)) {
+    for (const checkoutStep of facts.checkoutSteps) {
+      if (!checkoutStep.persistCredentialsDisabled) {
         violations.push(`${fileName}: checkout steps must set persist-credentials: false`);
       }
     }
 
-    for (const match of String(contents || '').matchAll(usesPattern)) {
-      const reference = stripInlineComment(match[2]);
+    for (const reference of facts.actionReferences) {
       if (!isExternalActionReference(reference)) {
         continue;
       }
@@ -1,4 +1,4 @@
-const { requestGitHubJson } = require('./client');
+const { GITHUB_MAX_LIST_ITEMS, requestGitHubPages } = require('./client');
 const { resolveGitHubRepoContext } = require('./context');
 
 const GITHUB_WORKFLOW_RUNS_SCHEMA_VERSION = 'github.workflow-runs.v1';
@@ -41,7 +41,7 @@ function summarizeWorkflowRun(run) {
 async function listGitHubWorkflowRuns(options = {}) {
   const featureFlagEnabled = options.featureFlagEnabled === true;
   const allowApi = options.api !== false;
-  const limit = normalizeLimit(options.limit, 10, 100);
+  const limit = normalizeLimit(options.limit, 10, GITHUB_MAX_LIST_ITEMS);
   const branch = String(options.branch || '').trim() || null;
   const status = String(options.status || '').trim() || null;
   const event = String(options.event || '').trim() || null;
@@ -87,7 +87,7 @@ async function listGitHubWorkflowRuns(options = {}) {
   }
 
   const params = new URLSearchParams({
-    per_page: String(limit),
+    per_page: String(Math.min(limit, 100)),
   });
   if (branch) params.set('branch', branch);
   if (status) params.set('status', status);
@@ -97,17 +97,22 @@ async function listGitHubWorkflowRuns(options = {}) {
     ? `/repos/${encodeURIComponent(context.target.owner)}/${encodeURIComponent(context.target.repo)}/actions/workflows/${encodeURIComponent(workflow)}/runs`
     : `/repos/${encodeURIComponent(context.target.owner)}/${encodeURIComponent(context.target.repo)}/actions/runs`;
 
-  const response = await requestGitHubJson({
+  const response = await requestGitHubPages({
     apiPath: `${basePath}?${params.toString()}`,
     apiBaseUrl: context.target.apiBaseUrl || 'https://api.github.com',
     token: context.tokenInfo.token,
     fetchImpl: options.fetchImpl,
     timeoutMs: options.timeoutMs,
+    maxItems: limit,
+    itemsKey: 'workflow_runs',
   });
 
   report.githubApi.attempted = true;
   report.githubApi.status = response.status;
   report.githubApi.rateLimit = response.rateLimit || null;
+  report.githubApi.fromCache = response.fromCache === true;
+  report.githubApi.pages = response.pages || 0;
+  report.githubApi.truncated = response.truncated === true;
 
   if (response.ok && response.data) {
     report.githubApi.totalCount = Number.isFinite(Number(response.data.total_count))
@@ -0,0 +1,266 @@
+const {
+  getYamlMapEntries,
+  getYamlMapValue,
+  getYamlScalarValue,
+  parseYamlDocument,
+  resolveYamlNode,
+} = require('./yaml-ast');
+
+const pinnedRefPattern = /^[0-9a-f]{40}$/i;
+const expressionPattern = /\$\{\{([\s\S]*?)\}\}/g;
+const firstPartyActionOwners = new Set(['actions', 'github']);
+
+// Event payload fields an outside contributor controls. Interpolating these
+// into a shell script lets them inject commands into the runner.
+const untrustedContextPatterns = [
+  /\bgithub\.head_ref\b/,
+  /\bgithub\.event\.(?:issue|pull_request|discussion)\.(?:title|body)\b/,
+  /\bgithub\.event\.(?:comment|review|review_comment)\.body\b/,
+  /\bgithub\.event\.pages\.[^\s.]+\.page_name\b/,
+  /\bgithub\.event\.(?:commits\.[^\s.]+|head_commit)\.(?:message|author\.(?:email|name))\b/,
+  /\bgithub\.event\.pull_request\.head\.(?:ref|label|repo\.default_branch)\b/,
+  /\bgithub\.event\.workflow_run\.(?:head_branch|display_title|head_commit\.(?:message|author\.(?:email|name)))\b/,
+];
+const eventContextPattern = /\bgithub\.event\.[A-Za-z0-9_.*[\]'"-]+/;
+// Payload fields GitHub types as numbers, hashes or fixed enums.
+const typedEventFieldPattern = /\.(?:action|number|id|node_id|sha|before|after|merged|draft)$/;
+const pullRequestHeadRefPattern = /github\.event\.pull_request\.head\.(?:sha|ref)|github\.head_ref|refs\/pull\/|github\.event\.pull_request\.merge_commit_sha|github\.event\.number/;
+const pullRequestHeadRepoPattern = /github\.event\.pull_request\.head\.repo\.full_name/;
+
+function createWorkflowShapeError(message, node) {
+  const error = new Error(`${message} (line ${node.line}, column ${node.column})`);
+  error.code = 'YAML_PARSE_ERROR';
+  error.reason = message;
+  error.line = node.line;
+  error.column = node.column;
+  return error;
+}
+
+function parseWorkflowDocument(text) {
+  try {
+    const document = resolveYamlNode(parseYamlDocument(text));
+    if (document && document.kind !== 'map') {
+      return { document: null, error: createWorkflowShapeError('Workflow YAML must be a mapping at the top level', document) };
+    }
+    return { document, error: null };
+  } catch (error) {
+    if (error?.code !== 'YAML_PARSE_ERROR') {
+      throw error;
+    }
+    return { document: null, error };
+  }
+}
+
+function collectWorkflowTriggerNames(document) {
+  const on = getYamlMapValue(document, 'on');
+  if (!on) {
+    return [];
+  }
+  if (on.kind === 'scalar') {
+    return String(on.value || '').split(',').map((entry) => entry.trim()).filter(Boolean);
+  }
+  if (on.kind === 'seq') {
+    return on.items.map((item) => getYamlScalarValue(item)).filter((value) => typeof value === 'string' && value);
+  }
+  return getYamlMapEntries(on).map((entry) => getYamlScalarValue(entry.key)).filter(Boolean);
+}
+
+function listWorkflowJobs(document) {
+  return getYamlMapEntries(getYamlMapValue(document, 'jobs')).map((entry) => ({
+    id: String(getYamlScalarValue(entry.key) ?? ''),
+    keyNode: entry.key,
+    node: resolveYamlNode(entry.value),
+  }));
+}
+
+function listWorkflowSteps(jobNode) {
+  const steps = getYamlMapValue(jobNode, 'steps');
+  if (!steps || steps.kind !== 'seq') {
+    return [];
+  }
+  return steps.items
+    .map((item, index) => ({ index, node: resolveYamlNode(item) }))
+    .filter((step) => step.node && step.node.kind === 'map');
+}
+
+function getStepName(step) {
+  const name = getYamlScalarValue(getYamlMapValue(step.node, 'name'));
+  return typeof name === 'string' && name ? name : null;
+}
+
+// Every `uses:` in document order, from steps and reusable-workflow jobs.
+function collectWorkflowActionUses(document) {
+  const uses = [];
+  listWorkflowJobs(document).forEach((job) => {
+    const jobUses = getYamlMapValue(job.node, 'uses');
+    if (jobUses && typeof jobUses.value === 'string') {
+      uses.push({ reference: jobUses.value.trim(), node: jobUses, jobId: job.id, step: null, stepNode: null });
+    }
+    listWorkflowSteps(job.node).forEach((step) => {
+      const stepUses = getYamlMapValue(step.node, 'uses');
+      if (stepUses && typeof stepUses.value === 'string') {
+        uses.push({
+          reference: stepUses.value.trim(),
+          node: stepUses,
+          jobId: job.id,
+          step: { index: step.index, name: getStepName(step) },
+          stepNode: step.node,
+        });
+      }
+    });
+  });
+  return uses;
+}
+
+function isExternalActionReference(reference) {
+  return !reference.startsWith('./') && !reference.startsWith('docker://');
+}
+
+// Finds where `needle` sits inside a scalar so block scalars report the
+// offending script line rather than the `run: |` header.
+function locateInScalar(lines, node, needle) {
+  const firstLine = node.contentLine || node.line;
+  const lastLine = Math.max(node.endLine || node.line, firstLine);
+  for (let lineNumber = firstLine; lineNumber <= lastLine; lineNumber += 1) {
+    const column = String(lines[lineNumber - 1] || '').indexOf(needle);
+    if (column >= 0) {
+      return { line: lineNumber, column: column + 1 };
+    }
+  }
+  return { line: node.line, column: node.column };
+}
+
+function createFinding(fileName, fields) {
+  return {
+    rule: fields.rule,
+    severity: fields.severity,
+    message: fields.message,
+    file: fileName,
+    line: fields.line,
+    column: fields.column,
+    jobId: fields.jobId || null,
+    step: fields.step || null,
+  };
+}
+
+function collectExpressionInjectionFindings(fileName, lines, job, step, scriptNode, scriptKey) {
+  const findings = [];
+  const script = scriptNode && typeof scriptNode.value === 'string' ? scriptNode.value : '';
+  for (const match of script.matchAll(expressionPattern)) {
+    const expression = match[1].trim();
+    const untrusted = untrustedContextPatterns.find((pattern) => pattern.test(expression));
+    const eventReference = expression.match(eventContextPattern);
+    if (!untrusted && (!eventReference || typedEventFieldPattern.test(eventReference[0]))) {
+      continue;
+    }
+    const context = untrusted ? expression.match(untrusted)[0] : eventReference[0];
+    const location = locateInScalar(lines, scriptNode, match[0].split('\n')[0]);
+    findings.push(createFinding(fileName, {
+      rule: 'expression-injection',
+      severity: untrusted ? 'error' : 'warning',
+      message: untrusted
+        ? `${scriptKey} interpolates attacker-controlled ${context}; pass it through env: and quote the variable instead`
+        : `${scriptKey} interpolates event payload field ${context}; prefer passing it through env:`,
+      ...location,
+      jobId: job.id,
+      step: { index: step.index, name: getStepName(step) },
+    }));
+  }
+  return findings;
+}
+
+function collectWorkflowSecurityFindings(options = {}) {
+  const fileName = String(options.fileName || 'workflow.yml');
+  const text = String(options.text || '');
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const parsed = options.document !== undefined
+    ? { document: options.document, error: null }
+    : parseWorkflowDocument(text);
+
+  if (parsed.error) {
+    return [createFinding(fileName, {
+      rule: 'yaml-syntax',
+      severity: 'error',
+      message: parsed.error.reason || parsed.error.message,
+      line: parsed.error.line,
+      column: parsed.error.column,
+    })];
+  }
+  if (!parsed.document) {
+    return [];
+  }
+
+  const findings = [];
+  const document = parsed.document;
+  const isPullRequestTarget = collectWorkflowTriggerNames(document).includes('pull_request_target');
+
+  listWorkflowJobs(document).forEach((job) => {
+    listWorkflowSteps(job.node).forEach((step) => {
+      const uses = getYamlScalarValue(getYamlMapValue(step.node, 'uses'));
+      const run = getYamlMapValue(step.node, 'run');
+      if (run) {
+        findings.push(...collectExpressionInjectionFindings(fileName, lines, job, step, run, 'run:'));
+      }
+      if (typeof uses === 'string' && /^actions\/github-script@/i.test(uses.trim())) {
+        const script = getYamlMapValue(getYamlMapValue(step.node, 'with'), 'script');
+        if (script) {
+          findings.push(...collectExpressionInjectionFindings(fileName, lines, job, step, script, 'github-script script:'));
+        }
+      }
+
+      if (isPullRequestTarget && typeof uses === 'string' && /^actions\/checkout@/i.test(uses.trim())) {
+        const withNode = getYamlMapValue(step.node, 'with');
+        const ref = getYamlMapValue(withNode, 'ref');
+        const repository = getYamlMapValue(withNode, 'repository');
+        const headNode = [ref, repository].find((node) => node && typeof node.value === 'string'
+          && (pullRequestHeadRefPattern.test(node.value) || pullRequestHeadRepoPattern.test(node.value)));
+        if (headNode) {
+          findings.push(createFinding(fileName, {
+            rule: 'pull-request-target-checkout',
+            severity: 'error',
+            message: `pull_request_target workflow checks out untrusted pull request code (${headNode.value.trim()}) with a privileged token`,
+            line: headNode.line,
+            column: headNode.column,
+            jobId: job.id,
+            step: { index: step.index, name: getStepName(step) },
+          }));
+        }
+      }
+    });
+  });
+
+  collectWorkflowActionUses(document).forEach((entry) => {
+    if (!isExternalActionReference(entry.reference)) {
+      return;
+    }
+    const atIndex = entry.reference.lastIndexOf('@');
+    const ref = atIndex >= 0 ? entry.reference.slice(atIndex + 1) : '';
+    if (pinnedRefPattern.test(ref)) {
+      return;
+    }
+    const owner = entry.reference.split('/')[0].toLowerCase();
+    const firstParty = firstPartyActionOwners.has(owner);
+    findings.push(createFinding(fileName, {
+      rule: 'unpinned-action',
+      severity: firstParty ? 'warning' : 'error',
+      message: ref
+        ? `${firstParty ? 'Action' : 'Third-party action'} ${entry.reference} is pinned to a mutable ref; pin it to a full commit SHA`
+        : `${firstParty ? 'Action' : 'Third-party action'} ${entry.reference} has no ref; pin it to a full commit SHA`,
+      line: entry.node.line,
+      column: entry.node.column,
+      jobId: entry.jobId,
+      step: entry.step,
+    }));
+  });
+
+  return findings.sort((left, right) => (left.line - right.line) || (left.column - right.column));
+}
+
+module.exports = {
+  collectWorkflowActionUses,
+  collectWorkflowSecurityFindings,
+  collectWorkflowTriggerNames,
+  listWorkflowJobs,
+  listWorkflowSteps,
+  parseWorkflowDocument,
+};
@@ -1,5 +1,7 @@
 const { getEnvGitHubToken, requestGitHubJson } = require('./client');
 const { summarizeWebhook } = require('./governance-redaction');
+const { executeGitHubIssueTriagePreview } = require('./issue-triage-apply');
+const { summarizeIssue } = require('./issues-list');
 const { summarizePullRequest } = require('./pr-inspect');
 const { executeGitHubRepoContentPatchPreview } = require('./repo-content-patch-apply');
 const {
@@ -825,6 +827,137 @@ function resolveWritePreviewSpec(preview = {}) {
     };
   }
 
+  if (previewType === 'issue-create' && capabilityKey === 'issues.create.draft') {
+    return {
+      capabilityKey,
+      previewType,
+      subjectLabel: 'GitHub issue',
+      successMessage: 'GitHub issue created successfully.',
+      validatePreview(previewRecord = {}) {
+        if (!previewRecord.target?.owner
+          || !previewRecord.target?.repo
+          || !previewRecord.input?.title) {
+          return 'GitHub issue create preview is missing required title or repository target data.';
+        }
+        return null;
+      },
+      buildStartedDetails(previewRecord = {}) {
+        return {
+          target: previewRecord?.target?.slug || null,
+          titlePreview: previewRecord?.input?.titlePreview || null,
+          labels: previewRecord?.target?.labels || [],
+          assignees: previewRecord?.target?.assignees || [],
+          milestone: previewRecord?.target?.milestone?.number || null,
+        };
+      },
+      buildRequest(previewRecord = {}) {
+        const body = {
+          title: previewRecord.input.title,
+          body: previewRecord.input.body || '',
+        };
+        if (Array.isArray(previewRecord.target.labels) && previewRecord.target.labels.length > 0) {
+          body.labels = previewRecord.target.labels;
+        }
+        if (Array.isArray(previewRecord.target.assignees) && previewRecord.target.assignees.length > 0) {
+          body.assignees = previewRecord.target.assignees;
+        }
+        if (previewRecord.target.milestone?.number) {
+          body.milestone = previewRecord.target.milestone.number;
+        }
+        return {
+          apiPath: `/repos/${encodeURIComponent(previewRecord.target.owner)}/${encodeURIComponent(previewRecord.target.repo)}/issues`,
+          method: 'POST',
+          body,
+        };
+      },
+      buildSuccessResult(previewRecord = {}, responseData = null) {
+        const issue = summarizeIssue(responseData);
+        return {
+          type: 'issue-create',
+          issueNumber: issue?.number || null,
+          titlePreview: previewRecord?.input?.titlePreview || null,
+          bodyPreview: previewRecord?.input?.bodyPreview || null,
+          labels: previewRecord?.target?.labels || [],
+          assignees: previewRecord?.target?.assignees || [],
+          milestone: previewRecord?.target?.milestone || null,
+          issue,
+        };
+      },
+      buildSucceededDetails(_previewRecord = {}, result = {}) {
+        return {
+          issueNumber: result.issueNumber || null,
+          issueUrl: result.issue?.htmlUrl || null,
+          labels: result.labels || [],
+          assignees: result.assignees || [],
+        };
+      },
+      buildFailedDetails(previewRecord = {}, response = {}) {
+        return {
+          status: response.status,
+          error: response.error || response.data?.message || null,
+          labels: previewRecord?.target?.labels || [],
+          assignees: previewRecord?.target?.assignees || [],
+        };
+      },
+      buildFailureMessage(_previewRecord = {}, response = {}) {
+        return response.error
+          || response.data?.message
+          || 'GitHub issue create apply failed.';
+      },
+    };
+  }
+
+  if (previewType === 'issue-triage' && capabilityKey === 'issues.triage.draft') {
+    return {
+      capabilityKey,
+      previewType,
+      subjectLabel: 'GitHub issue triage',
+      successMessage: 'GitHub issue triage applied successfully.',
+      validatePreview(previewRecord = {}) {
+        if (!previewRecord.target?.owner
+          || !previewRecord.target?.repo
+          || !normalizePositiveInteger(previewRecord.target?.issueNumber)) {
+          return 'GitHub issue triage preview is missing required issue target data.';
+        }
+        return null;
+      },
+      buildStartedDetails(previewRecord = {}) {
+        return {
+          target: previewRecord?.target?.slug || null,
+          issueNumber: previewRecord?.target?.issueNumber || null,
+          addLabels: previewRecord?.target?.addLabels || [],
+          removeLabels: previewRecord?.target?.removeLabels || [],
+          addAssignees: previewRecord?.target?.addAssignees || [],
+          removeAssignees: previewRecord?.target?.removeAssignees || [],
+        };
+      },
+      execute(executionOptions = {}) {
+        return executeGitHubIssueTriagePreview(executionOptions);
+      },
+      buildSucceededDetails(_previewRecord = {}, result = {}) {
+        return {
+          issueNumber: result.issueNumber || null,
+          issueUrl: result.issue?.htmlUrl || null,
+          changed: result.changed === true,
+          labels: result.labels?.final || [],
+          assignees: result.assignees?.final || [],
+        };
+      },
+      buildFailedDetails(previewRecord = {}, response = {}) {
+        return {
+          status: response.status,
+          error: response.error || response.data?.message || null,
+          issueNumber: previewRecord?.target?.issueNumber || null,
+        };
+      },
+      buildFailureMessage(_previewRecord = {}, response = {}) {
+        return response.error
+          || response.data?.message
+          || 'GitHub issue triage apply failed.';
+      },
+    };
+  }
+
   if (previewType === 'repo-content-patch'
     && ['workflow.create.draft', 'workflow.update.draft', 'codeowners.create.draft', 'codeowners.update.draft'].includes(capabilityKey)) {
     const resourceFamily = String(preview?.target?.resourceFamily || '').trim().toLowerCase();
@@ -0,0 +1,786 @@
+// Single-document YAML reader that keeps line/column positions on every node.
+// It covers what workflow files use in practice: block and flow collections,
+// plain/quoted/block scalars, anchors, aliases, merge keys and comments.
+// Scalars stay strings (or null); callers decide how to interpret them.
+
+const NULL_SCALARS = new Set(['', '~', 'null', 'Null', 'NULL']);
+const FLOW_INDICATORS = new Set([',', '[', ']', '{', '}']);
+const DOUBLE_QUOTE_ESCAPES = {
+  0: '\0',
+  a: '\x07',
+  b: '\b',
+  t: '\t',
+  '\t': '\t',
+  n: '\n',
+  v: '\v',
+  f: '\f',
+  r: '\r',
+  e: '\x1b',
+  ' ': ' ',
+  '"': '"',
+  '/': '/',
+  '\\': '\\',
+  N: '\u0085',
+  _: ' ',
+  L: ' ',
+  P: ' ',
+};
+
+function createYamlError(message, line, column) {
+  const error = new Error(`${message} (line ${line}, column ${column})`);
+  error.code = 'YAML_PARSE_ERROR';
+  error.reason = message;
+  error.line = line;
+  error.column = column;
+  return error;
+}
+
+function parseYamlDocument(input) {
+  const src = String(input ?? '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const lineStarts = [0];
+  for (let index = 0; index < src.length; index += 1) {
+    if (src[index] === '\n') lineStarts.push(index + 1);
+  }
+  const anchors = new Map();
+  let pos = 0;
+
+  function lineIndexOf(offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return low;
+  }
+
+  function locate(offset) {
+    const lineIndex = lineIndexOf(Math.min(offset, src.length));
+    return { line: lineIndex + 1, column: Math.min(offset, src.length) - lineStarts[lineIndex] + 1 };
+  }
+
+  function fail(message, offset = pos) {
+    const { line, column } = locate(offset);
+    throw createYamlError(message, line, column);
+  }
+
+  function columnOf(offset) {
+    return offset - lineStarts[lineIndexOf(offset)];
+  }
+
+  function lineEnd(offset) {
+    const index = src.indexOf('\n', offset);
+    return index < 0 ? src.length : index;
+  }
+
+  function isBlank(ch) {
+    return ch === ' ' || ch === '\t';
+  }
+
+  function isBreakOrEnd(ch) {
+    return ch === undefined || ch === '\n';
+  }
+
+  function isSeparated(offset) {
+    return isBlank(src[offset]) || isBreakOrEnd(src[offset]);
+  }
+
+  function isDocumentMarker(offset) {
+    if (columnOf(offset) !== 0) return false;
+    const marker = src.slice(offset, offset + 3);
+    return (marker === '---' || marker === '...') && isSeparated(offset + 3);
+  }
+
+  function isSequenceEntry(offset) {
+    return src[offset] === '-' && isSeparated(offset + 1);
+  }
+
+  function skipSpaces() {
+    while (isBlank(src[pos])) pos += 1;
+  }
+
+  function atLineEndOrComment() {
+    return isBreakOrEnd(src[pos]) || src[pos] === '#';
+  }
+
+  // Moves to the next meaningful character, skipping blank lines and comments.
+  function skipToContent() {
+    while (pos < src.length) {
+      const ch = src[pos];
+      if (ch === ' ' || ch === '\n') {
+        pos += 1;
+      } else if (ch === '\t') {
+        const lineStart = lineStarts[lineIndexOf(pos)];
+        const rest = src.slice(pos, lineEnd(pos)).trim();
+        if (/^[ \t]*$/.test(src.slice(lineStart, pos)) && rest && !rest.startsWith('#')) {
+          fail('Tabs are not allowed for indentation');
+        }
+        pos += 1;
+      } else if (ch === '#') {
+        pos = lineEnd(pos);
+      } else {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  function positionOf(offset) {
+    const { line, column } = locate(offset);
+    return { line, column };
+  }
+
+  function createScalar(value, style, start, end = pos) {
+    return {
+      kind: 'scalar',
+      value: style === 'plain' && NULL_SCALARS.has(value) ? null : value,
+      style,
+      ...positionOf(start),
+      endLine: locate(Math.max(start, end - 1)).line,
+    };
+  }
+
+  function parseProperties() {
+    const properties = { anchor: null, tag: null };
+    for (;;) {
+      if (src[pos] === '&') {
+        const start = pos;
+        pos += 1;
+        while (pos < src.length && !isSeparated(pos) && !FLOW_INDICATORS.has(src[pos])) pos += 1;
+        properties.anchor = src.slice(start + 1, pos);
+        if (!properties.anchor) fail('Anchor name is empty', start);
+      } else if (src[pos] === '!') {
+        const start = pos;
+        while (pos < src.length && !isSeparated(pos) && !FLOW_INDICATORS.has(src[pos])) pos += 1;
+        properties.tag = src.slice(start, pos);
+      } else {
+        return properties;
+      }
+      skipSpaces();
+    }
+  }
+
+  function attachProperties(node, properties) {
+    if (properties.tag) node.tag = properties.tag;
+    if (properties.anchor) {
+      node.anchor = properties.anchor;
+      anchors.set(properties.anchor, node);
+    }
+    return node;
+  }
+
+  function parseAlias() {
+    const start = pos;
+    pos += 1;
+    while (pos < src.length && !isSeparated(pos) && !FLOW_INDICATORS.has(src[pos])) pos += 1;
+    const name = src.slice(start + 1, pos);
+    if (!anchors.has(name)) fail(`Unknown alias *${name}`, start);
+    return { kind: 'alias', name, target: anchors.get(name), ...positionOf(start) };
+  }
+
+  // Returns the offset of the `:` that ends a block mapping key on this line,
+  // or null when the line does not start a mapping entry.
+  function findMappingKeyEnd(start) {
+    const end = lineEnd(start);
+    let index = start;
+    const ch = src[index];
+    if (ch === '"' || ch === "'") {
+      index += 1;
+      while (index < end) {
+        if (ch === "'" && src[index] === "'" && src[index + 1] === "'") {
+          index += 2;
+        } else if (ch === '"' && src[index] === '\\') {
+          index += 2;
+        } else if (src[index] === ch) {
+          break;
+        } else {
+          index += 1;
+        }
+      }
+      if (index >= end) return null;
+      index += 1;
+      while (isBlank(src[index])) index += 1;
+      return src[index] === ':' && isSeparated(index + 1) ? index : null;
+    }
+    if ('[{|>#%@`*'.includes(ch) || isSequenceEntry(start)) return null;
+    for (; index < end; index += 1) {
+      if (src[index] === ':' && isSeparated(index + 1)) return index;
+      if (src[index] === '#' && isBlank(src[index - 1])) return null;
+    }
+    return null;
+  }
+
+  // Handles a line break inside a quoted scalar: trailing and leading white
+  // space is dropped, a single break becomes a space and each blank line a
+  // newline. `protectedLength` guards escaped characters from trimming.
+  function foldQuotedBreak(value, protectedLength, start, style) {
+    let folded = value.slice(0, protectedLength) + value.slice(protectedLength).replace(/[ \t]+$/, '');
+    let blankLines = 0;
+    pos += 1;
+    for (;;) {
+      while (isBlank(src[pos])) pos += 1;
+      if (src[pos] !== '\n') break;
+      blankLines += 1;
+      pos += 1;
+    }
+    if (pos >= src.length || isDocumentMarker(pos)) {
+      fail(`Unterminated ${style} scalar`, start);
+    }
+    folded += blankLines > 0 ? '\n'.repeat(blankLines) : ' ';
+    return folded;
+  }
+
+  function parseSingleQuoted() {
+    const start = pos;
+    pos += 1;
+    let value = '';
+    let protectedLength = 0;
+    for (;;) {
+      if (pos >= src.length) fail('Unterminated single-quoted scalar', start);
+      const ch = src[pos];
+      if (ch === "'") {
+        if (src[pos + 1] !== "'") {
+          pos += 1;
+          break;
+        }
+        value += "'";
+        pos += 2;
+      } else if (ch === '\n') {
+        value = foldQuotedBreak(value, protectedLength, start, 'single-quoted');
+      } else {
+        value += ch;
+        pos += 1;
+        if (!isBlank(ch)) protectedLength = value.length;
+        continue;
+      }
+      protectedLength = value.length;
+    }
+    return createScalar(value, 'single', start);
+  }
+
+  function parseDoubleQuoted() {
+    const start = pos;
+    pos += 1;
+    let value = '';
+    let protectedLength = 0;
+    for (;;) {
+      if (pos >= src.length) fail('Unterminated double-quoted scalar', start);
+      const ch = src[pos];
+      if (ch === '"') {
+        pos += 1;
+        break;
+      }
+      if (ch === '\n') {
+        value = foldQuotedBreak(value, protectedLength, start, 'double-quoted');
+        protectedLength = value.length;
+        continue;
+      }
+      if (ch !== '\\') {
+        value += ch;
+        pos += 1;
+        if (!isBlank(ch)) protectedLength = value.length;
+        continue;
+      }
+      const next = src[pos + 1];
+      if (next === '\n') {
+        // An escaped line break joins the lines without a space.
+        pos += 2;
+        while (isBlank(src[pos])) pos += 1;
+        continue;
+      }
+      if (next === 'x' || next === 'u' || next === 'U') {
+        const length = next === 'x' ? 2 : next === 'u' ? 4 : 8;
+        const hex = src.slice(pos + 2, pos + 2 + length);
+        if (hex.length !== length || !/^[0-9a-fA-F]+$/.test(hex)) fail('Invalid escape sequence');
+        value += String.fromCodePoint(parseInt(hex, 16));
+        pos += 2 + length;
+      } else if (Object.prototype.hasOwnProperty.call(DOUBLE_QUOTE_ESCAPES, next)) {
+        value += DOUBLE_QUOTE_ESCAPES[next];
+        pos += 2;
+      } else {
+        fail('Invalid escape sequence');
+      }
+      protectedLength = value.length;
+    }
+    return createScalar(value, 'double', start);
+  }
+
+  function parseBlockScalar(parentIndent) {
+    const start = pos;
+    const style = src[pos] === '|' ? 'literal' : 'folded';
+    pos += 1;
+    let chomping = 'clip';
+    let explicitIndent = null;
+    for (let count = 0; count < 2; count += 1) {
+      if (src[pos] === '-' || src[pos] === '+') {
+        chomping = src[pos] === '-' ? 'strip' : 'keep';
+        pos += 1;
+      } else if (/[1-9]/.test(src[pos] || '')) {
+        explicitIndent = Number(src[pos]);
+        pos += 1;
+      }
+    }
+    skipSpaces();
+    if (src[pos] === '#') pos = lineEnd(pos);
+    if (!isBreakOrEnd(src[pos])) fail('Invalid block scalar header', start);
+
+    const baseIndent = Math.max(parentIndent, 0);
+    let contentIndent = explicitIndent !== null ? baseIndent + explicitIndent : null;
+    const lines = [];
+    let firstContentLine = null;
+    let cursor = pos < src.length ? pos + 1 : pos;
+    let consumedEnd = pos;
+
+    while (cursor < src.length) {
+      const end = lineEnd(cursor);
+      const text = src.slice(cursor, end);
+      const indent = text.match(/^ */)[0].length;
+      const isEmpty = text.trim() === '';
+
+      if (contentIndent === null && !isEmpty) {
+        if (indent <= parentIndent) break;
+        contentIndent = indent;
+      }
+      if (!isEmpty && (indent < contentIndent || (indent === 0 && isDocumentMarker(cursor)))) break;
+      if (isEmpty && contentIndent !== null && indent > contentIndent) {
+        lines.push(text.slice(contentIndent));
+      } else if (isEmpty) {
+        lines.push('');
+      } else {
+        if (firstContentLine === null) firstContentLine = locate(cursor).line;
+        lines.push(text.slice(contentIndent));
+      }
+      consumedEnd = end;
+      cursor = end + 1;
+    }
+
+    let trailing = 0;
+    while (trailing < lines.length && lines[lines.length - 1 - trailing] === '') trailing += 1;
+    const body = lines.slice(0, lines.length - trailing);
+
+    let value;
+    if (style === 'literal') {
+      value = body.join('\n');
+    } else {
+      value = '';
+      let pendingBreaks = 0;
+      let previousMoreIndented = false;
+      let started = false;
+      for (const line of body) {
+        if (line === '') {
+          pendingBreaks += 1;
+          continue;
+        }
+        const moreIndented = isBlank(line[0]);
+        if (!started) {
+          value += '\n'.repeat(pendingBreaks);
+          started = true;
+        } else if (pendingBreaks === 0) {
+          value += moreIndented || previousMoreIndented ? '\n' : ' ';
+        } else {
+          value += '\n'.repeat(moreIndented || previousMoreIndented ? pendingBreaks + 1 : pendingBreaks);
+        }
+        value += line;
+        pendingBreaks = 0;
+        previousMoreIndented = moreIndented;
+      }
+    }
+
+    if (chomping === 'clip' && body.length > 0) value += '\n';
+    if (chomping === 'keep') value += body.length > 0 ? '\n'.repeat(trailing + 1) : '\n'.repeat(trailing);
+
+    pos = consumedEnd;
+    const node = createScalar(value, style, start, consumedEnd);
+    node.contentLine = firstContentLine;
+    return node;
+  }
+
+  function parsePlainScalar(parentIndent) {
+    const start = pos;
+    const readLine = () => {
+      const end = lineEnd(pos);
+      let index = pos;
+      for (; index < end; index += 1) {
+        if (src[index] === '#' && isBlank(src[index - 1])) break;
+        if (src[index] === ':' && isSeparated(index + 1)) {
+          fail('Mapping values are not allowed in this context', index);
+        }
+      }
+      const text = src.slice(pos, index).replace(/[ \t]+$/, '');
+      const hasComment = index < end;
+      pos += text.length;
+      return { text, hasComment };
+    };
+
+    let { text: value, hasComment } = readLine();
+    let end = pos;
+    while (!hasComment) {
+      let cursor = lineEnd(pos) + 1;
+      let blankLines = 0;
+      let continued = false;
+      while (cursor <= src.length && cursor < src.length) {
+        const lineText = src.slice(cursor, lineEnd(cursor));
+        const trimmed = lineText.trim();
+        if (!trimmed) {
+          blankLines += 1;
+          cursor = lineEnd(cursor) + 1;
+          continue;
+        }
+        const leading = lineText.match(/^[ \t]*/)[0];
+        const indent = leading.length;
+        if (leading.includes('\t') && !trimmed.startsWith('#')) fail('Tabs are not allowed for indentation', cursor);
+        if (indent <= parentIndent || trimmed.startsWith('#') || isDocumentMarker(cursor)) break;
+        if (parentIndent < 0 && indent === 0) break;
+        pos = cursor + indent;
+        const next = readLine();
+        value += blankLines > 0 ? '\n'.repeat(blankLines) : ' ';
+        value += next.text;
+        hasComment = next.hasComment;
+        end = pos;
+        continued = true;
+        break;
+      }
+      if (!continued) break;
+    }
+    pos = end;
+    return createScalar(value, 'plain', start, end);
+  }
+
+  function skipFlowSpace() {
+    for (;;) {
+      const ch = src[pos];
+      if (ch === ' ' || ch === '\t' || ch === '\n') {
+        pos += 1;
+      } else if (ch === '#' && (pos === 0 || isSeparated(pos - 1))) {
+        pos = lineEnd(pos);
+      } else {
+        return;
+      }
+    }
+  }
+
+  function parseFlowPlainScalar() {
+    const start = pos;
+    let value = '';
+    let end = pos;
+    while (pos < src.length) {
+      const ch = src[pos];
+      if (FLOW_INDICATORS.has(ch)) break;
+      if (ch === ':' && (isSeparated(pos + 1) || FLOW_INDICATORS.has(src[pos + 1]))) break;
+      if (ch === '#' && isBlank(src[pos - 1])) break;
+      if (ch === '\n') {
+        value = value.replace(/[ \t]+$/, '');
+        skipFlowSpace();
+        if (pos < src.length && !FLOW_INDICATORS.has(src[pos]) && src[pos] !== ':') value += ' ';
+        continue;
+      }
+      value += ch;
+      pos += 1;
+      if (!isBlank(ch)) end = pos;
+    }
+    const text = value.replace(/[ \t]+$/, '');
+    if (!text) fail('Expected a flow value', start);
+    return createScalar(text, 'plain', start, end);
+  }
+
+  function parseFlowNode() {
+    skipFlowSpace();
+    const properties = parseProperties();
+    skipFlowSpace();
+    const ch = src[pos];
+    let node;
+    if (ch === '[') node = parseFlowSequence();
+    else if (ch === '{') node = parseFlowMapping();
+    else if (ch === '"') node = parseDoubleQuoted();
+    else if (ch === "'") node = parseSingleQuoted();
+    else if (ch === '*') node = parseAlias();
+    else if ((ch === ',' || ch === ']' || ch === '}') && (properties.anchor || properties.tag)) node = createScalar('', 'plain', pos, pos);
+    else node = parseFlowPlainScalar();
+    return attachProperties(node, properties);
+  }
+
+  function parseFlowSequence() {
+    const start = pos;
+    const node = { kind: 'seq', items: [], flow: true, ...positionOf(start) };
+    pos += 1;
+    for (;;) {
+      skipFlowSpace();
+      if (pos >= src.length) fail('Unterminated flow sequence', start);
+      if (src[pos] === ']') {
+        pos += 1;
+        return node;
+      }
+      const item = parseFlowNode();
+      skipFlowSpace();
+      if (src[pos] === ':') {
+        pos += 1;
+        skipFlowSpace();
+        const value = src[pos] === ',' || src[pos] === ']' ? createScalar('', 'plain', pos, pos) : parseFlowNode();
+        node.items.push({ kind: 'map', entries: [{ key: item, value }], flow: true, line: item.line, column: item.column });
+        skipFlowSpace();
+      } else {
+        node.items.push(item);
+      }
+      if (src[pos] === ',') {
+        pos += 1;
+      } else if (src[pos] !== ']') {
+        fail('Expected , or ] in flow sequence');
+      }
+    }
+  }
+
+  function parseFlowMapping() {
+    const start = pos;
+    const node = { kind: 'map', entries: [], flow: true, ...positionOf(start) };
+    const keys = new Set();
+    pos += 1;
+    for (;;) {
+      skipFlowSpace();
+      if (pos >= src.length) fail('Unterminated flow mapping', start);
+      if (src[pos] === '}') {
+        pos += 1;
+        return node;
+      }
+      const key = parseFlowNode();
+      if (key.kind === 'scalar') {
+        if (keys.has(key.value)) fail(`Duplicate mapping key "${key.value}"`, locateOffset(key));
+        keys.add(key.value);
+      }
+      skipFlowSpace();
+      let value;
+      if (src[pos] === ':') {
+        pos += 1;
+        skipFlowSpace();
+        value = src[pos] === ',' || src[pos] === '}' ? createScalar('', 'plain', pos, pos) : parseFlowNode();
+        skipFlowSpace();
+      } else {
+        value = createScalar('', 'plain', pos, pos);
+      }
+      node.entries.push({ key, value });
+      if (src[pos] === ',') {
+        pos += 1;
+      } else if (src[pos] !== '}') {
+        fail('Expected , or } in flow mapping');
+      }
+    }
+  }
+
+  function locateOffset(node) {
+    return lineStarts[node.line - 1] + node.column - 1;
+  }
+
+  function expectLineEnd() {
+    skipSpaces();
+    if (!atLineEndOrComment()) fail('Unexpected content after value');
+  }
+
+  function parseInlineNode(parentIndent) {
+    const ch = src[pos];
+    let node;
+    if (ch === '*') {
+      node = parseAlias();
+      expectLineEnd();
+    } else if (ch === '|' || ch === '>') {
+      node = parseBlockScalar(parentIndent);
+    } else if (ch === '[' || ch === '{') {
+      node = ch === '[' ? parseFlowSequence() : parseFlowMapping();
+      expectLineEnd();
+    } else if (ch === '"' || ch === "'") {
+      node = ch === '"' ? parseDoubleQuoted() : parseSingleQuoted();
+      expectLineEnd();
+    } else {
+      node = parsePlainScalar(parentIndent);
+    }
+    return node;
+  }
+
+  function parseNestedBlock(parentIndent, allowSameIndentSequence) {
+    const save = pos;
+    if (!skipToContent() || isDocumentMarker(pos)) {
+      pos = save;
+      return null;
+    }
+    const column = columnOf(pos);
+    if (column > parentIndent) {
+      const properties = parseProperties();
+      if (atLineEndOrComment()) {
+        // Properties on their own line apply to the collection below them.
+        const nested = parseNestedBlock(parentIndent, allowSameIndentSequence);
+        return attachProperties(nested || createScalar('', 'plain', pos, pos), properties);
+      }
+      const innerColumn = columnOf(pos);
+      if (isSequenceEntry(pos)) return attachProperties(parseBlockSequence(innerColumn), properties);
+      if (findMappingKeyEnd(pos) !== null) return attachProperties(parseBlockMapping(innerColumn), properties);
+      return attachProperties(parseInlineNode(parentIndent), properties);
+    }
+    if (allowSameIndentSequence && column === parentIndent && isSequenceEntry(pos)) {
+      return parseBlockSequence(column);
+    }
+    pos = save;
+    return null;
+  }
+
+  // Parses the node after `key:`, `- ` or the document start. Compact entries
+  // (`- key: value`, `- - item`) are only allowed in sequence and root position.
+  function parseValue(parentIndent, options = {}) {
+    skipSpaces();
+    const properties = parseProperties();
+    let node;
+    if (atLineEndOrComment()) {
+      const start = pos;
+      node = parseNestedBlock(parentIndent, options.allowSameIndentSequence === true)
+        || createScalar('', 'plain', start, start);
+    } else if (options.compact && isSequenceEntry(pos)) {
+      node = parseBlockSequence(columnOf(pos));
+    } else if (options.compact && findMappingKeyEnd(pos) !== null) {
+      node = parseBlockMapping(columnOf(pos));
+    } else {
+      node = parseInlineNode(parentIndent);
+    }
+    return attachProperties(node, properties);
+  }
+
+  function parseMappingKey(colonOffset) {
+    const start = pos;
+    let key;
+    if (src[pos] === '"' || src[pos] === "'") {
+      key = src[pos] === '"' ? parseDoubleQuoted() : parseSingleQuoted();
+    } else {
+      const properties = parseProperties();
+      const text = src.slice(pos, colonOffset).replace(/[ \t]+$/, '');
+      key = attachProperties(createScalar(text, 'plain', pos, pos + text.length), properties);
+      if (key.value === null && !text) fail('Mapping key is empty', start);
+    }
+    pos = colonOffset + 1;
+    return key;
+  }
+
+  function parseBlockMapping(indent) {
+    const node = { kind: 'map', entries: [], ...positionOf(pos) };
+    const keys = new Set();
+    for (;;) {
+      const keyStart = pos;
+      const colon = findMappingKeyEnd(pos);
+      if (colon === null) fail('Expected a mapping key');
+      const key = parseMappingKey(colon);
+      const keyText = key.value === null ? '' : key.value;
+      if (!(key.style === 'plain' && keyText === '<<')) {
+        if (keys.has(keyText)) fail(`Duplicate mapping key "${keyText}"`, keyStart);
+        keys.add(keyText);
+      }
+      const value = parseValue(indent, { allowSameIndentSequence: true });
+      node.entries.push({ key, value });
+
+      if (!skipToContent() || isDocumentMarker(pos)) break;
+      const column = columnOf(pos);
+      if (column < indent) break;
+      if (column > indent) fail('Unexpected indentation');
+    }
+    return node;
+  }
+
+  function parseBlockSequence(indent) {
+    const node = { kind: 'seq', items: [], ...positionOf(pos) };
+    for (;;) {
+      pos += 1;
+      node.items.push(parseValue(indent, { compact: true }));
+
+      if (!skipToContent() || isDocumentMarker(pos)) break;
+      const column = columnOf(pos);
+      if (column < indent) break;
+      if (column > indent) fail('Unexpected indentation');
+      if (!isSequenceEntry(pos)) break;
+    }
+    return node;
+  }
+
+  // Directives and the optional `---` marker come before the root node.
+  while (skipToContent() && src[pos] === '%' && columnOf(pos) === 0) pos = lineEnd(pos);
+  if (pos < src.length && src.startsWith('---', pos) && isDocumentMarker(pos)) pos += 3;
+
+  let root = null;
+  if (skipToContent() && !isDocumentMarker(pos)) {
+    root = parseValue(-1, { compact: true });
+  }
+  if (skipToContent()) {
+    if (src.startsWith('---', pos) && isDocumentMarker(pos)) fail('Multiple YAML documents are not supported');
+    if (src.startsWith('...', pos) && isDocumentMarker(pos)) {
+      pos += 3;
+      if (skipToContent()) fail('Content after the document end marker');
+    } else {
+      fail('Unexpected content');
+    }
+  }
+  return root;
+}
+
+function resolveYamlNode(node) {
+  let current = node;
+  for (let depth = 0; current && current.kind === 'alias' && depth < 32; depth += 1) {
+    current = current.target;
+  }
+  return current || null;
+}
+
+// Mapping entries with `<<` merge keys expanded; explicit keys win.
+function getYamlMapEntries(node) {
+  const map = resolveYamlNode(node);
+  if (!map || map.kind !== 'map') return [];
+  const entries = [];
+  const merged = [];
+  for (const entry of map.entries) {
+    if (entry.key.kind === 'scalar' && entry.key.style === 'plain' && entry.key.value === '<<') {
+      const source = resolveYamlNode(entry.value);
+      const sources = source?.kind === 'seq' ? source.items : [source];
+      sources.forEach((item) => merged.push(...getYamlMapEntries(item)));
+    } else {
+      entries.push(entry);
+    }
+  }
+  const explicitKeys = new Set(entries.map((entry) => getYamlScalarValue(entry.key)));
+  merged.forEach((entry) => {
+    const key = getYamlScalarValue(entry.key);
+    if (!explicitKeys.has(key)) {
+      explicitKeys.add(key);
+      entries.push(entry);
+    }
+  });
+  return entries;
+}
+
+function getYamlScalarValue(node) {
+  const resolved = resolveYamlNode(node);
+  return resolved && resolved.kind === 'scalar' ? resolved.value : undefined;
+}
+
+function getYamlMapEntry(node, key) {
+  return getYamlMapEntries(node).find((entry) => getYamlScalarValue(entry.key) === key) || null;
+}
+
+function getYamlMapValue(node, key) {
+  const entry = getYamlMapEntry(node, key);
+  return entry ? resolveYamlNode(entry.value) : null;
+}
+
+function yamlNodeToValue(node, depth = 0) {
+  const resolved = resolveYamlNode(node);
+  if (!resolved || depth > 64) return null;
+  if (resolved.kind === 'scalar') return resolved.value;
+  if (resolved.kind === 'seq') return resolved.items.map((item) => yamlNodeToValue(item, depth + 1));
+  const value = {};
+  getYamlMapEntries(resolved).forEach((entry) => {
+    value[String(getYamlScalarValue(entry.key) ?? '')] = yamlNodeToValue(entry.value, depth + 1);
+  });
+  return value;
+}
+
+module.exports = {
+  getYamlMapEntries,
+  getYamlMapEntry,
+  getYamlMapValue,
+  getYamlScalarValue,
+  parseYamlDocument,
+  resolveYamlNode,
+  yamlNodeToValue,
+};
@@ -0,0 +1,102 @@
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const DEFAULT_MAX_ENTRIES = 2000;
+const DEFAULT_MAX_TOTAL_BYTES = 256 * 1024 * 1024;
+
+function createZipError(message) {
+  const error = new Error(message);
+  error.code = 'ZIP_INVALID';
+  return error;
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes plus an optional comment of up to 64 KiB.
+  const lowest = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= lowest; offset -= 1) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      return offset;
+    }
+  }
+  return -1;
+}
+
+// Minimal reader for the stored/deflated archives GitHub serves for run logs.
+// Multi-disk and zip64 archives are rejected rather than half-read.
+function readZipEntries(input, options = {}) {
+  const buffer = Buffer.isBuffer(input) ? input : Buffer.from(input || []);
+  const maxEntries = Number(options.maxEntries) || DEFAULT_MAX_ENTRIES;
+  const maxTotalBytes = Number(options.maxTotalBytes) || DEFAULT_MAX_TOTAL_BYTES;
+
+  if (buffer.length < 22) {
+    throw createZipError('Archive is too small to be a zip file.');
+  }
+  const eocd = findEndOfCentralDirectory(buffer);
+  if (eocd < 0) {
+    throw createZipError('Archive has no end-of-central-directory record.');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  const directoryOffset = buffer.readUInt32LE(eocd + 16);
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw createZipError('zip64 archives are not supported.');
+  }
+  if (entryCount > maxEntries) {
+    throw createZipError(`Archive has ${entryCount} entries; the limit is ${maxEntries}.`);
+  }
+
+  const entries = [];
+  let totalBytes = 0;
+  let cursor = directoryOffset;
+  for (let index = 0; index < entryCount; index += 1) {
+    if (cursor + 46 > buffer.length || buffer.readUInt32LE(cursor) !== CENTRAL_DIRECTORY_SIGNATURE) {
+      throw createZipError(`Central directory entry ${index} is malformed.`);
+    }
+    const method = buffer.readUInt16LE(cursor + 10);
+    const compressedSize = buffer.readUInt32LE(cursor + 20);
+    const size = buffer.readUInt32LE(cursor + 24);
+    const nameLength = buffer.readUInt16LE(cursor + 28);
+    const extraLength = buffer.readUInt16LE(cursor + 30);
+    const commentLength = buffer.readUInt16LE(cursor + 32);
+    const localOffset = buffer.readUInt32LE(cursor + 42);
+    const name = buffer.toString('utf8', cursor + 46, cursor + 46 + nameLength);
+    cursor += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    totalBytes += size;
+    if (totalBytes > maxTotalBytes) {
+      throw createZipError(`Archive expands past ${maxTotalBytes} bytes.`);
+    }
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER_SIGNATURE) {
+      throw createZipError(`Local header for ${name} is malformed.`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === 0) {
+      data = Buffer.from(compressed);
+    } else if (method === 8) {
+      try {
+        data = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(1, size) });
+      } catch (error) {
+        // zlib throws a RangeError when the entry inflates past its declared size.
+        throw createZipError(`Entry ${name} could not be inflated: ${error.message}`);
+      }
+    } else {
+      throw createZipError(`Entry ${name} uses unsupported compression method ${method}.`);
+    }
+
+    entries.push({ name, size: data.length, data });
+  }
+
+  return entries;
+}
+
+module.exports = {
+  readZipEntries,
+};
@@ -0,0 +1,382 @@
+/**
+ * Embedding Index — vector recall for memory notes and skills
+ *
+ * Keeps one embedding per note/skill in ~/.liku/memory/embeddings.json so
+ * memory-store.js and skill-router.js can blend vector similarity into their
+ * lexical + scope ranking. Paraphrased queries ("launch the chart editor")
+ * then still reach notes written in other words ("open the pine editor").
+ *
+ * Providers (LIKU_EMBEDDING_PROVIDER):
+ *   - hashing (default) — deterministic feature hashing of word stems and
+ *     character trigrams. Offline, synchronous, no model required.
+ *   - ollama            — a local embedding endpoint (POST /api/embed).
+ *     Asynchronous: vectors are filled in by prepareDocuments() before the
+ *     synchronous selection runs; until then the hashing space is used.
+ *   - off               — lexical + scope ranking only.
+ *
+ * Each provider keeps its own vector space in the index file, so switching
+ * providers never compares vectors from different models.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LIKU_HOME } = require('../../shared/liku-home');
+
+const EMBEDDINGS_FILE = path.join(LIKU_HOME, 'memory', 'embeddings.json');
+
+const HASHING_DIMENSIONS = 256;
+const DEFAULT_OLLAMA_URL = 'http://localhost:11434';
+const DEFAULT_OLLAMA_MODEL = 'nomic-embed-text';
+const OLLAMA_TIMEOUT_MS = 10000;
+const QUERY_CACHE_LIMIT = 32;
+const MAX_DOCUMENT_CHARS = 4000;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'for', 'from', 'how', 'i', 'in', 'into',
+  'is', 'it', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the', 'then', 'this', 'to', 'up', 'use',
+  'was', 'we', 'what', 'when', 'with', 'you', 'your'
+]);
+
+const SUFFIXES = ['ations', 'ation', 'ments', 'ment', 'ings', 'ing', 'ies', 'ied', 'ers', 'er', 'ed', 'es', 'ly', 's'];
+
+// ─── Hashing provider ───────────────────────────────────────
+
+function stem(word) {
+  for (const suffix of SUFFIXES) {
+    if (word.length - suffix.length >= 3 && word.endsWith(suffix)) {
+      const base = word.slice(0, -suffix.length);
+      return suffix === 'ies' || suffix === 'ied' ? `${base}y` : base;
+    }
+  }
+  return word;
+}
+
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function addFeature(vector, feature, weight) {
+  const hash = fnv1a(feature);
+  const sign = hash & 1 ? -1 : 1;
+  vector[(hash >>> 1) % vector.length] += sign * weight;
+}
+
+/**
+ * Deterministic embedding: each word stem contributes one signed bucket and
+ * its character trigrams a lighter one, so "deploying" and "deployment" land
+ * close together while unrelated text stays near-orthogonal.
+ *
+ * @param {string} text
+ * @param {number} [dimensions]
+ * @returns {number[]} L2-normalized vector (all zeros for empty text)
+ */
+function hashingEmbed(text, dimensions = HASHING_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const words = String(text || '').toLowerCase().split(/[^a-z0-9]+/)
+    .filter((word) => word.length >= 2 && !STOPWORDS.has(word));
+  for (const word of words) {
+    const base = stem(word);
+    addFeature(vector, `w:${base}`, 1);
+    const padded = `#${base}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      addFeature(vector, `t:${padded.slice(i, i + 3)}`, 0.25);
+    }
+  }
+  return normalizeVector(vector);
+}
+
+function createHashingProvider(options = {}) {
+  const dimensions = options.dimensions || HASHING_DIMENSIONS;
+  const embedSync = (texts) => texts.map((text) => hashingEmbed(text, dimensions));
+  return {
+    id: `hashing-${dimensions}`,
+    name: 'hashing',
+    model: 'feature-hash-v1',
+    minSimilarity: 0.3,
+    embedSync,
+    embed: async (texts) => embedSync(texts)
+  };
+}
+
+// ─── Ollama provider ────────────────────────────────────────
+
+function createOllamaProvider(options = {}) {
+  const url = String(options.url || DEFAULT_OLLAMA_URL).replace(/\/+$/, '');
+  const model = options.model || DEFAULT_OLLAMA_MODEL;
+  const fetchImpl = options.fetch || globalThis.fetch;
+  return {
+    id: `ollama-${model}`,
+    name: 'ollama',
+    model,
+    minSimilarity: 0.55,
+    async embed(texts) {
+      const response = await fetchImpl(`${url}/api/embed`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model, input: texts }),
+        signal: AbortSignal.timeout(options.timeoutMs || OLLAMA_TIMEOUT_MS)
+      });
+      if (!response.ok) {
+        throw new Error(`Ollama embedding request failed: HTTP ${response.status}`);
+      }
+      const payload = await response.json();
+      if (!Array.isArray(payload.embeddings) || payload.embeddings.length !== texts.length) {
+        throw new Error('Ollama embedding response did not include one vector per input');
+      }
+      return payload.embeddings.map(normalizeVector);
+    }
+  };
+}
+
+const EMBEDDING_PROVIDERS = {
+  hashing: createHashingProvider,
+  ollama: createOllamaProvider
+};
+
+/**
+ * Build the provider selected by the environment.
+ *
+ * LIKU_EMBEDDING_PROVIDER  hashing | ollama | off   (default: hashing)
+ * LIKU_EMBEDDING_MODEL     ollama model             (default: nomic-embed-text)
+ * LIKU_EMBEDDING_URL       ollama base URL          (default: http://localhost:11434)
+ * LIKU_EMBEDDING_MIN_SIMILARITY  override the provider's similarity floor
+ */
+function resolveEmbeddingProvider(env = process.env) {
+  const name = String(env.LIKU_EMBEDDING_PROVIDER || 'hashing').trim().toLowerCase();
+  if (name === 'off' || name === 'none') return null;
+  const factory = EMBEDDING_PROVIDERS[name];
+  if (!factory) {
+    console.warn(`[Embeddings] Unknown provider "${name}", using hashing`);
+    return createHashingProvider();
+  }
+  const provider = factory({ model: env.LIKU_EMBEDDING_MODEL, url: env.LIKU_EMBEDDING_URL });
+  const minSimilarity = Number(env.LIKU_EMBEDDING_MIN_SIMILARITY);
+  if (env.LIKU_EMBEDDING_MIN_SIMILARITY && Number.isFinite(minSimilarity)) {
+    provider.minSimilarity = minSimilarity;
+  }
+  return provider;
+}
+
+let activeProvider;
+const fallbackProvider = createHashingProvider();
+const queryCache = new Map();
+
+function getEmbeddingProvider() {
+  if (activeProvider === undefined) activeProvider = resolveEmbeddingProvider();
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider: a provider object, a provider name, or null
+ * to disable vector recall. Passing undefined re-reads the environment.
+ */
+function setEmbeddingProvider(provider) {
+  activeProvider = typeof provider === 'string' ? EMBEDDING_PROVIDERS[provider]() : provider;
+  queryCache.clear();
+}
+
+// ─── Vectors ────────────────────────────────────────────────
+
+function normalizeVector(vector) {
+  let magnitude = 0;
+  for (const value of vector) magnitude += value * value;
+  magnitude = Math.sqrt(magnitude);
+  return magnitude === 0 ? Array.from(vector, () => 0) : Array.from(vector, (value) => value / magnitude);
+}
+
+function dot(a, b) {
+  const length = Math.min(a.length, b.length);
+  let sum = 0;
+  for (let i = 0; i < length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function encodeVector(vector) {
+  return Buffer.from(Float32Array.from(vector).buffer).toString('base64');
+}
+
+function decodeVector(encoded) {
+  const buffer = Buffer.from(encoded, 'base64');
+  return Array.from(new Float32Array(buffer.buffer, buffer.byteOffset, buffer.length / 4));
+}
+
+// ─── Index I/O ──────────────────────────────────────────────
+
+function loadEmbeddings() {
+  try {
+    if (fs.existsSync(EMBEDDINGS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(EMBEDDINGS_FILE, 'utf-8'));
+      if (data && typeof data.spaces === 'object') return data;
+    }
+  } catch (err) {
+    console.warn('[Embeddings] Failed to read index:', err.message);
+  }
+  return { version: 1, spaces: {} };
+}
+
+function saveEmbeddings(data) {
+  const dir = path.dirname(EMBEDDINGS_FILE);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  }
+  fs.writeFileSync(EMBEDDINGS_FILE, JSON.stringify(data), 'utf-8');
+}
+
+function getSpace(data, provider) {
+  if (!data.spaces[provider.id]) {
+    data.spaces[provider.id] = { provider: provider.name, model: provider.model, items: {} };
+  }
+  return data.spaces[provider.id];
+}
+
+function itemKey(kind, id) {
+  return `${kind}:${id}`;
+}
+
+function documentText(document) {
+  const text = typeof document.getText === 'function' ? document.getText() : document.text;
+  return String(text || '').slice(0, MAX_DOCUMENT_CHARS);
+}
+
+function staleDocuments(space, kind, documents) {
+  return documents.filter((document) => {
+    const item = space.items[itemKey(kind, document.id)];
+    return !item || item.stamp !== String(document.stamp);
+  });
+}
+
+function storeVectors(space, kind, documents, vectors) {
+  documents.forEach((document, i) => {
+    space.items[itemKey(kind, document.id)] = { stamp: String(document.stamp), vector: encodeVector(vectors[i]) };
+  });
+}
+
+function cacheQueryVector(provider, query, vector) {
+  const key = `${provider.id}\n${query}`;
+  queryCache.delete(key);
+  queryCache.set(key, vector);
+  if (queryCache.size > QUERY_CACHE_LIMIT) {
+    queryCache.delete(queryCache.keys().next().value);
+  }
+}
+
+// ─── Public API ─────────────────────────────────────────────
+
+/**
+ * Vector similarity of each document to the query.
+ *
+ * Synchronous so it can run inside the existing selection paths. The hashing
+ * space embeds missing or stale documents on the spot; an asynchronous
+ * provider is only used when prepareDocuments() already embedded the query,
+ * otherwise the hashing space stands in.
+ *
+ * @param {'note'|'skill'} kind
+ * @param {string} query
+ * @param {Array<{ id: string, stamp: string, text?: string, getText?: () => string }>} documents
+ *   `stamp` changes whenever the document text does (e.g. updatedAt).
+ * @returns {{ provider: string|null, minSimilarity: number, similarities: Map<string, number> }}
+ */
+function scoreDocuments(kind, query, documents) {
+  const configured = getEmbeddingProvider();
+  const similarities = new Map();
+  if (!configured || !query || documents.length === 0) {
+    return { provider: null, minSimilarity: 1, similarities };
+  }
+
+  let provider = configured;
+  let queryVector = queryCache.get(`${configured.id}\n${query}`) || null;
+  if (!queryVector) {
+    provider = configured.embedSync ? configured : fallbackProvider;
+    [queryVector] = provider.embedSync([query]);
+  }
+
+  const data = loadEmbeddings();
+  const space = getSpace(data, provider);
+  if (provider.embedSync) {
+    const stale = staleDocuments(space, kind, documents);
+    if (stale.length) {
+      storeVectors(space, kind, stale, provider.embedSync(stale.map(documentText)));
+      try { saveEmbeddings(data); } catch (err) { console.warn('[Embeddings] Failed to save index:', err.message); }
+    }
+  }
+
+  for (const document of documents) {
+    const item = space.items[itemKey(kind, document.id)];
+    if (!item || item.stamp !== String(document.stamp)) continue;
+    similarities.set(document.id, Math.max(0, dot(queryVector, decodeVector(item.vector))));
+  }
+
+  return { provider: provider.id, minSimilarity: provider.minSimilarity, similarities };
+}
+
+/**
+ * Embed the query and any stale documents with the configured provider ahead
+ * of a synchronous selection. A no-op for synchronous providers; failures are
+ * reported, not thrown, so selection falls back to the hashing space.
+ *
+ * @returns {Promise<{ provider: string|null, embedded: number, error?: string }>}
+ */
+async function prepareDocuments(kind, query, documents) {
+  const provider = getEmbeddingProvider();
+  if (!provider || provider.embedSync || !query) {
+    return { provider: provider ? provider.id : null, embedded: 0 };
+  }
+
+  try {
+    const data = loadEmbeddings();
+    const space = getSpace(data, provider);
+    const stale = staleDocuments(space, kind, documents);
+    const needsQuery = !queryCache.has(`${provider.id}\n${query}`);
+    const texts = stale.map(documentText);
+    if (needsQuery) texts.push(query);
+    if (texts.length === 0) return { provider: provider.id, embedded: 0 };
+
+    const vectors = await provider.embed(texts);
+    if (needsQuery) cacheQueryVector(provider, query, vectors.pop());
+    if (stale.length) {
+      storeVectors(space, kind, stale, vectors);
+      saveEmbeddings(data);
+    }
+    return { provider: provider.id, embedded: stale.length };
+  } catch (err) {
+    return { provider: provider.id, embedded: 0, error: err.message };
+  }
+}
+
+/**
+ * Drop a document's vectors from every provider space.
+ */
+function removeEmbedding(kind, id) {
+  const data = loadEmbeddings();
+  const key = itemKey(kind, id);
+  let changed = false;
+  for (const space of Object.values(data.spaces)) {
+    if (space.items && space.items[key]) {
+      delete space.items[key];
+      changed = true;
+    }
+  }
+  if (changed) {
+    try { saveEmbeddings(data); } catch (err) { console.warn('[Embeddings] Failed to save index:', err.message); }
+  }
+  return changed;
+}
+
+module.exports = {
+  EMBEDDINGS_FILE,
+  EMBEDDING_PROVIDERS,
+  createHashingProvider,
+  createOllamaProvider,
+  getEmbeddingProvider,
+  hashingEmbed,
+  prepareDocuments,
+  removeEmbedding,
+  resolveEmbeddingProvider,
+  scoreDocuments,
+  setEmbeddingProvider
+};
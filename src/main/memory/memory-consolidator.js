@@ -0,0 +1,357 @@
+/**
+ * Memory Consolidator — merge near-duplicate notes, flag contradictions
+ *
+ * Over time the store accumulates episodic notes that say the same thing and
+ * notes that disagree (two different "correct" ways to open the Pine editor).
+ * `liku memory consolidate` runs this pass:
+ *
+ *   1. Cluster related durable notes (hashing-embedding similarity of their
+ *      content, or keyword/tag overlap from memory-linker.js).
+ *   2. Per cluster, find duplicates and contradictions — with the reflection
+ *      model (reflection-trigger.js) when one is available, otherwise with a
+ *      deterministic heuristic.
+ *   3. Merge each duplicate group into one semantic note whose `source`
+ *      records the merged notes and which inherits their links.
+ *   4. Queue contradictions in ~/.liku/memory/review.json for a human.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const memoryStore = require('./memory-store');
+const linker = require('./memory-linker');
+const { hashingEmbed } = require('./embedding-index');
+const { buildConsolidationMessages, parseConsolidationResult } = require('../telemetry/reflection-trigger');
+
+const REVIEW_FILE = path.join(memoryStore.MEMORY_DIR, 'review.json');
+
+const RELATED_SIMILARITY = 0.45;
+const DUPLICATE_SIMILARITY = 0.85;
+const MAX_MODEL_CLUSTERS = 20;
+
+const NEGATION_PATTERN = /\b(not|never|don't|do not|doesn't|does not|avoid|no longer|won't|cannot|can't|instead of)\b/i;
+const EXCLUSIVE_PATTERN = /\b(correct|right way|only way|always|must)\b/i;
+
+// ─── Review queue I/O ───────────────────────────────────────
+
+function loadReview() {
+  try {
+    if (fs.existsSync(REVIEW_FILE)) {
+      const data = JSON.parse(fs.readFileSync(REVIEW_FILE, 'utf-8'));
+      if (data && Array.isArray(data.flags)) return data;
+    }
+  } catch (err) {
+    console.warn('[Memory] Failed to read review queue:', err.message);
+  }
+  return { flags: [] };
+}
+
+function saveReview(data) {
+  if (!fs.existsSync(memoryStore.MEMORY_DIR)) {
+    fs.mkdirSync(memoryStore.MEMORY_DIR, { recursive: true, mode: 0o700 });
+  }
+  fs.writeFileSync(REVIEW_FILE, JSON.stringify(data, null, 2), 'utf-8');
+}
+
+/** Flag IDs derive from the note set, so re-running never re-flags a pair. */
+function reviewFlagId(noteIds) {
+  const digest = crypto.createHash('sha1').update([...noteIds].sort().join('|')).digest('hex');
+  return `review-${digest.slice(0, 10)}`;
+}
+
+// ─── Clustering ─────────────────────────────────────────────
+
+function createUnionFind(size) {
+  const parent = Array.from({ length: size }, (_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  return {
+    find,
+    union: (a, b) => { parent[find(a)] = find(b); }
+  };
+}
+
+function groupBy(items, unionFind) {
+  const groups = new Map();
+  items.forEach((item, i) => {
+    const root = unionFind.find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(item);
+  });
+  return Array.from(groups.values());
+}
+
+function similarityOf(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function scopeKey(note) {
+  return JSON.stringify(note.scope || null);
+}
+
+/**
+ * Cluster notes into groups of related notes (size ≥ 2).
+ *
+ * @param {object[]} notes - Full note objects
+ * @returns {{ clusters: object[][], similarity: (a: object, b: object) => number }}
+ */
+function clusterNotes(notes) {
+  // Content only: shared keywords already relate notes through overlapScore,
+  // and would otherwise make differing instructions look like duplicates.
+  const vectors = new Map(notes.map((note) => [note.id, hashingEmbed(note.content)]));
+  const similarity = (a, b) => similarityOf(vectors.get(a.id), vectors.get(b.id));
+  const unionFind = createUnionFind(notes.length);
+  for (let i = 0; i < notes.length; i++) {
+    for (let j = i + 1; j < notes.length; j++) {
+      if (similarity(notes[i], notes[j]) >= RELATED_SIMILARITY
+        || linker.overlapScore(notes[i], notes[j]) >= linker.LINK_THRESHOLD) {
+        unionFind.union(i, j);
+      }
+    }
+  }
+  return {
+    clusters: groupBy(notes, unionFind).filter((cluster) => cluster.length >= 2),
+    similarity
+  };
+}
+
+// ─── Heuristic review ───────────────────────────────────────
+
+function pickMergedContent(notes) {
+  return [...notes].sort((a, b) =>
+    (String(b.content || '').length - String(a.content || '').length)
+    || String(b.updatedAt || '').localeCompare(String(a.updatedAt || ''))
+  )[0].content;
+}
+
+function mergeKeywords(notes) {
+  return Array.from(new Set(notes.flatMap((note) => note.keywords || [])));
+}
+
+function negates(note) {
+  return NEGATION_PATTERN.test(String(note.content || ''));
+}
+
+/**
+ * Deterministic review of one cluster: near-identical notes with the same
+ * scope and polarity are duplicates; related notes where one negates the
+ * other, or both claim to be the correct approach, are contradictions.
+ */
+function reviewClusterHeuristically(cluster, similarity) {
+  const unionFind = createUnionFind(cluster.length);
+  for (let i = 0; i < cluster.length; i++) {
+    for (let j = i + 1; j < cluster.length; j++) {
+      if (scopeKey(cluster[i]) === scopeKey(cluster[j])
+        && negates(cluster[i]) === negates(cluster[j])
+        && similarity(cluster[i], cluster[j]) >= DUPLICATE_SIMILARITY) {
+        unionFind.union(i, j);
+      }
+    }
+  }
+  const duplicates = groupBy(cluster, unionFind)
+    .filter((group) => group.length >= 2)
+    .map((group) => ({ noteIds: group.map((note) => note.id), content: pickMergedContent(group), keywords: mergeKeywords(group) }));
+
+  const contradictions = [];
+  for (let i = 0; i < cluster.length; i++) {
+    for (let j = i + 1; j < cluster.length; j++) {
+      const [a, b] = [cluster[i], cluster[j]];
+      if (unionFind.find(i) === unionFind.find(j) || similarity(a, b) < RELATED_SIMILARITY) continue;
+      if (negates(a) !== negates(b)) {
+        contradictions.push({ noteIds: [a.id, b.id], reason: 'One note negates what the other asserts' });
+      } else if (EXCLUSIVE_PATTERN.test(String(a.content || '')) && EXCLUSIVE_PATTERN.test(String(b.content || ''))) {
+        contradictions.push({ noteIds: [a.id, b.id], reason: 'Both notes claim to be the correct approach' });
+      }
+    }
+  }
+
+  return { duplicates, contradictions };
+}
+
+// ─── Applying results ───────────────────────────────────────
+
+function sharedScope(notes) {
+  return notes.every((note) => scopeKey(note) === scopeKey(notes[0])) ? notes[0].scope || null : null;
+}
+
+/**
+ * Replace a duplicate group with one semantic note. The originals' IDs,
+ * types, timestamps and sources are kept in `source.mergedFrom`, and their
+ * links to notes outside the group move to the merged note.
+ */
+function mergeDuplicateGroup(notes, group, detectedBy) {
+  const mergedIds = new Set(notes.map((note) => note.id));
+  const merged = memoryStore.addNote({
+    type: 'semantic',
+    content: group.content,
+    context: `Consolidated from ${notes.length} notes`,
+    keywords: group.keywords.length ? group.keywords : mergeKeywords(notes),
+    tags: Array.from(new Set([...notes.flatMap((note) => note.tags || []), 'consolidated'])),
+    scope: sharedScope(notes),
+    memoryLane: 'durable',
+    source: {
+      type: 'consolidation',
+      detectedBy,
+      consolidatedAt: new Date().toISOString(),
+      mergedFrom: notes.map((note) => ({
+        id: note.id,
+        type: note.type,
+        createdAt: note.createdAt,
+        updatedAt: note.updatedAt,
+        source: note.source || null
+      }))
+    }
+  });
+
+  // Reverse links live only in the index entries, so collect both sides.
+  const index = memoryStore.listNotes();
+  const inherited = Array.from(new Set(notes.flatMap((note) => [...(note.links || []), ...(index[note.id]?.links || [])])))
+    .filter((id) => !mergedIds.has(id) && id !== merged.id);
+  // Remove the originals first so re-linking cannot point back at them.
+  notes.forEach((note) => memoryStore.removeNote(note.id));
+
+  for (const id of inherited) {
+    const linked = memoryStore.getNote(id);
+    if (!linked) continue;
+    const links = Array.from(new Set([...(linked.links || []).filter((link) => !mergedIds.has(link)), merged.id]));
+    if (links.join('|') !== (linked.links || []).join('|')) {
+      memoryStore.updateNote(id, { links });
+    }
+  }
+  const current = memoryStore.getNote(merged.id);
+  memoryStore.updateNote(merged.id, { links: Array.from(new Set([...(current.links || []).filter((link) => !mergedIds.has(link)), ...inherited])) });
+  return merged.id;
+}
+
+// ─── Public API ─────────────────────────────────────────────
+
+/**
+ * Run a consolidation pass over durable notes.
+ *
+ * @param {object} [options]
+ * @param {(messages: object[]) => Promise<string>} [options.requestModel]
+ *   Reflection model call; omit for heuristic mode. If it fails, the rest of
+ *   the run falls back to the heuristic.
+ * @param {boolean} [options.dryRun] - Report without changing memory
+ * @returns {Promise<{ success: boolean, mode: string, dryRun: boolean, notesScanned: number,
+ *   clusters: string[][], merged: object[], flagged: object[], modelError: string|null }>}
+ */
+async function consolidateMemory(options = {}) {
+  const dryRun = options.dryRun === true;
+  let requestModel = typeof options.requestModel === 'function' ? options.requestModel : null;
+  let modelError = null;
+
+  const index = memoryStore.listNotes();
+  // Pack notes are read-only; their pack owns them.
+  const ids = Object.entries(index)
+    .filter(([, entry]) => !entry.pack && (entry.memoryLane || entry.persistence?.lane || 'durable') !== 'task')
+    .map(([id]) => id);
+  const notes = memoryStore.getNotes(ids)
+    .sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+  const { clusters, similarity } = clusterNotes(notes);
+
+  const reviews = [];
+  for (const [position, cluster] of clusters.entries()) {
+    if (requestModel && position < MAX_MODEL_CLUSTERS) {
+      try {
+        const parsed = parseConsolidationResult(await requestModel(buildConsolidationMessages(cluster)), cluster.map((note) => note.id));
+        if (!parsed.ok) throw new Error(parsed.error);
+        reviews.push({ cluster, detectedBy: 'model', ...parsed });
+        continue;
+      } catch (err) {
+        modelError = err.message;
+        requestModel = null;
+      }
+    }
+    reviews.push({ cluster, detectedBy: 'heuristic', ...reviewClusterHeuristically(cluster, similarity) });
+  }
+
+  const merged = [];
+  const replacedBy = new Map();
+  for (const review of reviews) {
+    const byId = new Map(review.cluster.map((note) => [note.id, note]));
+    for (const group of review.duplicates) {
+      const groupNotes = group.noteIds.map((id) => byId.get(id)).filter((note) => note && !replacedBy.has(note.id));
+      if (groupNotes.length < 2) continue;
+      const noteId = dryRun ? null : mergeDuplicateGroup(groupNotes, group, review.detectedBy);
+      groupNotes.forEach((note) => replacedBy.set(note.id, noteId));
+      merged.push({ noteId, mergedFrom: groupNotes.map((note) => note.id), content: group.content, detectedBy: review.detectedBy });
+    }
+  }
+
+  const review = loadReview();
+  const known = new Set(review.flags.map((flag) => flag.id));
+  const flagged = [];
+  for (const { contradictions, detectedBy } of reviews) {
+    for (const contradiction of contradictions) {
+      const noteIds = Array.from(new Set(contradiction.noteIds.map((id) => replacedBy.get(id) || id)));
+      if (noteIds.length < 2 || noteIds.includes(null)) continue;
+      const id = reviewFlagId(noteIds);
+      if (known.has(id)) continue;
+      known.add(id);
+      flagged.push({ id, noteIds, reason: contradiction.reason, detectedBy, detectedAt: new Date().toISOString(), status: 'open' });
+    }
+  }
+  if (!dryRun && flagged.length) {
+    review.flags.push(...flagged);
+    saveReview(review);
+  }
+
+  return {
+    success: true,
+    mode: reviews.some((entry) => entry.detectedBy === 'model') ? 'model' : 'heuristic',
+    dryRun,
+    notesScanned: notes.length,
+    clusters: clusters.map((cluster) => cluster.map((note) => note.id)),
+    merged,
+    flagged,
+    modelError
+  };
+}
+
+/**
+ * List contradiction flags, open ones by default.
+ *
+ * @param {{ status?: 'open'|'resolved'|'dismissed'|'all' }} [options]
+ */
+function listReviewFlags(options = {}) {
+  const status = options.status || 'open';
+  return loadReview().flags.filter((flag) => status === 'all' || flag.status === status);
+}
+
+/**
+ * Close a contradiction flag. With `keep`, every other note in the flag is
+ * removed; without it the flag is dismissed and all notes stay.
+ *
+ * @param {string} flagId
+ * @param {{ keep?: string }} [options]
+ * @returns {{ success: boolean, flag?: object, removed?: string[], error?: string }}
+ */
+function resolveReviewFlag(flagId, options = {}) {
+  const review = loadReview();
+  const flag = review.flags.find((entry) => entry.id === flagId);
+  if (!flag) return { success: false, error: `Review flag not found: ${flagId}` };
+  if (flag.status !== 'open') return { success: false, error: `Review flag ${flagId} is already ${flag.status}` };
+  if (options.keep && !flag.noteIds.includes(options.keep)) {
+    return { success: false, error: `Note ${options.keep} is not part of ${flagId}` };
+  }
+
+  const removed = options.keep ? flag.noteIds.filter((id) => id !== options.keep && memoryStore.removeNote(id)) : [];
+  flag.status = options.keep ? 'resolved' : 'dismissed';
+  flag.resolvedAt = new Date().toISOString();
+  if (options.keep) flag.keptNoteId = options.keep;
+  saveReview(review);
+  return { success: true, flag, removed };
+}
+
+module.exports = {
+  REVIEW_FILE,
+  RELATED_SIMILARITY,
+  DUPLICATE_SIMILARITY,
+  clusterNotes,
+  consolidateMemory,
+  listReviewFlags,
+  resolveReviewFlag,
+  reviewClusterHeuristically
+};
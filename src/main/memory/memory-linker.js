@@ -46,6 +46,8 @@ function linkNote(noteId, note, index) {
 
   for (const [otherId, otherEntry] of entries) {
     if (otherId === noteId) continue;
+    // Respect links a user removed by hand (`liku memory unlink`).
+    if ((note.unlinks || []).includes(otherId) || (otherEntry.unlinks || []).includes(noteId)) continue;
 
     const score = overlapScore(note, otherEntry);
     if (score < LINK_THRESHOLD) continue;
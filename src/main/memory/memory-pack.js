@@ -0,0 +1,485 @@
+/**
+ * Memory Packs — shareable bundles of durable notes and skills
+ *
+ * A pack is a folder that can live in a repo:
+ *
+ *   <pack>/manifest.json   name, version, author, content hashes, signature
+ *   <pack>/notes.json      durable-memory export record (memory-portability.js)
+ *   <pack>/skills/*.md     skill files, indexed in the manifest
+ *
+ * `liku memory pack build|verify|install|uninstall` drives this module.
+ * Every file is pinned by SHA-256 in the manifest; the manifest itself can be
+ * signed with a shared HMAC key (LIKU_PACK_HMAC_KEY) or an Ed25519 key pair.
+ *
+ * Installed notes and skills carry `pack` origin metadata plus a
+ * `pack:<name>` tag and are read-only in memory-store.js / skill-router.js
+ * until the pack is uninstalled. Installed packs are recorded in
+ * ~/.liku/memory/packs.json.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const memoryStore = require('./memory-store');
+const skillRouter = require('./skill-router');
+const { exportDurableMemory } = require('./memory-portability');
+const { buildExportReview, sanitizePersistedValue } = require('../persistence-controls');
+
+const MEMORY_PACK_SCHEMA_VERSION = 'liku.memory-pack.v1';
+const PACKS_FILE = path.join(memoryStore.MEMORY_DIR, 'packs.json');
+const MANIFEST_FILE = 'manifest.json';
+const NOTES_FILE = 'notes.json';
+const SKILLS_SUBDIR = 'skills';
+const PACK_NAME_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+const PACKABLE_SKILL_STATUSES = new Set(['manual', 'promoted', 'legacy']);
+
+// ─── Helpers ────────────────────────────────────────────────
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function splitTags(tags) {
+  return (Array.isArray(tags) ? tags : String(tags || '').split(','))
+    .map((tag) => String(tag).trim())
+    .filter(Boolean);
+}
+
+function packTag(name) {
+  return `pack:${name}`;
+}
+
+/** JSON with sorted object keys, so the signed bytes do not depend on key order. */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function signingPayload(manifest) {
+  const { signature, ...unsigned } = manifest;
+  return Buffer.from(canonicalJson(unsigned), 'utf-8');
+}
+
+function toKeyObject(key, type) {
+  if (!key) return null;
+  if (typeof key === 'object' && key.type) return key;
+  const pem = String(key).includes('-----BEGIN') ? String(key) : fs.readFileSync(String(key), 'utf-8');
+  return type === 'private' ? crypto.createPrivateKey(pem) : crypto.createPublicKey(pem);
+}
+
+function ed25519KeyId(publicKey) {
+  return `ed25519-${sha256(publicKey.export({ type: 'spki', format: 'der' })).slice(0, 16)}`;
+}
+
+function hmacKeyId(secret) {
+  return `hmac-${sha256(`liku-pack-key:${secret}`).slice(0, 16)}`;
+}
+
+function signManifest(manifest, signing = {}) {
+  const payload = signingPayload(manifest);
+  if (signing.privateKey) {
+    const privateKey = toKeyObject(signing.privateKey, 'private');
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+      const error = new Error(`Pack signing keys must be Ed25519 (got ${privateKey.asymmetricKeyType})`);
+      error.code = 'PACK_SIGNING_KEY';
+      throw error;
+    }
+    const publicKey = crypto.createPublicKey(privateKey);
+    return {
+      algorithm: 'ed25519',
+      keyId: ed25519KeyId(publicKey),
+      value: crypto.sign(null, payload, privateKey).toString('base64')
+    };
+  }
+  if (signing.hmacKey) {
+    return {
+      algorithm: 'hmac-sha256',
+      keyId: hmacKeyId(signing.hmacKey),
+      value: crypto.createHmac('sha256', String(signing.hmacKey)).update(payload).digest('base64')
+    };
+  }
+  return null;
+}
+
+function checkSignature(manifest, keys = {}) {
+  const signature = manifest.signature;
+  if (!signature) return { status: 'unsigned' };
+  const result = { algorithm: signature.algorithm, keyId: signature.keyId || null };
+  const payload = signingPayload(manifest);
+
+  if (signature.algorithm === 'hmac-sha256') {
+    if (!keys.hmacKey) return { ...result, status: 'unverified', reason: 'No HMAC key (LIKU_PACK_HMAC_KEY) to check the signature' };
+    const expected = crypto.createHmac('sha256', String(keys.hmacKey)).update(payload).digest();
+    const actual = Buffer.from(String(signature.value || ''), 'base64');
+    const valid = actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    return { ...result, status: valid ? 'valid' : 'invalid' };
+  }
+
+  if (signature.algorithm === 'ed25519') {
+    const publicKeys = (Array.isArray(keys.publicKeys) ? keys.publicKeys : [keys.publicKey])
+      .filter(Boolean)
+      .map((key) => toKeyObject(key, 'public'));
+    const publicKey = publicKeys.find((key) => ed25519KeyId(key) === signature.keyId);
+    if (!publicKey) return { ...result, status: 'unverified', reason: `No trusted public key for ${signature.keyId || 'this pack'}` };
+    const valid = crypto.verify(null, payload, publicKey, Buffer.from(String(signature.value || ''), 'base64'));
+    return { ...result, status: valid ? 'valid' : 'invalid' };
+  }
+
+  return { ...result, status: 'invalid', reason: `Unknown signature algorithm: ${signature.algorithm}` };
+}
+
+/** Resolve verification keys from options, falling back to the environment. */
+function resolveKeys(options = {}, env = process.env) {
+  return {
+    hmacKey: options.hmacKey || env.LIKU_PACK_HMAC_KEY || null,
+    publicKey: options.publicKey || env.LIKU_PACK_PUBLIC_KEY || null,
+    publicKeys: options.publicKeys
+  };
+}
+
+function isSafeRelativePath(filePath) {
+  const normalized = path.posix.normalize(String(filePath || ''));
+  return !!normalized && !path.isAbsolute(normalized) && !normalized.startsWith('..') && !normalized.includes('\\');
+}
+
+// Skill files live directly under SKILLS_DIR; an id or file that resolves
+// anywhere else (`../escaped`) is never written or removed.
+function resolveSkillFile(id, file) {
+  const target = path.resolve(skillRouter.SKILLS_DIR, String(file || `${id}.md`));
+  return path.dirname(target) === path.resolve(skillRouter.SKILLS_DIR) ? target : null;
+}
+
+function loadRegistry() {
+  try {
+    if (fs.existsSync(PACKS_FILE)) {
+      const parsed = JSON.parse(fs.readFileSync(PACKS_FILE, 'utf-8'));
+      return { packs: parsed && typeof parsed.packs === 'object' ? parsed.packs : {} };
+    }
+  } catch (err) {
+    console.warn('[MemoryPack] Failed to read installed packs:', err.message);
+  }
+  return { packs: {} };
+}
+
+function saveRegistry(registry) {
+  fs.mkdirSync(path.dirname(PACKS_FILE), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(PACKS_FILE, JSON.stringify(registry, null, 2), 'utf-8');
+}
+
+// ─── Build ──────────────────────────────────────────────────
+
+/**
+ * Bundle local durable notes and skills into a pack folder.
+ *
+ * Notes and skills that came from another pack are never re-bundled.
+ *
+ * @param {object} options
+ * @param {string} options.dir - Pack folder (created if missing)
+ * @param {string} options.name - Pack name ([a-z0-9._-])
+ * @param {string} [options.version='1.0.0']
+ * @param {string} [options.author] - Defaults to the OS user name
+ * @param {string} [options.description]
+ * @param {string[]|string} [options.tags] - Only bundle notes/skills carrying one of these tags
+ * @param {string|object} [options.privateKey] - Ed25519 private key (PEM, path or KeyObject)
+ * @param {string} [options.hmacKey] - Shared HMAC secret
+ * @param {boolean} [options.dryRun] - Return the manifest without writing
+ * @returns {{ success: boolean, dir?: string, manifest?: object, error?: string }}
+ */
+function buildPack(options = {}) {
+  const name = String(options.name || '').trim();
+  if (!PACK_NAME_PATTERN.test(name)) {
+    return { success: false, error: 'Pack name must be 1-64 characters of letters, digits, ".", "_" or "-"' };
+  }
+  if (!options.dir) return { success: false, error: 'Pack folder is required' };
+  const dir = path.resolve(String(options.dir));
+  const tags = splitTags(options.tags);
+  const hasTag = (entryTags) => !tags.length || (entryTags || []).some((tag) => tags.includes(tag));
+
+  const record = exportDurableMemory({ dryRun: true, filter: (note) => hasTag(note.tags) });
+  const notesDoc = {
+    schemaVersion: record.schemaVersion,
+    exportKind: record.exportKind,
+    exportId: record.exportId,
+    exportedAt: record.exportedAt,
+    summary: record.summary,
+    notes: record.notes,
+    review: record.review
+  };
+  const notesContent = `${JSON.stringify(notesDoc, null, 2)}\n`;
+
+  const files = [{ path: NOTES_FILE, content: notesContent }];
+  const skills = [];
+  const skillRedactions = [];
+  for (const [id, entry] of Object.entries(skillRouter.listSkills())) {
+    if (entry.pack || !PACKABLE_SKILL_STATUSES.has(entry.status) || !hasTag(entry.tags)) continue;
+    const sourcePath = path.join(skillRouter.SKILLS_DIR, entry.file || `${id}.md`);
+    if (!fs.existsSync(sourcePath)) continue;
+    const sanitized = sanitizePersistedValue(fs.readFileSync(sourcePath, 'utf-8'), { path: ['skills', id] });
+    skillRedactions.push(...sanitized.redactions);
+    const file = `${SKILLS_SUBDIR}/${id}.md`;
+    files.push({ path: file, content: sanitized.value });
+    skills.push({
+      id,
+      file,
+      keywords: entry.keywords || [],
+      tags: (entry.tags || []).filter((tag) => !['awm', 'auto-generated', 'reflection'].includes(tag)),
+      scope: entry.scope || null,
+      verificationHints: entry.verificationHints || [],
+      ...(entry.macro ? { macro: entry.macro } : {})
+    });
+  }
+
+  const manifest = {
+    schemaVersion: MEMORY_PACK_SCHEMA_VERSION,
+    name,
+    version: String(options.version || '1.0.0').trim(),
+    description: String(options.description || '').trim(),
+    author: String(options.author || os.userInfo().username || 'unknown').trim(),
+    createdAt: options.createdAt || new Date().toISOString(),
+    contents: { noteCount: notesDoc.notes.length, skillCount: skills.length },
+    files: files.map((file) => ({ path: file.path, sha256: sha256(file.content), bytes: Buffer.byteLength(file.content) })),
+    skills,
+    review: {
+      notes: record.review,
+      skills: buildExportReview({ exportKind: 'memory-pack-skills', redactions: skillRedactions, reviewRequired: true })
+    }
+  };
+
+  try {
+    const signature = signManifest(manifest, options);
+    if (signature) manifest.signature = signature;
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+
+  if (options.dryRun === true) return { success: true, dryRun: true, dir, manifest };
+
+  fs.rmSync(path.join(dir, SKILLS_SUBDIR), { recursive: true, force: true });
+  for (const file of files) {
+    const target = path.join(dir, file.path);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, file.content, 'utf-8');
+  }
+  fs.writeFileSync(path.join(dir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`, 'utf-8');
+  return { success: true, dryRun: false, dir, manifest };
+}
+
+// ─── Verify ─────────────────────────────────────────────────
+
+/**
+ * Check a pack folder: manifest schema, every file hash, and the signature.
+ *
+ * `ok` is false on any missing/altered file or an invalid signature. A signed
+ * pack without a matching key is reported as `unverified`, not invalid.
+ *
+ * @param {string} dir
+ * @param {{ hmacKey?: string, publicKey?: string|object, publicKeys?: Array }} [options]
+ */
+function verifyPack(dir, options = {}) {
+  const packDir = path.resolve(String(dir || ''));
+  const errors = [];
+  let manifest = null;
+  try {
+    manifest = JSON.parse(fs.readFileSync(path.join(packDir, MANIFEST_FILE), 'utf-8'));
+  } catch (err) {
+    return { ok: false, dir: packDir, manifest: null, files: [], signature: { status: 'unsigned' }, errors: [`Cannot read ${MANIFEST_FILE}: ${err.message}`] };
+  }
+
+  if (manifest.schemaVersion !== MEMORY_PACK_SCHEMA_VERSION) errors.push(`Unsupported pack schema: ${manifest.schemaVersion}`);
+  if (!PACK_NAME_PATTERN.test(String(manifest.name || ''))) errors.push(`Invalid pack name: ${manifest.name}`);
+
+  const files = (Array.isArray(manifest.files) ? manifest.files : []).map((file) => {
+    if (!isSafeRelativePath(file.path)) return { path: file.path, ok: false, reason: 'path escapes the pack folder' };
+    const target = path.join(packDir, file.path);
+    if (!fs.existsSync(target)) return { path: file.path, ok: false, reason: 'missing' };
+    const actual = sha256(fs.readFileSync(target));
+    return actual === file.sha256 ? { path: file.path, ok: true } : { path: file.path, ok: false, reason: 'hash mismatch' };
+  });
+  files.filter((file) => !file.ok).forEach((file) => errors.push(`${file.path}: ${file.reason}`));
+  if (!files.some((file) => file.path === NOTES_FILE)) errors.push(`${NOTES_FILE} is not listed in the manifest`);
+  for (const skill of manifest.skills || []) {
+    if (!PACK_NAME_PATTERN.test(String(skill.id || ''))) errors.push(`Invalid skill id: ${skill.id}`);
+    if (!files.some((file) => file.path === skill.file)) errors.push(`Skill ${skill.id}: ${skill.file} is not listed in the manifest`);
+  }
+
+  let signature;
+  try {
+    signature = checkSignature(manifest, resolveKeys(options, options.env));
+  } catch (err) {
+    signature = { algorithm: manifest.signature?.algorithm, status: 'invalid', reason: err.message };
+  }
+  if (signature.status === 'invalid') errors.push(`Signature is invalid${signature.reason ? `: ${signature.reason}` : ''}`);
+
+  return { ok: errors.length === 0, dir: packDir, manifest, files, signature, errors };
+}
+
+// ─── Install / Uninstall ────────────────────────────────────
+
+/**
+ * List installed packs from ~/.liku/memory/packs.json.
+ */
+function listInstalledPacks() {
+  return Object.values(loadRegistry().packs);
+}
+
+/**
+ * Remove an installed pack's notes and skills.
+ *
+ * @param {string} name
+ * @param {{ dryRun?: boolean }} [options]
+ */
+function uninstallPack(name, options = {}) {
+  const registry = loadRegistry();
+  const installed = registry.packs[name];
+  if (!installed) return { success: false, error: `Memory pack not installed: ${name}` };
+  if (options.dryRun === true) {
+    return { success: true, dryRun: true, name, removedNotes: installed.noteIds, removedSkills: installed.skillIds };
+  }
+
+  const removedNotes = installed.noteIds.filter((id) => memoryStore.removeNote(id, { allowReadOnly: true }));
+  const skills = skillRouter.listSkills();
+  const removedSkills = installed.skillIds.filter((id) => {
+    const entry = skills[id];
+    if (!entry || entry.pack?.name !== name) return false;
+    skillRouter.removeSkill(id, { allowReadOnly: true });
+    const skillFile = resolveSkillFile(id, entry.file);
+    if (skillFile) fs.rmSync(skillFile, { force: true });
+    return true;
+  });
+
+  delete registry.packs[name];
+  saveRegistry(registry);
+  return { success: true, dryRun: false, name, removedNotes, removedSkills };
+}
+
+/**
+ * Verify a pack folder and install its notes and skills as read-only entries.
+ * Installing a different build of an installed pack replaces it.
+ *
+ * @param {string} dir
+ * @param {object} [options]
+ * @param {boolean} [options.requireSignature] - Refuse unsigned/unverified packs
+ * @param {boolean} [options.dryRun] - Verify and plan without writing
+ * @param {string} [options.hmacKey] / [options.publicKey] - Verification keys
+ */
+function installPack(dir, options = {}) {
+  const verification = verifyPack(dir, options);
+  if (!verification.ok) {
+    return { success: false, error: `Memory pack failed verification: ${verification.errors.join('; ')}`, verification };
+  }
+  if (options.requireSignature && verification.signature.status !== 'valid') {
+    return { success: false, error: `Memory pack signature is ${verification.signature.status}; a valid signature is required`, verification };
+  }
+
+  const { manifest } = verification;
+  const manifestSha256 = sha256(fs.readFileSync(path.join(verification.dir, MANIFEST_FILE)));
+  const registry = loadRegistry();
+  const previous = registry.packs[manifest.name];
+  if (previous && previous.manifestSha256 === manifestSha256) {
+    return { success: true, alreadyInstalled: true, name: manifest.name, version: manifest.version, noteIds: previous.noteIds, skillIds: previous.skillIds, verification };
+  }
+
+  const existingSkills = skillRouter.listSkills();
+  const conflicts = (manifest.skills || [])
+    .filter((skill) => existingSkills[skill.id] && existingSkills[skill.id].pack?.name !== manifest.name)
+    .map((skill) => skill.id);
+  if (conflicts.length) {
+    return { success: false, error: `Skill IDs already exist outside this pack: ${conflicts.join(', ')}`, verification };
+  }
+
+  const notesDoc = JSON.parse(fs.readFileSync(path.join(verification.dir, NOTES_FILE), 'utf-8'));
+  const notes = Array.isArray(notesDoc.notes) ? notesDoc.notes : [];
+  if (options.dryRun === true) {
+    return {
+      success: true,
+      dryRun: true,
+      name: manifest.name,
+      version: manifest.version,
+      replaces: previous ? previous.version : null,
+      noteCount: notes.length,
+      skillIds: (manifest.skills || []).map((skill) => skill.id),
+      verification
+    };
+  }
+
+  if (previous) uninstallPack(manifest.name);
+
+  const installedAt = new Date().toISOString();
+  const pack = { name: manifest.name, version: manifest.version, installedAt };
+  const tag = packTag(manifest.name);
+  const noteIds = notes.map((entry) => memoryStore.addNote({
+    type: entry.type,
+    content: entry.content,
+    context: entry.context,
+    keywords: entry.keywords || [],
+    tags: Array.from(new Set([...(entry.tags || []), tag])),
+    scope: entry.scope || null,
+    memoryLane: 'durable',
+    source: {
+      type: 'memory-pack',
+      pack: manifest.name,
+      version: manifest.version,
+      author: manifest.author,
+      sourceNoteId: entry.sourceNoteId || null
+    },
+    pack
+  }).id);
+
+  const skillIds = (manifest.skills || []).map((skill) => {
+    skillRouter.addSkill(skill.id, {
+      content: fs.readFileSync(path.join(verification.dir, skill.file), 'utf-8'),
+      keywords: skill.keywords || [],
+      tags: Array.from(new Set([...(skill.tags || []), tag])),
+      scope: skill.scope || null,
+      verificationHints: skill.verificationHints || [],
+      macro: skill.macro || null,
+      origin: 'pack',
+      status: 'manual',
+      pack
+    });
+    return skill.id;
+  });
+
+  registry.packs[manifest.name] = {
+    name: manifest.name,
+    version: manifest.version,
+    author: manifest.author,
+    description: manifest.description || '',
+    installedAt,
+    sourcePath: verification.dir,
+    manifestSha256,
+    signature: verification.signature,
+    noteIds,
+    skillIds
+  };
+  saveRegistry(registry);
+
+  return {
+    success: true,
+    dryRun: false,
+    name: manifest.name,
+    version: manifest.version,
+    replaces: previous ? previous.version : null,
+    noteIds,
+    skillIds,
+    verification
+  };
+}
+
+module.exports = {
+  buildPack,
+  verifyPack,
+  installPack,
+  uninstallPack,
+  listInstalledPacks,
+  canonicalJson,
+  MEMORY_PACK_SCHEMA_VERSION,
+  PACKS_FILE
+};
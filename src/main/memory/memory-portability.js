@@ -52,12 +52,13 @@ function buildExportSummary(notes = []) {
   };
 }
 
-function getDurableNotes() {
+// Notes installed from a memory pack travel with their pack, not with exports.
+function getDurableNotes(filter) {
   const notesMap = memoryStore.listNotes();
   return Object.entries(notesMap)
-    .filter(([, entry]) => normalizeMemoryLane(entry?.memoryLane || entry?.persistence?.lane) === 'durable')
+    .filter(([, entry]) => normalizeMemoryLane(entry?.memoryLane || entry?.persistence?.lane) === 'durable' && !entry?.pack)
     .map(([id]) => memoryStore.getNote(id))
-    .filter(Boolean);
+    .filter((note) => note && (typeof filter !== 'function' || filter(note)));
 }
 
 function buildExportNoteRecord(note = {}) {
@@ -84,7 +85,7 @@ function exportDurableMemory(options = {}) {
   const cwd = path.resolve(String(options.cwd || process.cwd()));
   const exportedAt = normalizeIsoTimestamp(options.exportedAt, new Date().toISOString());
   const exportId = String(options.exportId || buildDurableMemoryExportId()).trim() || buildDurableMemoryExportId();
-  const durableNotes = getDurableNotes();
+  const durableNotes = getDurableNotes(options.filter);
   const redactions = [];
 
   const notes = durableNotes.map((note, index) => {
@@ -115,6 +116,9 @@ function exportDurableMemory(options = {}) {
     },
   };
 
+  // A dry run returns the record (with its review) without writing the file.
+  if (options.dryRun === true) return record;
+
   fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
   fs.writeFileSync(resolvedPath, JSON.stringify(record, null, 2), 'utf8');
   return record;
@@ -164,8 +168,10 @@ function importDurableMemory(options = {}) {
     throw new Error('Durable memory export notes payload is invalid.');
   }
 
+  const dryRun = options.dryRun === true;
   const existingImportKeys = collectExistingImportKeys();
   const importedIds = [];
+  const planned = [];
   const skipped = [];
   const importedAt = new Date().toISOString();
 
@@ -181,6 +187,11 @@ function importDurableMemory(options = {}) {
       skipped.push({ sourceNoteId: entry?.sourceNoteId || null, reason: 'duplicate-import' });
       return;
     }
+    if (dryRun) {
+      existingImportKeys.add(importKey);
+      planned.push(entry?.sourceNoteId || null);
+      return;
+    }
 
     const imported = memoryStore.addNote({
       type: entry?.type || 'episodic',
@@ -218,6 +229,7 @@ function importDurableMemory(options = {}) {
     importedIds,
     skipped,
     review: parsed.review,
+    ...(dryRun ? { dryRun: true, plannedCount: planned.length, plannedSourceNoteIds: planned } : {}),
   };
 }
 
@@ -10,6 +10,14 @@
  *   - getMemoryContext(query) → formatted string for system prompt
  *   - addNote(noteData) → after completed interactions
  *   - updateNote(id, updates) → memory evolution
+ *   - prepareNoteRecall(query) → embed query/notes for async embedding providers
+ *
+ * Ranking is hybrid: keyword/tag overlap + embedding similarity
+ * (embedding-index.js) + scope match, reported per match as `scoreBreakdown`.
+ *
+ * Notes installed from a memory pack (memory-pack.js) carry `pack` origin
+ * metadata and are read-only: only their links change until the pack is
+ * uninstalled.
  *
  * Token budget: hard cap on injected memory context (default 2000 BPE tokens).
  */
@@ -18,8 +26,10 @@ const fs = require('fs');
 const path = require('path');
 const { LIKU_HOME } = require('../../shared/liku-home');
 const linker = require('./memory-linker');
+const embeddingIndex = require('./embedding-index');
 const { countTokens, truncateToTokenBudget } = require('../../shared/token-counter');
 const {
+  buildExportReview,
   buildMemoryNotePersistence,
   isPersistenceEntryExpired,
   normalizeIsoTimestamp,
@@ -34,6 +44,7 @@ const INDEX_FILE = path.join(MEMORY_DIR, 'index.json');
 const MEMORY_TOKEN_BUDGET = 2000;
 const DEFAULT_NOTE_LIMIT = 5;
 const MAX_NOTES = 500;
+const NOTE_VECTOR_WEIGHT = 4;
 const MEMORY_VERBOSE = /^(1|true|yes)$/i.test(String(process.env.LIKU_MEMORY_VERBOSE || '').trim());
 
 function normalizeArray(values) {
@@ -300,6 +311,15 @@ function buildSanitizedNoteFields(noteInput = {}, options = {}) {
   };
 }
 
+function normalizePackOrigin(pack) {
+  if (!pack || typeof pack !== 'object' || !String(pack.name || '').trim()) return null;
+  return {
+    name: String(pack.name).trim(),
+    version: String(pack.version || '').trim() || null,
+    installedAt: normalizeIsoTimestamp(pack.installedAt, new Date().toISOString())
+  };
+}
+
 function isNoteExpired(noteOrIndexEntry, referenceTime = Date.now()) {
   return isPersistenceEntryExpired(noteOrIndexEntry, referenceTime);
 }
@@ -347,13 +367,16 @@ function pruneOldNotes() {
   const noteIds = Object.keys(index.notes || {});
   if (noteIds.length <= MAX_NOTES) return 0;
 
+  // Pack notes are managed by their pack, never evicted.
   const sortedByAge = noteIds
+    .filter(id => !index.notes[id].pack)
     .map(id => ({ id, updatedAt: index.notes[id].updatedAt || index.notes[id].createdAt || '' }))
     .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
 
-  const toRemove = sortedByAge.slice(0, noteIds.length - MAX_NOTES);
+  const toRemove = sortedByAge.slice(0, Math.max(0, noteIds.length - MAX_NOTES));
   for (const { id } of toRemove) {
     deleteNoteFile(id);
+    embeddingIndex.removeEmbedding('note', id);
     delete index.notes[id];
   }
 
@@ -397,9 +420,37 @@ function scoreNote(indexEntry, queryLower) {
   return score;
 }
 
-function buildSelectionSummary(selected = [], selectionContext = {}) {
+function buildNoteEmbeddingText(note) {
+  if (!note) return '';
+  return [
+    note.content,
+    typeof note.context === 'string' ? note.context : '',
+    (note.keywords || []).join(' '),
+    (note.tags || []).join(' ')
+  ].filter(Boolean).join('\n');
+}
+
+function buildNoteEmbeddingDocuments(entries) {
+  return entries.map(([id, entry]) => ({
+    id,
+    stamp: entry.updatedAt || entry.createdAt || '',
+    getText: () => buildNoteEmbeddingText(readNote(id))
+  }));
+}
+
+/**
+ * Vector contribution to a note's score: similarity scaled so a close
+ * paraphrase weighs about as much as two keyword hits. Below the provider's
+ * similarity floor it contributes nothing.
+ */
+function scoreVectorSimilarity(similarity, minSimilarity) {
+  return similarity >= minSimilarity ? similarity * NOTE_VECTOR_WEIGHT : 0;
+}
+
+function buildSelectionSummary(selected = [], selectionContext = {}, embeddingProvider = null) {
   return {
     selectedCount: selected.length,
+    embeddingProvider,
     scopedMatchCount: selected.filter((entry) => entry.scopeMatch?.classification === 'scoped-match').length,
     fallbackCount: selected.filter((entry) => ['unscoped-fallback', 'global-fallback'].includes(entry.scopeMatch?.classification)).length,
     mismatchCount: selected.filter((entry) => String(entry.scopeMatch?.classification || '').includes('mismatch')).length,
@@ -450,6 +501,8 @@ function addNote(noteData) {
     createdAt: now,
     updatedAt: now
   };
+  const pack = normalizePackOrigin(noteData.pack);
+  if (pack) note.pack = pack;
 
   writeNote(note);
 
@@ -464,6 +517,7 @@ function addNote(noteData) {
     sensitivity: note.persistence?.sensitivity || 'internal',
     expiresAt: note.persistence?.retention?.expiresAt || null,
     persistence: note.persistence,
+    ...(pack ? { pack } : {}),
     links: [],
     createdAt: now,
     updatedAt: now
@@ -483,12 +537,16 @@ function addNote(noteData) {
 
 /**
  * Update an existing note (memory evolution).
+ * Pack notes are read-only: anything but a links update returns null unless
+ * `options.allowReadOnly` is set.
  */
-function updateNote(id, updates) {
+function updateNote(id, updates, options = {}) {
   const note = readNote(id);
   if (!note) return null;
+  if (note.pack && !options.allowReadOnly && Object.keys(updates).some((key) => key !== 'links')) return null;
 
   const now = new Date().toISOString();
+  if (updates.type) note.type = updates.type;
   if (updates.content !== undefined) note.content = updates.content;
   if (updates.context !== undefined) note.context = updates.context;
   if (updates.keywords) note.keywords = updates.keywords;
@@ -525,6 +583,7 @@ function updateNote(id, updates) {
   // Update index
   const index = loadIndex();
   if (index.notes[id]) {
+    index.notes[id].type = note.type;
     index.notes[id].keywords = note.keywords;
     index.notes[id].tags = note.tags;
     index.notes[id].scope = note.scope || null;
@@ -544,11 +603,13 @@ function updateNote(id, updates) {
 }
 
 /**
- * Remove a note from memory.
+ * Remove a note from memory. Pack notes are kept (returns false) unless
+ * `options.allowReadOnly` is set.
  */
-function removeNote(id) {
+function removeNote(id, options = {}) {
   const index = loadIndex();
   if (!index.notes[id]) return false;
+  if (index.notes[id].pack && !options.allowReadOnly) return false;
 
   // Remove reverse links from connected notes
   const noteObj = readNote(id);
@@ -567,11 +628,148 @@ function removeNote(id) {
   }
 
   deleteNoteFile(id);
+  embeddingIndex.removeEmbedding('note', id);
   delete index.notes[id];
   saveIndex(index);
   return true;
 }
 
+function notePathFor(id) {
+  return path.join(NOTES_DIR, `${id}.json`);
+}
+
+function setLinked(index, fromId, toId, linked) {
+  const note = readNote(fromId);
+  const entry = index.notes[fromId];
+  for (const target of [note, entry]) {
+    const links = new Set(target.links || []);
+    const unlinks = new Set(target.unlinks || []);
+    if (linked) {
+      links.add(toId);
+      unlinks.delete(toId);
+    } else {
+      links.delete(toId);
+      unlinks.add(toId);
+    }
+    target.links = Array.from(links);
+    target.unlinks = Array.from(unlinks);
+    if (!target.unlinks.length) delete target.unlinks;
+  }
+  writeNote(note);
+}
+
+function updateLink(idA, idB, linked) {
+  if (idA === idB) return { success: false, error: 'A note cannot be linked to itself' };
+  const index = loadIndex();
+  const missing = [idA, idB].find((id) => !index.notes[id] || !fs.existsSync(notePathFor(id)));
+  if (missing) return { success: false, error: `Note not found: ${missing}` };
+  setLinked(index, idA, idB, linked);
+  setLinked(index, idB, idA, linked);
+  saveIndex(index);
+  return { success: true, ids: [idA, idB] };
+}
+
+/**
+ * Link two notes in both directions.
+ */
+function linkNotes(idA, idB) {
+  return updateLink(idA, idB, true);
+}
+
+/**
+ * Unlink two notes in both directions. The pair is remembered so automatic
+ * keyword linking does not reconnect them on the next edit.
+ */
+function unlinkNotes(idA, idB) {
+  return updateLink(idA, idB, false);
+}
+
+/**
+ * Show what addNote()/updateNote() would store without writing anything:
+ * the sanitized fields plus the redaction review used for exports.
+ */
+function previewNote(noteData = {}) {
+  const now = new Date().toISOString();
+  const sanitizedFields = buildSanitizedNoteFields(noteData, {
+    createdAt: noteData.createdAt || now,
+    defaultLane: 'durable'
+  });
+  return {
+    note: {
+      type: noteData.type || 'episodic',
+      content: sanitizedFields.content,
+      context: sanitizedFields.context,
+      keywords: noteData.keywords || [],
+      tags: noteData.tags || [],
+      scope: normalizeScope(noteData.scope),
+      source: sanitizedFields.source,
+      persistence: sanitizedFields.persistence
+    },
+    review: buildExportReview({
+      exportKind: 'memory-note',
+      redactions: sanitizedFields.persistence.redactions
+    })
+  };
+}
+
+/**
+ * Garbage-collect the store: expired notes, notes over MAX_NOTES, index
+ * entries whose note file is gone, note files missing from the index, and
+ * links pointing at notes that no longer exist.
+ *
+ * @param {{ dryRun?: boolean, referenceTime?: number }} [options]
+ */
+function collectGarbage(options = {}) {
+  const dryRun = options.dryRun === true;
+  const referenceTime = options.referenceTime || Date.now();
+  const index = loadIndex();
+  const ids = Object.keys(index.notes || {});
+
+  const expired = ids.filter((id) => isNoteExpired(index.notes[id], referenceTime));
+  const remaining = ids.filter((id) => !expired.includes(id));
+  const overLimit = remaining.length > MAX_NOTES
+    ? remaining
+      .filter((id) => !index.notes[id].pack)
+      .map((id) => ({ id, updatedAt: index.notes[id].updatedAt || index.notes[id].createdAt || '' }))
+      .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt))
+      .slice(0, remaining.length - MAX_NOTES)
+      .map(({ id }) => id)
+    : [];
+  const missingFiles = remaining.filter((id) => !overLimit.includes(id) && !fs.existsSync(notePathFor(id)));
+  const orphanFiles = fs.existsSync(NOTES_DIR)
+    ? fs.readdirSync(NOTES_DIR)
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => file.slice(0, -'.json'.length))
+      .filter((id) => !index.notes[id])
+    : [];
+
+  const removed = new Set([...expired, ...overLimit, ...missingFiles]);
+  const live = ids.filter((id) => !removed.has(id));
+  let danglingLinks = 0;
+  for (const id of live) {
+    const note = readNote(id);
+    for (const target of [note, index.notes[id]]) {
+      if (!target) continue;
+      const links = (target.links || []).filter((link) => !removed.has(link) && index.notes[link]);
+      danglingLinks += (target.links || []).length - links.length;
+      if (!dryRun) target.links = links;
+    }
+    if (!dryRun && note) writeNote(note);
+  }
+
+  if (!dryRun) {
+    for (const id of removed) {
+      deleteNoteFile(id);
+      embeddingIndex.removeEmbedding('note', id);
+      delete index.notes[id];
+    }
+    orphanFiles.forEach(deleteNoteFile);
+    saveIndex(index);
+  }
+
+  return { dryRun, expired, overLimit, missingFiles, orphanFiles, danglingLinks };
+}
+
 /**
  * Retrieve a single note by ID.
  */
@@ -581,7 +779,16 @@ function getNote(id) {
 }
 
 /**
- * Retrieve notes relevant to a query, ranked by keyword/tag overlap.
+ * Retrieve several notes by ID, skipping missing ones.
+ */
+function getNotes(ids) {
+  pruneExpiredNotes();
+  return (ids || []).map(readNote).filter(Boolean);
+}
+
+/**
+ * Retrieve notes relevant to a query, ranked by keyword/tag overlap plus
+ * embedding similarity plus scope match.
  * @param {string} query - The user's message or task description
  * @param {number} [limit] - Maximum notes to return (default: 5)
  * @returns {object[]} Array of full note objects, highest relevance first
@@ -608,16 +815,29 @@ function getRelevantNotesSelection(query, options = {}) {
 
   const queryLower = query.toLowerCase();
   const selectionContext = buildSelectionContext(normalizedOptions);
+  const vectors = embeddingIndex.scoreDocuments('note', query, buildNoteEmbeddingDocuments(entries));
 
   const scored = entries
     .map(([id, entry]) => {
       const baseScore = scoreNote(entry, queryLower);
+      const similarity = vectors.similarities.get(id) || 0;
+      const vectorScore = scoreVectorSimilarity(similarity, vectors.minSimilarity);
       const scopeMatch = analyzeNoteScope(entry.scope, selectionContext);
+      const score = baseScore + vectorScore + scopeMatch.score;
       return {
         id,
         entry,
         baseScore,
-        score: baseScore + scopeMatch.score,
+        vectorScore,
+        similarity,
+        score,
+        scoreBreakdown: {
+          lexical: baseScore,
+          vector: vectorScore,
+          similarity,
+          scope: scopeMatch.score,
+          total: score
+        },
         scopeMatch
       };
     })
@@ -660,10 +880,22 @@ function getRelevantNotesSelection(query, options = {}) {
     ids: selectedIds,
     notes: selectedMatches.map((selection) => selection.note),
     matches: selectedMatches,
-    summary: buildSelectionSummary(selectedMatches, selectionContext)
+    summary: buildSelectionSummary(selectedMatches, selectionContext, vectors.provider)
   };
 }
 
+/**
+ * Embed the query and any new or edited notes ahead of
+ * getRelevantNotesSelection(). Only does work for asynchronous embedding
+ * providers (ollama); never throws.
+ */
+async function prepareNoteRecall(query, options = {}) {
+  const index = loadIndex();
+  const entries = Object.entries(index.notes || {})
+    .filter(([, entry]) => shouldIncludeNoteInSelection(entry, options));
+  return embeddingIndex.prepareDocuments('note', query, buildNoteEmbeddingDocuments(entries));
+}
+
 function getRelevantNotes(query, limitOrOptions) {
   const selection = getRelevantNotesSelection(query, limitOrOptions);
   return Array.isArray(selection.notes) ? selection.notes : [];
@@ -677,6 +909,13 @@ function getMemoryContext(query, limitOrOptions) {
   return getRelevantNotesSelection(query, limitOrOptions).text || '';
 }
 
+/**
+ * Whether a note was installed from a memory pack and is read-only.
+ */
+function isReadOnlyNote(id) {
+  return !!loadIndex().notes?.[id]?.pack;
+}
+
 /**
  * List all note IDs and their index metadata.
  */
@@ -690,10 +929,17 @@ module.exports = {
   updateNote,
   removeNote,
   getNote,
+  getNotes,
+  linkNotes,
+  unlinkNotes,
+  previewNote,
+  collectGarbage,
   getRelevantNotesSelection,
   getRelevantNotes,
   getMemoryContext,
+  prepareNoteRecall,
   listNotes,
+  isReadOnlyNote,
   pruneExpiredNotes,
   pruneOldNotes,
   generateNoteId,
@@ -701,5 +947,6 @@ module.exports = {
   NOTES_DIR,
   MEMORY_TOKEN_BUDGET,
   DEFAULT_NOTE_LIMIT,
-  MAX_NOTES
+  MAX_NOTES,
+  NOTE_VECTOR_WEIGHT
 };
@@ -0,0 +1,324 @@
+/**
+ * Skill Macros — parameterized action templates carried by skills
+ *
+ * A skill may carry a `macro`: typed slots plus an action template using
+ * `{{slot}}` placeholders. When skill routing is confident the macro
+ * matches the request, the chat loop instantiates the template instead of
+ * asking the model to re-derive the action list. The instantiated plan is a
+ * normal `{ thought, actions, verification }` block, so it goes through the
+ * same policy checks, risk analysis and confirmation as a generated plan, and
+ * its outcome feeds skill-router.recordSkillOutcome().
+ *
+ *   {
+ *     "slots": {
+ *       "symbol":    { "type": "symbol" },
+ *       "timeframe": { "type": "timeframe", "default": "1D" }
+ *     },
+ *     "actions": [
+ *       { "type": "focus_window", "title": "TradingView" },
+ *       { "type": "type", "text": "{{symbol}}" },
+ *       { "type": "key", "key": "enter" }
+ *     ],
+ *     "thought": "Open {{symbol}} on the {{timeframe}} chart",
+ *     "minConfidence": 0.8
+ *   }
+ *
+ * Slot types: string, number, symbol, timeframe, window-title, enum (with
+ * `values`). Any slot may set `pattern` (a regex whose first group is the
+ * value), `default`, and `required` (true unless a default is given).
+ */
+
+const SLOT_TYPES = ['string', 'number', 'symbol', 'timeframe', 'window-title', 'enum'];
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z][\w-]*)\s*\}\}/g;
+const DEFAULT_MIN_CONFIDENCE = 0.75;
+const MAX_MACRO_ACTIONS = 40;
+
+// Upper-case words that are not ticker symbols.
+const SYMBOL_STOPWORDS = new Set(['I', 'A', 'AM', 'PM', 'OK', 'UI', 'URL', 'PR', 'ID', 'IT', 'THE', 'AND', 'OR', 'TO', 'ON', 'IN', 'OF', 'FOR', 'VS', 'CLI', 'API', 'USD']);
+const SYMBOL_LEAD_WORDS = /\b(symbol|ticker|for|of|on|open|chart|load|show)\s+\$?([A-Za-z][A-Za-z0-9.]{0,9}(?::[A-Za-z0-9.]{1,10})?)\b/gi;
+const LOWERCASE_NON_SYMBOLS = new Set(['the', 'a', 'an', 'my', 'this', 'that', 'it', 'chart', 'tradingview', 'daily', 'weekly', 'monthly', 'hourly']);
+
+const TIMEFRAME_WORDS = { daily: '1D', weekly: '1W', monthly: '1M', hourly: '1h' };
+const TIMEFRAME_UNITS = [
+  [/^(?:m|min|mins|minute|minutes)$/, 'm'],
+  [/^(?:h|hr|hrs|hour|hours)$/, 'h'],
+  [/^(?:d|day|days)$/i, 'D'],
+  [/^(?:w|wk|week|weeks)$/i, 'W'],
+  [/^(?:mo|mon|month|months|M)$/, 'M']
+];
+
+// ─── Definition ─────────────────────────────────────────────
+
+function collectPlaceholders(value, out = new Set()) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(PLACEHOLDER_PATTERN)) out.add(match[1]);
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectPlaceholders(item, out));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach((item) => collectPlaceholders(item, out));
+  }
+  return out;
+}
+
+/**
+ * Validate a macro definition and fill in slot defaults.
+ *
+ * @param {object} macro
+ * @returns {{ ok: boolean, macro: object|null, errors: string[] }}
+ */
+function normalizeMacro(macro) {
+  const errors = [];
+  if (!macro || typeof macro !== 'object' || Array.isArray(macro)) {
+    return { ok: false, macro: null, errors: ['Macro must be an object'] };
+  }
+
+  const slots = {};
+  for (const [name, raw] of Object.entries(macro.slots || {})) {
+    const slot = raw && typeof raw === 'object' ? raw : { type: raw };
+    const type = String(slot.type || 'string').toLowerCase();
+    if (!/^[a-zA-Z][\w-]*$/.test(name)) errors.push(`Invalid slot name: ${name}`);
+    if (!SLOT_TYPES.includes(type)) errors.push(`Slot ${name}: unknown type ${slot.type} (expected ${SLOT_TYPES.join(', ')})`);
+    if (type === 'enum' && (!Array.isArray(slot.values) || !slot.values.length)) errors.push(`Slot ${name}: enum slots need values`);
+    if (slot.pattern) {
+      try { new RegExp(slot.pattern, 'i'); } catch (err) { errors.push(`Slot ${name}: invalid pattern (${err.message})`); }
+    }
+    slots[name] = {
+      type,
+      ...(slot.pattern ? { pattern: String(slot.pattern) } : {}),
+      ...(type === 'enum' ? { values: (slot.values || []).map(String) } : {}),
+      ...(slot.default !== undefined ? { default: slot.default } : {}),
+      required: slot.required !== undefined ? slot.required !== false : slot.default === undefined,
+      ...(slot.description ? { description: String(slot.description) } : {})
+    };
+  }
+
+  const actions = Array.isArray(macro.actions) ? macro.actions : [];
+  if (!actions.length) errors.push('Macro needs at least one action');
+  if (actions.length > MAX_MACRO_ACTIONS) errors.push(`Macro has ${actions.length} actions (max ${MAX_MACRO_ACTIONS})`);
+  actions.forEach((action, i) => {
+    if (!action || typeof action !== 'object' || typeof action.type !== 'string' || !action.type.trim()) {
+      errors.push(`Action ${i + 1} needs a type`);
+    }
+  });
+
+  for (const name of collectPlaceholders([actions, macro.thought, macro.verification])) {
+    if (!slots[name]) errors.push(`Placeholder {{${name}}} has no slot`);
+  }
+
+  const minConfidence = macro.minConfidence === undefined ? undefined : Number(macro.minConfidence);
+  if (minConfidence !== undefined && !(minConfidence > 0 && minConfidence <= 1)) errors.push('minConfidence must be in (0, 1]');
+
+  if (errors.length) return { ok: false, macro: null, errors };
+  return {
+    ok: true,
+    errors: [],
+    macro: {
+      slots,
+      actions,
+      ...(macro.thought ? { thought: String(macro.thought) } : {}),
+      ...(macro.verification ? { verification: String(macro.verification) } : {}),
+      ...(minConfidence !== undefined ? { minConfidence } : {})
+    }
+  };
+}
+
+// ─── Slot Extraction ────────────────────────────────────────
+
+function extractQuoted(message, used) {
+  for (const match of String(message).matchAll(/"([^"]+)"|'([^']+)'|“([^”]+)”/g)) {
+    const value = (match[1] || match[2] || match[3]).trim();
+    if (value && !used.has(value)) return value;
+  }
+  return null;
+}
+
+function extractSymbol(message) {
+  const text = String(message);
+  const exchange = text.match(/\b([A-Z][A-Z0-9]{1,9}:[A-Z0-9.]{1,10})\b/);
+  if (exchange) return exchange[1];
+  const dollar = text.match(/\$([A-Za-z][A-Za-z0-9.]{0,9})\b/);
+  if (dollar) return dollar[1].toUpperCase();
+  for (const match of text.matchAll(SYMBOL_LEAD_WORDS)) {
+    const [, lead, candidate] = match;
+    if (LOWERCASE_NON_SYMBOLS.has(candidate.toLowerCase()) || SYMBOL_STOPWORDS.has(candidate.toUpperCase())) continue;
+    // After "symbol"/"ticker" any casing counts; elsewhere only upper-case words do.
+    if (/^(?:symbol|ticker)$/i.test(lead) || candidate === candidate.toUpperCase()) return candidate.toUpperCase();
+  }
+  for (const match of text.matchAll(/\b([A-Z]{1,6}(?:\.[A-Z]{1,3})?)\b/g)) {
+    if (!SYMBOL_STOPWORDS.has(match[1])) return match[1];
+  }
+  return null;
+}
+
+function extractTimeframe(message) {
+  const text = String(message);
+  for (const [word, value] of Object.entries(TIMEFRAME_WORDS)) {
+    if (new RegExp(`\\b${word}\\b`, 'i').test(text)) return value;
+  }
+  for (const match of text.matchAll(/\b(\d{1,3})\s*-?\s*(months?|mon|mo|minutes?|mins?|m|hours?|hrs?|hr|h|days?|d|weeks?|wk|w|M)\b/g)) {
+    const unit = TIMEFRAME_UNITS.find(([pattern]) => pattern.test(match[2]));
+    if (unit) return `${Number(match[1])}${unit[1]}`;
+  }
+  return null;
+}
+
+function extractSlotValue(name, slot, message, context, used) {
+  if (slot.pattern) {
+    const match = String(message).match(new RegExp(slot.pattern, 'i'));
+    if (match) return (match[1] !== undefined ? match[1] : match[0]).trim();
+  }
+  switch (slot.type) {
+    case 'symbol':
+      return extractSymbol(message);
+    case 'timeframe':
+      return extractTimeframe(message);
+    case 'number': {
+      const match = String(message).match(/-?\d+(?:\.\d+)?/);
+      return match ? Number(match[0]) : null;
+    }
+    case 'enum': {
+      const lower = String(message).toLowerCase();
+      return slot.values.find((value) => new RegExp(`\\b${value.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(lower)) || null;
+    }
+    case 'window-title':
+      return extractQuoted(message, used) || context.windowTitle || null;
+    default:
+      return extractQuoted(message, used);
+  }
+}
+
+/**
+ * Resolve a macro's slots from the user message and execution context.
+ *
+ * @param {object} macro - A normalized macro
+ * @param {string} message
+ * @param {{ windowTitle?: string }} [context]
+ * @returns {{ values: object, missing: string[] }}
+ */
+function extractSlots(macro, message, context = {}) {
+  const values = {};
+  const missing = [];
+  const used = new Set();
+  for (const [name, slot] of Object.entries(macro.slots || {})) {
+    let value = extractSlotValue(name, slot, message, context, used);
+    if ((value === null || value === undefined || value === '') && slot.default !== undefined) value = slot.default;
+    if (value === null || value === undefined || value === '') {
+      if (slot.required) missing.push(name);
+      continue;
+    }
+    if (typeof value === 'string') used.add(value);
+    values[name] = value;
+  }
+  return { values, missing };
+}
+
+// ─── Instantiation ──────────────────────────────────────────
+
+function fillTemplate(value, values) {
+  if (typeof value === 'string') {
+    // A lone placeholder keeps the slot's own type (numbers stay numbers).
+    const whole = value.match(/^\{\{\s*([a-zA-Z][\w-]*)\s*\}\}$/);
+    if (whole && values[whole[1]] !== undefined) return values[whole[1]];
+    return value.replace(PLACEHOLDER_PATTERN, (placeholder, name) => (values[name] !== undefined ? String(values[name]) : ''));
+  }
+  if (Array.isArray(value)) return value.map((item) => fillTemplate(item, values));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillTemplate(item, values)]));
+  }
+  return value;
+}
+
+/**
+ * Instantiate a macro into an action plan.
+ *
+ * @returns {{ thought: string, actions: object[], verification: string }}
+ */
+function instantiateMacro(macro, values, skillId = 'skill') {
+  return {
+    thought: fillTemplate(macro.thought || `Running skill macro ${skillId}`, values),
+    actions: fillTemplate(macro.actions, values),
+    verification: fillTemplate(macro.verification || '', values)
+  };
+}
+
+// ─── Routing ────────────────────────────────────────────────
+
+/**
+ * Routing confidence for the top skill match, in [0, 1]: grows with the
+ * match score and shrinks when the runner-up scores close to it.
+ */
+function computeRoutingConfidence(matches = []) {
+  const [top, second] = matches;
+  if (!top || !(top.score > 0)) return 0;
+  const strength = 1 - Math.exp(-top.score / 4);
+  const margin = second ? Math.min(1, Math.max(0, (top.score - second.score) / top.score)) : 1;
+  return Math.round(strength * (0.5 + 0.5 * margin) * 1000) / 1000;
+}
+
+function resolveMinConfidence(macro, options = {}, env = process.env) {
+  const candidates = [macro.minConfidence, options.minConfidence, Number(env.LIKU_SKILL_MACRO_MIN_CONFIDENCE)];
+  const value = candidates.find((candidate) => Number.isFinite(candidate) && candidate > 0 && candidate <= 1);
+  return value || DEFAULT_MIN_CONFIDENCE;
+}
+
+/**
+ * Decide whether the top routed skill's macro should replace generation.
+ *
+ * @param {{ matches: object[] }} selection - From getRelevantSkillsSelection()
+ * @param {string} message
+ * @param {object} [options]
+ * @param {string} [options.windowTitle] - Foreground window title for window-title slots
+ * @param {number} [options.minConfidence]
+ * @param {boolean} [options.enabled] - Defaults to LIKU_SKILL_MACROS !== '0'
+ * @returns {{ ok: boolean, reason?: string, skillId?: string, confidence?: number,
+ *   slots?: object, missing?: string[], plan?: object }}
+ */
+function planSkillMacro(selection, message, options = {}) {
+  const env = options.env || process.env;
+  const enabled = options.enabled !== undefined ? options.enabled !== false : env.LIKU_SKILL_MACROS !== '0';
+  if (!enabled) return { ok: false, reason: 'disabled' };
+
+  const matches = Array.isArray(selection?.matches) ? selection.matches : [];
+  const top = matches[0];
+  if (!top?.entry?.macro) return { ok: false, reason: 'no-macro' };
+  const skillId = top.id;
+
+  const normalized = normalizeMacro(top.entry.macro);
+  if (!normalized.ok) return { ok: false, reason: 'invalid-macro', skillId, errors: normalized.errors };
+  if (String(top.scopeMatch?.classification || '').includes('mismatch')) return { ok: false, reason: 'scope-mismatch', skillId };
+  if (top.entry.consecutiveFailures > 0) return { ok: false, reason: 'recent-failure', skillId };
+
+  const confidence = computeRoutingConfidence(matches);
+  const minConfidence = resolveMinConfidence(normalized.macro, options, env);
+  if (confidence < minConfidence) return { ok: false, reason: 'low-confidence', skillId, confidence, minConfidence };
+
+  const { values, missing } = extractSlots(normalized.macro, message, { windowTitle: options.windowTitle });
+  if (missing.length) return { ok: false, reason: 'missing-slots', skillId, confidence, missing, slots: values };
+
+  return {
+    ok: true,
+    skillId,
+    confidence,
+    minConfidence,
+    slots: values,
+    plan: instantiateMacro(normalized.macro, values, skillId)
+  };
+}
+
+/**
+ * Render an instantiated plan as the fenced JSON block the chat loop parses.
+ */
+function formatMacroResponse(plan) {
+  return '```json\n' + JSON.stringify(plan, null, 2) + '\n```';
+}
+
+module.exports = {
+  normalizeMacro,
+  extractSlots,
+  instantiateMacro,
+  computeRoutingConfidence,
+  planSkillMacro,
+  formatMacroResponse,
+  SLOT_TYPES,
+  DEFAULT_MIN_CONFIDENCE
+};
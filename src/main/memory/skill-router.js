@@ -2,16 +2,25 @@
  * Semantic Skill Router
  *
  * Prevents context-window bloat by loading only the skills relevant to the
- * current user message. Uses lightweight keyword matching against an index
- * stored at ~/.liku/skills/index.json.
+ * current user message. Ranks skills by keyword matching and TF-IDF against
+ * an index stored at ~/.liku/skills/index.json, plus embedding similarity
+ * from embedding-index.js and scope match.
  *
  * Interface: getRelevantSkillsContext(userMessage, limit?) → string
  *            getRelevantSkillsSelection(userMessage, options?) → { text, ids, matches }
+ *            prepareSkillRecall(userMessage) → Promise (async embedding providers)
  *            addSkill(id, { file, keywords, tags }) → void
  *            upsertLearnedSkill(skillData) → object
  *            recordSkillOutcome(skillIds, outcome, context?) → object
- *            removeSkill(id) → void
+ *            removeSkill(id, options?) → boolean
  *            listSkills() → object
+ *            setSkillMacro(id, macro|null) → object|null
+ *
+ * Skills may carry a parameterized action `macro` (skill-macros.js) that the
+ * chat loop instantiates directly when routing confidence is high.
+ *
+ * Skills installed from a memory pack carry `origin: 'pack'` plus `pack`
+ * metadata and are read-only until the pack is uninstalled.
  *
  * Hard caps:
  *  - Maximum skills per query: 3 (configurable via `limit`)
@@ -22,6 +31,8 @@ const fs = require('fs');
 const path = require('path');
 const { LIKU_HOME } = require('../../shared/liku-home');
 const { countTokens, truncateToTokenBudget } = require('../../shared/token-counter');
+const embeddingIndex = require('./embedding-index');
+const skillMacros = require('./skill-macros');
 
 const SKILLS_DIR = path.join(LIKU_HOME, 'skills');
 const INDEX_FILE = path.join(SKILLS_DIR, 'index.json');
@@ -30,6 +41,7 @@ const DEFAULT_LIMIT = 3;
 const TOKEN_BUDGET = 1500;
 const PROMOTION_SUCCESS_THRESHOLD = 2;
 const QUARANTINE_FAILURE_THRESHOLD = 2;
+const SKILL_VECTOR_WEIGHT = 4;
 const GENERIC_SKILL_TAGS = new Set(['awm', 'auto-generated', 'reflection', 'success', 'failure']);
 
 function extractHost(value) {
@@ -602,6 +614,33 @@ function tfidfScores(index, queryText) {
   return scores;
 }
 
+// ─── Embeddings ─────────────────────────────────────────────
+
+/**
+ * Embedding documents for injectable skills, built from index metadata only so
+ * selection keeps reading just the chosen skill files. The stamp tracks the
+ * embedded text rather than `updatedAt`, which moves on every use.
+ */
+function buildSkillEmbeddingDocuments(index) {
+  return Object.entries(index)
+    .filter(([, entry]) => isInjectableSkill(entry))
+    .map(([id, entry]) => {
+      const text = [id.replace(/[-_]+/g, ' '), ...(entry.keywords || []), ...(entry.tags || [])]
+        .filter((term) => !GENERIC_SKILL_TAGS.has(term))
+        .join(' ');
+      return { id, stamp: text, text };
+    });
+}
+
+/**
+ * Embed the query and any new or edited skills ahead of
+ * getRelevantSkillsSelection(). Only does work for asynchronous embedding
+ * providers (ollama); never throws.
+ */
+async function prepareSkillRecall(userMessage) {
+  return embeddingIndex.prepareDocuments('skill', userMessage, buildSkillEmbeddingDocuments(loadIndex()));
+}
+
 // ─── Scoring ────────────────────────────────────────────────
 
 /**
@@ -653,6 +692,7 @@ function getRelevantSkillsSelection(userMessage, options = {}) {
   const limit = options.limit || DEFAULT_LIMIT;
   const messageLower = userMessage.toLowerCase();
   const tfidf = tfidfScores(index, userMessage);
+  const vectors = embeddingIndex.scoreDocuments('skill', userMessage, buildSkillEmbeddingDocuments(index));
   const scopeContext = normalizeScopeContext({ ...options, query: userMessage });
 
   const scored = entries
@@ -660,24 +700,35 @@ function getRelevantSkillsSelection(userMessage, options = {}) {
       if (!isInjectableSkill(entry)) return null;
       const keywordScore = scoreSkill(entry, messageLower);
       const semanticScore = (tfidf.get(id) || 0) * 5;
+      const similarity = vectors.similarities.get(id) || 0;
+      const vectorScore = similarity >= vectors.minSimilarity ? similarity * SKILL_VECTOR_WEIGHT : 0;
       const scopeMatch = analyzeScopeMatch(entry, scopeContext);
       const scopeScore = scopeMatch.score;
       const variantSpecificity = scoreVariantSpecificity(entry, scopeContext);
       const variantSpecificityScore = variantSpecificity.score;
       const matchedScopeSignals = variantSpecificity.matchedSignals;
       const scopePriority = getScopePriority(scopeMatch);
-      const score = keywordScore + semanticScore + scopeScore + variantSpecificityScore;
+      const score = keywordScore + semanticScore + vectorScore + scopeScore + variantSpecificityScore;
       return {
         id,
         entry,
         score,
         keywordScore,
         semanticScore,
+        vectorScore,
+        similarity,
         scopeScore,
         scopePriority,
         scopeMatch,
         variantSpecificityScore,
-        matchedScopeSignals
+        matchedScopeSignals,
+        scoreBreakdown: {
+          lexical: keywordScore + semanticScore,
+          vector: vectorScore,
+          similarity,
+          scope: scopeScore + variantSpecificityScore,
+          total: score
+        }
       };
     })
     .filter((value) => value && value.score > 0)
@@ -709,16 +760,20 @@ function getRelevantSkillsSelection(userMessage, options = {}) {
       ids.push(id);
       totalTokens += countTokens(trimmed);
 
-      entry.lastUsed = new Date().toISOString();
-      entry.useCount = (entry.useCount || 0) + 1;
-      entry.updatedAt = entry.lastUsed;
+      if (options.recordUsage !== false) {
+        entry.lastUsed = new Date().toISOString();
+        entry.useCount = (entry.useCount || 0) + 1;
+        entry.updatedAt = entry.lastUsed;
+      }
     } catch (err) {
       console.warn(`[SkillRouter] Failed to load skill ${id}:`, err.message);
     }
     if (totalTokens >= TOKEN_BUDGET) break;
   }
 
-  try { saveIndex(index); } catch { /* non-critical */ }
+  if (options.recordUsage !== false) {
+    try { saveIndex(index); } catch { /* non-critical */ }
+  }
 
   const selectedMatches = scored.slice(0, ids.length);
   const scopedMatchCount = selectedMatches.filter((match) => match.scopeMatch?.classification === 'scoped-match').length;
@@ -734,6 +789,7 @@ function getRelevantSkillsSelection(userMessage, options = {}) {
     matches: selectedMatches,
     summary: {
       selectedCount: ids.length,
+      embeddingProvider: vectors.provider,
       scopedMatchCount,
       fallbackCount,
       mismatchCount,
@@ -767,7 +823,8 @@ function getRelevantSkillsContext(userMessage, limit) {
 /**
  * Register a skill in the index.
  */
-function addSkill(id, { file, keywords, tags, content, status, origin, scope, signature, familySignature, variantSignature, verificationHints }) {
+function addSkill(id, { file, keywords, tags, content, status, origin, scope, signature, familySignature, variantSignature, verificationHints, pack, macro }) {
+  const normalizedMacro = macro ? validateMacro(id, macro) : null;
   const index = loadIndex();
   const now = new Date().toISOString();
   const resolvedFamilySignature = familySignature || (origin === 'awm' ? buildSkillFamilySignature({ keywords, tags, content, verification: (verificationHints || []).join(' ') }) : null);
@@ -790,6 +847,8 @@ function addSkill(id, { file, keywords, tags, content, status, origin, scope, si
     familySignature: resolvedFamilySignature,
     variantSignature: resolvedVariantSignature,
     signature: resolvedVariantSignature,
+    ...(pack ? { pack } : {}),
+    ...(normalizedMacro ? { macro: normalizedMacro } : {}),
     createdAt: now,
     updatedAt: now
   });
@@ -904,6 +963,15 @@ function recordSkillOutcome(skillIds, outcome, context = {}) {
     entry.lastOutcome = outcome;
     entry.updatedAt = now;
 
+    // Pack skills are read-only: count the outcome, leave scope and status alone.
+    if (entry.pack) {
+      if (outcome === 'success') entry.successCount += 1;
+      else if (outcome === 'failure') entry.failureCount += 1;
+      index[id] = entry;
+      updated.push(id);
+      continue;
+    }
+
     if (context.currentProcessName) {
       entry.scope = normalizeScope({
         ...(entry.scope || {}),
@@ -980,6 +1048,10 @@ function applyReflectionSkillUpdate(details = {}, rootCause = '') {
     return { applied: false, action: 'skill_update_missing_skill', detail: `Skill not found: ${skillId}` };
   }
 
+  if (index[skillId].pack) {
+    return { applied: false, action: 'skill_update_read_only', detail: `${skillId} is installed from memory pack ${index[skillId].pack.name}` };
+  }
+
   const entry = normalizeSkillEntry(skillId, index[skillId]);
   const now = new Date().toISOString();
   const updateAction = String(details.skillAction || details.action || 'annotate').trim().toLowerCase();
@@ -1016,14 +1088,44 @@ function applyReflectionSkillUpdate(details = {}, rootCause = '') {
   return { applied: true, action: `skill_${updateAction}`, detail: `${skillId}: ${rootCause || 'reflection update applied'}` };
 }
 
+function validateMacro(id, macro) {
+  const result = skillMacros.normalizeMacro(macro);
+  if (!result.ok) {
+    const error = new Error(`Invalid macro for skill ${id}: ${result.errors.join('; ')}`);
+    error.code = 'SKILL_MACRO_INVALID';
+    error.errors = result.errors;
+    throw error;
+  }
+  return result.macro;
+}
+
+/**
+ * Attach a parameterized action macro to a skill (skill-macros.js), or
+ * remove it with `null`. Throws SKILL_MACRO_INVALID for a bad definition.
+ *
+ * @returns {object|null} The updated index entry, or null if not found / read-only
+ */
+function setSkillMacro(id, macro) {
+  const index = loadIndex();
+  if (!index[id] || index[id].pack) return null;
+  if (macro) index[id].macro = validateMacro(id, macro);
+  else delete index[id].macro;
+  index[id].updatedAt = new Date().toISOString();
+  saveIndex(index);
+  return index[id];
+}
+
 /**
  * Remove a skill from the index (does not delete the file).
+ * Pack skills are kept (returns false) unless `options.allowReadOnly` is set.
  */
-function removeSkill(id) {
+function removeSkill(id, options = {}) {
   const index = loadIndex();
+  if (index[id] && index[id].pack && !options.allowReadOnly) return false;
   if (index[id]) {
     delete index[id];
     saveIndex(index);
+    embeddingIndex.removeEmbedding('skill', id);
     return true;
   }
   return false;
@@ -1039,12 +1141,14 @@ function listSkills() {
 module.exports = {
   getRelevantSkillsSelection,
   getRelevantSkillsContext,
+  prepareSkillRecall,
   addSkill,
   upsertLearnedSkill,
   recordSkillOutcome,
   applyReflectionSkillUpdate,
   removeSkill,
   listSkills,
+  setSkillMacro,
   buildLearnedSkillSignature,
   buildSkillFamilySignature,
   buildSkillVariantSignature,
@@ -1060,5 +1164,6 @@ module.exports = {
   TOKEN_BUDGET,
   DEFAULT_LIMIT,
   PROMOTION_SUCCESS_THRESHOLD,
-  QUARANTINE_FAILURE_THRESHOLD
+  QUARANTINE_FAILURE_THRESHOLD,
+  SKILL_VECTOR_WEIGHT
 };
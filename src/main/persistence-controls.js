@@ -167,25 +167,12 @@ function sanitizeTextByKind(text, kind, pathParts) {
   };
 }
 
-function sanitizePersistedText(value, options = {}) {
-  const fieldKind = options.fieldKind || null;
-  const pathParts = Array.isArray(options.path) ? options.path : [];
+function scrubCredentials(value, pathParts = []) {
   let text = String(value ?? '');
   const redactions = [];
   const tokenPlaceholder = '__LIKU_REDACTED_TOKEN__';
   const secretPlaceholder = '__LIKU_REDACTED_SECRET__';
 
-  if (!text) {
-    return { value: text, redactions };
-  }
-
-  if (fieldKind === 'secret') {
-    return sanitizeTextByKind(text, 'secret', pathParts);
-  }
-  if (fieldKind === 'issue-body' || fieldKind === 'diff' || fieldKind === 'workflow-log') {
-    return sanitizeTextByKind(text, fieldKind, pathParts);
-  }
-
   const replaceWithLiteral = (regex, replacement, kind) => {
     text = text.replace(regex, (match) => {
       redactions.push(buildRedaction(kind, pathParts, match, { replacement }));
@@ -206,6 +193,46 @@ function sanitizePersistedText(value, options = {}) {
   text = text.replace(new RegExp(tokenPlaceholder, 'g'), '[redacted token]');
   text = text.replace(new RegExp(secretPlaceholder, 'g'), '[redacted secret]');
 
+  return { value: text, redactions };
+}
+
+// Workflow logs are kept verbatim for failure triage, so only credentials are
+// scrubbed. The trailing workflow-log redaction marks the text as high
+// sensitivity without replacing it.
+function sanitizeWorkflowLogText(value, options = {}) {
+  const pathParts = Array.isArray(options.path) ? options.path : [];
+  const scrubbed = scrubCredentials(value, pathParts);
+  if (!scrubbed.value) return scrubbed;
+  return {
+    value: scrubbed.value,
+    redactions: [
+      ...scrubbed.redactions,
+      buildRedaction('workflow-log', pathParts, scrubbed.value, { replacement: 'credentials-scrubbed' })
+    ]
+  };
+}
+
+function sanitizePersistedText(value, options = {}) {
+  const fieldKind = options.fieldKind || null;
+  const pathParts = Array.isArray(options.path) ? options.path : [];
+  let text = String(value ?? '');
+  const redactions = [];
+
+  if (!text) {
+    return { value: text, redactions };
+  }
+
+  if (fieldKind === 'secret') {
+    return sanitizeTextByKind(text, 'secret', pathParts);
+  }
+  if (fieldKind === 'issue-body' || fieldKind === 'diff' || fieldKind === 'workflow-log') {
+    return sanitizeTextByKind(text, fieldKind, pathParts);
+  }
+
+  const scrubbed = scrubCredentials(text, pathParts);
+  text = scrubbed.value;
+  redactions.push(...scrubbed.redactions);
+
   if (looksLikeDiff(text)) {
     return {
       value: buildPlaceholder('diff', text),
@@ -490,5 +517,6 @@ module.exports = {
   normalizeMemoryLane,
   sanitizeJsonLinesForExport,
   sanitizePersistedText,
-  sanitizePersistedValue
+  sanitizePersistedValue,
+  sanitizeWorkflowLogText
 };
@@ -52,6 +52,7 @@ const ACTION_TYPES = {
   GREP_REPO: 'grep_repo',           // Search repository text with bounded output
   SEMANTIC_SEARCH_REPO: 'semantic_search_repo', // Token-ranked repo search
   PGREP_PROCESS: 'pgrep_process',   // Search running processes by name
+  GITHUB_CAPABILITY: 'github_capability', // Read-only GitHub capability via native tool calls
   FOCUS_WINDOW: 'focus_window',     // Focus a specific window
   BRING_WINDOW_TO_FRONT: 'bring_window_to_front',
   SEND_WINDOW_TO_BACK: 'send_window_to_back',
@@ -13811,6 +13812,19 @@ async function executeAction(action, runtimeOptions = {}) {
         break;
       }
 
+      case ACTION_TYPES.GITHUB_CAPABILITY: {
+        const { executeGitHubCapabilityAction } = require('./github/capability-tools');
+        const githubResult = await executeGitHubCapabilityAction(effectiveAction);
+        result = {
+          ...result,
+          ...githubResult
+        };
+        result.message = githubResult.success
+          ? `GitHub ${githubResult.capability} returned: ${JSON.stringify(githubResult.report).slice(0, 2000)}`
+          : githubResult.error;
+        break;
+      }
+
       case ACTION_TYPES.FOCUS_WINDOW:
       case ACTION_TYPES.BRING_WINDOW_TO_FRONT: {
         const enriched = withInferredProcessName(effectiveAction);
@@ -14145,7 +14159,12 @@ async function executeAction(action, runtimeOptions = {}) {
           throw new Error(`Dynamic tool '${effectiveAction.toolName}' denied by PreToolUse hook: ${hookResult.reason}`);
         }
         console.log(`[AUTOMATION] Executing dynamic tool: ${effectiveAction.toolName}`);
-        const execResult = await sandbox.executeDynamicTool(lookup.absolutePath, effectiveAction.args || {});
+        const execResult = await sandbox.executeDynamicTool(lookup.absolutePath, effectiveAction.args || {}, {
+          toolName: effectiveAction.toolName,
+          grants: lookup.entry.grants || {},
+          limits: lookup.entry.limits,
+          projectRoot: process.cwd()
+        });
         toolRegistry.recordInvocation(effectiveAction.toolName);
         // PostToolUse hook — audit-log.ps1 for execution audit trail
         try {
@@ -14158,7 +14177,7 @@ async function executeAction(action, runtimeOptions = {}) {
         if (!execResult.success) {
           throw new Error(`Dynamic tool failed: ${execResult.error}`);
         }
-        result.message = `Dynamic tool '${effectiveAction.toolName}' returned: ${JSON.stringify(execResult.result)}`;
+        result.message = `Dynamic tool '${effectiveAction.toolName}' returned${execResult.truncated ? ' (truncated)' : ''}: ${JSON.stringify(execResult.result)}`;
         result.toolResult = execResult.result;
         break;
       }
@@ -14,6 +14,9 @@
  *   - 2+ consecutive failures on the same task type
  *   - 3+ total failures in the current session
  *   - Explicit user request ("reflect", "what went wrong")
+ *
+ * The same pass also reviews clusters of related memory notes for
+ * `liku memory consolidate` (see memory/memory-consolidator.js).
  */
 
 const telemetryWriter = require('./telemetry-writer');
@@ -224,6 +227,75 @@ function applyReflectionResult(reflectionResponse) {
   return { applied: false, action: 'incomplete', detail: 'Reflection result missing required details' };
 }
 
+/**
+ * Build the messages for a memory consolidation pass over one cluster of
+ * related notes.
+ *
+ * @param {object[]} notes - Full note objects ({ id, type, content, keywords, createdAt })
+ * @returns {object[]} Chat messages
+ */
+function buildConsolidationMessages(notes) {
+  const noteSummary = notes.map((note) => {
+    const keywords = (note.keywords || []).length ? `\n  keywords: ${note.keywords.join(', ')}` : '';
+    return `Note ${note.id} (${note.type}, ${note.updatedAt || note.createdAt || 'unknown date'}):\n  ${String(note.content || '').replace(/\n/g, ' ')}${keywords}`;
+  }).join('\n\n');
+
+  return [
+    {
+      role: 'system',
+      content: 'You are the Reflection Agent for Liku CLI. Consolidate related memory notes and respond with ONLY a JSON object.'
+    },
+    {
+      role: 'user',
+      content: `These memory notes were clustered as related:
+
+${noteSummary}
+
+Merge notes that record the same fact or procedure, and flag notes that give conflicting instructions for the same goal. Do not merge notes that conflict.
+
+Respond with exactly this JSON structure:
+{
+  "duplicates": [{ "noteIds": ["ids of notes saying the same thing"], "content": "one merged note", "keywords": ["keywords"] }],
+  "contradictions": [{ "noteIds": ["ids of conflicting notes"], "reason": "what conflicts" }]
+}`
+    }
+  ];
+}
+
+/**
+ * Parse a consolidation response. Groups naming unknown notes are dropped.
+ *
+ * @param {string} response - Raw AI response (expected JSON)
+ * @param {string[]} noteIds - IDs of the notes in the cluster
+ * @returns {{ ok: boolean, duplicates: object[], contradictions: object[], error?: string }}
+ */
+function parseConsolidationResult(response, noteIds) {
+  const known = new Set(noteIds);
+  const groupIds = (group) => Array.from(new Set(Array.isArray(group?.noteIds) ? group.noteIds.map(String) : []))
+    .filter((id) => known.has(id));
+
+  try {
+    const jsonMatch = String(response || '').match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      return { ok: false, duplicates: [], contradictions: [], error: 'No JSON found in consolidation response' };
+    }
+    const result = JSON.parse(jsonMatch[0]);
+    const duplicates = (Array.isArray(result.duplicates) ? result.duplicates : [])
+      .map((group) => ({
+        noteIds: groupIds(group),
+        content: String(group.content || '').trim(),
+        keywords: Array.isArray(group.keywords) ? group.keywords.map(String) : []
+      }))
+      .filter((group) => group.noteIds.length >= 2 && group.content);
+    const contradictions = (Array.isArray(result.contradictions) ? result.contradictions : [])
+      .map((group) => ({ noteIds: groupIds(group), reason: String(group.reason || '').trim() || 'Conflicting notes' }))
+      .filter((group) => group.noteIds.length >= 2);
+    return { ok: true, duplicates, contradictions };
+  } catch (err) {
+    return { ok: false, duplicates: [], contradictions: [], error: err.message };
+  }
+}
+
 /**
  * Reset session-level counters. Called on session start.
  */
@@ -238,6 +310,8 @@ module.exports = {
   buildReflectionMessages,
   buildReflectionPrompt,
   applyReflectionResult,
+  buildConsolidationMessages,
+  parseConsolidationResult,
   resetSession,
   CONSECUTIVE_FAIL_THRESHOLD,
   SESSION_FAIL_THRESHOLD
@@ -0,0 +1,334 @@
+/**
+ * Usage Ledger — per-provider token accounting and spend budgets
+ *
+ * Records prompt/completion tokens for every provider call (chat turns,
+ * continuations, agent runs, reflection passes) as daily JSONL files in
+ * ~/.liku/telemetry/usage/, next to the RLVR telemetry logs.
+ *
+ * Token counts come from the provider's usage payload when present and are
+ * estimated with the shared BPE counter otherwise (`estimated: true`).
+ *
+ * Budgets (tokens) are read from ~/.liku/usage-budget.json and the
+ * LIKU_TOKEN_BUDGET_DAILY / LIKU_TOKEN_BUDGET_SESSION env vars. Crossing the
+ * warn ratio logs a warning once; reaching the limit refuses further calls.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LIKU_HOME } = require('../../shared/liku-home');
+
+const USAGE_DIR = path.join(LIKU_HOME, 'telemetry', 'usage');
+const BUDGET_CONFIG_FILE = path.join(LIKU_HOME, 'usage-budget.json');
+const DEFAULT_WARN_RATIO = 0.8;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const IMAGE_ESTIMATE_TOKENS = 765;
+const TOKEN_BUDGET_EXCEEDED = 'TOKEN_BUDGET_EXCEEDED';
+
+function todayKey(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+function toCount(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? Math.round(number) : null;
+}
+
+// ─── Usage extraction ───────────────────────────────────────
+
+/**
+ * Normalize provider usage payloads:
+ *   OpenAI / Copilot / compatible: { prompt_tokens, completion_tokens }
+ *   Anthropic:                     { input_tokens, output_tokens }
+ *   Ollama:                        { prompt_eval_count, eval_count }
+ *
+ * @returns {{ promptTokens: number, completionTokens: number, totalTokens: number } | null}
+ */
+function normalizeProviderUsage(rawUsage) {
+  if (!rawUsage || typeof rawUsage !== 'object') return null;
+  const promptTokens = toCount(rawUsage.promptTokens ?? rawUsage.prompt_tokens ?? rawUsage.input_tokens ?? rawUsage.prompt_eval_count);
+  const completionTokens = toCount(rawUsage.completionTokens ?? rawUsage.completion_tokens ?? rawUsage.output_tokens ?? rawUsage.eval_count);
+  if (promptTokens === null && completionTokens === null) return null;
+  return {
+    promptTokens: promptTokens || 0,
+    completionTokens: completionTokens || 0,
+    totalTokens: (promptTokens || 0) + (completionTokens || 0)
+  };
+}
+
+function messageContentText(content) {
+  if (typeof content === 'string') return { text: content, images: 0 };
+  if (!Array.isArray(content)) return { text: '', images: 0 };
+  let images = 0;
+  const parts = [];
+  for (const part of content) {
+    if (!part || typeof part !== 'object') continue;
+    if (part.type === 'image_url' || part.type === 'image') {
+      images++;
+    } else if (typeof part.text === 'string') {
+      parts.push(part.text);
+    }
+  }
+  return { text: parts.join('\n'), images };
+}
+
+/**
+ * Estimate usage for a call whose provider did not report token counts.
+ */
+function estimateUsage(messages, responseText, countTokens = require('../../shared/token-counter').countTokens) {
+  let promptTokens = 0;
+  for (const message of Array.isArray(messages) ? messages : []) {
+    const { text, images } = messageContentText(message && message.content);
+    const extraImages = Array.isArray(message && message.images) ? message.images.length : 0;
+    promptTokens += countTokens(text) + MESSAGE_OVERHEAD_TOKENS + (images + extraImages) * IMAGE_ESTIMATE_TOKENS;
+  }
+  const completionTokens = countTokens(typeof responseText === 'string' ? responseText : '');
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+}
+
+// ─── Ledger I/O ─────────────────────────────────────────────
+
+function appendUsageRecord(record, options = {}) {
+  const usageDir = options.usageDir || USAGE_DIR;
+  try {
+    if (!fs.existsSync(usageDir)) {
+      fs.mkdirSync(usageDir, { recursive: true, mode: 0o700 });
+    }
+    const day = String(record.timestamp || new Date().toISOString()).slice(0, 10);
+    fs.appendFileSync(path.join(usageDir, `${day}.jsonl`), JSON.stringify(record) + '\n', 'utf-8');
+    return record;
+  } catch (err) {
+    console.warn('[Usage] Failed to write:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Read usage records for one day (YYYY-MM-DD, defaults to today).
+ */
+function readUsage(date, options = {}) {
+  const usageDir = options.usageDir || USAGE_DIR;
+  const logPath = path.join(usageDir, `${date || todayKey()}.jsonl`);
+  try {
+    if (!fs.existsSync(logPath)) return [];
+    return fs.readFileSync(logPath, 'utf-8')
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line) => {
+        try { return JSON.parse(line); }
+        catch { return null; }
+      })
+      .filter(Boolean);
+  } catch (err) {
+    console.warn('[Usage] Failed to read:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Read usage records for the last `days` days, oldest first.
+ */
+function readUsageRange(days = 1, options = {}) {
+  const now = options.now ? new Date(options.now) : new Date();
+  const records = [];
+  for (let i = Math.max(1, days) - 1; i >= 0; i--) {
+    const d = new Date(now);
+    d.setUTCDate(d.getUTCDate() - i);
+    records.push(...readUsage(todayKey(d), options));
+  }
+  return records;
+}
+
+// ─── Summaries ──────────────────────────────────────────────
+
+function emptyBucket() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, estimatedCalls: 0 };
+}
+
+function addToBucket(bucket, record) {
+  bucket.calls++;
+  bucket.promptTokens += Number(record.promptTokens) || 0;
+  bucket.completionTokens += Number(record.completionTokens) || 0;
+  bucket.totalTokens += Number(record.totalTokens) || 0;
+  if (record.estimated) bucket.estimatedCalls++;
+}
+
+/**
+ * Aggregate usage records by day, provider/model and command.
+ */
+function summarizeUsage(records) {
+  const totals = emptyBucket();
+  const byDay = {};
+  const byModel = {};
+  const byCommand = {};
+
+  for (const record of Array.isArray(records) ? records : []) {
+    const day = String(record.timestamp || '').slice(0, 10) || 'unknown';
+    const model = `${record.provider || 'unknown'}/${record.model || 'default'}`;
+    const command = record.command || 'unknown';
+    addToBucket(totals, record);
+    addToBucket(byDay[day] || (byDay[day] = emptyBucket()), record);
+    addToBucket(byModel[model] || (byModel[model] = emptyBucket()), record);
+    addToBucket(byCommand[command] || (byCommand[command] = emptyBucket()), record);
+  }
+
+  return { totals, byDay, byModel, byCommand };
+}
+
+// ─── Budgets ────────────────────────────────────────────────
+
+function toLimit(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Math.floor(number) : null;
+}
+
+/**
+ * Resolve token budgets. Env vars override the config file.
+ *
+ * @returns {{ daily: number|null, session: number|null, warnAt: number, configPath: string }}
+ */
+function loadUsageBudget(options = {}) {
+  const env = options.env || process.env;
+  const configPath = options.configPath || BUDGET_CONFIG_FILE;
+  let fileConfig = {};
+  try {
+    if (fs.existsSync(configPath)) {
+      fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf-8')) || {};
+    }
+  } catch (err) {
+    console.warn(`[Usage] Ignoring unreadable budget config ${configPath}: ${err.message}`);
+  }
+
+  const warnAt = Number(env.LIKU_TOKEN_BUDGET_WARN_RATIO ?? fileConfig.warnAt);
+  return {
+    daily: toLimit(env.LIKU_TOKEN_BUDGET_DAILY ?? fileConfig.daily),
+    session: toLimit(env.LIKU_TOKEN_BUDGET_SESSION ?? fileConfig.session),
+    warnAt: Number.isFinite(warnAt) && warnAt > 0 && warnAt <= 1 ? warnAt : DEFAULT_WARN_RATIO,
+    configPath
+  };
+}
+
+function describeBudgetScope(used, limit, warnAt) {
+  if (!limit) return { used, limit: null, remaining: null, state: 'unlimited' };
+  const state = used >= limit ? 'exceeded' : (used >= limit * warnAt ? 'warn' : 'ok');
+  return { used, limit, remaining: Math.max(0, limit - used), state };
+}
+
+/**
+ * Create a tracker that records usage and enforces budgets for one process
+ * (one CLI session or Electron app run).
+ *
+ * @param {object} [options]
+ * @param {string} [options.usageDir]
+ * @param {object} [options.budget] - pre-resolved budget (defaults to loadUsageBudget())
+ * @param {() => Date} [options.now]
+ * @param {(message: string) => void} [options.warn]
+ */
+function createUsageTracker(options = {}) {
+  const usageDir = options.usageDir || USAGE_DIR;
+  const budget = options.budget || loadUsageBudget(options);
+  const now = typeof options.now === 'function' ? options.now : () => new Date();
+  const warn = typeof options.warn === 'function' ? options.warn : (message) => console.warn(message);
+  const session = emptyBucket();
+  const warned = new Set();
+  let dailyCache = null;
+
+  function getDailyTotal() {
+    const day = todayKey(now());
+    if (!dailyCache || dailyCache.day !== day) {
+      const total = readUsage(day, { usageDir }).reduce((sum, record) => sum + (Number(record.totalTokens) || 0), 0);
+      dailyCache = { day, total };
+    }
+    return dailyCache.total;
+  }
+
+  function getBudgetStatus() {
+    const daily = describeBudgetScope(getDailyTotal(), budget.daily, budget.warnAt);
+    const sessionScope = describeBudgetScope(session.totalTokens, budget.session, budget.warnAt);
+    return { daily, session: sessionScope, warnAt: budget.warnAt };
+  }
+
+  function warnOnce(scope, status) {
+    const key = scope === 'daily' ? `daily:${todayKey(now())}` : 'session';
+    if (warned.has(key)) return;
+    warned.add(key);
+    warn(`[Usage] ${scope} token budget at ${status.used}/${status.limit} (${Math.round((status.used / status.limit) * 100)}%).`);
+  }
+
+  /**
+   * Throw when a budget is exhausted; called before every provider request.
+   */
+  function assertWithinBudget() {
+    const status = getBudgetStatus();
+    for (const scope of ['session', 'daily']) {
+      if (status[scope].state === 'exceeded') {
+        const error = new Error(`Token budget exceeded: ${scope} usage ${status[scope].used}/${status[scope].limit} tokens. Raise LIKU_TOKEN_BUDGET_${scope.toUpperCase()} or edit ${budget.configPath || 'the budget config'} to continue.`);
+        error.code = TOKEN_BUDGET_EXCEEDED;
+        error.budget = status;
+        throw error;
+      }
+    }
+    return status;
+  }
+
+  /**
+   * Record one provider call.
+   *
+   * @param {object} entry
+   * @param {string} entry.provider
+   * @param {string} [entry.model]
+   * @param {string} [entry.command] - chat | agent | reflection | ...
+   * @param {string} [entry.phase]
+   * @param {object} [entry.usage] - provider usage payload
+   * @param {Array} [entry.messages] - request messages, for estimation
+   * @param {string} [entry.response] - response text, for estimation
+   */
+  function record(entry = {}) {
+    const reported = normalizeProviderUsage(entry.usage);
+    const usage = reported || estimateUsage(entry.messages, entry.response);
+    const usageRecord = {
+      timestamp: now().toISOString(),
+      provider: entry.provider || 'unknown',
+      model: entry.model || null,
+      command: entry.command || 'chat',
+      phase: entry.phase || null,
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+      totalTokens: usage.totalTokens,
+      estimated: !reported
+    };
+
+    appendUsageRecord(usageRecord, { usageDir });
+    addToBucket(session, usageRecord);
+    getDailyTotal();
+    dailyCache.total += usageRecord.totalTokens;
+
+    const status = getBudgetStatus();
+    for (const scope of ['session', 'daily']) {
+      if (status[scope].state === 'warn' || status[scope].state === 'exceeded') {
+        warnOnce(scope, status[scope]);
+      }
+    }
+    return usageRecord;
+  }
+
+  return {
+    assertWithinBudget,
+    getBudgetStatus,
+    getSessionTotals: () => ({ ...session }),
+    record
+  };
+}
+
+module.exports = {
+  BUDGET_CONFIG_FILE,
+  TOKEN_BUDGET_EXCEEDED,
+  USAGE_DIR,
+  appendUsageRecord,
+  createUsageTracker,
+  estimateUsage,
+  loadUsageBudget,
+  normalizeProviderUsage,
+  readUsage,
+  readUsageRange,
+  summarizeUsage
+};
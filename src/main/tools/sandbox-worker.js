@@ -8,52 +8,193 @@
  * SECURITY: This file runs as a separate Node.js process with no shared memory.
  * Even if a malicious script breaks out of the VM, it only compromises this
  * short-lived worker process (which the parent kills immediately).
+ *
+ * Granted capabilities are reached through the frozen `liku` object, whose
+ * methods send a request to the parent and resolve with its reply. The parent
+ * checks every request against the tool's grants. Tools that use them assign
+ * a Promise to `result`:
+ *
+ *   result = liku.readFile('package.json').then((text) => JSON.parse(text).name);
  */
 
 'use strict';
 
 const vm = require('vm');
 
-process.on('message', (msg) => {
-  if (msg.type !== 'execute') return;
+// Everything the tool can touch is built inside the VM context, so walking
+// `.constructor` from any of it reaches the context's Function, whose code
+// runs without `process` or `require`. The only host-realm function the
+// bootstrap sees is `post`, kept in a closure, and it only ever exchanges
+// JSON text: host objects never enter the context and context objects are
+// never resolved or inspected in the host.
+const BOOTSTRAP_SOURCE = `(function bootstrap(post, argsJson) {
+  'use strict';
+  const global = globalThis;
+  const { parse, stringify } = JSON;
+  const freeze = Object.freeze;
+  const PromiseCtor = Promise;
+  const ErrorCtor = Error;
+  const resolved = PromiseCtor.resolve.bind(PromiseCtor);
+  const pending = new Map();
+  const mapGet = Map.prototype.get;
+  const mapSet = Map.prototype.set;
+  const mapDelete = Map.prototype.delete;
+  const call = Function.prototype.call.bind(Function.prototype.call);
+  let nextId = 0;
 
-  const { code, args, timeout } = msg;
+  function request(capability, method, params) {
+    return new PromiseCtor((resolve, reject) => {
+      const id = ++nextId;
+      call(mapSet, pending, id, { resolve, reject });
+      post(stringify({ type: 'capability', id, capability, method, params }));
+    });
+  }
+
+  function messageOf(err) {
+    try {
+      return err && typeof err.message === 'string' ? err.message : String(err);
+    } catch {
+      return 'Tool failed';
+    }
+  }
+
+  const noop = () => {};
+  global.console = freeze({ log: noop, warn: noop, error: noop });
+  global.args = freeze(parse(argsJson));
+  global.liku = freeze({
+    readFile: (filePath) => request('fs.read', 'readFile', { path: filePath }),
+    readDir: (dirPath) => request('fs.read', 'readDir', { path: dirPath }),
+    fetch: (url, init = {}) => request('net.fetch', 'fetch', {
+      url,
+      method: init.method,
+      headers: init.headers,
+      body: init.body
+    }),
+    callTool: (name, toolArgs) => request('tools.call', 'call', { name, args: toolArgs || {} })
+  });
+  global.result = null;
 
-  const sandboxContext = {
-    args: Object.freeze({ ...(args || {}) }),
-    console: {
-      log: (...a) => {}, // Silence console in worker
-      warn: (...a) => {},
-      error: (...a) => {}
+  return freeze({
+    settle(id, success, payload) {
+      const entry = call(mapGet, pending, id);
+      if (!entry) return;
+      call(mapDelete, pending, id);
+      if (success) entry.resolve(parse(payload));
+      else entry.reject(new ErrorCtor(payload));
     },
-    JSON: JSON,
-    Math: Math,
-    Date: Date,
-    Array: Array,
-    Object: Object,
-    String: String,
-    Number: Number,
-    Boolean: Boolean,
-    RegExp: RegExp,
-    Map: Map,
-    Set: Set,
-    Promise: Promise,
-    parseInt: parseInt,
-    parseFloat: parseFloat,
-    isNaN: isNaN,
-    isFinite: isFinite,
-    encodeURIComponent: encodeURIComponent,
-    decodeURIComponent: decodeURIComponent,
-    result: null
+    finish() {
+      resolved(global.result).then(
+        (value) => {
+          let serialized;
+          try {
+            serialized = stringify(value === undefined ? null : value);
+          } catch (err) {
+            post(stringify({ type: 'result', success: false, error: 'Tool result is not serializable: ' + messageOf(err) }));
+            return;
+          }
+          post(stringify({ type: 'result', success: true, serialized: typeof serialized === 'string' ? serialized : 'null' }));
+        },
+        (err) => post(stringify({ type: 'result', success: false, error: messageOf(err) }))
+      );
+    }
+  });
+})`;
+
+let bridge = null;
+
+function measureUsage() {
+  const cpu = process.cpuUsage();
+  return {
+    peakRssKb: process.resourceUsage().maxRSS,
+    cpuMs: Math.round((cpu.user + cpu.system) / 1000)
   };
+}
+
+/**
+ * Send the tool's result, cut to maxResultBytes of its JSON form. A string
+ * result keeps its leading text; anything else is sent as truncated JSON text.
+ * `serialized` is the JSON text the context produced; it is parsed here, in
+ * the host, into plain host values.
+ */
+function sendResult(serialized, maxResultBytes) {
+  const value = JSON.parse(serialized);
+  const resultBytes = Buffer.byteLength(serialized);
+  let result = value;
+  let truncated = false;
+  if (maxResultBytes && resultBytes > maxResultBytes) {
+    const text = typeof value === 'string' ? value : serialized;
+    result = Buffer.from(text).subarray(0, maxResultBytes).toString('utf-8');
+    truncated = true;
+  }
+  process.send({ type: 'result', success: true, result, truncated, resultBytes, usage: measureUsage() });
+}
+
+let maxResultBytes = 0;
+let finished = false;
+
+/** Receives JSON text from the context; anything else is ignored. */
+function post(text) {
+  if (typeof text !== 'string') return;
+  let msg;
+  try {
+    msg = JSON.parse(text);
+  } catch {
+    return;
+  }
+  try {
+    if (msg.type === 'capability') {
+      process.send({
+        type: 'capability',
+        id: msg.id,
+        capability: String(msg.capability),
+        method: String(msg.method),
+        params: msg.params && typeof msg.params === 'object' ? msg.params : {}
+      });
+    } else if (msg.type === 'result' && !finished) {
+      finished = true;
+      if (msg.success) {
+        sendResult(String(msg.serialized), maxResultBytes);
+      } else {
+        process.send({ type: 'result', success: false, error: String(msg.error), usage: measureUsage() });
+      }
+    }
+  } catch {
+    // A failed send means the parent is gone; its timer settles the run.
+  }
+}
+
+process.on('message', (msg) => {
+  if (msg.type === 'capability-result') {
+    if (bridge) {
+      const payload = msg.success ? JSON.stringify(msg.value === undefined ? null : msg.value) : String(msg.error || 'Capability request failed');
+      bridge.settle(Number(msg.id), Boolean(msg.success), payload);
+    }
+    return;
+  }
+  if (msg.type !== 'execute') return;
+
+  const { code, args, timeout } = msg;
+  maxResultBytes = msg.maxResultBytes;
 
   try {
-    const context = vm.createContext(sandboxContext);
+    // A null-prototype sandbox object: `this.constructor` on the global must not
+    // fall through to the host Object.
+    const context = vm.createContext(Object.create(null));
+    const bootstrap = new vm.Script(BOOTSTRAP_SOURCE, { filename: 'sandbox-bootstrap.js' }).runInContext(context);
+    bridge = bootstrap(post, JSON.stringify(args || {}));
     const script = new vm.Script(code, { filename: 'dynamic-tool.js' });
     script.runInContext(context, { timeout: timeout || 5000 });
-    process.send({ type: 'result', success: true, result: context.result });
+    // The parent's timer bounds async results; the VM timeout only covers synchronous code.
+    bridge.finish();
   } catch (err) {
-    process.send({ type: 'result', success: false, error: err.message });
+    const timedOut = err && err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+    let error;
+    try {
+      error = err && typeof err.message === 'string' ? err.message : String(err);
+    } catch {
+      error = 'Tool failed';
+    }
+    process.send({ type: 'result', success: false, error, timedOut, usage: measureUsage() });
   }
 });
 
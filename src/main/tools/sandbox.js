@@ -9,11 +9,16 @@
  *   - Even a VM escape only compromises the short-lived worker process
  *
  * Execution flow:
- *   1. Static validation (tool-validator.js — banned patterns)
+ *   1. Static validation (tool-validator.js — parse-tree analysis)
  *   2. Fork sandbox-worker.js as a child process
  *   3. Send code + args via IPC
- *   4. Receive result via IPC or kill on timeout
- *   5. Return result to caller
+ *   4. Broker capability requests (fs.read, net.fetch, tools.call) against the
+ *      tool's approved grants (tool-capabilities.js)
+ *   5. Receive result via IPC or kill on timeout / heap exhaustion
+ *   6. Record a `tool_run` telemetry record and return result to caller
+ *
+ * Each run is bounded by the tool's registry limits (timeout, worker heap via
+ * --max-old-space-size, result size) with defaults from TOOL_LIMITS.
  *
  * SECURITY: NEVER use require() to load AI-generated code. This sandbox
  * is the only sanctioned execution path for dynamic tools.
@@ -22,93 +27,248 @@
 const { fork } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const { validateToolSource } = require('./tool-validator');
+const { validateToolSource, formatValidationFindings } = require('./tool-validator');
+const { createCapabilityBroker } = require('./tool-capabilities');
+const { writeTelemetry } = require('../telemetry/telemetry-writer');
 
 const EXECUTION_TIMEOUT = 5000; // 5 seconds
 const WORKER_PATH = path.join(__dirname, 'sandbox-worker.js');
+const STDERR_TAIL_BYTES = 4096;
+
+/**
+ * Per-tool limits stored in registry metadata (`entry.limits`). Missing values
+ * fall back to the defaults; values outside the bounds are rejected when the
+ * limits are set.
+ */
+const TOOL_LIMITS = {
+  timeoutMs: { min: 100, max: 60000, fallback: EXECUTION_TIMEOUT },
+  maxHeapMb: { min: 16, max: 1024, fallback: 64 },
+  maxResultBytes: { min: 1024, max: 4 * 1024 * 1024, fallback: 256 * 1024 }
+};
+
+// ─── Limits ─────────────────────────────────────────────────
+
+/**
+ * Validate a partial limits object.
+ *
+ * @param {object} [limits] - { timeoutMs?, maxHeapMb?, maxResultBytes? }
+ * @returns {{ limits: object, errors: string[] }} only the valid, provided keys
+ */
+function normalizeToolLimits(limits) {
+  const errors = [];
+  const normalized = {};
+  if (limits === undefined || limits === null) return { limits: normalized, errors };
+  if (typeof limits !== 'object' || Array.isArray(limits)) {
+    return { limits: normalized, errors: ['limits must be an object'] };
+  }
+  for (const [key, value] of Object.entries(limits)) {
+    const bounds = TOOL_LIMITS[key];
+    if (!bounds) {
+      errors.push(`unknown limit "${key}" (expected ${Object.keys(TOOL_LIMITS).join(', ')})`);
+      continue;
+    }
+    if (value === undefined || value === null) continue;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < bounds.min || number > bounds.max) {
+      errors.push(`${key} must be an integer between ${bounds.min} and ${bounds.max}`);
+      continue;
+    }
+    normalized[key] = number;
+  }
+  return { limits: normalized, errors };
+}
+
+/** Fill in defaults for a stored limits object, ignoring invalid entries. */
+function resolveToolLimits(limits) {
+  const { limits: valid } = normalizeToolLimits(limits && typeof limits === 'object' ? limits : undefined);
+  return Object.fromEntries(Object.entries(TOOL_LIMITS).map(([key, bounds]) => [key, valid[key] ?? bounds.fallback]));
+}
+
+// ─── Run telemetry ──────────────────────────────────────────
+
+function recordToolRun(toolName, run) {
+  writeTelemetry({
+    task: `tool_run:${toolName}`,
+    phase: 'execution',
+    outcome: run.success ? 'success' : 'failure',
+    actions: [{ type: 'dynamic_tool', name: toolName }],
+    context: {
+      event: 'tool_run',
+      name: toolName,
+      durationMs: run.durationMs,
+      peakRssKb: run.peakRssKb ?? null,
+      cpuMs: run.cpuMs ?? null,
+      exitReason: run.exitReason,
+      truncated: Boolean(run.truncated),
+      resultBytes: run.resultBytes ?? null,
+      limits: run.limits,
+      depth: run.depth || 0,
+      kind: run.kind || 'call',
+      error: run.success ? undefined : run.error
+    }
+  });
+}
 
 /**
  * Execute a dynamic tool script in an isolated child process.
  *
  * @param {string} toolPath - Absolute path to the tool script
  * @param {object} [args={}] - Arguments to pass to the tool
- * @returns {{ success: boolean, result: any, error?: string }}
+ * @param {object} [options]
+ * @param {object} [options.grants] - approved capabilities; none when omitted
+ * @param {object} [options.limits] - registry limits (timeoutMs, maxHeapMb, maxResultBytes)
+ * @param {string} [options.toolName] - name recorded in telemetry (defaults to the file name)
+ * @param {string} [options.kind] - 'call' (default) or 'example' for pre-promotion example runs
+ * @param {string} [options.projectRoot] - root for fs.read grants (defaults to cwd)
+ * @param {number} [options.depth] - tools.call nesting level
+ * @returns {{ success: boolean, result: any, error?: string, truncated: boolean, exitReason: string }}
  */
-function executeDynamicTool(toolPath, args) {
+function executeDynamicTool(toolPath, args, options = {}) {
+  const toolName = options.toolName || path.basename(String(toolPath), '.js');
+  const limits = resolveToolLimits(options.limits);
+  const startedAt = Date.now();
   let code;
   try {
     code = fs.readFileSync(toolPath, 'utf-8');
   } catch (err) {
-    return { success: false, result: null, error: `Cannot read tool: ${err.message}` };
+    return { success: false, result: null, error: `Cannot read tool: ${err.message}`, truncated: false, exitReason: 'unreadable' };
   }
 
   // Static validation first
   const validation = validateToolSource(code);
   if (!validation.valid) {
-    return {
-      success: false,
-      result: null,
-      error: `Tool failed validation: ${validation.violations.join(', ')}`
-    };
+    const error = `Tool failed validation: ${formatValidationFindings(validation.findings)}`;
+    recordToolRun(toolName, { success: false, error, exitReason: 'validation', durationMs: Date.now() - startedAt, limits, depth: options.depth, kind: options.kind });
+    return { success: false, result: null, error, truncated: false, exitReason: 'validation' };
   }
 
+  const broker = createCapabilityBroker({
+    grants: options.grants,
+    projectRoot: options.projectRoot,
+    depth: options.depth,
+    fetch: options.fetch,
+    callTool: (name, toolArgs, depth) => executeRegisteredTool(name, toolArgs, { ...options, depth })
+  });
+
   // Fork a worker process for isolation
   return new Promise((resolve) => {
     const worker = fork(WORKER_PATH, [], {
       stdio: ['pipe', 'pipe', 'pipe', 'ipc'],
+      execArgv: [`--max-old-space-size=${limits.maxHeapMb}`],
       // Drop env vars that could leak secrets into the sandbox
       env: { NODE_ENV: 'sandbox', PATH: process.env.PATH }
     });
 
+    let stderrTail = '';
+    if (worker.stderr) {
+      worker.stderr.on('data', (chunk) => {
+        stderrTail = (stderrTail + chunk.toString()).slice(-STDERR_TAIL_BYTES);
+      });
+    }
+
     let settled = false;
+    function settle(run) {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      try { worker.kill('SIGKILL'); } catch {}
+      const outcome = { ...run, durationMs: Date.now() - startedAt, limits, depth: options.depth, kind: options.kind };
+      recordToolRun(toolName, outcome);
+      resolve({
+        success: run.success,
+        result: run.result ?? null,
+        error: run.error || undefined,
+        truncated: Boolean(run.truncated),
+        exitReason: run.exitReason
+      });
+    }
+
     const timer = setTimeout(() => {
-      if (!settled) {
-        settled = true;
-        try { worker.kill('SIGKILL'); } catch {}
-        resolve({
-          success: false,
-          result: null,
-          error: `Tool execution timed out after ${EXECUTION_TIMEOUT}ms`
-        });
-      }
-    }, EXECUTION_TIMEOUT + 500); // +500ms grace for IPC overhead
+      settle({ success: false, error: `Tool execution timed out after ${limits.timeoutMs}ms`, exitReason: 'timeout' });
+    }, limits.timeoutMs + 500); // +500ms grace for IPC overhead
 
     worker.on('message', (msg) => {
-      if (msg.type === 'result' && !settled) {
-        settled = true;
-        clearTimeout(timer);
-        try { worker.kill(); } catch {}
-        resolve({
+      if (msg.type === 'capability' && !settled) {
+        // Grants are enforced here, in the parent; the worker only sees results.
+        broker.handle(msg)
+          .then((value) => ({ type: 'capability-result', id: msg.id, success: true, value }))
+          .catch((err) => ({ type: 'capability-result', id: msg.id, success: false, error: err.message, code: err.code || null }))
+          .then((reply) => {
+            if (!settled && worker.connected) worker.send(reply);
+          });
+        return;
+      }
+      if (msg.type === 'result') {
+        const usage = msg.usage || {};
+        settle({
           success: msg.success,
-          result: msg.result || null,
-          error: msg.error || undefined
+          result: msg.result,
+          error: msg.error,
+          truncated: msg.truncated,
+          resultBytes: msg.resultBytes,
+          peakRssKb: usage.peakRssKb,
+          cpuMs: usage.cpuMs,
+          exitReason: msg.success ? 'completed' : (msg.timedOut ? 'timeout' : 'error')
         });
       }
     });
 
     worker.on('error', (err) => {
-      if (!settled) {
-        settled = true;
-        clearTimeout(timer);
-        resolve({ success: false, result: null, error: `Worker error: ${err.message}` });
-      }
+      settle({ success: false, error: `Worker error: ${err.message}`, exitReason: 'worker-error' });
     });
 
-    worker.on('exit', (exitCode) => {
-      if (!settled) {
-        settled = true;
-        clearTimeout(timer);
-        resolve({
-          success: false,
-          result: null,
-          error: exitCode ? `Worker exited with code ${exitCode}` : 'Worker exited unexpectedly'
-        });
+    // 'close' waits for stderr, which carries the V8 out-of-memory report.
+    worker.on('close', (exitCode, signal) => {
+      if (/heap out of memory|Allocation failed/i.test(stderrTail)) {
+        settle({ success: false, error: `Tool exceeded its ${limits.maxHeapMb}MB heap limit`, exitReason: 'memory' });
+        return;
       }
+      settle({
+        success: false,
+        error: exitCode ? `Worker exited with code ${exitCode}` : (signal ? `Worker killed by ${signal}` : 'Worker exited unexpectedly'),
+        exitReason: 'crash'
+      });
     });
 
     // Send the code to the worker
-    worker.send({ type: 'execute', code, args: args || {}, timeout: EXECUTION_TIMEOUT });
+    worker.send({
+      type: 'execute',
+      code,
+      args: args || {},
+      timeout: limits.timeoutMs,
+      maxResultBytes: limits.maxResultBytes
+    });
+  });
+}
+
+/**
+ * Execute an approved registry tool with its granted capabilities.
+ * Used for tools.call so nested tools run under their own grants.
+ */
+async function executeRegisteredTool(name, args, options = {}) {
+  const toolRegistry = require('./tool-registry');
+  const lookup = toolRegistry.lookupTool(name);
+  if (!lookup) {
+    return { success: false, result: null, error: `Dynamic tool not found: ${name}` };
+  }
+  if (!lookup.entry.approved) {
+    return { success: false, result: null, error: `Dynamic tool '${name}' has not been approved` };
+  }
+  const execResult = await executeDynamicTool(lookup.absolutePath, args || {}, {
+    ...options,
+    toolName: name,
+    grants: lookup.entry.grants || {},
+    limits: lookup.entry.limits
   });
+  toolRegistry.recordInvocation(name);
+  return execResult;
 }
 
-module.exports = { executeDynamicTool, EXECUTION_TIMEOUT };
+module.exports = {
+  executeDynamicTool,
+  executeRegisteredTool,
+  normalizeToolLimits,
+  resolveToolLimits,
+  EXECUTION_TIMEOUT,
+  TOOL_LIMITS
+};
@@ -0,0 +1,303 @@
+/**
+ * Tool Capabilities — manifest-declared, parent-enforced APIs for dynamic tools
+ *
+ * Dynamic tools run in a forked VM worker with no Node APIs (sandbox.js).
+ * A tool may declare capabilities in its manifest when it is proposed; the
+ * user grants them at `liku tools approve` time. At runtime the worker asks
+ * the parent over IPC and the broker below checks every request against the
+ * grants before doing the work, so the worker itself never holds a file
+ * handle, socket or registry reference.
+ *
+ * Manifest shape (all keys optional):
+ *   {
+ *     "fs.read":    { "paths": ["src", "package.json"] },        // relative to the project root
+ *     "net.fetch":  { "hosts": ["api.github.com", "*.example.com"], "methods": ["GET"] },
+ *     "tools.call": { "tools": ["word-count"] }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CAPABILITY_DENIED = 'CAPABILITY_DENIED';
+const CAPABILITY_NAMES = ['fs.read', 'net.fetch', 'tools.call'];
+const MAX_READ_BYTES = 1024 * 1024;
+const MAX_FETCH_BYTES = 1024 * 1024;
+const FETCH_TIMEOUT = 4000;
+const MAX_TOOL_CALL_DEPTH = 3;
+const FETCH_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+function denied(message) {
+  const error = new Error(message);
+  error.code = CAPABILITY_DENIED;
+  return error;
+}
+
+function uniqueStrings(values) {
+  return Array.from(new Set((Array.isArray(values) ? values : []).map((value) => String(value || '').trim()).filter(Boolean)));
+}
+
+// ─── Manifest validation ────────────────────────────────────
+
+function normalizeReadPaths(paths, errors) {
+  return uniqueStrings(paths).filter((entry) => {
+    const normalized = path.normalize(entry);
+    if (path.isAbsolute(entry) || normalized === '..' || normalized.startsWith(`..${path.sep}`)) {
+      errors.push(`fs.read path "${entry}" must be relative to the project root`);
+      return false;
+    }
+    return true;
+  }).map((entry) => path.normalize(entry).replace(/\\/g, '/'));
+}
+
+function normalizeHosts(hosts, errors) {
+  return uniqueStrings(hosts).map((host) => host.toLowerCase()).filter((host) => {
+    if (!/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(:\d+)?$/.test(host)) {
+      errors.push(`net.fetch host "${host}" is not a hostname`);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Validate a capability manifest.
+ *
+ * @param {object} [manifest]
+ * @returns {{ capabilities: object, errors: string[] }}
+ */
+function normalizeCapabilityManifest(manifest) {
+  const errors = [];
+  const capabilities = {};
+  if (manifest === undefined || manifest === null) {
+    return { capabilities, errors };
+  }
+  if (typeof manifest !== 'object' || Array.isArray(manifest)) {
+    return { capabilities, errors: ['capabilities must be an object keyed by capability name'] };
+  }
+
+  for (const [name, spec] of Object.entries(manifest)) {
+    if (!CAPABILITY_NAMES.includes(name)) {
+      errors.push(`unknown capability "${name}" (expected ${CAPABILITY_NAMES.join(', ')})`);
+      continue;
+    }
+    const config = spec && typeof spec === 'object' ? spec : {};
+    if (name === 'fs.read') {
+      const paths = normalizeReadPaths(config.paths, errors);
+      if (paths.length === 0) errors.push('fs.read requires at least one path');
+      else capabilities[name] = { paths };
+    } else if (name === 'net.fetch') {
+      const hosts = normalizeHosts(config.hosts, errors);
+      const methods = uniqueStrings(config.methods || ['GET']).map((method) => method.toUpperCase());
+      const badMethods = methods.filter((method) => !FETCH_METHODS.includes(method));
+      if (badMethods.length > 0) errors.push(`net.fetch methods not supported: ${badMethods.join(', ')}`);
+      if (hosts.length === 0) errors.push('net.fetch requires at least one host');
+      else capabilities[name] = { hosts, methods: methods.filter((method) => FETCH_METHODS.includes(method)) };
+    } else if (name === 'tools.call') {
+      const tools = uniqueStrings(config.tools);
+      const badTools = tools.filter((tool) => !/^[a-z0-9-]+$/.test(tool));
+      if (badTools.length > 0) errors.push(`tools.call names must be registered tool names: ${badTools.join(', ')}`);
+      if (tools.length === 0) errors.push('tools.call requires at least one tool');
+      else capabilities[name] = { tools: tools.filter((tool) => !badTools.includes(tool)) };
+    }
+  }
+
+  return { capabilities, errors };
+}
+
+/**
+ * Pick the grants for an approval: all requested capabilities, or only the
+ * named subset when `only` is given.
+ */
+function selectCapabilityGrants(requested, only) {
+  const capabilities = requested && typeof requested === 'object' ? requested : {};
+  if (only === undefined || only === null) {
+    return { ...capabilities };
+  }
+  const names = new Set(uniqueStrings(only));
+  return Object.fromEntries(Object.entries(capabilities).filter(([name]) => names.has(name)));
+}
+
+function describeCapabilities(capabilities) {
+  return Object.entries(capabilities || {}).map(([name, spec]) => {
+    if (name === 'fs.read') return `fs.read: ${spec.paths.join(', ')}`;
+    if (name === 'net.fetch') return `net.fetch: ${spec.methods.join('/')} ${spec.hosts.join(', ')}`;
+    if (name === 'tools.call') return `tools.call: ${spec.tools.join(', ')}`;
+    return name;
+  });
+}
+
+// ─── Enforcement ────────────────────────────────────────────
+
+function isInside(parent, child) {
+  const relative = path.relative(parent, child);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+function resolveGrantedPath(grant, projectRoot, requestedPath) {
+  if (!grant) throw denied('fs.read was not granted to this tool');
+  const root = fs.realpathSync(projectRoot);
+  const target = path.resolve(root, String(requestedPath || '.'));
+  // Resolve symlinks so a link inside a granted directory cannot point outside it.
+  const realTarget = fs.realpathSync(target);
+  const allowed = grant.paths.some((entry) => {
+    const grantedPath = path.resolve(root, entry);
+    const realGranted = fs.existsSync(grantedPath) ? fs.realpathSync(grantedPath) : grantedPath;
+    return isInside(root, realGranted) && isInside(realGranted, realTarget);
+  });
+  if (!allowed) throw denied(`fs.read denied for ${requestedPath}: outside granted paths (${grant.paths.join(', ')})`);
+  return realTarget;
+}
+
+function hostMatches(pattern, host) {
+  if (pattern.startsWith('*.')) {
+    return host.endsWith(pattern.slice(1)) && host.length > pattern.length - 1;
+  }
+  return pattern === host;
+}
+
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443' };
+
+// A pattern without a port only covers the protocol's default port, so an
+// allowlisted host does not open every other service running on it.
+function urlHostAllowed(patterns, url) {
+  const hostname = url.hostname.toLowerCase();
+  const port = url.port || DEFAULT_PORTS[url.protocol];
+  return patterns.some((pattern) => (pattern.includes(':')
+    ? hostMatches(pattern, `${hostname}:${port}`)
+    : !url.port && hostMatches(pattern, hostname)));
+}
+
+async function readLimitedBody(response) {
+  if (!response.body || typeof response.body.getReader !== 'function') {
+    const text = await response.text();
+    if (Buffer.byteLength(text) > MAX_FETCH_BYTES) {
+      throw denied(`net.fetch response exceeds ${MAX_FETCH_BYTES} bytes`);
+    }
+    return text;
+  }
+  const reader = response.body.getReader();
+  const chunks = [];
+  let total = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.byteLength;
+    if (total > MAX_FETCH_BYTES) {
+      await reader.cancel().catch(() => {});
+      throw denied(`net.fetch response exceeds ${MAX_FETCH_BYTES} bytes`);
+    }
+    chunks.push(Buffer.from(value));
+  }
+  return Buffer.concat(chunks).toString('utf-8');
+}
+
+/**
+ * Create the parent-side broker for one tool execution.
+ *
+ * @param {object} options
+ * @param {object} [options.grants] - approved capabilities for the running tool
+ * @param {string} [options.projectRoot] - root for fs.read paths (defaults to cwd)
+ * @param {(name: string, args: object, depth: number) => Promise<object>} [options.callTool]
+ * @param {Function} [options.fetch] - fetch implementation (defaults to global fetch)
+ * @param {number} [options.depth] - nesting level of tools.call
+ * @returns {{ handle: (request: { capability: string, method?: string, params?: object }) => Promise<any> }}
+ */
+function createCapabilityBroker(options = {}) {
+  const grants = options.grants && typeof options.grants === 'object' ? options.grants : {};
+  const projectRoot = options.projectRoot || process.cwd();
+  const fetchImpl = options.fetch || globalThis.fetch;
+  const depth = Number(options.depth) || 0;
+
+  function readFileCapability(params = {}) {
+    const target = resolveGrantedPath(grants['fs.read'], projectRoot, params.path);
+    const stat = fs.statSync(target);
+    if (!stat.isFile()) throw denied(`fs.read: ${params.path} is not a file`);
+    if (stat.size > MAX_READ_BYTES) throw denied(`fs.read: ${params.path} exceeds ${MAX_READ_BYTES} bytes`);
+    return fs.readFileSync(target, 'utf-8');
+  }
+
+  function readDirCapability(params = {}) {
+    const target = resolveGrantedPath(grants['fs.read'], projectRoot, params.path);
+    return fs.readdirSync(target, { withFileTypes: true })
+      .map((entry) => ({ name: entry.name, type: entry.isDirectory() ? 'directory' : 'file' }));
+  }
+
+  async function fetchCapability(params = {}) {
+    const grant = grants['net.fetch'];
+    if (!grant) throw denied('net.fetch was not granted to this tool');
+    let url;
+    try {
+      url = new URL(String(params.url || ''));
+    } catch {
+      throw denied(`net.fetch: invalid URL ${params.url}`);
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') throw denied(`net.fetch: unsupported protocol ${url.protocol}`);
+    const host = url.host.toLowerCase();
+    if (!urlHostAllowed(grant.hosts, url)) {
+      throw denied(`net.fetch denied for host ${host} (allowed: ${grant.hosts.join(', ')})`);
+    }
+    const method = String(params.method || 'GET').toUpperCase();
+    if (!grant.methods.includes(method)) throw denied(`net.fetch method ${method} not granted`);
+    if (typeof fetchImpl !== 'function') throw new Error('net.fetch is unavailable in this runtime');
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+    try {
+      // Redirects are not followed: a redirect could leave the allowlisted hosts.
+      const response = await fetchImpl(url.toString(), {
+        method,
+        headers: params.headers && typeof params.headers === 'object' ? params.headers : undefined,
+        body: params.body === undefined || method === 'GET' || method === 'HEAD' ? undefined : String(params.body),
+        redirect: 'manual',
+        signal: controller.signal
+      });
+      return {
+        status: response.status,
+        ok: response.ok,
+        headers: Object.fromEntries(response.headers ? response.headers.entries() : []),
+        body: method === 'HEAD' ? '' : await readLimitedBody(response)
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function callToolCapability(params = {}) {
+    const grant = grants['tools.call'];
+    const name = String(params.name || '');
+    if (!grant || !grant.tools.includes(name)) throw denied(`tools.call denied for ${name || '(missing)'}`);
+    if (depth >= MAX_TOOL_CALL_DEPTH) throw denied(`tools.call nesting exceeds ${MAX_TOOL_CALL_DEPTH} levels`);
+    if (typeof options.callTool !== 'function') throw new Error('tools.call is unavailable in this runtime');
+    const outcome = await options.callTool(name, params.args && typeof params.args === 'object' ? params.args : {}, depth + 1);
+    if (!outcome || !outcome.success) {
+      throw new Error(`Tool ${name} failed: ${(outcome && outcome.error) || 'unknown error'}`);
+    }
+    return outcome.result;
+  }
+
+  const handlers = {
+    'fs.read': { readFile: readFileCapability, readDir: readDirCapability },
+    'net.fetch': { fetch: fetchCapability },
+    'tools.call': { call: callToolCapability }
+  };
+
+  return {
+    async handle(request = {}) {
+      const methods = Object.hasOwn(handlers, request.capability) ? handlers[request.capability] : null;
+      const handler = methods && Object.hasOwn(methods, request.method) ? methods[request.method] : null;
+      if (!handler) throw denied(`Unknown capability ${request.capability}.${request.method}`);
+      return handler(request.params || {});
+    }
+  };
+}
+
+module.exports = {
+  CAPABILITY_DENIED,
+  CAPABILITY_NAMES,
+  MAX_TOOL_CALL_DEPTH,
+  createCapabilityBroker,
+  describeCapabilities,
+  normalizeCapabilityManifest,
+  selectCapabilityGrants
+};
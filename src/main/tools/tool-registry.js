@@ -8,13 +8,30 @@
  *   3a: Sandbox execution + static validation
  *   3b: AI proposes tools → quarantine in proposed/ → user approval → promote to dynamic/
  *   3c: Auto-registration for validated + hook-approved tools (future)
+ *
+ * Capabilities: a proposal may request brokered APIs (tool-capabilities.js).
+ * They are stored as `capabilities` and only become `grants` when the tool
+ * is approved; revoking approval drops the grants.
+ *
+ * Limits: `limits` holds per-tool sandbox limits (timeoutMs, maxHeapMb,
+ * maxResultBytes); unset values use the sandbox defaults. Every sandbox run
+ * writes a `tool_run` telemetry record, summarized by getToolRunStats().
+ *
+ * Versions: every proposal is kept as a numbered snapshot (tool-versions.js)
+ * with author/source provenance in `entry.versions`; `entry.version` is the
+ * current one. Declared `examples` must pass in the sandbox (runToolExamples)
+ * before a version can be promoted, and any previously promoted version can
+ * be restored with rollbackTool().
  */
 
 const fs = require('fs');
 const path = require('path');
 const { LIKU_HOME } = require('../../shared/liku-home');
-const { validateToolSource } = require('./tool-validator');
-const { writeTelemetry } = require('../telemetry/telemetry-writer');
+const { validateToolSource, formatValidationFindings } = require('./tool-validator');
+const { normalizeCapabilityManifest, selectCapabilityGrants } = require('./tool-capabilities');
+const { writeTelemetry, readTelemetry, listTelemetryDates } = require('../telemetry/telemetry-writer');
+const { normalizeToolLimits } = require('./sandbox');
+const toolVersions = require('./tool-versions');
 
 const TOOLS_DIR = path.join(LIKU_HOME, 'tools');
 const DYNAMIC_DIR = path.join(TOOLS_DIR, 'dynamic');
@@ -53,16 +70,36 @@ function saveRegistry(registry) {
  * @param {string} opts.code - Tool source code
  * @param {string} opts.description - What the tool does
  * @param {object} opts.parameters - Parameter definitions { name: type }
- * @returns {{ success: boolean, error?: string, proposalPath?: string }}
+ * @param {object} [opts.capabilities] - Requested capability manifest (fs.read, net.fetch, tools.call)
+ * @param {object} [opts.limits] - Sandbox limits (timeoutMs, maxHeapMb, maxResultBytes)
+ * @param {Array} [opts.examples] - Example cases { name?, args, expected } run before promotion
+ * @param {string} [opts.author] - Who wrote this version (defaults to 'ai')
+ * @param {string} [opts.source] - Where it came from (session, command, file)
+ * @returns {{ success: boolean, error?: string, proposalPath?: string, version?: number }}
  */
-function proposeTool(name, { code, description, parameters }) {
+function proposeTool(name, { code, description, parameters, capabilities, limits, examples, author, source }) {
   if (!/^[a-z0-9-]+$/.test(name)) {
     return { success: false, error: 'Tool name must be lowercase alphanumeric with hyphens' };
   }
 
   const validation = validateToolSource(code);
   if (!validation.valid) {
-    return { success: false, error: `Validation failed: ${validation.violations.join(', ')}` };
+    return { success: false, error: `Validation failed: ${formatValidationFindings(validation.findings)}` };
+  }
+
+  const manifest = normalizeCapabilityManifest(capabilities);
+  if (manifest.errors.length > 0) {
+    return { success: false, error: `Invalid capabilities: ${manifest.errors.join('; ')}` };
+  }
+
+  const toolLimits = normalizeToolLimits(limits);
+  if (toolLimits.errors.length > 0) {
+    return { success: false, error: `Invalid limits: ${toolLimits.errors.join('; ')}` };
+  }
+
+  const toolExamples = toolVersions.normalizeToolExamples(examples);
+  if (toolExamples.errors.length > 0) {
+    return { success: false, error: `Invalid examples: ${toolExamples.errors.join('; ')}` };
   }
 
   // Write to quarantine (proposed/) — NOT dynamic/
@@ -75,16 +112,38 @@ function proposeTool(name, { code, description, parameters }) {
 
   // Index with status:'proposed' — tool is NOT executable
   const registry = loadRegistry();
+  const previous = registry.tools[name];
+  const versions = previous ? snapshotLegacyVersion(name, previous) : [];
+  const version = versions.reduce((max, entry) => Math.max(max, entry.version), 0) + 1;
+  const createdAt = new Date().toISOString();
+  toolVersions.writeVersionSource(name, version, code);
+  versions.push({
+    version,
+    author: author || 'ai',
+    source: source || null,
+    createdAt,
+    sha256: toolVersions.hashSource(code),
+    capabilities: manifest.capabilities,
+    examples: toolExamples.examples,
+    status: 'proposed'
+  });
+
   registry.tools[name] = {
     file: `proposed/${toolFile}`,
     description: description || '',
     parameters: parameters || {},
-    createdBy: 'ai',
-    createdAt: new Date().toISOString(),
+    capabilities: manifest.capabilities,
+    grants: {},
+    limits: limits === undefined && previous ? previous.limits || {} : toolLimits.limits,
+    examples: toolExamples.examples,
+    createdBy: author || 'ai',
+    createdAt: previous ? previous.createdAt : createdAt,
     approved: false,
     status: 'proposed',
-    invocations: 0,
-    lastInvokedAt: null
+    version,
+    versions,
+    invocations: previous ? previous.invocations || 0 : 0,
+    lastInvokedAt: previous ? previous.lastInvokedAt || null : null
   };
   saveRegistry(registry);
 
@@ -92,10 +151,55 @@ function proposeTool(name, { code, description, parameters }) {
     task: `tool_proposal:${name}`,
     phase: 'execution',
     outcome: 'success',
-    context: { event: 'tool_proposed', name, description }
+    context: { event: 'tool_proposed', name, description, version, capabilities: Object.keys(manifest.capabilities) }
   });
 
-  return { success: true, proposalPath };
+  return { success: true, proposalPath, version };
+}
+
+/**
+ * Tools registered before versioning have no history; keep their current
+ * source as a version so a new proposal does not lose it.
+ */
+function snapshotLegacyVersion(name, entry) {
+  if (Array.isArray(entry.versions) && entry.versions.length > 0) return entry.versions;
+  const currentPath = path.join(TOOLS_DIR, entry.file);
+  if (!fs.existsSync(currentPath)) return [];
+  const code = fs.readFileSync(currentPath, 'utf-8');
+  toolVersions.writeVersionSource(name, 1, code);
+  return [{
+    version: 1,
+    author: entry.createdBy || 'ai',
+    source: 'legacy',
+    createdAt: entry.createdAt || null,
+    sha256: toolVersions.hashSource(code),
+    capabilities: entry.capabilities || {},
+    examples: entry.examples || [],
+    status: entry.approved ? 'promoted' : 'proposed',
+    promotedAt: entry.approvedAt || null,
+    grants: entry.grants || {}
+  }];
+}
+
+function findVersion(entry, version) {
+  return (entry.versions || []).find((record) => record.version === version) || null;
+}
+
+/**
+ * Explain why the current version may not be promoted yet, or return null.
+ */
+function exampleGateError(name, entry) {
+  const examples = entry.examples || [];
+  if (examples.length === 0) return null;
+  const record = findVersion(entry, entry.version) || {};
+  const check = record.exampleCheck;
+  if (!check) {
+    return `Tool '${name}' v${entry.version} declares ${examples.length} example(s) that have not been run; run "liku tools test ${name}" first`;
+  }
+  if (!check.passed) {
+    return `Tool '${name}' v${entry.version} fails ${check.failures.length} of ${check.total} example(s): ${check.failures.map((failure) => failure.name).join(', ')}`;
+  }
+  return null;
 }
 
 /**
@@ -110,6 +214,8 @@ function promoteTool(name) {
   const entry = registry.tools[name];
   if (!entry) return { success: false, error: 'Tool not found' };
   if (entry.status !== 'proposed') return { success: false, error: `Tool status is '${entry.status}', not 'proposed'` };
+  const gateError = exampleGateError(name, entry);
+  if (gateError) return { success: false, error: gateError };
 
   const sourceFile = `${name}.js`;
   const sourcePath = path.join(PROPOSED_DIR, sourceFile);
@@ -130,13 +236,18 @@ function promoteTool(name) {
   entry.status = 'active';
   entry.approved = true;
   entry.approvedAt = new Date().toISOString();
+  const record = findVersion(entry, entry.version);
+  if (record) {
+    record.status = 'promoted';
+    record.promotedAt = entry.approvedAt;
+  }
   saveRegistry(registry);
 
   writeTelemetry({
     task: `tool_promotion:${name}`,
     phase: 'execution',
     outcome: 'success',
-    context: { event: 'tool_promoted', name }
+    context: { event: 'tool_promoted', name, version: entry.version || null }
   });
 
   return { success: true };
@@ -144,9 +255,11 @@ function promoteTool(name) {
 
 /**
  * Reject a proposed tool — deletes the quarantined file and logs a negative reward.
+ * When an earlier version of the tool was promoted, that version is restored
+ * instead of removing the tool.
  *
  * @param {string} name - Tool name to reject
- * @returns {{ success: boolean, error?: string }}
+ * @returns {{ success: boolean, error?: string, restoredVersion?: number }}
  */
 function rejectTool(name) {
   const registry = loadRegistry();
@@ -161,17 +274,59 @@ function rejectTool(name) {
     console.warn(`[ToolRegistry] Failed to delete proposed file: ${err.message}`);
   }
 
-  delete registry.tools[name];
+  const rejected = findVersion(entry, entry.version);
+  if (rejected) rejected.status = 'rejected';
+  const fallback = (entry.versions || [])
+    .filter((record) => record.promotedAt && record.version !== entry.version)
+    .sort((a, b) => b.version - a.version)[0];
+  let restoredVersion;
+  if (fallback && !activateVersion(name, entry, fallback).error) {
+    restoredVersion = fallback.version;
+  } else {
+    delete registry.tools[name];
+    toolVersions.deleteVersionSources(name);
+  }
   saveRegistry(registry);
 
   writeTelemetry({
     task: `tool_rejection:${name}`,
     phase: 'execution',
     outcome: 'failure',
-    context: { event: 'tool_rejected', name, reason: 'user_rejected' }
+    context: { event: 'tool_rejected', name, reason: 'user_rejected', version: rejected ? rejected.version : null, restoredVersion: restoredVersion || null }
   });
 
-  return { success: true };
+  return restoredVersion ? { success: true, restoredVersion } : { success: true };
+}
+
+/**
+ * Make a stored version the active, approved source of a tool, with the
+ * capabilities, grants and examples it had.
+ */
+function activateVersion(name, entry, record) {
+  const code = toolVersions.readVersionSource(name, record.version);
+  if (code === null) return { error: `Source for ${name} v${record.version} is missing` };
+  const validation = validateToolSource(code);
+  if (!validation.valid) {
+    return { error: `v${record.version} no longer passes validation: ${formatValidationFindings(validation.findings)}` };
+  }
+
+  if (!fs.existsSync(DYNAMIC_DIR)) {
+    fs.mkdirSync(DYNAMIC_DIR, { recursive: true, mode: 0o700 });
+  }
+  const sourceFile = `${name}.js`;
+  fs.writeFileSync(path.join(DYNAMIC_DIR, sourceFile), code, 'utf-8');
+  const proposedPath = path.join(PROPOSED_DIR, sourceFile);
+  if (fs.existsSync(proposedPath)) fs.unlinkSync(proposedPath);
+
+  entry.file = `dynamic/${sourceFile}`;
+  entry.status = 'active';
+  entry.approved = true;
+  entry.approvedAt = new Date().toISOString();
+  entry.version = record.version;
+  entry.capabilities = record.capabilities || {};
+  entry.grants = record.grants || {};
+  entry.examples = record.examples || [];
+  return {};
 }
 
 /**
@@ -191,8 +346,8 @@ function listProposals() {
  * Register a new dynamic tool (legacy convenience — calls proposeTool internally).
  * Tool starts in 'proposed' status. Use promoteTool() or approveTool() to activate.
  */
-function registerTool(name, { code, description, parameters }) {
-  return proposeTool(name, { code, description, parameters });
+function registerTool(name, { code, description, parameters, capabilities, limits }) {
+  return proposeTool(name, { code, description, parameters, capabilities, limits });
 }
 
 /**
@@ -215,6 +370,7 @@ function unregisterTool(name, deleteFile) {
 
   delete registry.tools[name];
   saveRegistry(registry);
+  if (deleteFile) toolVersions.deleteVersionSources(name);
   return { success: true };
 }
 
@@ -236,9 +392,14 @@ function lookupTool(name) {
 /**
  * Approve a dynamic tool for execution (Phase 3b gate).
  * If the tool is in 'proposed' status, promotes it first (moves to dynamic/).
+ * Requested capabilities are granted unless `opts.grant` names a subset.
+ *
+ * @param {string} name
+ * @param {{ grant?: string[] }} [opts] - capability names to grant ([] grants none)
+ * @returns {{ success: boolean, error?: string, grants?: object }}
  */
-function approveTool(name) {
-  const registry = loadRegistry();
+function approveTool(name, opts = {}) {
+  let registry = loadRegistry();
   if (!registry.tools[name]) {
     return { success: false, error: 'Tool not found' };
   }
@@ -246,16 +407,32 @@ function approveTool(name) {
   if (registry.tools[name].status === 'proposed') {
     const promoteResult = promoteTool(name);
     if (!promoteResult.success) return promoteResult;
-    return { success: true };
+    registry = loadRegistry();
+  } else {
+    registry.tools[name].approved = true;
+    registry.tools[name].approvedAt = new Date().toISOString();
   }
-  registry.tools[name].approved = true;
-  registry.tools[name].approvedAt = new Date().toISOString();
+  const grants = selectCapabilityGrants(registry.tools[name].capabilities, opts.grant);
+  registry.tools[name].grants = grants;
+  const record = findVersion(registry.tools[name], registry.tools[name].version);
+  if (record) record.grants = grants;
   saveRegistry(registry);
-  return { success: true };
+
+  if (Object.keys(grants).length > 0) {
+    writeTelemetry({
+      task: `tool_grant:${name}`,
+      phase: 'execution',
+      outcome: 'success',
+      context: { event: 'tool_capabilities_granted', name, grants: Object.keys(grants) }
+    });
+  }
+
+  return { success: true, grants };
 }
 
 /**
- * Revoke approval for a dynamic tool.
+ * Revoke approval for a dynamic tool. Capability grants are dropped too and
+ * must be granted again on the next approval.
  */
 function revokeTool(name) {
   const registry = loadRegistry();
@@ -263,6 +440,7 @@ function revokeTool(name) {
     return { success: false, error: 'Tool not found' };
   }
   registry.tools[name].approved = false;
+  registry.tools[name].grants = {};
   saveRegistry(registry);
   return { success: true };
 }
@@ -279,6 +457,209 @@ function recordInvocation(name) {
   }
 }
 
+/**
+ * Run a tool's declared examples against its current version in the sandbox
+ * and record the outcome on that version; promotion requires a passing run.
+ * Examples run with the capabilities the tool has been granted (none for a
+ * proposal) unless `opts.grant` names the requested ones to run with.
+ *
+ * @param {string} name
+ * @param {{ grant?: string[], projectRoot?: string }} [opts] - capabilities to run with
+ * @returns {Promise<{ success: boolean, error?: string, version?: number, passed?: boolean, total?: number, failures?: Array, withheld?: string[] }>}
+ */
+async function runToolExamples(name, opts = {}) {
+  const entry = loadRegistry().tools[name];
+  if (!entry) return { success: false, error: 'Tool not found' };
+  const examples = entry.examples || [];
+  if (examples.length === 0) {
+    return { success: true, version: entry.version || null, passed: true, total: 0, failures: [] };
+  }
+
+  const grants = opts.grant === undefined || opts.grant === null
+    ? { ...(entry.grants || {}) }
+    : selectCapabilityGrants(entry.capabilities, opts.grant);
+  const withheld = Object.keys(entry.capabilities || {}).filter((capability) => !(capability in grants));
+  const check = await toolVersions.runToolExamples(path.join(TOOLS_DIR, entry.file), examples, {
+    toolName: name,
+    grants,
+    limits: entry.limits,
+    projectRoot: opts.projectRoot
+  });
+
+  // Reload: nested tools.call runs may have updated the registry meanwhile.
+  const registry = loadRegistry();
+  const current = registry.tools[name];
+  const record = current && current.version === entry.version ? findVersion(current, entry.version) : null;
+  if (record) {
+    record.exampleCheck = { ...check, checkedAt: new Date().toISOString() };
+    saveRegistry(registry);
+  }
+  return { success: true, version: entry.version || null, ...check, withheld };
+}
+
+/**
+ * List the stored versions of a tool, newest first.
+ */
+function listToolVersions(name) {
+  const entry = loadRegistry().tools[name];
+  if (!entry) return { success: false, error: 'Tool not found' };
+  const versions = [...(entry.versions || [])].sort((a, b) => b.version - a.version);
+  return { success: true, current: entry.version || null, versions };
+}
+
+/**
+ * Unified diff between two versions. `to` defaults to the current version and
+ * `from` to the one before `to`.
+ */
+function diffToolVersions(name, from, to) {
+  const entry = loadRegistry().tools[name];
+  if (!entry) return { success: false, error: 'Tool not found' };
+  if (!entry.versions || entry.versions.length === 0) return { success: false, error: `Tool '${name}' has no version history` };
+
+  const toVersion = to === undefined ? entry.version : toolVersions.parseVersion(to);
+  const fromVersion = from === undefined ? toVersion - 1 : toolVersions.parseVersion(from);
+  for (const [label, version] of [['from', fromVersion], ['to', toVersion]]) {
+    if (version === null || !findVersion(entry, version)) {
+      return { success: false, error: `Unknown ${label} version for ${name}: ${label === 'from' ? from : to}` };
+    }
+  }
+  const before = toolVersions.readVersionSource(name, fromVersion);
+  const after = toolVersions.readVersionSource(name, toVersion);
+  if (before === null || after === null) return { success: false, error: `Source for ${name} is missing from version history` };
+
+  return {
+    success: true,
+    from: fromVersion,
+    to: toVersion,
+    diff: toolVersions.diffSources(before, after, { fromLabel: `${name} v${fromVersion}`, toLabel: `${name} v${toVersion}` })
+  };
+}
+
+/**
+ * Restore a previously promoted version as the active tool. Its capabilities
+ * and the grants it was approved with come back with it.
+ *
+ * @param {string} name
+ * @param {number|string} version - e.g. 2 or 'v2'
+ * @returns {{ success: boolean, error?: string, version?: number, previousVersion?: number }}
+ */
+function rollbackTool(name, version) {
+  const registry = loadRegistry();
+  const entry = registry.tools[name];
+  if (!entry) return { success: false, error: 'Tool not found' };
+  const target = toolVersions.parseVersion(version);
+  const record = target === null ? null : findVersion(entry, target);
+  if (!record) return { success: false, error: `Unknown version for ${name}: ${version}` };
+  if (!record.promotedAt) {
+    return { success: false, error: `${name} v${target} was never promoted; only previously promoted versions can be restored` };
+  }
+  if (entry.version === target && entry.status === 'active') {
+    return { success: false, error: `${name} v${target} is already the active version` };
+  }
+
+  const previousVersion = entry.version || null;
+  if (entry.status === 'proposed') {
+    const pending = findVersion(entry, entry.version);
+    if (pending) pending.status = 'rejected';
+  }
+  const activation = activateVersion(name, entry, record);
+  if (activation.error) return { success: false, error: activation.error };
+  saveRegistry(registry);
+
+  writeTelemetry({
+    task: `tool_rollback:${name}`,
+    phase: 'execution',
+    outcome: 'success',
+    context: { event: 'tool_rolled_back', name, from: previousVersion, to: target }
+  });
+
+  return { success: true, version: target, previousVersion };
+}
+
+/**
+ * Update a tool's sandbox limits. Keys set to null return to the default.
+ *
+ * @param {string} name
+ * @param {{ timeoutMs?: number|null, maxHeapMb?: number|null, maxResultBytes?: number|null }} limits
+ * @returns {{ success: boolean, error?: string, limits?: object }}
+ */
+function setToolLimits(name, limits) {
+  const registry = loadRegistry();
+  const entry = registry.tools[name];
+  if (!entry) return { success: false, error: 'Tool not found' };
+
+  const update = normalizeToolLimits(limits);
+  if (update.errors.length > 0) {
+    return { success: false, error: `Invalid limits: ${update.errors.join('; ')}` };
+  }
+  const merged = { ...(entry.limits || {}), ...update.limits };
+  for (const [key, value] of Object.entries(limits || {})) {
+    if (value === null) delete merged[key];
+  }
+  entry.limits = merged;
+  saveRegistry(registry);
+  return { success: true, limits: merged };
+}
+
+function percentile(sortedValues, p) {
+  if (sortedValues.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sortedValues.length);
+  return sortedValues[Math.min(sortedValues.length - 1, Math.max(0, rank - 1))];
+}
+
+/**
+ * Summarize `tool_run` telemetry for one tool over the last `days` days.
+ *
+ * @param {string} name
+ * @param {{ days?: number, now?: Date }} [opts]
+ * @returns {{ name: string, days: number, runs: number, successes: number, failures: number,
+ *   successRate: number, latencyMs: object, peakRssKb: object, exitReasons: object,
+ *   truncated: number, lastRunAt: string|null }}
+ */
+function getToolRunStats(name, opts = {}) {
+  const days = Math.max(1, Number(opts.days) || 7);
+  const now = opts.now || new Date();
+  const since = new Date(now.getTime() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  const runs = listTelemetryDates()
+    .filter((date) => date.slice(0, 10) >= since)
+    .flatMap((date) => readTelemetry(date))
+    .filter((record) => record.context && record.context.event === 'tool_run' && record.context.name === name)
+    .filter((record) => record.context.kind !== 'example')
+    .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+
+  const successes = runs.filter((record) => record.outcome === 'success').length;
+  const durations = runs.map((record) => record.context.durationMs).filter(Number.isFinite).sort((a, b) => a - b);
+  const rss = runs.map((record) => record.context.peakRssKb).filter(Number.isFinite).sort((a, b) => a - b);
+  const exitReasons = {};
+  for (const record of runs) {
+    const reason = record.context.exitReason || 'unknown';
+    exitReasons[reason] = (exitReasons[reason] || 0) + 1;
+  }
+
+  return {
+    name,
+    days,
+    runs: runs.length,
+    successes,
+    failures: runs.length - successes,
+    successRate: runs.length > 0 ? Math.round((successes / runs.length) * 100) : 0,
+    latencyMs: {
+      p50: percentile(durations, 50),
+      p90: percentile(durations, 90),
+      p99: percentile(durations, 99),
+      max: durations.length ? durations[durations.length - 1] : null
+    },
+    peakRssKb: {
+      p50: percentile(rss, 50),
+      max: rss.length ? rss[rss.length - 1] : null
+    },
+    exitReasons,
+    truncated: runs.filter((record) => record.context.truncated).length,
+    lastRunAt: runs.length ? runs[runs.length - 1].timestamp : null
+  };
+}
+
 /**
  * List all registered dynamic tools.
  */
@@ -326,6 +707,12 @@ module.exports = {
   approveTool,
   revokeTool,
   recordInvocation,
+  setToolLimits,
+  getToolRunStats,
+  runToolExamples,
+  listToolVersions,
+  diffToolVersions,
+  rollbackTool,
   listTools,
   getDynamicToolDefinitions,
   TOOLS_DIR,
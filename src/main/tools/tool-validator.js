@@ -5,53 +5,353 @@
  * registered or executed. This is the FIRST line of defense.
  * The sandbox (sandbox.js) is the SECOND.
  *
+ * The source is parsed with acorn and the parse tree is walked, so names
+ * inside strings, comments and property keys (`obj.global`, "http://...")
+ * are not flagged, while escapes a regex cannot see are: prototype-chain
+ * walks such as `this.constructor.constructor('return process')()` and
+ * computed member access with assembled keys (`args['constr' + 'uctor']`).
+ * A computed key must fold to a constant string; any other key (a parameter,
+ * a `let`, a value read at run time) is rejected whatever the object is,
+ * since the analysis cannot tell which objects reach the host realm.
+ * Every finding carries the line/column of the offending node.
+ *
  * Security principle: defense in depth. Even if validation passes,
  * the sandbox restricts available APIs to a safe allowlist.
  */
 
+const acorn = require('acorn');
+
+const MAX_SOURCE_LENGTH = 10240;
+
+/**
+ * Rules reported by the parse-tree pass. `label` is the short form listed in
+ * `violations`; findings add a message and the source location.
+ */
 const BANNED_PATTERNS = [
-  { pattern: /\brequire\s*\(/, label: 'require()' },
-  { pattern: /\bimport\s+/, label: 'import statement' },
-  { pattern: /\bimport\s*\(/, label: 'dynamic import()' },
-  { pattern: /\bprocess\b/, label: 'process object' },
-  { pattern: /\bchild_process\b/, label: 'child_process' },
-  { pattern: /\b__dirname\b/, label: '__dirname' },
-  { pattern: /\b__filename\b/, label: '__filename' },
-  { pattern: /\bglobal\b/, label: 'global object' },
-  { pattern: /\bglobalThis\b/, label: 'globalThis' },
-  { pattern: /\beval\s*\(/, label: 'eval()' },
-  { pattern: /\bFunction\s*\(/, label: 'Function constructor' },
-  { pattern: /\bfs\s*\./, label: 'fs module access' },
-  { pattern: /\bhttp\b/, label: 'http/https module' },
-  { pattern: /\bnet\b\./, label: 'net module' },
-  { pattern: /\bdgram\b/, label: 'dgram module' },
-  { pattern: /\bBuffer\s*\./, label: 'Buffer access' }
+  { rule: 'require', label: 'require()' },
+  { rule: 'import', label: 'import statement' },
+  { rule: 'dynamic-import', label: 'dynamic import()' },
+  { rule: 'process', label: 'process object' },
+  { rule: 'dirname', label: '__dirname' },
+  { rule: 'filename', label: '__filename' },
+  { rule: 'module', label: 'module/exports object' },
+  { rule: 'global', label: 'global object' },
+  { rule: 'globalThis', label: 'globalThis' },
+  { rule: 'eval', label: 'eval()' },
+  { rule: 'function-constructor', label: 'Function constructor' },
+  { rule: 'buffer', label: 'Buffer access' },
+  { rule: 'with', label: 'with statement' },
+  { rule: 'prototype-escape', label: 'prototype-chain access' },
+  { rule: 'computed-access', label: 'computed member access' },
+  { rule: 'syntax', label: 'syntax error' },
+  { rule: 'size', label: 'Code too large' }
 ];
 
+const RULE_LABELS = Object.fromEntries(BANNED_PATTERNS.map(({ rule, label }) => [rule, label]));
+
+/** Free identifiers that must never be referenced, mapped to their rule. */
+const BANNED_GLOBALS = {
+  require: 'require',
+  process: 'process',
+  __dirname: 'dirname',
+  __filename: 'filename',
+  module: 'module',
+  exports: 'module',
+  global: 'global',
+  globalThis: 'globalThis',
+  eval: 'eval',
+  Function: 'function-constructor',
+  Buffer: 'buffer'
+};
+
+/** Property names that walk to prototypes or constructors (and from there to the host Function). */
+const ESCAPE_PROPERTIES = new Set([
+  'constructor',
+  '__proto__',
+  'getPrototypeOf',
+  'setPrototypeOf',
+  '__defineGetter__',
+  '__defineSetter__',
+  '__lookupGetter__',
+  '__lookupSetter__',
+  'caller',
+  'callee'
+]);
+
+// ─── Parse-tree helpers ─────────────────────────────────────
+
+function parseSource(code) {
+  const options = { ecmaVersion: 'latest', locations: true };
+  try {
+    return { ast: acorn.parse(code, { ...options, sourceType: 'script' }) };
+  } catch (scriptError) {
+    // Tools run as scripts, but parse as a module too so import/export is
+    // reported as such rather than as a bare syntax error.
+    try {
+      return { ast: acorn.parse(code, { ...options, sourceType: 'module' }), scriptError };
+    } catch {
+      return { scriptError };
+    }
+  }
+}
+
+function walk(node, visit, parent = null, key = null) {
+  if (!node || typeof node.type !== 'string') return;
+  visit(node, parent, key);
+  for (const [childKey, child] of Object.entries(node)) {
+    if (childKey === 'loc') continue;
+    if (Array.isArray(child)) {
+      for (const item of child) walk(item, visit, node, childKey);
+    } else if (child && typeof child.type === 'string') {
+      walk(child, visit, node, childKey);
+    }
+  }
+}
+
+/** True when an Identifier is read as a variable rather than used as a name. */
+function isReference(node, parent, key) {
+  if (!parent) return true;
+  switch (parent.type) {
+    case 'MemberExpression':
+      return key === 'object' || parent.computed;
+    case 'Property':
+    case 'MethodDefinition':
+    case 'PropertyDefinition':
+      return key === 'value' || parent.computed;
+    case 'LabeledStatement':
+    case 'BreakStatement':
+    case 'ContinueStatement':
+      return false;
+    case 'VariableDeclarator':
+      return key === 'init';
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression':
+      return key === 'body';
+    case 'ClassDeclaration':
+    case 'ClassExpression':
+      return key === 'superClass';
+    case 'CatchClause':
+      return false;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Resolve an expression to a constant string where that is possible without
+ * running it: literals, templates, `+` concatenation and `const` bindings to
+ * any of those. Method calls such as `[...].join()` are not folded: the tool
+ * can replace `Array.prototype.join` before the call runs.
+ */
+function staticString(node, constants) {
+  if (!node) return undefined;
+  switch (node.type) {
+    case 'Literal':
+      return typeof node.value === 'string' || typeof node.value === 'number' ? String(node.value) : undefined;
+    case 'TemplateLiteral': {
+      let text = node.quasis[0].value.cooked;
+      for (let i = 0; i < node.expressions.length; i++) {
+        const part = staticString(node.expressions[i], constants);
+        if (part === undefined) return undefined;
+        text += part + node.quasis[i + 1].value.cooked;
+      }
+      return text;
+    }
+    case 'BinaryExpression': {
+      if (node.operator !== '+') return undefined;
+      const left = staticString(node.left, constants);
+      const right = staticString(node.right, constants);
+      return left === undefined || right === undefined ? undefined : left + right;
+    }
+    case 'Identifier':
+      return constants.get(node.name);
+    default:
+      return undefined;
+  }
+}
+
+function memberKey(node, constants) {
+  return node.computed ? staticString(node.property, constants) : node.property.name;
+}
+
+/**
+ * Names that may hold something other than their `const` initializer where
+ * they are read: anything bound more than once (a shadowing parameter, a
+ * second declaration) or bound by `let`, `var`, a parameter or a catch clause.
+ * Constant folding skips them.
+ */
+function collectRebindableNames(ast) {
+  const seen = new Set();
+  const rebindable = new Set();
+  const bind = (pattern, reassignable) => {
+    if (!pattern) return;
+    switch (pattern.type) {
+      case 'Identifier':
+        if (reassignable || seen.has(pattern.name)) rebindable.add(pattern.name);
+        seen.add(pattern.name);
+        break;
+      case 'ObjectPattern':
+        pattern.properties.forEach((property) => bind(property.type === 'RestElement' ? property.argument : property.value, reassignable));
+        break;
+      case 'ArrayPattern':
+        pattern.elements.forEach((element) => bind(element, reassignable));
+        break;
+      case 'RestElement':
+        bind(pattern.argument, reassignable);
+        break;
+      case 'AssignmentPattern':
+        bind(pattern.left, reassignable);
+        break;
+      default:
+        break;
+    }
+  };
+  walk(ast, (node) => {
+    switch (node.type) {
+      case 'VariableDeclaration':
+        node.declarations.forEach((declarator) => bind(declarator.id, node.kind !== 'const'));
+        break;
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        bind(node.id, false);
+        node.params.forEach((param) => bind(param, true));
+        break;
+      case 'ClassDeclaration':
+      case 'ClassExpression':
+        bind(node.id, false);
+        break;
+      case 'CatchClause':
+        bind(node.param, true);
+        break;
+      default:
+        break;
+    }
+  });
+  return rebindable;
+}
+
+// ─── Validation ─────────────────────────────────────────────
+
+function createFinding(rule, message, loc) {
+  return {
+    rule,
+    label: RULE_LABELS[rule],
+    message,
+    line: loc ? loc.line : null,
+    // acorn columns are 0-based; report them the way editors show them.
+    column: loc ? loc.column + 1 : null
+  };
+}
+
+function analyzeTree(ast) {
+  const findings = [];
+  const constants = new Map();
+  const rebindable = collectRebindableNames(ast);
+  const add = (rule, message, node) => findings.push(createFinding(rule, message, node.loc && node.loc.start));
+
+  walk(ast, (node, parent, key) => {
+    switch (node.type) {
+      case 'ImportDeclaration':
+      case 'ExportNamedDeclaration':
+      case 'ExportDefaultDeclaration':
+      case 'ExportAllDeclaration':
+        add('import', `${node.type === 'ImportDeclaration' ? 'import' : 'export'} declarations are not allowed in tools`, node);
+        break;
+      case 'ImportExpression':
+        add('dynamic-import', 'import() cannot load modules in the sandbox', node);
+        break;
+      case 'WithStatement':
+        add('with', 'with statements hide which names are being read', node);
+        break;
+      case 'VariableDeclarator':
+        if (parent && parent.kind === 'const' && node.id.type === 'Identifier' && !rebindable.has(node.id.name)) {
+          const value = staticString(node.init, constants);
+          if (value !== undefined) constants.set(node.id.name, value);
+        }
+        break;
+      case 'Identifier': {
+        const rule = BANNED_GLOBALS[node.name];
+        if (rule && isReference(node, parent, key)) {
+          add(rule, `reference to "${node.name}"`, node);
+        }
+        break;
+      }
+      case 'MemberExpression': {
+        const name = memberKey(node, constants);
+        if (name === undefined) {
+          add('computed-access', 'computed key that is not a constant string', node.property);
+        } else if (ESCAPE_PROPERTIES.has(name)) {
+          add('prototype-escape', `access to "${name}"${node.computed ? ' via a computed key' : ''}`, node.property);
+        } else if (BANNED_GLOBALS[name] && node.object.type === 'ThisExpression') {
+          add(BANNED_GLOBALS[name], `reference to "${name}" through this`, node.property);
+        }
+        break;
+      }
+      case 'Property':
+        // `{ __proto__: host }` rewires the prototype of the literal.
+        if (!node.computed && parent && parent.type === 'ObjectExpression'
+          && (node.key.name === '__proto__' || node.key.value === '__proto__')) {
+          add('prototype-escape', 'object literal sets "__proto__"', node.key);
+        }
+        // `const { constructor: C } = args` is `args.constructor` by another name.
+        if (parent && parent.type === 'ObjectPattern') {
+          const name = node.computed ? staticString(node.key, constants) : (node.key.name ?? String(node.key.value));
+          if (name === undefined) {
+            add('computed-access', 'destructuring through a computed key that is not a constant string', node.key);
+          } else if (ESCAPE_PROPERTIES.has(name)) {
+            add('prototype-escape', `destructuring "${name}"${node.computed ? ' via a computed key' : ''}`, node.key);
+          }
+        }
+        break;
+      default:
+        break;
+    }
+  });
+
+  return findings;
+}
+
 /**
- * Validate tool source code against banned patterns.
+ * Validate tool source code with a parse-tree analysis pass.
  *
  * @param {string} code - The tool source code
- * @returns {{ valid: boolean, violations: string[] }}
+ * @returns {{ valid: boolean, violations: string[], findings: Array<{ rule: string, label: string, message: string, line: number|null, column: number|null }>, parser: string }}
  */
 function validateToolSource(code) {
-  const violations = [];
+  const source = typeof code === 'string' ? code : String(code || '');
+  const findings = [];
 
-  for (const { pattern, label } of BANNED_PATTERNS) {
-    if (pattern.test(code)) {
-      violations.push(label);
-    }
+  if (source.length > MAX_SOURCE_LENGTH) {
+    findings.push(createFinding('size', `Code too large: ${source.length} bytes (max ${MAX_SOURCE_LENGTH})`, null));
   }
 
-  // Check for excessive code length (max 10KB)
-  if (code.length > 10240) {
-    violations.push(`Code too large: ${code.length} bytes (max 10240)`);
+  const { ast, scriptError } = parseSource(source);
+  if (ast) {
+    findings.push(...analyzeTree(ast).sort((a, b) => a.line - b.line || a.column - b.column));
+  }
+  if (scriptError && !findings.some((finding) => finding.rule === 'import')) {
+    const message = String(scriptError.message || scriptError).replace(/\s*\(\d+:\d+\)$/, '');
+    findings.push(createFinding('syntax', message, scriptError.loc || null));
   }
 
   return {
-    valid: violations.length === 0,
-    violations
+    valid: findings.length === 0,
+    violations: Array.from(new Set(findings.map((finding) => finding.label))),
+    findings,
+    parser: 'acorn'
   };
 }
 
-module.exports = { validateToolSource, BANNED_PATTERNS };
+/**
+ * One-line summary of findings for error messages, e.g.
+ * `require() at 1:12; prototype-chain access at 2:20`.
+ */
+function formatValidationFindings(findings) {
+  return (findings || [])
+    .map((finding) => (finding.line ? `${finding.label} at ${finding.line}:${finding.column}` : finding.message))
+    .join('; ');
+}
+
+module.exports = { validateToolSource, formatValidationFindings, BANNED_PATTERNS };
@@ -0,0 +1,194 @@
+/**
+ * Tool Versions — numbered source snapshots and example cases for dynamic tools
+ *
+ * Every proposal of a tool is stored as ~/.liku/tools/versions/<name>/v<N>.js
+ * next to the registry entry's `versions` metadata (tool-registry.js), so a
+ * bad revision can be diffed against and rolled back to a working one.
+ *
+ * A tool may also declare example cases:
+ *
+ *   [{ "name": "adds", "args": { "a": 2, "b": 3 }, "expected": 5 }]
+ *
+ * They are run in the sandbox before promotion; a version whose examples fail
+ * cannot be promoted.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { LIKU_HOME } = require('../../shared/liku-home');
+
+const VERSIONS_DIR = path.join(LIKU_HOME, 'tools', 'versions');
+const MAX_EXAMPLES = 20;
+
+// ─── Version sources ────────────────────────────────────────
+
+function versionSourcePath(name, version) {
+  return path.join(VERSIONS_DIR, name, `v${version}.js`);
+}
+
+function writeVersionSource(name, version, code) {
+  const dir = path.join(VERSIONS_DIR, name);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  }
+  const sourcePath = versionSourcePath(name, version);
+  fs.writeFileSync(sourcePath, code, 'utf-8');
+  return sourcePath;
+}
+
+function readVersionSource(name, version) {
+  const sourcePath = versionSourcePath(name, version);
+  return fs.existsSync(sourcePath) ? fs.readFileSync(sourcePath, 'utf-8') : null;
+}
+
+function deleteVersionSources(name) {
+  fs.rmSync(path.join(VERSIONS_DIR, name), { recursive: true, force: true });
+}
+
+function hashSource(code) {
+  return crypto.createHash('sha256').update(String(code)).digest('hex');
+}
+
+/** Accept `3`, `'3'` or `'v3'`; returns null for anything else. */
+function parseVersion(value) {
+  const match = /^v?(\d+)$/i.exec(String(value === undefined || value === null ? '' : value).trim());
+  return match ? Number(match[1]) : null;
+}
+
+// ─── Diff ───────────────────────────────────────────────────
+
+function diffOperations(before, after) {
+  // Longest-common-subsequence table; tool sources are capped at 10KB.
+  const lengths = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      operations.push({ type: ' ', text: before[i], oldLine: i + 1, newLine: j + 1 });
+      i++;
+      j++;
+    } else if (j < after.length && (i === before.length || lengths[i][j + 1] > lengths[i + 1][j])) {
+      operations.push({ type: '+', text: after[j], oldLine: i, newLine: j + 1 });
+      j++;
+    } else {
+      operations.push({ type: '-', text: before[i], oldLine: i + 1, newLine: j });
+      i++;
+    }
+  }
+  return operations;
+}
+
+/**
+ * Unified diff of two sources.
+ *
+ * @param {string} before
+ * @param {string} after
+ * @param {{ fromLabel?: string, toLabel?: string, context?: number }} [options]
+ * @returns {{ text: string, additions: number, deletions: number }}
+ */
+function diffSources(before, after, options = {}) {
+  const context = options.context ?? 3;
+  const operations = diffOperations(String(before).split('\n'), String(after).split('\n'));
+  const changed = operations.map((operation, index) => (operation.type !== ' ' ? index : -1)).filter((index) => index >= 0);
+  const lines = [`--- ${options.fromLabel || 'a'}`, `+++ ${options.toLabel || 'b'}`];
+
+  let cursor = 0;
+  while (cursor < changed.length) {
+    const start = Math.max(0, changed[cursor] - context);
+    let end = Math.min(operations.length - 1, changed[cursor] + context);
+    while (cursor + 1 < changed.length && changed[cursor + 1] - context <= end + 1) {
+      cursor++;
+      end = Math.min(operations.length - 1, changed[cursor] + context);
+    }
+    const hunk = operations.slice(start, end + 1);
+    const oldCount = hunk.filter((operation) => operation.type !== '+').length;
+    const newCount = hunk.filter((operation) => operation.type !== '-').length;
+    const oldStart = oldCount ? hunk.find((operation) => operation.type !== '+').oldLine : hunk[0].oldLine;
+    const newStart = newCount ? hunk.find((operation) => operation.type !== '-').newLine : hunk[0].newLine;
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const operation of hunk) lines.push(`${operation.type}${operation.text}`);
+    cursor++;
+  }
+
+  return {
+    text: lines.join('\n'),
+    additions: operations.filter((operation) => operation.type === '+').length,
+    deletions: operations.filter((operation) => operation.type === '-').length
+  };
+}
+
+// ─── Example cases ──────────────────────────────────────────
+
+/**
+ * Validate declared example cases.
+ *
+ * @param {Array} [examples]
+ * @returns {{ examples: Array<{ name: string, args: object, expected: any }>, errors: string[] }}
+ */
+function normalizeToolExamples(examples) {
+  if (examples === undefined || examples === null) return { examples: [], errors: [] };
+  if (!Array.isArray(examples)) return { examples: [], errors: ['examples must be an array'] };
+  if (examples.length > MAX_EXAMPLES) return { examples: [], errors: [`at most ${MAX_EXAMPLES} examples are allowed`] };
+
+  const errors = [];
+  const normalized = examples.map((example, index) => {
+    const label = `example ${index + 1}`;
+    if (!example || typeof example !== 'object' || Array.isArray(example)) {
+      errors.push(`${label} must be an object`);
+      return null;
+    }
+    if (example.args !== undefined && (typeof example.args !== 'object' || example.args === null || Array.isArray(example.args))) {
+      errors.push(`${label} args must be an object`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(example, 'expected')) {
+      errors.push(`${label} needs an expected value`);
+    }
+    return { name: String(example.name || label), args: example.args || {}, expected: example.expected };
+  });
+  return { examples: errors.length ? [] : normalized, errors };
+}
+
+/**
+ * Run example cases against a tool file in the sandbox.
+ *
+ * @param {string} toolPath
+ * @param {Array} examples - normalized examples
+ * @param {object} [options] - passed to executeDynamicTool (grants, limits, toolName)
+ * @returns {Promise<{ passed: boolean, total: number, failures: Array<{ name: string, expected: any, actual?: any, error?: string }> }>}
+ */
+async function runToolExamples(toolPath, examples, options = {}) {
+  const { executeDynamicTool } = require('./sandbox');
+  const failures = [];
+  for (const example of examples) {
+    const outcome = await executeDynamicTool(toolPath, example.args, { ...options, kind: 'example' });
+    if (!outcome.success) {
+      failures.push({ name: example.name, expected: example.expected, error: outcome.error });
+    } else if (!isDeepStrictEqual(outcome.result, example.expected)) {
+      failures.push({ name: example.name, expected: example.expected, actual: outcome.result });
+    }
+  }
+  return { passed: failures.length === 0, total: examples.length, failures };
+}
+
+module.exports = {
+  VERSIONS_DIR,
+  deleteVersionSources,
+  diffSources,
+  hashSource,
+  normalizeToolExamples,
+  parseVersion,
+  readVersionSource,
+  runToolExamples,
+  versionSourcePath,
+  writeVersionSource
+};